@@ -25,6 +25,18 @@ let currentConversation = null;
 // DOMContentLoaded parsing of the URL fragment.
 let resetToken = null;
 
+// Letter grade scale, highest threshold first. Replaced by the course's
+// configured scale once loadGradeScale() returns.
+let gradeScale = [
+  { label: 'A+', min: 95, color: '#34C759' },
+  { label: 'A', min: 90, color: '#30B158' },
+  { label: 'A-', min: 85, color: '#28A745' },
+  { label: 'B', min: 80, color: '#5AC8FA' },
+  { label: 'C', min: 70, color: '#FFCC00' },
+  { label: 'D', min: 60, color: '#FF9F0A' },
+  { label: 'Failed', min: 0, color: '#FF3B30' },
+];
+
 // Override default alert with SweetAlert2 for consistent styling. If Swal is not
 // available, fall back to the built‑in alert.
 if (typeof Swal !== 'undefined') {
@@ -82,21 +94,31 @@ function fetchAuth(url, options = {}) {
 
 /**
  * Client-side grade band mapping consistent with server-side gradeBand. Takes a
- * numeric score and returns an object with a label and colour code. This
- * function mirrors the server’s definition for categories A+, A, A-, B, C, D,
- * Failed.
+ * numeric score and returns an object with a label and colour code, using
+ * the course's letter scale loaded from /api/gradebook/settings.
  *
  * @param {number} score
  */
 function gradeBandClient(score) {
   const s = Number(score);
-  if (s >= 95) return { label: 'A+', color: '#34C759' };
-  if (s >= 90) return { label: 'A', color: '#30B158' };
-  if (s >= 85) return { label: 'A-', color: '#28A745' };
-  if (s >= 80) return { label: 'B', color: '#5AC8FA' };
-  if (s >= 70) return { label: 'C', color: '#FFCC00' };
-  if (s >= 60) return { label: 'D', color: '#FF9F0A' };
-  return { label: 'Failed', color: '#FF3B30' };
+  const entry = gradeScale.find((l) => s >= l.min) || gradeScale[gradeScale.length - 1];
+  return { label: entry.label, color: entry.color };
+}
+
+/**
+ * Fetch the course's letter scale. Until it arrives the default scale is
+ * used.
+ */
+async function loadGradeScale() {
+  try {
+    const res = await fetch('/api/gradebook/settings');
+    const settings = await res.json();
+    if (res.ok && Array.isArray(settings.letterScale) && settings.letterScale.length) {
+      gradeScale = settings.letterScale;
+    }
+  } catch (err) {
+    console.error('Failed to load letter scale', err);
+  }
 }
 
 /**
@@ -157,6 +179,247 @@ function renderGauge(score) {
   return wrapper;
 }
 
+/**
+ * Deadlines that apply to the current student, mirroring deadlineFor() in
+ * server/latePolicy.js. An extension replaces the assignment's due date.
+ *
+ * @param {Object} assn Assignment
+ * @param {Object|null} extension The student's extension for it, if any
+ * @returns {{ dueAt: Date, lateAfter: Date, closesAt: Date|null }}
+ */
+function assignmentDeadline(assn, extension) {
+  const dueAt = new Date((extension && extension.dueDate) || assn.dueDate);
+  const policy = assn.latePolicy || {};
+  const lateAfter = new Date(dueAt.getTime() + (policy.graceMinutes || 0) * 60000);
+  let closesAt = null;
+  if (policy.hardClose) {
+    closesAt = lateAfter;
+  } else if (policy.maxLateDays !== null && policy.maxLateDays !== undefined) {
+    closesAt = new Date(lateAfter.getTime() + policy.maxLateDays * 86400000);
+  }
+  return { dueAt, lateAfter, closesAt };
+}
+
+/**
+ * One-line, human readable summary of an assignment's late policy.
+ */
+function describeLatePolicy(policy) {
+  if (!policy) return 'Late submissions are accepted without penalty.';
+  const parts = [];
+  if (policy.graceMinutes) parts.push(`${policy.graceMinutes} min grace period`);
+  if (policy.hardClose) {
+    parts.push('no late submissions');
+  } else {
+    if (policy.penaltyPerDay) parts.push(`−${policy.penaltyPerDay} points per day late`);
+    if (policy.maxLateDays !== null && policy.maxLateDays !== undefined) parts.push(`closes ${policy.maxLateDays} day(s) after the deadline`);
+  }
+  return parts.length ? `Late policy: ${parts.join(', ')}.` : '';
+}
+
+/**
+ * Grade after the late penalty, or null for ungraded submissions. Mirrors
+ * finalGrade() in server/latePolicy.js.
+ */
+function finalGradeClient(sub) {
+  if (!sub || !sub.graded || sub.grade === null || sub.grade === undefined || sub.grade === '') return null;
+  return Math.max(0, Number(sub.grade) - (sub.latePenalty || 0));
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.floor(ms / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (days) return `${days}d ${hours}h ${minutes}m`;
+  if (hours) return `${hours}h ${minutes}m`;
+  if (totalMinutes) return `${minutes}m ${Math.floor((ms % 60000) / 1000)}s`;
+  return `${Math.max(0, Math.floor(ms / 1000))}s`;
+}
+
+// Live countdowns currently on screen: { el, deadline, controls }
+const countdowns = [];
+let countdownTimer = null;
+
+function renderCountdown(entry) {
+  const now = Date.now();
+  const { dueAt, lateAfter, closesAt } = entry.deadline;
+  const el = entry.el;
+  el.classList.remove('countdown-late', 'countdown-closed');
+  if (closesAt && now > closesAt.getTime()) {
+    el.textContent = 'Submissions closed';
+    el.classList.add('countdown-closed');
+    // Remove upload controls once the window has closed
+    entry.controls.forEach((c) => c.remove());
+    entry.controls = [];
+  } else if (now <= dueAt.getTime()) {
+    el.textContent = `Due in ${formatDuration(dueAt.getTime() - now)}`;
+  } else if (now <= lateAfter.getTime()) {
+    el.textContent = `Grace period ends in ${formatDuration(lateAfter.getTime() - now)}`;
+    el.classList.add('countdown-late');
+  } else {
+    el.textContent = closesAt
+      ? `Past due – late submissions close in ${formatDuration(closesAt.getTime() - now)}`
+      : 'Past due – late submissions accepted';
+    el.classList.add('countdown-late');
+  }
+}
+
+/**
+ * Show a live countdown to the student's deadline in `el`. When submissions
+ * close, `controls` (upload inputs and buttons) are removed from the page.
+ *
+ * @param {HTMLElement} el
+ * @param {Object} assn Assignment
+ * @param {Object|null} extension The student's extension, if any
+ * @param {HTMLElement[]} [controls]
+ */
+function attachCountdown(el, assn, extension, controls = []) {
+  el.classList.add('countdown');
+  const entry = { el, deadline: assignmentDeadline(assn, extension), controls };
+  countdowns.push(entry);
+  renderCountdown(entry);
+  if (!countdownTimer) {
+    countdownTimer = setInterval(() => {
+      for (let i = countdowns.length - 1; i >= 0; i--) {
+        if (!document.body.contains(countdowns[i].el)) countdowns.splice(i, 1);
+        else renderCountdown(countdowns[i]);
+      }
+      if (!countdowns.length) {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+      }
+    }, 1000);
+  }
+}
+
+/**
+ * Fetch the current student's extensions keyed by assignment ID.
+ */
+async function loadMyExtensions() {
+  if (!currentUser || currentUser.role !== 'student') return {};
+  try {
+    const res = await fetchAuth('/api/extensions');
+    if (!res.ok) return {};
+    const list = await res.json();
+    const map = {};
+    list.forEach((e) => { map[e.assignmentId] = e; });
+    return map;
+  } catch (err) {
+    console.error('Failed to load extensions', err);
+    return {};
+  }
+}
+
+/**
+ * Short "On time" / "Late" label for a submission, including the penalty.
+ */
+function lateLabel(sub) {
+  const span = document.createElement('span');
+  span.className = sub.late ? 'late-badge late' : 'late-badge';
+  if (!sub.late) {
+    span.textContent = 'On time';
+  } else {
+    span.textContent = `Late (${sub.lateDays} day${sub.lateDays === 1 ? '' : 's'}${sub.latePenalty ? `, −${sub.latePenalty}` : ''})`;
+  }
+  return span;
+}
+
+function formatFileSize(bytes) {
+  if (bytes == null) return 'unknown size';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Timeline of every uploaded version of a submission, newest first, with
+ * upload time, size, SHA-256 receipt and lateness. The version being graded
+ * is marked. When onSelect is given (TA view) every other version gets a
+ * button to grade it instead.
+ *
+ * @param {Object} sub Submission with its versions
+ * @param {Function} [onSelect] Called with the version number to grade
+ */
+function renderVersionTimeline(sub, onSelect) {
+  const list = document.createElement('ol');
+  list.className = 'version-timeline';
+  (sub.versions || []).slice().reverse().forEach((v) => {
+    const li = document.createElement('li');
+    if (v.version === sub.version) li.classList.add('current');
+    const head = document.createElement('div');
+    const label = document.createElement('strong');
+    label.textContent = `Version ${v.version}`;
+    head.appendChild(label);
+    head.appendChild(document.createTextNode(` · ${new Date(v.uploadedAt).toLocaleString()} · ${formatFileSize(v.size)} `));
+    head.appendChild(lateLabel(v));
+    if (v.version === sub.version) {
+      const marker = document.createElement('span');
+      marker.className = 'version-marker';
+      marker.textContent = 'Graded version';
+      head.appendChild(document.createTextNode(' '));
+      head.appendChild(marker);
+    }
+    li.appendChild(head);
+    if (v.sha256) {
+      const hash = document.createElement('code');
+      hash.className = 'version-hash';
+      hash.textContent = `SHA-256 ${v.sha256}`;
+      li.appendChild(hash);
+    }
+    const actions = document.createElement('div');
+    actions.className = 'version-actions';
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'btn-grey';
+    viewBtn.textContent = 'View';
+    viewBtn.addEventListener('click', () => {
+      const rel = v.filePath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+      openPdfModal('/' + rel, `Version ${v.version}`);
+    });
+    actions.appendChild(viewBtn);
+    if (onSelect && v.version !== sub.version) {
+      const selectBtn = document.createElement('button');
+      selectBtn.className = 'btn-blue';
+      selectBtn.textContent = 'Grade This Version';
+      selectBtn.addEventListener('click', () => onSelect(v.version));
+      actions.appendChild(selectBtn);
+    }
+    li.appendChild(actions);
+    list.appendChild(li);
+  });
+  return list;
+}
+
+/**
+ * Read the late policy inputs rendered by buildLatePolicyFields().
+ */
+function readLatePolicy(fields) {
+  return {
+    graceMinutes: fields.querySelector('[name="graceMinutes"]').value,
+    hardClose: fields.querySelector('[name="hardClose"]').checked,
+    penaltyPerDay: fields.querySelector('[name="penaltyPerDay"]').value,
+    maxLateDays: fields.querySelector('[name="maxLateDays"]').value,
+  };
+}
+
+/**
+ * Inputs for editing a late policy, prefilled from `policy`.
+ */
+function buildLatePolicyFields(policy) {
+  const p = policy || {};
+  const fields = document.createElement('div');
+  fields.className = 'late-policy-fields';
+  fields.innerHTML = `
+    <label>Grace period (minutes)<input type="number" min="0" name="graceMinutes" /></label>
+    <label>Penalty per day late (points)<input type="number" min="0" max="100" step="any" name="penaltyPerDay" /></label>
+    <label>Close after (days late, empty = never)<input type="number" min="0" step="any" name="maxLateDays" /></label>
+    <label class="checkbox-label"><input type="checkbox" name="hardClose" /> Hard close at the deadline</label>`;
+  fields.querySelector('[name="graceMinutes"]').value = p.graceMinutes || '';
+  fields.querySelector('[name="penaltyPerDay"]').value = p.penaltyPerDay || '';
+  fields.querySelector('[name="maxLateDays"]').value = p.maxLateDays === null || p.maxLateDays === undefined ? '' : p.maxLateDays;
+  fields.querySelector('[name="hardClose"]').checked = !!p.hardClose;
+  return fields;
+}
+
 /**
  * Load overall grade statistics for the current user and update the home page
  * dashboard. Called after login/registration. Hides the card if no grades.
@@ -188,1758 +451,5167 @@ async function loadMyOverall() {
     details.style.fontSize = '0.85rem';
     details.textContent = `Graded assignments: ${data.count}`;
     card.appendChild(details);
+    (data.categories || []).forEach((c) => {
+      const line = document.createElement('p');
+      line.style.fontSize = '0.85rem';
+      line.style.margin = '0';
+      line.textContent = `${c.name} (weight ${c.weight}): ${c.average == null ? '—' : c.average}`;
+      card.appendChild(line);
+    });
     card.style.display = 'block';
   } catch (e) {
     console.error('Failed to load overall grade', e);
   }
 }
 
-// Setup event listeners once DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-  // Configure pdf.js for CJK (Chinese/Japanese/Korean) support. Setting cMapUrl,
-  // cMapPacked and standardFontDataUrl ensures fonts render correctly for
-  // documents with non‑Latin characters. If pdfjsLib is available, apply
-  // these options globally. WorkerSrc should already be configured when
-  // loading the library.
-  if (window.pdfjsLib) {
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
-    pdfjsLib.GlobalWorkerOptions.cMapUrl = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@2.16.105/cmaps/';
-    pdfjsLib.GlobalWorkerOptions.cMapPacked = true;
-    pdfjsLib.GlobalWorkerOptions.standardFontDataUrl = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@2.16.105/standard_fonts/';
-  }
-  // Restore user and token from localStorage if available
-  const storedUser = localStorage.getItem('courseUser');
-  const storedToken = localStorage.getItem('courseToken');
-  if (storedUser && storedToken) {
-    currentUser = JSON.parse(storedUser);
-    authToken = storedToken;
-    initForLoggedInUser();
-  } else {
-    initForGuest();
-  }
-
-  // Handle password reset link: if the URL hash contains a reset token
-  // e.g. #reset?email=xxx@yyy.com&token=abcdef, we pre‑populate the reset
-  // password form and navigate to the reset password section. This runs
-  // regardless of login state so that a user can reset their password
-  // without being logged in. After reset, the user can log in normally.
+/**
+ * Admin gradebook: grading categories, the letter scale, the category of each
+ * assignment and the grid of every student by every assignment with manual
+ * override cells and the final grade.
+ */
+async function loadGradebook() {
+  const settingsEl = document.getElementById('gradebookSettings');
+  const gridEl = document.getElementById('gradebookGrid');
+  if (!settingsEl || !gridEl || !currentUser || currentUser.role !== 'admin') return;
+  let data;
   try {
-    const hash = window.location.hash || '';
-    if (hash.startsWith('#reset')) {
-      const params = new URLSearchParams(hash.replace(/^#reset\??/, ''));
-      const email = params.get('email');
-      const token = params.get('token');
-      if (email && token) {
-        // Fill form fields
-        const emailInput = document.getElementById('resetPasswordEmail');
-        const tokenInput = document.getElementById('resetTokenInput');
-        if (emailInput) emailInput.value = email;
-        if (tokenInput) tokenInput.value = token;
-        // Navigate to reset password section exclusively
-        showSection('reset-password-section');
-        setActiveNav(null);
-      }
-    }
+    const res = await fetchAuth('/api/gradebook');
+    data = await res.json();
+    if (!res.ok) throw new Error(data.error);
   } catch (err) {
-    console.error('Failed to parse reset token from URL', err);
+    console.error('Failed to load gradebook', err);
+    gridEl.textContent = 'Failed to load gradebook.';
+    return;
   }
+  gradeScale = data.settings.letterScale;
+  renderGradebookSettings(settingsEl, data);
+  renderGradebookGrid(gridEl, data);
+}
 
-  // Attach navigation handler for all nav buttons
-  $$('.nav-links button').forEach((btn) => {
-    btn.addEventListener('click', () => {
-      const section = btn.dataset.section;
-      // Always hide the notifications dropdown when switching sections
-      const panel = document.getElementById('notificationPanel');
-      if (panel) panel.classList.add('hidden');
-      showSection(section + '-section');
-      setActiveNav(btn);
-      // Load additional content when navigating to specific sections
-      if (section === 'home') {
-        // Refresh home panels when navigating back
-        loadAnnouncements();
-        loadHomeAssignments();
-        loadHomeThreads();
-      } else if (section === 'admin') {
-        loadAdminThreads();
-        loadPendingStudents();
-        loadStudentList();
-      }
+function renderGradebookSettings(container, data) {
+  container.innerHTML = '';
+  const categories = data.settings.categories.map((c) => Object.assign({}, c));
+  const scale = data.settings.letterScale.map((l) => Object.assign({}, l));
+
+  function editableTable(rows, columns, onRemove) {
+    const table = document.createElement('table');
+    table.className = 'gradebook-settings-table';
+    const head = document.createElement('tr');
+    columns.forEach((col) => {
+      const th = document.createElement('th');
+      th.textContent = col.label;
+      head.appendChild(th);
+    });
+    head.appendChild(document.createElement('th'));
+    table.appendChild(head);
+    rows.forEach((row, i) => {
+      const tr = document.createElement('tr');
+      columns.forEach((col) => {
+        const td = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = col.type || 'text';
+        if (col.type === 'number') input.step = 'any';
+        input.value = row[col.key] === undefined ? '' : row[col.key];
+        input.addEventListener('input', () => {
+          row[col.key] = col.type === 'number' ? Number(input.value) : input.value;
+        });
+        td.appendChild(input);
+        tr.appendChild(td);
+      });
+      const td = document.createElement('td');
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'btn-grey';
+      del.textContent = '×';
+      del.addEventListener('click', () => onRemove(i));
+      td.appendChild(del);
+      tr.appendChild(td);
+      table.appendChild(tr);
+    });
+    return table;
+  }
+
+  const catTitle = document.createElement('h4');
+  catTitle.textContent = 'Categories';
+  const catWrap = document.createElement('div');
+  const scaleTitle = document.createElement('h4');
+  scaleTitle.textContent = 'Letter Grade Scale';
+  const scaleWrap = document.createElement('div');
+  function renderTables() {
+    catWrap.innerHTML = '';
+    catWrap.appendChild(editableTable(categories, [
+      { key: 'name', label: 'Name' },
+      { key: 'weight', label: 'Weight', type: 'number' },
+      { key: 'dropLowest', label: 'Drop lowest', type: 'number' },
+    ], (i) => { categories.splice(i, 1); renderTables(); }));
+    const addCat = document.createElement('button');
+    addCat.type = 'button';
+    addCat.className = 'btn-grey';
+    addCat.textContent = '+ Add Category';
+    addCat.addEventListener('click', () => {
+      categories.push({ name: '', weight: 0, dropLowest: 0 });
+      renderTables();
+    });
+    catWrap.appendChild(addCat);
+    scaleWrap.innerHTML = '';
+    scaleWrap.appendChild(editableTable(scale, [
+      { key: 'label', label: 'Letter' },
+      { key: 'min', label: 'Minimum score', type: 'number' },
+      { key: 'color', label: 'Colour', type: 'color' },
+    ], (i) => { scale.splice(i, 1); renderTables(); }));
+    const addLetter = document.createElement('button');
+    addLetter.type = 'button';
+    addLetter.className = 'btn-grey';
+    addLetter.textContent = '+ Add Letter';
+    addLetter.addEventListener('click', () => {
+      scale.push({ label: '', min: 0, color: '#8e8e93' });
+      renderTables();
+    });
+    scaleWrap.appendChild(addLetter);
+  }
+  renderTables();
+  container.appendChild(catTitle);
+  const catHint = document.createElement('p');
+  catHint.className = 'meta';
+  catHint.textContent = 'Weights are relative. Once categories exist, only categorized assignments count toward the final grade.';
+  container.appendChild(catHint);
+  container.appendChild(catWrap);
+  container.appendChild(scaleTitle);
+  container.appendChild(scaleWrap);
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn-blue';
+  saveBtn.style.marginTop = '0.75rem';
+  saveBtn.textContent = 'Save Gradebook Settings';
+  saveBtn.addEventListener('click', async () => {
+    const resp = await fetchAuth('/api/gradebook/settings', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ categories, letterScale: scale }),
     });
+    const result = await resp.json();
+    if (resp.ok) {
+      alert('Gradebook settings saved');
+      loadGradebook();
+    } else {
+      alert(result.error || 'Failed to save settings');
+    }
   });
+  container.appendChild(saveBtn);
 
-  // Configure pdf.js worker globally once loaded. Without this the library will try
-  // to load its worker relative to the current origin, which may fail in our
-  // environment. We set it to a CDN version matching the pdf.js script loaded in
-  // index.html.
-  if (window.pdfjsLib) {
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
+  // Category of each assignment
+  if (data.settings.categories.length && data.assignments.length) {
+    const assignTitle = document.createElement('h4');
+    assignTitle.textContent = 'Assignment Categories';
+    container.appendChild(assignTitle);
+    data.assignments.forEach((a) => {
+      const row = document.createElement('div');
+      row.className = 'gradebook-category-row';
+      const label = document.createElement('span');
+      label.textContent = a.quiz ? `${a.title} (quiz)` : a.title;
+      const select = document.createElement('select');
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = 'Uncategorized';
+      select.appendChild(none);
+      data.settings.categories.forEach((c) => {
+        const opt = document.createElement('option');
+        opt.value = c.id;
+        opt.textContent = c.name;
+        select.appendChild(opt);
+      });
+      select.value = a.categoryId || '';
+      select.addEventListener('change', async () => {
+        let resp;
+        if (a.quiz) {
+          resp = await fetchAuth(`/api/quizzes/${a.id}/category`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ categoryId: select.value }),
+          });
+        } else {
+          const formData = new FormData();
+          formData.append('categoryId', select.value);
+          resp = await fetchAuth(`/api/assignments/${a.id}`, { method: 'PUT', body: formData });
+        }
+        if (resp.ok) {
+          loadGradebook();
+        } else {
+          const msg = await resp.json();
+          alert(msg.error || 'Failed to update category');
+        }
+      });
+      row.appendChild(label);
+      row.appendChild(select);
+      container.appendChild(row);
+    });
   }
+}
 
-  // Load overall grade dashboard if logged in
-  if (currentUser) {
-    loadMyOverall();
+function renderGradebookGrid(container, data) {
+  container.innerHTML = '';
+  if (!data.rows.length) {
+    container.textContent = 'No approved students yet.';
+    return;
   }
+  const categoryName = {};
+  data.settings.categories.forEach((c) => { categoryName[c.id] = c.name; });
+  const wrapper = document.createElement('div');
+  wrapper.className = 'gradebook-wrapper';
+  const table = document.createElement('table');
+  table.className = 'gradebook-grid';
+  const head = document.createElement('tr');
+  const addTh = (text, sub) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    if (sub) {
+      const small = document.createElement('small');
+      small.textContent = sub;
+      th.appendChild(document.createElement('br'));
+      th.appendChild(small);
+    }
+    head.appendChild(th);
+  };
+  addTh('Student');
+  data.assignments.forEach((a) => {
+    const category = a.categoryId ? categoryName[a.categoryId] : (data.settings.categories.length ? 'Uncategorized' : '');
+    addTh(a.title, a.quiz ? ['Quiz', category].filter(Boolean).join(' · ') : category);
+  });
+  data.settings.categories.forEach((c) => addTh(c.name, `weight ${c.weight}` + (c.dropLowest ? `, drop ${c.dropLowest}` : '')));
+  addTh('Final');
+  addTh('Letter');
+  table.appendChild(head);
 
-  // New discussion thread submission
-  const newThreadForm = document.getElementById('newThreadForm');
-  if (newThreadForm) {
-    newThreadForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      if (!currentUser) {
-        alert('Please login to post a thread.');
+  data.rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    const nameTd = document.createElement('td');
+    nameTd.className = 'gradebook-student';
+    nameTd.textContent = row.student.name + (row.student.studentId ? ` (${row.student.studentId})` : '');
+    nameTd.title = row.student.email;
+    tr.appendChild(nameTd);
+    data.assignments.forEach((a) => {
+      const cell = row.cells[a.id];
+      const td = document.createElement('td');
+      if (cell.anonymous) {
+        // Graded anonymously: scores appear once identities are revealed
+        td.className = 'gradebook-cell empty';
+        td.textContent = 'anonymous';
+        td.title = 'Graded anonymously. Reveal the students to see these grades here.';
+        tr.appendChild(td);
         return;
       }
-      // Prevent pending students from posting
-      if (currentUser.role === 'pendingStudent' || currentUser.approved === false) {
-        alert('Your registration is still pending approval; you cannot post threads yet.');
-        return;
+      td.className = 'gradebook-cell editable';
+      if (cell.score !== null) {
+        td.textContent = cell.score;
+      } else {
+        td.textContent = cell.submitted ? 'ungraded' : '—';
+        td.classList.add('empty');
       }
-      const titleVal = document.getElementById('threadTitle').value.trim();
-      const contentVal = document.getElementById('threadContent').value.trim();
-      const fileInput = document.getElementById('threadFile');
-      if (!titleVal || !contentVal) return;
-      const formData = new FormData();
-      formData.append('title', titleVal);
-      formData.append('content', contentVal);
-      formData.append('authorName', currentUser.name);
-      formData.append('authorEmail', currentUser.email);
-      formData.append('authorRole', currentUser.role);
-      if (fileInput && fileInput.files.length) {
-        formData.append('file', fileInput.files[0]);
+      const tips = [];
+      if (cell.overridden) {
+        td.classList.add('overridden');
+        tips.push(`Override${cell.note ? `: ${cell.note}` : ''}` + (cell.grade !== null ? ` (graded ${cell.grade})` : ''));
       }
-      const resp = await fetchAuth('/api/forum', {
-        method: 'POST',
-        body: formData,
-      });
-      if (resp.ok) {
-        document.getElementById('threadTitle').value = '';
-        document.getElementById('threadContent').value = '';
-        if (fileInput) fileInput.value = '';
-        loadDiscussions();
-        loadHomeThreads();
-        if (currentUser && currentUser.role === 'admin') {
-          loadAdminThreads();
-        }
-        alert('Thread posted');
-      } else {
-        const msg = await resp.json();
-        alert(msg.error || 'Failed to post thread');
+      if (cell.latePenalty && !cell.overridden) tips.push(`Graded ${cell.grade}, late penalty −${cell.latePenalty}`);
+      if (cell.dropped) {
+        td.classList.add('dropped');
+        tips.push('Dropped (lowest in category)');
       }
+      td.title = tips.join('\n');
+      td.addEventListener('click', () => editGradeOverride(row.student, a, cell));
+      tr.appendChild(td);
     });
+    data.settings.categories.forEach((c) => {
+      const td = document.createElement('td');
+      td.className = 'gradebook-cell category';
+      const cat = row.categories[c.id];
+      td.textContent = cat && cat.average !== null ? cat.average : '—';
+      tr.appendChild(td);
+    });
+    const finalTd = document.createElement('td');
+    finalTd.className = 'gradebook-cell final editable';
+    finalTd.textContent = row.final.score !== null ? row.final.score : '—';
+    if (row.final.overridden) {
+      finalTd.classList.add('overridden');
+      finalTd.title = `Override${row.final.note ? `: ${row.final.note}` : ''}`;
+    }
+    finalTd.addEventListener('click', () => editGradeOverride(row.student, null, row.final));
+    tr.appendChild(finalTd);
+    const letterTd = document.createElement('td');
+    letterTd.className = 'gradebook-cell final';
+    letterTd.textContent = row.final.letter || '—';
+    if (row.final.color) letterTd.style.color = row.final.color;
+    tr.appendChild(letterTd);
+    table.appendChild(tr);
+  });
+  wrapper.appendChild(table);
+  container.appendChild(wrapper);
+}
+
+/**
+ * Prompt for a manual override of one gradebook cell. `assignment` null edits
+ * the final grade. Saving an empty value removes the override.
+ */
+async function editGradeOverride(student, assignment, cell) {
+  const what = assignment ? assignment.title : 'final grade';
+  const result = await Swal.fire({
+    title: `Override ${what}`,
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        <label>${student.name}: grade (leave empty to remove the override)<input type="number" min="0" step="any" id="overrideGrade" /></label>
+        <label>Note<input type="text" id="overrideNote" /></label>
+      </div>`,
+    didOpen: () => {
+      document.getElementById('overrideGrade').value = cell.overridden ? cell.score : '';
+      document.getElementById('overrideNote').value = cell.note || '';
+    },
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    confirmButtonColor: '#007aff',
+    preConfirm: () => ({
+      grade: document.getElementById('overrideGrade').value,
+      note: document.getElementById('overrideNote').value,
+    }),
+  });
+  if (!result.isConfirmed) return;
+  const resp = await fetchAuth('/api/gradebook/overrides', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      studentEmail: student.email,
+      assignmentId: assignment ? assignment.id : null,
+      grade: result.value.grade,
+      note: result.value.note,
+    }),
+  });
+  if (resp.ok) {
+    loadGradebook();
+  } else {
+    const msg = await resp.json();
+    alert(msg.error || 'Failed to save override');
   }
+}
 
-  // New private message submission
-  const newMessageForm = document.getElementById('newMessageForm');
-  if (newMessageForm) {
-    newMessageForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      if (!currentUser) {
-        alert('Please login to send a message.');
-        return;
-      }
-      const recipient = document.getElementById('messageRecipient').value.trim();
-      const subject = document.getElementById('messageSubject').value.trim();
-      const content = document.getElementById('messageContent').value.trim();
-      if (!recipient || !subject || !content) {
-        alert('Please complete all fields.');
-        return;
-      }
-      try {
-        const body = {
-          fromName: currentUser.name,
-          fromEmail: currentUser.email,
-          toEmail: recipient,
-          subject,
-          content,
-        };
-        const resp = await fetchAuth('/api/messages', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(body),
-        });
-        if (resp.ok) {
-          alert('Message sent');
-          document.getElementById('newMessageForm').reset();
-          loadMessages();
-        } else {
-          const msg = await resp.json();
-          alert(msg.error || 'Failed to send message');
-        }
-      } catch (err) {
-        console.error('Send message failed', err);
-        alert('Error sending message');
-      }
-    });
+/**
+ * Collapsible list of the grades a submission had before it was regraded.
+ * Returns null when the grade never changed.
+ *
+ * @param {Object} sub Submission
+ */
+function renderGradeHistory(sub) {
+  if (!Array.isArray(sub.gradeHistory) || !sub.gradeHistory.length) return null;
+  const details = document.createElement('details');
+  details.className = 'grade-history';
+  const summary = document.createElement('summary');
+  summary.textContent = `Previous grades (${sub.gradeHistory.length})`;
+  details.appendChild(summary);
+  const list = document.createElement('ul');
+  sub.gradeHistory.slice().reverse().forEach((entry) => {
+    const li = document.createElement('li');
+    const who = entry.memberEmail ? `${entry.memberEmail}: ` : '';
+    li.textContent = `${who}${entry.grade} – replaced ${new Date(entry.replacedAt).toLocaleString()} (${entry.reason})`;
+    list.appendChild(li);
+  });
+  details.appendChild(list);
+  return details;
+}
+
+/**
+ * Student section below a graded submission listing its regrade requests,
+ * with a button to open a new one while the regrade window is open.
+ *
+ * @param {Object} assn Assignment
+ * @param {Object} sub The student's graded submission
+ */
+async function buildRegradeSection(assn, sub) {
+  const section = document.createElement('div');
+  section.className = 'regrade-section';
+  const h4 = document.createElement('h4');
+  h4.textContent = 'Regrade Requests';
+  section.appendChild(h4);
+  let requests = [];
+  try {
+    const res = await fetchAuth('/api/regrade-requests');
+    requests = (await res.json()).filter((r) => r.submissionId === sub.id);
+  } catch (err) {
+    console.error('Failed to load regrade requests', err);
+  }
+  requests.forEach((r) => section.appendChild(renderRegradeRequest(r, assn)));
+  const deadline = sub.regradeDeadline ? new Date(sub.regradeDeadline) : null;
+  const windowOpen = !deadline || Date.now() <= deadline.getTime();
+  const note = document.createElement('div');
+  note.className = 'meta';
+  if (!windowOpen) {
+    note.textContent = `The regrade window closed on ${deadline.toLocaleString()}.`;
+    section.appendChild(note);
+  } else if (requests.some((r) => r.status === 'open')) {
+    note.textContent = 'Your regrade request is waiting for a TA.';
+    section.appendChild(note);
+  } else {
+    if (deadline) {
+      note.textContent = `You can request a regrade until ${deadline.toLocaleString()}.`;
+      section.appendChild(note);
+    }
+    const btn = document.createElement('button');
+    btn.className = 'btn-yellow';
+    btn.style.marginTop = '0.5rem';
+    btn.textContent = 'Request Regrade';
+    btn.addEventListener('click', () => openRegradeDialog(assn, sub));
+    section.appendChild(btn);
   }
+  return section;
+}
 
-  // Chat: start new conversation
-  const startConversationForm = document.getElementById('startConversationForm');
-  if (startConversationForm) {
-    startConversationForm.addEventListener('submit', (e) => {
-      e.preventDefault();
-      if (!currentUser) {
-        alert('Please login to start a conversation.');
-        return;
-      }
-      const email = document.getElementById('newConversationEmail').value.trim();
-      if (!email) return;
-      currentConversation = email;
-      document.getElementById('newConversationEmail').value = '';
-      // Render a blank conversation; messages will load when refreshed
-      renderConversation(email, []);
-    });
+/**
+ * One regrade request as a card. Shared by the student's assignment page and
+ * the admin queue.
+ */
+function renderRegradeRequest(request, assn) {
+  const card = document.createElement('div');
+  card.className = 'regrade-request';
+  const head = document.createElement('div');
+  const badge = document.createElement('span');
+  badge.className = `regrade-status ${request.status}`;
+  badge.textContent = request.status;
+  head.appendChild(badge);
+  head.appendChild(document.createTextNode(` ${new Date(request.createdAt).toLocaleString()} – grade at request: ${request.previousGrade}`));
+  card.appendChild(head);
+  const reason = document.createElement('p');
+  reason.textContent = request.reason;
+  card.appendChild(reason);
+  const pointers = [];
+  if (request.page) pointers.push(`Page ${request.page}`);
+  if (request.criterionId && assn && assn.rubric) {
+    const criterion = assn.rubric.criteria.find((c) => c.id === request.criterionId);
+    if (criterion) pointers.push(`Rubric item: ${criterion.title}`);
+  }
+  if (request.questionId && assn && assn.questions) {
+    const question = assn.questions.find((q) => q.id === request.questionId);
+    if (question) pointers.push(`Problem: ${question.title}`);
+  }
+  if (pointers.length) {
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = pointers.join(' · ');
+    card.appendChild(meta);
+  }
+  if (request.status !== 'open') {
+    const outcome = document.createElement('div');
+    outcome.className = 'meta';
+    outcome.textContent = `Resolved ${new Date(request.resolvedAt).toLocaleString()}` +
+      (request.status === 'accepted' ? ` – new grade ${request.newGrade}` : '') +
+      (request.response ? ` – ${request.response}` : '');
+    card.appendChild(outcome);
   }
+  return card;
+}
 
-  // Chat: send message in conversation
-  const chatInputForm = document.getElementById('chatInputForm');
-  if (chatInputForm) {
-    chatInputForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      if (!currentUser) {
-        alert('Please login to send a message.');
-        return;
-      }
-      if (!currentConversation) {
-        alert('Please select or start a conversation.');
-        return;
-      }
-      const textarea = document.getElementById('chatInput');
-      const content = textarea.value.trim();
-      if (!content) return;
-      try {
-        const body = {
-          fromName: currentUser.name,
-          fromEmail: currentUser.email,
-          toEmail: currentConversation,
-          subject: '',
-          content,
-        };
-        const resp = await fetchAuth('/api/messages', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(body),
-        });
-        if (resp.ok) {
-          textarea.value = '';
-          await loadMessages();
-          // After reload, conversation will re-render with new message
-        } else {
-          const msg = await resp.json();
-          alert(msg.error || 'Failed to send message');
-        }
-      } catch (err) {
-        console.error('Send message error', err);
-        alert('Error sending message');
+/**
+ * Dialog in which a student explains why their submission should be
+ * regraded, optionally naming a page and a rubric criterion or problem.
+ */
+async function openRegradeDialog(assn, sub) {
+  const criterionOptions = assn.rubric
+    ? '<option value="">—</option>' + assn.rubric.criteria
+      .map((c) => `<option value="${c.id}">${c.title.replace(/</g, '&lt;')}</option>`)
+      .join('')
+    : '';
+  const questionOptions = assn.questions
+    ? '<option value="">—</option>' + assn.questions
+      .map((q, i) => `<option value="${q.id}">${i + 1}. ${q.title.replace(/</g, '&lt;')}</option>`)
+      .join('')
+    : '';
+  const result = await Swal.fire({
+    title: 'Request Regrade',
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        <label>Why should this submission be regraded?<textarea id="regradeReason" rows="5"></textarea></label>
+        <label>Page (optional)<input type="number" min="1" step="1" id="regradePage" /></label>
+        ${assn.rubric ? `<label>Rubric item (optional)<select id="regradeCriterion">${criterionOptions}</select></label>` : ''}
+        ${assn.questions ? `<label>Problem (optional)<select id="regradeQuestion">${questionOptions}</select></label>` : ''}
+      </div>`,
+    showCancelButton: true,
+    confirmButtonText: 'Submit Request',
+    confirmButtonColor: '#007aff',
+    preConfirm: () => {
+      const reason = document.getElementById('regradeReason').value.trim();
+      if (!reason) {
+        Swal.showValidationMessage('Please explain your request');
+        return false;
       }
-    });
+      const criterion = document.getElementById('regradeCriterion');
+      const question = document.getElementById('regradeQuestion');
+      return {
+        reason,
+        page: document.getElementById('regradePage').value,
+        criterionId: criterion ? criterion.value : '',
+        questionId: question ? question.value : '',
+      };
+    },
+  });
+  if (!result.isConfirmed) return;
+  const resp = await fetchAuth(`/api/assignments/${assn.id}/submissions/${sub.id}/regrade-requests`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(result.value),
+  });
+  const data = await resp.json();
+  if (resp.ok) {
+    alert('Your regrade request has been sent to the TAs.');
+    openAssignmentPage(assn);
+  } else {
+    alert(data.error || 'Failed to submit regrade request');
   }
+}
 
-  // Student mute/unmute actions (admin)
-  const muteBtn = document.getElementById('muteBtn');
-  const unmuteBtn = document.getElementById('unmuteBtn');
-  if (muteBtn) {
-    muteBtn.addEventListener('click', async () => {
-      const input = document.getElementById('muteStudentId');
-      const sid = input.value.trim();
-      if (!sid) {
-        alert('Please enter a student ID.');
-        return;
-      }
-      const ok = await sweetConfirm('Mute this student? They will be unable to post or submit.');
-      if (!ok) return;
-      await fetchAuth(`/api/students/${encodeURIComponent(sid)}/mute`, { method: 'POST' });
-      alert('Student muted');
-      loadStudentList();
-    });
+/**
+ * Admin queue of regrade requests, filtered by status.
+ */
+async function loadRegradeRequests() {
+  const listEl = document.getElementById('regradeList');
+  const filter = document.getElementById('regradeStatusFilter');
+  if (!listEl) return;
+  const status = filter ? filter.value : 'open';
+  listEl.innerHTML = '';
+  let requests;
+  let assignmentsList;
+  try {
+    const [reqRes, assnRes] = await Promise.all([
+      fetchAuth('/api/regrade-requests' + (status ? `?status=${status}` : '')),
+      fetch('/api/assignments'),
+    ]);
+    requests = await reqRes.json();
+    assignmentsList = await assnRes.json();
+  } catch (err) {
+    console.error('Failed to load regrade requests', err);
+    return;
   }
-  if (unmuteBtn) {
-    unmuteBtn.addEventListener('click', async () => {
-      const input = document.getElementById('muteStudentId');
-      const sid = input.value.trim();
-      if (!sid) {
-        alert('Please enter a student ID.');
-        return;
-      }
-      const ok2 = await sweetConfirm('Unmute this student?');
-      if (!ok2) return;
-      await fetchAuth(`/api/students/${encodeURIComponent(sid)}/unmute`, { method: 'POST' });
-      alert('Student unmuted');
-      loadStudentList();
-    });
+  if (!requests.length) {
+    listEl.textContent = 'No regrade requests.';
+    return;
   }
+  requests.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  requests.forEach((request) => {
+    const assn = assignmentsList.find((a) => a.id === request.assignmentId);
+    const card = renderRegradeRequest(request, assn);
+    const title = document.createElement('strong');
+    const who = request.anonymous ? request.studentName : `${request.studentName} <${request.studentEmail}>`;
+    title.textContent = `${who} – ${assn ? assn.title : 'Deleted assignment'}`;
+    card.insertBefore(title, card.firstChild);
+    if (request.status === 'open' && assn) {
+      const btnRow = document.createElement('div');
+      btnRow.style.display = 'flex';
+      btnRow.style.gap = '0.5rem';
+      btnRow.style.marginTop = '0.5rem';
+      const viewBtn = document.createElement('button');
+      viewBtn.className = 'btn-blue';
+      viewBtn.textContent = 'View Submission';
+      viewBtn.addEventListener('click', async () => {
+        const sub = await fetchRegradeSubmission(request);
+        if (sub) openGradeSubmissionPage(assn, sub);
+      });
+      const acceptBtn = document.createElement('button');
+      acceptBtn.className = 'btn-green';
+      acceptBtn.textContent = 'Accept';
+      acceptBtn.addEventListener('click', () => resolveRegradeRequest(request, assn, 'accepted'));
+      const rejectBtn = document.createElement('button');
+      rejectBtn.className = 'btn-red';
+      rejectBtn.textContent = 'Reject';
+      rejectBtn.addEventListener('click', () => resolveRegradeRequest(request, assn, 'rejected'));
+      btnRow.appendChild(viewBtn);
+      btnRow.appendChild(acceptBtn);
+      btnRow.appendChild(rejectBtn);
+      card.appendChild(btnRow);
+    }
+    listEl.appendChild(card);
+  });
+}
 
+async function fetchRegradeSubmission(request) {
+  const res = await fetchAuth(`/api/assignments/${request.assignmentId}/submissions`);
+  const subs = await res.json();
+  const sub = subs.find((s) => s.id === request.submissionId);
+  if (!sub) alert('The submission no longer exists.');
+  return sub || null;
+}
 
-  // TA invitation code settings (admin panel)
-  const inviteForm = document.getElementById('inviteCodeForm');
-  if (inviteForm) {
-    inviteForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const newCode = document.getElementById('taCodeInput').value.trim();
-      if (!newCode) {
-        alert('Please enter a code');
-        return;
-      }
-      try {
-        const resp = await fetchAuth('/api/taCode', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ code: newCode }),
-        });
-        const data = await resp.json();
-        if (!resp.ok) {
-          alert(data.error || 'Failed to update TA code');
-          return;
-        }
-        // Also update locally for convenience
-        localStorage.setItem('taInvitationCode', newCode);
-        document.getElementById('currentTaCode').textContent = newCode;
-        document.getElementById('taCodeInput').value = '';
-        alert('TA invitation code updated');
-      } catch (err) {
-        console.error('Update TA code error', err);
-        alert('An error occurred while updating TA code');
-      }
-    });
+/**
+ * Admin tab listing the signed-in TA's grading queue, grouped by assignment.
+ */
+async function loadGradingQueue() {
+  const listEl = document.getElementById('gradingQueueList');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+  let items;
+  let assignmentsList;
+  try {
+    const [queueRes, assnRes] = await Promise.all([fetchAuth('/api/grading-queue'), fetch('/api/assignments')]);
+    items = await queueRes.json();
+    assignmentsList = await assnRes.json();
+  } catch (err) {
+    console.error('Failed to load grading queue', err);
+    return;
+  }
+  if (!items.length) {
+    listEl.textContent = 'Nothing is assigned to you. Graders are set on each assignment\'s page.';
+    return;
   }
+  let currentAssignment = null;
+  items.forEach((item, index) => {
+    const assn = assignmentsList.find((a) => a.id === item.assignmentId);
+    if (item.assignmentId !== currentAssignment) {
+      currentAssignment = item.assignmentId;
+      const pending = items.filter((i) => i.assignmentId === item.assignmentId && !i.done).length;
+      const h4 = document.createElement('h4');
+      h4.textContent = `${item.assignmentTitle} – ${pending} to grade`;
+      listEl.appendChild(h4);
+    }
+    const row = document.createElement('div');
+    row.className = `grading-queue-item${item.done ? ' done' : ''}`;
+    const label = document.createElement('span');
+    label.textContent = item.submission.studentName;
+    const parts = assn && (assn.questions || (assn.rubric && assn.rubric.criteria));
+    if (item.questions && parts) {
+      const titles = item.questions.map((id) => (parts.find((q) => q.id === id) || {}).title).filter(Boolean);
+      label.textContent += ` – ${titles.join(', ')}`;
+    }
+    const status = document.createElement('span');
+    status.className = 'grading-queue-status';
+    status.textContent = item.done ? 'Done' : 'To grade';
+    row.appendChild(label);
+    row.appendChild(status);
+    row.addEventListener('click', () => openGradingQueueItem(items, index, assignmentsList));
+    listEl.appendChild(row);
+  });
+}
 
-  // Admin forms submissions
-  document.getElementById('adminAnnouncementForm')?.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    const title = $('#adminAnnouncementTitle').value.trim();
-    const content = $('#adminAnnouncementContent').value.trim();
-    if (!title || !content) return;
-    await fetchAuth('/api/announcements', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ title, content }),
-    });
-    $('#adminAnnouncementTitle').value = '';
-    $('#adminAnnouncementContent').value = '';
-    loadAnnouncements();
-    alert('Announcement posted');
+/**
+ * Open one queue item on the grading page, with previous/next navigation
+ * through the queue (buttons and the P/N keys).
+ */
+function openGradingQueueItem(items, index, assignmentsList) {
+  const item = items[index];
+  const assn = assignmentsList.find((a) => a.id === item.assignmentId);
+  if (!assn) return;
+  openGradeSubmissionPage(assn, item.submission, {
+    position: `${index + 1} / ${items.length}`,
+    previous: index > 0 ? () => openGradingQueueItem(items, index - 1, assignmentsList) : null,
+    next: index < items.length - 1 ? () => openGradingQueueItem(items, index + 1, assignmentsList) : null,
+    back: showGradingQueue,
+    afterSave: () => advanceGradingQueue(item),
   });
-  document.getElementById('adminAssignmentForm')?.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    const title = $('#adminAssignmentTitle').value.trim();
-    const description = $('#adminAssignmentDescription').value.trim();
-    const dueDate = $('#adminAssignmentDue').value;
-    const fileInput = $('#adminAssignmentFile');
-    if (!title || !dueDate || !fileInput.files.length) {
-      alert('Please complete all required fields and select a PDF.');
+}
+
+function showGradingQueue() {
+  showSection('admin-section');
+  setActiveNav(document.getElementById('adminNav'));
+  const tab = document.querySelector('.admin-nav button[data-admin-section="queue"]');
+  if (tab) tab.click();
+}
+
+/**
+ * After grading a queue item, go on to the next item still to grade (after
+ * the one just graded, wrapping around), or back to the queue when none is
+ * left.
+ */
+async function advanceGradingQueue(savedItem) {
+  try {
+    const [queueRes, assnRes] = await Promise.all([fetchAuth('/api/grading-queue'), fetch('/api/assignments')]);
+    const items = await queueRes.json();
+    const assignmentsList = await assnRes.json();
+    const at = items.findIndex((i) => i.submission.id === savedItem.submission.id);
+    const order = items.map((i, idx) => idx).filter((idx) => !items[idx].done);
+    const nextIndex = order.find((idx) => idx > at);
+    const target = nextIndex !== undefined ? nextIndex : order[0];
+    if (target === undefined) {
+      alert('Your grading queue is done.');
+      showGradingQueue();
       return;
     }
-    const formData = new FormData();
-    formData.append('title', title);
-    formData.append('description', description);
-    formData.append('dueDate', dueDate);
-    formData.append('file', fileInput.files[0]);
-    await fetchAuth('/api/assignments', {
-      method: 'POST',
-      body: formData,
-    });
-    $('#adminAssignmentTitle').value = '';
-    $('#adminAssignmentDescription').value = '';
-    $('#adminAssignmentDue').value = '';
-    fileInput.value = '';
-    loadAssignments();
-    alert('Assignment created');
+    openGradingQueueItem(items, target, assignmentsList);
+  } catch (err) {
+    console.error('Failed to load grading queue', err);
+    showGradingQueue();
+  }
+}
+
+// Previous/next handlers of the grading page when it was opened from the
+// grading queue, and of the grade-by-problem page
+let gradingQueueNav = null;
+
+document.addEventListener('keydown', (e) => {
+  if (!gradingQueueNav || e.ctrlKey || e.metaKey || e.altKey) return;
+  const visible = ['grade-submission-section', 'question-grading-section'].some((id) => {
+    const section = document.getElementById(id);
+    return section && !section.classList.contains('hidden');
   });
-  document.getElementById('adminResourceForm')?.addEventListener('submit', async (e) => {
+  if (!visible) return;
+  const target = e.target;
+  if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+  if (document.querySelector('.swal2-container')) return;
+  const key = e.key.toLowerCase();
+  if (key === 'n' && gradingQueueNav.next) {
     e.preventDefault();
-    const title = $('#adminResourceTitle').value.trim();
-    const fileInput = $('#adminResourceFile');
-    if (!title || !fileInput.files.length) return;
-    const formData = new FormData();
-    formData.append('title', title);
-    formData.append('file', fileInput.files[0]);
-    await fetchAuth('/api/resources', {
-      method: 'POST',
-      body: formData,
-    });
-    $('#adminResourceTitle').value = '';
-    fileInput.value = '';
-    loadResources();
-    alert('Resource uploaded');
-  });
-  document.getElementById('adminExamForm')?.addEventListener('submit', async (e) => {
+    gradingQueueNav.next();
+  } else if (key === 'p' && gradingQueueNav.previous) {
     e.preventDefault();
-    const title = $('#adminExamTitle').value.trim();
-    const date = $('#adminExamDate').value;
-    const description = $('#adminExamDescription').value.trim();
-    if (!title || !date || !description) return;
-    await fetchAuth('/api/exams', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ title, date, description }),
-    });
-    $('#adminExamTitle').value = '';
-    $('#adminExamDate').value = '';
-    $('#adminExamDescription').value = '';
-    loadExams();
-    alert('Exam created');
-  });
+    gradingQueueNav.previous();
+  }
+});
 
-  // Course information update
-  document.getElementById('courseInfoForm')?.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    const info = document.getElementById('courseInfoTextarea').value;
-    await fetchAuth('/api/courseInfo', {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ info }),
-    });
-    alert('Course information updated');
-    loadCourseInfo();
+/**
+ * Admin tab with every TA's grading progress on one assignment.
+ */
+async function loadGradingProgress() {
+  const select = document.getElementById('workloadAssignment');
+  if (!select) return;
+  const previous = select.value;
+  const res = await fetch('/api/assignments');
+  const assignmentsList = await res.json();
+  select.innerHTML = '';
+  assignmentsList.forEach((a) => {
+    const opt = document.createElement('option');
+    opt.value = a.id;
+    opt.textContent = a.title;
+    select.appendChild(opt);
   });
-
-  // Export grades (CSV) button for admins. Download a CSV of all submissions.
-  const exportGradesBtn = document.getElementById('exportGradesBtn');
-  if (exportGradesBtn) {
-    exportGradesBtn.addEventListener('click', async () => {
-      try {
-        const resp = await fetchAuth('/api/export/grades');
-        if (!resp.ok) {
-          const err = await resp.json().catch(() => ({}));
-          alert(err.error || 'Failed to export grades');
-          return;
-        }
-        const blob = await resp.blob();
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'grades.csv';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-      } catch (err) {
-        console.error('Export grades error', err);
-        alert('Failed to export grades');
-      }
-    });
+  if (!assignmentsList.length) {
+    document.getElementById('workloadReport').textContent = 'There are no assignments yet.';
+    return;
   }
+  if (previous && assignmentsList.some((a) => a.id === previous)) select.value = previous;
+  renderGradingProgress(select.value);
+}
 
-  // Toggle between login and register views for guests
-  const showRegisterLink = document.getElementById('showRegisterLink');
-  if (showRegisterLink) {
-    showRegisterLink.addEventListener('click', (e) => {
-      e.preventDefault();
-      document.getElementById('login-section').classList.add('hidden');
-      document.getElementById('register-section').classList.remove('hidden');
-      // Hide any reset sections when showing register
-      const reqSec = document.getElementById('reset-request-section');
-      const resetSec = document.getElementById('reset-password-section');
-      if (reqSec) reqSec.classList.add('hidden');
-      if (resetSec) resetSec.classList.add('hidden');
-    });
-  }
-  const showLoginLink = document.getElementById('showLoginLink');
-  if (showLoginLink) {
-    showLoginLink.addEventListener('click', (e) => {
-      e.preventDefault();
-      document.getElementById('register-section').classList.add('hidden');
-      document.getElementById('login-section').classList.remove('hidden');
-      // Hide reset sections when showing login
-      const reqSec = document.getElementById('reset-request-section');
-      const resetSec = document.getElementById('reset-password-section');
-      if (reqSec) reqSec.classList.add('hidden');
-      if (resetSec) resetSec.classList.add('hidden');
-    });
-  }
+function formatGradingTime(seconds) {
+  if (seconds === null || seconds === undefined) return '—';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes >= 60) return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  return minutes ? `${minutes} min ${seconds % 60} s` : `${seconds} s`;
+}
 
-  // Forgot password / reset navigation
-  const showResetRequestLink = document.getElementById('showResetRequestLink');
-  if (showResetRequestLink) {
-    showResetRequestLink.addEventListener('click', (e) => {
-      e.preventDefault();
-      // Navigate exclusively to the reset request page. This hides other pages
-      // including login/register and home. We clear nav highlight.
-      showSection('reset-request-section');
-      setActiveNav(null);
-    });
-  }
-  const showResetLink = document.getElementById('showResetLink');
-  if (showResetLink) {
-    showResetLink.addEventListener('click', (e) => {
-      e.preventDefault();
-      // Navigate exclusively to the reset password form page
-      showSection('reset-password-section');
-      setActiveNav(null);
-    });
-  }
-  // Back links for reset pages
-  const backReq = document.getElementById('backToLoginFromResetRequest');
-  if (backReq) {
-    backReq.addEventListener('click', (e) => {
-      e.preventDefault();
-      // Navigate back to the login page exclusively
-      showSection('login-section');
-      setActiveNav(null);
-    });
+/**
+ * Progress table of one assignment: per TA their share, time spent and
+ * average score. Graders whose average is far from the assignment's average
+ * are highlighted.
+ */
+async function renderGradingProgress(assignmentId) {
+  const el = document.getElementById('workloadReport');
+  if (!el || !assignmentId) return;
+  el.innerHTML = '';
+  let report;
+  try {
+    const res = await fetchAuth(`/api/assignments/${assignmentId}/grading-progress`);
+    report = await res.json();
+  } catch (err) {
+    console.error('Failed to load grading progress', err);
+    return;
   }
-  const backReset = document.getElementById('backToLoginFromReset');
-  if (backReset) {
-    backReset.addEventListener('click', (e) => {
-      e.preventDefault();
-      // Navigate back to the login page exclusively
-      showSection('login-section');
-      setActiveNav(null);
+  const summary = document.createElement('p');
+  summary.textContent = `${report.graded} of ${report.submissions} submissions graded` +
+    (report.average !== null ? ` · average ${report.average}` : '') +
+    (report.unassigned ? ` · ${report.unassigned} ungraded without a grader` : '') +
+    (report.mode ? '' : ' · submissions are not distributed among TAs');
+  el.appendChild(summary);
+  if (!report.graders.length) return;
+  const table = document.createElement('table');
+  table.className = 'grading-progress-table';
+  const head = document.createElement('tr');
+  ['Grader', 'Progress', 'Time spent', 'Per submission', report.mode === 'question' ? 'Average on their questions' : 'Average score'].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+  report.graders.forEach((g) => {
+    const tr = document.createElement('tr');
+    if (g.flagged) tr.className = 'flagged';
+    const cells = [
+      g.name,
+      g.assigned ? `${g.graded} / ${g.assigned}` : '—',
+      formatGradingTime(g.seconds),
+      formatGradingTime(g.secondsPerSubmission),
+      g.averageScore === null ? '—' : g.averageScore + (g.deviation === null ? '' : ` (${g.deviation > 0 ? '+' : ''}${g.deviation})`),
+    ];
+    cells.forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (i === 1 && g.assigned) {
+        const bar = document.createElement('div');
+        bar.className = 'grading-progress-bar';
+        const fill = document.createElement('div');
+        fill.style.width = `${Math.round((g.graded / g.assigned) * 100)}%`;
+        bar.appendChild(fill);
+        td.appendChild(bar);
+      }
+      tr.appendChild(td);
     });
+    table.appendChild(tr);
+  });
+  el.appendChild(table);
+  if (report.graders.some((g) => g.flagged)) {
+    const note = document.createElement('p');
+    note.className = 'grading-progress-note';
+    note.textContent = `Highlighted graders average more than ${report.threshold} points away from the assignment's average.`;
+    el.appendChild(note);
   }
+}
 
-  // Registration form submission
-  const registerForm = document.getElementById('registerForm');
-  if (registerForm) {
-    registerForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const name = document.getElementById('regName').value.trim();
-      const email = document.getElementById('regEmail').value.trim();
-      const password = document.getElementById('regPassword').value;
-      const role = document.getElementById('regRole').value;
-      const studentId = document.getElementById('regStudentId').value.trim();
-      const studentNameZh = document.getElementById('regStudentNameZh').value.trim();
-      const inviteCode = document.getElementById('regInvite').value.trim();
-      if (!name || !email || !password) {
-        alert('Please complete all required fields');
-        return;
+/**
+ * Accept (with a new grade, or new rubric levels for rubric-graded
+ * assignments) or reject a regrade request, with an optional response to the
+ * student.
+ */
+async function resolveRegradeRequest(request, assn, status) {
+  const accepting = status === 'accepted';
+  let rubricScores = null;
+  let questionScores = null;
+  let currentGrade = request.previousGrade;
+  if (accepting && (assn.rubric || assn.questions)) {
+    const sub = await fetchRegradeSubmission(request);
+    if (!sub) return;
+    rubricScores = Object.assign({}, sub.rubricScores || {});
+    // Submissions scored by problem are regraded problem by problem
+    if (assn.questions && sub.questionScores) questionScores = sub.questionScores;
+    currentGrade = sub.grade;
+  }
+  const structured = !!(assn.rubric || questionScores);
+  const result = await Swal.fire({
+    title: accepting ? 'Accept Regrade Request' : 'Reject Regrade Request',
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        ${accepting && !structured ? '<label>New grade<input type="number" min="0" step="any" id="regradeNewGrade" /></label>' : ''}
+        ${accepting && assn.rubric ? '<div id="regradeRubric"></div>' : ''}
+        ${accepting && questionScores ? '<div id="regradeQuestions"></div>' : ''}
+        <label>Response to the student (optional)<textarea id="regradeResponse" rows="3"></textarea></label>
+      </div>`,
+    width: accepting && structured ? 800 : undefined,
+    didOpen: () => {
+      const gradeInput = document.getElementById('regradeNewGrade');
+      if (gradeInput) gradeInput.value = currentGrade;
+      const rubricEl = document.getElementById('regradeRubric');
+      if (rubricEl) {
+        rubricEl.appendChild(buildRubricGrader(assn.rubric, rubricScores, (scores) => { rubricScores = scores; }));
       }
-      if (role === 'student' && (!studentId || !studentNameZh)) {
-        alert('Please provide your student ID and Chinese name');
-        return;
+      const questionsEl = document.getElementById('regradeQuestions');
+      if (questionsEl) {
+        const highlight = request.questionId ? [request.questionId] : [];
+        questionsEl.appendChild(buildQuestionGrader(assn.questions, questionScores, null, (scores) => { questionScores = scores; }, highlight));
       }
-      try {
-        const body = { name, email, password, role, studentId, studentNameZh, inviteCode };
-        const resp = await fetch('/api/auth/register', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(body),
-        });
-        const data = await resp.json();
-        if (!resp.ok) {
-          alert(data.error || 'Registration failed');
-          return;
+    },
+    showCancelButton: true,
+    confirmButtonText: accepting ? 'Accept' : 'Reject',
+    confirmButtonColor: accepting ? '#34c759' : '#ff3b30',
+    preConfirm: () => {
+      const body = { status, response: document.getElementById('regradeResponse').value };
+      if (accepting && assn.rubric) {
+        if (!rubricTotals(assn.rubric, rubricScores).complete) {
+          Swal.showValidationMessage('Select a level for every rubric criterion');
+          return false;
+        }
+        body.rubricScores = rubricScores;
+      } else if (accepting && questionScores) {
+        if (!questionTotals(assn.questions, questionScores).complete) {
+          Swal.showValidationMessage('Score every problem');
+          return false;
+        }
+        body.questionScores = questionScores;
+      } else if (accepting) {
+        body.grade = document.getElementById('regradeNewGrade').value;
+        if (body.grade === '') {
+          Swal.showValidationMessage('Please enter the new grade');
+          return false;
         }
-        authToken = data.token;
-        currentUser = data.user;
-        localStorage.setItem('courseToken', authToken);
-        localStorage.setItem('courseUser', JSON.stringify(currentUser));
-        alert('Registration successful');
-        initForLoggedInUser();
-      } catch (err) {
-        console.error('Registration error', err);
-        alert('An error occurred during registration');
       }
-    });
+      return body;
+    },
+  });
+  if (!result.isConfirmed) return;
+  const resp = await fetchAuth(`/api/regrade-requests/${request.id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(result.value),
+  });
+  const data = await resp.json();
+  if (resp.ok) {
+    loadRegradeRequests();
+  } else {
+    alert(data.error || 'Failed to resolve regrade request');
   }
+}
 
-  // Password reset request form
-  const resetRequestForm = document.getElementById('resetRequestForm');
-  if (resetRequestForm) {
-    resetRequestForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const email = document.getElementById('resetRequestEmail').value.trim();
-      if (!email) {
-        alert('Please enter your email');
-        return;
-      }
-      try {
-        const resp = await fetch('/api/auth/requestReset', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email }),
-        });
-        const data = await resp.json();
-        if (resp.ok) {
-          alert('If the email exists, a reset link has been sent. Please check your inbox.');
-          resetRequestForm.reset();
-        } else {
-          alert(data.error || 'Failed to request password reset');
-        }
-      } catch (err) {
-        console.error('Password reset request error', err);
-        alert('Request failed');
-      }
-    });
+// Setup event listeners once DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  // Configure pdf.js for CJK (Chinese/Japanese/Korean) support. Setting cMapUrl,
+  // cMapPacked and standardFontDataUrl ensures fonts render correctly for
+  // documents with non‑Latin characters. If pdfjsLib is available, apply
+  // these options globally. WorkerSrc should already be configured when
+  // loading the library.
+  if (window.pdfjsLib) {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
+    pdfjsLib.GlobalWorkerOptions.cMapUrl = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@2.16.105/cmaps/';
+    pdfjsLib.GlobalWorkerOptions.cMapPacked = true;
+    pdfjsLib.GlobalWorkerOptions.standardFontDataUrl = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@2.16.105/standard_fonts/';
+  }
+  // Restore user and token from localStorage if available
+  const storedUser = localStorage.getItem('courseUser');
+  const storedToken = localStorage.getItem('courseToken');
+  if (storedUser && storedToken) {
+    currentUser = JSON.parse(storedUser);
+    authToken = storedToken;
+    initForLoggedInUser();
+  } else {
+    initForGuest();
   }
 
-  // Password reset form (after approval)
-  const resetPasswordForm = document.getElementById('resetPasswordForm');
-  if (resetPasswordForm) {
-    resetPasswordForm.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const email = document.getElementById('resetPasswordEmail').value.trim();
-      const newPass = document.getElementById('newPassword').value;
-      const token = document.getElementById('resetTokenInput')?.value.trim();
-      if (!email || !newPass || !token) {
-        alert('Please enter your email, token and new password');
+  // Handle password reset link: if the URL hash contains a reset token
+  // e.g. #reset?email=xxx@yyy.com&token=abcdef, we pre‑populate the reset
+  // password form and navigate to the reset password section. This runs
+  // regardless of login state so that a user can reset their password
+  // without being logged in. After reset, the user can log in normally.
+  try {
+    const hash = window.location.hash || '';
+    if (hash.startsWith('#reset')) {
+      const params = new URLSearchParams(hash.replace(/^#reset\??/, ''));
+      const email = params.get('email');
+      const token = params.get('token');
+      if (email && token) {
+        // Fill form fields
+        const emailInput = document.getElementById('resetPasswordEmail');
+        const tokenInput = document.getElementById('resetTokenInput');
+        if (emailInput) emailInput.value = email;
+        if (tokenInput) tokenInput.value = token;
+        // Navigate to reset password section exclusively
+        showSection('reset-password-section');
+        setActiveNav(null);
+      }
+    }
+  } catch (err) {
+    console.error('Failed to parse reset token from URL', err);
+  }
+
+  // Attach navigation handler for all nav buttons
+  $$('.nav-links button').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const section = btn.dataset.section;
+      // Always hide the notifications dropdown when switching sections
+      const panel = document.getElementById('notificationPanel');
+      if (panel) panel.classList.add('hidden');
+      showSection(section + '-section');
+      setActiveNav(btn);
+      // Load additional content when navigating to specific sections
+      if (section === 'home') {
+        // Refresh home panels when navigating back
+        loadAnnouncements();
+        loadHomeAssignments();
+        loadHomeThreads();
+      } else if (section === 'quizzes') {
+        loadQuizzes();
+      } else if (section === 'calendar') {
+        loadCalendar();
+      } else if (section === 'admin') {
+        loadAdminThreads();
+        loadPendingStudents();
+        loadStudentList();
+      }
+    });
+  });
+
+  // Calendar toolbar
+  document.getElementById('calendarPrev')?.addEventListener('click', () => moveCalendar(-1));
+  document.getElementById('calendarNext')?.addEventListener('click', () => moveCalendar(1));
+  document.getElementById('calendarToday')?.addEventListener('click', () => {
+    calendarCursor = new Date();
+    renderCalendar();
+  });
+  $$('#calendar-section .calendar-views button').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      calendarView = btn.dataset.view;
+      renderCalendar();
+    });
+  });
+
+  // Anonymous posting option (TAs)
+  document.getElementById('adminAnonymousPosting')?.addEventListener('change', async (e) => {
+    const resp = await fetchAuth('/api/forum-settings', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ anonymousPosting: e.target.checked }),
+    });
+    if (resp.ok) {
+      forumSettings = await resp.json();
+      alert(forumSettings.anonymousPosting ? 'Students can now post anonymously' : 'Anonymous posting turned off');
+    } else {
+      e.target.checked = !e.target.checked;
+      alert('Failed to save the setting');
+    }
+  });
+
+  // Forum categories (TAs)
+  document.getElementById('adminCategoryForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = $('#adminCategoryName').value.trim();
+    if (!name) return;
+    const resp = await fetchAuth('/api/forum-categories', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, assignmentId: $('#adminCategoryAssignment').value || null }),
+    });
+    if (resp.ok) {
+      $('#adminCategoryName').value = '';
+      $('#adminCategoryAssignment').value = '';
+      loadForumCategories();
+    } else {
+      const msg = await resp.json().catch(() => ({}));
+      alert(msg.error || 'Failed to create the category');
+    }
+  });
+
+  // Thread list filters (all threads, questions, unanswered questions)
+  $$('#discussionFilters button, #homeThreadFilters button').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      btn.parentElement.querySelectorAll('button').forEach((b) => b.classList.toggle('active', b === btn));
+      if (btn.parentElement.id === 'homeThreadFilters') {
+        homeThreadFilter = btn.dataset.filter;
+        loadHomeThreads();
+      } else {
+        discussionFilter = btn.dataset.filter;
+        loadDiscussions();
+      }
+    });
+  });
+
+  // Global search
+  const globalSearchInput = document.getElementById('globalSearchInput');
+  globalSearchInput?.addEventListener('input', () => {
+    clearTimeout(globalSearchTimer);
+    globalSearchTimer = setTimeout(() => runGlobalSearch(globalSearchInput.value.trim()), 250);
+  });
+  globalSearchInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      clearTimeout(globalSearchTimer);
+      runGlobalSearch(globalSearchInput.value.trim());
+    } else if (e.key === 'Escape') {
+      closeGlobalSearch();
+      globalSearchInput.blur();
+    }
+  });
+  globalSearchInput?.addEventListener('focus', () => {
+    if (globalSearchInput.value.trim() && document.getElementById('globalSearchResults').children.length) {
+      document.getElementById('globalSearchResults').classList.remove('hidden');
+    }
+  });
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#globalSearch')) closeGlobalSearch();
+  });
+
+  // Configure pdf.js worker globally once loaded. Without this the library will try
+  // to load its worker relative to the current origin, which may fail in our
+  // environment. We set it to a CDN version matching the pdf.js script loaded in
+  // index.html.
+  if (window.pdfjsLib) {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
+  }
+
+  // Load overall grade dashboard if logged in
+  if (currentUser) {
+    loadMyOverall();
+  }
+
+  // New discussion thread submission
+  const newThreadForm = document.getElementById('newThreadForm');
+  if (newThreadForm) {
+    newThreadForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!currentUser) {
+        alert('Please login to post a thread.');
+        return;
+      }
+      // Prevent pending students from posting
+      if (currentUser.role === 'pendingStudent' || currentUser.approved === false) {
+        alert('Your registration is still pending approval; you cannot post threads yet.');
+        return;
+      }
+      const titleVal = document.getElementById('threadTitle').value.trim();
+      const contentVal = document.getElementById('threadContent').value.trim();
+      const fileInput = document.getElementById('threadFile');
+      if (!titleVal || !contentVal) return;
+      const formData = new FormData();
+      formData.append('title', titleVal);
+      formData.append('content', contentVal);
+      formData.append('type', document.getElementById('threadType').value);
+      formData.append('visibility', document.getElementById('threadVisibility').value);
+      const categoryVal = document.getElementById('threadCategory')?.value;
+      if (categoryVal) formData.append('categoryId', categoryVal);
+      const anonymousBox = document.getElementById('threadAnonymous');
+      if (anonymousBox && anonymousBox.checked && canPostAnonymously()) formData.append('anonymous', 'true');
+      if (fileInput && fileInput.files.length) {
+        formData.append('file', fileInput.files[0]);
+      }
+      const resp = await fetchAuth('/api/forum', {
+        method: 'POST',
+        body: formData,
+      });
+      if (resp.ok) {
+        document.getElementById('threadTitle').value = '';
+        document.getElementById('threadContent').value = '';
+        document.getElementById('threadType').value = 'discussion';
+        document.getElementById('threadVisibility').value = 'everyone';
+        if (anonymousBox) anonymousBox.checked = false;
+        if (fileInput) fileInput.value = '';
+        loadDiscussions();
+        loadHomeThreads();
+        if (currentUser && currentUser.role === 'admin') {
+          loadAdminThreads();
+        }
+        alert('Thread posted');
+      } else {
+        const msg = await resp.json();
+        alert(msg.error || 'Failed to post thread');
+      }
+    });
+  }
+
+  // New private message submission
+  const newMessageForm = document.getElementById('newMessageForm');
+  if (newMessageForm) {
+    newMessageForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!currentUser) {
+        alert('Please login to send a message.');
+        return;
+      }
+      const recipient = document.getElementById('messageRecipient').value.trim();
+      const subject = document.getElementById('messageSubject').value.trim();
+      const content = document.getElementById('messageContent').value.trim();
+      if (!recipient || !subject || !content) {
+        alert('Please complete all fields.');
         return;
       }
       try {
-        const resp = await fetch('/api/auth/reset', {
+        const body = {
+          toEmail: recipient,
+          subject,
+          content,
+        };
+        const resp = await fetchAuth('/api/messages', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email, token, newPassword: newPass }),
+          body: JSON.stringify(body),
         });
-        const data = await resp.json();
         if (resp.ok) {
-          alert('Password reset successfully. Please log in with your new password.');
-          // Redirect to login page after reset
-          showSection('login-section');
-          setActiveNav(null);
-          // Clear the URL hash so the token isn't reused
-          if (window.history && typeof window.history.replaceState === 'function') {
-            window.history.replaceState(null, document.title, window.location.pathname + window.location.search);
-          }
+          alert('Message sent');
+          document.getElementById('newMessageForm').reset();
+          loadMessages();
         } else {
-          alert(data.error || 'Failed to reset password');
+          const msg = await resp.json();
+          alert(msg.error || 'Failed to send message');
         }
       } catch (err) {
-        console.error('Reset password error', err);
-        alert('Reset failed');
+        console.error('Send message failed', err);
+        alert('Error sending message');
       }
     });
   }
 
-  // Login form submission
-  const loginForm = document.getElementById('loginForm');
-  if (loginForm) {
-    loginForm.addEventListener('submit', async (e) => {
+  // Chat: start new conversation
+  const startConversationForm = document.getElementById('startConversationForm');
+  if (startConversationForm) {
+    startConversationForm.addEventListener('submit', (e) => {
       e.preventDefault();
-      const email = document.getElementById('loginEmail').value.trim();
-      const password = document.getElementById('loginPassword').value;
-      if (!email || !password) {
-        alert('Please enter your email and password');
+      if (!currentUser) {
+        alert('Please login to start a conversation.');
+        return;
+      }
+      const email = document.getElementById('newConversationEmail').value.trim();
+      if (!email) return;
+      currentConversation = email;
+      document.getElementById('newConversationEmail').value = '';
+      // Render a blank conversation; messages will load when refreshed
+      renderConversation(email, []);
+    });
+  }
+
+  // Chat: send message in conversation
+  const chatInputForm = document.getElementById('chatInputForm');
+  if (chatInputForm) {
+    chatInputForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!currentUser) {
+        alert('Please login to send a message.');
+        return;
+      }
+      if (!currentConversation) {
+        alert('Please select or start a conversation.');
         return;
       }
+      const textarea = document.getElementById('chatInput');
+      const content = textarea.value.trim();
+      if (!content) return;
       try {
-        const resp = await fetch('/api/auth/login', {
+        const body = {
+          toEmail: currentConversation,
+          subject: '',
+          content,
+        };
+        const resp = await fetchAuth('/api/messages', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email, password }),
+          body: JSON.stringify(body),
         });
-        const data = await resp.json();
-        if (!resp.ok) {
-          alert(data.error || 'Login failed');
-          return;
+        if (resp.ok) {
+          textarea.value = '';
+          await loadMessages();
+          // After reload, conversation will re-render with new message
+        } else {
+          const msg = await resp.json();
+          alert(msg.error || 'Failed to send message');
         }
-        authToken = data.token;
-        currentUser = data.user;
-        localStorage.setItem('courseToken', authToken);
-        localStorage.setItem('courseUser', JSON.stringify(currentUser));
-        initForLoggedInUser();
       } catch (err) {
-        console.error('Login error', err);
-        alert('An error occurred during login');
+        console.error('Send message error', err);
+        alert('Error sending message');
       }
     });
   }
 
-  // Admin navigation: toggle between subsections when admin clicks a tab
-  const adminNavButtons = document.querySelectorAll('.admin-nav button');
-  if (adminNavButtons.length) {
-    adminNavButtons.forEach((btn) => {
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        // Highlight active
-        adminNavButtons.forEach((b) => b.classList.remove('active'));
-        btn.classList.add('active');
-        const target = btn.getAttribute('data-admin-section');
-        // Hide all admin subsections
-        document.querySelectorAll('.admin-subsection').forEach((sec) => sec.classList.add('hidden'));
-        // Show selected subsection
-        const activeSec = document.getElementById('admin-' + target);
-        if (activeSec) {
-          activeSec.classList.remove('hidden');
-        }
-        // Load specific admin data when navigating
-        if (target === 'resets') {
-          loadResetRequests();
-        } else if (target === 'taCode') {
-          loadTaCode();
-        } else if (target === 'discussions') {
-          loadAdminThreads();
-        } else if (target === 'students') {
-          loadPendingStudents();
-          loadStudentList();
-        }
-      });
+  // Student mute/unmute actions (admin)
+  const muteBtn = document.getElementById('muteBtn');
+  const unmuteBtn = document.getElementById('unmuteBtn');
+  if (muteBtn) {
+    muteBtn.addEventListener('click', async () => {
+      const input = document.getElementById('muteStudentId');
+      const sid = input.value.trim();
+      if (!sid) {
+        alert('Please enter a student ID.');
+        return;
+      }
+      const ok = await sweetConfirm('Mute this student? They will be unable to post or submit.');
+      if (!ok) return;
+      await fetchAuth(`/api/students/${encodeURIComponent(sid)}/mute`, { method: 'POST' });
+      alert('Student muted');
+      loadStudentList();
     });
-    // Set initial active section to info
-    const defaultBtn = document.querySelector('.admin-nav button[data-admin-section="info"]');
-    if (defaultBtn) {
-      defaultBtn.classList.add('active');
-      document.querySelectorAll('.admin-subsection').forEach((sec) => sec.classList.add('hidden'));
-      const initialSec = document.getElementById('admin-info');
-      if (initialSec) initialSec.classList.remove('hidden');
-    }
   }
-
-  // Register role change: toggle student/admin fields
-  const regRoleSelect = document.getElementById('regRole');
-  if (regRoleSelect) {
-    regRoleSelect.addEventListener('change', () => {
-      const role = regRoleSelect.value;
-      if (role === 'student') {
-        document.getElementById('regStudentFields').style.display = 'block';
-        document.getElementById('regTaField').classList.add('hidden');
-      } else {
-        document.getElementById('regStudentFields').style.display = 'none';
-        document.getElementById('regTaField').classList.remove('hidden');
+  if (unmuteBtn) {
+    unmuteBtn.addEventListener('click', async () => {
+      const input = document.getElementById('muteStudentId');
+      const sid = input.value.trim();
+      if (!sid) {
+        alert('Please enter a student ID.');
+        return;
       }
+      const ok2 = await sweetConfirm('Unmute this student?');
+      if (!ok2) return;
+      await fetchAuth(`/api/students/${encodeURIComponent(sid)}/unmute`, { method: 'POST' });
+      alert('Student unmuted');
+      loadStudentList();
     });
   }
-});
 
-function initForLoggedInUser() {
-  // Hide login and register sections
-  const loginSec = document.getElementById('login-section');
-  const registerSec = document.getElementById('register-section');
-  if (loginSec) loginSec.classList.add('hidden');
-  if (registerSec) registerSec.classList.add('hidden');
-  // Display navigation
-  $('header.navbar').style.display = 'flex';
-  // Configure user info with logout link
-  const userInfoEl = $('#userInfo');
-  // Determine pending status
-  const pending = currentUser.role === 'pendingStudent' || currentUser.approved === false;
-  // Display name with role/pending label
-  let roleLabel = currentUser.role;
-  if (pending) {
-    roleLabel = 'pending';
-  }
-  userInfoEl.innerHTML = `<span>${currentUser.name} (${roleLabel})</span> | <a href="#" id="logoutLink" style="color:#ff3b30; text-decoration:none;">Logout</a>`;
-  // Attach logout handler
-  document.getElementById('logoutLink').addEventListener('click', (e) => {
-    e.preventDefault();
-    localStorage.removeItem('courseUser');
-    localStorage.removeItem('courseToken');
-    authToken = null;
-    currentUser = null;
-    initForGuest();
-  });
-  // Show admin navigation if user is admin
-  if (currentUser.role === 'admin') {
-    document.getElementById('adminNav').style.display = 'inline-block';
-    // Load current TA code from server and update display
-    loadTaCode();
-    // Populate admin lists
-    loadAdminThreads();
-    loadPendingStudents();
-    loadStudentList();
-  } else {
-    document.getElementById('adminNav').style.display = 'none';
-  }
-  // Show or hide create thread container based on approval
-  const newThread = document.getElementById('newThreadContainer');
-  if (newThread) {
-    if (pending) {
-      newThread.classList.add('hidden');
-    } else {
-      newThread.classList.remove('hidden');
-    }
+
+  // TA invitation code settings (admin panel)
+  const inviteForm = document.getElementById('inviteCodeForm');
+  if (inviteForm) {
+    inviteForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const newCode = document.getElementById('taCodeInput').value.trim();
+      if (!newCode) {
+        alert('Please enter a code');
+        return;
+      }
+      try {
+        const resp = await fetchAuth('/api/taCode', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code: newCode }),
+        });
+        const data = await resp.json();
+        if (!resp.ok) {
+          alert(data.error || 'Failed to update TA code');
+          return;
+        }
+        // Also update locally for convenience
+        localStorage.setItem('taInvitationCode', newCode);
+        document.getElementById('currentTaCode').textContent = newCode;
+        document.getElementById('taCodeInput').value = '';
+        alert('TA invitation code updated');
+      } catch (err) {
+        console.error('Update TA code error', err);
+        alert('An error occurred while updating TA code');
+      }
+    });
   }
-  // Load page data
-  showSection('home-section');
-  setActiveNav(document.querySelector('nav.nav-links button[data-section="home"]'));
-  loadAnnouncements();
-  loadAssignments();
-  loadHomeAssignments();
-  loadResources();
-  loadExams();
-  loadDiscussions();
-  loadCourseInfo();
-  loadHomeThreads();
-  loadHomeAssignments();
-  loadNotifications();
-  // Load overall grade dashboard for the logged in user
-  loadMyOverall();
-  // Scores page and private messages have been removed
-}
 
-function initForGuest() {
-  // Hide login and register sections initially
-  const loginSec = document.getElementById('login-section');
-  const registerSec = document.getElementById('register-section');
-  if (loginSec) loginSec.classList.add('hidden');
-  if (registerSec) registerSec.classList.add('hidden');
-  // Hide reset request and reset password sections
-  const reqSec = document.getElementById('reset-request-section');
-  const resetSec = document.getElementById('reset-password-section');
-  if (reqSec) reqSec.classList.add('hidden');
-  if (resetSec) resetSec.classList.add('hidden');
-  // Show navigation
-  $('header.navbar').style.display = 'flex';
-  // Set user info with login and register links
-  const userInfoEl = $('#userInfo');
-  userInfoEl.innerHTML = `<span>Guest</span> | <a href="#" id="loginLink" style="color:#007aff; text-decoration:none;">Login</a> | <a href="#" id="registerLink" style="color:#34c759; text-decoration:none;">Register</a>`;
-  // Hide admin navigation
-  document.getElementById('adminNav').style.display = 'none';
-  // Hide thread creation container
-  const newThread = document.getElementById('newThreadContainer');
-  if (newThread) newThread.classList.add('hidden');
-  // Attach login link to show login page exclusively. When clicked we
-  // navigate to the login section via showSection() so that only the
-  // login form is visible and the underlying home page is hidden. We
-  // also clear any active nav highlighting.
-  document.getElementById('loginLink').addEventListener('click', (e) => {
+  // Admin forms submissions
+  document.getElementById('adminAnnouncementForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
-    showSection('login-section');
-    setActiveNav(null);
+    const title = $('#adminAnnouncementTitle').value.trim();
+    const content = $('#adminAnnouncementContent').value.trim();
+    if (!title || !content) return;
+    await fetchAuth('/api/announcements', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title, content }),
+    });
+    $('#adminAnnouncementTitle').value = '';
+    $('#adminAnnouncementContent').value = '';
+    loadAnnouncements();
+    alert('Announcement posted');
   });
-  // Attach register link to show register page exclusively. Using
-  // showSection() hides the home page so the register form isn't
-  // displayed over other content.
-  document.getElementById('registerLink').addEventListener('click', (e) => {
+  document.getElementById('adminAssignmentForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
-    showSection('register-section');
-    setActiveNav(null);
+    const title = $('#adminAssignmentTitle').value.trim();
+    const description = $('#adminAssignmentDescription').value.trim();
+    const dueDate = $('#adminAssignmentDue').value;
+    const fileInput = $('#adminAssignmentFile');
+    if (!title || !dueDate || !fileInput.files.length) {
+      alert('Please complete all required fields and select a PDF.');
+      return;
+    }
+    const formData = new FormData();
+    formData.append('title', title);
+    formData.append('description', description);
+    formData.append('dueDate', dueDate);
+    formData.append('file', fileInput.files[0]);
+    formData.append('latePolicy', JSON.stringify(readLatePolicy($('#adminAssignmentLatePolicy'))));
+    const resp = await fetchAuth('/api/assignments', {
+      method: 'POST',
+      body: formData,
+    });
+    if (!resp.ok) {
+      const msg = await resp.json();
+      alert(msg.error || 'Failed to create assignment');
+      return;
+    }
+    $('#adminAssignmentTitle').value = '';
+    $('#adminAssignmentDescription').value = '';
+    $('#adminAssignmentDue').value = '';
+    fileInput.value = '';
+    loadAssignments();
+    alert('Assignment created');
   });
-  // Load content for guest view
-  showSection('home-section');
-  setActiveNav(document.querySelector('nav.nav-links button[data-section="home"]'));
-  loadAnnouncements();
-  loadAssignments();
-  loadHomeAssignments();
-  loadResources();
-  loadExams();
-  loadDiscussions();
-  loadCourseInfo();
-  loadHomeThreads();
-  loadHomeAssignments();
-  // Hide notifications for guests
-  const bell = document.getElementById('notificationsBell');
-  if (bell) bell.style.display = 'none';
-}
-
-function setActiveNav(button) {
-  $$('.nav-links button').forEach((btn) => btn.classList.remove('active'));
-  if (button) button.classList.add('active');
-}
-
-function showSection(sectionId) {
-  $$('.page').forEach((page) => page.classList.add('hidden'));
-  const section = document.getElementById(sectionId);
-  if (section) section.classList.remove('hidden');
-}
-
-/**
- * Fetch course information from the server and render it on the home page.
- * The info supports Markdown and LaTeX.
- */
-async function loadCourseInfo() {
-  try {
-    const res = await fetch('/api/courseInfo');
-    const data = await res.json();
-    const container = document.getElementById('courseInfo');
-    if (!container) return;
-    // Render markdown and math
-    container.innerHTML = '';
-    const div = document.createElement('div');
-    div.innerHTML = window.marked.parse(data.info || '');
-    if (typeof window.renderMathInElement === 'function') {
-      try {
-        window.renderMathInElement(div, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
-      } catch (err) {
-        console.error(err);
-      }
+  document.getElementById('adminResourceForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const title = $('#adminResourceTitle').value.trim();
+    const fileInput = $('#adminResourceFile');
+    if (!title || !fileInput.files.length) return;
+    const formData = new FormData();
+    formData.append('title', title);
+    formData.append('description', $('#adminResourceDescription').value);
+    formData.append('folder', $('#adminResourceFolder').value);
+    formData.append('tags', JSON.stringify(adminResourceTagEditor ? adminResourceTagEditor.getTags() : []));
+    formData.append('publishAt', $('#adminResourcePublish').value);
+    formData.append('file', fileInput.files[0]);
+    const resp = await fetchAuth('/api/resources', {
+      method: 'POST',
+      body: formData,
+    });
+    if (!resp.ok) {
+      const msg = await resp.json().catch(() => ({}));
+      alert(msg.error || 'Failed to upload resource');
+      return;
     }
-    container.appendChild(div);
-    // If an admin is editing the course information, prefill the textarea
-    const infoTextarea = document.getElementById('courseInfoTextarea');
-    if (infoTextarea) {
-      infoTextarea.value = data.info || '';
+    $('#adminResourceTitle').value = '';
+    $('#adminResourceDescription').value = '';
+    $('#adminResourcePublish').value = '';
+    fileInput.value = '';
+    if (adminResourceTagEditor) adminResourceTagEditor.setTags([]);
+    loadResources();
+    loadAdminResources();
+    alert('Resource uploaded');
+  });
+  document.getElementById('resourceSearch')?.addEventListener('input', (e) => {
+    clearTimeout(resourceSearchTimer);
+    resourceSearchTimer = setTimeout(() => {
+      resourceFilters.q = e.target.value.trim();
+      loadResources();
+    }, 300);
+  });
+  document.getElementById('adminExamForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const title = $('#adminExamTitle').value.trim();
+    const date = $('#adminExamDate').value;
+    const description = $('#adminExamDescription').value.trim();
+    if (!title || !date || !description) return;
+    let rooms;
+    try {
+      rooms = parseRoomLines($('#adminExamRooms').value);
+    } catch (err) {
+      alert(err.message);
+      return;
     }
-  } catch (err) {
-    console.error('Failed to load course info', err);
-  }
-}
-
-/**
- * Fetch top discussion threads and display them on the home page. For brevity
- * this shows up to five most recent, non-archived threads.
- */
-async function loadHomeThreads() {
-  try {
-    const res = await fetch('/api/forum');
-    const threads = await res.json();
-    const container = document.getElementById('homeThreadsList');
-    if (!container) return;
-    container.innerHTML = '';
-    if (!threads.length) {
-      const p = document.createElement('p');
-      p.textContent = 'No discussions yet.';
-      container.appendChild(p);
+    const resp = await fetchAuth('/api/exams', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title, date, description, rooms, durationMinutes: $('#adminExamDuration').value }),
+    });
+    if (!resp.ok) {
+      const msg = await resp.json().catch(() => ({}));
+      alert(msg.error || 'Failed to create exam');
       return;
     }
-    // Show latest five threads
-    threads.slice(0, 5).forEach((th) => {
-      const card = document.createElement('div');
-      card.className = 'thread-card';
-      const title = document.createElement('h4');
-      title.textContent = th.title;
-      const meta = document.createElement('div');
-      meta.className = 'meta';
-      const d = new Date(th.date);
-      let authorHTML = th.authorName;
-      if (th.authorRole === 'admin') {
-        authorHTML += ' <span class="author-label">TA</span>';
-      }
-      meta.innerHTML = `${authorHTML} • ${d.toLocaleString()} • ${th.commentCount} comments`;
-      card.appendChild(title);
-      card.appendChild(meta);
-      card.addEventListener('click', () => openThreadPage(th.id));
-      container.appendChild(card);
+    $('#adminExamTitle').value = '';
+    $('#adminExamDate').value = '';
+    $('#adminExamDescription').value = '';
+    $('#adminExamDuration').value = '';
+    $('#adminExamRooms').value = '';
+    loadExams();
+    alert('Exam created');
+  });
+  document.getElementById('adminEventForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const resp = await fetchAuth('/api/events', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title: $('#adminEventTitle').value.trim(),
+        kind: $('#adminEventKind').value,
+        start: $('#adminEventStart').value,
+        end: $('#adminEventEnd').value,
+        weeks: $('#adminEventWeeks').value,
+        location: $('#adminEventLocation').value.trim(),
+        description: $('#adminEventDescription').value.trim(),
+      }),
     });
-  } catch (err) {
-    console.error('Failed to load home threads', err);
-  }
-}
-
-/**
- * Load recent assignments for the home page. This fetches assignments from
- * the server and displays the five most recent ones in a card layout on
- * the home page. Each card shows the title, due date and a truncated
- * description with a single "View" button to open the full assignment
- * page.  Guests and students see the same list; admins can also use
- * this to quickly access the grading view via the assignment page.
- */
-async function loadHomeAssignments() {
-  const container = document.getElementById('homeAssignmentsList');
-  if (!container) return;
-  try {
-    const res = await fetch('/api/assignments');
-    const data = await res.json();
-    container.innerHTML = '';
-    if (!data.length) {
-      const p = document.createElement('p');
-      p.textContent = 'No assignments yet.';
-      container.appendChild(p);
+    if (!resp.ok) {
+      const msg = await resp.json().catch(() => ({}));
+      alert(msg.error || 'Failed to add event');
       return;
     }
-    // Sort assignments by due date ascending (upcoming first)
-    data.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
-    // Show up to five assignments
-    const toShow = data.slice(0, 5);
-    toShow.forEach((assn) => {
-      const card = document.createElement('div');
-      card.className = 'assignment-card';
-      // Left column with details
-      const details = document.createElement('div');
-      details.className = 'details';
-      const title = document.createElement('h4');
-      title.textContent = assn.title;
-      const meta = document.createElement('div');
-      meta.className = 'meta';
-      meta.textContent = `Due: ${new Date(assn.dueDate).toLocaleString()}`;
-      const desc = document.createElement('div');
-      desc.className = 'description';
-      const rawDesc = assn.description || '';
-      // Parse full markdown for preview and render LaTeX
-      desc.innerHTML = window.marked.parse(rawDesc);
-      if (typeof window.renderMathInElement === 'function') {
-        try {
-          window.renderMathInElement(desc, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
-        } catch (err) {
-          console.error(err);
+    e.target.reset();
+    loadAdminEvents();
+    loadCourseEvents();
+    alert('Event added');
+  });
+
+  // Course information update
+  document.getElementById('courseInfoForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const info = document.getElementById('courseInfoTextarea').value;
+    await fetchAuth('/api/courseInfo', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ info }),
+    });
+    alert('Course information updated');
+    loadCourseInfo();
+  });
+
+  // Export grades (CSV) button for admins. Download a CSV of all submissions.
+  const exportGradesBtn = document.getElementById('exportGradesBtn');
+  if (exportGradesBtn) {
+    exportGradesBtn.addEventListener('click', async () => {
+      try {
+        const resp = await fetchAuth('/api/export/grades');
+        if (!resp.ok) {
+          const err = await resp.json().catch(() => ({}));
+          alert(err.error || 'Failed to export grades');
+          return;
         }
+        const blob = await resp.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'grades.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+      } catch (err) {
+        console.error('Export grades error', err);
+        alert('Failed to export grades');
       }
-      details.appendChild(title);
-      details.appendChild(meta);
-      if (rawDesc) details.appendChild(desc);
-      // Right column with actions
-      const actions = document.createElement('div');
-      actions.className = 'actions';
-      const viewBtn = document.createElement('button');
-      viewBtn.className = 'btn-blue';
-      viewBtn.textContent = 'View';
-      viewBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        openAssignmentPage(assn);
-      });
-      actions.appendChild(viewBtn);
-      card.appendChild(details);
-      card.appendChild(actions);
-      container.appendChild(card);
     });
-  } catch (err) {
-    console.error('Failed to load home assignments', err);
-    container.innerHTML = '<p>Failed to load assignments.</p>';
   }
-}
 
-/**
- * Load notifications into the dedicated notifications page. This fetches all
- * notifications for the current user and displays them in a card list.
- * Clicking on a notification marks it as read and updates the bell count.
- */
-async function loadNotificationDetails() {
-  const list = document.getElementById('notificationsList');
-  if (!list) return;
-  if (!currentUser) {
-    list.innerHTML = '<p>Please log in to view notifications.</p>';
-    return;
+  // Toggle between login and register views for guests
+  const showRegisterLink = document.getElementById('showRegisterLink');
+  if (showRegisterLink) {
+    showRegisterLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      document.getElementById('login-section').classList.add('hidden');
+      document.getElementById('register-section').classList.remove('hidden');
+      // Hide any reset sections when showing register
+      const reqSec = document.getElementById('reset-request-section');
+      const resetSec = document.getElementById('reset-password-section');
+      if (reqSec) reqSec.classList.add('hidden');
+      if (resetSec) resetSec.classList.add('hidden');
+    });
   }
-  try {
-    const res = await fetch(`/api/notifications?email=${encodeURIComponent(currentUser.email)}`);
-    const notes = await res.json();
-    list.innerHTML = '';
-    if (!notes.length) {
-      const p = document.createElement('p');
-      p.textContent = 'No notifications.';
-      list.appendChild(p);
-      return;
-    }
-    // Sort newest first
-    notes.sort((a, b) => new Date(b.date) - new Date(a.date));
-    notes.forEach((n) => {
-      const item = document.createElement('div');
-      item.className = 'notification-item';
-      if (!n.read) item.classList.add('unread');
-      item.innerHTML = `<div style="font-weight:600;">${n.message}</div><div style="font-size:0.8rem;color:#6e6e73;margin-top:0.25rem;">${new Date(n.date).toLocaleString()}</div>`;
-      item.addEventListener('click', async () => {
-        // Mark as read first
-        if (!n.read) {
-          await fetch(`/api/notifications/${n.id}/read`, { method: 'PUT' });
-          n.read = true;
-          item.classList.remove('unread');
-          loadNotifications();
-        }
-        // If the notification references an assignment, navigate to it
-        if (n.assignmentId) {
-          try {
-            const res = await fetch(`/api/assignments`);
-            const asns = await res.json();
-            const target = asns.find((a) => a.id === n.assignmentId);
-            if (target) {
-              openAssignmentPage(target);
-            } else {
-              alert('Assignment not found');
-            }
-          } catch (err) {
-            console.error(err);
-            alert('Failed to load assignment');
-          }
-        }
-      });
-      list.appendChild(item);
+  const showLoginLink = document.getElementById('showLoginLink');
+  if (showLoginLink) {
+    showLoginLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      document.getElementById('register-section').classList.add('hidden');
+      document.getElementById('login-section').classList.remove('hidden');
+      // Hide reset sections when showing login
+      const reqSec = document.getElementById('reset-request-section');
+      const resetSec = document.getElementById('reset-password-section');
+      if (reqSec) reqSec.classList.add('hidden');
+      if (resetSec) resetSec.classList.add('hidden');
     });
-  } catch (err) {
-    console.error('Failed to load notification details', err);
-    list.innerHTML = '<p>Failed to load notifications.</p>';
   }
-}
 
-/**
- * Load notifications for the current user. Updates the bell icon and fills
- * the notification panel. Clicking a notification marks it as read.
- */
-async function loadNotifications() {
-  const bell = document.getElementById('notificationsBell');
-  const countSpan = document.getElementById('notificationCount');
-  // We no longer use the dropdown panel; notifications are viewed via the notifications page
-  if (!bell || !countSpan) return;
-  if (!currentUser) {
-    bell.style.display = 'none';
-    return;
+  // Forgot password / reset navigation
+  const showResetRequestLink = document.getElementById('showResetRequestLink');
+  if (showResetRequestLink) {
+    showResetRequestLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      // Navigate exclusively to the reset request page. This hides other pages
+      // including login/register and home. We clear nav highlight.
+      showSection('reset-request-section');
+      setActiveNav(null);
+    });
   }
-  try {
-    const res = await fetch(`/api/notifications?email=${encodeURIComponent(currentUser.email)}`);
-    const notes = await res.json();
-    // Show bell icon
-    bell.style.display = 'block';
-    // Count unread
-    const unread = notes.filter(n => !n.read).length;
-    if (unread > 0) {
-      countSpan.style.display = 'block';
-      countSpan.textContent = unread.toString();
-    } else {
-      countSpan.style.display = 'none';
-    }
-    // No drop‑down: clicking the bell will navigate to the notifications page
-    bell.onclick = () => {
-      // Navigate to notifications page. There is no separate nav button for notifications.
-      showSection('notifications-section');
-      // Do not highlight any nav button when viewing notifications
+  const showResetLink = document.getElementById('showResetLink');
+  if (showResetLink) {
+    showResetLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      // Navigate exclusively to the reset password form page
+      showSection('reset-password-section');
       setActiveNav(null);
-      loadNotificationDetails();
-    };
-  } catch (err) {
-    console.error('Failed to load notifications', err);
+    });
   }
-}
-
-/**
- * Open a discussion thread in a dedicated page. This function populates the
- * thread page with content, comments, attachments, and admin controls. It
- * hides other sections and sets the navigation state accordingly.
- * @param {string} threadId
- */
-async function openThreadPage(threadId) {
-  try {
-    const res = await fetch(`/api/forum/${threadId}`);
-    if (!res.ok) {
-      alert('Thread not found');
-      return;
-    }
-    const thread = await res.json();
-    // Track which comment is being replied to. When a reply button is clicked,
-    // these variables are updated and referenced when submitting the comment.
-    let replyToId = null;
-    let replyToName = '';
-    // Hide other pages and set nav state
-    showSection('thread-page-section');
-    setActiveNav(null);
-    const container = document.getElementById('threadPageContent');
-    container.innerHTML = '';
-    // Back link
-    const backBtn = document.createElement('button');
-    backBtn.textContent = '← Back to discussions';
-    backBtn.className = 'btn-blue';
-    backBtn.style.marginBottom = '1rem';
-    backBtn.addEventListener('click', () => {
-      showSection('discussions-section');
-      setActiveNav(document.querySelector('nav.nav-links button[data-section="discussions"]'));
+  // Back links for reset pages
+  const backReq = document.getElementById('backToLoginFromResetRequest');
+  if (backReq) {
+    backReq.addEventListener('click', (e) => {
+      e.preventDefault();
+      // Navigate back to the login page exclusively
+      showSection('login-section');
+      setActiveNav(null);
     });
-    container.appendChild(backBtn);
-    // Create a card container for the thread header, meta, attachments and body
-    const threadCard = document.createElement('div');
-    threadCard.className = 'thread-view-card';
-    // Header with title
-    const header = document.createElement('div');
-    const h3 = document.createElement('h3');
-    h3.textContent = thread.title;
-    header.appendChild(h3);
-    threadCard.appendChild(header);
-    // Meta information
-    const meta = document.createElement('div');
-    meta.className = 'meta';
-    const d = new Date(thread.date);
-    let authorHTML = thread.authorName;
-    if (thread.authorRole === 'admin') {
-      authorHTML += ' <span class="author-label">TA</span>';
-    }
-    meta.innerHTML = `${authorHTML} • ${d.toLocaleString()}`;
-    if (thread.archived) {
-      const arch = document.createElement('span');
-      arch.textContent = ' (Archived)';
-      arch.style.color = '#ff3b30';
-      meta.appendChild(arch);
-    }
-    threadCard.appendChild(meta);
-    // Attachment if exists: provide preview for PDFs and download for all types
-    if (thread.attachmentPath) {
-      const rel = thread.attachmentPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
-      const ext = rel.split('.').pop().toLowerCase();
-      const wrapper = document.createElement('div');
-      wrapper.style.display = 'flex';
-      wrapper.style.gap = '0.5rem';
-      wrapper.style.marginTop = '0.5rem';
-      // Preview only for PDF attachments
-      if (ext === 'pdf') {
-        const previewBtn = document.createElement('button');
-        previewBtn.className = 'btn-blue';
-        previewBtn.textContent = 'Preview Attachment';
-        previewBtn.addEventListener('click', () => {
-          openPdfModal('/' + rel, thread.title + ' Attachment');
-        });
-        wrapper.appendChild(previewBtn);
+  }
+  const backReset = document.getElementById('backToLoginFromReset');
+  if (backReset) {
+    backReset.addEventListener('click', (e) => {
+      e.preventDefault();
+      // Navigate back to the login page exclusively
+      showSection('login-section');
+      setActiveNav(null);
+    });
+  }
+
+  // Registration form submission
+  const registerForm = document.getElementById('registerForm');
+  if (registerForm) {
+    registerForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = document.getElementById('regName').value.trim();
+      const email = document.getElementById('regEmail').value.trim();
+      const password = document.getElementById('regPassword').value;
+      const role = document.getElementById('regRole').value;
+      const studentId = document.getElementById('regStudentId').value.trim();
+      const studentNameZh = document.getElementById('regStudentNameZh').value.trim();
+      const inviteCode = document.getElementById('regInvite').value.trim();
+      if (!name || !email || !password) {
+        alert('Please complete all required fields');
+        return;
+      }
+      if (role === 'student' && (!studentId || !studentNameZh)) {
+        alert('Please provide your student ID and Chinese name');
+        return;
       }
-      // Download button
-      const downloadBtn = document.createElement('a');
-      downloadBtn.href = '/' + rel;
-      downloadBtn.target = '_blank';
-      downloadBtn.className = ext === 'pdf' ? 'btn-green' : 'btn-blue';
-      downloadBtn.style.textDecoration = 'none';
-      downloadBtn.textContent = 'Download Attachment';
-      wrapper.appendChild(downloadBtn);
-      threadCard.appendChild(wrapper);
-    }
-    // Content body parsed
-    const body = document.createElement('div');
-    body.className = 'thread-body';
-    body.innerHTML = window.marked.parse(thread.content || '');
-    if (typeof window.renderMathInElement === 'function') {
       try {
-        window.renderMathInElement(body, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
+        const body = { name, email, password, role, studentId, studentNameZh, inviteCode };
+        const resp = await fetch('/api/auth/register', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        const data = await resp.json();
+        if (!resp.ok) {
+          alert(data.error || 'Registration failed');
+          return;
+        }
+        authToken = data.token;
+        currentUser = data.user;
+        localStorage.setItem('courseToken', authToken);
+        localStorage.setItem('courseUser', JSON.stringify(currentUser));
+        alert('Registration successful');
+        initForLoggedInUser();
       } catch (err) {
-        console.error(err);
+        console.error('Registration error', err);
+        alert('An error occurred during registration');
       }
-    }
-    threadCard.appendChild(body);
-    container.appendChild(threadCard);
-    // Build a map of comments by id to resolve reply targets
-    const commentMap = {};
-    thread.comments.forEach(cm => {
-      commentMap[cm.id] = cm;
     });
+  }
 
-    // Comments section
-    const commentsContainer = document.createElement('div');
-    commentsContainer.className = 'comments-container';
-    commentsContainer.style.marginTop = '1rem';
-    const commentsHeader = document.createElement('h4');
-    commentsHeader.textContent = 'Comments';
-    commentsContainer.appendChild(commentsHeader);
-    if (thread.comments.length === 0) {
-      const p = document.createElement('p');
-      p.textContent = 'No comments yet.';
-      commentsContainer.appendChild(p);
-    } else {
-      thread.comments.forEach((c) => {
-        // Create a card for each comment
-        const card = document.createElement('div');
-        card.className = 'comment-item';
-        // Meta line (author and date)
-        const metaDiv = document.createElement('div');
-        metaDiv.className = 'comment-meta';
-        let authHTML = c.authorName;
-        if (c.authorRole === 'admin') {
-          authHTML += ' <span class="author-label">TA</span>';
-        }
-        metaDiv.innerHTML = `${authHTML} • ${new Date(c.date).toLocaleString()}`;
-        card.appendChild(metaDiv);
-        // If this comment is a reply, show who it replies to
-        if (c.replyTo) {
-          const parent = commentMap[c.replyTo];
-          const replyLabel = document.createElement('div');
-          replyLabel.className = 'reply-label';
-          replyLabel.style.fontSize = '0.8rem';
-          replyLabel.style.color = '#6e6e73';
-          if (parent) {
-            replyLabel.textContent = `↳ Reply to ${parent.authorName}`;
-          } else {
-            replyLabel.textContent = '↳ Reply';
-          }
-          card.appendChild(replyLabel);
-        }
-        // Comment body with Markdown and LaTeX
-        const bodyDiv = document.createElement('div');
-        bodyDiv.innerHTML = window.marked.parse(c.content || '');
-        if (typeof window.renderMathInElement === 'function') {
-          try {
-            window.renderMathInElement(bodyDiv, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
-          } catch (err) {
-            console.error(err);
-          }
-        }
-        card.appendChild(bodyDiv);
-        // Attachment buttons
-        if (c.attachmentPath) {
-          const relp = c.attachmentPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
-          const extc = relp.split('.').pop().toLowerCase();
-          const attWrap = document.createElement('div');
-          attWrap.style.display = 'flex';
-          attWrap.style.gap = '0.5rem';
-          attWrap.style.marginTop = '0.25rem';
-          if (extc === 'pdf') {
-            const prevBtn = document.createElement('button');
-            prevBtn.className = 'btn-blue';
-            prevBtn.textContent = 'Preview';
-            prevBtn.addEventListener('click', () => {
-              openPdfModal('/' + relp, 'Comment Attachment');
-            });
-            attWrap.appendChild(prevBtn);
-          }
-          const dlBtn = document.createElement('a');
-          dlBtn.href = '/' + relp;
-          dlBtn.target = '_blank';
-          dlBtn.className = extc === 'pdf' ? 'btn-green' : 'btn-blue';
-          dlBtn.style.textDecoration = 'none';
-          dlBtn.textContent = 'Download';
-          attWrap.appendChild(dlBtn);
-          card.appendChild(attWrap);
-        }
-        // Reply button: allow logged‑in, approved users to reply to a specific comment
-        if (currentUser && currentUser.approved !== false) {
-          const replyBtn = document.createElement('button');
-          replyBtn.textContent = 'Reply';
-          replyBtn.className = 'btn-blue';
-          replyBtn.style.marginTop = '0.5rem';
-          replyBtn.addEventListener('click', () => {
-            replyToId = c.id;
-            replyToName = c.authorName;
-            const indicator = document.getElementById('replyIndicator');
-            if (indicator) {
-              indicator.textContent = `Replying to ${replyToName}`;
-              indicator.style.display = 'block';
-            }
-            const ta = document.getElementById('commentTextarea');
-            if (ta) {
-              ta.focus();
-            }
-          });
-          card.appendChild(replyBtn);
-        }
-        // Admin delete button aligned right in actions container
-        if (currentUser && currentUser.role === 'admin') {
-          const actions = document.createElement('div');
-          actions.className = 'comment-actions';
-          const delBtn = document.createElement('button');
-          delBtn.textContent = 'Delete';
-          delBtn.className = 'btn-red';
-          delBtn.addEventListener('click', async () => {
-    const ok = await sweetConfirm('Delete this comment?');
-    if (!ok) return;
-            const resp = await fetchAuth(`/api/forum/${thread.id}/comments/${c.id}`, { method: 'DELETE' });
-            if (resp.ok) {
-              openThreadPage(thread.id);
-            } else {
-              const msg = await resp.json();
-              alert(msg.error || 'Failed to delete');
-            }
-          });
-          actions.appendChild(delBtn);
-          card.appendChild(actions);
-        }
-        commentsContainer.appendChild(card);
-      });
-    }
-    container.appendChild(commentsContainer);
-    // Comment form if logged in and not pending
-    if (currentUser && !(currentUser.role === 'pendingStudent' || currentUser.approved === false)) {
-      // Build comment posting form in a card. Include reply indicator and track replyToId.
-      const form = document.createElement('div');
-      form.className = 'comment-form assignment-detail-section';
-      // Reply indicator: displays which comment is being replied to
-      const replyIndicator = document.createElement('div');
-      replyIndicator.id = 'replyIndicator';
-      replyIndicator.style.display = 'none';
-      replyIndicator.style.fontStyle = 'italic';
-      replyIndicator.style.marginBottom = '0.25rem';
-      form.appendChild(replyIndicator);
-      // Comment textarea
-      const textarea = document.createElement('textarea');
-      textarea.id = 'commentTextarea';
-      textarea.placeholder = 'Add a comment...';
-      textarea.rows = 3;
-      textarea.style.width = '100%';
-      // Attachment input
-      const fileInput = document.createElement('input');
-      fileInput.type = 'file';
-      fileInput.accept = 'application/pdf,application/msword,application/vnd.openxmlformats-officedocument.*,image/*';
-      fileInput.style.marginTop = '0.5rem';
-      // Submit button
-      const submit = document.createElement('button');
-      submit.textContent = 'Post Comment';
-      submit.className = 'btn-blue';
-      submit.style.marginTop = '0.5rem';
-      submit.addEventListener('click', async () => {
-        const contentVal = textarea.value.trim();
-        if (!contentVal) return;
-        const formData = new FormData();
-        formData.append('content', contentVal);
-        formData.append('authorName', currentUser.name);
-        formData.append('authorEmail', currentUser.email);
-        formData.append('authorRole', currentUser.role);
-        // Include replyTo if set
-        if (typeof replyToId !== 'undefined' && replyToId) {
-          formData.append('replyTo', replyToId);
-        }
-        if (fileInput.files.length) {
-          formData.append('file', fileInput.files[0]);
-        }
-        const resp = await fetchAuth(`/api/forum/${thread.id}/comments`, {
+  // Password reset request form
+  const resetRequestForm = document.getElementById('resetRequestForm');
+  if (resetRequestForm) {
+    resetRequestForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const email = document.getElementById('resetRequestEmail').value.trim();
+      if (!email) {
+        alert('Please enter your email');
+        return;
+      }
+      try {
+        const resp = await fetch('/api/auth/requestReset', {
           method: 'POST',
-          body: formData,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email }),
         });
+        const data = await resp.json();
         if (resp.ok) {
-          // Reset form and reply state
-          textarea.value = '';
-          fileInput.value = '';
-          if (typeof replyToId !== 'undefined') {
-            replyToId = null;
-            replyToName = '';
-          }
-          replyIndicator.style.display = 'none';
-          openThreadPage(thread.id);
-        } else {
-          const msg = await resp.json();
-          alert(msg.error || 'Failed to post comment');
-        }
-      });
-      form.appendChild(textarea);
-      form.appendChild(fileInput);
-      form.appendChild(submit);
-      container.appendChild(form);
-    } else {
-      const loginMsg = document.createElement('div');
-      loginMsg.style.marginTop = '1rem';
-      loginMsg.style.fontSize = '0.85rem';
-      loginMsg.style.color = '#6e6e73';
-      loginMsg.textContent = 'Login to post a comment.';
-      container.appendChild(loginMsg);
-    }
-    // Admin actions (archive/unarchive, delete) on page
-    if (currentUser && currentUser.role === 'admin') {
-      const adminActions = document.createElement('div');
-      adminActions.style.marginTop = '1rem';
-      const archiveBtn = document.createElement('button');
-      archiveBtn.className = thread.archived ? 'btn-yellow' : 'btn-yellow';
-      archiveBtn.textContent = thread.archived ? 'Unarchive Thread' : 'Archive Thread';
-      archiveBtn.addEventListener('click', async () => {
-        const resp = await fetchAuth(`/api/forum/${thread.id}/archive`, { method: 'POST' });
-        if (resp.ok) {
-          loadDiscussions();
-          loadHomeThreads();
-          openThreadPage(thread.id);
+          alert('If the email exists, a reset link has been sent. Please check your inbox.');
+          resetRequestForm.reset();
         } else {
-          const msg = await resp.json();
-          alert(msg.error || 'Failed to update');
+          alert(data.error || 'Failed to request password reset');
         }
-      });
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'btn-red';
-      deleteBtn.textContent = 'Delete Thread';
-      deleteBtn.style.marginLeft = '0.5rem';
-      deleteBtn.addEventListener('click', async () => {
-        const ok = await sweetConfirm('Delete this thread?');
-        if (!ok) return;
-        const resp = await fetchAuth(`/api/forum/${thread.id}`, { method: 'DELETE' });
+      } catch (err) {
+        console.error('Password reset request error', err);
+        alert('Request failed');
+      }
+    });
+  }
+
+  // Password reset form (after approval)
+  const resetPasswordForm = document.getElementById('resetPasswordForm');
+  if (resetPasswordForm) {
+    resetPasswordForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const email = document.getElementById('resetPasswordEmail').value.trim();
+      const newPass = document.getElementById('newPassword').value;
+      const token = document.getElementById('resetTokenInput')?.value.trim();
+      if (!email || !newPass || !token) {
+        alert('Please enter your email, token and new password');
+        return;
+      }
+      try {
+        const resp = await fetch('/api/auth/reset', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email, token, newPassword: newPass }),
+        });
+        const data = await resp.json();
         if (resp.ok) {
-          showSection('discussions-section');
-          loadDiscussions();
-          loadHomeThreads();
+          alert('Password reset successfully. Please log in with your new password.');
+          // Redirect to login page after reset
+          showSection('login-section');
+          setActiveNav(null);
+          // Clear the URL hash so the token isn't reused
+          if (window.history && typeof window.history.replaceState === 'function') {
+            window.history.replaceState(null, document.title, window.location.pathname + window.location.search);
+          }
         } else {
-          const msg = await resp.json();
-          alert(msg.error || 'Failed to delete thread');
+          alert(data.error || 'Failed to reset password');
         }
-      });
-      adminActions.appendChild(archiveBtn);
-      adminActions.appendChild(deleteBtn);
-      container.appendChild(adminActions);
-    }
-  } catch (err) {
-    console.error(err);
+      } catch (err) {
+        console.error('Reset password error', err);
+        alert('Reset failed');
+      }
+    });
   }
-}
-
-/**
- * Open the assignment detail page for a given assignment. This view shows the
- * assignment PDF, allows students to upload their submission and preview it,
- * and displays grading information and feedback. Admins see a button to
- * grade submissions as before.
- * @param {Object} assn Assignment object (from assignments list)
- */
-async function openAssignmentPage(assn) {
-  // Hide other pages and nav highlight
-  showSection('assignment-page-section');
-  setActiveNav(null);
-  const container = document.getElementById('assignmentPageContent');
-  container.innerHTML = '';
-  // Back link
-  const backBtn = document.createElement('button');
-  backBtn.textContent = '← Back to assignments';
-  backBtn.className = 'btn-blue';
-  backBtn.style.marginBottom = '1rem';
-  backBtn.addEventListener('click', () => {
-    showSection('assignments-section');
-    setActiveNav(document.querySelector('nav.nav-links button[data-section="assignments"]'));
-  });
-  container.appendChild(backBtn);
-  // Header with title and due
-  const title = document.createElement('h3');
-  title.textContent = assn.title;
-  container.appendChild(title);
-  const meta = document.createElement('div');
-  meta.className = 'meta';
-  meta.textContent = `Due: ${new Date(assn.dueDate).toLocaleString()}`;
-  container.appendChild(meta);
 
-  // Assignment dashboard disabled: previously this section displayed submission and grade statistics for the assignment. It has been removed per updated requirements.
-  // Description parsed and wrapped in a card for better separation
-  const descDiv = document.createElement('div');
-  descDiv.innerHTML = window.marked.parse(assn.description || '');
-  if (typeof window.renderMathInElement === 'function') {
-    try {
-      window.renderMathInElement(descDiv, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
-    } catch (err) {
-      console.error(err);
-    }
-  }
-  const descCard = document.createElement('div');
-  descCard.className = 'card';
-  descCard.style.marginBottom = '1rem';
-  const descHeader = document.createElement('h4');
-  descHeader.textContent = 'Description';
-  descCard.appendChild(descHeader);
-  descCard.appendChild(descDiv);
-  container.appendChild(descCard);
-  // Section: view assignment PDF
-  if (assn.pdfPath) {
-    // Wrap in a styled section for improved aesthetics
-    const pdfSection = document.createElement('div');
-    pdfSection.className = 'assignment-detail-section';
-    const h4 = document.createElement('h4');
-    h4.textContent = 'Assignment PDF';
-    pdfSection.appendChild(h4);
-    // Controls container for pagination and zoom
-    const controls = document.createElement('div');
-    controls.className = 'pdf-viewer-controls';
-    const prevBtn = document.createElement('button');
-    prevBtn.textContent = 'Prev';
-    const nextBtn = document.createElement('button');
-    nextBtn.textContent = 'Next';
-    const zoomOutBtn = document.createElement('button');
-    zoomOutBtn.textContent = '−';
-    const zoomInBtn = document.createElement('button');
-    zoomInBtn.textContent = '+';
-    const pageInfo = document.createElement('span');
-    pageInfo.className = 'page-info';
-    controls.appendChild(prevBtn);
-    controls.appendChild(nextBtn);
-    controls.appendChild(zoomOutBtn);
-    controls.appendChild(zoomInBtn);
-    controls.appendChild(pageInfo);
-    pdfSection.appendChild(controls);
-    // Canvas container
-    const pdfViewer = document.createElement('div');
-    pdfViewer.className = 'pdf-container';
-    const pdfCanvas = document.createElement('canvas');
-    pdfViewer.appendChild(pdfCanvas);
-    pdfSection.appendChild(pdfViewer);
-    container.appendChild(pdfSection);
-    // Use pdf.js to display assignment PDF with pagination and zoom
-    const relPath = assn.pdfPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
-    const url = '/' + relPath;
-    let doc = null;
-    let pageNum = 1;
-    let scale = 1.0;
-    async function renderAssignmentPage(num) {
-      if (!doc) return;
-      const page = await doc.getPage(num);
-      const viewport = page.getViewport({ scale });
-      pdfCanvas.height = viewport.height;
-      pdfCanvas.width = viewport.width;
-      const ctx = pdfCanvas.getContext('2d');
-      await page.render({ canvasContext: ctx, viewport }).promise;
-      pageInfo.textContent = `Page ${pageNum} / ${doc.numPages}`;
-    }
-    function updateControls() {
-      if (!doc) return;
-      prevBtn.disabled = pageNum <= 1;
-      nextBtn.disabled = pageNum >= doc.numPages;
-    }
-    if (window.pdfjsLib) {
-      pdfjsLib.getDocument(url).promise.then((d) => {
-        doc = d;
-        renderAssignmentPage(pageNum);
-        updateControls();
-      });
-    }
-    prevBtn.addEventListener('click', () => {
-      if (pageNum > 1) {
-        pageNum--;
-        renderAssignmentPage(pageNum);
-        updateControls();
+  // Login form submission
+  const loginForm = document.getElementById('loginForm');
+  if (loginForm) {
+    loginForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const email = document.getElementById('loginEmail').value.trim();
+      const password = document.getElementById('loginPassword').value;
+      if (!email || !password) {
+        alert('Please enter your email and password');
+        return;
       }
-    });
-    nextBtn.addEventListener('click', () => {
-      if (doc && pageNum < doc.numPages) {
-        pageNum++;
-        renderAssignmentPage(pageNum);
-        updateControls();
+      try {
+        const resp = await fetch('/api/auth/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email, password }),
+        });
+        const data = await resp.json();
+        if (!resp.ok) {
+          alert(data.error || 'Login failed');
+          return;
+        }
+        authToken = data.token;
+        currentUser = data.user;
+        localStorage.setItem('courseToken', authToken);
+        localStorage.setItem('courseUser', JSON.stringify(currentUser));
+        initForLoggedInUser();
+      } catch (err) {
+        console.error('Login error', err);
+        alert('An error occurred during login');
       }
     });
-    zoomInBtn.addEventListener('click', () => {
-      scale = Math.min(scale + 0.25, 2.0);
-      renderAssignmentPage(pageNum);
+  }
+
+  // Admin navigation: toggle between subsections when admin clicks a tab
+  const adminNavButtons = document.querySelectorAll('.admin-nav button');
+  if (adminNavButtons.length) {
+    adminNavButtons.forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        // Highlight active
+        adminNavButtons.forEach((b) => b.classList.remove('active'));
+        btn.classList.add('active');
+        const target = btn.getAttribute('data-admin-section');
+        // Hide all admin subsections
+        document.querySelectorAll('.admin-subsection').forEach((sec) => sec.classList.add('hidden'));
+        // Show selected subsection
+        const activeSec = document.getElementById('admin-' + target);
+        if (activeSec) {
+          activeSec.classList.remove('hidden');
+        }
+        // Load specific admin data when navigating
+        if (target === 'resets') {
+          loadResetRequests();
+        } else if (target === 'taCode') {
+          loadTaCode();
+        } else if (target === 'discussions') {
+          loadForumSettings();
+          loadForumCategories();
+          loadAdminThreads();
+        } else if (target === 'students') {
+          loadPendingStudents();
+          loadStudentList();
+        } else if (target === 'gradebook') {
+          loadGradebook();
+        } else if (target === 'regrades') {
+          loadRegradeRequests();
+        } else if (target === 'queue') {
+          loadGradingQueue();
+        } else if (target === 'workload') {
+          loadGradingProgress();
+        } else if (target === 'quizzes') {
+          loadQuizAdmin();
+        } else if (target === 'events') {
+          loadAdminEvents();
+        } else if (target === 'resources') {
+          loadAdminResources();
+        }
+      });
     });
-    zoomOutBtn.addEventListener('click', () => {
-      scale = Math.max(scale - 0.25, 0.5);
-      renderAssignmentPage(pageNum);
+    const regradeFilter = document.getElementById('regradeStatusFilter');
+    if (regradeFilter) regradeFilter.addEventListener('change', loadRegradeRequests);
+    document.getElementById('quizBankTagFilter')?.addEventListener('change', loadQuizAdmin);
+    document.getElementById('addQuizQuestionBtn')?.addEventListener('click', async () => {
+      if (await openQuizQuestionEditor(null)) loadQuizAdmin();
     });
-  }
-  // Student submission & grade section
-  if (!currentUser || currentUser.role === 'student') {
-    // Fetch this student's submission if exists
-    let mySub = null;
-    try {
-      const res = await fetch(`/api/assignments/${assn.id}/submissions`);
-      const subs = await res.json();
-      if (currentUser) {
-        mySub = subs.find((s) => s.studentEmail === currentUser.email);
-      }
-    } catch (err) {
-      console.error('Failed to fetch submission', err);
+    document.getElementById('createQuizBtn')?.addEventListener('click', async () => {
+      if (await openQuizEditor(null)) loadQuizAdmin();
+    });
+    const workloadSelect = document.getElementById('workloadAssignment');
+    if (workloadSelect) workloadSelect.addEventListener('change', () => renderGradingProgress(workloadSelect.value));
+    // Set initial active section to info
+    const defaultBtn = document.querySelector('.admin-nav button[data-admin-section="info"]');
+    if (defaultBtn) {
+      defaultBtn.classList.add('active');
+      document.querySelectorAll('.admin-subsection').forEach((sec) => sec.classList.add('hidden'));
+      const initialSec = document.getElementById('admin-info');
+      if (initialSec) initialSec.classList.remove('hidden');
     }
-    // Section container for submission and feedback
-    const subSection = document.createElement('div');
-    // Use the same styled wrapper as assignment pdf for a cohesive look
-    subSection.className = 'assignment-detail-section';
-    // Upload part
-    const uploadTitle = document.createElement('h4');
-    uploadTitle.textContent = 'Submit Your Work';
-    subSection.appendChild(uploadTitle);
-    // If there is a submission, show status and preview
-    if (mySub) {
-      const status = document.createElement('div');
-      status.style.fontSize = '0.85rem';
-      status.style.marginBottom = '0.5rem';
-      if (mySub.graded) {
-        status.innerHTML = `<strong>Submitted:</strong> ${new Date(mySub.uploadedAt).toLocaleString()}`;
+  }
+
+  // Register role change: toggle student/admin fields
+  const regRoleSelect = document.getElementById('regRole');
+  if (regRoleSelect) {
+    regRoleSelect.addEventListener('change', () => {
+      const role = regRoleSelect.value;
+      if (role === 'student') {
+        document.getElementById('regStudentFields').style.display = 'block';
+        document.getElementById('regTaField').classList.add('hidden');
       } else {
-        status.innerHTML = `<strong>Submitted:</strong> ${new Date(mySub.uploadedAt).toLocaleString()} (not yet graded)`;
+        document.getElementById('regStudentFields').style.display = 'none';
+        document.getElementById('regTaField').classList.remove('hidden');
       }
-      subSection.appendChild(status);
-      // Preview uploaded PDF using pdf.js (first page) and provide a link to
-      // open the full PDF with navigation using the modal preview. This avoids
-      // duplicating pagination logic here and gives users an easy way to view
-      // multiple pages.
-      const previewDiv = document.createElement('div');
-      previewDiv.className = 'pdf-container';
-      const canvas = document.createElement('canvas');
-      previewDiv.appendChild(canvas);
-      subSection.appendChild(previewDiv);
-      const fileRel = mySub.filePath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
-      const fileUrl = '/' + fileRel;
-      let docp = null;
-      if (window.pdfjsLib) {
-        pdfjsLib.getDocument(fileUrl).promise.then((d) => {
-          docp = d;
-          d.getPage(1).then((pg) => {
-            const vp = pg.getViewport({ scale: 1.0 });
-            canvas.width = vp.width;
-            canvas.height = vp.height;
-            const ctx = canvas.getContext('2d');
-            pg.render({ canvasContext: ctx, viewport: vp });
+    });
+  }
+});
+
+function initForLoggedInUser() {
+  // Hide login and register sections
+  const loginSec = document.getElementById('login-section');
+  const registerSec = document.getElementById('register-section');
+  if (loginSec) loginSec.classList.add('hidden');
+  if (registerSec) registerSec.classList.add('hidden');
+  // Display navigation
+  $('header.navbar').style.display = 'flex';
+  // Configure user info with logout link
+  const userInfoEl = $('#userInfo');
+  // Determine pending status
+  const pending = currentUser.role === 'pendingStudent' || currentUser.approved === false;
+  // Display name with role/pending label
+  let roleLabel = currentUser.role;
+  if (pending) {
+    roleLabel = 'pending';
+  }
+  userInfoEl.innerHTML = `<span>${currentUser.name} (${roleLabel})</span> | <a href="#" id="calendarFeedLink" style="color:#007aff; text-decoration:none;">Calendar</a> | <a href="#" id="logoutLink" style="color:#ff3b30; text-decoration:none;">Logout</a>`;
+  document.getElementById('calendarFeedLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    openCalendarFeedDialog();
+  });
+  // Attach logout handler
+  document.getElementById('logoutLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    localStorage.removeItem('courseUser');
+    localStorage.removeItem('courseToken');
+    authToken = null;
+    currentUser = null;
+    initForGuest();
+  });
+  // Show admin navigation if user is admin
+  if (currentUser.role === 'admin') {
+    document.getElementById('adminNav').style.display = 'inline-block';
+    // Load current TA code from server and update display
+    loadTaCode();
+    // Populate admin lists
+    loadAdminThreads();
+    loadPendingStudents();
+    loadStudentList();
+  } else {
+    document.getElementById('adminNav').style.display = 'none';
+  }
+  // Show or hide create thread container based on approval
+  const newThread = document.getElementById('newThreadContainer');
+  if (newThread) {
+    if (pending) {
+      newThread.classList.add('hidden');
+    } else {
+      newThread.classList.remove('hidden');
+    }
+  }
+  // Load page data
+  showSection('home-section');
+  setActiveNav(document.querySelector('nav.nav-links button[data-section="home"]'));
+  loadGradeScale();
+  loadAnnouncements();
+  loadAssignments();
+  loadHomeAssignments();
+  loadResources();
+  loadExams();
+  loadCourseEvents();
+  loadForumSettings();
+  loadDiscussions();
+  loadCourseInfo();
+  loadHomeThreads();
+  loadHomeAssignments();
+  loadNotifications();
+  // Load overall grade dashboard for the logged in user
+  loadMyOverall();
+  // Scores page and private messages have been removed
+}
+
+function initForGuest() {
+  // Hide login and register sections initially
+  const loginSec = document.getElementById('login-section');
+  const registerSec = document.getElementById('register-section');
+  if (loginSec) loginSec.classList.add('hidden');
+  if (registerSec) registerSec.classList.add('hidden');
+  // Hide reset request and reset password sections
+  const reqSec = document.getElementById('reset-request-section');
+  const resetSec = document.getElementById('reset-password-section');
+  if (reqSec) reqSec.classList.add('hidden');
+  if (resetSec) resetSec.classList.add('hidden');
+  // Show navigation
+  $('header.navbar').style.display = 'flex';
+  // Set user info with login and register links
+  const userInfoEl = $('#userInfo');
+  userInfoEl.innerHTML = `<span>Guest</span> | <a href="#" id="loginLink" style="color:#007aff; text-decoration:none;">Login</a> | <a href="#" id="registerLink" style="color:#34c759; text-decoration:none;">Register</a>`;
+  // Hide admin navigation
+  document.getElementById('adminNav').style.display = 'none';
+  // Hide thread creation container
+  const newThread = document.getElementById('newThreadContainer');
+  if (newThread) newThread.classList.add('hidden');
+  // Attach login link to show login page exclusively. When clicked we
+  // navigate to the login section via showSection() so that only the
+  // login form is visible and the underlying home page is hidden. We
+  // also clear any active nav highlighting.
+  document.getElementById('loginLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    showSection('login-section');
+    setActiveNav(null);
+  });
+  // Attach register link to show register page exclusively. Using
+  // showSection() hides the home page so the register form isn't
+  // displayed over other content.
+  document.getElementById('registerLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    showSection('register-section');
+    setActiveNav(null);
+  });
+  // Load content for guest view
+  showSection('home-section');
+  setActiveNav(document.querySelector('nav.nav-links button[data-section="home"]'));
+  loadGradeScale();
+  loadAnnouncements();
+  loadAssignments();
+  loadHomeAssignments();
+  loadResources();
+  loadExams();
+  loadCourseEvents();
+  loadForumSettings();
+  loadDiscussions();
+  loadCourseInfo();
+  loadHomeThreads();
+  loadHomeAssignments();
+  // Hide notifications for guests
+  const bell = document.getElementById('notificationsBell');
+  if (bell) bell.style.display = 'none';
+}
+
+function setActiveNav(button) {
+  $$('.nav-links button').forEach((btn) => btn.classList.remove('active'));
+  if (button) button.classList.add('active');
+}
+
+function showSection(sectionId) {
+  $$('.page').forEach((page) => page.classList.add('hidden'));
+  const section = document.getElementById(sectionId);
+  if (section) section.classList.remove('hidden');
+}
+
+/**
+ * Fetch course information from the server and render it on the home page.
+ * The info supports Markdown and LaTeX.
+ */
+async function loadCourseInfo() {
+  try {
+    const res = await fetch('/api/courseInfo');
+    const data = await res.json();
+    const container = document.getElementById('courseInfo');
+    if (!container) return;
+    // Render markdown and math
+    container.innerHTML = '';
+    const div = document.createElement('div');
+    div.innerHTML = window.marked.parse(data.info || '');
+    if (typeof window.renderMathInElement === 'function') {
+      try {
+        window.renderMathInElement(div, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    container.appendChild(div);
+    // If an admin is editing the course information, prefill the textarea
+    const infoTextarea = document.getElementById('courseInfoTextarea');
+    if (infoTextarea) {
+      infoTextarea.value = data.info || '';
+    }
+  } catch (err) {
+    console.error('Failed to load course info', err);
+  }
+}
+
+/**
+ * Forum authors. Anonymous posts come without a name for students; TAs get
+ * the name and see that classmates do not.
+ */
+let forumSettings = { anonymousPosting: false };
+
+function forumDisplayName(post) {
+  return post.authorName || (post.mine ? 'Anonymous (you)' : 'Anonymous');
+}
+
+function forumAuthorHTML(post) {
+  let html = forumDisplayName(post);
+  if (post.authorRole === 'admin') {
+    html += ' <span class="author-label">TA</span>';
+  }
+  if (post.anonymous && post.authorName) {
+    html += ' <span class="anonymous-label">anonymous to classmates</span>';
+  }
+  return html;
+}
+
+/**
+ * Whether the current user may choose to post anonymously.
+ */
+function canPostAnonymously() {
+  return forumSettings.anonymousPosting && !!currentUser && currentUser.role === 'student';
+}
+
+function anonymousCheckbox(id) {
+  const label = document.createElement('label');
+  label.className = 'anonymous-option';
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.id = id;
+  label.appendChild(box);
+  label.appendChild(document.createTextNode(' Post anonymously (TAs still see your name)'));
+  return label;
+}
+
+async function loadForumSettings() {
+  try {
+    const res = await fetch('/api/forum-settings');
+    if (res.ok) forumSettings = await res.json();
+  } catch (err) {
+    console.error('Failed to load forum settings', err);
+  }
+  document.getElementById('threadAnonymousField')?.classList.toggle('hidden', !canPostAnonymously());
+  const adminToggle = document.getElementById('adminAnonymousPosting');
+  if (adminToggle) adminToggle.checked = !!forumSettings.anonymousPosting;
+}
+
+/**
+ * Forum lists: the Q&A filters ('' for every thread, 'questions' or
+ * 'unanswered'), the category tabs ('' for all, 'none' for threads without a
+ * category) and the labels showing a thread's category and state.
+ */
+let discussionFilter = '';
+let homeThreadFilter = '';
+let discussionCategory = '';
+let adminThreadCategory = '';
+// Categories as loaded from the server; null until the first load
+let forumCategoryList = null;
+
+function forumListUrl({ filter, category, includeArchived } = {}) {
+  const params = new URLSearchParams();
+  if (includeArchived) params.set('includeArchived', 'true');
+  if (filter) params.set('filter', filter);
+  if (category) params.set('category', category);
+  const query = params.toString();
+  return `/api/forum${query ? `?${query}` : ''}`;
+}
+
+function addThreadLabel(wrap, className, text) {
+  const label = document.createElement('span');
+  label.className = `thread-label ${className}`;
+  label.textContent = text;
+  wrap.appendChild(label);
+}
+
+function threadStatusLabels(thread) {
+  const wrap = document.createElement('span');
+  wrap.className = 'thread-status';
+  if (thread.pinned) addThreadLabel(wrap, 'pinned', 'Pinned');
+  if (thread.locked) addThreadLabel(wrap, 'locked', 'Locked');
+  if (thread.visibility === 'staff') addThreadLabel(wrap, 'private', 'Private');
+  const category = thread.categoryId && (forumCategoryList || []).find((c) => c.id === thread.categoryId);
+  if (category) addThreadLabel(wrap, 'category', category.name);
+  if (thread.type !== 'question') return wrap;
+  const question = document.createElement('span');
+  question.className = 'thread-label question';
+  question.textContent = 'Question';
+  wrap.appendChild(question);
+  const status = document.createElement('span');
+  status.className = `thread-label ${thread.resolved ? 'resolved' : 'unresolved'}`;
+  status.textContent = thread.resolved ? 'Resolved' : 'Unresolved';
+  wrap.appendChild(status);
+  return wrap;
+}
+
+function emptyThreadsMessage(filter) {
+  if (filter === 'unanswered') return 'No unanswered questions.';
+  if (filter === 'questions') return 'No questions yet.';
+  return null;
+}
+
+/**
+ * Category tabs above a thread list. Shows nothing until TAs create a
+ * category.
+ */
+function renderCategoryTabs(container, active, onSelect) {
+  if (!container) return;
+  container.innerHTML = '';
+  if (!forumCategoryList || !forumCategoryList.length) return;
+  const tabs = [{ id: '', name: 'All' }].concat(forumCategoryList, [{ id: 'none', name: 'Uncategorized' }]);
+  tabs.forEach((tab) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = tab.name;
+    if (tab.id === active) btn.classList.add('active');
+    btn.addEventListener('click', () => onSelect(tab.id));
+    container.appendChild(btn);
+  });
+}
+
+function fillCategorySelect(select, selected) {
+  if (!select) return;
+  select.innerHTML = '';
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = 'No category';
+  select.appendChild(none);
+  (forumCategoryList || []).forEach((c) => {
+    const opt = document.createElement('option');
+    opt.value = c.id;
+    opt.textContent = c.name;
+    select.appendChild(opt);
+  });
+  select.value = selected || '';
+}
+
+function renderDiscussionCategoryTabs() {
+  renderCategoryTabs(document.getElementById('discussionCategories'), discussionCategory, (id) => {
+    discussionCategory = id;
+    renderDiscussionCategoryTabs();
+    loadDiscussions();
+  });
+}
+
+function renderAdminThreadCategoryTabs() {
+  renderCategoryTabs(document.getElementById('adminThreadCategories'), adminThreadCategory, (id) => {
+    adminThreadCategory = id;
+    renderAdminThreadCategoryTabs();
+    loadAdminThreads();
+  });
+}
+
+/**
+ * Load the forum categories and refresh everything built from them: the tabs,
+ * the category picker of the new-thread form and the TAs' category list.
+ */
+async function loadForumCategories() {
+  try {
+    const res = await fetch('/api/forum-categories');
+    forumCategoryList = res.ok ? await res.json() : [];
+  } catch (err) {
+    console.error('Failed to load forum categories', err);
+    forumCategoryList = [];
+  }
+  // A deleted category cannot stay selected
+  if (discussionCategory && discussionCategory !== 'none' && !forumCategoryList.some((c) => c.id === discussionCategory)) discussionCategory = '';
+  if (adminThreadCategory && adminThreadCategory !== 'none' && !forumCategoryList.some((c) => c.id === adminThreadCategory)) adminThreadCategory = '';
+  renderDiscussionCategoryTabs();
+  renderAdminThreadCategoryTabs();
+  const threadCategory = document.getElementById('threadCategory');
+  fillCategorySelect(threadCategory, discussionCategory === 'none' ? '' : discussionCategory);
+  threadCategory?.closest('.thread-category-field')?.classList.toggle('hidden', !forumCategoryList.length);
+  renderAdminCategories();
+}
+
+/**
+ * Show the discussion page with one category selected.
+ */
+function openDiscussionCategory(categoryId) {
+  discussionCategory = categoryId;
+  showSection('discussions-section');
+  setActiveNav(document.querySelector('nav.nav-links button[data-section="discussions"]'));
+  renderDiscussionCategoryTabs();
+  fillCategorySelect(document.getElementById('threadCategory'), categoryId);
+  loadDiscussions();
+}
+
+/**
+ * TAs' list of categories with rename, relink and delete.
+ */
+async function renderAdminCategories() {
+  const list = document.getElementById('adminCategoryList');
+  if (!list || !currentUser || currentUser.role !== 'admin') return;
+  const res = await fetch('/api/assignments');
+  const assignmentList = res.ok ? await res.json() : [];
+  const select = document.getElementById('adminCategoryAssignment');
+  if (select) {
+    const current = select.value;
+    select.innerHTML = '<option value="">No assignment</option>';
+    assignmentList.forEach((a) => {
+      const opt = document.createElement('option');
+      opt.value = a.id;
+      opt.textContent = a.title;
+      select.appendChild(opt);
+    });
+    select.value = current;
+  }
+  list.innerHTML = '';
+  if (!forumCategoryList.length) {
+    const p = document.createElement('p');
+    p.className = 'grading-queue-hint';
+    p.textContent = 'No categories yet.';
+    list.appendChild(p);
+    return;
+  }
+  forumCategoryList.forEach((category) => {
+    const row = document.createElement('div');
+    row.className = 'admin-category-row';
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = category.name;
+    info.appendChild(name);
+    const linked = category.assignmentId && assignmentList.find((a) => a.id === category.assignmentId);
+    if (linked) {
+      const about = document.createElement('span');
+      about.className = 'grading-queue-hint';
+      about.textContent = ` – ${linked.title}`;
+      info.appendChild(about);
+    }
+    row.appendChild(info);
+    const actions = document.createElement('div');
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn-blue';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', async () => {
+      const result = await Swal.fire({
+        title: 'Edit Category',
+        html: `<input id="swalCategoryName" class="swal2-input" placeholder="Name">
+          <select id="swalCategoryAssignment" class="swal2-select"><option value="">No assignment</option></select>`,
+        showCancelButton: true,
+        confirmButtonText: 'Save',
+        didOpen: () => {
+          const assignmentSelect = document.getElementById('swalCategoryAssignment');
+          assignmentList.forEach((a) => {
+            const opt = document.createElement('option');
+            opt.value = a.id;
+            opt.textContent = a.title;
+            assignmentSelect.appendChild(opt);
           });
+          assignmentSelect.value = category.assignmentId || '';
+          document.getElementById('swalCategoryName').value = category.name;
+        },
+        preConfirm: () => {
+          const nameVal = document.getElementById('swalCategoryName').value.trim();
+          if (!nameVal) {
+            Swal.showValidationMessage('The category needs a name');
+            return false;
+          }
+          return { name: nameVal, assignmentId: document.getElementById('swalCategoryAssignment').value || null };
+        },
+      });
+      if (!result.isConfirmed) return;
+      const resp = await fetchAuth(`/api/forum-categories/${category.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(result.value),
+      });
+      if (resp.ok) {
+        loadForumCategories();
+      } else {
+        const msg = await resp.json().catch(() => ({}));
+        alert(msg.error || 'Failed to update the category');
+      }
+    });
+    const delBtn = document.createElement('button');
+    delBtn.className = 'btn-red';
+    delBtn.textContent = 'Delete';
+    delBtn.style.marginLeft = '0.5rem';
+    delBtn.addEventListener('click', async () => {
+      if (!(await sweetConfirm(`Delete the category "${category.name}"? Its threads are kept without a category.`))) return;
+      const resp = await fetchAuth(`/api/forum-categories/${category.id}`, { method: 'DELETE' });
+      if (resp.ok) {
+        await loadForumCategories();
+        loadDiscussions();
+        loadAdminThreads();
+      } else {
+        const msg = await resp.json().catch(() => ({}));
+        alert(msg.error || 'Failed to delete the category');
+      }
+    });
+    actions.appendChild(editBtn);
+    actions.appendChild(delBtn);
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Card of a thread in a thread list; opens the thread when clicked.
+ */
+function buildThreadCard(th) {
+  const card = document.createElement('div');
+  card.className = 'thread-card';
+  if (th.pinned) card.classList.add('pinned');
+  const title = document.createElement('h4');
+  title.textContent = th.title;
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  const d = new Date(th.date);
+  // Build author string with TA label when applicable
+  const authorHTML = forumAuthorHTML(th);
+  meta.innerHTML = `${authorHTML} • ${d.toLocaleString()} • ${th.commentCount} comments`;
+  if (th.archived) {
+    const archivedLabel = document.createElement('span');
+    archivedLabel.textContent = 'Archived';
+    archivedLabel.className = 'archived-label';
+    archivedLabel.style.marginLeft = '0.5rem';
+    meta.appendChild(archivedLabel);
+  }
+  title.appendChild(threadStatusLabels(th));
+  card.appendChild(title);
+  card.appendChild(meta);
+  card.addEventListener('click', () => {
+    openThreadPage(th.id);
+  });
+  return card;
+}
+
+/**
+ * Threads of the forum categories about an assignment, for its page, or null
+ * when no category is linked to it.
+ */
+async function buildAssignmentDiscussionCard(assn) {
+  if (!forumCategoryList) await loadForumCategories();
+  const linked = forumCategoryList.filter((c) => c.assignmentId === assn.id);
+  if (!linked.length) return null;
+  const card = document.createElement('div');
+  card.className = 'assignment-detail-section';
+  const h4 = document.createElement('h4');
+  h4.textContent = 'Discussion';
+  card.appendChild(h4);
+  for (const category of linked) {
+    const res = await fetchAuth(forumListUrl({ category: category.id }));
+    const threads = res.ok ? await res.json() : [];
+    const header = document.createElement('div');
+    header.className = 'assignment-discussion-header';
+    const name = document.createElement('strong');
+    name.textContent = category.name;
+    header.appendChild(name);
+    const openBtn = document.createElement('button');
+    openBtn.className = 'btn-blue';
+    openBtn.textContent = 'Open Category';
+    openBtn.addEventListener('click', () => openDiscussionCategory(category.id));
+    header.appendChild(openBtn);
+    card.appendChild(header);
+    const list = document.createElement('div');
+    list.className = 'discussion-list';
+    if (!threads.length) {
+      const p = document.createElement('p');
+      p.textContent = 'No threads yet.';
+      list.appendChild(p);
+    }
+    threads.forEach((th) => list.appendChild(buildThreadCard(th)));
+    card.appendChild(list);
+  }
+  return card;
+}
+
+/**
+ * Fetch top discussion threads and display them on the home page. For brevity
+ * this shows up to five most recent, non-archived threads, or the unanswered
+ * questions when that filter is on.
+ */
+async function loadHomeThreads() {
+  try {
+    if (!forumCategoryList) await loadForumCategories();
+    const res = await fetchAuth(forumListUrl({ filter: homeThreadFilter }));
+    const threads = await res.json();
+    const container = document.getElementById('homeThreadsList');
+    if (!container) return;
+    container.innerHTML = '';
+    if (!threads.length) {
+      const p = document.createElement('p');
+      p.textContent = emptyThreadsMessage(homeThreadFilter) || 'No discussions yet.';
+      container.appendChild(p);
+      return;
+    }
+    // Show latest five threads
+    threads.slice(0, 5).forEach((th) => {
+      const card = document.createElement('div');
+      card.className = 'thread-card';
+      const title = document.createElement('h4');
+      title.textContent = th.title;
+      const meta = document.createElement('div');
+      meta.className = 'meta';
+      const d = new Date(th.date);
+      const authorHTML = forumAuthorHTML(th);
+      meta.innerHTML = `${authorHTML} • ${d.toLocaleString()} • ${th.commentCount} comments`;
+      title.appendChild(threadStatusLabels(th));
+      card.appendChild(title);
+      card.appendChild(meta);
+      card.addEventListener('click', () => openThreadPage(th.id));
+      container.appendChild(card);
+    });
+  } catch (err) {
+    console.error('Failed to load home threads', err);
+  }
+}
+
+/**
+ * Load recent assignments for the home page. This fetches assignments from
+ * the server and displays the five most recent ones in a card layout on
+ * the home page. Each card shows the title, due date and a truncated
+ * description with a single "View" button to open the full assignment
+ * page.  Guests and students see the same list; admins can also use
+ * this to quickly access the grading view via the assignment page.
+ */
+async function loadHomeAssignments() {
+  const container = document.getElementById('homeAssignmentsList');
+  if (!container) return;
+  try {
+    const res = await fetch('/api/assignments');
+    const data = await res.json();
+    container.innerHTML = '';
+    if (!data.length) {
+      const p = document.createElement('p');
+      p.textContent = 'No assignments yet.';
+      container.appendChild(p);
+      return;
+    }
+    // Sort assignments by due date ascending (upcoming first)
+    data.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    // Show up to five assignments
+    const toShow = data.slice(0, 5);
+    toShow.forEach((assn) => {
+      const card = document.createElement('div');
+      card.className = 'assignment-card';
+      // Left column with details
+      const details = document.createElement('div');
+      details.className = 'details';
+      const title = document.createElement('h4');
+      title.textContent = assn.title;
+      const meta = document.createElement('div');
+      meta.className = 'meta';
+      meta.textContent = `Due: ${new Date(assn.dueDate).toLocaleString()}`;
+      const desc = document.createElement('div');
+      desc.className = 'description';
+      const rawDesc = assn.description || '';
+      // Parse full markdown for preview and render LaTeX
+      desc.innerHTML = window.marked.parse(rawDesc);
+      if (typeof window.renderMathInElement === 'function') {
+        try {
+          window.renderMathInElement(desc, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
+        } catch (err) {
+          console.error(err);
+        }
+      }
+      details.appendChild(title);
+      details.appendChild(meta);
+      if (rawDesc) details.appendChild(desc);
+      // Right column with actions
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      const viewBtn = document.createElement('button');
+      viewBtn.className = 'btn-blue';
+      viewBtn.textContent = 'View';
+      viewBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openAssignmentPage(assn);
+      });
+      actions.appendChild(viewBtn);
+      card.appendChild(details);
+      card.appendChild(actions);
+      container.appendChild(card);
+    });
+  } catch (err) {
+    console.error('Failed to load home assignments', err);
+    container.innerHTML = '<p>Failed to load assignments.</p>';
+  }
+}
+
+/**
+ * Load notifications into the dedicated notifications page. This fetches all
+ * notifications for the current user and displays them in a card list.
+ * Clicking on a notification marks it as read and updates the bell count.
+ */
+async function loadNotificationDetails() {
+  const list = document.getElementById('notificationsList');
+  if (!list) return;
+  if (!currentUser) {
+    list.innerHTML = '<p>Please log in to view notifications.</p>';
+    return;
+  }
+  try {
+    const res = await fetchAuth('/api/notifications');
+    const notes = await res.json();
+    list.innerHTML = '';
+    if (!notes.length) {
+      const p = document.createElement('p');
+      p.textContent = 'No notifications.';
+      list.appendChild(p);
+      return;
+    }
+    // Sort newest first
+    notes.sort((a, b) => new Date(b.date) - new Date(a.date));
+    notes.forEach((n) => {
+      const item = document.createElement('div');
+      item.className = 'notification-item';
+      if (!n.read) item.classList.add('unread');
+      item.innerHTML = `<div style="font-weight:600;">${n.message}</div><div style="font-size:0.8rem;color:#6e6e73;margin-top:0.25rem;">${new Date(n.date).toLocaleString()}</div>`;
+      item.addEventListener('click', async () => {
+        // Mark as read first
+        if (!n.read) {
+          await fetchAuth(`/api/notifications/${n.id}/read`, { method: 'PUT' });
+          n.read = true;
+          item.classList.remove('unread');
+          loadNotifications();
+        }
+        // If the notification references an assignment, navigate to it
+        if (n.assignmentId) {
+          try {
+            const res = await fetch(`/api/assignments`);
+            const asns = await res.json();
+            const target = asns.find((a) => a.id === n.assignmentId);
+            if (target) {
+              openAssignmentPage(target);
+            } else {
+              alert('Assignment not found');
+            }
+          } catch (err) {
+            console.error(err);
+            alert('Failed to load assignment');
+          }
+        } else if (n.quizId) {
+          const resp = await fetchAuth('/api/quizzes');
+          const quizList = await resp.json();
+          const target = resp.ok && quizList.find((q) => q.id === n.quizId);
+          if (target) {
+            openQuizPage(target);
+          } else {
+            alert('Quiz not found');
+          }
+        } else if (n.examId) {
+          showSection('exams-section');
+          setActiveNav(document.querySelector('nav.nav-links button[data-section="exams"]'));
+          loadExams();
+        } else if (n.threadId) {
+          openThreadPage(n.threadId);
+        }
+      });
+      list.appendChild(item);
+    });
+  } catch (err) {
+    console.error('Failed to load notification details', err);
+    list.innerHTML = '<p>Failed to load notifications.</p>';
+  }
+}
+
+/**
+ * Load notifications for the current user. Updates the bell icon and fills
+ * the notification panel. Clicking a notification marks it as read.
+ */
+async function loadNotifications() {
+  const bell = document.getElementById('notificationsBell');
+  const countSpan = document.getElementById('notificationCount');
+  // We no longer use the dropdown panel; notifications are viewed via the notifications page
+  if (!bell || !countSpan) return;
+  if (!currentUser) {
+    bell.style.display = 'none';
+    return;
+  }
+  try {
+    const res = await fetchAuth('/api/notifications');
+    const notes = await res.json();
+    // Show bell icon
+    bell.style.display = 'block';
+    // Count unread
+    const unread = notes.filter(n => !n.read).length;
+    if (unread > 0) {
+      countSpan.style.display = 'block';
+      countSpan.textContent = unread.toString();
+    } else {
+      countSpan.style.display = 'none';
+    }
+    // No drop‑down: clicking the bell will navigate to the notifications page
+    bell.onclick = () => {
+      // Navigate to notifications page. There is no separate nav button for notifications.
+      showSection('notifications-section');
+      // Do not highlight any nav button when viewing notifications
+      setActiveNav(null);
+      loadNotificationDetails();
+    };
+  } catch (err) {
+    console.error('Failed to load notifications', err);
+  }
+}
+
+/**
+ * Upvote button and, for the asker and TAs, the accept button of an answer
+ * to a question.
+ */
+function answerControls(thread, comment, canModerate) {
+  const row = document.createElement('div');
+  row.className = 'answer-controls';
+  const upvoteBtn = document.createElement('button');
+  upvoteBtn.className = 'upvote-btn' + (comment.upvoted ? ' active' : '');
+  upvoteBtn.title = comment.mine ? 'You cannot upvote your own answer' : 'Upvote this answer';
+  upvoteBtn.disabled = !currentUser || comment.mine || currentUser.approved === false || thread.locked;
+  const showCount = (count) => {
+    upvoteBtn.innerHTML = '<i class="fa-solid fa-arrow-up"></i> ';
+    upvoteBtn.appendChild(document.createTextNode(String(count)));
+  };
+  showCount(comment.upvoteCount);
+  upvoteBtn.addEventListener('click', async () => {
+    const resp = await fetchAuth(`/api/forum/${thread.id}/comments/${comment.id}/upvote`, { method: 'POST' });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      alert(data.error || 'Failed to vote');
+      return;
+    }
+    upvoteBtn.classList.toggle('active', data.upvoted);
+    showCount(data.upvoteCount);
+  });
+  row.appendChild(upvoteBtn);
+  if (canModerate) {
+    const acceptBtn = document.createElement('button');
+    acceptBtn.className = comment.accepted ? 'small-btn' : 'btn-green';
+    acceptBtn.textContent = comment.accepted ? 'Unaccept' : 'Accept Answer';
+    acceptBtn.addEventListener('click', async () => {
+      const resp = await fetchAuth(`/api/forum/${thread.id}/accepted`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ commentId: comment.accepted ? null : comment.id }),
+      });
+      if (resp.ok) {
+        openThreadPage(thread.id);
+        loadDiscussions();
+        loadHomeThreads();
+      } else {
+        const msg = await resp.json().catch(() => ({}));
+        alert(msg.error || 'Failed to accept the answer');
+      }
+    });
+    row.appendChild(acceptBtn);
+  }
+  return row;
+}
+
+/**
+ * Open a discussion thread in a dedicated page. This function populates the
+ * thread page with content, comments, attachments, and admin controls. It
+ * hides other sections and sets the navigation state accordingly.
+ * @param {string} threadId
+ */
+async function openThreadPage(threadId) {
+  try {
+    const res = await fetchAuth(`/api/forum/${threadId}`);
+    if (!res.ok) {
+      alert('Thread not found');
+      return;
+    }
+    const thread = await res.json();
+    // Track which comment is being replied to. When a reply button is clicked,
+    // these variables are updated and referenced when submitting the comment.
+    let replyToId = null;
+    let replyToName = '';
+    // Hide other pages and set nav state
+    showSection('thread-page-section');
+    setActiveNav(null);
+    const container = document.getElementById('threadPageContent');
+    container.innerHTML = '';
+    // Back link
+    const backBtn = document.createElement('button');
+    backBtn.textContent = '← Back to discussions';
+    backBtn.className = 'btn-blue';
+    backBtn.style.marginBottom = '1rem';
+    backBtn.addEventListener('click', () => {
+      showSection('discussions-section');
+      setActiveNav(document.querySelector('nav.nav-links button[data-section="discussions"]'));
+    });
+    container.appendChild(backBtn);
+    // Create a card container for the thread header, meta, attachments and body
+    const threadCard = document.createElement('div');
+    threadCard.className = 'thread-view-card';
+    // Header with title
+    const header = document.createElement('div');
+    const h3 = document.createElement('h3');
+    h3.textContent = thread.title;
+    header.appendChild(h3);
+    threadCard.appendChild(header);
+    // Meta information
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    const d = new Date(thread.date);
+    const authorHTML = forumAuthorHTML(thread);
+    meta.innerHTML = `${authorHTML} • ${d.toLocaleString()}`;
+    if (thread.archived) {
+      const arch = document.createElement('span');
+      arch.textContent = ' (Archived)';
+      arch.style.color = '#ff3b30';
+      meta.appendChild(arch);
+    }
+    if (thread.edited) meta.appendChild(editedMarker(thread));
+    meta.appendChild(threadStatusLabels(thread));
+    threadCard.appendChild(meta);
+    if (thread.editable) {
+      const editBtn = document.createElement('button');
+      editBtn.className = 'small-btn';
+      editBtn.style.marginTop = '0.5rem';
+      editBtn.style.marginRight = '0.5rem';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => editForumPost(thread));
+      threadCard.appendChild(editBtn);
+    }
+    // The asker and TAs decide whether a question is resolved
+    const canModerate = thread.type === 'question' && currentUser && (currentUser.role === 'admin' || thread.isAuthor);
+    if (canModerate) {
+      const resolveBtn = document.createElement('button');
+      resolveBtn.className = 'small-btn';
+      resolveBtn.style.marginTop = '0.5rem';
+      resolveBtn.textContent = thread.resolved ? 'Mark as Unresolved' : 'Mark as Resolved';
+      resolveBtn.addEventListener('click', async () => {
+        const resp = await fetchAuth(`/api/forum/${thread.id}/resolved`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ resolved: !thread.resolved }),
+        });
+        if (resp.ok) {
+          openThreadPage(thread.id);
+        } else {
+          const msg = await resp.json().catch(() => ({}));
+          alert(msg.error || 'Failed to update the question');
+        }
+      });
+      threadCard.appendChild(resolveBtn);
+    }
+    // Attachment if exists: provide preview for PDFs and download for all types
+    if (thread.attachmentPath) {
+      const rel = thread.attachmentPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+      const ext = rel.split('.').pop().toLowerCase();
+      const wrapper = document.createElement('div');
+      wrapper.style.display = 'flex';
+      wrapper.style.gap = '0.5rem';
+      wrapper.style.marginTop = '0.5rem';
+      // Preview only for PDF attachments
+      if (ext === 'pdf') {
+        const previewBtn = document.createElement('button');
+        previewBtn.className = 'btn-blue';
+        previewBtn.textContent = 'Preview Attachment';
+        previewBtn.addEventListener('click', () => {
+          openPdfModal('/' + rel, thread.title + ' Attachment');
+        });
+        wrapper.appendChild(previewBtn);
+      }
+      // Download button
+      const downloadBtn = document.createElement('a');
+      downloadBtn.href = '/' + rel;
+      downloadBtn.target = '_blank';
+      downloadBtn.className = ext === 'pdf' ? 'btn-green' : 'btn-blue';
+      downloadBtn.style.textDecoration = 'none';
+      downloadBtn.textContent = 'Download Attachment';
+      wrapper.appendChild(downloadBtn);
+      threadCard.appendChild(wrapper);
+    }
+    // Content body parsed
+    const body = document.createElement('div');
+    body.className = 'thread-body';
+    body.innerHTML = window.marked.parse(thread.content || '');
+    if (typeof window.renderMathInElement === 'function') {
+      try {
+        window.renderMathInElement(body, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    threadCard.appendChild(body);
+    container.appendChild(threadCard);
+    // Build a map of comments by id to resolve reply targets
+    const commentMap = {};
+    thread.comments.forEach(cm => {
+      commentMap[cm.id] = cm;
+    });
+
+    // Comments section
+    const commentsContainer = document.createElement('div');
+    commentsContainer.className = 'comments-container';
+    commentsContainer.style.marginTop = '1rem';
+    const commentsHeader = document.createElement('h4');
+    commentsHeader.textContent = thread.type === 'question' ? 'Answers' : 'Comments';
+    commentsContainer.appendChild(commentsHeader);
+    if (thread.comments.length === 0) {
+      const p = document.createElement('p');
+      p.textContent = thread.type === 'question' ? 'No answers yet.' : 'No comments yet.';
+      commentsContainer.appendChild(p);
+    } else {
+      thread.comments.forEach((c) => {
+        // Create a card for each comment
+        const card = document.createElement('div');
+        card.className = 'comment-item';
+        card.dataset.commentId = c.id;
+        if (c.accepted) {
+          card.classList.add('accepted-answer');
+          const acceptedLabel = document.createElement('div');
+          acceptedLabel.className = 'accepted-label';
+          acceptedLabel.textContent = '✓ Accepted answer';
+          card.appendChild(acceptedLabel);
+        }
+        // Meta line (author and date)
+        const metaDiv = document.createElement('div');
+        metaDiv.className = 'comment-meta';
+        const authHTML = forumAuthorHTML(c);
+        metaDiv.innerHTML = `${authHTML} • ${new Date(c.date).toLocaleString()}`;
+        if (c.edited) metaDiv.appendChild(editedMarker(c));
+        card.appendChild(metaDiv);
+        // If this comment is a reply, show who it replies to
+        if (c.replyTo) {
+          const parent = commentMap[c.replyTo];
+          const replyLabel = document.createElement('div');
+          replyLabel.className = 'reply-label';
+          replyLabel.style.fontSize = '0.8rem';
+          replyLabel.style.color = '#6e6e73';
+          if (parent) {
+            replyLabel.textContent = `↳ Reply to ${forumDisplayName(parent)}`;
+          } else {
+            replyLabel.textContent = '↳ Reply';
+          }
+          card.appendChild(replyLabel);
+        }
+        // Comment body with Markdown and LaTeX
+        const bodyDiv = document.createElement('div');
+        bodyDiv.innerHTML = window.marked.parse(c.content || '');
+        if (typeof window.renderMathInElement === 'function') {
+          try {
+            window.renderMathInElement(bodyDiv, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
+          } catch (err) {
+            console.error(err);
+          }
+        }
+        card.appendChild(bodyDiv);
+        // Attachment buttons
+        if (c.attachmentPath) {
+          const relp = c.attachmentPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+          const extc = relp.split('.').pop().toLowerCase();
+          const attWrap = document.createElement('div');
+          attWrap.style.display = 'flex';
+          attWrap.style.gap = '0.5rem';
+          attWrap.style.marginTop = '0.25rem';
+          if (extc === 'pdf') {
+            const prevBtn = document.createElement('button');
+            prevBtn.className = 'btn-blue';
+            prevBtn.textContent = 'Preview';
+            prevBtn.addEventListener('click', () => {
+              openPdfModal('/' + relp, 'Comment Attachment');
+            });
+            attWrap.appendChild(prevBtn);
+          }
+          const dlBtn = document.createElement('a');
+          dlBtn.href = '/' + relp;
+          dlBtn.target = '_blank';
+          dlBtn.className = extc === 'pdf' ? 'btn-green' : 'btn-blue';
+          dlBtn.style.textDecoration = 'none';
+          dlBtn.textContent = 'Download';
+          attWrap.appendChild(dlBtn);
+          card.appendChild(attWrap);
+        }
+        if (thread.type === 'question') {
+          card.appendChild(answerControls(thread, c, canModerate));
+        }
+        // Reply button: allow logged‑in, approved users to reply to a specific comment
+        if (currentUser && currentUser.approved !== false && !thread.locked) {
+          const replyBtn = document.createElement('button');
+          replyBtn.textContent = 'Reply';
+          replyBtn.className = 'btn-blue';
+          replyBtn.style.marginTop = '0.5rem';
+          replyBtn.addEventListener('click', () => {
+            replyToId = c.id;
+            replyToName = forumDisplayName(c);
+            const indicator = document.getElementById('replyIndicator');
+            if (indicator) {
+              indicator.textContent = `Replying to ${replyToName}`;
+              indicator.style.display = 'block';
+            }
+            const ta = document.getElementById('commentTextarea');
+            if (ta) {
+              ta.focus();
+            }
+          });
+          card.appendChild(replyBtn);
+        }
+        if (c.editable) {
+          const editBtn = document.createElement('button');
+          editBtn.textContent = 'Edit';
+          editBtn.className = 'btn-grey';
+          editBtn.style.marginTop = '0.5rem';
+          editBtn.style.marginLeft = '0.5rem';
+          editBtn.addEventListener('click', () => editForumPost(thread, c));
+          card.appendChild(editBtn);
+        }
+        // Admin delete button aligned right in actions container
+        if (currentUser && currentUser.role === 'admin') {
+          const actions = document.createElement('div');
+          actions.className = 'comment-actions';
+          const delBtn = document.createElement('button');
+          delBtn.textContent = 'Delete';
+          delBtn.className = 'btn-red';
+          delBtn.addEventListener('click', async () => {
+    const ok = await sweetConfirm('Delete this comment?');
+    if (!ok) return;
+            const resp = await fetchAuth(`/api/forum/${thread.id}/comments/${c.id}`, { method: 'DELETE' });
+            if (resp.ok) {
+              openThreadPage(thread.id);
+            } else {
+              const msg = await resp.json();
+              alert(msg.error || 'Failed to delete');
+            }
+          });
+          actions.appendChild(delBtn);
+          card.appendChild(actions);
+        }
+        commentsContainer.appendChild(card);
+      });
+    }
+    container.appendChild(commentsContainer);
+    // Comment form if logged in and not pending; locked threads are read-only
+    if (thread.locked) {
+      const lockedMsg = document.createElement('div');
+      lockedMsg.className = 'thread-locked-note';
+      lockedMsg.innerHTML = '<i class="fa-solid fa-lock"></i> This thread is locked. It can be read but not commented on.';
+      container.appendChild(lockedMsg);
+    } else if (currentUser && !(currentUser.role === 'pendingStudent' || currentUser.approved === false)) {
+      // Build comment posting form in a card. Include reply indicator and track replyToId.
+      const form = document.createElement('div');
+      form.className = 'comment-form assignment-detail-section';
+      // Reply indicator: displays which comment is being replied to
+      const replyIndicator = document.createElement('div');
+      replyIndicator.id = 'replyIndicator';
+      replyIndicator.style.display = 'none';
+      replyIndicator.style.fontStyle = 'italic';
+      replyIndicator.style.marginBottom = '0.25rem';
+      form.appendChild(replyIndicator);
+      // Comment textarea
+      const textarea = document.createElement('textarea');
+      textarea.id = 'commentTextarea';
+      textarea.placeholder = 'Add a comment...';
+      textarea.rows = 3;
+      textarea.style.width = '100%';
+      // Attachment input
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = 'application/pdf,application/msword,application/vnd.openxmlformats-officedocument.*,image/*';
+      fileInput.style.marginTop = '0.5rem';
+      // Submit button
+      const submit = document.createElement('button');
+      submit.textContent = 'Post Comment';
+      submit.className = 'btn-blue';
+      submit.style.marginTop = '0.5rem';
+      submit.addEventListener('click', async () => {
+        const contentVal = textarea.value.trim();
+        if (!contentVal) return;
+        const formData = new FormData();
+        formData.append('content', contentVal);
+        if (document.getElementById('commentAnonymous')?.checked) {
+          formData.append('anonymous', 'true');
+        }
+        // Include replyTo if set
+        if (typeof replyToId !== 'undefined' && replyToId) {
+          formData.append('replyTo', replyToId);
+        }
+        if (fileInput.files.length) {
+          formData.append('file', fileInput.files[0]);
+        }
+        const resp = await fetchAuth(`/api/forum/${thread.id}/comments`, {
+          method: 'POST',
+          body: formData,
+        });
+        if (resp.ok) {
+          // Reset form and reply state
+          textarea.value = '';
+          fileInput.value = '';
+          if (typeof replyToId !== 'undefined') {
+            replyToId = null;
+            replyToName = '';
+          }
+          replyIndicator.style.display = 'none';
+          openThreadPage(thread.id);
+        } else {
+          const msg = await resp.json();
+          alert(msg.error || 'Failed to post comment');
+        }
+      });
+      form.appendChild(textarea);
+      form.appendChild(fileInput);
+      if (canPostAnonymously()) form.appendChild(anonymousCheckbox('commentAnonymous'));
+      form.appendChild(submit);
+      container.appendChild(form);
+    } else {
+      const loginMsg = document.createElement('div');
+      loginMsg.style.marginTop = '1rem';
+      loginMsg.style.fontSize = '0.85rem';
+      loginMsg.style.color = '#6e6e73';
+      loginMsg.textContent = 'Login to post a comment.';
+      container.appendChild(loginMsg);
+    }
+    // Admin actions (archive/unarchive, delete) on page
+    if (currentUser && currentUser.role === 'admin') {
+      const adminActions = document.createElement('div');
+      adminActions.style.marginTop = '1rem';
+      const archiveBtn = document.createElement('button');
+      archiveBtn.className = thread.archived ? 'btn-yellow' : 'btn-yellow';
+      archiveBtn.textContent = thread.archived ? 'Unarchive Thread' : 'Archive Thread';
+      archiveBtn.addEventListener('click', async () => {
+        const resp = await fetchAuth(`/api/forum/${thread.id}/archive`, { method: 'POST' });
+        if (resp.ok) {
+          loadDiscussions();
+          loadHomeThreads();
+          openThreadPage(thread.id);
+        } else {
+          const msg = await resp.json();
+          alert(msg.error || 'Failed to update');
+        }
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn-red';
+      deleteBtn.textContent = 'Delete Thread';
+      deleteBtn.style.marginLeft = '0.5rem';
+      deleteBtn.addEventListener('click', async () => {
+        const ok = await sweetConfirm('Delete this thread?');
+        if (!ok) return;
+        const resp = await fetchAuth(`/api/forum/${thread.id}`, { method: 'DELETE' });
+        if (resp.ok) {
+          showSection('discussions-section');
+          loadDiscussions();
+          loadHomeThreads();
+        } else {
+          const msg = await resp.json();
+          alert(msg.error || 'Failed to delete thread');
+        }
+      });
+      const pinBtn = document.createElement('button');
+      pinBtn.className = 'btn-grey';
+      pinBtn.textContent = thread.pinned ? 'Unpin Thread' : 'Pin Thread';
+      pinBtn.style.marginLeft = '0.5rem';
+      pinBtn.addEventListener('click', () => toggleThreadFlag(thread.id, 'pin'));
+      const lockBtn = document.createElement('button');
+      lockBtn.className = 'btn-grey';
+      lockBtn.textContent = thread.locked ? 'Unlock Thread' : 'Lock Thread';
+      lockBtn.style.marginLeft = '0.5rem';
+      lockBtn.addEventListener('click', () => toggleThreadFlag(thread.id, 'lock'));
+      const visibilityBtn = document.createElement('button');
+      visibilityBtn.className = 'btn-grey';
+      visibilityBtn.textContent = thread.visibility === 'staff' ? 'Redact & Make Public' : 'Make Private';
+      visibilityBtn.style.marginLeft = '0.5rem';
+      visibilityBtn.addEventListener('click', () => changeThreadVisibility(thread));
+      const categoryPicker = threadCategoryPicker(thread, () => openThreadPage(thread.id));
+      categoryPicker.style.marginLeft = '0.5rem';
+      adminActions.appendChild(archiveBtn);
+      adminActions.appendChild(deleteBtn);
+      adminActions.appendChild(pinBtn);
+      adminActions.appendChild(lockBtn);
+      adminActions.appendChild(visibilityBtn);
+      adminActions.appendChild(categoryPicker);
+      container.appendChild(adminActions);
+    }
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Open the assignment detail page for a given assignment. This view shows the
+ * assignment PDF, allows students to upload their submission and preview it,
+ * and displays grading information and feedback. Admins see a button to
+ * grade submissions as before.
+ * @param {Object} assn Assignment object (from assignments list)
+ */
+async function openAssignmentPage(assn) {
+  // Hide other pages and nav highlight
+  showSection('assignment-page-section');
+  setActiveNav(null);
+  const container = document.getElementById('assignmentPageContent');
+  container.innerHTML = '';
+  // Back link
+  const backBtn = document.createElement('button');
+  backBtn.textContent = '← Back to assignments';
+  backBtn.className = 'btn-blue';
+  backBtn.style.marginBottom = '1rem';
+  backBtn.addEventListener('click', () => {
+    showSection('assignments-section');
+    setActiveNav(document.querySelector('nav.nav-links button[data-section="assignments"]'));
+  });
+  container.appendChild(backBtn);
+  // Header with title and due
+  const title = document.createElement('h3');
+  title.textContent = assn.title;
+  container.appendChild(title);
+  const myExtensions = await loadMyExtensions();
+  const extension = myExtensions[assn.id] || null;
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = `Due: ${new Date((extension && extension.dueDate) || assn.dueDate).toLocaleString()}` + (extension ? ' (extended)' : '');
+  container.appendChild(meta);
+  const calendarBtn = document.createElement('button');
+  calendarBtn.className = 'btn-grey calendar-btn';
+  calendarBtn.innerHTML = '<i class="fa-regular fa-calendar-plus"></i> Add to Calendar';
+  calendarBtn.addEventListener('click', () => downloadFile(`/api/assignments/${assn.id}/ics`, `${assn.title}.ics`));
+  container.appendChild(calendarBtn);
+  const policyText = describeLatePolicy(assn.latePolicy);
+  if (policyText) {
+    const policyDiv = document.createElement('div');
+    policyDiv.className = 'meta';
+    policyDiv.textContent = policyText;
+    container.appendChild(policyDiv);
+  }
+
+  // Assignment dashboard disabled: previously this section displayed submission and grade statistics for the assignment. It has been removed per updated requirements.
+  // Description parsed and wrapped in a card for better separation
+  const descDiv = document.createElement('div');
+  descDiv.innerHTML = window.marked.parse(assn.description || '');
+  if (typeof window.renderMathInElement === 'function') {
+    try {
+      window.renderMathInElement(descDiv, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+  const descCard = document.createElement('div');
+  descCard.className = 'card';
+  descCard.style.marginBottom = '1rem';
+  const descHeader = document.createElement('h4');
+  descHeader.textContent = 'Description';
+  descCard.appendChild(descHeader);
+  descCard.appendChild(descDiv);
+  container.appendChild(descCard);
+  // Section: view assignment PDF
+  if (assn.pdfPath) {
+    // Wrap in a styled section for improved aesthetics
+    const pdfSection = document.createElement('div');
+    pdfSection.className = 'assignment-detail-section';
+    const h4 = document.createElement('h4');
+    h4.textContent = 'Assignment PDF';
+    pdfSection.appendChild(h4);
+    // Controls container for pagination and zoom
+    const controls = document.createElement('div');
+    controls.className = 'pdf-viewer-controls';
+    const prevBtn = document.createElement('button');
+    prevBtn.textContent = 'Prev';
+    const nextBtn = document.createElement('button');
+    nextBtn.textContent = 'Next';
+    const zoomOutBtn = document.createElement('button');
+    zoomOutBtn.textContent = '−';
+    const zoomInBtn = document.createElement('button');
+    zoomInBtn.textContent = '+';
+    const pageInfo = document.createElement('span');
+    pageInfo.className = 'page-info';
+    controls.appendChild(prevBtn);
+    controls.appendChild(nextBtn);
+    controls.appendChild(zoomOutBtn);
+    controls.appendChild(zoomInBtn);
+    controls.appendChild(pageInfo);
+    pdfSection.appendChild(controls);
+    // Canvas container
+    const pdfViewer = document.createElement('div');
+    pdfViewer.className = 'pdf-container';
+    const pdfCanvas = document.createElement('canvas');
+    pdfViewer.appendChild(pdfCanvas);
+    pdfSection.appendChild(pdfViewer);
+    container.appendChild(pdfSection);
+    // Use pdf.js to display assignment PDF with pagination and zoom
+    const relPath = assn.pdfPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+    const url = '/' + relPath;
+    let doc = null;
+    let pageNum = 1;
+    let scale = 1.0;
+    async function renderAssignmentPage(num) {
+      if (!doc) return;
+      const page = await doc.getPage(num);
+      const viewport = page.getViewport({ scale });
+      pdfCanvas.height = viewport.height;
+      pdfCanvas.width = viewport.width;
+      const ctx = pdfCanvas.getContext('2d');
+      await page.render({ canvasContext: ctx, viewport }).promise;
+      pageInfo.textContent = `Page ${pageNum} / ${doc.numPages}`;
+    }
+    function updateControls() {
+      if (!doc) return;
+      prevBtn.disabled = pageNum <= 1;
+      nextBtn.disabled = pageNum >= doc.numPages;
+    }
+    if (window.pdfjsLib) {
+      pdfjsLib.getDocument(url).promise.then((d) => {
+        doc = d;
+        renderAssignmentPage(pageNum);
+        updateControls();
+      });
+    }
+    prevBtn.addEventListener('click', () => {
+      if (pageNum > 1) {
+        pageNum--;
+        renderAssignmentPage(pageNum);
+        updateControls();
+      }
+    });
+    nextBtn.addEventListener('click', () => {
+      if (doc && pageNum < doc.numPages) {
+        pageNum++;
+        renderAssignmentPage(pageNum);
+        updateControls();
+      }
+    });
+    zoomInBtn.addEventListener('click', () => {
+      scale = Math.min(scale + 0.25, 2.0);
+      renderAssignmentPage(pageNum);
+    });
+    zoomOutBtn.addEventListener('click', () => {
+      scale = Math.max(scale - 0.25, 0.5);
+      renderAssignmentPage(pageNum);
+    });
+  }
+  // Student submission & grade section
+  if (!currentUser || currentUser.role === 'student') {
+    // Fetch this student's submission if exists (the server only returns our
+    // own, or our group's for group assignments)
+    let mySub = null;
+    try {
+      if (currentUser) {
+        const res = await fetchAuth(`/api/assignments/${assn.id}/submissions`);
+        const subs = await res.json();
+        mySub = subs[0] || null;
+      }
+    } catch (err) {
+      console.error('Failed to fetch submission', err);
+    }
+    // Group assignments: students submit once they are in a group
+    let groupList = null;
+    if (currentUser && assn.groupSize) {
+      try {
+        const res = await fetchAuth(`/api/assignments/${assn.id}/groups`);
+        groupList = await res.json();
+      } catch (err) {
+        console.error('Failed to load groups', err);
+        groupList = [];
+      }
+      container.appendChild(buildStudentGroupCard(assn, groupList));
+    }
+    const needsGroup = !!groupList && !groupList.some((g) => g.mine);
+    // Section container for submission and feedback
+    const subSection = document.createElement('div');
+    // Use the same styled wrapper as assignment pdf for a cohesive look
+    subSection.className = 'assignment-detail-section';
+    // Upload part
+    const uploadTitle = document.createElement('h4');
+    uploadTitle.textContent = 'Submit Your Work';
+    subSection.appendChild(uploadTitle);
+    const countdownEl = document.createElement('div');
+    if (!mySub || !mySub.graded) subSection.appendChild(countdownEl);
+    // If there is a submission, show status and preview
+    if (mySub) {
+      const status = document.createElement('div');
+      status.style.fontSize = '0.85rem';
+      status.style.marginBottom = '0.5rem';
+      if (mySub.graded) {
+        status.innerHTML = `<strong>Submitted:</strong> ${new Date(mySub.uploadedAt).toLocaleString()}`;
+      } else {
+        const pending = assn.gradesReleased === false ? 'grades not released yet' : 'not yet graded';
+        status.innerHTML = `<strong>Submitted:</strong> ${new Date(mySub.uploadedAt).toLocaleString()} (${pending})`;
+      }
+      status.appendChild(document.createTextNode(' '));
+      status.appendChild(lateLabel(mySub));
+      subSection.appendChild(status);
+      // Preview uploaded PDF using pdf.js (first page) and provide a link to
+      // open the full PDF with navigation using the modal preview. This avoids
+      // duplicating pagination logic here and gives users an easy way to view
+      // multiple pages.
+      const previewDiv = document.createElement('div');
+      previewDiv.className = 'pdf-container';
+      const canvas = document.createElement('canvas');
+      previewDiv.appendChild(canvas);
+      subSection.appendChild(previewDiv);
+      const fileRel = mySub.filePath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+      const fileUrl = '/' + fileRel;
+      let docp = null;
+      if (window.pdfjsLib) {
+        pdfjsLib.getDocument(fileUrl).promise.then((d) => {
+          docp = d;
+          d.getPage(1).then((pg) => {
+            const vp = pg.getViewport({ scale: 1.0 });
+            canvas.width = vp.width;
+            canvas.height = vp.height;
+            const ctx = canvas.getContext('2d');
+            pg.render({ canvasContext: ctx, viewport: vp });
+          });
+        });
+      }
+      // Button to view the full PDF with navigation
+      const previewBtn = document.createElement('button');
+      previewBtn.className = 'btn-blue';
+      previewBtn.style.marginTop = '0.5rem';
+      previewBtn.textContent = 'Preview Full PDF';
+      previewBtn.addEventListener('click', () => {
+        openPdfModal(fileUrl, 'My Submission');
+      });
+      subSection.appendChild(previewBtn);
+      if (assn.questions && !mySub.graded) {
+        const tags = document.createElement('div');
+        tags.className = 'meta';
+        tags.style.marginTop = '0.5rem';
+        tags.textContent = 'Pages per problem: ' + assn.questions
+          .map((q, i) => `${i + 1}. ${q.title}: ${(mySub.pageMap || {})[q.id] ? pageRanges(mySub.pageMap[q.id]) : 'none'}`)
+          .join(' · ');
+        subSection.appendChild(tags);
+        const retagBtn = document.createElement('button');
+        retagBtn.className = 'btn-grey';
+        retagBtn.style.marginTop = '0.5rem';
+        retagBtn.textContent = 'Edit Page Tags';
+        retagBtn.addEventListener('click', async () => {
+          const tagger = buildPageTagger(assn.questions, mySub.pageMap);
+          tagger.setPageCount(docp ? docp.numPages : 0);
+          const result = await Swal.fire({
+            title: 'Pages per Problem',
+            html: '<div id="retagPages" style="text-align:left"></div>',
+            width: 700,
+            showCancelButton: true,
+            confirmButtonText: 'Save',
+            confirmButtonColor: '#007aff',
+            didOpen: () => document.getElementById('retagPages').appendChild(tagger.element),
+            preConfirm: () => tagger.value(),
+          });
+          if (!result.isConfirmed || !(await confirmPageTags(assn.questions, result.value))) return;
+          const resp = await fetchAuth(`/api/assignments/${assn.id}/submissions/${mySub.id}/page-map`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pageMap: result.value }),
+          });
+          if (resp.ok) {
+            openAssignmentPage(assn);
+          } else {
+            const msg = await resp.json();
+            alert(msg.error || 'Failed to save page tags');
+          }
+        });
+        subSection.appendChild(retagBtn);
+      }
+      if (mySub.versions && mySub.versions.length) {
+        const versionsTitle = document.createElement('h4');
+        versionsTitle.textContent = 'Upload History';
+        versionsTitle.style.marginTop = '1rem';
+        subSection.appendChild(versionsTitle);
+        subSection.appendChild(renderVersionTimeline(mySub));
+      }
+    }
+    // Upload input if not graded and submissions are still open
+    const deadline = assignmentDeadline(assn, extension);
+    const closed = deadline.closesAt && Date.now() > deadline.closesAt.getTime();
+    if (needsGroup) {
+      const note = document.createElement('p');
+      note.className = 'group-note';
+      note.textContent = 'This is a group assignment. You can submit once you are in a group.';
+      subSection.appendChild(note);
+      attachCountdown(countdownEl, assn, extension);
+    } else if ((!mySub || !mySub.graded) && !closed) {
+      const uploadContainer = document.createElement('div');
+      uploadContainer.className = 'upload-container';
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = 'application/pdf';
+      const inputId = `detail-upload-${assn.id}`;
+      fileInput.id = inputId;
+      const label = document.createElement('label');
+      label.className = 'upload-label';
+      label.setAttribute('for', inputId);
+      label.innerHTML = '<i class="fa-solid fa-file-arrow-up"></i> Choose PDF';
+      const fileNameSpan = document.createElement('span');
+      fileNameSpan.className = 'file-name';
+      fileNameSpan.textContent = 'No file chosen';
+      // Assignments with problems: tag the pages of each problem
+      const tagger = assn.questions ? buildPageTagger(assn.questions, mySub && mySub.pageMap) : null;
+      fileInput.addEventListener('change', async () => {
+        if (fileInput.files.length) {
+          fileNameSpan.textContent = fileInput.files[0].name;
+          if (tagger) tagger.setPageCount(await countPdfPages(fileInput.files[0]));
+        } else {
+          fileNameSpan.textContent = 'No file chosen';
+          if (tagger) tagger.setPageCount(0);
+        }
+      });
+      const submitBtn = document.createElement('button');
+      submitBtn.className = 'btn-blue';
+      submitBtn.textContent = mySub ? 'Upload New Version' : 'Submit';
+      submitBtn.addEventListener('click', async () => {
+        if (!fileInput.files.length) {
+          alert('Please select a PDF.');
+          return;
+        }
+        const formData = new FormData();
+        formData.append('file', fileInput.files[0]);
+        if (tagger) {
+          const pageMap = tagger.value();
+          if (!(await confirmPageTags(assn.questions, pageMap))) return;
+          formData.append('pageMap', JSON.stringify(pageMap));
+        }
+        const resp = await fetchAuth(`/api/assignments/${assn.id}/submit`, {
+          method: 'POST',
+          body: formData,
+        });
+        if (resp.ok) {
+          const result = await resp.json();
+          let msg = `Submission uploaded successfully as version ${result.version}. Receipt (SHA-256): ${result.sha256}`;
+          if (result.late) msg += result.latePenalty ? ` It was late; a penalty of ${result.latePenalty} points applies.` : ' It was marked as late.';
+          alert(msg);
+          openAssignmentPage(assn);
+        } else {
+          const msg = await resp.json();
+          alert(msg.error || 'Submission failed');
+        }
+      });
+      uploadContainer.appendChild(fileInput);
+      uploadContainer.appendChild(label);
+      uploadContainer.appendChild(fileNameSpan);
+      uploadContainer.appendChild(submitBtn);
+      subSection.appendChild(uploadContainer);
+      if (tagger) uploadContainer.after(tagger.element);
+      attachCountdown(countdownEl, assn, extension, tagger ? [uploadContainer, tagger.element] : [uploadContainer]);
+    } else if (!mySub || !mySub.graded) {
+      attachCountdown(countdownEl, assn, extension);
+    }
+    // Grade info if graded
+    if (mySub && mySub.graded) {
+      const gradeDiv = document.createElement('div');
+      gradeDiv.style.marginTop = '1rem';
+      const gradeText = mySub.latePenalty
+        ? `${mySub.grade} − ${mySub.latePenalty} late penalty = ${finalGradeClient(mySub)}`
+        : mySub.grade;
+      gradeDiv.innerHTML = `<strong>Grade:</strong> ${gradeText}<br/><strong>Comments:</strong> ${mySub.comments || '—'}`;
+      if (mySub.feedbackPath) {
+        const link = document.createElement('a');
+        const relp = mySub.feedbackPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+        link.href = '/' + relp;
+        link.textContent = 'Download Feedback';
+        link.target = '_blank';
+        gradeDiv.appendChild(document.createElement('br'));
+        gradeDiv.appendChild(link);
+      }
+      if (assn.rubric && mySub.rubricScores) {
+        gradeDiv.appendChild(renderRubricBreakdown(assn.rubric, mySub));
+      }
+      if (assn.questions && mySub.questionScores) {
+        gradeDiv.appendChild(renderQuestionBreakdown(assn.questions, mySub));
+      }
+      const history = renderGradeHistory(mySub);
+      if (history) gradeDiv.appendChild(history);
+      subSection.appendChild(gradeDiv);
+      subSection.appendChild(await buildRegradeSection(assn, mySub));
+    }
+    container.appendChild(subSection);
+  }
+  const discussionCard = await buildAssignmentDiscussionCard(assn);
+  if (discussionCard) container.appendChild(discussionCard);
+  // Admin: show grade submissions list via button
+  if (currentUser && currentUser.role === 'admin') {
+    const gradeBtn = document.createElement('button');
+    gradeBtn.className = 'btn-blue';
+    gradeBtn.style.marginTop = '1rem';
+    gradeBtn.textContent = 'Grade Submissions';
+    gradeBtn.addEventListener('click', () => {
+      // Use dedicated grading page instead of modal
+      openAssignmentGradesPage(assn);
+    });
+    container.appendChild(gradeBtn);
+    const rubricBtn = document.createElement('button');
+    rubricBtn.className = 'btn-grey';
+    rubricBtn.style.marginTop = '1rem';
+    rubricBtn.style.marginLeft = '0.5rem';
+    rubricBtn.textContent = assn.rubric ? 'Edit Rubric' : 'Add Rubric';
+    rubricBtn.addEventListener('click', () => {
+      openRubricEditorPage(assn);
+    });
+    container.appendChild(rubricBtn);
+    container.appendChild(buildGradeReleaseBar(assn));
+    container.appendChild(buildAnonymityBar(assn));
+    container.appendChild(await buildDeadlineAdminCard(assn));
+    container.appendChild(await buildGroupAdminCard(assn));
+    container.appendChild(buildQuestionsAdminCard(assn));
+    container.appendChild(await buildGraderAdminCard(assn));
+  }
+}
+
+/**
+ * Names (and student IDs, where visible) of a group's members.
+ *
+ * @param {Object} group Group as returned by the groups API
+ */
+function groupMemberNames(group) {
+  return group.members.map((m) => (m.studentId ? `${m.name} (${m.studentId})` : m.name)).join(', ');
+}
+
+/**
+ * Student card on a group assignment page: the student's group and its
+ * members or, when students form their own groups, buttons to create a group
+ * or join one that has room.
+ *
+ * @param {Object} assn
+ * @param {Array} groupList Groups visible to the student
+ */
+function buildStudentGroupCard(assn, groupList) {
+  const card = document.createElement('div');
+  card.className = 'assignment-detail-section group-card';
+  const h4 = document.createElement('h4');
+  h4.textContent = 'Your Group';
+  card.appendChild(h4);
+  const myGroup = groupList.find((g) => g.mine);
+  async function groupAction(url, options, fallback) {
+    const resp = await fetchAuth(url, options);
+    if (resp.ok) {
+      openAssignmentPage(assn);
+    } else {
+      const msg = await resp.json();
+      alert(msg.error || fallback);
+    }
+  }
+  if (myGroup) {
+    const name = document.createElement('div');
+    name.className = 'group-name';
+    name.textContent = myGroup.name;
+    card.appendChild(name);
+    const members = document.createElement('div');
+    members.className = 'group-members';
+    members.textContent = `Members: ${groupMemberNames(myGroup)}`;
+    card.appendChild(members);
+    if (assn.selfFormedGroups && !myGroup.submitted) {
+      const leaveBtn = document.createElement('button');
+      leaveBtn.className = 'btn-grey';
+      leaveBtn.textContent = 'Leave Group';
+      leaveBtn.addEventListener('click', async () => {
+        const ok = await sweetConfirm(`Leave ${myGroup.name}?`);
+        if (!ok) return;
+        groupAction(`/api/groups/${myGroup.id}/leave`, { method: 'POST' }, 'Failed to leave group');
+      });
+      card.appendChild(leaveBtn);
+    }
+    return card;
+  }
+  const note = document.createElement('p');
+  note.className = 'group-note';
+  if (!assn.selfFormedGroups) {
+    note.textContent = 'You have not been put in a group yet. The TAs form the groups for this assignment.';
+    card.appendChild(note);
+    return card;
+  }
+  note.textContent = `You are not in a group yet. Create a group or join one with room (at most ${assn.groupSize} members).`;
+  card.appendChild(note);
+  const createBtn = document.createElement('button');
+  createBtn.className = 'btn-blue';
+  createBtn.textContent = 'Create Group';
+  createBtn.addEventListener('click', async () => {
+    const result = await Swal.fire({
+      title: 'Create Group',
+      input: 'text',
+      inputLabel: 'Group name (optional)',
+      showCancelButton: true,
+      confirmButtonText: 'Create',
+      confirmButtonColor: '#007aff',
+    });
+    if (!result.isConfirmed) return;
+    groupAction(`/api/assignments/${assn.id}/groups`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: result.value }),
+    }, 'Failed to create group');
+  });
+  card.appendChild(createBtn);
+  groupList.forEach((group) => {
+    const row = document.createElement('div');
+    row.className = 'group-row';
+    const info = document.createElement('div');
+    info.innerHTML = '<strong></strong><div class="group-members"></div>';
+    info.querySelector('strong').textContent = `${group.name} (${group.members.length}/${assn.groupSize})`;
+    info.querySelector('.group-members').textContent = groupMemberNames(group);
+    row.appendChild(info);
+    if (!group.submitted && group.members.length < assn.groupSize) {
+      const joinBtn = document.createElement('button');
+      joinBtn.className = 'btn-green';
+      joinBtn.textContent = 'Join';
+      joinBtn.addEventListener('click', () => {
+        groupAction(`/api/groups/${group.id}/join`, { method: 'POST' }, 'Failed to join group');
+      });
+      row.appendChild(joinBtn);
+    }
+    card.appendChild(row);
+  });
+  return card;
+}
+
+/**
+ * Dialog for a TA to create or edit a group: its name and members, given as
+ * one email or student ID per line. Resolves to the request body, or null
+ * when cancelled.
+ *
+ * @param {Object|null} group Group to edit, or null for a new group
+ */
+async function openGroupDialog(group) {
+  const members = group ? group.members.map((m) => m.studentId || m.email).join('\n') : '';
+  const result = await Swal.fire({
+    title: group ? 'Edit Group' : 'New Group',
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        <label>Name<input type="text" id="groupName" /></label>
+        <label>Members (one email or student ID per line)<textarea id="groupMembers" rows="5"></textarea></label>
+      </div>`,
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    confirmButtonColor: '#007aff',
+    didOpen: () => {
+      document.getElementById('groupName').value = group ? group.name : '';
+      document.getElementById('groupMembers').value = members;
+    },
+    preConfirm: () => {
+      const list = document.getElementById('groupMembers').value.split(/[\n,]/).map((m) => m.trim()).filter(Boolean);
+      if (!list.length) {
+        Swal.showValidationMessage('Add at least one member');
+        return false;
+      }
+      return { name: document.getElementById('groupName').value.trim(), members: list };
+    },
+  });
+  return result.isConfirmed ? result.value : null;
+}
+
+/**
+ * Admin card on the assignment page for making an assignment a group
+ * assignment and managing its groups.
+ *
+ * @param {Object} assn
+ */
+async function buildGroupAdminCard(assn) {
+  const card = document.createElement('div');
+  card.className = 'assignment-detail-section group-card';
+  const h4 = document.createElement('h4');
+  h4.textContent = 'Group Work';
+  card.appendChild(h4);
+  const fields = document.createElement('div');
+  fields.className = 'late-policy-fields';
+  fields.innerHTML = `
+    <label>Maximum group size (empty = individual assignment)<input type="number" min="2" step="1" class="group-size" /></label>
+    <label class="checkbox-label"><input type="checkbox" class="group-self-formed" /> Students form their own groups</label>`;
+  const sizeInput = fields.querySelector('.group-size');
+  const selfInput = fields.querySelector('.group-self-formed');
+  sizeInput.value = assn.groupSize || '';
+  selfInput.checked = !!assn.selfFormedGroups;
+  card.appendChild(fields);
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn-blue';
+  saveBtn.textContent = 'Save Group Settings';
+  saveBtn.addEventListener('click', async () => {
+    const formData = new FormData();
+    formData.append('groupSize', sizeInput.value);
+    formData.append('selfFormedGroups', selfInput.checked ? 'true' : 'false');
+    const resp = await fetchAuth(`/api/assignments/${assn.id}`, { method: 'PUT', body: formData });
+    const data = await resp.json();
+    if (resp.ok) {
+      Object.assign(assn, data);
+      card.replaceWith(await buildGroupAdminCard(assn));
+    } else {
+      alert(data.error || 'Failed to save group settings');
+    }
+  });
+  card.appendChild(saveBtn);
+  if (!assn.groupSize) return card;
+  async function refresh() {
+    card.replaceWith(await buildGroupAdminCard(assn));
+  }
+  async function saveGroup(url, method, body) {
+    const resp = await fetchAuth(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (resp.ok) {
+      refresh();
+    } else {
+      const msg = await resp.json();
+      alert(msg.error || 'Failed to save group');
+    }
+  }
+  const groupsTitle = document.createElement('h4');
+  groupsTitle.textContent = 'Groups';
+  groupsTitle.style.marginTop = '1rem';
+  card.appendChild(groupsTitle);
+  const newBtn = document.createElement('button');
+  newBtn.className = 'btn-green';
+  newBtn.textContent = 'New Group';
+  newBtn.addEventListener('click', async () => {
+    const body = await openGroupDialog(null);
+    if (body) saveGroup(`/api/assignments/${assn.id}/groups`, 'POST', body);
+  });
+  card.appendChild(newBtn);
+  const list = document.createElement('div');
+  card.appendChild(list);
+  try {
+    const res = await fetchAuth(`/api/assignments/${assn.id}/groups`);
+    const groupList = await res.json();
+    if (!groupList.length) {
+      list.textContent = assn.selfFormedGroups ? 'No groups yet. Students can create and join groups themselves.' : 'No groups yet.';
+    }
+    groupList.forEach((group) => {
+      const row = document.createElement('div');
+      row.className = 'group-row';
+      const info = document.createElement('div');
+      info.innerHTML = '<strong></strong><div class="group-members"></div>';
+      info.querySelector('strong').textContent = `${group.name} (${group.members.length}/${assn.groupSize})${group.submitted ? ' – submitted' : ''}`;
+      info.querySelector('.group-members').textContent = groupMemberNames(group);
+      row.appendChild(info);
+      const actions = document.createElement('div');
+      actions.className = 'group-actions';
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn-grey';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', async () => {
+        const body = await openGroupDialog(group);
+        if (body) saveGroup(`/api/groups/${group.id}`, 'PUT', body);
+      });
+      actions.appendChild(editBtn);
+      if (!group.submitted) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-red';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+          const ok = await sweetConfirm(`Delete ${group.name}?`);
+          if (!ok) return;
+          const resp = await fetchAuth(`/api/groups/${group.id}`, { method: 'DELETE' });
+          if (resp.ok) {
+            refresh();
+          } else {
+            const msg = await resp.json();
+            alert(msg.error || 'Failed to delete group');
+          }
+        });
+        actions.appendChild(deleteBtn);
+      }
+      row.appendChild(actions);
+      list.appendChild(row);
+    });
+  } catch (err) {
+    console.error('Failed to load groups', err);
+  }
+  return card;
+}
+
+/**
+ * Admin card on the assignment page for distributing submissions among TAs:
+ * round-robin, by roster section or by question (rubric criterion).
+ *
+ * @param {Object} assn
+ */
+async function buildGraderAdminCard(assn) {
+  const card = document.createElement('div');
+  card.className = 'assignment-detail-section grader-card';
+  const h4 = document.createElement('h4');
+  h4.textContent = 'Graders';
+  card.appendChild(h4);
+  let admins = [];
+  let roster = [];
+  try {
+    const [adminRes, userRes] = await Promise.all([fetchAuth('/api/admins'), fetchAuth('/api/users')]);
+    admins = await adminRes.json();
+    roster = await userRes.json();
+  } catch (err) {
+    console.error('Failed to load TAs', err);
+  }
+  const sections = [...new Set(roster.filter((u) => u.section).map((u) => u.section))].sort();
+  const plan = assn.gradingPlan || { mode: '', graders: [], sections: {}, questions: {} };
+  const modeSelect = document.createElement('select');
+  [
+    ['', 'Not distributed – any TA grades any submission'],
+    ['round-robin', 'Round-robin by submission'],
+    ['section', 'By roster section'],
+    ['question', 'By question (problem or rubric criterion)'],
+  ].forEach(([value, label]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    modeSelect.appendChild(opt);
+  });
+  modeSelect.value = plan.mode;
+  card.appendChild(modeSelect);
+  const body = document.createElement('div');
+  body.className = 'late-policy-fields grader-fields';
+  card.appendChild(body);
+  function graderSelect(key, value) {
+    const select = document.createElement('select');
+    select.dataset.key = key;
+    select.innerHTML = '<option value="">Nobody</option>';
+    admins.forEach((a) => {
+      const opt = document.createElement('option');
+      opt.value = a.email;
+      opt.textContent = a.name;
+      select.appendChild(opt);
+    });
+    select.value = value || '';
+    return select;
+  }
+  function mappingRow(label, select) {
+    const row = document.createElement('label');
+    row.textContent = label;
+    row.appendChild(select);
+    return row;
+  }
+  function renderBody() {
+    body.innerHTML = '';
+    const mode = modeSelect.value;
+    if (mode === 'round-robin') {
+      admins.forEach((a) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = a.email;
+        box.checked = plan.graders.includes(a.email);
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(` ${a.name}`));
+        body.appendChild(label);
+      });
+    } else if (mode === 'section') {
+      if (!sections.length) body.textContent = 'No sections yet. Put students in sections from the roster.';
+      sections.forEach((section) => body.appendChild(mappingRow(`Section ${section}`, graderSelect(section, plan.sections[section]))));
+    } else if (mode === 'question') {
+      const parts = assn.questions || (assn.rubric && assn.rubric.criteria);
+      if (!parts) body.textContent = 'Add problems or a rubric first: each problem or rubric criterion is graded as one question.';
+      (parts || []).forEach((q) => body.appendChild(mappingRow(q.title, graderSelect(q.id, plan.questions[q.id]))));
+    }
+  }
+  modeSelect.addEventListener('change', renderBody);
+  renderBody();
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn-blue';
+  saveBtn.textContent = 'Save & Distribute';
+  saveBtn.addEventListener('click', async () => {
+    const mode = modeSelect.value;
+    let newPlan = null;
+    if (mode) {
+      const mapping = {};
+      body.querySelectorAll('select').forEach((sel) => { mapping[sel.dataset.key] = sel.value; });
+      newPlan = {
+        mode,
+        graders: [...body.querySelectorAll('input[type=checkbox]:checked')].map((b) => b.value),
+        sections: mode === 'section' ? mapping : {},
+        questions: mode === 'question' ? mapping : {},
+      };
+    }
+    const resp = await fetchAuth(`/api/assignments/${assn.id}/grading-plan`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ plan: newPlan }),
+    });
+    const data = await resp.json();
+    if (resp.ok) {
+      assn.gradingPlan = data.assignment.gradingPlan;
+      alert('Graders saved.' + (data.unassigned ? ` ${data.unassigned} ungraded submission(s) have no grader.` : ''));
+    } else {
+      alert(data.error || 'Failed to save graders');
+    }
+  });
+  card.appendChild(saveBtn);
+  return card;
+}
+
+/**
+ * Members of a graded group submission with their grades, letting the TA
+ * give a member an individual grade (or reset it to the group's grade).
+ *
+ * @param {Object} assignment
+ * @param {Object} sub Group submission
+ * @param {Object} group Group as returned by the groups API
+ */
+function renderMemberGrades(assignment, sub, group) {
+  const wrap = document.createElement('div');
+  wrap.className = 'member-grades';
+  const memberGrades = sub.memberGrades || {};
+  group.members.forEach((member) => {
+    const row = document.createElement('div');
+    row.className = 'member-grade-row';
+    const own = memberGrades[member.email];
+    const label = document.createElement('span');
+    label.textContent = `${member.name}: ${own !== undefined ? `${own} (individual)` : sub.grade}`;
+    const btn = document.createElement('button');
+    btn.className = 'btn-grey';
+    btn.textContent = 'Individual Grade';
+    btn.addEventListener('click', async () => {
+      const result = await Swal.fire({
+        title: `Grade for ${member.name}`,
+        input: 'number',
+        inputLabel: `Leave empty to use the group grade (${sub.grade})`,
+        inputValue: own !== undefined ? own : '',
+        inputAttributes: { min: '0', step: 'any' },
+        showCancelButton: true,
+        confirmButtonText: 'Save',
+        confirmButtonColor: '#007aff',
+      });
+      if (!result.isConfirmed) return;
+      const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${sub.id}/member-grades`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: member.email, grade: result.value }),
+      });
+      if (resp.ok) {
+        openAssignmentGradesPage(assignment);
+      } else {
+        const msg = await resp.json();
+        alert(msg.error || 'Failed to save grade');
+      }
+    });
+    row.appendChild(label);
+    row.appendChild(btn);
+    wrap.appendChild(row);
+  });
+  return wrap;
+}
+
+/**
+ * Admin bar showing whether an assignment's grades are visible to students,
+ * with a button to publish them (which sends every pending grade email and
+ * notification at once) or to hide them again.
+ *
+ * @param {Object} assn
+ */
+function buildGradeReleaseBar(assn) {
+  const bar = document.createElement('div');
+  bar.className = 'grade-release-bar';
+  function render() {
+    bar.innerHTML = '';
+    const released = assn.gradesReleased !== false;
+    bar.classList.toggle('released', released);
+    const status = document.createElement('span');
+    status.textContent = released
+      ? 'Grades are released: students see their grades and are notified as soon as you grade.'
+      : 'Grades are hidden: grading is silent until you publish.';
+    const btn = document.createElement('button');
+    btn.className = released ? 'btn-grey' : 'btn-green';
+    btn.textContent = released ? 'Hide Grades' : 'Publish Grades';
+    btn.addEventListener('click', async () => {
+      const question = released
+        ? 'Hide the grades of this assignment from students?'
+        : 'Publish the grades of this assignment? Every graded student will be emailed and notified.';
+      const ok = await sweetConfirm(question);
+      if (!ok) return;
+      const resp = await fetchAuth(`/api/assignments/${assn.id}/release`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ released: !released }),
+      });
+      const data = await resp.json();
+      if (resp.ok) {
+        Object.assign(assn, data.assignment);
+        render();
+        alert(released ? 'Grades hidden' : `Grades published. ${data.notified} student(s) notified.`);
+      } else {
+        alert(data.error || 'Failed to update grade release');
+      }
+    });
+    bar.appendChild(status);
+    bar.appendChild(btn);
+  }
+  render();
+  return bar;
+}
+
+/**
+ * Admin bar for anonymous grading. While it is on, graders see submissions
+ * as "Submission #N"; turning it off reveals the students and is recorded in
+ * the audit trail, which the bar lists for the assignment.
+ *
+ * @param {Object} assn
+ * @param {Function} [onChange] Called after switching, e.g. to reload a list
+ */
+function buildAnonymityBar(assn, onChange) {
+  const bar = document.createElement('div');
+  bar.className = 'anonymity-bar';
+  async function render() {
+    bar.innerHTML = '';
+    const anonymous = !!assn.anonymousGrading;
+    bar.classList.toggle('active', anonymous);
+    const status = document.createElement('span');
+    status.textContent = anonymous
+      ? 'Anonymous grading: submissions are shown as "Submission #N" until you reveal the students.'
+      : 'Graders see who submitted.';
+    const btn = document.createElement('button');
+    btn.className = anonymous ? 'btn-red' : 'btn-grey';
+    btn.textContent = anonymous ? 'Reveal Students' : 'Grade Anonymously';
+    btn.addEventListener('click', async () => {
+      const question = anonymous
+        ? 'Reveal the students behind every submission of this assignment? This is recorded in the audit trail.'
+        : 'Hide student names, IDs and emails from graders for this assignment?';
+      const ok = await sweetConfirm(question);
+      if (!ok) return;
+      const resp = await fetchAuth(`/api/assignments/${assn.id}/anonymous`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ anonymous: !anonymous }),
+      });
+      const data = await resp.json();
+      if (resp.ok) {
+        Object.assign(assn, data.assignment);
+        render();
+        if (onChange) onChange();
+      } else {
+        alert(data.error || 'Failed to update anonymous grading');
+      }
+    });
+    bar.appendChild(status);
+    bar.appendChild(btn);
+    try {
+      const res = await fetchAuth(`/api/audit-log?assignmentId=${encodeURIComponent(assn.id)}`);
+      const entries = await res.json();
+      if (entries.length) bar.appendChild(renderAuditTrail(entries));
+    } catch (err) {
+      console.error('Failed to load audit trail', err);
+    }
+  }
+  render();
+  return bar;
+}
+
+const AUDIT_ACTIONS = {
+  'anonymous-grading-enabled': 'turned on anonymous grading',
+  'identities-revealed': 'revealed the students',
+};
+
+/**
+ * Collapsible list of audit trail entries.
+ */
+function renderAuditTrail(entries) {
+  const details = document.createElement('details');
+  details.className = 'audit-trail';
+  const summary = document.createElement('summary');
+  summary.textContent = `Audit trail (${entries.length})`;
+  details.appendChild(summary);
+  const list = document.createElement('ul');
+  entries.forEach((entry) => {
+    const li = document.createElement('li');
+    let text = `${new Date(entry.at).toLocaleString()} – ${entry.actorEmail} ${AUDIT_ACTIONS[entry.action] || entry.action}`;
+    if (entry.action === 'identities-revealed') text += ` (${entry.graded} of ${entry.submissions} submissions graded)`;
+    li.textContent = text;
+    list.appendChild(li);
+  });
+  details.appendChild(list);
+  return details;
+}
+
+/**
+ * Identity line of a submission on the grading lists: the student's name, ID
+ * and email, or only the pseudonym while grading is anonymous.
+ */
+function submitterHtml(sub) {
+  const esc = (text) => String(text == null ? '' : text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  if (sub.anonymous) return `<strong>${esc(sub.studentName)}</strong>`;
+  let extra = '';
+  if (sub.studentID) extra += ` (ID: ${esc(sub.studentID)})`;
+  if (sub.studentNameZh) extra += ` ${esc(sub.studentNameZh)}`;
+  return `<strong>${esc(sub.studentName)}${extra}</strong> &lt;${esc(sub.studentEmail)}&gt;`;
+}
+
+/**
+ * Admin card on the assignment page for editing the late policy and
+ * reviewing or revoking per-student extensions. Extensions are granted from
+ * the roster.
+ *
+ * @param {Object} assn
+ */
+async function buildDeadlineAdminCard(assn) {
+  const card = document.createElement('div');
+  card.className = 'assignment-detail-section';
+  const h4 = document.createElement('h4');
+  h4.textContent = 'Late Policy & Extensions';
+  card.appendChild(h4);
+  const fields = buildLatePolicyFields(assn.latePolicy);
+  card.appendChild(fields);
+  const windowLabel = document.createElement('label');
+  windowLabel.className = 'late-policy-fields';
+  windowLabel.textContent = 'Regrade window (days after a grade is released; empty = course default of 7)';
+  const windowInput = document.createElement('input');
+  windowInput.type = 'number';
+  windowInput.min = '0';
+  windowInput.step = 'any';
+  windowInput.value = assn.regradeWindowDays === null || assn.regradeWindowDays === undefined ? '' : assn.regradeWindowDays;
+  windowLabel.appendChild(windowInput);
+  card.appendChild(windowLabel);
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn-blue';
+  saveBtn.textContent = 'Save Late Policy';
+  saveBtn.addEventListener('click', async () => {
+    const formData = new FormData();
+    formData.append('latePolicy', JSON.stringify(readLatePolicy(fields)));
+    formData.append('regradeWindowDays', windowInput.value);
+    const resp = await fetchAuth(`/api/assignments/${assn.id}`, { method: 'PUT', body: formData });
+    const data = await resp.json();
+    if (resp.ok) {
+      Object.assign(assn, data);
+      alert('Late policy saved');
+    } else {
+      alert(data.error || 'Failed to save late policy');
+    }
+  });
+  card.appendChild(saveBtn);
+  const extTitle = document.createElement('h4');
+  extTitle.textContent = 'Extensions';
+  extTitle.style.marginTop = '1rem';
+  card.appendChild(extTitle);
+  const list = document.createElement('div');
+  card.appendChild(list);
+  try {
+    const res = await fetchAuth(`/api/extensions?assignmentId=${encodeURIComponent(assn.id)}`);
+    const exts = await res.json();
+    if (!exts.length) {
+      list.textContent = 'No extensions granted. Grant them from the student roster.';
+    }
+    exts.forEach((ext) => {
+      const row = document.createElement('div');
+      row.className = 'student-item';
+      row.style.display = 'flex';
+      row.style.justifyContent = 'space-between';
+      row.style.alignItems = 'center';
+      const info = document.createElement('div');
+      info.textContent = `${ext.studentEmail} – until ${new Date(ext.dueDate).toLocaleString()}` + (ext.reason ? ` (${ext.reason})` : '');
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn-red';
+      removeBtn.textContent = 'Revoke';
+      removeBtn.addEventListener('click', async () => {
+        const ok = await sweetConfirm(`Revoke the extension for ${ext.studentEmail}?`);
+        if (!ok) return;
+        const resp = await fetchAuth(`/api/extensions/${ext.id}`, { method: 'DELETE' });
+        if (resp.ok) {
+          row.remove();
+        } else {
+          const msg = await resp.json();
+          alert(msg.error || 'Failed to revoke extension');
+        }
+      });
+      row.appendChild(info);
+      row.appendChild(removeBtn);
+      list.appendChild(row);
+    });
+  } catch (err) {
+    console.error('Failed to load extensions', err);
+  }
+  return card;
+}
+
+/**
+ * Dialog for granting a student an extension on one assignment. Used from the
+ * roster.
+ *
+ * @param {Object} user Roster entry of the student
+ */
+async function openExtensionDialog(user) {
+  const res = await fetch('/api/assignments');
+  const assignmentsList = await res.json();
+  if (!assignmentsList.length) {
+    alert('There are no assignments yet.');
+    return;
+  }
+  const options = assignmentsList
+    .map((a) => `<option value="${a.id}">${a.title.replace(/</g, '&lt;')}</option>`)
+    .join('');
+  const result = await Swal.fire({
+    title: `Extension for ${user.name}`,
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        <label>Assignment<select id="extAssignment">${options}</select></label>
+        <label>New due date<input type="datetime-local" id="extDue" /></label>
+        <label>Reason (optional)<input type="text" id="extReason" /></label>
+      </div>`,
+    showCancelButton: true,
+    confirmButtonText: 'Grant',
+    confirmButtonColor: '#007aff',
+    preConfirm: () => {
+      const due = document.getElementById('extDue').value;
+      if (!due) {
+        Swal.showValidationMessage('Please choose the new due date');
+        return false;
+      }
+      return {
+        assignmentId: document.getElementById('extAssignment').value,
+        dueDate: new Date(due).toISOString(),
+        reason: document.getElementById('extReason').value,
+      };
+    },
+  });
+  if (!result.isConfirmed) return;
+  const resp = await fetchAuth('/api/extensions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(Object.assign({ studentEmail: user.email }, result.value)),
+  });
+  if (resp.ok) {
+    alert('Extension granted');
+  } else {
+    const msg = await resp.json();
+    alert(msg.error || 'Failed to grant extension');
+  }
+}
+
+async function loadAnnouncements() {
+  const res = await fetch('/api/announcements');
+  const data = await res.json();
+  const list = document.getElementById('announcementsList');
+  list.innerHTML = '';
+  if (!data.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No announcements yet.';
+    list.appendChild(li);
+    return;
+  }
+  data.forEach((ann) => {
+    const li = document.createElement('li');
+    li.dataset.announcementId = ann.id;
+    const title = document.createElement('h4');
+    title.textContent = ann.title;
+    const contentEl = document.createElement('div');
+    // Parse Markdown into HTML
+    contentEl.innerHTML = window.marked.parse(ann.content || '');
+    // Render LaTeX in announcements
+    if (typeof window.renderMathInElement === 'function') {
+      try {
+        window.renderMathInElement(contentEl, { delimiters: [
+          { left: '$$', right: '$$', display: true },
+          { left: '$', right: '$', display: false },
+        ] });
+      } catch (err) {
+        console.error('KaTeX rendering error:', err);
+      }
+    }
+    const date = document.createElement('span');
+    const d = new Date(ann.date);
+    date.textContent = d.toLocaleString();
+    date.style.fontSize = '0.75rem';
+    date.style.color = '#6e6e73';
+    li.appendChild(title);
+    li.appendChild(contentEl);
+    li.appendChild(date);
+    // Admin-only delete button for announcements
+    if (currentUser && currentUser.role === 'admin') {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn-red';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.style.marginTop = '0.5rem';
+      deleteBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const ok = await sweetConfirm('Are you sure you want to delete this announcement?');
+        if (!ok) return;
+        const resp = await fetchAuth(`/api/announcements/${ann.id}`, { method: 'DELETE' });
+        if (resp.ok) {
+          loadAnnouncements();
+        } else {
+          const msg = await resp.json();
+          alert(msg.error || 'Failed to delete announcement');
+        }
+      });
+      li.appendChild(deleteBtn);
+    }
+    list.appendChild(li);
+  });
+}
+
+async function loadAssignments() {
+  const res = await fetch('/api/assignments');
+  const data = await res.json();
+  const container = document.getElementById('assignmentsList');
+  container.innerHTML = '';
+  const myExtensions = await loadMyExtensions();
+  if (!data.length) {
+    const p = document.createElement('p');
+    p.textContent = 'No assignments have been posted yet.';
+    container.appendChild(p);
+    return;
+  }
+    // Build each assignment card with two columns: details and actions
+    for (const assn of data) {
+      const card = document.createElement('div');
+      card.className = 'assignment-card';
+      const details = document.createElement('div');
+      details.className = 'details';
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      actions.style.display = 'flex';
+      actions.style.flexDirection = 'column';
+      actions.style.justifyContent = 'space-between';
+      // Title and due date
+      const title = document.createElement('h4');
+      title.textContent = assn.title;
+      const meta = document.createElement('div');
+      meta.className = 'meta';
+      const extension = myExtensions[assn.id] || null;
+      meta.textContent = `Due: ${new Date((extension && extension.dueDate) || assn.dueDate).toLocaleString()}` + (extension ? ' (extended)' : '');
+      // Description parsed
+      const desc = document.createElement('div');
+      desc.className = 'description';
+      const rawDesc = assn.description || '';
+      desc.innerHTML = window.marked.parse(rawDesc);
+      if (typeof window.renderMathInElement === 'function') {
+        try {
+          window.renderMathInElement(desc, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
+        } catch (err) {
+          console.error('KaTeX rendering error:', err);
+        }
+      }
+      details.appendChild(title);
+      details.appendChild(meta);
+      if (rawDesc) details.appendChild(desc);
+      // Status / grade area. Use a column layout so gauge, comments, and
+      // feedback button stack vertically and don’t overlap. Place this
+      // div in the details column rather than the actions column.
+      const statusDiv = document.createElement('div');
+      statusDiv.style.fontSize = '0.85rem';
+      statusDiv.style.marginTop = '0.5rem';
+      statusDiv.style.display = 'flex';
+      statusDiv.style.flexDirection = 'column';
+      statusDiv.style.gap = '0.25rem';
+      // Container for all buttons (bottom row of actions)
+      const btnRow = document.createElement('div');
+      btnRow.style.display = 'flex';
+      btnRow.style.gap = '0.5rem';
+      btnRow.style.justifyContent = 'flex-end';
+      btnRow.style.flexWrap = 'wrap';
+      // Primary action: view details
+      const viewBtn = document.createElement('button');
+      viewBtn.className = 'btn-blue';
+      viewBtn.textContent = 'View Details';
+      viewBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openAssignmentPage(assn);
+      });
+      btnRow.appendChild(viewBtn);
+      // Download assignment PDF
+      if (assn.pdfPath) {
+        const relPath = assn.pdfPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+        const downloadBtn = document.createElement('a');
+        downloadBtn.href = '/' + relPath;
+        downloadBtn.target = '_blank';
+        downloadBtn.className = 'btn-green';
+        downloadBtn.style.textDecoration = 'none';
+        downloadBtn.textContent = 'Download PDF';
+        btnRow.appendChild(downloadBtn);
+      }
+      // Student submission status and actions
+      if (currentUser && currentUser.role === 'student' && currentUser.approved !== false) {
+        try {
+          const resSub = await fetchAuth(`/api/assignments/${assn.id}/submissions`);
+          const subs = await resSub.json();
+          const mySub = subs.find((s) => s.studentEmail === currentUser.email);
+          if (mySub) {
+            if (mySub.graded) {
+              // Clear existing contents
+              statusDiv.innerHTML = '';
+              // Render gauge for grade (A+..Failed), after any late penalty
+              const gauge = renderGauge(finalGradeClient(mySub));
+              statusDiv.appendChild(gauge);
+              if (mySub.late) statusDiv.appendChild(lateLabel(mySub));
+              // Comments
+              const cmtDiv = document.createElement('div');
+              cmtDiv.innerHTML = `<strong>Comments:</strong> ${mySub.comments || '—'}`;
+              cmtDiv.style.marginTop = '0.25rem';
+              statusDiv.appendChild(cmtDiv);
+              // If feedback is available, provide a download button alongside the other
+              // action buttons instead of placing it within the status text. This
+              // keeps all actions aligned in the bottom row. Create the button
+              // only once per assignment and append it after the PDF download.
+              if (mySub.feedbackPath) {
+                const feedbackRel = mySub.feedbackPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+                const fbBtn = document.createElement('a');
+                fbBtn.href = '/' + feedbackRel;
+                fbBtn.target = '_blank';
+                fbBtn.textContent = 'Download Feedback';
+                fbBtn.className = 'btn-green';
+                // We'll append this button to the action row later, after creating other buttons.
+                fbBtn.dataset.isFeedback = 'true';
+                // Temporarily store on the assignment object for later retrieval
+                assn._feedbackButton = fbBtn;
+              }
+            } else {
+              statusDiv.textContent = `Submitted on ${new Date(mySub.uploadedAt).toLocaleString()} `;
+              statusDiv.appendChild(lateLabel(mySub));
+            }
+          } else {
+            statusDiv.textContent = 'Not yet submitted';
+          }
+          const deadline = assignmentDeadline(assn, extension);
+          const closed = deadline.closesAt && Date.now() > deadline.closesAt.getTime();
+          const countdownEl = document.createElement('div');
+          // If not graded, allow submission or replacement. We build a single
+          // upload row containing the file input, label, filename and submit
+          // button. This row is appended to the bottom button row. Prevent
+          // duplication by constructing only one upload row per assignment.
+          if (!mySub || !mySub.graded) {
+            statusDiv.appendChild(countdownEl);
+          }
+          if ((!mySub || !mySub.graded) && !closed) {
+            const uploadRow = document.createElement('div');
+            uploadRow.style.display = 'flex';
+            uploadRow.style.alignItems = 'center';
+            uploadRow.style.gap = '0.5rem';
+            // File input (hidden)
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = 'application/pdf';
+            fileInput.style.display = 'none';
+            const inputId = `upload-${assn.id}-${Math.floor(Math.random() * 1000000)}`;
+            fileInput.id = inputId;
+            // Label acts as styled button
+            const label = document.createElement('label');
+            label.className = 'btn-grey';
+            label.setAttribute('for', inputId);
+            label.textContent = 'Choose PDF';
+            // Display selected file name
+            const fileNameSpan = document.createElement('span');
+            fileNameSpan.style.fontSize = '0.85rem';
+            fileNameSpan.style.color = '#6e6e73';
+            fileNameSpan.textContent = 'No file chosen';
+            fileInput.addEventListener('change', () => {
+              fileNameSpan.textContent = fileInput.files.length ? fileInput.files[0].name : 'No file chosen';
+            });
+            // Submit button
+            const submitBtn = document.createElement('button');
+            submitBtn.className = 'btn-blue';
+            submitBtn.textContent = mySub ? 'Replace' : 'Submit';
+            submitBtn.addEventListener('click', async () => {
+              if (!fileInput.files.length) {
+                alert('Please select a PDF to submit.');
+                return;
+              }
+              const formData = new FormData();
+              formData.append('file', fileInput.files[0]);
+              const resp = await fetchAuth(`/api/assignments/${assn.id}/submit`, {
+                method: 'POST',
+                body: formData,
+              });
+              if (resp.ok) {
+                const result = await resp.json();
+                let msg = mySub ? 'Submission replaced successfully.' : 'Submission uploaded successfully.';
+                if (result.late) msg += result.latePenalty ? ` It was late; a penalty of ${result.latePenalty} points applies.` : ' It was marked as late.';
+                alert(msg);
+                loadAssignments();
+              } else {
+                const msg = await resp.json();
+                alert(msg.error || 'Submission failed');
+              }
+            });
+            uploadRow.appendChild(fileInput);
+            uploadRow.appendChild(label);
+            uploadRow.appendChild(fileNameSpan);
+            uploadRow.appendChild(submitBtn);
+            btnRow.appendChild(uploadRow);
+            attachCountdown(countdownEl, assn, extension, [uploadRow]);
+          } else if (!mySub || !mySub.graded) {
+            attachCountdown(countdownEl, assn, extension);
+          }
+        } catch (err) {
+          console.error('Failed to load submission status', err);
+        }
+      } else if (currentUser && (currentUser.role === 'pendingStudent' || currentUser.approved === false)) {
+        statusDiv.textContent = 'Registration pending: you cannot submit assignments yet.';
+      } else if (!currentUser) {
+        statusDiv.textContent = 'Login to submit this assignment.';
+      }
+      // Admin actions: grade and delete buttons
+      if (currentUser && currentUser.role === 'admin') {
+        const gradeBtn = document.createElement('button');
+        gradeBtn.className = 'btn-yellow';
+        gradeBtn.textContent = 'Grade Submissions';
+        gradeBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          // Navigate to the dedicated assignment grades page rather than opening a modal
+          openAssignmentGradesPage(assn);
+        });
+        btnRow.appendChild(gradeBtn);
+        const rubricBtn = document.createElement('button');
+        rubricBtn.className = 'btn-grey';
+        rubricBtn.textContent = assn.rubric ? 'Edit Rubric' : 'Add Rubric';
+        rubricBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openRubricEditorPage(assn);
         });
+        btnRow.appendChild(rubricBtn);
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-red';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          const ok = await sweetConfirm('Are you sure you want to delete this assignment?');
+          if (!ok) return;
+          const resp = await fetchAuth(`/api/assignments/${assn.id}`, { method: 'DELETE' });
+          if (resp.ok) {
+            loadAssignments();
+          } else {
+            const msg = await resp.json();
+            alert(msg.error || 'Failed to delete assignment');
+          }
+        });
+        btnRow.appendChild(deleteBtn);
+      }
+      // Append the status information into the details column just before attaching to card
+      details.appendChild(statusDiv);
+      // Append details and actions to the card
+      card.appendChild(details);
+      // Move the feedback button (if any) into the button row before appending
+      // the row to actions. This ensures that Download Feedback appears in the
+      // same horizontal group as View/Download PDF rather than inside the
+      // status text. Note: _feedbackButton was attached to the assignment
+      // object earlier when detecting graded submissions.
+      if (assn && assn._feedbackButton) {
+        btnRow.appendChild(assn._feedbackButton);
+        delete assn._feedbackButton;
+      }
+      // Move btnRow into actions now that all buttons have been assembled
+      actions.appendChild(btnRow);
+      card.appendChild(actions);
+      container.appendChild(card);
+    }
+}
+
+/**
+ * Resource library: search, folder and tag facets, and the admin's list with
+ * drag-to-reorder.
+ */
+const resourceFilters = { q: '', tags: [], folder: '' };
+let resourceSearchTimer = null;
+
+function resourceFileUrl(resItem) {
+  return '/' + resItem.filePath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+}
+
+function resourceTagChip(tag, active, onClick) {
+  const chip = document.createElement(onClick ? 'button' : 'span');
+  chip.className = 'resource-tag' + (active ? ' active' : '');
+  chip.textContent = tag;
+  if (onClick) {
+    chip.type = 'button';
+    chip.addEventListener('click', onClick);
+  }
+  return chip;
+}
+
+function toggleResourceTag(tag) {
+  const lower = tag.toLowerCase();
+  const has = resourceFilters.tags.some((t) => t.toLowerCase() === lower);
+  resourceFilters.tags = has ? resourceFilters.tags.filter((t) => t.toLowerCase() !== lower) : resourceFilters.tags.concat(tag);
+  loadResources();
+}
+
+function buildResourceCard(resItem) {
+  const card = document.createElement('div');
+  card.className = 'resource-card';
+  const title = document.createElement('h4');
+  title.textContent = resItem.title;
+  card.appendChild(title);
+  if (resItem.published === false) {
+    const scheduled = document.createElement('div');
+    scheduled.className = 'resource-scheduled';
+    scheduled.textContent = `Hidden from students until ${new Date(resItem.publishAt).toLocaleString()}`;
+    card.appendChild(scheduled);
+  }
+  if (resItem.description) {
+    const description = document.createElement('div');
+    description.className = 'resource-description';
+    card.appendChild(renderRichText(description, resItem.description));
+  }
+  if ((resItem.tags || []).length) {
+    const tags = document.createElement('div');
+    tags.className = 'resource-tags';
+    resItem.tags.forEach((tag) => {
+      const active = resourceFilters.tags.some((t) => t.toLowerCase() === tag.toLowerCase());
+      tags.appendChild(resourceTagChip(tag, active, () => toggleResourceTag(tag)));
+    });
+    card.appendChild(tags);
+  }
+  const actions = document.createElement('div');
+  actions.style.display = 'flex';
+  actions.style.gap = '0.5rem';
+  const fileUrl = resourceFileUrl(resItem);
+  const ext = fileUrl.split('.').pop().toLowerCase();
+  // Preview button for PDFs
+  if (ext === 'pdf') {
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'btn-blue';
+    previewBtn.textContent = 'Preview';
+    previewBtn.addEventListener('click', () => {
+      openPdfModal(fileUrl, resItem.title);
+    });
+    actions.appendChild(previewBtn);
+  }
+  // Download button
+  const downloadBtn = document.createElement('a');
+  downloadBtn.href = fileUrl;
+  downloadBtn.target = '_blank';
+  downloadBtn.className = 'btn-green';
+  downloadBtn.style.textDecoration = 'none';
+  downloadBtn.textContent = 'Download';
+  actions.appendChild(downloadBtn);
+  // Admin-only edit and delete buttons for resources
+  if (currentUser && currentUser.role === 'admin') {
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn-grey';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openResourceEditor(resItem));
+    actions.appendChild(editBtn);
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-red';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const ok = await sweetConfirm('Delete this resource?');
+      if (!ok) return;
+      const resp = await fetchAuth(`/api/resources/${resItem.id}`, { method: 'DELETE' });
+      if (resp.ok) {
+        loadResources();
+        loadAdminResources();
+      } else {
+        const msg = await resp.json();
+        alert(msg.error || 'Failed to delete resource');
+      }
+    });
+    actions.appendChild(deleteBtn);
+  }
+  card.appendChild(actions);
+  return card;
+}
+
+function renderResourceFacets(data) {
+  const folderBox = document.getElementById('resourceFolders');
+  const tagBox = document.getElementById('resourceTags');
+  if (folderBox) {
+    folderBox.innerHTML = '';
+    const all = document.createElement('button');
+    all.type = 'button';
+    all.className = 'resource-folder' + (resourceFilters.folder ? '' : ' active');
+    all.textContent = 'All resources';
+    all.addEventListener('click', () => {
+      resourceFilters.folder = '';
+      loadResources();
+    });
+    folderBox.appendChild(all);
+    data.folders.forEach(({ folder, count }) => {
+      const parts = folder.split('/');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'resource-folder' + (resourceFilters.folder === folder ? ' active' : '');
+      btn.style.paddingLeft = `${0.5 + parts.length * 0.75}rem`;
+      btn.textContent = `${parts[parts.length - 1]} (${count})`;
+      btn.addEventListener('click', () => {
+        resourceFilters.folder = folder;
+        loadResources();
+      });
+      folderBox.appendChild(btn);
+    });
+  }
+  if (tagBox) {
+    tagBox.innerHTML = '';
+    // Selected tags stay visible so they can be turned off again
+    const shown = data.tags.slice();
+    resourceFilters.tags.forEach((tag) => {
+      if (!shown.some((t) => t.tag.toLowerCase() === tag.toLowerCase())) shown.unshift({ tag, count: 0 });
+    });
+    if (!shown.length) tagBox.textContent = 'No tags';
+    shown.forEach(({ tag, count }) => {
+      const active = resourceFilters.tags.some((t) => t.toLowerCase() === tag.toLowerCase());
+      tagBox.appendChild(resourceTagChip(`${tag} (${count})`, active, () => toggleResourceTag(tag)));
+    });
+  }
+}
+
+async function loadResources() {
+  const params = new URLSearchParams();
+  if (resourceFilters.q) params.set('q', resourceFilters.q);
+  if (resourceFilters.tags.length) params.set('tags', resourceFilters.tags.join(','));
+  if (resourceFilters.folder) params.set('folder', resourceFilters.folder);
+  const res = await fetchAuth(`/api/resources/search?${params}`);
+  const data = await res.json();
+  const container = document.getElementById('resourcesList');
+  container.innerHTML = '';
+  if (!res.ok) {
+    container.textContent = data.error || 'Failed to load resources.';
+    return;
+  }
+  renderResourceFacets(data);
+  if (!data.resources.length) {
+    const p = document.createElement('p');
+    const filtered = resourceFilters.q || resourceFilters.tags.length || resourceFilters.folder;
+    p.textContent = filtered ? 'No resources match.' : 'No resources available.';
+    container.appendChild(p);
+    return;
+  }
+  let lastFolder = null;
+  data.resources.forEach((resItem) => {
+    const folder = resItem.folder || '';
+    if (folder !== lastFolder) {
+      lastFolder = folder;
+      if (folder) {
+        const heading = document.createElement('h3');
+        heading.className = 'resource-folder-heading';
+        heading.innerHTML = '<i class="fa-regular fa-folder"></i> ';
+        heading.appendChild(document.createTextNode(folder.split('/').join(' › ')));
+        container.appendChild(heading);
       }
-      // Button to view the full PDF with navigation
-      const previewBtn = document.createElement('button');
-      previewBtn.className = 'btn-blue';
-      previewBtn.style.marginTop = '0.5rem';
-      previewBtn.textContent = 'Preview Full PDF';
-      previewBtn.addEventListener('click', () => {
-        openPdfModal(fileUrl, 'My Submission');
-      });
-      subSection.appendChild(previewBtn);
     }
-    // Upload input if not graded
-      if (!mySub || !mySub.graded) {
-      const uploadContainer = document.createElement('div');
-      uploadContainer.className = 'upload-container';
-      const fileInput = document.createElement('input');
-      fileInput.type = 'file';
-      fileInput.accept = 'application/pdf';
-      const inputId = `detail-upload-${assn.id}`;
-      fileInput.id = inputId;
-      const label = document.createElement('label');
-      label.className = 'upload-label';
-      label.setAttribute('for', inputId);
-      label.innerHTML = '<i class="fa-solid fa-file-arrow-up"></i> Choose PDF';
-      const fileNameSpan = document.createElement('span');
-      fileNameSpan.className = 'file-name';
-      fileNameSpan.textContent = 'No file chosen';
-      fileInput.addEventListener('change', () => {
-        if (fileInput.files.length) {
-          fileNameSpan.textContent = fileInput.files[0].name;
-        } else {
-          fileNameSpan.textContent = 'No file chosen';
-        }
-      });
-      const submitBtn = document.createElement('button');
-      submitBtn.className = 'btn-blue';
-      submitBtn.textContent = mySub ? 'Replace' : 'Submit';
-      submitBtn.addEventListener('click', async () => {
-        if (!fileInput.files.length) {
-          alert('Please select a PDF.');
-          return;
-        }
-        const formData = new FormData();
-        formData.append('file', fileInput.files[0]);
-        formData.append('studentName', currentUser.name);
-        formData.append('studentEmail', currentUser.email);
-        formData.append('studentID', currentUser.studentId);
-        formData.append('studentNameZh', currentUser.studentNameZh);
-        const resp = await fetchAuth(`/api/assignments/${assn.id}/submit`, {
-          method: 'POST',
-          body: formData,
-        });
-        if (resp.ok) {
-          alert('Submission uploaded successfully.');
-          openAssignmentPage(assn);
-        } else {
-          const msg = await resp.json();
-          alert(msg.error || 'Submission failed');
-        }
+    container.appendChild(buildResourceCard(resItem));
+  });
+}
+
+/**
+ * Chip input for tags: Enter or comma adds the typed tag, × removes one.
+ * Suggestions come from the tags already in use.
+ */
+function createTagEditor(container, initial, suggestions) {
+  let tags = (initial || []).slice();
+  container.innerHTML = '';
+  container.classList.add('tag-editor');
+  const chips = document.createElement('span');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Add a tag and press Enter';
+  const listId = `tagSuggestions${Date.now()}`;
+  const datalist = document.createElement('datalist');
+  datalist.id = listId;
+  (suggestions || []).forEach((tag) => {
+    const opt = document.createElement('option');
+    opt.value = tag;
+    datalist.appendChild(opt);
+  });
+  input.setAttribute('list', listId);
+  const render = () => {
+    chips.innerHTML = '';
+    tags.forEach((tag) => {
+      const chip = resourceTagChip(tag, true);
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'tag-remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${tag}`);
+      remove.addEventListener('click', () => {
+        tags = tags.filter((t) => t !== tag);
+        render();
       });
-      uploadContainer.appendChild(fileInput);
-      uploadContainer.appendChild(label);
-      uploadContainer.appendChild(fileNameSpan);
-      uploadContainer.appendChild(submitBtn);
-      subSection.appendChild(uploadContainer);
+      chip.appendChild(remove);
+      chips.appendChild(chip);
+    });
+  };
+  const addTyped = () => {
+    input.value.split(',').map((t) => t.trim()).filter(Boolean).forEach((tag) => {
+      if (!tags.some((t) => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+    });
+    input.value = '';
+    render();
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTyped();
+    } else if (e.key === 'Backspace' && !input.value && tags.length) {
+      tags.pop();
+      render();
     }
-    // Grade info if graded
-    if (mySub && mySub.graded) {
-      const gradeDiv = document.createElement('div');
-      gradeDiv.style.marginTop = '1rem';
-      gradeDiv.innerHTML = `<strong>Grade:</strong> ${mySub.grade}<br/><strong>Comments:</strong> ${mySub.comments || '—'}`;
-      if (mySub.feedbackPath) {
-        const link = document.createElement('a');
-        const relp = mySub.feedbackPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
-        link.href = '/' + relp;
-        link.textContent = 'Download Feedback';
-        link.target = '_blank';
-        gradeDiv.appendChild(document.createElement('br'));
-        gradeDiv.appendChild(link);
+  });
+  input.addEventListener('blur', addTyped);
+  container.appendChild(chips);
+  container.appendChild(input);
+  container.appendChild(datalist);
+  render();
+  return {
+    getTags: () => {
+      addTyped();
+      return tags.slice();
+    },
+    setTags: (list) => {
+      tags = list.slice();
+      render();
+    },
+  };
+}
+
+// Tags and folders in use, for suggestions in the admin forms
+async function resourceVocabulary() {
+  const res = await fetchAuth('/api/resources');
+  const list = res.ok ? await res.json() : [];
+  const tags = new Map();
+  list.forEach((r) => (r.tags || []).forEach((t) => tags.set(t.toLowerCase(), t)));
+  const folders = Array.from(new Set(list.map((r) => r.folder).filter(Boolean))).sort();
+  return { list, tags: Array.from(tags.values()).sort(), folders };
+}
+
+let adminResourceTagEditor = null;
+
+async function openResourceEditor(resItem) {
+  const vocabulary = await resourceVocabulary();
+  let tagEditor = null;
+  const result = await Swal.fire({
+    title: 'Edit Resource',
+    html: `
+      <div class="form" style="text-align:left;">
+        <label for="swalResTitle">Title</label>
+        <input id="swalResTitle" class="swal2-input" style="width:100%;margin:0.25rem 0 0.5rem;" />
+        <label for="swalResDescription">Description (Markdown &amp; LaTeX)</label>
+        <textarea id="swalResDescription" class="swal2-textarea" rows="3" style="width:100%;margin:0.25rem 0 0.5rem;"></textarea>
+        <label for="swalResFolder">Folder (e.g. Week 3/Slides)</label>
+        <input id="swalResFolder" class="swal2-input" list="swalResFolders" style="width:100%;margin:0.25rem 0 0.5rem;" />
+        <datalist id="swalResFolders"></datalist>
+        <label>Tags</label>
+        <div id="swalResTags"></div>
+        <label for="swalResPublish">Publish on (empty to publish now)</label>
+        <input id="swalResPublish" type="datetime-local" class="swal2-input" style="width:100%;margin:0.25rem 0 0.5rem;" />
+        <label for="swalResFile">Replace file (optional)</label>
+        <input id="swalResFile" type="file" style="margin-top:0.25rem;" />
+      </div>`,
+    width: 600,
+    didOpen: () => {
+      document.getElementById('swalResTitle').value = resItem.title || '';
+      document.getElementById('swalResDescription').value = resItem.description || '';
+      document.getElementById('swalResFolder').value = resItem.folder || '';
+      document.getElementById('swalResPublish').value = toDateTimeLocal(resItem.publishAt);
+      const folderList = document.getElementById('swalResFolders');
+      vocabulary.folders.forEach((folder) => {
+        const opt = document.createElement('option');
+        opt.value = folder;
+        folderList.appendChild(opt);
+      });
+      tagEditor = createTagEditor(document.getElementById('swalResTags'), resItem.tags, vocabulary.tags);
+    },
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    confirmButtonColor: '#007aff',
+    preConfirm: async () => {
+      const formData = new FormData();
+      formData.append('title', document.getElementById('swalResTitle').value);
+      formData.append('description', document.getElementById('swalResDescription').value);
+      formData.append('folder', document.getElementById('swalResFolder').value);
+      formData.append('tags', JSON.stringify(tagEditor.getTags()));
+      formData.append('publishAt', document.getElementById('swalResPublish').value);
+      const file = document.getElementById('swalResFile').files[0];
+      if (file) formData.append('file', file);
+      const resp = await fetchAuth(`/api/resources/${resItem.id}`, { method: 'PUT', body: formData });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        Swal.showValidationMessage(data.error || 'Failed to save the resource');
+        return false;
       }
-      subSection.appendChild(gradeDiv);
+      return data;
+    },
+  });
+  if (result.isConfirmed) {
+    loadResources();
+    loadAdminResources();
+  }
+}
+
+async function saveResourceOrder(group) {
+  const ids = Array.from(group.querySelectorAll('.admin-resource-row')).map((row) => row.dataset.resourceId);
+  const resp = await fetchAuth('/api/resources/order', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ids }),
+  });
+  if (resp.ok) {
+    loadResources();
+  } else {
+    const msg = await resp.json().catch(() => ({}));
+    alert(msg.error || 'Failed to save the order');
+    loadAdminResources();
+  }
+}
+
+/**
+ * The admin's view of the library: one list per folder, reordered by
+ * dragging rows by their handle.
+ */
+async function loadAdminResources() {
+  const container = document.getElementById('adminResourceList');
+  if (!container) return;
+  const vocabulary = await resourceVocabulary();
+  const folderList = document.getElementById('adminResourceFolders');
+  if (folderList) {
+    folderList.innerHTML = '';
+    vocabulary.folders.forEach((folder) => {
+      const opt = document.createElement('option');
+      opt.value = folder;
+      folderList.appendChild(opt);
+    });
+  }
+  const tagBox = document.getElementById('adminResourceTags');
+  if (tagBox) {
+    const current = adminResourceTagEditor ? adminResourceTagEditor.getTags() : [];
+    adminResourceTagEditor = createTagEditor(tagBox, current, vocabulary.tags);
+  }
+  container.innerHTML = '';
+  if (!vocabulary.list.length) {
+    container.innerHTML = '<p style="font-size:0.85rem;color:#6e6e73;">No resources yet.</p>';
+    return;
+  }
+  let group = null;
+  let lastFolder = null;
+  let dragged = null;
+  vocabulary.list.forEach((resItem) => {
+    const folder = resItem.folder || '';
+    if (group === null || folder !== lastFolder) {
+      lastFolder = folder;
+      const heading = document.createElement('h4');
+      heading.className = 'resource-folder-heading';
+      heading.textContent = folder ? folder.split('/').join(' › ') : 'Top level';
+      container.appendChild(heading);
+      group = document.createElement('div');
+      group.className = 'admin-resource-group';
+      container.appendChild(group);
     }
-    container.appendChild(subSection);
+    const myGroup = group;
+    const row = document.createElement('div');
+    row.className = 'admin-resource-row';
+    row.draggable = true;
+    row.dataset.resourceId = resItem.id;
+    const handle = document.createElement('i');
+    handle.className = 'fa-solid fa-grip-vertical drag-handle';
+    const title = document.createElement('span');
+    title.className = 'admin-resource-title';
+    title.textContent = resItem.title;
+    const meta = document.createElement('span');
+    meta.className = 'meta';
+    meta.textContent = [
+      (resItem.tags || []).join(', '),
+      resItem.published === false ? `publishes ${new Date(resItem.publishAt).toLocaleString()}` : '',
+    ].filter(Boolean).join(' · ');
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn-grey';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openResourceEditor(resItem));
+    row.appendChild(handle);
+    row.appendChild(title);
+    row.appendChild(meta);
+    row.appendChild(editBtn);
+    let orderBefore = '';
+    const groupOrder = () => Array.from(myGroup.children).map((r) => r.dataset.resourceId).join();
+    row.addEventListener('dragstart', (e) => {
+      dragged = row;
+      orderBefore = groupOrder();
+      row.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', resItem.id);
+    });
+    // Save once the row is let go, wherever that is
+    row.addEventListener('dragend', () => {
+      row.classList.remove('dragging');
+      dragged = null;
+      if (groupOrder() !== orderBefore) saveResourceOrder(myGroup);
+    });
+    // Rows only move within their own folder
+    row.addEventListener('dragover', (e) => {
+      if (!dragged || dragged === row || dragged.parentNode !== myGroup) return;
+      e.preventDefault();
+      const rect = row.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      myGroup.insertBefore(dragged, after ? row.nextSibling : row);
+    });
+    row.addEventListener('drop', (e) => e.preventDefault());
+    group.appendChild(row);
+  });
+}
+
+/**
+ * Parse the rooms of an exam typed one per line as "name, capacity" with an
+ * optional ", extra time" for accommodation rooms. Throws with a message to
+ * show when a line cannot be read.
+ */
+function parseRoomLines(text) {
+  return text.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => {
+    const parts = line.split(',').map((part) => part.trim());
+    const capacity = Number(parts[1]);
+    if (parts.length < 2 || !parts[0] || !Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`Cannot read the room "${line}": use "name, capacity"`);
+    }
+    return { name: parts[0], capacity, extraTime: /extra/i.test(parts.slice(2).join(',')) };
+  });
+}
+
+function formatRoomLines(rooms) {
+  return (rooms || []).map((r) => `${r.name}, ${r.capacity}${r.extraTime ? ', extra time' : ''}`).join('\n');
+}
+
+/**
+ * Download a file from an API route with the user's token, e.g. a PDF or an
+ * .ics file built for them.
+ */
+async function downloadFile(path, fileName) {
+  const resp = await fetchAuth(path);
+  if (!resp.ok) {
+    const err = await resp.json().catch(() => ({}));
+    alert(err.error || 'Failed to download the file');
+    return;
   }
-  // Admin: show grade submissions list via button
-  if (currentUser && currentUser.role === 'admin') {
-    const gradeBtn = document.createElement('button');
-    gradeBtn.className = 'btn-blue';
-    gradeBtn.style.marginTop = '1rem';
-    gradeBtn.textContent = 'Grade Submissions';
-    gradeBtn.addEventListener('click', () => {
-      // Use dedicated grading page instead of modal
-      openAssignmentGradesPage(assn);
+  const blob = await resp.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+async function editExamRooms(exam) {
+  const result = await Swal.fire({
+    title: `Rooms for ${exam.title}`,
+    html: `
+      <label for="swalExamDuration" style="display:block;text-align:left;">Duration (minutes)</label>
+      <input id="swalExamDuration" type="number" min="1" class="swal2-input" style="margin:0.25rem 0 0.75rem;width:100%;" />
+      <label for="swalExamRooms" style="display:block;text-align:left;">Rooms (one per line: name, capacity; add ", extra time" for accommodation rooms)</label>
+      <textarea id="swalExamRooms" class="swal2-textarea" rows="5" style="margin:0.25rem 0 0;width:100%;"></textarea>
+      ${exam.seating ? '<p class="grading-queue-hint">Changing the rooms clears the current seating plan.</p>' : ''}`,
+    didOpen: () => {
+      document.getElementById('swalExamDuration').value = exam.durationMinutes || '';
+      document.getElementById('swalExamRooms').value = formatRoomLines(exam.rooms);
+    },
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    confirmButtonColor: '#007aff',
+    preConfirm: async () => {
+      let rooms;
+      try {
+        rooms = parseRoomLines(document.getElementById('swalExamRooms').value);
+      } catch (err) {
+        Swal.showValidationMessage(err.message);
+        return false;
+      }
+      // Keep room ids so an unchanged plan survives the save
+      rooms.forEach((room) => {
+        const same = (exam.rooms || []).find((r) => r.name === room.name);
+        if (same) room.id = same.id;
+      });
+      const resp = await fetchAuth(`/api/exams/${exam.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rooms, durationMinutes: document.getElementById('swalExamDuration').value }),
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        Swal.showValidationMessage(data.error || 'Failed to save the rooms');
+        return false;
+      }
+      return data;
+    },
+  });
+  if (result.isConfirmed) loadExams();
+}
+
+/**
+ * Rooms, seating and slips of an exam, for admins.
+ */
+function examSeatingControls(exam) {
+  const box = document.createElement('div');
+  box.className = 'exam-seating';
+  const rooms = document.createElement('div');
+  rooms.className = 'meta';
+  const roomText = (exam.rooms || []).map((r) => `${r.name} (${r.capacity}${r.extraTime ? ', extra time' : ''})`).join(', ');
+  rooms.textContent = [
+    roomText ? `Rooms: ${roomText}` : 'No rooms yet',
+    exam.durationMinutes ? `${exam.durationMinutes} min` : '',
+  ].filter(Boolean).join(' · ');
+  box.appendChild(rooms);
+  const status = document.createElement('div');
+  status.className = 'meta';
+  status.textContent = exam.seating
+    ? `${exam.seating.seats.length} seats assigned ${exam.seating.method === 'random' ? 'at random' : 'by student ID'} on ${new Date(exam.seating.assignedAt).toLocaleString()}`
+    : 'Seats not assigned';
+  box.appendChild(status);
+  const actions = document.createElement('div');
+  actions.className = 'exam-seating-actions';
+  const roomsBtn = document.createElement('button');
+  roomsBtn.className = 'btn-grey';
+  roomsBtn.textContent = 'Rooms & Duration';
+  roomsBtn.addEventListener('click', () => editExamRooms(exam));
+  actions.appendChild(roomsBtn);
+  if ((exam.rooms || []).length) {
+    const method = document.createElement('select');
+    [['studentId', 'By student ID'], ['random', 'At random']].forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      method.appendChild(opt);
     });
-    container.appendChild(gradeBtn);
+    if (exam.seating) method.value = exam.seating.method;
+    const assignBtn = document.createElement('button');
+    assignBtn.className = 'btn-blue';
+    assignBtn.textContent = exam.seating ? 'Reassign Seats' : 'Assign Seats';
+    assignBtn.addEventListener('click', async () => {
+      if (exam.seating && !(await sweetConfirm('Replace the current seating plan? Students will be notified of their new seats.'))) return;
+      const resp = await fetchAuth(`/api/exams/${exam.id}/seating`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ method: method.value }),
+      });
+      if (resp.ok) {
+        loadExams();
+      } else {
+        const msg = await resp.json().catch(() => ({}));
+        alert(msg.error || 'Failed to assign seats');
+      }
+    });
+    actions.appendChild(method);
+    actions.appendChild(assignBtn);
+  }
+  if (exam.seating) {
+    const chartBtn = document.createElement('button');
+    chartBtn.className = 'btn-grey';
+    chartBtn.textContent = 'Seating Chart (PDF)';
+    chartBtn.addEventListener('click', () => downloadFile(`/api/exams/${exam.id}/seating-chart`, `${exam.title}-seating.pdf`));
+    const slipsBtn = document.createElement('button');
+    slipsBtn.className = 'btn-grey';
+    slipsBtn.textContent = 'Exam Slips (PDF)';
+    slipsBtn.addEventListener('click', () => downloadFile(`/api/exams/${exam.id}/slips`, `${exam.title}-slips.pdf`));
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'btn-red';
+    clearBtn.textContent = 'Clear Seats';
+    clearBtn.addEventListener('click', async () => {
+      if (!(await sweetConfirm('Clear the seating plan of this exam?'))) return;
+      const resp = await fetchAuth(`/api/exams/${exam.id}/seating`, { method: 'DELETE' });
+      if (resp.ok) {
+        loadExams();
+      } else {
+        const msg = await resp.json().catch(() => ({}));
+        alert(msg.error || 'Failed to clear seats');
+      }
+    });
+    actions.appendChild(chartBtn);
+    actions.appendChild(slipsBtn);
+    actions.appendChild(clearBtn);
   }
+  box.appendChild(actions);
+  return box;
 }
 
-async function loadAnnouncements() {
-  const res = await fetch('/api/announcements');
+/**
+ * A student's own room and seat, with their exam slip.
+ */
+function examSeatInfo(exam) {
+  const box = document.createElement('div');
+  box.className = 'exam-seating';
+  const seat = exam.mySeat;
+  const line = document.createElement('div');
+  line.className = 'exam-my-seat';
+  line.textContent = `Your seat: ${seat.roomName}, seat ${seat.seat}`;
+  box.appendChild(line);
+  if (seat.endsAt || seat.extraTimePercent) {
+    const ends = document.createElement('div');
+    ends.className = 'meta';
+    ends.textContent = [
+      seat.endsAt ? `Ends: ${new Date(seat.endsAt).toLocaleString()}` : '',
+      seat.extraTimePercent ? `extra time +${seat.extraTimePercent}%` : '',
+    ].filter(Boolean).join(' · ');
+    box.appendChild(ends);
+  }
+  const slipBtn = document.createElement('button');
+  slipBtn.className = 'btn-grey';
+  slipBtn.textContent = 'Download Exam Slip';
+  slipBtn.addEventListener('click', () => downloadFile(`/api/exams/${exam.id}/slip`, `${exam.title}-slip.pdf`));
+  box.appendChild(slipBtn);
+  return box;
+}
+
+async function loadExams() {
+  const res = await fetchAuth('/api/exams');
   const data = await res.json();
-  const list = document.getElementById('announcementsList');
-  list.innerHTML = '';
+  const container = document.getElementById('examsList');
+  container.innerHTML = '';
   if (!data.length) {
-    const li = document.createElement('li');
-    li.textContent = 'No announcements yet.';
-    list.appendChild(li);
+    const p = document.createElement('p');
+    p.textContent = 'No upcoming exams.';
+    container.appendChild(p);
     return;
   }
-  data.forEach((ann) => {
-    const li = document.createElement('li');
+  data.forEach((exam) => {
+    const item = document.createElement('div');
+    item.className = 'exam-item';
+    item.dataset.examId = exam.id;
     const title = document.createElement('h4');
-    title.textContent = ann.title;
-    const contentEl = document.createElement('div');
-    // Parse Markdown into HTML
-    contentEl.innerHTML = window.marked.parse(ann.content || '');
-    // Render LaTeX in announcements
+    title.textContent = exam.title;
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = `Date: ${new Date(exam.date).toLocaleString()}`;
+    // Description parsed with Markdown and LaTeX support
+    const description = document.createElement('div');
+    const rawDesc = exam.description || '';
+    description.innerHTML = window.marked.parse(rawDesc);
+    // Render LaTeX if KaTeX is available
     if (typeof window.renderMathInElement === 'function') {
       try {
-        window.renderMathInElement(contentEl, { delimiters: [
-          { left: '$$', right: '$$', display: true },
-          { left: '$', right: '$', display: false },
-        ] });
+        window.renderMathInElement(description, {
+          delimiters: [
+            { left: '$$', right: '$$', display: true },
+            { left: '$', right: '$', display: false },
+          ],
+        });
       } catch (err) {
-        console.error('KaTeX rendering error:', err);
+        console.error('KaTeX rendering error in exam', err);
       }
     }
-    const date = document.createElement('span');
-    const d = new Date(ann.date);
-    date.textContent = d.toLocaleString();
-    date.style.fontSize = '0.75rem';
-    date.style.color = '#6e6e73';
-    li.appendChild(title);
-    li.appendChild(contentEl);
-    li.appendChild(date);
-    // Admin-only delete button for announcements
+    item.appendChild(title);
+    item.appendChild(meta);
+    if (rawDesc) item.appendChild(description);
+    const calendarBtn = document.createElement('button');
+    calendarBtn.className = 'btn-grey calendar-btn';
+    calendarBtn.innerHTML = '<i class="fa-regular fa-calendar-plus"></i> Add to Calendar';
+    calendarBtn.addEventListener('click', () => downloadFile(`/api/exams/${exam.id}/ics`, `${exam.title}.ics`));
+    item.appendChild(calendarBtn);
+    if (currentUser && currentUser.role === 'admin') {
+      item.appendChild(examSeatingControls(exam));
+    } else if (exam.mySeat) {
+      item.appendChild(examSeatInfo(exam));
+    }
+    // Admin-only delete button
     if (currentUser && currentUser.role === 'admin') {
       const deleteBtn = document.createElement('button');
       deleteBtn.className = 'btn-red';
@@ -1947,383 +5619,1599 @@ async function loadAnnouncements() {
       deleteBtn.style.marginTop = '0.5rem';
       deleteBtn.addEventListener('click', async (e) => {
         e.stopPropagation();
-        const ok = await sweetConfirm('Are you sure you want to delete this announcement?');
+        const ok = await sweetConfirm('Delete this exam notification?');
         if (!ok) return;
-        const resp = await fetchAuth(`/api/announcements/${ann.id}`, { method: 'DELETE' });
+        const resp = await fetchAuth(`/api/exams/${exam.id}`, { method: 'DELETE' });
         if (resp.ok) {
-          loadAnnouncements();
+          loadExams();
         } else {
           const msg = await resp.json();
-          alert(msg.error || 'Failed to delete announcement');
+          alert(msg.error || 'Failed to delete exam');
         }
       });
-      li.appendChild(deleteBtn);
+      item.appendChild(deleteBtn);
     }
-    list.appendChild(li);
+    container.appendChild(item);
   });
 }
 
-async function loadAssignments() {
-  const res = await fetch('/api/assignments');
-  const data = await res.json();
-  const container = document.getElementById('assignmentsList');
+/**
+ * Office hours and other course events
+ */
+function describeCourseEvent(event) {
+  const start = new Date(event.start);
+  const end = new Date(event.end);
+  const sameDay = start.toDateString() === end.toDateString();
+  let text = `${start.toLocaleString()} – ${sameDay ? end.toLocaleTimeString() : end.toLocaleString()}`;
+  if (event.weeks > 1) text += ` · weekly, ${event.weeks} times`;
+  if (event.location) text += ` · ${event.location}`;
+  return text;
+}
+
+function courseEventItem(event, onDelete) {
+  const item = document.createElement('div');
+  item.className = 'exam-item';
+  item.dataset.eventId = event.id;
+  const title = document.createElement('h4');
+  title.textContent = event.kind === 'officeHours' ? `Office hours: ${event.title}` : event.title;
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = describeCourseEvent(event);
+  item.appendChild(title);
+  item.appendChild(meta);
+  if (event.description) {
+    const description = document.createElement('p');
+    description.textContent = event.description;
+    item.appendChild(description);
+  }
+  const calendarBtn = document.createElement('button');
+  calendarBtn.className = 'btn-grey calendar-btn';
+  calendarBtn.innerHTML = '<i class="fa-regular fa-calendar-plus"></i> Add to Calendar';
+  calendarBtn.addEventListener('click', () => downloadFile(`/api/events/${event.id}/ics`, `${event.title}.ics`));
+  item.appendChild(calendarBtn);
+  if (onDelete) {
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-red';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.style.marginLeft = '0.5rem';
+    deleteBtn.addEventListener('click', onDelete);
+    item.appendChild(deleteBtn);
+  }
+  return item;
+}
+
+async function loadCourseEvents() {
+  const container = document.getElementById('courseEventsList');
+  if (!container) return;
+  const res = await fetch('/api/events');
+  const events = res.ok ? await res.json() : [];
   container.innerHTML = '';
-  if (!data.length) {
+  if (!events.length) {
     const p = document.createElement('p');
-    p.textContent = 'No assignments have been posted yet.';
+    p.textContent = 'No office hours or events scheduled.';
     container.appendChild(p);
     return;
   }
-    // Build each assignment card with two columns: details and actions
-    for (const assn of data) {
-      const card = document.createElement('div');
-      card.className = 'assignment-card';
-      const details = document.createElement('div');
-      details.className = 'details';
-      const actions = document.createElement('div');
-      actions.className = 'actions';
-      actions.style.display = 'flex';
-      actions.style.flexDirection = 'column';
-      actions.style.justifyContent = 'space-between';
-      // Title and due date
-      const title = document.createElement('h4');
-      title.textContent = assn.title;
-      const meta = document.createElement('div');
-      meta.className = 'meta';
-      meta.textContent = `Due: ${new Date(assn.dueDate).toLocaleString()}`;
-      // Description parsed
-      const desc = document.createElement('div');
-      desc.className = 'description';
-      const rawDesc = assn.description || '';
-      desc.innerHTML = window.marked.parse(rawDesc);
-      if (typeof window.renderMathInElement === 'function') {
-        try {
-          window.renderMathInElement(desc, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
-        } catch (err) {
-          console.error('KaTeX rendering error:', err);
-        }
-      }
-      details.appendChild(title);
-      details.appendChild(meta);
-      if (rawDesc) details.appendChild(desc);
-      // Status / grade area. Use a column layout so gauge, comments, and
-      // feedback button stack vertically and don’t overlap. Place this
-      // div in the details column rather than the actions column.
-      const statusDiv = document.createElement('div');
-      statusDiv.style.fontSize = '0.85rem';
-      statusDiv.style.marginTop = '0.5rem';
-      statusDiv.style.display = 'flex';
-      statusDiv.style.flexDirection = 'column';
-      statusDiv.style.gap = '0.25rem';
-      // Container for all buttons (bottom row of actions)
-      const btnRow = document.createElement('div');
-      btnRow.style.display = 'flex';
-      btnRow.style.gap = '0.5rem';
-      btnRow.style.justifyContent = 'flex-end';
-      btnRow.style.flexWrap = 'wrap';
-      // Primary action: view details
-      const viewBtn = document.createElement('button');
-      viewBtn.className = 'btn-blue';
-      viewBtn.textContent = 'View Details';
-      viewBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        openAssignmentPage(assn);
-      });
-      btnRow.appendChild(viewBtn);
-      // Download assignment PDF
-      if (assn.pdfPath) {
-        const relPath = assn.pdfPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
-        const downloadBtn = document.createElement('a');
-        downloadBtn.href = '/' + relPath;
-        downloadBtn.target = '_blank';
-        downloadBtn.className = 'btn-green';
-        downloadBtn.style.textDecoration = 'none';
-        downloadBtn.textContent = 'Download PDF';
-        btnRow.appendChild(downloadBtn);
-      }
-      // Student submission status and actions
-      if (currentUser && currentUser.role === 'student' && currentUser.approved !== false) {
-        try {
-          const resSub = await fetch(`/api/assignments/${assn.id}/submissions`);
-          const subs = await resSub.json();
-          const mySub = subs.find((s) => s.studentEmail === currentUser.email);
-          if (mySub) {
-            if (mySub.graded) {
-              // Clear existing contents
-              statusDiv.innerHTML = '';
-              // Render gauge for grade (A+..Failed)
-              const gauge = renderGauge(mySub.grade);
-              statusDiv.appendChild(gauge);
-              // Comments
-              const cmtDiv = document.createElement('div');
-              cmtDiv.innerHTML = `<strong>Comments:</strong> ${mySub.comments || '—'}`;
-              cmtDiv.style.marginTop = '0.25rem';
-              statusDiv.appendChild(cmtDiv);
-              // If feedback is available, provide a download button alongside the other
-              // action buttons instead of placing it within the status text. This
-              // keeps all actions aligned in the bottom row. Create the button
-              // only once per assignment and append it after the PDF download.
-              if (mySub.feedbackPath) {
-                const feedbackRel = mySub.feedbackPath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
-                const fbBtn = document.createElement('a');
-                fbBtn.href = '/' + feedbackRel;
-                fbBtn.target = '_blank';
-                fbBtn.textContent = 'Download Feedback';
-                fbBtn.className = 'btn-green';
-                // We'll append this button to the action row later, after creating other buttons.
-                fbBtn.dataset.isFeedback = 'true';
-                // Temporarily store on the assignment object for later retrieval
-                assn._feedbackButton = fbBtn;
-              }
-            } else {
-              statusDiv.textContent = `Submitted on ${new Date(mySub.uploadedAt).toLocaleString()}`;
-            }
-          } else {
-            statusDiv.textContent = 'Not yet submitted';
-          }
-          // If not graded, allow submission or replacement. We build a single
-          // upload row containing the file input, label, filename and submit
-          // button. This row is appended to the bottom button row. Prevent
-          // duplication by constructing only one upload row per assignment.
-          if (!mySub || !mySub.graded) {
-            const uploadRow = document.createElement('div');
-            uploadRow.style.display = 'flex';
-            uploadRow.style.alignItems = 'center';
-            uploadRow.style.gap = '0.5rem';
-            // File input (hidden)
-            const fileInput = document.createElement('input');
-            fileInput.type = 'file';
-            fileInput.accept = 'application/pdf';
-            fileInput.style.display = 'none';
-            const inputId = `upload-${assn.id}-${Math.floor(Math.random() * 1000000)}`;
-            fileInput.id = inputId;
-            // Label acts as styled button
-            const label = document.createElement('label');
-            label.className = 'btn-grey';
-            label.setAttribute('for', inputId);
-            label.textContent = 'Choose PDF';
-            // Display selected file name
-            const fileNameSpan = document.createElement('span');
-            fileNameSpan.style.fontSize = '0.85rem';
-            fileNameSpan.style.color = '#6e6e73';
-            fileNameSpan.textContent = 'No file chosen';
-            fileInput.addEventListener('change', () => {
-              fileNameSpan.textContent = fileInput.files.length ? fileInput.files[0].name : 'No file chosen';
-            });
-            // Submit button
-            const submitBtn = document.createElement('button');
-            submitBtn.className = 'btn-blue';
-            submitBtn.textContent = mySub ? 'Replace' : 'Submit';
-            submitBtn.addEventListener('click', async () => {
-              if (!fileInput.files.length) {
-                alert('Please select a PDF to submit.');
-                return;
-              }
-              const formData = new FormData();
-              formData.append('file', fileInput.files[0]);
-              formData.append('studentName', currentUser.name);
-              formData.append('studentEmail', currentUser.email);
-              formData.append('studentID', currentUser.studentId);
-              formData.append('studentNameZh', currentUser.studentNameZh);
-              const resp = await fetchAuth(`/api/assignments/${assn.id}/submit`, {
-                method: 'POST',
-                body: formData,
-              });
-              if (resp.ok) {
-                alert(mySub ? 'Submission replaced successfully.' : 'Submission uploaded successfully.');
-                loadAssignments();
-              } else {
-                const msg = await resp.json();
-                alert(msg.error || 'Submission failed');
-              }
-            });
-            uploadRow.appendChild(fileInput);
-            uploadRow.appendChild(label);
-            uploadRow.appendChild(fileNameSpan);
-            uploadRow.appendChild(submitBtn);
-            btnRow.appendChild(uploadRow);
-          }
-        } catch (err) {
-          console.error('Failed to load submission status', err);
+  events
+    .slice()
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .forEach((event) => container.appendChild(courseEventItem(event)));
+}
+
+async function loadAdminEvents() {
+  const container = document.getElementById('adminEventList');
+  if (!container) return;
+  const res = await fetch('/api/events');
+  const events = res.ok ? await res.json() : [];
+  container.innerHTML = '';
+  events
+    .slice()
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .forEach((event) => {
+      container.appendChild(courseEventItem(event, async () => {
+        if (!(await sweetConfirm('Delete this event?'))) return;
+        const resp = await fetchAuth(`/api/events/${event.id}`, { method: 'DELETE' });
+        if (resp.ok) {
+          loadAdminEvents();
+          loadCourseEvents();
+        } else {
+          const msg = await resp.json().catch(() => ({}));
+          alert(msg.error || 'Failed to delete event');
         }
-      } else if (currentUser && (currentUser.role === 'pendingStudent' || currentUser.approved === false)) {
-        statusDiv.textContent = 'Registration pending: you cannot submit assignments yet.';
-      } else if (!currentUser) {
-        statusDiv.textContent = 'Login to submit this assignment.';
+      }));
+    });
+}
+
+/**
+ * Show the user's personal calendar feed URL, to subscribe to from Google
+ * Calendar, Outlook or Apple Calendar, with the option to replace it.
+ */
+async function openCalendarFeedDialog() {
+  const resp = await fetchAuth('/api/calendar/feed');
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    alert(data.error || 'Failed to load your calendar feed');
+    return;
+  }
+  const result = await Swal.fire({
+    title: 'Calendar Feed',
+    html: `
+      <p style="text-align:left;font-size:0.9rem;">Subscribe to this URL in your calendar app to see deadlines (including your extensions), exams, quizzes and office hours. It updates when dates change.</p>
+      <input id="swalFeedUrl" class="swal2-input" readonly style="width:100%;margin:0.5rem 0;font-size:0.8rem;" />
+      <p style="text-align:left;font-size:0.8rem;color:#6e6e73;">Anyone with this URL can read your calendar. Reset it if it was shared by mistake.</p>`,
+    didOpen: () => {
+      document.getElementById('swalFeedUrl').value = data.url;
+    },
+    showDenyButton: true,
+    showCancelButton: true,
+    confirmButtonText: 'Copy URL',
+    denyButtonText: 'Reset URL',
+    cancelButtonText: 'Close',
+    confirmButtonColor: '#007aff',
+  });
+  if (result.isConfirmed) {
+    try {
+      await navigator.clipboard.writeText(data.url);
+      alert('Calendar URL copied');
+    } catch (err) {
+      alert(data.url);
+    }
+  } else if (result.isDenied) {
+    if (!(await sweetConfirm('Replace your calendar URL? Calendars subscribed to the old URL stop updating.'))) return;
+    const reset = await fetchAuth('/api/calendar/feed/reset', { method: 'POST' });
+    if (reset.ok) {
+      openCalendarFeedDialog();
+    } else {
+      alert('Failed to reset the calendar URL');
+    }
+  }
+}
+
+/**
+ * Course calendar: month, week and agenda views of everything dated in the
+ * course. Admins drag an assignment, exam, quiz or event to another day to
+ * reschedule it.
+ */
+let calendarView = 'month';
+// Any day within the month or week on screen
+let calendarCursor = new Date();
+let calendarEntries = [];
+
+const CALENDAR_TYPES = {
+  assignment: 'Assignment',
+  exam: 'Exam',
+  quiz: 'Quiz',
+  officeHours: 'Office hours',
+  event: 'Event',
+  announcement: 'Announcement',
+};
+const CALENDAR_AGENDA_DAYS = 30;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+}
+
+// Entries on screen, one per day they fall on; weekly events repeat.
+function calendarOccurrences(from, to) {
+  const result = [];
+  calendarEntries.forEach((entry) => {
+    for (let week = 0; week < (entry.weeks || 1); week++) {
+      const start = addDays(entry.start, week * 7);
+      if (start >= from && start < to) result.push({ entry, start, end: addDays(entry.end, week * 7) });
+    }
+  });
+  return result.sort((a, b) => a.start - b.start);
+}
+
+function canReschedule(entry) {
+  return currentUser && currentUser.role === 'admin' && entry.type !== 'announcement';
+}
+
+/**
+ * Scroll to an item of a list page and flash it, for entries that have no
+ * page of their own.
+ */
+function revealListItem(section, selector) {
+  showSection(`${section}-section`);
+  setActiveNav(document.querySelector(`nav.nav-links button[data-section="${section}"]`));
+  const el = document.querySelector(selector);
+  if (!el) return;
+  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  el.classList.add('calendar-highlight');
+  setTimeout(() => el.classList.remove('calendar-highlight'), 2000);
+}
+
+async function openCalendarEntry(entry) {
+  if (entry.type === 'assignment') {
+    const res = await fetch('/api/assignments');
+    const target = res.ok && (await res.json()).find((a) => a.id === entry.id);
+    if (target) openAssignmentPage(target);
+    else alert('Assignment not found');
+  } else if (entry.type === 'quiz') {
+    if (currentUser && currentUser.role === 'admin') {
+      openQuizAdminPage(entry.id);
+      return;
+    }
+    const res = await fetchAuth('/api/quizzes');
+    const target = res.ok && (await res.json()).find((q) => q.id === entry.id);
+    if (target) openQuizPage(target);
+    else alert('Quiz not found');
+  } else if (entry.type === 'exam') {
+    await loadExams();
+    revealListItem('exams', `#examsList [data-exam-id="${entry.id}"]`);
+  } else if (entry.type === 'announcement') {
+    await loadAnnouncements();
+    revealListItem('home', `#announcementsList [data-announcement-id="${entry.id}"]`);
+  } else {
+    await loadCourseEvents();
+    revealListItem('exams', `#courseEventsList [data-event-id="${entry.id}"]`);
+  }
+}
+
+function shiftIso(iso, ms) {
+  return iso ? new Date(new Date(iso).getTime() + ms).toISOString() : iso;
+}
+
+/**
+ * Move an entry by a number of days through the route that edits it.
+ */
+async function rescheduleCalendarEntry(entry, days) {
+  const ms = days * 24 * 60 * 60 * 1000;
+  const when = new Date(new Date(entry.start).getTime() + ms).toLocaleString();
+  if (!(await sweetConfirm(`Move "${entry.title}" to ${when}?`))) return;
+  let resp;
+  if (entry.type === 'assignment') {
+    const formData = new FormData();
+    formData.append('dueDate', shiftIso(entry.start, ms));
+    resp = await fetchAuth(`/api/assignments/${entry.id}`, { method: 'PUT', body: formData });
+  } else if (entry.type === 'exam') {
+    resp = await fetchAuth(`/api/exams/${entry.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date: shiftIso(entry.start, ms) }),
+    });
+  } else if (entry.type === 'quiz') {
+    // The quiz route takes the whole quiz
+    const list = await fetchAuth('/api/quizzes');
+    const quiz = list.ok && (await list.json()).find((q) => q.id === entry.id);
+    if (!quiz) {
+      alert('Quiz not found');
+      return;
+    }
+    resp = await fetchAuth(`/api/quizzes/${quiz.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.assign({}, quiz, { opensAt: shiftIso(quiz.opensAt, ms), closesAt: shiftIso(quiz.closesAt, ms) })),
+    });
+  } else {
+    resp = await fetchAuth(`/api/events/${entry.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ start: shiftIso(entry.start, ms), end: shiftIso(entry.end, ms) }),
+    });
+  }
+  if (resp.ok) {
+    loadCalendar();
+  } else {
+    const msg = await resp.json().catch(() => ({}));
+    alert(msg.error || 'Failed to reschedule');
+  }
+}
+
+function calendarChip(occurrence, withTime) {
+  const { entry, start } = occurrence;
+  const chip = document.createElement('div');
+  chip.className = `calendar-chip cal-${entry.type}`;
+  chip.title = `${CALENDAR_TYPES[entry.type] || ''}: ${entry.title}${entry.location ? ` · ${entry.location}` : ''}`;
+  const time = start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  chip.textContent = withTime ? `${time} ${entry.title}` : entry.title;
+  chip.addEventListener('click', () => openCalendarEntry(entry));
+  if (canReschedule(entry)) {
+    chip.draggable = true;
+    chip.addEventListener('dragstart', (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', JSON.stringify({ uid: `${entry.type}-${entry.id}`, day: startOfDay(start).getTime() }));
+    });
+  }
+  return chip;
+}
+
+function calendarDayCell(day, occurrences, options) {
+  const cell = document.createElement('div');
+  cell.className = 'calendar-day';
+  if (options.outside) cell.classList.add('outside');
+  if (dayKey(day) === dayKey(new Date())) cell.classList.add('today');
+  const label = document.createElement('div');
+  label.className = 'calendar-day-label';
+  label.textContent = options.label;
+  cell.appendChild(label);
+  occurrences.forEach((o) => cell.appendChild(calendarChip(o, options.withTime)));
+  if (currentUser && currentUser.role === 'admin') {
+    cell.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      cell.classList.add('drop-target');
+    });
+    cell.addEventListener('dragleave', () => cell.classList.remove('drop-target'));
+    cell.addEventListener('drop', (e) => {
+      e.preventDefault();
+      cell.classList.remove('drop-target');
+      let data;
+      try {
+        data = JSON.parse(e.dataTransfer.getData('text/plain'));
+      } catch (err) {
+        return;
       }
-      // Admin actions: grade and delete buttons
-      if (currentUser && currentUser.role === 'admin') {
-        const gradeBtn = document.createElement('button');
-        gradeBtn.className = 'btn-yellow';
-        gradeBtn.textContent = 'Grade Submissions';
-        gradeBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          // Navigate to the dedicated assignment grades page rather than opening a modal
-          openAssignmentGradesPage(assn);
-        });
-        btnRow.appendChild(gradeBtn);
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'btn-red';
-        deleteBtn.textContent = 'Delete';
-        deleteBtn.addEventListener('click', async (e) => {
-          e.stopPropagation();
-          const ok = await sweetConfirm('Are you sure you want to delete this assignment?');
-          if (!ok) return;
-          const resp = await fetchAuth(`/api/assignments/${assn.id}`, { method: 'DELETE' });
-          if (resp.ok) {
-            loadAssignments();
-          } else {
-            const msg = await resp.json();
-            alert(msg.error || 'Failed to delete assignment');
-          }
-        });
-        btnRow.appendChild(deleteBtn);
+      const entry = calendarEntries.find((x) => `${x.type}-${x.id}` === data.uid);
+      // Whole days, so the time of day stays as it was
+      const days = Math.round((startOfDay(day).getTime() - data.day) / (24 * 60 * 60 * 1000));
+      if (entry && days) rescheduleCalendarEntry(entry, days);
+    });
+  }
+  return cell;
+}
+
+function renderCalendarGrid(container, first, days, options) {
+  const grid = document.createElement('div');
+  grid.className = `calendar-grid ${options.className}`;
+  for (let i = 0; i < 7; i++) {
+    const head = document.createElement('div');
+    head.className = 'calendar-weekday';
+    head.textContent = addDays(first, i).toLocaleDateString([], { weekday: 'short' });
+    grid.appendChild(head);
+  }
+  const occurrences = calendarOccurrences(first, addDays(first, days));
+  for (let i = 0; i < days; i++) {
+    const day = addDays(first, i);
+    const mine = occurrences.filter((o) => dayKey(o.start) === dayKey(day));
+    grid.appendChild(calendarDayCell(day, mine, {
+      label: options.label(day),
+      outside: options.outside && options.outside(day),
+      withTime: options.withTime,
+    }));
+  }
+  container.appendChild(grid);
+}
+
+function renderCalendarAgenda(container, from) {
+  const occurrences = calendarOccurrences(from, addDays(from, CALENDAR_AGENDA_DAYS));
+  if (!occurrences.length) {
+    const p = document.createElement('p');
+    p.textContent = `Nothing scheduled in the next ${CALENDAR_AGENDA_DAYS} days.`;
+    container.appendChild(p);
+    return;
+  }
+  let lastDay = null;
+  occurrences.forEach((o) => {
+    if (dayKey(o.start) !== lastDay) {
+      lastDay = dayKey(o.start);
+      const heading = document.createElement('h4');
+      heading.className = 'calendar-agenda-day';
+      heading.textContent = o.start.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+      container.appendChild(heading);
+    }
+    const row = document.createElement('div');
+    row.className = 'calendar-agenda-row';
+    const time = document.createElement('span');
+    time.className = 'calendar-agenda-time';
+    time.textContent = o.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const type = document.createElement('span');
+    type.className = `calendar-type cal-${o.entry.type}`;
+    type.textContent = CALENDAR_TYPES[o.entry.type] || o.entry.type;
+    const title = document.createElement('a');
+    title.href = '#';
+    title.textContent = o.entry.title + (o.entry.location ? ` · ${o.entry.location}` : '');
+    title.addEventListener('click', (e) => {
+      e.preventDefault();
+      openCalendarEntry(o.entry);
+    });
+    row.appendChild(time);
+    row.appendChild(type);
+    row.appendChild(title);
+    container.appendChild(row);
+  });
+}
+
+function renderCalendar() {
+  const container = document.getElementById('calendarView');
+  const titleEl = document.getElementById('calendarTitle');
+  if (!container) return;
+  container.innerHTML = '';
+  $$('#calendar-section .calendar-views button').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.view === calendarView);
+  });
+  if (calendarView === 'month') {
+    const monthStart = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth(), 1);
+    const first = addDays(monthStart, -monthStart.getDay());
+    const monthEnd = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth() + 1, 1);
+    const weeks = Math.ceil(Math.round((monthEnd - first) / (24 * 60 * 60 * 1000)) / 7);
+    titleEl.textContent = monthStart.toLocaleDateString([], { year: 'numeric', month: 'long' });
+    renderCalendarGrid(container, first, weeks * 7, {
+      className: 'calendar-month',
+      label: (day) => String(day.getDate()),
+      outside: (day) => day.getMonth() !== monthStart.getMonth(),
+      withTime: false,
+    });
+  } else if (calendarView === 'week') {
+    const first = addDays(startOfDay(calendarCursor), -calendarCursor.getDay());
+    titleEl.textContent = `${first.toLocaleDateString()} – ${addDays(first, 6).toLocaleDateString()}`;
+    renderCalendarGrid(container, first, 7, {
+      className: 'calendar-week',
+      label: (day) => day.toLocaleDateString([], { month: 'short', day: 'numeric' }),
+      withTime: true,
+    });
+  } else {
+    const from = startOfDay(calendarCursor);
+    titleEl.textContent = `From ${from.toLocaleDateString()}`;
+    renderCalendarAgenda(container, from);
+  }
+}
+
+async function loadCalendar() {
+  try {
+    const res = await fetchAuth('/api/calendar/events');
+    calendarEntries = res.ok ? await res.json() : [];
+  } catch (err) {
+    console.error('Failed to load calendar', err);
+    calendarEntries = [];
+  }
+  renderCalendar();
+}
+
+function moveCalendar(direction) {
+  if (calendarView === 'month') {
+    calendarCursor = new Date(calendarCursor.getFullYear(), calendarCursor.getMonth() + direction, 1);
+  } else if (calendarView === 'week') {
+    calendarCursor = addDays(calendarCursor, 7 * direction);
+  } else {
+    calendarCursor = addDays(calendarCursor, CALENDAR_AGENDA_DAYS * direction);
+  }
+  renderCalendar();
+}
+
+/**
+ * Global search in the header. Results come grouped by type with a snippet
+ * of the matching text; the server marks which ranges of the snippet to
+ * highlight.
+ */
+const SEARCH_GROUP_LABELS = {
+  announcement: 'Announcements',
+  assignment: 'Assignments',
+  resource: 'Resources',
+  forum: 'Discussion',
+};
+let globalSearchTimer = null;
+// Only the response to the latest query is shown
+let globalSearchSeq = 0;
+
+function highlightedSnippet(snippet) {
+  const el = document.createElement('div');
+  el.className = 'search-snippet';
+  let pos = 0;
+  snippet.highlights.forEach(([start, end]) => {
+    if (start < pos) return;
+    el.appendChild(document.createTextNode(snippet.text.slice(pos, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = snippet.text.slice(start, end);
+    el.appendChild(mark);
+    pos = end;
+  });
+  el.appendChild(document.createTextNode(snippet.text.slice(pos)));
+  return el;
+}
+
+function closeGlobalSearch() {
+  document.getElementById('globalSearchResults').classList.add('hidden');
+}
+
+async function openSearchResult(result) {
+  closeGlobalSearch();
+  const link = result.link || {};
+  if (result.type === 'announcement') {
+    await loadAnnouncements();
+    revealListItem('home', `#announcementsList [data-announcement-id="${link.announcementId}"]`);
+  } else if (result.type === 'assignment') {
+    const res = await fetch('/api/assignments');
+    const target = res.ok && (await res.json()).find((a) => a.id === link.assignmentId);
+    if (target) openAssignmentPage(target);
+    else alert('Assignment not found');
+  } else if (result.type === 'resource') {
+    if (link.filePath) window.open(resourceFileUrl(link), '_blank');
+  } else if (result.type === 'forum') {
+    await openThreadPage(link.threadId);
+    const comment = link.commentId && document.querySelector(`#threadPageContent .comment-item[data-comment-id="${link.commentId}"]`);
+    if (comment) {
+      comment.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      comment.classList.add('calendar-highlight');
+      setTimeout(() => comment.classList.remove('calendar-highlight'), 2000);
+    }
+  }
+}
+
+function renderGlobalSearch(data) {
+  const box = document.getElementById('globalSearchResults');
+  box.innerHTML = '';
+  if (!data.total) {
+    const empty = document.createElement('p');
+    empty.className = 'search-empty';
+    empty.textContent = `Nothing found for "${data.query}"`;
+    box.appendChild(empty);
+  }
+  data.groups.forEach((group) => {
+    const heading = document.createElement('h4');
+    heading.textContent = `${SEARCH_GROUP_LABELS[group.type] || group.type} (${group.results.length})`;
+    box.appendChild(heading);
+    group.results.forEach((result) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'search-result';
+      const title = document.createElement('div');
+      title.className = 'search-result-title';
+      title.textContent = result.title;
+      if (result.link && result.link.archived) {
+        const tag = document.createElement('span');
+        tag.className = 'search-result-tag';
+        tag.textContent = 'Archived';
+        title.appendChild(tag);
       }
-      // Append the status information into the details column just before attaching to card
-      details.appendChild(statusDiv);
-      // Append details and actions to the card
-      card.appendChild(details);
-      // Move the feedback button (if any) into the button row before appending
-      // the row to actions. This ensures that Download Feedback appears in the
-      // same horizontal group as View/Download PDF rather than inside the
-      // status text. Note: _feedbackButton was attached to the assignment
-      // object earlier when detecting graded submissions.
-      if (assn && assn._feedbackButton) {
-        btnRow.appendChild(assn._feedbackButton);
-        delete assn._feedbackButton;
+      item.appendChild(title);
+      if (result.snippet.text) item.appendChild(highlightedSnippet(result.snippet));
+      item.addEventListener('click', () => openSearchResult(result));
+      box.appendChild(item);
+    });
+  });
+  box.classList.remove('hidden');
+}
+
+async function runGlobalSearch(query) {
+  const seq = ++globalSearchSeq;
+  if (!query) {
+    closeGlobalSearch();
+    return;
+  }
+  const res = await fetchAuth(`/api/search?q=${encodeURIComponent(query)}`);
+  if (seq !== globalSearchSeq) return;
+  if (!res.ok) {
+    closeGlobalSearch();
+    return;
+  }
+  renderGlobalSearch(await res.json());
+}
+
+/**
+ * Quizzes
+ */
+// Countdown of the quiz attempt on screen, if any
+let quizTimer = null;
+// Server clock minus local clock, so countdowns end when the server says so
+let quizClockOffset = 0;
+
+const QUIZ_QUESTION_TYPES = {
+  single: 'Multiple choice',
+  multiple: 'Multiple select',
+  numeric: 'Numeric',
+  short: 'Short answer',
+};
+
+/**
+ * Render Markdown with LaTeX into an element and return the element.
+ */
+function renderRichText(el, text) {
+  el.innerHTML = window.marked.parse(text || '');
+  if (typeof window.renderMathInElement === 'function') {
+    try {
+      window.renderMathInElement(el, { delimiters: [ { left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false } ] });
+    } catch (err) {
+      console.error('KaTeX rendering error', err);
+    }
+  }
+  return el;
+}
+
+// Value for a datetime-local input from an ISO string
+function toDateTimeLocal(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function quizSchedule(quiz) {
+  const parts = [];
+  if (quiz.opensAt) parts.push(`Opens ${new Date(quiz.opensAt).toLocaleString()}`);
+  if (quiz.closesAt) parts.push(`Closes ${new Date(quiz.closesAt).toLocaleString()}`);
+  parts.push(quiz.timeLimitMinutes ? `Time limit ${quiz.timeLimitMinutes} min` : 'No time limit');
+  parts.push(`${quiz.questionCount} question${quiz.questionCount === 1 ? '' : 's'}`);
+  return parts.join(' · ');
+}
+
+function stopQuizTimer() {
+  if (quizTimer) clearInterval(quizTimer);
+  quizTimer = null;
+}
+
+/**
+ * Quizzes page. Students see every quiz with the state of their attempt; TAs
+ * see how many attempts are in and open a quiz's results.
+ */
+async function loadQuizzes() {
+  const container = document.getElementById('quizList');
+  if (!container) return;
+  container.innerHTML = '';
+  if (!currentUser) {
+    container.textContent = 'Please log in to take quizzes.';
+    return;
+  }
+  let list;
+  try {
+    const resp = await fetchAuth('/api/quizzes');
+    list = await resp.json();
+    if (!resp.ok) throw new Error(list.error);
+  } catch (err) {
+    console.error('Failed to load quizzes', err);
+    container.textContent = 'Failed to load quizzes.';
+    return;
+  }
+  if (!list.length) {
+    container.textContent = 'No quizzes yet.';
+    return;
+  }
+  list.forEach((quiz) => {
+    const item = document.createElement('div');
+    item.className = 'exam-item';
+    const title = document.createElement('h4');
+    title.textContent = quiz.title;
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = quizSchedule(quiz);
+    item.appendChild(title);
+    item.appendChild(meta);
+    if (quiz.description) item.appendChild(renderRichText(document.createElement('div'), quiz.description));
+    const status = document.createElement('p');
+    status.className = 'quiz-status';
+    const open = document.createElement('button');
+    open.className = 'btn-blue';
+    if (currentUser.role === 'admin') {
+      status.textContent = `${quiz.submitted} submitted, ${quiz.attempts - quiz.submitted} in progress`
+        + (quiz.pending ? ` · ${quiz.pending} answer(s) to grade` : '')
+        + (quiz.scoresReleased ? ' · scores released' : '');
+      open.textContent = 'Results';
+      open.addEventListener('click', () => openQuizAdminPage(quiz.id));
+    } else {
+      const attempt = quiz.attempt;
+      const now = new Date();
+      if (!attempt) {
+        const notOpen = !!quiz.opensAt && now < new Date(quiz.opensAt);
+        const closed = !!quiz.closesAt && now >= new Date(quiz.closesAt);
+        status.textContent = notOpen ? 'Not open yet' : closed ? 'Closed' : 'Not started';
+        open.textContent = 'Start';
+        open.disabled = notOpen || closed;
+      } else if (!attempt.submittedAt) {
+        status.textContent = attempt.deadline ? `In progress – due ${new Date(attempt.deadline).toLocaleString()}` : 'In progress';
+        open.textContent = 'Continue';
+      } else {
+        const scored = attempt.score !== undefined && attempt.score !== null;
+        status.textContent = scored ? `Score: ${attempt.score}` : (quiz.scoresReleased ? 'Submitted – still being graded' : 'Submitted');
+        open.textContent = 'View';
       }
-      // Move btnRow into actions now that all buttons have been assembled
-      actions.appendChild(btnRow);
-      card.appendChild(actions);
-      container.appendChild(card);
+      open.addEventListener('click', () => openQuizPage(quiz));
     }
+    item.appendChild(status);
+    item.appendChild(open);
+    container.appendChild(item);
+  });
 }
 
-async function loadResources() {
-  const res = await fetch('/api/resources');
-  const data = await res.json();
-  const container = document.getElementById('resourcesList');
+function quizPageHeader(container, quiz, onBack) {
+  stopQuizTimer();
   container.innerHTML = '';
-  if (!data.length) {
+  const back = document.createElement('button');
+  back.className = 'btn-grey';
+  back.textContent = '← Back';
+  back.addEventListener('click', () => {
+    stopQuizTimer();
+    onBack();
+  });
+  const title = document.createElement('h2');
+  title.textContent = quiz.title;
+  const meta = document.createElement('p');
+  meta.className = 'meta';
+  meta.textContent = quizSchedule(quiz);
+  container.appendChild(back);
+  container.appendChild(title);
+  container.appendChild(meta);
+  if (quiz.description) container.appendChild(renderRichText(document.createElement('div'), quiz.description));
+}
+
+function backToQuizList() {
+  showSection('quizzes-section');
+  loadQuizzes();
+}
+
+/**
+ * A student's quiz page: the start screen, the attempt in progress or the
+ * submitted attempt with its results once released.
+ *
+ * @param {Object} quiz Quiz as listed for the student
+ */
+async function openQuizPage(quiz) {
+  showSection('quiz-page-section');
+  setActiveNav(document.querySelector('nav.nav-links button[data-section="quizzes"]'));
+  const container = document.getElementById('quizPageContent');
+  quizPageHeader(container, quiz, backToQuizList);
+  const body = document.createElement('div');
+  container.appendChild(body);
+  const show = async (resp) => {
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(data.error || 'Failed to load the quiz');
+      return;
+    }
+    const serverDate = Date.parse(resp.headers.get('Date'));
+    if (!isNaN(serverDate)) quizClockOffset = serverDate - Date.now();
+    renderQuizAttempt(body, quiz, data);
+  };
+  if (quiz.attempt) {
+    show(await fetchAuth(`/api/quizzes/${quiz.id}/attempt`));
+    return;
+  }
+  const start = document.createElement('button');
+  start.className = 'btn-green';
+  start.textContent = 'Start Quiz';
+  start.addEventListener('click', async () => {
+    const ok = await sweetConfirm(quiz.timeLimitMinutes
+      ? `Start ${quiz.title}? You will have ${quiz.timeLimitMinutes} minutes and the timer cannot be paused.`
+      : `Start ${quiz.title}?`);
+    if (!ok) return;
+    show(await fetchAuth(`/api/quizzes/${quiz.id}/start`, { method: 'POST' }));
+  });
+  body.appendChild(start);
+}
+
+/**
+ * One question of an attempt. With `onChange` the student can answer it;
+ * without, the answer is shown read-only together with the result and the
+ * answer key when the server sent them.
+ *
+ * @param {Object} question Question as copied into the attempt
+ * @param {number} index
+ * @param {*} answer Current answer
+ * @param {function|null} onChange Called with the new answer
+ * @param {Object} [result] { points, comment }
+ */
+function buildQuizQuestion(question, index, answer, onChange, result) {
+  const card = document.createElement('div');
+  card.className = 'assignment-detail-section quiz-question';
+  const header = document.createElement('div');
+  header.className = 'quiz-question-header';
+  const label = document.createElement('strong');
+  label.textContent = `Question ${index + 1}`;
+  const points = document.createElement('span');
+  points.className = 'meta';
+  points.textContent = result
+    ? `${result.points} / ${question.points} pt`
+    : `${question.points} pt · ${QUIZ_QUESTION_TYPES[question.type]}`;
+  if (result) points.classList.add(result.points >= question.points ? 'quiz-full-marks' : 'quiz-lost-marks');
+  header.appendChild(label);
+  header.appendChild(points);
+  card.appendChild(header);
+  card.appendChild(renderRichText(document.createElement('div'), question.prompt));
+
+  if (question.type === 'single' || question.type === 'multiple') {
+    const chosen = Array.isArray(answer) ? answer : answer ? [answer] : [];
+    const list = document.createElement('div');
+    list.className = 'quiz-choices';
+    question.choices.forEach((choice) => {
+      const row = document.createElement('label');
+      row.className = 'quiz-choice';
+      if (question.correct && question.correct.includes(choice.id)) row.classList.add('correct');
+      const input = document.createElement('input');
+      input.type = question.type === 'single' ? 'radio' : 'checkbox';
+      input.name = `quiz-${question.id}`;
+      input.value = choice.id;
+      input.checked = chosen.includes(choice.id);
+      input.disabled = !onChange;
+      input.addEventListener('change', () => {
+        const checked = [...list.querySelectorAll('input:checked')].map((i) => i.value);
+        onChange(question.type === 'single' ? checked[0] || null : checked);
+      });
+      row.appendChild(input);
+      row.appendChild(renderRichText(document.createElement('span'), choice.text));
+      list.appendChild(row);
+    });
+    card.appendChild(list);
+  } else if (question.type === 'numeric') {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.className = 'quiz-numeric';
+    input.value = answer === null || answer === undefined ? '' : answer;
+    input.disabled = !onChange;
+    input.addEventListener('input', () => onChange(input.value === '' ? null : input.value));
+    card.appendChild(input);
+    if (question.answer !== undefined) {
+      const key = document.createElement('p');
+      key.className = 'quiz-key';
+      key.textContent = `Answer: ${question.answer}` + (question.tolerance ? ` ± ${question.tolerance}` : '');
+      card.appendChild(key);
+    }
+  } else if (onChange) {
+    const textarea = document.createElement('textarea');
+    textarea.rows = 5;
+    textarea.className = 'quiz-short-answer';
+    textarea.placeholder = 'Your answer (Markdown & LaTeX)';
+    textarea.value = answer || '';
+    const preview = document.createElement('div');
+    preview.className = 'quiz-answer-preview';
+    renderRichText(preview, textarea.value);
+    textarea.addEventListener('input', () => {
+      renderRichText(preview, textarea.value);
+      onChange(textarea.value);
+    });
+    card.appendChild(textarea);
+    card.appendChild(preview);
+  } else {
+    const shown = document.createElement('div');
+    shown.className = 'quiz-answer-preview';
+    if (answer) renderRichText(shown, answer);
+    else shown.textContent = 'No answer';
+    card.appendChild(shown);
+    if (question.sampleAnswer) {
+      const key = document.createElement('div');
+      key.className = 'quiz-key';
+      renderRichText(key, `**Sample answer:** ${question.sampleAnswer}`);
+      card.appendChild(key);
+    }
+  }
+  if (result && result.comment) {
+    const comment = document.createElement('p');
+    comment.className = 'quiz-feedback';
+    comment.textContent = result.comment;
+    card.appendChild(comment);
+  }
+  return card;
+}
+
+/**
+ * Render a student's attempt. While it is in progress answers are saved as
+ * they change and a countdown submits them when time runs out.
+ */
+function renderQuizAttempt(container, quiz, attempt) {
+  stopQuizTimer();
+  container.innerHTML = '';
+  const inProgress = !attempt.submittedAt;
+  const answers = Object.assign({}, attempt.answers);
+  const changed = new Set();
+  let saveTimeout = null;
+  const bar = document.createElement('div');
+  bar.className = inProgress ? 'quiz-timer-bar' : 'assignment-detail-section';
+  const timerEl = document.createElement('span');
+  const saveStatus = document.createElement('span');
+  saveStatus.className = 'meta';
+  bar.appendChild(timerEl);
+  bar.appendChild(saveStatus);
+  container.appendChild(bar);
+
+  if (!inProgress) {
+    let text = `Submitted ${new Date(attempt.submittedAt).toLocaleString()}`
+      + (attempt.autoSubmitted ? ' automatically when time ran out' : '') + '. ';
+    if (attempt.score !== undefined && attempt.score !== null) {
+      text += `Score: ${attempt.points} / ${attempt.maxPoints} (${attempt.score}).`;
+    } else if (attempt.results) {
+      text += 'Some answers are still being graded.';
+    } else {
+      text += 'Your score will be shown once it is released.';
+    }
+    timerEl.textContent = text;
+  }
+
+  const save = async () => {
+    if (!changed.size) return;
+    const batch = {};
+    changed.forEach((id) => { batch[id] = answers[id] === undefined ? null : answers[id]; });
+    changed.clear();
+    saveStatus.textContent = 'Saving…';
+    const resp = await fetchAuth(`/api/quizzes/${quiz.id}/attempt/answers`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ answers: batch }),
+    });
+    const data = await resp.json();
+    if (resp.ok) {
+      saveStatus.textContent = `Saved ${new Date(data.savedAt).toLocaleTimeString()}`;
+    } else {
+      saveStatus.textContent = data.error || 'Not saved';
+      if (resp.status === 403) openQuizPage(Object.assign({}, quiz, { attempt: true }));
+    }
+  };
+  const submit = async (timeUp) => {
+    stopQuizTimer();
+    clearTimeout(saveTimeout);
+    const resp = await fetchAuth(`/api/quizzes/${quiz.id}/attempt/submit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ answers }),
+    });
+    const data = await resp.json();
+    if (resp.ok) {
+      renderQuizAttempt(container, quiz, data);
+      alert(timeUp ? 'Time is up. Your answers were submitted.' : 'Your answers were submitted.');
+    } else {
+      alert(data.error || 'Failed to submit');
+      if (resp.status === 403) openQuizPage(Object.assign({}, quiz, { attempt: true }));
+    }
+  };
+
+  attempt.questions.forEach((q, i) => {
+    const onChange = inProgress ? (value) => {
+      answers[q.id] = value;
+      changed.add(q.id);
+      saveStatus.textContent = 'Unsaved changes';
+      clearTimeout(saveTimeout);
+      saveTimeout = setTimeout(save, 1000);
+    } : null;
+    container.appendChild(buildQuizQuestion(q, i, answers[q.id], onChange, attempt.results && attempt.results[q.id]));
+  });
+  if (!inProgress) return;
+
+  const submitBtn = document.createElement('button');
+  submitBtn.className = 'btn-blue';
+  submitBtn.style.marginTop = '1rem';
+  submitBtn.textContent = 'Submit Quiz';
+  submitBtn.addEventListener('click', async () => {
+    const unanswered = attempt.questions.filter((q) => {
+      const a = answers[q.id];
+      return a === null || a === undefined || a === '' || (Array.isArray(a) && !a.length);
+    }).length;
+    const ok = await sweetConfirm((unanswered ? `${unanswered} question(s) have no answer. ` : '')
+      + 'Submit your answers? You cannot change them afterwards.');
+    if (ok) submit(false);
+  });
+  container.appendChild(submitBtn);
+
+  if (!attempt.deadline) {
+    timerEl.textContent = 'No time limit';
+    return;
+  }
+  const deadline = new Date(attempt.deadline).getTime();
+  const section = document.getElementById('quiz-page-section');
+  const tick = () => {
+    if (section.classList.contains('hidden') || !document.body.contains(timerEl)) {
+      stopQuizTimer();
+      return;
+    }
+    const left = deadline - (Date.now() + quizClockOffset);
+    timerEl.textContent = `Time left: ${formatDuration(Math.max(0, left))}`;
+    timerEl.classList.toggle('countdown-late', left < 60000);
+    if (left <= 0) submit(true);
+  };
+  quizTimer = setInterval(tick, 1000);
+  tick();
+}
+
+/**
+ * Results of a quiz for TAs: every attempt, releasing the scores and the way
+ * into free-response grading.
+ *
+ * @param {string} quizId
+ */
+async function openQuizAdminPage(quizId) {
+  showSection('quiz-page-section');
+  setActiveNav(document.querySelector('nav.nav-links button[data-section="quizzes"]'));
+  const container = document.getElementById('quizPageContent');
+  let quiz;
+  let attempts;
+  try {
+    const [listResp, attemptsResp] = await Promise.all([
+      fetchAuth('/api/quizzes'),
+      fetchAuth(`/api/quizzes/${quizId}/attempts`),
+    ]);
+    quiz = (await listResp.json()).find((q) => q.id === quizId);
+    attempts = await attemptsResp.json();
+    if (!quiz || !attemptsResp.ok) throw new Error(attempts.error || 'Quiz not found');
+  } catch (err) {
+    console.error('Failed to load quiz', err);
+    alert(err.message || 'Failed to load quiz');
+    return;
+  }
+  quizPageHeader(container, quiz, backToQuizList);
+  const pools = document.createElement('p');
+  pools.className = 'meta';
+  pools.textContent = 'Draws ' + quiz.pools.map((p) => `${p.pick === null ? 'all' : p.pick} from "${p.tag}"`).join(', ')
+    + (quiz.shuffleQuestions ? ' · questions shuffled' : '') + (quiz.shuffleChoices ? ' · choices shuffled' : '');
+  container.appendChild(pools);
+
+  const actions = document.createElement('div');
+  actions.className = 'quiz-actions';
+  const edit = document.createElement('button');
+  edit.className = 'btn-grey';
+  edit.textContent = 'Edit Quiz';
+  edit.addEventListener('click', async () => {
+    if (await openQuizEditor(quiz)) openQuizAdminPage(quiz.id);
+  });
+  const release = document.createElement('button');
+  release.className = quiz.scoresReleased ? 'btn-yellow' : 'btn-green';
+  release.textContent = quiz.scoresReleased ? 'Withdraw Scores' : 'Release Scores';
+  release.addEventListener('click', async () => {
+    const resp = await fetchAuth(`/api/quizzes/${quiz.id}/release`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ released: !quiz.scoresReleased }),
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(data.error || 'Failed to update the quiz');
+      return;
+    }
+    if (data.quiz.scoresReleased) alert(`Scores released. ${data.notified} student(s) notified.`);
+    openQuizAdminPage(quiz.id);
+  });
+  const grade = document.createElement('button');
+  grade.className = 'btn-blue';
+  grade.textContent = `Grade Free Responses (${quiz.pending})`;
+  grade.disabled = !quiz.pending;
+  grade.addEventListener('click', () => openQuizGradingPage(quiz, 0));
+  const del = document.createElement('button');
+  del.className = 'btn-red';
+  del.textContent = 'Delete Quiz';
+  del.addEventListener('click', async () => {
+    const ok = await sweetConfirm(`Delete ${quiz.title}? Its scores leave the gradebook.`);
+    if (!ok) return;
+    const resp = await fetchAuth(`/api/quizzes/${quiz.id}`, { method: 'DELETE' });
+    if (resp.ok) {
+      backToQuizList();
+    } else {
+      const msg = await resp.json();
+      alert(msg.error || 'Failed to delete quiz');
+    }
+  });
+  [edit, release, grade, del].forEach((b) => actions.appendChild(b));
+  container.appendChild(actions);
+
+  const h3 = document.createElement('h3');
+  h3.textContent = 'Attempts';
+  container.appendChild(h3);
+  if (!attempts.length) {
     const p = document.createElement('p');
-    p.textContent = 'No resources available.';
+    p.textContent = 'Nobody has started this quiz yet.';
     container.appendChild(p);
     return;
   }
-  data.forEach((resItem) => {
-    const card = document.createElement('div');
-    card.className = 'resource-card';
-    const title = document.createElement('h4');
-    title.textContent = resItem.title;
-    card.appendChild(title);
-    const actions = document.createElement('div');
-    actions.style.display = 'flex';
-    actions.style.gap = '0.5rem';
-    const fileRel = resItem.filePath.replace(/.*uploads\//, 'uploads/').replace(/\\/g, '/');
-    const ext = fileRel.split('.').pop().toLowerCase();
-    // Preview button for PDFs
-    if (ext === 'pdf') {
-      const previewBtn = document.createElement('button');
-      previewBtn.className = 'btn-blue';
-      previewBtn.textContent = 'Preview';
-      previewBtn.addEventListener('click', () => {
-        openPdfModal('/' + fileRel, resItem.title);
-      });
-      actions.appendChild(previewBtn);
-    }
-    // Download button
-    const downloadBtn = document.createElement('a');
-    downloadBtn.href = '/' + fileRel;
-    downloadBtn.target = '_blank';
-    downloadBtn.className = 'btn-green';
-    downloadBtn.style.textDecoration = 'none';
-    downloadBtn.textContent = 'Download';
-    actions.appendChild(downloadBtn);
-    // Admin-only delete button for resources
-    if (currentUser && currentUser.role === 'admin') {
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'btn-red';
-      deleteBtn.textContent = 'Delete';
-      deleteBtn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        const ok = await sweetConfirm('Delete this resource?');
-        if (!ok) return;
-        const resp = await fetchAuth(`/api/resources/${resItem.id}`, { method: 'DELETE' });
-        if (resp.ok) {
-          loadResources();
-        } else {
-          const msg = await resp.json();
-          alert(msg.error || 'Failed to delete resource');
-        }
+  const table = document.createElement('table');
+  table.className = 'grading-progress-table';
+  table.innerHTML = '<tr><th>Student</th><th>Started</th><th>Submitted</th><th>Points</th><th>Score</th></tr>';
+  const review = document.createElement('div');
+  attempts.forEach((attempt) => {
+    const tr = document.createElement('tr');
+    tr.className = 'quiz-attempt-row';
+    const pending = attempt.submittedAt ? attempt.questions.filter((q) => !attempt.results[q.id]).length : 0;
+    [
+      attempt.studentName,
+      new Date(attempt.startedAt).toLocaleString(),
+      attempt.submittedAt ? new Date(attempt.submittedAt).toLocaleString() + (attempt.autoSubmitted ? ' (time ran out)' : '') : 'In progress',
+      attempt.submittedAt ? `${attempt.points} / ${attempt.maxPoints}` : '—',
+      attempt.score !== null && attempt.score !== undefined ? attempt.score : (pending ? `${pending} to grade` : '—'),
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tr.addEventListener('click', () => {
+      renderAttemptReview(review, attempt, () => openQuizAdminPage(quiz.id));
+      review.scrollIntoView({ behavior: 'smooth' });
+    });
+    table.appendChild(tr);
+  });
+  container.appendChild(table);
+  container.appendChild(review);
+}
+
+/**
+ * One student's attempt for TAs, with the answer key and a way to grade or
+ * adjust the points of each answer.
+ */
+function renderAttemptReview(container, attempt, onGraded) {
+  container.innerHTML = '';
+  const h3 = document.createElement('h3');
+  h3.textContent = `${attempt.studentName}'s answers`;
+  container.appendChild(h3);
+  attempt.questions.forEach((q, i) => {
+    const result = attempt.results[q.id];
+    const card = buildQuizQuestion(q, i, attempt.answers[q.id], null, result);
+    if (attempt.submittedAt) {
+      const btn = document.createElement('button');
+      btn.className = 'btn-grey';
+      btn.textContent = result ? 'Adjust Points' : 'Grade';
+      btn.addEventListener('click', async () => {
+        if (await gradeQuizAnswer(attempt, q, result)) onGraded();
       });
-      actions.appendChild(deleteBtn);
+      card.appendChild(btn);
     }
-    card.appendChild(actions);
     container.appendChild(card);
   });
 }
 
-async function loadExams() {
-  const res = await fetch('/api/exams');
-  const data = await res.json();
-  const container = document.getElementById('examsList');
-  container.innerHTML = '';
-  if (!data.length) {
-    const p = document.createElement('p');
-    p.textContent = 'No upcoming exams.';
-    container.appendChild(p);
+/**
+ * Ask for the points and comment of one answer and save them. Resolves to
+ * the updated attempt, or null if cancelled.
+ */
+async function gradeQuizAnswer(attempt, question, result) {
+  const chosen = await Swal.fire({
+    title: `${attempt.studentName}: ${question.points} pt`,
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        <label>Points (0–${question.points})<input type="number" min="0" max="${question.points}" step="any" id="quizPoints" /></label>
+        <label>Comment<input type="text" id="quizComment" /></label>
+      </div>`,
+    didOpen: () => {
+      document.getElementById('quizPoints').value = result ? result.points : '';
+      document.getElementById('quizComment').value = result && result.comment ? result.comment : '';
+    },
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    confirmButtonColor: '#007aff',
+    preConfirm: async () => {
+      const resp = await fetchAuth(`/api/quiz-attempts/${attempt.id}/results/${question.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          points: document.getElementById('quizPoints').value,
+          comment: document.getElementById('quizComment').value,
+        }),
+      });
+      const data = await resp.json();
+      if (!resp.ok) {
+        Swal.showValidationMessage(data.error || 'Failed to save');
+        return false;
+      }
+      return data;
+    },
+  });
+  return chosen.isConfirmed ? chosen.value : null;
+}
+
+/**
+ * Grade a quiz's free-response answers one at a time, question by question
+ * across students.
+ *
+ * @param {Object} quiz
+ * @param {number} index Position in the queue
+ */
+async function openQuizGradingPage(quiz, index) {
+  showSection('quiz-page-section');
+  const container = document.getElementById('quizPageContent');
+  const resp = await fetchAuth(`/api/quiz-grading-queue?quizId=${encodeURIComponent(quiz.id)}`);
+  const items = await resp.json();
+  if (!resp.ok) {
+    alert(items.error || 'Failed to load the grading queue');
     return;
   }
-  data.forEach((exam) => {
+  if (!items.length) {
+    alert('Every answer of this quiz is graded.');
+    openQuizAdminPage(quiz.id);
+    return;
+  }
+  const i = Math.min(index, items.length - 1);
+  const item = items[i];
+  quizPageHeader(container, quiz, () => openQuizAdminPage(quiz.id));
+  const nav = document.createElement('div');
+  nav.className = 'grading-queue-nav';
+  nav.textContent = `Answer ${i + 1} of ${items.length} · ${item.studentName}`;
+  container.appendChild(nav);
+  const card = buildQuizQuestion(item.question, 0, item.answer, null, null);
+  card.querySelector('.quiz-question-header strong').textContent = 'Question';
+  container.appendChild(card);
+  const fields = document.createElement('div');
+  fields.className = 'question-score-fields';
+  const points = document.createElement('input');
+  points.type = 'number';
+  points.min = '0';
+  points.max = String(item.question.points);
+  points.step = 'any';
+  points.placeholder = `0–${item.question.points}`;
+  const comment = document.createElement('input');
+  comment.type = 'text';
+  comment.placeholder = 'Comment (optional)';
+  fields.appendChild(points);
+  fields.appendChild(comment);
+  container.appendChild(fields);
+  const actions = document.createElement('div');
+  actions.className = 'quiz-actions';
+  const save = document.createElement('button');
+  save.className = 'btn-blue';
+  save.textContent = 'Save & Next';
+  save.addEventListener('click', async () => {
+    const result = await fetchAuth(`/api/quiz-attempts/${item.attemptId}/results/${item.question.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ points: points.value, comment: comment.value }),
+    });
+    const data = await result.json();
+    if (!result.ok) {
+      alert(data.error || 'Failed to save');
+      return;
+    }
+    // The graded answer leaves the queue, so the next one takes its place
+    openQuizGradingPage(quiz, i);
+  });
+  const skip = document.createElement('button');
+  skip.className = 'btn-grey';
+  skip.textContent = 'Skip';
+  skip.disabled = i + 1 >= items.length;
+  skip.addEventListener('click', () => openQuizGradingPage(quiz, i + 1));
+  actions.appendChild(save);
+  actions.appendChild(skip);
+  container.appendChild(actions);
+  points.focus();
+}
+
+/**
+ * Admin quiz tab: the question bank and the list of quizzes.
+ */
+async function loadQuizAdmin() {
+  const list = document.getElementById('quizBankList');
+  const quizList = document.getElementById('adminQuizList');
+  const filter = document.getElementById('quizBankTagFilter');
+  if (!list || !currentUser || currentUser.role !== 'admin') return;
+  let bank;
+  let quizzesList;
+  try {
+    const [bankResp, quizResp] = await Promise.all([fetchAuth('/api/quiz-questions'), fetchAuth('/api/quizzes')]);
+    bank = await bankResp.json();
+    quizzesList = await quizResp.json();
+    if (!bankResp.ok) throw new Error(bank.error);
+  } catch (err) {
+    console.error('Failed to load the question bank', err);
+    list.textContent = 'Failed to load the question bank.';
+    return;
+  }
+  const tags = [...new Set(bank.flatMap((q) => q.tags))].sort();
+  const selected = filter.value;
+  filter.innerHTML = '<option value="">All tags</option>';
+  tags.forEach((tag) => {
+    const opt = document.createElement('option');
+    opt.value = tag;
+    opt.textContent = `${tag} (${bank.filter((q) => q.tags.includes(tag)).length})`;
+    filter.appendChild(opt);
+  });
+  filter.value = tags.includes(selected) ? selected : '';
+  list.innerHTML = '';
+  const shown = bank.filter((q) => !filter.value || q.tags.includes(filter.value));
+  if (!shown.length) list.textContent = 'No questions yet.';
+  shown.forEach((q) => {
     const item = document.createElement('div');
     item.className = 'exam-item';
-    const title = document.createElement('h4');
-    title.textContent = exam.title;
     const meta = document.createElement('div');
     meta.className = 'meta';
-    meta.textContent = `Date: ${new Date(exam.date).toLocaleString()}`;
-    // Description parsed with Markdown and LaTeX support
-    const description = document.createElement('div');
-    const rawDesc = exam.description || '';
-    description.innerHTML = window.marked.parse(rawDesc);
-    // Render LaTeX if KaTeX is available
-    if (typeof window.renderMathInElement === 'function') {
-      try {
-        window.renderMathInElement(description, {
-          delimiters: [
-            { left: '$$', right: '$$', display: true },
-            { left: '$', right: '$', display: false },
-          ],
-        });
-      } catch (err) {
-        console.error('KaTeX rendering error in exam', err);
-      }
-    }
-    item.appendChild(title);
+    meta.textContent = `${QUIZ_QUESTION_TYPES[q.type]} · ${q.points} pt` + (q.tags.length ? ` · ${q.tags.join(', ')}` : ' · untagged');
     item.appendChild(meta);
-    if (rawDesc) item.appendChild(description);
-    // Admin-only delete button
-    if (currentUser && currentUser.role === 'admin') {
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'btn-red';
-      deleteBtn.textContent = 'Delete';
-      deleteBtn.style.marginTop = '0.5rem';
-      deleteBtn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        const ok = await sweetConfirm('Delete this exam notification?');
-        if (!ok) return;
-        const resp = await fetchAuth(`/api/exams/${exam.id}`, { method: 'DELETE' });
-        if (resp.ok) {
-          loadExams();
-        } else {
-          const msg = await resp.json();
-          alert(msg.error || 'Failed to delete exam');
+    item.appendChild(renderRichText(document.createElement('div'), q.prompt));
+    const edit = document.createElement('button');
+    edit.className = 'btn-grey';
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', async () => {
+      if (await openQuizQuestionEditor(q)) loadQuizAdmin();
+    });
+    const del = document.createElement('button');
+    del.className = 'btn-red';
+    del.style.marginLeft = '0.5rem';
+    del.textContent = 'Delete';
+    del.addEventListener('click', async () => {
+      const ok = await sweetConfirm('Delete this question? Attempts already started keep their copy.');
+      if (!ok) return;
+      const resp = await fetchAuth(`/api/quiz-questions/${q.id}`, { method: 'DELETE' });
+      if (resp.ok) {
+        loadQuizAdmin();
+      } else {
+        const msg = await resp.json();
+        alert(msg.error || 'Failed to delete question');
+      }
+    });
+    item.appendChild(edit);
+    item.appendChild(del);
+    list.appendChild(item);
+  });
+
+  quizList.innerHTML = '';
+  if (!quizzesList.length) quizList.textContent = 'No quizzes yet.';
+  quizzesList.forEach((quiz) => {
+    const row = document.createElement('div');
+    row.className = 'grading-queue-item';
+    row.textContent = quiz.title;
+    const status = document.createElement('span');
+    status.className = 'grading-queue-status';
+    status.textContent = quiz.pending ? `${quiz.pending} answer(s) to grade` : `${quiz.submitted} submitted`;
+    row.appendChild(status);
+    row.addEventListener('click', () => openQuizAdminPage(quiz.id));
+    quizList.appendChild(row);
+  });
+}
+
+/**
+ * Add or edit a bank question. Resolves to the saved question, or null if
+ * cancelled.
+ *
+ * @param {Object|null} question Question to edit, or null for a new one
+ */
+async function openQuizQuestionEditor(question) {
+  const q = question || { type: 'single', points: 1, tags: [], prompt: '', choices: [], correct: [] };
+  const choices = (q.choices || []).map((c) => ({ id: c.id, text: c.text, correct: (q.correct || []).includes(c.id) }));
+  while (choices.length < 2) choices.push({ text: '', correct: false });
+  const result = await Swal.fire({
+    title: question ? 'Edit Question' : 'Add Question',
+    width: 700,
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        <label>Type<select id="qbType">${Object.keys(QUIZ_QUESTION_TYPES).map((t) => `<option value="${t}">${QUIZ_QUESTION_TYPES[t]}</option>`).join('')}</select></label>
+        <label>Prompt (Markdown &amp; LaTeX)<textarea id="qbPrompt" rows="4"></textarea></label>
+        <div id="qbPreview" class="quiz-answer-preview"></div>
+        <div id="qbChoices"></div>
+        <div id="qbNumeric">
+          <label>Correct answer<input type="number" step="any" id="qbAnswer" /></label>
+          <label>Tolerance (±)<input type="number" min="0" step="any" id="qbTolerance" /></label>
+        </div>
+        <label id="qbSampleLabel">Sample answer for graders (optional)<textarea id="qbSample" rows="3"></textarea></label>
+        <label>Points<input type="number" min="0" step="any" id="qbPoints" /></label>
+        <label>Tags (comma-separated)<input type="text" id="qbTags" /></label>
+      </div>`,
+    didOpen: () => {
+      const type = document.getElementById('qbType');
+      const prompt = document.getElementById('qbPrompt');
+      const preview = document.getElementById('qbPreview');
+      const choiceBox = document.getElementById('qbChoices');
+      type.value = q.type;
+      prompt.value = q.prompt;
+      document.getElementById('qbAnswer').value = q.answer === undefined ? '' : q.answer;
+      document.getElementById('qbTolerance').value = q.tolerance === undefined ? '' : q.tolerance;
+      document.getElementById('qbSample').value = q.sampleAnswer || '';
+      document.getElementById('qbPoints').value = q.points;
+      document.getElementById('qbTags').value = q.tags.join(', ');
+      renderRichText(preview, prompt.value);
+      prompt.addEventListener('input', () => renderRichText(preview, prompt.value));
+      const renderChoices = () => {
+        choiceBox.innerHTML = '';
+        const hint = document.createElement('span');
+        hint.textContent = type.value === 'single' ? 'Choices (tick the correct one)' : 'Choices (tick every correct one)';
+        choiceBox.appendChild(hint);
+        choices.forEach((c, i) => {
+          const row = document.createElement('div');
+          row.className = 'rubric-edit-row';
+          const correct = document.createElement('input');
+          correct.type = type.value === 'single' ? 'radio' : 'checkbox';
+          correct.name = 'qbCorrect';
+          correct.checked = c.correct;
+          correct.addEventListener('change', () => {
+            if (type.value === 'single') choices.forEach((other) => { other.correct = false; });
+            c.correct = correct.checked;
+          });
+          const text = document.createElement('input');
+          text.type = 'text';
+          text.placeholder = `Choice ${i + 1}`;
+          text.value = c.text;
+          text.addEventListener('input', () => { c.text = text.value; });
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.className = 'btn-grey';
+          remove.textContent = '×';
+          remove.addEventListener('click', () => {
+            choices.splice(i, 1);
+            renderChoices();
+          });
+          row.appendChild(correct);
+          row.appendChild(text);
+          row.appendChild(remove);
+          choiceBox.appendChild(row);
+        });
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'btn-grey';
+        add.textContent = '+ Add Choice';
+        add.addEventListener('click', () => {
+          choices.push({ text: '', correct: false });
+          renderChoices();
+        });
+        choiceBox.appendChild(add);
+      };
+      const showFields = () => {
+        const t = type.value;
+        choiceBox.style.display = t === 'single' || t === 'multiple' ? '' : 'none';
+        document.getElementById('qbNumeric').style.display = t === 'numeric' ? '' : 'none';
+        document.getElementById('qbSampleLabel').style.display = t === 'short' ? '' : 'none';
+        renderChoices();
+      };
+      type.addEventListener('change', () => {
+        if (type.value === 'single') {
+          const first = choices.findIndex((c) => c.correct);
+          choices.forEach((c, i) => { c.correct = i === first; });
         }
+        showFields();
       });
-      item.appendChild(deleteBtn);
-    }
-    container.appendChild(item);
+      showFields();
+    },
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    confirmButtonColor: '#007aff',
+    preConfirm: async () => {
+      const body = {
+        type: document.getElementById('qbType').value,
+        prompt: document.getElementById('qbPrompt').value,
+        choices,
+        answer: document.getElementById('qbAnswer').value,
+        tolerance: document.getElementById('qbTolerance').value,
+        sampleAnswer: document.getElementById('qbSample').value,
+        points: document.getElementById('qbPoints').value,
+        tags: document.getElementById('qbTags').value,
+      };
+      const resp = await fetchAuth(question ? `/api/quiz-questions/${question.id}` : '/api/quiz-questions', {
+        method: question ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await resp.json();
+      if (!resp.ok) {
+        Swal.showValidationMessage(data.error || 'Failed to save the question');
+        return false;
+      }
+      return data;
+    },
+  });
+  return result.isConfirmed ? result.value : null;
+}
+
+/**
+ * Create or edit a quiz: schedule, time limit, gradebook category and the
+ * pools of tagged bank questions it draws from. Resolves to the saved quiz,
+ * or null if cancelled.
+ *
+ * @param {Object|null} quiz Quiz to edit, or null for a new one
+ */
+async function openQuizEditor(quiz) {
+  let bank;
+  let settings;
+  try {
+    const [bankResp, settingsResp] = await Promise.all([fetchAuth('/api/quiz-questions'), fetch('/api/gradebook/settings')]);
+    bank = await bankResp.json();
+    settings = await settingsResp.json();
+  } catch (err) {
+    console.error('Failed to load the question bank', err);
+    alert('Failed to load the question bank');
+    return null;
+  }
+  const tags = [...new Set(bank.flatMap((q) => q.tags))].sort();
+  if (!tags.length) {
+    alert('Add tagged questions to the question bank first.');
+    return null;
+  }
+  const q = quiz || { title: '', description: '', pools: [{ tag: tags[0], pick: null }], shuffleQuestions: true, shuffleChoices: true };
+  const pools = q.pools.map((p) => Object.assign({}, p));
+  const result = await Swal.fire({
+    title: quiz ? 'Edit Quiz' : 'Create Quiz',
+    width: 700,
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        <label>Title<input type="text" id="qzTitle" /></label>
+        <label>Instructions (Markdown &amp; LaTeX)<textarea id="qzDescription" rows="3"></textarea></label>
+        <label>Opens (empty = now)<input type="datetime-local" id="qzOpens" /></label>
+        <label>Closes (empty = never)<input type="datetime-local" id="qzCloses" /></label>
+        <label>Time limit in minutes (empty = none)<input type="number" min="1" step="any" id="qzLimit" /></label>
+        <label>Gradebook category<select id="qzCategory"></select></label>
+        <label class="checkbox-label"><input type="checkbox" id="qzShuffleQuestions" /> Shuffle question order per student</label>
+        <label class="checkbox-label"><input type="checkbox" id="qzShuffleChoices" /> Shuffle choices per student</label>
+        <div id="qzPools"></div>
+      </div>`,
+    didOpen: () => {
+      document.getElementById('qzTitle').value = q.title;
+      document.getElementById('qzDescription').value = q.description || '';
+      document.getElementById('qzOpens').value = toDateTimeLocal(q.opensAt);
+      document.getElementById('qzCloses').value = toDateTimeLocal(q.closesAt);
+      document.getElementById('qzLimit').value = q.timeLimitMinutes || '';
+      document.getElementById('qzShuffleQuestions').checked = !!q.shuffleQuestions;
+      document.getElementById('qzShuffleChoices').checked = !!q.shuffleChoices;
+      const category = document.getElementById('qzCategory');
+      [{ id: '', name: 'Uncategorized' }].concat(settings.categories).forEach((c) => {
+        const opt = document.createElement('option');
+        opt.value = c.id;
+        opt.textContent = c.name;
+        category.appendChild(opt);
+      });
+      category.value = q.categoryId || '';
+      const poolBox = document.getElementById('qzPools');
+      const renderPools = () => {
+        poolBox.innerHTML = '';
+        const hint = document.createElement('span');
+        hint.textContent = 'Questions: each student gets random questions from every pool (leave the count empty for all of them)';
+        poolBox.appendChild(hint);
+        pools.forEach((pool, i) => {
+          const row = document.createElement('div');
+          row.className = 'rubric-edit-row';
+          const pick = document.createElement('input');
+          pick.type = 'number';
+          pick.min = '1';
+          pick.placeholder = 'All';
+          pick.className = 'rubric-points-input';
+          pick.value = pool.pick === null || pool.pick === undefined ? '' : pool.pick;
+          pick.addEventListener('input', () => { pool.pick = pick.value === '' ? null : pick.value; });
+          const from = document.createElement('span');
+          from.textContent = 'from';
+          const tag = document.createElement('select');
+          tags.forEach((t) => {
+            const opt = document.createElement('option');
+            opt.value = t;
+            opt.textContent = `${t} (${bank.filter((b) => b.tags.includes(t)).length})`;
+            tag.appendChild(opt);
+          });
+          tag.value = pool.tag;
+          tag.addEventListener('change', () => { pool.tag = tag.value; });
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.className = 'btn-grey';
+          remove.textContent = '×';
+          remove.addEventListener('click', () => {
+            pools.splice(i, 1);
+            renderPools();
+          });
+          row.appendChild(pick);
+          row.appendChild(from);
+          row.appendChild(tag);
+          row.appendChild(remove);
+          poolBox.appendChild(row);
+        });
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'btn-grey';
+        add.textContent = '+ Add Pool';
+        add.addEventListener('click', () => {
+          pools.push({ tag: tags[0], pick: null });
+          renderPools();
+        });
+        poolBox.appendChild(add);
+      };
+      renderPools();
+    },
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    confirmButtonColor: '#007aff',
+    preConfirm: async () => {
+      const time = (id) => {
+        const value = document.getElementById(id).value;
+        return value ? new Date(value).toISOString() : null;
+      };
+      const body = {
+        title: document.getElementById('qzTitle').value,
+        description: document.getElementById('qzDescription').value,
+        opensAt: time('qzOpens'),
+        closesAt: time('qzCloses'),
+        timeLimitMinutes: document.getElementById('qzLimit').value,
+        categoryId: document.getElementById('qzCategory').value,
+        shuffleQuestions: document.getElementById('qzShuffleQuestions').checked,
+        shuffleChoices: document.getElementById('qzShuffleChoices').checked,
+        pools,
+      };
+      const resp = await fetchAuth(quiz ? `/api/quizzes/${quiz.id}` : '/api/quizzes', {
+        method: quiz ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await resp.json();
+      if (!resp.ok) {
+        Swal.showValidationMessage(data.error || 'Failed to save the quiz');
+        return false;
+      }
+      return data;
+    },
   });
+  return result.isConfirmed ? result.value : null;
 }
 
 /**
@@ -2338,7 +7226,11 @@ async function loadScores() {
   if (!container) return;
   container.innerHTML = '';
   try {
-    const res = await fetch('/api/stats');
+    const res = await fetchAuth('/api/stats');
+    if (!res.ok) {
+      container.textContent = 'Log in to see grade statistics.';
+      return;
+    }
     const stats = await res.json();
     if (!stats.length) {
       container.textContent = 'No assignments to display yet.';
@@ -2396,7 +7288,7 @@ async function loadMessages() {
     return;
   }
   try {
-    const res = await fetchAuth(`/api/messages?email=${encodeURIComponent(currentUser.email)}`);
+    const res = await fetchAuth('/api/messages');
     if (!res.ok) {
       throw new Error('Failed to fetch messages');
     }
@@ -2678,6 +7570,76 @@ async function loadStudentList() {
           }
         });
         row.appendChild(muteBtn);
+        if (u.approved) {
+          const sectionBtn = document.createElement('button');
+          sectionBtn.className = 'btn-grey';
+          sectionBtn.textContent = u.section ? `Section ${u.section}` : 'Set Section';
+          sectionBtn.style.marginLeft = '0.5rem';
+          sectionBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const result = await Swal.fire({
+              title: `Section of ${u.name}`,
+              input: 'text',
+              inputLabel: 'Roster section (empty for none)',
+              inputValue: u.section || '',
+              showCancelButton: true,
+              confirmButtonText: 'Save',
+              confirmButtonColor: '#007aff',
+            });
+            if (!result.isConfirmed) return;
+            const resp = await fetchAuth(`/api/students/${u.studentId}/section`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ section: result.value }),
+            });
+            if (resp.ok) {
+              loadStudentList();
+            } else {
+              const msg = await resp.json();
+              alert(msg.error || 'Failed to update section');
+            }
+          });
+          row.appendChild(sectionBtn);
+          const extBtn = document.createElement('button');
+          extBtn.className = 'btn-grey';
+          extBtn.textContent = 'Extension';
+          extBtn.style.marginLeft = '0.5rem';
+          extBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openExtensionDialog(u);
+          });
+          row.appendChild(extBtn);
+          const extraTimeBtn = document.createElement('button');
+          extraTimeBtn.className = 'btn-grey';
+          extraTimeBtn.textContent = u.extraTimePercent ? `Extra Time +${u.extraTimePercent}%` : 'Extra Time';
+          extraTimeBtn.style.marginLeft = '0.5rem';
+          extraTimeBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const result = await Swal.fire({
+              title: `Exam accommodation for ${u.name}`,
+              input: 'number',
+              inputLabel: 'Extra exam time in percent (0 for none)',
+              inputValue: u.extraTimePercent || 0,
+              inputAttributes: { min: '0', step: '5' },
+              showCancelButton: true,
+              confirmButtonText: 'Save',
+              confirmButtonColor: '#007aff',
+            });
+            if (!result.isConfirmed) return;
+            const resp = await fetchAuth(`/api/students/${u.studentId}/accommodation`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ extraTimePercent: result.value }),
+            });
+            if (resp.ok) {
+              loadStudentList();
+            } else {
+              const msg = await resp.json();
+              alert(msg.error || 'Failed to update accommodation');
+            }
+          });
+          row.appendChild(extraTimeBtn);
+        }
       }
       container.appendChild(row);
     });
@@ -2763,49 +7725,25 @@ async function loadTaCode() {
 }
 
 async function loadDiscussions() {
-  const res = await fetch('/api/forum');
+  if (!forumCategoryList) await loadForumCategories();
+  const res = await fetchAuth(forumListUrl({ filter: discussionFilter, category: discussionCategory }));
   const threads = await res.json();
   const container = document.getElementById('discussionList');
   if (!container) return;
   container.innerHTML = '';
   if (!threads.length) {
     const p = document.createElement('p');
-    p.textContent = 'No discussion threads yet.';
+    p.textContent = emptyThreadsMessage(discussionFilter) || (discussionCategory ? 'No threads in this category yet.' : 'No discussion threads yet.');
     container.appendChild(p);
     return;
   }
   threads.forEach((th) => {
-    const card = document.createElement('div');
-    card.className = 'thread-card';
-    const title = document.createElement('h4');
-    title.textContent = th.title;
-    const meta = document.createElement('div');
-    meta.className = 'meta';
-    const d = new Date(th.date);
-    // Build author string with TA label when applicable
-    let authorHTML = th.authorName;
-    if (th.authorRole === 'admin') {
-      authorHTML += ' <span class="author-label">TA</span>';
-    }
-    meta.innerHTML = `${authorHTML} • ${d.toLocaleString()} • ${th.commentCount} comments`;
-    if (th.archived) {
-      const archivedLabel = document.createElement('span');
-      archivedLabel.textContent = 'Archived';
-      archivedLabel.className = 'archived-label';
-      archivedLabel.style.marginLeft = '0.5rem';
-      meta.appendChild(archivedLabel);
-    }
-    card.appendChild(title);
-    card.appendChild(meta);
-    card.addEventListener('click', () => {
-      openThreadPage(th.id);
-    });
-    container.appendChild(card);
+    container.appendChild(buildThreadCard(th));
   });
 }
 
 async function openThreadModal(threadId) {
-  const res = await fetch(`/api/forum/${threadId}`);
+  const res = await fetchAuth(`/api/forum/${threadId}`);
   if (!res.ok) {
     alert('Thread not found');
     return;
@@ -2833,10 +7771,7 @@ async function openThreadModal(threadId) {
   meta.className = 'meta';
   const d = new Date(thread.date);
   // Construct author string with TA label when applicable
-  let authorHTML = thread.authorName;
-  if (thread.authorRole === 'admin') {
-    authorHTML += ' <span class="author-label">TA</span>';
-  }
+  const authorHTML = forumAuthorHTML(thread);
   meta.innerHTML = `${authorHTML} • ${d.toLocaleString()}`;
   if (thread.archived) {
     const arch = document.createElement('span');
@@ -2877,10 +7812,7 @@ async function openThreadModal(threadId) {
       authorLine.style.color = '#6e6e73';
       const dc = new Date(c.date);
       // Build author name with TA label for admin authors
-      let authHTML = c.authorName;
-      if (c.authorRole === 'admin') {
-        authHTML += ' <span class="author-label">TA</span>';
-      }
+      const authHTML = forumAuthorHTML(c);
       authorLine.innerHTML = `${authHTML} • ${dc.toLocaleString()}`;
       div.appendChild(authorLine);
       const cBody = document.createElement('div');
@@ -2935,12 +7867,7 @@ async function openThreadModal(threadId) {
       const resp = await fetchAuth(`/api/forum/${thread.id}/comments`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          content: contentValue,
-          authorName: currentUser.name,
-          authorEmail: currentUser.email,
-          authorRole: currentUser.role,
-        }),
+        body: JSON.stringify({ content: contentValue }),
       });
       if (resp.ok) {
         textarea.value = '';
@@ -2995,18 +7922,308 @@ async function openThreadModal(threadId) {
         const msg = await resp.json();
         alert(msg.error || 'Failed to delete thread');
       }
-    });
-    adminActions.appendChild(archiveBtn);
-    adminActions.appendChild(deleteBtn);
-    content.appendChild(adminActions);
+    });
+    adminActions.appendChild(archiveBtn);
+    adminActions.appendChild(deleteBtn);
+    content.appendChild(adminActions);
+  }
+  modal.classList.remove('hidden');
+}
+
+/**
+ * Pin or lock a thread, or undo it (`action` is 'pin' or 'lock'), then
+ * refresh the lists and the open thread page.
+ */
+async function toggleThreadFlag(threadId, action) {
+  const resp = await fetchAuth(`/api/forum/${threadId}/${action}`, { method: 'POST' });
+  if (!resp.ok) {
+    const msg = await resp.json().catch(() => ({}));
+    alert(msg.error || 'Failed to update the thread');
+    return;
+  }
+  loadDiscussions();
+  loadHomeThreads();
+  loadAdminThreads();
+  if (!document.getElementById('thread-page-section').classList.contains('hidden')) openThreadPage(threadId);
+}
+
+/**
+ * Make a private thread public, redacting its title, content and comments
+ * first, or make a public thread private again (TAs).
+ */
+async function changeThreadVisibility(thread) {
+  let body;
+  if (thread.visibility === 'staff') {
+    const result = await Swal.fire({
+      title: 'Make Thread Public',
+      html: '<p class="grading-queue-hint">Remove anything classmates should not see before publishing.</p><div id="swalRedactFields" class="redact-fields"></div>',
+      width: 700,
+      showCancelButton: true,
+      confirmButtonText: 'Make Public',
+      didOpen: () => {
+        const fields = document.getElementById('swalRedactFields');
+        const addField = (labelText, value, multiline) => {
+          const label = document.createElement('label');
+          label.textContent = labelText;
+          const input = document.createElement(multiline ? 'textarea' : 'input');
+          input.className = multiline ? 'swal2-textarea' : 'swal2-input';
+          input.value = value;
+          fields.appendChild(label);
+          fields.appendChild(input);
+          return input;
+        };
+        addField('Title', thread.title, false).id = 'swalRedactTitle';
+        addField('Content', thread.content, true).id = 'swalRedactContent';
+        thread.comments.forEach((c) => {
+          addField(`Reply by ${forumDisplayName(c)}`, c.content, true).dataset.commentId = c.id;
+        });
+      },
+      preConfirm: () => {
+        const title = document.getElementById('swalRedactTitle').value.trim();
+        const content = document.getElementById('swalRedactContent').value.trim();
+        const comments = Array.from(document.querySelectorAll('#swalRedactFields [data-comment-id]'))
+          .map((input) => ({ id: input.dataset.commentId, content: input.value.trim() }));
+        if (!title || !content || comments.some((c) => !c.content)) {
+          Swal.showValidationMessage('Fields cannot be empty; delete a reply instead');
+          return false;
+        }
+        return { visibility: 'everyone', title, content, comments };
+      },
+    });
+    if (!result.isConfirmed) return;
+    body = result.value;
+  } else {
+    if (!(await sweetConfirm('Make this thread visible to its author and the TAs only?'))) return;
+    body = { visibility: 'staff' };
+  }
+  const resp = await fetchAuth(`/api/forum/${thread.id}/visibility`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!resp.ok) {
+    const msg = await resp.json().catch(() => ({}));
+    Swal.fire({ icon: 'error', text: msg.error || 'Failed to change who can see the thread', confirmButtonColor: '#ff3b30' });
+    return;
+  }
+  loadDiscussions();
+  loadHomeThreads();
+  loadAdminThreads();
+  openThreadPage(thread.id);
+}
+
+/**
+ * Forum edit history: an "(edited)" marker opening the earlier versions of a
+ * thread or comment, each compared word by word with the one that replaced
+ * it.
+ */
+// Above this many token pairs, changed passages are shown whole
+const MAX_DIFF_CELLS = 2000000;
+
+function diffTokens(a, b) {
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  // Edits are usually small, so only compare what lies between the common
+  // beginning and end
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  a.slice(0, start).forEach((t) => push('same', t));
+  const oldPart = a.slice(start, endA);
+  const newPart = b.slice(start, endB);
+  const n = oldPart.length;
+  const m = newPart.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    oldPart.forEach((t) => push('removed', t));
+    newPart.forEach((t) => push('added', t));
+  } else {
+    // Longest common subsequence of the suffixes starting at i and j
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    const at = (i, j) => i * (m + 1) + j;
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[at(i, j)] = oldPart[i] === newPart[j] ? lcs[at(i + 1, j + 1)] + 1 : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldPart[i] === newPart[j]) {
+        push('same', oldPart[i]);
+        i++;
+        j++;
+      } else if (lcs[at(i + 1, j)] >= lcs[at(i, j + 1)]) {
+        push('removed', oldPart[i++]);
+      } else {
+        push('added', newPart[j++]);
+      }
+    }
+    while (i < n) push('removed', oldPart[i++]);
+    while (j < m) push('added', newPart[j++]);
+  }
+  a.slice(endA).forEach((t) => push('same', t));
+  return parts;
+}
+
+/**
+ * Word-level differences between two texts, as { type: 'same' | 'added' |
+ * 'removed', text } parts.
+ */
+function diffText(before, after) {
+  const words = (text) => String(text || '').match(/\s+|\S+/g) || [];
+  return diffTokens(words(before), words(after));
+}
+
+function renderDiff(before, after) {
+  const box = document.createElement('div');
+  box.className = 'revision-diff';
+  diffText(before, after).forEach((part) => {
+    const el = document.createElement(part.type === 'added' ? 'ins' : part.type === 'removed' ? 'del' : 'span');
+    el.textContent = part.text;
+    box.appendChild(el);
+  });
+  return box;
+}
+
+function revisionEditorName(revision, post) {
+  if (revision.editorName) return revision.editorRole === 'admin' ? `${revision.editorName} (TA)` : revision.editorName;
+  return revision.byAuthor ? forumDisplayName(post) : 'A TA';
+}
+
+/**
+ * Show every edit of a thread or comment, newest first.
+ */
+function showRevisions(post) {
+  Swal.fire({
+    title: 'Edit History',
+    html: '<div id="swalRevisions" class="revision-list"></div>',
+    width: 700,
+    confirmButtonText: 'Close',
+    didOpen: () => {
+      const list = document.getElementById('swalRevisions');
+      for (let i = post.revisions.length - 1; i >= 0; i--) {
+        const older = post.revisions[i];
+        const newer = post.revisions[i + 1] || post;
+        const item = document.createElement('div');
+        item.className = 'revision-item';
+        const heading = document.createElement('div');
+        heading.className = 'revision-meta';
+        heading.textContent = `Edited by ${revisionEditorName(older, post)} • ${new Date(older.editedAt).toLocaleString()}`;
+        item.appendChild(heading);
+        if (older.title !== undefined && older.title !== newer.title) {
+          const titleDiff = renderDiff(older.title, newer.title);
+          titleDiff.classList.add('revision-title');
+          item.appendChild(titleDiff);
+        }
+        if (older.content !== newer.content) item.appendChild(renderDiff(older.content, newer.content));
+        list.appendChild(item);
+      }
+      const original = document.createElement('div');
+      original.className = 'revision-meta';
+      original.textContent = `Originally posted ${new Date(post.date).toLocaleString()}`;
+      list.appendChild(original);
+    },
+  });
+}
+
+function editedMarker(post) {
+  const marker = document.createElement('button');
+  marker.type = 'button';
+  marker.className = 'edited-marker';
+  marker.textContent = '(edited)';
+  marker.title = `Last edited ${new Date(post.editedAt).toLocaleString()}; click to see the changes`;
+  marker.addEventListener('click', () => showRevisions(post));
+  return marker;
+}
+
+/**
+ * Edit a thread (when `comment` is omitted) or one of its comments, then
+ * reopen the thread.
+ */
+async function editForumPost(thread, comment) {
+  const post = comment || thread;
+  const result = await Swal.fire({
+    title: comment ? 'Edit Comment' : 'Edit Thread',
+    html: `${comment ? '' : '<input id="swalPostTitle" class="swal2-input" placeholder="Title">'}
+      <textarea id="swalPostContent" class="swal2-textarea" rows="8" placeholder="Markdown &amp; LaTeX"></textarea>`,
+    width: 700,
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    didOpen: () => {
+      if (!comment) document.getElementById('swalPostTitle').value = thread.title;
+      document.getElementById('swalPostContent').value = post.content;
+    },
+    preConfirm: () => {
+      const content = document.getElementById('swalPostContent').value.trim();
+      const title = comment ? undefined : document.getElementById('swalPostTitle').value.trim();
+      if (!content || title === '') {
+        Swal.showValidationMessage(comment ? 'The comment cannot be empty' : 'The thread needs a title and content');
+        return false;
+      }
+      return { title, content };
+    },
+  });
+  if (!result.isConfirmed) return;
+  const url = comment ? `/api/forum/${thread.id}/comments/${comment.id}` : `/api/forum/${thread.id}`;
+  const resp = await fetchAuth(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(result.value),
+  });
+  if (!resp.ok) {
+    const msg = await resp.json().catch(() => ({}));
+    Swal.fire({ icon: 'error', text: msg.error || 'Failed to save the edit', confirmButtonColor: '#ff3b30' });
+    return;
   }
-  modal.classList.remove('hidden');
+  if (!comment) {
+    loadDiscussions();
+    loadHomeThreads();
+  }
+  openThreadPage(thread.id);
+}
+
+/**
+ * Select moving a thread to another category (TAs). `onMoved` runs once the
+ * move is saved.
+ */
+function threadCategoryPicker(thread, onMoved) {
+  const select = document.createElement('select');
+  select.className = 'thread-category-picker';
+  select.title = 'Category';
+  fillCategorySelect(select, thread.categoryId);
+  select.addEventListener('click', (e) => e.stopPropagation());
+  select.addEventListener('change', async () => {
+    const resp = await fetchAuth(`/api/forum/${thread.id}/category`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ categoryId: select.value || null }),
+    });
+    if (resp.ok) {
+      loadDiscussions();
+      loadAdminThreads();
+      if (onMoved) onMoved();
+    } else {
+      const msg = await resp.json().catch(() => ({}));
+      alert(msg.error || 'Failed to move the thread');
+    }
+  });
+  return select;
 }
 
 async function loadAdminThreads() {
   const adminList = document.getElementById('adminThreadList');
   if (!adminList) return;
-  const res = await fetch('/api/forum?includeArchived=true');
+  if (!forumCategoryList) await loadForumCategories();
+  const res = await fetchAuth(forumListUrl({ includeArchived: true, category: adminThreadCategory }));
   const threads = await res.json();
   adminList.innerHTML = '';
   if (!threads.length) {
@@ -3027,6 +8244,7 @@ async function loadAdminThreads() {
     }
     const info = document.createElement('div');
     info.innerHTML = `<strong>${th.title}</strong> <span style="font-size:0.8rem;color:#6e6e73;">(${new Date(th.date).toLocaleString()})</span> - ${th.commentCount} comments`;
+    info.appendChild(threadStatusLabels(th));
     row.appendChild(info);
     const actions = document.createElement('div');
     // Open button – blue for navigation
@@ -3065,7 +8283,20 @@ async function loadAdminThreads() {
         alert(msg.error || 'Failed to delete');
       }
     });
+    const pin = document.createElement('button');
+    pin.className = 'btn-grey';
+    pin.textContent = th.pinned ? 'Unpin' : 'Pin';
+    pin.style.marginLeft = '0.5rem';
+    pin.addEventListener('click', () => toggleThreadFlag(th.id, 'pin'));
+    const lock = document.createElement('button');
+    lock.className = 'btn-grey';
+    lock.textContent = th.locked ? 'Unlock' : 'Lock';
+    lock.style.marginLeft = '0.5rem';
+    lock.addEventListener('click', () => toggleThreadFlag(th.id, 'lock'));
+    actions.appendChild(threadCategoryPicker(th));
     actions.appendChild(openBtn);
+    actions.appendChild(pin);
+    actions.appendChild(lock);
     actions.appendChild(archive);
     actions.appendChild(del);
     row.appendChild(actions);
@@ -3093,7 +8324,7 @@ async function openGradeModal(assignment) {
   header.appendChild(closeBtn);
   content.appendChild(header);
   // Fetch submissions
-  const res = await fetch(`/api/assignments/${assignment.id}/submissions`);
+  const res = await fetchAuth(`/api/assignments/${assignment.id}/submissions`);
   const subs = await res.json();
   if (!subs.length) {
     const p = document.createElement('p');
@@ -3102,8 +8333,8 @@ async function openGradeModal(assignment) {
     return;
   }
   // Split submissions into ungraded and graded lists
-  const ungradedSubs = subs.filter((s) => !s.graded);
-  const gradedSubs = subs.filter((s) => s.graded);
+  const ungradedSubs = subs.filter((s) => !s.graded || s.needsRegrading);
+  const gradedSubs = subs.filter((s) => s.graded && !s.needsRegrading);
   // Sort ungraded by submission time ascending so the oldest appear first for grading
   ungradedSubs.sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
   // Sort graded by submission time descending (most recent graded first)
@@ -3116,10 +8347,7 @@ async function openGradeModal(assignment) {
     div.style.backgroundColor = '#f9f9fa';
     div.style.borderRadius = '8px';
     const info = document.createElement('div');
-    let extra = '';
-    if (sub.studentID) extra += ` (ID: ${sub.studentID})`;
-    if (sub.studentNameZh) extra += ` ${sub.studentNameZh}`;
-    info.innerHTML = `<strong>${sub.studentName}${extra}</strong> &lt;${sub.studentEmail}&gt;`;
+    info.innerHTML = submitterHtml(sub);
     div.appendChild(info);
     const meta = document.createElement('div');
     meta.style.fontSize = '0.8rem';
@@ -3159,57 +8387,589 @@ async function openGradeModal(assignment) {
         // Use dedicated grading page instead of modal
         openGradeSubmissionPage(assignment, sub);
       });
-      buttonsRow.appendChild(regradeBtn);
-      gradeContainer.appendChild(buttonsRow);
-      div.appendChild(gradeContainer);
+      buttonsRow.appendChild(regradeBtn);
+      gradeContainer.appendChild(buttonsRow);
+      div.appendChild(gradeContainer);
+    } else {
+      const gradeBtn = document.createElement('button');
+      gradeBtn.className = 'btn-yellow';
+      gradeBtn.textContent = 'Grade';
+      gradeBtn.style.marginTop = '0.5rem';
+      gradeBtn.addEventListener('click', () => {
+        // Use dedicated grading page instead of modal
+        openGradeSubmissionPage(assignment, sub);
+      });
+      div.appendChild(gradeBtn);
+    }
+    return div;
+  }
+  // Clear existing content (except header and close button) before adding lists
+  // Remove any leftover elements from prior modal use beyond the header
+  const existing = Array.from(content.querySelectorAll(':scope > :not(.modal-header)'));
+  existing.forEach((el) => el.remove());
+  // Render ungraded submissions section
+  if (ungradedSubs.length) {
+    const ungradedHeader = document.createElement('h4');
+    ungradedHeader.textContent = 'Ungraded Submissions';
+    ungradedHeader.style.marginTop = '1rem';
+    content.appendChild(ungradedHeader);
+    ungradedSubs.forEach((sub) => {
+      content.appendChild(renderSubmission(sub));
+    });
+  }
+  // Render graded submissions section
+  if (gradedSubs.length) {
+    const gradedHeader = document.createElement('h4');
+    gradedHeader.textContent = 'Graded Submissions';
+    gradedHeader.style.marginTop = ungradedSubs.length ? '1rem' : '0';
+    content.appendChild(gradedHeader);
+    gradedSubs.forEach((sub) => {
+      content.appendChild(renderSubmission(sub));
+    });
+  }
+}
+
+function openGradingInterface(assignment, submission) {
+  const modal = document.getElementById('gradeModal');
+  const content = document.getElementById('gradeModalContent');
+  content.innerHTML = '';
+  // Header with close button
+  const header = document.createElement('div');
+  header.className = 'modal-header';
+  const h = document.createElement('h3');
+  h.textContent = `Grading – ${submission.studentName}`;
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'modal-close';
+  closeBtn.innerHTML = '&times;';
+  closeBtn.addEventListener('click', () => {
+    modal.classList.add('hidden');
+  });
+  header.appendChild(h);
+  header.appendChild(closeBtn);
+  content.appendChild(header);
+  // PDF viewer and controls using pdf.js for multi‑page and zoom support
+  // Controls container for pagination and zoom
+  const controls = document.createElement('div');
+  controls.className = 'pdf-viewer-controls';
+  const prevBtn = document.createElement('button');
+  prevBtn.textContent = 'Prev';
+  const nextBtn = document.createElement('button');
+  nextBtn.textContent = 'Next';
+  const zoomOutBtn = document.createElement('button');
+  zoomOutBtn.textContent = '–';
+  const zoomInBtn = document.createElement('button');
+  zoomInBtn.textContent = '+';
+  const pageInfo = document.createElement('span');
+  pageInfo.className = 'page-info';
+  controls.appendChild(prevBtn);
+  controls.appendChild(nextBtn);
+  controls.appendChild(zoomOutBtn);
+  controls.appendChild(zoomInBtn);
+  controls.appendChild(pageInfo);
+  content.appendChild(controls);
+  // Container for PDF rendering
+  const pdfContainer = document.createElement('div');
+  pdfContainer.className = 'pdf-container';
+  // Canvas for PDF page
+  const pdfCanvas = document.createElement('canvas');
+  pdfCanvas.id = 'pdfCanvas';
+  // Canvas for annotations (overlay)
+  const annotationCanvas = document.createElement('canvas');
+  annotationCanvas.className = 'pdf-annotation-canvas';
+  pdfContainer.appendChild(pdfCanvas);
+  pdfContainer.appendChild(annotationCanvas);
+  // Vector annotations per page, restored from any earlier grading session
+  const annotations = createAnnotationLayer(annotationCanvas, submission.annotations);
+  content.appendChild(buildAnnotationToolbar(annotations).element);
+  content.appendChild(pdfContainer);
+  let pdfDoc = null;
+  let currentPage = 1;
+  let scale = 1.0;
+  // Render a specific page
+  function renderPage(num) {
+    if (!pdfDoc) return;
+    pdfDoc.getPage(num).then((page) => {
+      const viewport = page.getViewport({ scale });
+      const ctx = pdfCanvas.getContext('2d');
+      pdfCanvas.height = viewport.height;
+      pdfCanvas.width = viewport.width;
+      pdfContainer.style.height = viewport.height + 'px';
+      // Render PDF page
+      page.render({ canvasContext: ctx, viewport });
+      // Match annotation canvas dimensions and draw this page's annotations
+      annotationCanvas.width = viewport.width;
+      annotationCanvas.height = viewport.height;
+      annotations.showPage(num, scale);
+      pageInfo.textContent = `Page ${currentPage} / ${pdfDoc.numPages}`;
+    });
+  }
+  // Load the PDF document via pdf.js
+  function loadDocument() {
+    let fileUrl = submission.filePath;
+    fileUrl = fileUrl.replace(/.*uploads\//, 'uploads/').replace(/\\/g, '/');
+    const url = '/' + fileUrl;
+    pdfjsLib.getDocument(url).promise.then((doc) => {
+      pdfDoc = doc;
+      currentPage = 1;
+      scale = 1.0;
+      renderPage(currentPage);
+    });
+  }
+  // Navigation controls
+  prevBtn.addEventListener('click', () => {
+    if (!pdfDoc || currentPage <= 1) return;
+    currentPage--;
+    renderPage(currentPage);
+  });
+  nextBtn.addEventListener('click', () => {
+    if (!pdfDoc || currentPage >= pdfDoc.numPages) return;
+    currentPage++;
+    renderPage(currentPage);
+  });
+  zoomOutBtn.addEventListener('click', () => {
+    if (scale > 0.5) {
+      scale = Math.max(0.5, parseFloat((scale - 0.1).toFixed(2)));
+      renderPage(currentPage);
+    }
+  });
+  zoomInBtn.addEventListener('click', () => {
+    if (scale < 2.5) {
+      scale = Math.min(2.5, parseFloat((scale + 0.1).toFixed(2)));
+      renderPage(currentPage);
+    }
+  });
+  // Initialize pdf.js worker and load document
+  if (window.pdfjsLib) {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
+    loadDocument();
+  }
+  // Grade form
+  const form = document.createElement('div');
+  form.className = 'grade-form';
+  const gradeLabel = document.createElement('label');
+  gradeLabel.textContent = 'Grade (score):';
+  const gradeInput = document.createElement('input');
+  gradeInput.type = 'number';
+  gradeInput.min = '0';
+  gradeInput.max = '100';
+  gradeInput.value = submission.grade || '';
+  const commentLabel = document.createElement('label');
+  commentLabel.textContent = 'Comments:';
+  const commentInput = document.createElement('textarea');
+  commentInput.value = submission.comments || '';
+  // With a rubric the grade is computed from the selected levels
+  let rubricScores = submission.rubricScores || {};
+  if (assignment.rubric) {
+    gradeLabel.textContent = 'Grade (computed from rubric):';
+    gradeInput.readOnly = true;
+    form.appendChild(buildRubricGrader(assignment.rubric, rubricScores, (scores) => {
+      rubricScores = scores;
+      gradeInput.value = rubricTotals(assignment.rubric, scores).grade;
+    }));
+  }
+  const submitBtn = document.createElement('button');
+  submitBtn.textContent = 'Submit Grade';
+  submitBtn.className = 'btn-blue';
+  submitBtn.addEventListener('click', async () => {
+    if (assignment.rubric && !rubricTotals(assignment.rubric, rubricScores).complete) {
+      alert('Select a level for every rubric criterion.');
+      return;
+    }
+    const gradeValue = gradeInput.value;
+    const comments = commentInput.value;
+    const formData = new FormData();
+    formData.append('grade', gradeValue);
+    formData.append('comments', comments);
+    if (assignment.rubric) formData.append('rubricScores', JSON.stringify(rubricScores));
+    formData.append('annotations', JSON.stringify(annotations.toJSON()));
+    const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${submission.id}/grade`, {
+      method: 'POST',
+      body: formData,
+    });
+    if (resp.ok) {
+      alert('Grade submitted');
+      modal.classList.add('hidden');
+      loadAssignments();
+    } else {
+      const msg = await resp.json();
+      alert(msg.error || 'Failed to submit grade');
+    }
+  });
+  form.appendChild(gradeLabel);
+  form.appendChild(gradeInput);
+  form.appendChild(commentLabel);
+  form.appendChild(commentInput);
+  form.appendChild(submitBtn);
+  content.appendChild(form);
+  // Expose this grading interface globally. Without explicitly assigning
+  // to window, references in dynamically created event handlers (e.g.,
+  // assignment grading pages) may not resolve correctly, leading to
+  // unresponsive Grade/Regrade buttons. Assigning here ensures the
+  // function is available on the global object for later callbacks.
+  window.openGradingInterface = openGradingInterface;
+}
+
+// Expose the grading interface on the global object immediately after
+// definition. If we only assign it inside the function, it is not
+// available the first time a Grade/Regrade button is clicked. Setting
+// it here ensures that dynamically created event handlers can call
+// openGradingInterface even before the modal has been opened once.
+window.openGradingInterface = openGradingInterface;
+
+/**
+ * Vector annotation layer drawn on a canvas overlaid on a pdf.js page.
+ *
+ * Shapes are kept per page in PDF points (top-left origin, i.e. pdf.js
+ * coordinates at scale 1), so they survive page navigation and zooming and
+ * can be flattened onto the PDF by the server (see server/annotations.js for
+ * the shape format). Each page has its own undo/redo history.
+ *
+ * @param {HTMLCanvasElement} canvas Overlay canvas sized like the page canvas
+ * @param {Object} [initial] Previously saved annotations ({ pages: {...} })
+ */
+function createAnnotationLayer(canvas, initial) {
+  const ctx = canvas.getContext('2d');
+  const pages = {};
+  if (initial && initial.pages) {
+    Object.keys(initial.pages).forEach((key) => {
+      pages[key] = initial.pages[key].slice();
+    });
+  }
+  const history = {};
+  const state = { page: 1, scale: 1, tool: 'pen', color: '#ff3b30' };
+  let current = null;
+  let onChange = null;
+
+  function pageShapes(num) {
+    const key = String(num || state.page);
+    if (!pages[key]) pages[key] = [];
+    return pages[key];
+  }
+  function pageHistory() {
+    const key = String(state.page);
+    if (!history[key]) history[key] = { undo: [], redo: [] };
+    return history[key];
+  }
+  // Apply an operation and record it so it can be undone
+  function apply(op) {
+    doOp(op);
+    const h = pageHistory();
+    h.undo.push(op);
+    h.redo = [];
+    changed();
+  }
+  function doOp(op) {
+    const shapes = pageShapes();
+    if (op.type === 'add') {
+      shapes.push(op.shape);
+    } else if (op.type === 'remove') {
+      shapes.splice(op.index, 1);
+    } else if (op.type === 'clear') {
+      shapes.length = 0;
+    }
+  }
+  function undoOp(op) {
+    const shapes = pageShapes();
+    if (op.type === 'add') {
+      shapes.splice(shapes.lastIndexOf(op.shape), 1);
+    } else if (op.type === 'remove') {
+      shapes.splice(op.index, 0, op.shape);
+    } else if (op.type === 'clear') {
+      shapes.push(...op.shapes);
+    }
+  }
+  function changed() {
+    render();
+    if (onChange) onChange();
+  }
+
+  function drawShape(shape) {
+    const s = state.scale;
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    if (shape.type === 'pen' || shape.type === 'highlighter') {
+      ctx.strokeStyle = shape.color;
+      ctx.lineWidth = shape.width * s;
+      if (shape.type === 'highlighter') ctx.globalAlpha = 0.35;
+      ctx.beginPath();
+      shape.points.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p[0] * s, p[1] * s);
+        else ctx.lineTo(p[0] * s, p[1] * s);
+      });
+      if (shape.points.length === 1) ctx.lineTo(shape.points[0][0] * s, shape.points[0][1] * s);
+      ctx.stroke();
+    } else if (shape.type === 'text') {
+      ctx.fillStyle = shape.color;
+      ctx.font = `${shape.size * s}px Helvetica, Arial, sans-serif`;
+      ctx.textBaseline = 'alphabetic';
+      shape.text.split('\n').forEach((line, i) => {
+        ctx.fillText(line, shape.x * s, (shape.y + shape.size * (0.8 + i * 1.2)) * s);
+      });
+    } else {
+      // Stamp geometry must match drawShape() in server/annotations.js
+      const size = shape.size;
+      const at = (dx, dy) => [(shape.x + dx * size) * s, (shape.y + dy * size) * s];
+      ctx.strokeStyle = shape.type === 'check' ? '#34c759' : '#ff3b30';
+      ctx.lineWidth = Math.max(size / 8, 1.5) * s;
+      ctx.lineJoin = 'miter';
+      ctx.beginPath();
+      const segments = shape.type === 'check'
+        ? [[at(-0.45, 0), at(-0.15, 0.35), at(0.45, -0.4)]]
+        : [[at(-0.4, -0.4), at(0.4, 0.4)], [at(-0.4, 0.4), at(0.4, -0.4)]];
+      segments.forEach((seg) => {
+        ctx.moveTo(seg[0][0], seg[0][1]);
+        seg.slice(1).forEach((p) => ctx.lineTo(p[0], p[1]));
+      });
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  function render() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    pageShapes().forEach(drawShape);
+    if (current) drawShape(current);
+  }
+
+  // Distance from point p to segment a-b, all in page points
+  function segmentDistance(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const len = dx * dx + dy * dy;
+    let t = len ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+  }
+  function hitTest(shape, p, tolerance) {
+    if (shape.type === 'pen' || shape.type === 'highlighter') {
+      const reach = tolerance + shape.width / 2;
+      if (shape.points.length === 1) return segmentDistance(p, shape.points[0], shape.points[0]) <= reach;
+      for (let i = 1; i < shape.points.length; i++) {
+        if (segmentDistance(p, shape.points[i - 1], shape.points[i]) <= reach) return true;
+      }
+      return false;
+    }
+    if (shape.type === 'text') {
+      const lines = shape.text.split('\n');
+      ctx.save();
+      ctx.font = `${shape.size}px Helvetica, Arial, sans-serif`;
+      const width = Math.max(...lines.map((l) => ctx.measureText(l).width));
+      ctx.restore();
+      const height = shape.size * (1 + (lines.length - 1) * 1.2);
+      return p[0] >= shape.x - tolerance && p[0] <= shape.x + width + tolerance &&
+        p[1] >= shape.y - tolerance && p[1] <= shape.y + height + tolerance;
+    }
+    return Math.abs(p[0] - shape.x) <= shape.size / 2 + tolerance &&
+      Math.abs(p[1] - shape.y) <= shape.size / 2 + tolerance;
+  }
+  function eraseAt(p) {
+    const shapes = pageShapes();
+    for (let i = shapes.length - 1; i >= 0; i--) {
+      if (hitTest(shapes[i], p, 4 / state.scale)) {
+        apply({ type: 'remove', index: i, shape: shapes[i] });
+        return;
+      }
+    }
+  }
+
+  function pointFromEvent(e) {
+    const rect = canvas.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
+    const y = ((e.clientY - rect.top) / rect.height) * canvas.height;
+    return [Math.round((x / state.scale) * 10) / 10, Math.round((y / state.scale) * 10) / 10];
+  }
+
+  async function addText(p) {
+    let text = null;
+    if (window.Swal) {
+      const result = await Swal.fire({
+        title: 'Add text',
+        input: 'textarea',
+        showCancelButton: true,
+        confirmButtonColor: '#007aff',
+      });
+      text = result.isConfirmed ? result.value : null;
     } else {
-      const gradeBtn = document.createElement('button');
-      gradeBtn.className = 'btn-yellow';
-      gradeBtn.textContent = 'Grade';
-      gradeBtn.style.marginTop = '0.5rem';
-      gradeBtn.addEventListener('click', () => {
-        // Use dedicated grading page instead of modal
-        openGradeSubmissionPage(assignment, sub);
-      });
-      div.appendChild(gradeBtn);
+      text = window.prompt('Add text');
     }
-    return div;
+    if (!text || !text.trim()) return;
+    apply({ type: 'add', shape: { type: 'text', x: p[0], y: p[1], size: 14, color: state.color, text } });
   }
-  // Clear existing content (except header and close button) before adding lists
-  // Remove any leftover elements from prior modal use beyond the header
-  const existing = Array.from(content.querySelectorAll(':scope > :not(.modal-header)'));
-  existing.forEach((el) => el.remove());
-  // Render ungraded submissions section
-  if (ungradedSubs.length) {
-    const ungradedHeader = document.createElement('h4');
-    ungradedHeader.textContent = 'Ungraded Submissions';
-    ungradedHeader.style.marginTop = '1rem';
-    content.appendChild(ungradedHeader);
-    ungradedSubs.forEach((sub) => {
-      content.appendChild(renderSubmission(sub));
+
+  canvas.style.touchAction = 'none';
+  canvas.addEventListener('pointerdown', (e) => {
+    const p = pointFromEvent(e);
+    if (state.tool === 'pen' || state.tool === 'highlighter') {
+      canvas.setPointerCapture(e.pointerId);
+      current = state.tool === 'pen'
+        ? { type: 'pen', color: state.color, width: 2, points: [p] }
+        : { type: 'highlighter', color: '#ffcc00', width: 12, points: [p] };
+      render();
+    } else if (state.tool === 'eraser') {
+      canvas.setPointerCapture(e.pointerId);
+      current = null;
+      state.erasing = true;
+      eraseAt(p);
+    } else if (state.tool === 'text') {
+      addText(p);
+    } else if (state.tool === 'check' || state.tool === 'cross') {
+      apply({ type: 'add', shape: { type: state.tool, x: p[0], y: p[1], size: 24 } });
+    }
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (current) {
+      e.preventDefault();
+      current.points.push(pointFromEvent(e));
+      render();
+    } else if (state.erasing) {
+      eraseAt(pointFromEvent(e));
+    }
+  });
+  const finish = () => {
+    state.erasing = false;
+    if (!current) return;
+    const shape = current;
+    current = null;
+    apply({ type: 'add', shape });
+  };
+  canvas.addEventListener('pointerup', finish);
+  canvas.addEventListener('pointercancel', finish);
+
+  return {
+    /** Show the annotations of a page; call after sizing the canvas. */
+    showPage(num, scale) {
+      state.page = num;
+      state.scale = scale;
+      current = null;
+      changed();
+    },
+    setTool(tool) {
+      state.tool = tool;
+    },
+    getTool() {
+      return state.tool;
+    },
+    setColor(color) {
+      state.color = color;
+    },
+    undo() {
+      const h = pageHistory();
+      const op = h.undo.pop();
+      if (!op) return;
+      undoOp(op);
+      h.redo.push(op);
+      changed();
+    },
+    redo() {
+      const h = pageHistory();
+      const op = h.redo.pop();
+      if (!op) return;
+      doOp(op);
+      h.undo.push(op);
+      changed();
+    },
+    clearPage() {
+      const shapes = pageShapes();
+      if (!shapes.length) return;
+      apply({ type: 'clear', shapes: shapes.slice() });
+    },
+    canUndo() {
+      return pageHistory().undo.length > 0;
+    },
+    canRedo() {
+      return pageHistory().redo.length > 0;
+    },
+    onChange(fn) {
+      onChange = fn;
+    },
+    /** Serializable annotations of every page, as stored on the submission. */
+    toJSON() {
+      const out = {};
+      Object.keys(pages).forEach((key) => {
+        if (pages[key].length) out[key] = pages[key];
+      });
+      return { version: 1, pages: out };
+    },
+  };
+}
+
+/**
+ * Build the tool bar (tools, colour, undo/redo, clear page) for an
+ * annotation layer created by createAnnotationLayer().
+ */
+function buildAnnotationToolbar(layer) {
+  const bar = document.createElement('div');
+  bar.className = 'pdf-viewer-controls annotation-toolbar';
+  const tools = [
+    ['pen', 'Pen'],
+    ['highlighter', 'Highlighter'],
+    ['text', 'Text'],
+    ['check', '✓'],
+    ['cross', '✗'],
+    ['eraser', 'Eraser'],
+  ];
+  const toolButtons = {};
+  function refresh() {
+    Object.keys(toolButtons).forEach((tool) => {
+      toolButtons[tool].classList.toggle('active', layer.getTool() === tool);
     });
+    undoBtn.disabled = !layer.canUndo();
+    redoBtn.disabled = !layer.canRedo();
   }
-  // Render graded submissions section
-  if (gradedSubs.length) {
-    const gradedHeader = document.createElement('h4');
-    gradedHeader.textContent = 'Graded Submissions';
-    gradedHeader.style.marginTop = ungradedSubs.length ? '1rem' : '0';
-    content.appendChild(gradedHeader);
-    gradedSubs.forEach((sub) => {
-      content.appendChild(renderSubmission(sub));
+  tools.forEach(([tool, label]) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    btn.title = tool.charAt(0).toUpperCase() + tool.slice(1);
+    btn.addEventListener('click', () => {
+      layer.setTool(tool);
+      refresh();
     });
-  }
+    toolButtons[tool] = btn;
+    bar.appendChild(btn);
+  });
+  const colorInput = document.createElement('input');
+  colorInput.type = 'color';
+  colorInput.value = '#ff3b30';
+  colorInput.title = 'Pen and text colour';
+  colorInput.addEventListener('input', () => layer.setColor(colorInput.value));
+  bar.appendChild(colorInput);
+  const undoBtn = document.createElement('button');
+  undoBtn.type = 'button';
+  undoBtn.textContent = 'Undo';
+  undoBtn.addEventListener('click', () => layer.undo());
+  const redoBtn = document.createElement('button');
+  redoBtn.type = 'button';
+  redoBtn.textContent = 'Redo';
+  redoBtn.addEventListener('click', () => layer.redo());
+  const clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.textContent = 'Clear Page';
+  clearBtn.addEventListener('click', () => layer.clearPage());
+  bar.appendChild(undoBtn);
+  bar.appendChild(redoBtn);
+  bar.appendChild(clearBtn);
+  layer.onChange(refresh);
+  refresh();
+  return { element: bar, refresh };
 }
 
-function openGradingInterface(assignment, submission) {
-  const modal = document.getElementById('gradeModal');
-  const content = document.getElementById('gradeModalContent');
+//
+// Utility to preview any PDF using pdf.js in a modal. Provides pagination and zoom
+// controls similar to the assignment page. Used for resource previews and
+// discussion attachments.
+//
+function openPdfModal(url, title = 'PDF Preview') {
+  const modal = document.getElementById('pdfModal');
+  const content = document.getElementById('pdfModalContent');
+  if (!modal || !content) return;
   content.innerHTML = '';
-  // Header with close button
+  // Header with title and close button
   const header = document.createElement('div');
   header.className = 'modal-header';
   const h = document.createElement('h3');
-  h.textContent = `Grading – ${submission.studentName}`;
+  h.textContent = title;
   const closeBtn = document.createElement('button');
   closeBtn.className = 'modal-close';
   closeBtn.innerHTML = '&times;';
@@ -3219,8 +8979,7 @@ function openGradingInterface(assignment, submission) {
   header.appendChild(h);
   header.appendChild(closeBtn);
   content.appendChild(header);
-  // PDF viewer and controls using pdf.js for multi‑page and zoom support
-  // Controls container for pagination and zoom
+  // Controls for pagination and zoom
   const controls = document.createElement('div');
   controls.className = 'pdf-viewer-controls';
   const prevBtn = document.createElement('button');
@@ -3228,7 +8987,7 @@ function openGradingInterface(assignment, submission) {
   const nextBtn = document.createElement('button');
   nextBtn.textContent = 'Next';
   const zoomOutBtn = document.createElement('button');
-  zoomOutBtn.textContent = '–';
+  zoomOutBtn.textContent = '−';
   const zoomInBtn = document.createElement('button');
   zoomInBtn.textContent = '+';
   const pageInfo = document.createElement('span');
@@ -3239,43 +8998,170 @@ function openGradingInterface(assignment, submission) {
   controls.appendChild(zoomInBtn);
   controls.appendChild(pageInfo);
   content.appendChild(controls);
-  // Container for PDF rendering
-  const pdfContainer = document.createElement('div');
-  pdfContainer.className = 'pdf-container';
-  // Canvas for PDF page
+  // Canvas container
+  const viewer = document.createElement('div');
+  viewer.className = 'pdf-container';
+  const canvasEl = document.createElement('canvas');
+  viewer.appendChild(canvasEl);
+  content.appendChild(viewer);
+  // pdf.js document and state
+  let doc = null;
+  let pageNum = 1;
+  let scale = 1.0;
+  async function renderPage(num) {
+    if (!doc) return;
+    const page = await doc.getPage(num);
+    const viewport = page.getViewport({ scale });
+    canvasEl.width = viewport.width;
+    canvasEl.height = viewport.height;
+    const ctx = canvasEl.getContext('2d');
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    pageInfo.textContent = `Page ${pageNum} / ${doc.numPages}`;
+  }
+  function updateControls() {
+    if (!doc) return;
+    prevBtn.disabled = pageNum <= 1;
+    nextBtn.disabled = pageNum >= doc.numPages;
+  }
+  if (window.pdfjsLib) {
+    pdfjsLib.getDocument(url).promise.then((d) => {
+      doc = d;
+      renderPage(pageNum);
+      updateControls();
+    }).catch((err) => {
+      console.error('Failed to load PDF', err);
+    });
+  }
+  prevBtn.addEventListener('click', () => {
+    if (pageNum > 1) {
+      pageNum--;
+      renderPage(pageNum);
+      updateControls();
+    }
+  });
+  nextBtn.addEventListener('click', () => {
+    if (doc && pageNum < doc.numPages) {
+      pageNum++;
+      renderPage(pageNum);
+      updateControls();
+    }
+  });
+  zoomInBtn.addEventListener('click', () => {
+    scale = Math.min(scale + 0.25, 2.0);
+    renderPage(pageNum);
+  });
+  zoomOutBtn.addEventListener('click', () => {
+    scale = Math.max(scale - 0.25, 0.5);
+    renderPage(pageNum);
+  });
+  modal.classList.remove('hidden');
+}
+
+/**
+ * Display a dedicated page for grading a single submission. This page shows
+ * the PDF with annotation capability, grade and comment inputs, and a
+ * submission form. After grading, the user is returned to the assignment
+ * grades page. The back button navigates back to the grades list without
+ * losing context.
+ *
+ * @param {Object} assignment
+ * @param {Object} submission
+ */
+async function openGradeSubmissionPage(assignment, submission, queue) {
+  // Navigate to the grade submission section
+  showSection('grade-submission-section');
+  gradingQueueNav = queue || null;
+  const openedAt = Date.now();
+  const backBtn = document.getElementById('backToGradesBtn');
+  backBtn.onclick = () => {
+    if (queue) queue.back();
+    else openAssignmentGradesPage(assignment);
+  };
+  // Update the page title
+  const titleEl = document.getElementById('gradeSubmissionTitle');
+  titleEl.textContent = `Grading – ${submission.studentName}`;
+  const container = document.getElementById('gradeSubmissionContent');
+  if (!container) return;
+  container.innerHTML = '';
+  const afterSave = () => {
+    if (queue) queue.afterSave();
+    else openAssignmentGradesPage(assignment);
+  };
+  if (queue) {
+    const nav = document.createElement('div');
+    nav.className = 'grading-queue-nav';
+    const prev = document.createElement('button');
+    prev.className = 'btn-grey';
+    prev.textContent = '← Previous (P)';
+    prev.disabled = !queue.previous;
+    prev.addEventListener('click', () => queue.previous());
+    const position = document.createElement('span');
+    position.textContent = `Queue ${queue.position}`;
+    const next = document.createElement('button');
+    next.className = 'btn-grey';
+    next.textContent = 'Next (N) →';
+    next.disabled = !queue.next;
+    next.addEventListener('click', () => queue.next());
+    nav.appendChild(prev);
+    nav.appendChild(position);
+    nav.appendChild(next);
+    container.appendChild(nav);
+  }
+  // Provide a link to download the student's original submission PDF. This
+  // enables TAs to download the file for offline review if desired. We
+  // convert the stored file path into a relative URL and create an anchor.
+  if (submission.filePath) {
+    const downloadDiv = document.createElement('div');
+    downloadDiv.style.marginBottom = '1rem';
+    const fileRel = submission.filePath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+    const a = document.createElement('a');
+    a.href = '/' + fileRel;
+    a.textContent = 'Download Submission PDF';
+    a.target = '_blank';
+    a.className = 'btn-green';
+    downloadDiv.appendChild(a);
+    container.appendChild(downloadDiv);
+  }
+  // Controls for PDF viewer and annotation
+  const controls = document.createElement('div');
+  controls.className = 'pdf-viewer-controls';
+  const prevBtn = document.createElement('button'); prevBtn.textContent = 'Prev';
+  const nextBtn = document.createElement('button'); nextBtn.textContent = 'Next';
+  const zoomOutBtn = document.createElement('button'); zoomOutBtn.textContent = '–';
+  const zoomInBtn = document.createElement('button'); zoomInBtn.textContent = '+';
+  const pageInfo = document.createElement('span'); pageInfo.className = 'page-info';
+  controls.appendChild(prevBtn);
+  controls.appendChild(nextBtn);
+  controls.appendChild(zoomOutBtn);
+  controls.appendChild(zoomInBtn);
+  controls.appendChild(pageInfo);
+  container.appendChild(controls);
+  const pdfContainer = document.createElement('div'); pdfContainer.className = 'pdf-container';
   const pdfCanvas = document.createElement('canvas');
-  pdfCanvas.id = 'pdfCanvas';
-  // Canvas for annotations (overlay)
-  const annotationCanvas = document.createElement('canvas');
-  annotationCanvas.className = 'pdf-annotation-canvas';
+  const annotCanvas = document.createElement('canvas'); annotCanvas.className = 'pdf-annotation-canvas';
   pdfContainer.appendChild(pdfCanvas);
-  pdfContainer.appendChild(annotationCanvas);
-  content.appendChild(pdfContainer);
-  // Setup drawing on annotation canvas
-  setupDrawing(annotationCanvas);
+  pdfContainer.appendChild(annotCanvas);
+  const annotations = createAnnotationLayer(annotCanvas, submission.annotations);
+  container.appendChild(buildAnnotationToolbar(annotations).element);
+  container.appendChild(pdfContainer);
   let pdfDoc = null;
   let currentPage = 1;
   let scale = 1.0;
-  // Render a specific page
   function renderPage(num) {
     if (!pdfDoc) return;
     pdfDoc.getPage(num).then((page) => {
       const viewport = page.getViewport({ scale });
-      const ctx = pdfCanvas.getContext('2d');
       pdfCanvas.height = viewport.height;
       pdfCanvas.width = viewport.width;
       pdfContainer.style.height = viewport.height + 'px';
-      // Render PDF page
+      const ctx = pdfCanvas.getContext('2d');
       page.render({ canvasContext: ctx, viewport });
-      // Match annotation canvas dimensions
-      annotationCanvas.width = viewport.width;
-      annotationCanvas.height = viewport.height;
-      const aCtx = annotationCanvas.getContext('2d');
-      aCtx.clearRect(0, 0, annotationCanvas.width, annotationCanvas.height);
+      annotCanvas.width = viewport.width;
+      annotCanvas.height = viewport.height;
+      annotations.showPage(num, scale);
       pageInfo.textContent = `Page ${currentPage} / ${pdfDoc.numPages}`;
     });
   }
-  // Load the PDF document via pdf.js
   function loadDocument() {
     let fileUrl = submission.filePath;
     fileUrl = fileUrl.replace(/.*uploads\//, 'uploads/').replace(/\\/g, '/');
@@ -3287,421 +9173,1221 @@ function openGradingInterface(assignment, submission) {
       renderPage(currentPage);
     });
   }
-  // Navigation controls
-  prevBtn.addEventListener('click', () => {
+  prevBtn.onclick = () => {
     if (!pdfDoc || currentPage <= 1) return;
     currentPage--;
     renderPage(currentPage);
-  });
-  nextBtn.addEventListener('click', () => {
+  };
+  nextBtn.onclick = () => {
     if (!pdfDoc || currentPage >= pdfDoc.numPages) return;
     currentPage++;
     renderPage(currentPage);
-  });
-  zoomOutBtn.addEventListener('click', () => {
+  };
+  zoomOutBtn.onclick = () => {
     if (scale > 0.5) {
       scale = Math.max(0.5, parseFloat((scale - 0.1).toFixed(2)));
       renderPage(currentPage);
     }
-  });
-  zoomInBtn.addEventListener('click', () => {
+  };
+  zoomInBtn.onclick = () => {
     if (scale < 2.5) {
       scale = Math.min(2.5, parseFloat((scale + 0.1).toFixed(2)));
       renderPage(currentPage);
     }
-  });
-  // Initialize pdf.js worker and load document
+  };
   if (window.pdfjsLib) {
     pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
     loadDocument();
   }
-  // Grade form
+  // Grade form container
   const form = document.createElement('div');
   form.className = 'grade-form';
-  const gradeLabel = document.createElement('label');
-  gradeLabel.textContent = 'Grade (score):';
-  const gradeInput = document.createElement('input');
-  gradeInput.type = 'number';
-  gradeInput.min = '0';
-  gradeInput.max = '100';
-  gradeInput.value = submission.grade || '';
-  const commentLabel = document.createElement('label');
-  commentLabel.textContent = 'Comments:';
-  const commentInput = document.createElement('textarea');
-  commentInput.value = submission.comments || '';
-  const clearBtn = document.createElement('button');
-  clearBtn.textContent = 'Clear Annotations';
-  clearBtn.type = 'button';
-  clearBtn.className = 'btn-red';
-  clearBtn.style.marginTop = '0.5rem';
-  clearBtn.addEventListener('click', () => {
-    const ctx = annotationCanvas.getContext('2d');
-    ctx.clearRect(0, 0, annotationCanvas.width, annotationCanvas.height);
-  });
-  const submitBtn = document.createElement('button');
-  submitBtn.textContent = 'Submit Grade';
-  submitBtn.className = 'btn-blue';
-  submitBtn.addEventListener('click', async () => {
+  form.style.marginTop = '1rem';
+  const gradeLabel = document.createElement('label'); gradeLabel.textContent = 'Grade (score):';
+  const gradeInput = document.createElement('input'); gradeInput.type = 'number'; gradeInput.min = '0'; gradeInput.max = '100'; gradeInput.value = submission.grade || '';
+  const commentLabel = document.createElement('label'); commentLabel.textContent = 'Comments:';
+  const commentInput = document.createElement('textarea'); commentInput.value = submission.comments || '';
+  // With problems or a rubric the grade is computed from the problem scores
+  // or the selected levels. When grading is distributed by question, the
+  // grader's own problems or criteria are highlighted and can be saved on
+  // their own.
+  let rubricScores = Object.assign({}, submission.rubricDraft, submission.rubricScores);
+  let questionScores = submission.questionScores || {};
+  const plan = assignment.gradingPlan;
+  const myQuestions = plan && plan.mode === 'question' && (assignment.questions || assignment.rubric)
+    ? Object.keys(plan.questions).filter((id) => plan.questions[id] === currentUser.email)
+    : [];
+  if (assignment.questions) {
+    gradeLabel.textContent = 'Grade (computed from problem scores):';
+    gradeInput.readOnly = true;
+    form.appendChild(buildQuestionGrader(assignment.questions, questionScores, submission.pageMap, (scores) => {
+      questionScores = scores;
+      gradeInput.value = questionTotals(assignment.questions, scores).grade;
+    }, myQuestions, (page) => {
+      if (!pdfDoc || page > pdfDoc.numPages) return;
+      currentPage = page;
+      renderPage(currentPage);
+      pdfContainer.scrollIntoView({ behavior: 'smooth' });
+    }));
+  } else if (assignment.rubric) {
+    gradeLabel.textContent = 'Grade (computed from rubric):';
+    gradeInput.readOnly = true;
+    form.appendChild(buildRubricGrader(assignment.rubric, rubricScores, (scores) => {
+      rubricScores = scores;
+      gradeInput.value = rubricTotals(assignment.rubric, scores).grade;
+    }, myQuestions));
+  }
+  const draftBtn = document.createElement('button'); draftBtn.textContent = 'Save Annotations'; draftBtn.type = 'button'; draftBtn.className = 'btn-green';
+  draftBtn.onclick = async () => {
+    const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${submission.id}/annotations`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ annotations: annotations.toJSON() }),
+    });
+    if (resp.ok) {
+      const data = await resp.json();
+      submission.annotations = data.annotations;
+      Swal && Swal.fire({ text: 'Annotations saved', icon: 'success', confirmButtonColor: '#007aff' });
+    } else {
+      // Errors from the body parser (e.g. 413) come back as HTML
+      const msg = await resp.json().catch(() => ({}));
+      const text = resp.status === 413 ? 'The annotations are too large to save' : msg.error || 'Failed to save annotations';
+      Swal && Swal.fire({ text, icon: 'error', confirmButtonColor: '#ff3b30' });
+    }
+  };
+  const submitBtn = document.createElement('button'); submitBtn.textContent = 'Submit Grade'; submitBtn.className = 'btn-blue';
+  submitBtn.onclick = async () => {
+    if (assignment.questions && !questionTotals(assignment.questions, questionScores).complete) {
+      Swal && Swal.fire({ text: 'Score every problem.', icon: 'warning', confirmButtonColor: '#007aff' });
+      return;
+    }
+    if (assignment.rubric && !rubricTotals(assignment.rubric, rubricScores).complete) {
+      Swal && Swal.fire({ text: 'Select a level for every rubric criterion.', icon: 'warning', confirmButtonColor: '#007aff' });
+      return;
+    }
     const gradeValue = gradeInput.value;
     const comments = commentInput.value;
-    // Convert annotation canvas to blob
-    annotationCanvas.toBlob(async (blob) => {
-      const formData = new FormData();
-      formData.append('grade', gradeValue);
-      formData.append('comments', comments);
-      if (blob && blob.size > 0) {
-        formData.append('annotation', blob, 'annotation.png');
+    const formData = new FormData();
+    formData.append('grade', gradeValue);
+    formData.append('comments', comments);
+    if (assignment.questions) formData.append('questionScores', JSON.stringify(questionScores));
+    if (assignment.rubric) formData.append('rubricScores', JSON.stringify(rubricScores));
+    formData.append('annotations', JSON.stringify(annotations.toJSON()));
+    formData.append('gradingSeconds', Math.round((Date.now() - openedAt) / 1000));
+    const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${submission.id}/grade`, { method: 'POST', body: formData });
+    if (resp.ok) {
+      Swal && Swal.fire({ text: 'Grade submitted', icon: 'success', confirmButtonColor: '#007aff' });
+      afterSave();
+    } else {
+      const msg = await resp.json().catch(() => ({}));
+      const text = resp.status === 413 ? 'The annotations are too large to save' : msg.error || 'Failed to submit grade';
+      Swal && Swal.fire({ text, icon: 'error', confirmButtonColor: '#ff3b30' });
+    }
+  };
+  form.appendChild(gradeLabel);
+  form.appendChild(gradeInput);
+  form.appendChild(commentLabel);
+  form.appendChild(commentInput);
+  form.appendChild(draftBtn);
+  if (myQuestions.length) {
+    const questionsBtn = document.createElement('button');
+    questionsBtn.textContent = 'Save My Questions';
+    questionsBtn.className = 'btn-blue';
+    questionsBtn.onclick = async () => {
+      const scores = {};
+      const given = assignment.questions ? questionScores : rubricScores;
+      myQuestions.forEach((id) => { if (given[id]) scores[id] = given[id]; });
+      if (Object.keys(scores).length < myQuestions.length) {
+        const text = assignment.questions ? 'Score each of your problems.' : 'Select a level for each of your questions.';
+        Swal && Swal.fire({ text, icon: 'warning', confirmButtonColor: '#007aff' });
+        return;
       }
-      const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${submission.id}/grade`, {
-        method: 'POST',
-        body: formData,
+      const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${submission.id}/question-scores`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scores, gradingSeconds: Math.round((Date.now() - openedAt) / 1000) }),
       });
       if (resp.ok) {
-        alert('Grade submitted');
-        modal.classList.add('hidden');
-        loadAssignments();
+        const data = await resp.json();
+        Swal && Swal.fire({ text: data.graded ? 'Scores saved – every question is now graded' : 'Scores saved', icon: 'success', confirmButtonColor: '#007aff' });
+        afterSave();
       } else {
         const msg = await resp.json();
-        alert(msg.error || 'Failed to submit grade');
+        Swal && Swal.fire({ text: msg.error || 'Failed to save scores', icon: 'error', confirmButtonColor: '#ff3b30' });
+      }
+    };
+    form.appendChild(questionsBtn);
+  }
+  form.appendChild(submitBtn);
+  container.appendChild(form);
+}
+
+// Expose the grading functions globally so that dynamically created event
+// handlers can access them. Without this, some event listeners may not
+// resolve the function name in the correct scope.
+window.openGradeSubmissionPage = openGradeSubmissionPage;
+
+/**
+ * Maximum and achieved points of a rubric for the given level selections
+ * ({ criterionId: levelId }). Mirrors scoreRubric() in server/rubrics.js.
+ */
+function rubricTotals(rubric, scores) {
+  let points = 0;
+  let max = 0;
+  let complete = true;
+  rubric.criteria.forEach((c) => {
+    max += Math.max(...c.levels.map((l) => l.points));
+    const level = c.levels.find((l) => l.id === (scores || {})[c.id]);
+    if (level) points += level.points;
+    else complete = false;
+  });
+  const grade = max > 0 ? Math.round((points / max) * 10000) / 100 : 0;
+  return { points, max, grade, complete };
+}
+
+/**
+ * Build the clickable rubric used on the grading pages. Each criterion shows
+ * its levels as buttons; clicking one selects it and calls onChange with the
+ * updated selections.
+ *
+ * @param {Object} rubric Assignment rubric
+ * @param {Object} scores Initial selections ({ criterionId: levelId })
+ * @param {Function} onChange Called with the selections after every click
+ * @param {string[]} [highlight] Ids of criteria to highlight (the grader's own questions)
+ */
+function buildRubricGrader(rubric, scores, onChange, highlight) {
+  const selected = Object.assign({}, scores);
+  const wrapper = document.createElement('div');
+  wrapper.className = 'rubric-grader';
+  const total = document.createElement('div');
+  total.className = 'rubric-total';
+  function updateTotal() {
+    const t = rubricTotals(rubric, selected);
+    total.textContent = `Total: ${t.points} / ${t.max} pts (${t.grade}%)` + (t.complete ? '' : ' – not every criterion is scored yet');
+  }
+  rubric.criteria.forEach((criterion) => {
+    const row = document.createElement('div');
+    row.className = 'rubric-criterion';
+    if (highlight && highlight.includes(criterion.id)) row.classList.add('mine');
+    const title = document.createElement('div');
+    title.className = 'rubric-criterion-title';
+    title.textContent = criterion.title;
+    if (criterion.description) title.title = criterion.description;
+    row.appendChild(title);
+    const levels = document.createElement('div');
+    levels.className = 'rubric-levels';
+    criterion.levels.forEach((level) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'rubric-level';
+      if (selected[criterion.id] === level.id) btn.classList.add('selected');
+      const head = document.createElement('strong');
+      head.textContent = `${level.label} (${level.points})`;
+      btn.appendChild(head);
+      if (level.description) {
+        const desc = document.createElement('span');
+        desc.textContent = level.description;
+        btn.appendChild(desc);
       }
+      btn.addEventListener('click', () => {
+        selected[criterion.id] = level.id;
+        levels.querySelectorAll('.rubric-level').forEach((b) => b.classList.remove('selected'));
+        btn.classList.add('selected');
+        updateTotal();
+        onChange(Object.assign({}, selected));
+      });
+      levels.appendChild(btn);
     });
+    row.appendChild(levels);
+    wrapper.appendChild(row);
   });
-  form.appendChild(gradeLabel);
-  form.appendChild(gradeInput);
-  form.appendChild(commentLabel);
-  form.appendChild(commentInput);
-  form.appendChild(clearBtn);
-  form.appendChild(submitBtn);
-  content.appendChild(form);
-  // Expose this grading interface globally. Without explicitly assigning
-  // to window, references in dynamically created event handlers (e.g.,
-  // assignment grading pages) may not resolve correctly, leading to
-  // unresponsive Grade/Regrade buttons. Assigning here ensures the
-  // function is available on the global object for later callbacks.
-  window.openGradingInterface = openGradingInterface;
+  wrapper.appendChild(total);
+  updateTotal();
+  return wrapper;
 }
 
-// Expose the grading interface on the global object immediately after
-// definition. If we only assign it inside the function, it is not
-// available the first time a Grade/Regrade button is clicked. Setting
-// it here ensures that dynamically created event handlers can call
-// openGradingInterface even before the modal has been opened once.
-window.openGradingInterface = openGradingInterface;
+/**
+ * Read-only rubric breakdown shown to students on their graded submission.
+ */
+function renderRubricBreakdown(rubric, submission) {
+  const scores = submission.rubricScores || {};
+  const table = document.createElement('table');
+  table.className = 'rubric-breakdown';
+  const head = document.createElement('tr');
+  ['Criterion', 'Level', 'Points'].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+  rubric.criteria.forEach((c) => {
+    const level = c.levels.find((l) => l.id === scores[c.id]);
+    const max = Math.max(...c.levels.map((l) => l.points));
+    const tr = document.createElement('tr');
+    const nameTd = document.createElement('td');
+    nameTd.textContent = c.title;
+    const levelTd = document.createElement('td');
+    if (level) {
+      const strong = document.createElement('strong');
+      strong.textContent = level.label;
+      levelTd.appendChild(strong);
+      if (level.description) {
+        levelTd.appendChild(document.createElement('br'));
+        levelTd.appendChild(document.createTextNode(level.description));
+      }
+    } else {
+      levelTd.textContent = '—';
+    }
+    const ptsTd = document.createElement('td');
+    ptsTd.textContent = `${level ? level.points : 0} / ${max}`;
+    tr.appendChild(nameTd);
+    tr.appendChild(levelTd);
+    tr.appendChild(ptsTd);
+    table.appendChild(tr);
+  });
+  const t = rubricTotals(rubric, scores);
+  const totalRow = document.createElement('tr');
+  totalRow.className = 'rubric-breakdown-total';
+  totalRow.innerHTML = '<td colspan="2">Total</td>';
+  const totalTd = document.createElement('td');
+  totalTd.textContent = `${t.points} / ${t.max}`;
+  totalRow.appendChild(totalTd);
+  table.appendChild(totalRow);
+  return table;
+}
 
-function setupDrawing(canvas) {
-  const ctx = canvas.getContext('2d');
-  ctx.lineWidth = 2;
-  ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
-  let drawing = false;
-  let lastX = 0;
-  let lastY = 0;
-  const getOffset = (e) => {
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    return { x: (x / rect.width) * canvas.width, y: (y / rect.height) * canvas.height };
-  };
-  const start = (e) => {
-    drawing = true;
-    const pos = getOffset(e);
-    lastX = pos.x;
-    lastY = pos.y;
-  };
-  const draw = (e) => {
-    if (!drawing) return;
-    e.preventDefault();
-    const pos = getOffset(e);
-    ctx.beginPath();
-    ctx.moveTo(lastX, lastY);
-    ctx.lineTo(pos.x, pos.y);
-    ctx.stroke();
-    lastX = pos.x;
-    lastY = pos.y;
-  };
-  const end = () => {
-    drawing = false;
-  };
-  // Mouse events
-  canvas.addEventListener('mousedown', start);
-  canvas.addEventListener('mousemove', draw);
-  canvas.addEventListener('mouseup', end);
-  canvas.addEventListener('mouseout', end);
-  // Touch events for mobile
-  canvas.addEventListener('touchstart', (e) => {
-    const touch = e.touches[0];
-    start(touch);
+/**
+ * "1-2, 4" for a sorted list of pages. Mirrors pageRanges() in
+ * server/questions.js.
+ */
+function pageRanges(pages) {
+  const ranges = [];
+  (pages || []).forEach((page) => {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) last[1] = page;
+    else ranges.push([page, page]);
   });
-  canvas.addEventListener('touchmove', (e) => {
-    const touch = e.touches[0];
-    draw(touch);
+  return ranges.map(([from, to]) => (from === to ? String(from) : `${from}-${to}`)).join(', ');
+}
+
+/**
+ * Achieved and maximum points of an assignment's problems for the given
+ * scores ({ questionId: { score, comment } }). Mirrors scoreQuestions() in
+ * server/questions.js.
+ */
+function questionTotals(questions, scores) {
+  let points = 0;
+  let max = 0;
+  let complete = true;
+  questions.forEach((q) => {
+    max += q.points;
+    const entry = (scores || {})[q.id];
+    if (entry) points += entry.score;
+    else complete = false;
   });
-  canvas.addEventListener('touchend', end);
+  const grade = max > 0 ? Math.round((points / max) * 10000) / 100 : 0;
+  return { points, max, grade, complete };
 }
 
-//
-// Utility to preview any PDF using pdf.js in a modal. Provides pagination and zoom
-// controls similar to the assignment page. Used for resource previews and
-// discussion attachments.
-//
-function openPdfModal(url, title = 'PDF Preview') {
-  const modal = document.getElementById('pdfModal');
-  const content = document.getElementById('pdfModalContent');
-  if (!modal || !content) return;
-  content.innerHTML = '';
-  // Header with title and close button
-  const header = document.createElement('div');
-  header.className = 'modal-header';
-  const h = document.createElement('h3');
-  h.textContent = title;
-  const closeBtn = document.createElement('button');
-  closeBtn.className = 'modal-close';
-  closeBtn.innerHTML = '&times;';
-  closeBtn.addEventListener('click', () => {
-    modal.classList.add('hidden');
+/**
+ * Number of pages of a PDF chosen for upload, or 0 if pdf.js cannot read it.
+ */
+async function countPdfPages(file) {
+  if (!window.pdfjsLib) return 0;
+  try {
+    const doc = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    return doc.numPages;
+  } catch (err) {
+    console.error('Failed to read PDF', err);
+    return 0;
+  }
+}
+
+/**
+ * Page tagging for assignments with problems: each problem has a row of page
+ * buttons to toggle. Pages can only be tagged once the number of pages of the
+ * PDF is known (setPageCount).
+ *
+ * @param {Object[]} questions Problems of the assignment
+ * @param {Object} [pageMap] Current tags ({ questionId: [page, ...] })
+ * @returns {{ element: HTMLElement, setPageCount: Function, value: Function }}
+ */
+function buildPageTagger(questions, pageMap) {
+  const selected = {};
+  questions.forEach((q) => { selected[q.id] = new Set((pageMap || {})[q.id] || []); });
+  let pageCount = 0;
+  const element = document.createElement('div');
+  element.className = 'page-tagger';
+  function render() {
+    element.innerHTML = '';
+    const hint = document.createElement('div');
+    hint.className = 'meta';
+    hint.textContent = pageCount
+      ? 'Select the pages that answer each problem.'
+      : 'Choose your PDF, then select the pages that answer each problem.';
+    element.appendChild(hint);
+    if (!pageCount) return;
+    questions.forEach((q, i) => {
+      const row = document.createElement('div');
+      row.className = 'page-tagger-row';
+      const title = document.createElement('div');
+      title.className = 'page-tagger-title';
+      title.textContent = `${i + 1}. ${q.title} (${q.points} pts)`;
+      row.appendChild(title);
+      const pages = document.createElement('div');
+      pages.className = 'page-tagger-pages';
+      for (let page = 1; page <= pageCount; page++) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'page-chip';
+        btn.textContent = page;
+        if (selected[q.id].has(page)) btn.classList.add('selected');
+        btn.addEventListener('click', () => {
+          if (selected[q.id].has(page)) selected[q.id].delete(page);
+          else selected[q.id].add(page);
+          btn.classList.toggle('selected');
+        });
+        pages.appendChild(btn);
+      }
+      row.appendChild(pages);
+      element.appendChild(row);
+    });
+  }
+  render();
+  return {
+    element,
+    setPageCount(count) {
+      pageCount = count;
+      render();
+    },
+    value() {
+      const map = {};
+      questions.forEach((q) => {
+        const pages = [...selected[q.id]].filter((p) => p <= pageCount).sort((a, b) => a - b);
+        if (pages.length) map[q.id] = pages;
+      });
+      return map;
+    },
+  };
+}
+
+/**
+ * Check page tags before they are sent: at least one page must be tagged,
+ * and leaving problems untagged needs a confirmation.
+ */
+async function confirmPageTags(questions, pageMap) {
+  if (!Object.keys(pageMap).length) {
+    alert('Select the pages that answer each problem.');
+    return false;
+  }
+  const untagged = questions.filter((q) => !pageMap[q.id]).map((q) => q.title);
+  if (!untagged.length) return true;
+  return sweetConfirm(`No pages are selected for ${untagged.join(', ')}. Continue anyway?`);
+}
+
+/**
+ * Score inputs for grading an assignment problem by problem. Each problem
+ * shows the pages the student tagged for it; clicking them calls onShowPage
+ * with the first one.
+ *
+ * @param {Object[]} questions Problems of the assignment
+ * @param {Object} scores Initial scores ({ questionId: { score, comment } })
+ * @param {Object|null} pageMap The submission's page tags
+ * @param {Function} onChange Called with the scores after every edit
+ * @param {string[]} [highlight] Ids of problems to highlight (the grader's own questions)
+ * @param {Function} [onShowPage] Called with a page number to show
+ */
+function buildQuestionGrader(questions, scores, pageMap, onChange, highlight, onShowPage) {
+  const current = JSON.parse(JSON.stringify(scores || {}));
+  const wrapper = document.createElement('div');
+  wrapper.className = 'rubric-grader';
+  const total = document.createElement('div');
+  total.className = 'rubric-total';
+  function updateTotal() {
+    const t = questionTotals(questions, current);
+    total.textContent = `Total: ${t.points} / ${t.max} pts (${t.grade}%)` + (t.complete ? '' : ' – not every problem is scored yet');
+  }
+  questions.forEach((q, i) => {
+    const row = document.createElement('div');
+    row.className = 'rubric-criterion question-score';
+    if (highlight && highlight.includes(q.id)) row.classList.add('mine');
+    const title = document.createElement('div');
+    title.className = 'rubric-criterion-title';
+    title.textContent = `${i + 1}. ${q.title} (${q.points} pts)`;
+    row.appendChild(title);
+    const pages = (pageMap || {})[q.id];
+    const pagesEl = document.createElement(pages && onShowPage ? 'button' : 'div');
+    pagesEl.className = 'question-pages';
+    pagesEl.textContent = pages ? `Pages ${pageRanges(pages)}` : 'No pages tagged';
+    if (pages && onShowPage) {
+      pagesEl.type = 'button';
+      pagesEl.addEventListener('click', () => onShowPage(pages[0]));
+    }
+    row.appendChild(pagesEl);
+    const fields = document.createElement('div');
+    fields.className = 'question-score-fields';
+    const scoreInput = document.createElement('input');
+    scoreInput.type = 'number';
+    scoreInput.min = '0';
+    scoreInput.max = String(q.points);
+    scoreInput.step = 'any';
+    scoreInput.placeholder = `0–${q.points}`;
+    const commentInput = document.createElement('input');
+    commentInput.type = 'text';
+    commentInput.placeholder = 'Comment (optional)';
+    if (current[q.id]) {
+      scoreInput.value = current[q.id].score;
+      commentInput.value = current[q.id].comment || '';
+    }
+    const update = () => {
+      if (scoreInput.value === '') {
+        delete current[q.id];
+      } else {
+        current[q.id] = { score: Number(scoreInput.value), comment: commentInput.value };
+      }
+      updateTotal();
+      onChange(JSON.parse(JSON.stringify(current)));
+    };
+    scoreInput.addEventListener('input', update);
+    commentInput.addEventListener('input', update);
+    fields.appendChild(scoreInput);
+    fields.appendChild(commentInput);
+    row.appendChild(fields);
+    wrapper.appendChild(row);
   });
-  header.appendChild(h);
-  header.appendChild(closeBtn);
-  content.appendChild(header);
-  // Controls for pagination and zoom
-  const controls = document.createElement('div');
-  controls.className = 'pdf-viewer-controls';
-  const prevBtn = document.createElement('button');
-  prevBtn.textContent = 'Prev';
-  const nextBtn = document.createElement('button');
-  nextBtn.textContent = 'Next';
-  const zoomOutBtn = document.createElement('button');
-  zoomOutBtn.textContent = '−';
-  const zoomInBtn = document.createElement('button');
-  zoomInBtn.textContent = '+';
-  const pageInfo = document.createElement('span');
-  pageInfo.className = 'page-info';
-  controls.appendChild(prevBtn);
-  controls.appendChild(nextBtn);
-  controls.appendChild(zoomOutBtn);
-  controls.appendChild(zoomInBtn);
-  controls.appendChild(pageInfo);
-  content.appendChild(controls);
-  // Canvas container
-  const viewer = document.createElement('div');
-  viewer.className = 'pdf-container';
-  const canvasEl = document.createElement('canvas');
-  viewer.appendChild(canvasEl);
-  content.appendChild(viewer);
-  // pdf.js document and state
-  let doc = null;
-  let pageNum = 1;
-  let scale = 1.0;
-  async function renderPage(num) {
-    if (!doc) return;
-    const page = await doc.getPage(num);
-    const viewport = page.getViewport({ scale });
-    canvasEl.width = viewport.width;
-    canvasEl.height = viewport.height;
-    const ctx = canvasEl.getContext('2d');
-    await page.render({ canvasContext: ctx, viewport }).promise;
-    pageInfo.textContent = `Page ${pageNum} / ${doc.numPages}`;
+  wrapper.appendChild(total);
+  updateTotal();
+  return wrapper;
+}
+
+/**
+ * Read-only per-problem scores of a graded submission.
+ */
+function renderQuestionBreakdown(questions, submission) {
+  const scores = submission.questionScores || {};
+  const table = document.createElement('table');
+  table.className = 'rubric-breakdown';
+  const head = document.createElement('tr');
+  ['Problem', 'Pages', 'Score', 'Comment'].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  table.appendChild(head);
+  questions.forEach((q, i) => {
+    const entry = scores[q.id];
+    const pages = (submission.pageMap || {})[q.id];
+    const tr = document.createElement('tr');
+    [
+      `${i + 1}. ${q.title}`,
+      pages ? pageRanges(pages) : '—',
+      `${entry ? entry.score : '—'} / ${q.points}`,
+      (entry && entry.comment) || '',
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  const t = questionTotals(questions, scores);
+  const totalRow = document.createElement('tr');
+  totalRow.className = 'rubric-breakdown-total';
+  totalRow.innerHTML = '<td colspan="2">Total</td><td colspan="2"></td>';
+  totalRow.lastChild.textContent = `${t.points} / ${t.max}`;
+  table.appendChild(totalRow);
+  return table;
+}
+
+/**
+ * Render some pages of a PDF one below the other, or every page when pages
+ * is null.
+ *
+ * @param {HTMLElement} container Element the pages are added to
+ * @param {string} url PDF URL
+ * @param {number[]|null} pages Page numbers to show
+ */
+async function renderPdfPages(container, url, pages) {
+  if (!window.pdfjsLib) return;
+  try {
+    const doc = await pdfjsLib.getDocument(url).promise;
+    const list = (pages || Array.from({ length: doc.numPages }, (_, i) => i + 1)).filter((p) => p <= doc.numPages);
+    for (const num of list) {
+      const page = await doc.getPage(num);
+      const viewport = page.getViewport({ scale: 1.2 });
+      const wrap = document.createElement('div');
+      wrap.className = 'question-page';
+      const label = document.createElement('div');
+      label.className = 'meta';
+      label.textContent = `Page ${num}`;
+      const canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      wrap.appendChild(label);
+      wrap.appendChild(canvas);
+      container.appendChild(wrap);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    }
+  } catch (err) {
+    console.error('Failed to render PDF', err);
+    container.appendChild(document.createTextNode('Failed to load the submission PDF.'));
   }
-  function updateControls() {
-    if (!doc) return;
-    prevBtn.disabled = pageNum <= 1;
-    nextBtn.disabled = pageNum >= doc.numPages;
+}
+
+/**
+ * Grade one problem across every submission of an assignment, showing only
+ * the pages each student tagged for it. Saving a score goes on to the next
+ * submission without one; P/N move to the previous/next submission.
+ *
+ * @param {Object} assignment Assignment with problems
+ * @param {string} questionId Problem to grade
+ * @param {Object[]} [subs] Submissions, as already loaded
+ * @param {number} [index] Submission to show
+ */
+async function openQuestionGradingPage(assignment, questionId, subs, index) {
+  showSection('question-grading-section');
+  document.getElementById('backFromQuestionGradingBtn').onclick = () => {
+    gradingQueueNav = null;
+    openAssignmentGradesPage(assignment);
+  };
+  const questions = assignment.questions || [];
+  const question = questions.find((q) => q.id === questionId);
+  const container = document.getElementById('questionGradingContent');
+  container.innerHTML = '';
+  if (!question) return;
+  document.getElementById('questionGradingTitle').textContent = `${assignment.title} – ${question.title}`;
+  if (!subs) {
+    try {
+      const res = await fetchAuth(`/api/assignments/${assignment.id}/submissions`);
+      subs = (await res.json()).sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+    } catch (err) {
+      console.error('Failed to load submissions', err);
+      container.textContent = 'Failed to load submissions.';
+      return;
+    }
   }
-  if (window.pdfjsLib) {
-    pdfjsLib.getDocument(url).promise.then((d) => {
-      doc = d;
-      renderPage(pageNum);
-      updateControls();
-    }).catch((err) => {
-      console.error('Failed to load PDF', err);
+  if (!subs.length) {
+    gradingQueueNav = null;
+    container.textContent = 'No submissions yet.';
+    return;
+  }
+  const scored = (s) => !!(s.questionScores && s.questionScores[question.id]);
+  if (index === undefined) {
+    index = Math.max(0, subs.findIndex((s) => !scored(s)));
+  }
+  const sub = subs[index];
+  const openedAt = Date.now();
+  const show = (i) => openQuestionGradingPage(assignment, question.id, subs, i);
+  gradingQueueNav = {
+    previous: index > 0 ? () => show(index - 1) : null,
+    next: index < subs.length - 1 ? () => show(index + 1) : null,
+  };
+
+  const nav = document.createElement('div');
+  nav.className = 'grading-queue-nav';
+  const questionSelect = document.createElement('select');
+  questions.forEach((q, i) => {
+    const opt = document.createElement('option');
+    opt.value = q.id;
+    opt.textContent = `${i + 1}. ${q.title}`;
+    questionSelect.appendChild(opt);
+  });
+  questionSelect.value = question.id;
+  questionSelect.addEventListener('change', () => openQuestionGradingPage(assignment, questionSelect.value, subs));
+  const prev = document.createElement('button');
+  prev.className = 'btn-grey';
+  prev.textContent = '← Previous (P)';
+  prev.disabled = !gradingQueueNav.previous;
+  prev.addEventListener('click', () => gradingQueueNav.previous());
+  const position = document.createElement('span');
+  position.textContent = `Submission ${index + 1} / ${subs.length} · ${subs.filter(scored).length} scored`;
+  const next = document.createElement('button');
+  next.className = 'btn-grey';
+  next.textContent = 'Next (N) →';
+  next.disabled = !gradingQueueNav.next;
+  next.addEventListener('click', () => gradingQueueNav.next());
+  nav.appendChild(questionSelect);
+  nav.appendChild(prev);
+  nav.appendChild(position);
+  nav.appendChild(next);
+  container.appendChild(nav);
+
+  const who = document.createElement('div');
+  who.innerHTML = submitterHtml(sub);
+  container.appendChild(who);
+  const pages = (sub.pageMap || {})[question.id] || null;
+  const url = '/' + sub.filePath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
+  const pagesEl = document.createElement('div');
+  pagesEl.className = 'question-pages-view';
+  if (pages) {
+    renderPdfPages(pagesEl, url, pages);
+  } else {
+    const note = document.createElement('p');
+    note.className = 'group-note';
+    note.textContent = 'The student did not tag any pages for this problem.';
+    const allBtn = document.createElement('button');
+    allBtn.className = 'btn-grey';
+    allBtn.textContent = 'Show All Pages';
+    allBtn.addEventListener('click', () => {
+      allBtn.remove();
+      renderPdfPages(pagesEl, url, null);
     });
+    pagesEl.appendChild(note);
+    pagesEl.appendChild(allBtn);
   }
-  prevBtn.addEventListener('click', () => {
-    if (pageNum > 1) {
-      pageNum--;
-      renderPage(pageNum);
-      updateControls();
+  container.appendChild(pagesEl);
+
+  const form = document.createElement('div');
+  form.className = 'grade-form';
+  const existing = (sub.questionScores || {})[question.id];
+  const scoreLabel = document.createElement('label');
+  scoreLabel.textContent = `Score (out of ${question.points}):`;
+  const scoreInput = document.createElement('input');
+  scoreInput.type = 'number';
+  scoreInput.min = '0';
+  scoreInput.max = String(question.points);
+  scoreInput.step = 'any';
+  scoreInput.value = existing ? existing.score : '';
+  const commentLabel = document.createElement('label');
+  commentLabel.textContent = 'Comment:';
+  const commentInput = document.createElement('textarea');
+  commentInput.value = existing ? existing.comment || '' : '';
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn-blue';
+  saveBtn.textContent = 'Save & Next';
+  saveBtn.addEventListener('click', async () => {
+    if (scoreInput.value === '') {
+      alert('Enter a score.');
+      return;
+    }
+    const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${sub.id}/question-scores`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        scores: { [question.id]: { score: scoreInput.value, comment: commentInput.value } },
+        gradingSeconds: Math.round((Date.now() - openedAt) / 1000),
+      }),
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(data.error || 'Failed to save score');
+      return;
     }
-  });
-  nextBtn.addEventListener('click', () => {
-    if (doc && pageNum < doc.numPages) {
-      pageNum++;
-      renderPage(pageNum);
-      updateControls();
+    subs[index] = data;
+    const order = subs.map((s, i) => i).filter((i) => !scored(subs[i]));
+    const target = order.find((i) => i > index);
+    if (target !== undefined || order.length) {
+      show(target !== undefined ? target : order[0]);
+    } else {
+      alert(`Every submission has a score for ${question.title}.`);
+      show(index);
     }
   });
-  zoomInBtn.addEventListener('click', () => {
-    scale = Math.min(scale + 0.25, 2.0);
-    renderPage(pageNum);
+  form.appendChild(scoreLabel);
+  form.appendChild(scoreInput);
+  form.appendChild(commentLabel);
+  form.appendChild(commentInput);
+  form.appendChild(saveBtn);
+  container.appendChild(form);
+}
+
+/**
+ * Toolbar of the grades page for assignments with problems: grade one
+ * problem across every submission.
+ */
+function buildQuestionGradingBar(assignment) {
+  const bar = document.createElement('div');
+  bar.className = 'bulk-grading-bar';
+  const select = document.createElement('select');
+  assignment.questions.forEach((q, i) => {
+    const opt = document.createElement('option');
+    opt.value = q.id;
+    opt.textContent = `${i + 1}. ${q.title} (${q.points} pts)`;
+    select.appendChild(opt);
   });
-  zoomOutBtn.addEventListener('click', () => {
-    scale = Math.max(scale - 0.25, 0.5);
-    renderPage(pageNum);
+  const btn = document.createElement('button');
+  btn.className = 'btn-blue';
+  btn.textContent = 'Grade by Problem';
+  btn.addEventListener('click', () => openQuestionGradingPage(assignment, select.value));
+  bar.appendChild(select);
+  bar.appendChild(btn);
+  return bar;
+}
+
+/**
+ * Admin card on the assignment page listing the assignment's problems and
+ * their point values. Problems keep their ids while being edited so page tags
+ * and scores stay attached to them.
+ *
+ * @param {Object} assn
+ */
+function buildQuestionsAdminCard(assn) {
+  const card = document.createElement('div');
+  card.className = 'assignment-detail-section questions-card';
+  const h4 = document.createElement('h4');
+  h4.textContent = 'Problems';
+  card.appendChild(h4);
+  const note = document.createElement('p');
+  note.className = 'group-note';
+  note.textContent = assn.rubric
+    ? 'This assignment is graded with a rubric. Remove the rubric to grade it by problem.'
+    : 'Students tag the pages that answer each problem when they submit, and the grade is computed from the problem scores.';
+  card.appendChild(note);
+  if (assn.rubric) return card;
+  const questions = JSON.parse(JSON.stringify(assn.questions || []));
+  const list = document.createElement('div');
+  list.className = 'late-policy-fields';
+  card.appendChild(list);
+  const total = document.createElement('div');
+  total.className = 'rubric-total';
+  function render() {
+    list.innerHTML = '';
+    questions.forEach((q, i) => {
+      const row = document.createElement('div');
+      row.className = 'rubric-edit-row';
+      const title = document.createElement('input');
+      title.type = 'text';
+      title.placeholder = `Problem ${i + 1}`;
+      title.value = q.title || '';
+      title.addEventListener('input', () => { q.title = title.value; });
+      const points = document.createElement('input');
+      points.type = 'number';
+      points.min = '0';
+      points.step = 'any';
+      points.placeholder = 'Points';
+      points.value = q.points === undefined ? '' : q.points;
+      points.addEventListener('input', () => {
+        q.points = points.value;
+        updateTotal();
+      });
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-red';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        questions.splice(i, 1);
+        render();
+      });
+      row.appendChild(title);
+      row.appendChild(points);
+      row.appendChild(remove);
+      list.appendChild(row);
+    });
+    updateTotal();
+  }
+  function updateTotal() {
+    const sum = questions.reduce((s, q) => s + (Number(q.points) || 0), 0);
+    total.textContent = questions.length ? `Total: ${sum} pts` : 'No problems: the assignment is graded as a whole.';
+  }
+  render();
+  card.appendChild(total);
+  const addBtn = document.createElement('button');
+  addBtn.className = 'btn-grey';
+  addBtn.textContent = 'Add Problem';
+  addBtn.addEventListener('click', () => {
+    questions.push({ title: '', points: '' });
+    render();
   });
-  modal.classList.remove('hidden');
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn-blue';
+  saveBtn.style.marginLeft = '0.5rem';
+  saveBtn.textContent = 'Save Problems';
+  saveBtn.addEventListener('click', async () => {
+    const removed = (assn.questions || []).filter((q) => !questions.some((x) => x.id === q.id));
+    if (removed.length) {
+      const ok = await sweetConfirm(`Remove ${removed.map((q) => q.title).join(', ')}? Their page tags and scores are dropped and graded submissions are re-scored.`);
+      if (!ok) return;
+    }
+    const resp = await fetchAuth(`/api/assignments/${assn.id}/questions`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ questions }),
+    });
+    const data = await resp.json();
+    if (resp.ok) {
+      assn.questions = data.assignment.questions;
+      alert('Problems saved.' + (data.regraded ? ` ${data.regraded} grade(s) were recomputed.` : ''));
+      openAssignmentPage(assn);
+    } else {
+      alert(data.error || 'Failed to save problems');
+    }
+  });
+  card.appendChild(addBtn);
+  card.appendChild(saveBtn);
+  return card;
 }
 
 /**
- * Display a dedicated page for grading a single submission. This page shows
- * the PDF with annotation capability, grade and comment inputs, and a
- * submission form. After grading, the user is returned to the assignment
- * grades page. The back button navigates back to the grades list without
- * losing context.
+ * Rubric editor for an assignment. Criteria and levels keep their ids while
+ * being edited so that saving re-scores existing grades instead of dropping
+ * them. Rubrics can be saved as templates and templates applied to the
+ * assignment being edited.
  *
  * @param {Object} assignment
- * @param {Object} submission
  */
-async function openGradeSubmissionPage(assignment, submission) {
-  // Navigate to the grade submission section
-  showSection('grade-submission-section');
-  const backBtn = document.getElementById('backToGradesBtn');
+async function openRubricEditorPage(assignment) {
+  showSection('rubric-editor-section');
+  const backBtn = document.getElementById('backFromRubricBtn');
   backBtn.onclick = () => {
-    openAssignmentGradesPage(assignment);
+    showSection('assignments-section');
+    setActiveNav(document.querySelector('nav.nav-links button[data-section="assignments"]'));
+    loadAssignments();
   };
-  // Update the page title
-  const titleEl = document.getElementById('gradeSubmissionTitle');
-  titleEl.textContent = `Grading – ${submission.studentName}`;
-  const container = document.getElementById('gradeSubmissionContent');
-  if (!container) return;
+  document.getElementById('rubricEditorTitle').textContent = `Rubric – ${assignment.title}`;
+  const container = document.getElementById('rubricEditorContent');
   container.innerHTML = '';
-  // Provide a link to download the student's original submission PDF. This
-  // enables TAs to download the file for offline review if desired. We
-  // convert the stored file path into a relative URL and create an anchor.
-  if (submission.filePath) {
-    const downloadDiv = document.createElement('div');
-    downloadDiv.style.marginBottom = '1rem';
-    const fileRel = submission.filePath.replace(/.*uploads[\\/]/, 'uploads/').replace(/\\/g, '/');
-    const a = document.createElement('a');
-    a.href = '/' + fileRel;
-    a.textContent = 'Download Submission PDF';
-    a.target = '_blank';
-    a.className = 'btn-green';
-    downloadDiv.appendChild(a);
-    container.appendChild(downloadDiv);
+  // Working copy edited in place by the inputs below
+  let criteria = JSON.parse(JSON.stringify((assignment.rubric && assignment.rubric.criteria) || []));
+  let templates = [];
+  try {
+    const res = await fetchAuth('/api/rubric-templates');
+    if (res.ok) templates = await res.json();
+  } catch (err) {
+    console.error('Failed to load rubric templates', err);
   }
-  // Controls for PDF viewer and annotation
-  const controls = document.createElement('div');
-  controls.className = 'pdf-viewer-controls';
-  const prevBtn = document.createElement('button'); prevBtn.textContent = 'Prev';
-  const nextBtn = document.createElement('button'); nextBtn.textContent = 'Next';
-  const zoomOutBtn = document.createElement('button'); zoomOutBtn.textContent = '–';
-  const zoomInBtn = document.createElement('button'); zoomInBtn.textContent = '+';
-  const pageInfo = document.createElement('span'); pageInfo.className = 'page-info';
-  controls.appendChild(prevBtn);
-  controls.appendChild(nextBtn);
-  controls.appendChild(zoomOutBtn);
-  controls.appendChild(zoomInBtn);
-  controls.appendChild(pageInfo);
-  container.appendChild(controls);
-  const pdfContainer = document.createElement('div'); pdfContainer.className = 'pdf-container';
-  const pdfCanvas = document.createElement('canvas');
-  const annotCanvas = document.createElement('canvas'); annotCanvas.className = 'pdf-annotation-canvas';
-  pdfContainer.appendChild(pdfCanvas);
-  pdfContainer.appendChild(annotCanvas);
-  container.appendChild(pdfContainer);
-  setupDrawing(annotCanvas);
-  let pdfDoc = null;
-  let currentPage = 1;
-  let scale = 1.0;
-  function renderPage(num) {
-    if (!pdfDoc) return;
-    pdfDoc.getPage(num).then((page) => {
-      const viewport = page.getViewport({ scale });
-      pdfCanvas.height = viewport.height;
-      pdfCanvas.width = viewport.width;
-      pdfContainer.style.height = viewport.height + 'px';
-      const ctx = pdfCanvas.getContext('2d');
-      page.render({ canvasContext: ctx, viewport });
-      annotCanvas.width = viewport.width;
-      annotCanvas.height = viewport.height;
-      const aCtx = annotCanvas.getContext('2d');
-      aCtx.clearRect(0, 0, annotCanvas.width, annotCanvas.height);
-      pageInfo.textContent = `Page ${currentPage} / ${pdfDoc.numPages}`;
+
+  // Template controls
+  const templateBar = document.createElement('div');
+  templateBar.className = 'rubric-template-bar';
+  const templateSelect = document.createElement('select');
+  function fillTemplates() {
+    templateSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = templates.length ? 'Choose a template…' : 'No templates saved yet';
+    templateSelect.appendChild(placeholder);
+    templates.forEach((t) => {
+      const opt = document.createElement('option');
+      opt.value = t.id;
+      opt.textContent = t.name;
+      templateSelect.appendChild(opt);
     });
   }
-  function loadDocument() {
-    let fileUrl = submission.filePath;
-    fileUrl = fileUrl.replace(/.*uploads\//, 'uploads/').replace(/\\/g, '/');
-    const url = '/' + fileUrl;
-    pdfjsLib.getDocument(url).promise.then((doc) => {
-      pdfDoc = doc;
-      currentPage = 1;
-      scale = 1.0;
-      renderPage(currentPage);
+  fillTemplates();
+  const applyBtn = document.createElement('button');
+  applyBtn.type = 'button';
+  applyBtn.className = 'btn-grey';
+  applyBtn.textContent = 'Apply Template';
+  applyBtn.addEventListener('click', async () => {
+    const template = templates.find((t) => t.id === templateSelect.value);
+    if (!template) return;
+    if (criteria.length) {
+      const ok = await sweetConfirm('Replace the current rubric with this template? Existing rubric scores will no longer match.');
+      if (!ok) return;
+    }
+    // Copy without ids so the assignment gets its own criteria and levels
+    criteria = template.rubric.criteria.map((c) => ({
+      title: c.title,
+      description: c.description,
+      levels: c.levels.map((l) => ({ label: l.label, points: l.points, description: l.description })),
+    }));
+    renderCriteria();
+  });
+  const deleteTemplateBtn = document.createElement('button');
+  deleteTemplateBtn.type = 'button';
+  deleteTemplateBtn.className = 'btn-red';
+  deleteTemplateBtn.textContent = 'Delete Template';
+  deleteTemplateBtn.addEventListener('click', async () => {
+    const template = templates.find((t) => t.id === templateSelect.value);
+    if (!template) return;
+    const ok = await sweetConfirm(`Delete the template "${template.name}"?`);
+    if (!ok) return;
+    const resp = await fetchAuth(`/api/rubric-templates/${template.id}`, { method: 'DELETE' });
+    if (resp.ok) {
+      templates = templates.filter((t) => t.id !== template.id);
+      fillTemplates();
+    } else {
+      const msg = await resp.json();
+      alert(msg.error || 'Failed to delete template');
+    }
+  });
+  templateBar.appendChild(templateSelect);
+  templateBar.appendChild(applyBtn);
+  templateBar.appendChild(deleteTemplateBtn);
+  container.appendChild(templateBar);
+
+  const list = document.createElement('div');
+  container.appendChild(list);
+  const maxInfo = document.createElement('div');
+  maxInfo.className = 'rubric-total';
+
+  function updateMax() {
+    const max = criteria.reduce((sum, c) => {
+      const pts = (c.levels || []).map((l) => Number(l.points) || 0);
+      return sum + (pts.length ? Math.max(...pts) : 0);
+    }, 0);
+    maxInfo.textContent = `Maximum: ${max} pts`;
+  }
+  function input(value, placeholder, onInput, type = 'text') {
+    const el = document.createElement(type === 'textarea' ? 'textarea' : 'input');
+    if (type !== 'textarea') el.type = type;
+    el.value = value === undefined || value === null ? '' : value;
+    el.placeholder = placeholder;
+    el.addEventListener('input', () => {
+      onInput(el.value);
+      updateMax();
     });
+    return el;
   }
-  prevBtn.onclick = () => {
-    if (!pdfDoc || currentPage <= 1) return;
-    currentPage--;
-    renderPage(currentPage);
-  };
-  nextBtn.onclick = () => {
-    if (!pdfDoc || currentPage >= pdfDoc.numPages) return;
-    currentPage++;
-    renderPage(currentPage);
-  };
-  zoomOutBtn.onclick = () => {
-    if (scale > 0.5) {
-      scale = Math.max(0.5, parseFloat((scale - 0.1).toFixed(2)));
-      renderPage(currentPage);
+  function renderCriteria() {
+    list.innerHTML = '';
+    criteria.forEach((criterion, ci) => {
+      const card = document.createElement('div');
+      card.className = 'card rubric-edit-criterion';
+      const head = document.createElement('div');
+      head.className = 'rubric-edit-row';
+      head.appendChild(input(criterion.title, 'Criterion title', (v) => { criterion.title = v; }));
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn-red';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        criteria.splice(ci, 1);
+        renderCriteria();
+      });
+      head.appendChild(removeBtn);
+      card.appendChild(head);
+      card.appendChild(input(criterion.description, 'Description (optional)', (v) => { criterion.description = v; }, 'textarea'));
+      criterion.levels = criterion.levels || [];
+      criterion.levels.forEach((level, li) => {
+        const row = document.createElement('div');
+        row.className = 'rubric-edit-row';
+        const label = input(level.label, 'Level label', (v) => { level.label = v; });
+        const points = input(level.points, 'Points', (v) => { level.points = v === '' ? '' : Number(v); }, 'number');
+        points.min = '0';
+        points.step = 'any';
+        points.className = 'rubric-points-input';
+        const desc = input(level.description, 'Level description', (v) => { level.description = v; });
+        const del = document.createElement('button');
+        del.type = 'button';
+        del.className = 'btn-grey';
+        del.textContent = '×';
+        del.addEventListener('click', () => {
+          criterion.levels.splice(li, 1);
+          renderCriteria();
+        });
+        row.appendChild(label);
+        row.appendChild(points);
+        row.appendChild(desc);
+        row.appendChild(del);
+        card.appendChild(row);
+      });
+      const addLevel = document.createElement('button');
+      addLevel.type = 'button';
+      addLevel.className = 'btn-grey';
+      addLevel.textContent = '+ Add Level';
+      addLevel.addEventListener('click', () => {
+        criterion.levels.push({ label: '', points: 0, description: '' });
+        renderCriteria();
+      });
+      card.appendChild(addLevel);
+      list.appendChild(card);
+    });
+    updateMax();
+  }
+  renderCriteria();
+
+  const addCriterion = document.createElement('button');
+  addCriterion.type = 'button';
+  addCriterion.className = 'btn-grey';
+  addCriterion.textContent = '+ Add Criterion';
+  addCriterion.addEventListener('click', () => {
+    criteria.push({ title: '', description: '', levels: [{ label: 'Full marks', points: 10, description: '' }, { label: 'No marks', points: 0, description: '' }] });
+    renderCriteria();
+  });
+  container.appendChild(addCriterion);
+  container.appendChild(maxInfo);
+
+  const actions = document.createElement('div');
+  actions.className = 'rubric-template-bar';
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn-blue';
+  saveBtn.textContent = 'Save Rubric';
+  saveBtn.addEventListener('click', async () => {
+    const resp = await fetchAuth(`/api/assignments/${assignment.id}/rubric`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rubric: { criteria } }),
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(data.error || 'Failed to save rubric');
+      return;
     }
-  };
-  zoomInBtn.onclick = () => {
-    if (scale < 2.5) {
-      scale = Math.min(2.5, parseFloat((scale + 0.1).toFixed(2)));
-      renderPage(currentPage);
+    Object.assign(assignment, data.assignment);
+    criteria = JSON.parse(JSON.stringify((assignment.rubric && assignment.rubric.criteria) || []));
+    renderCriteria();
+    const notes = [];
+    if (data.regraded) notes.push(`${data.regraded} existing grade(s) were recomputed.`);
+    if (data.needsRegrading) notes.push(`${data.needsRegrading} graded submission(s) kept their grade and need the new criteria scored.`);
+    alert(['Rubric saved.'].concat(notes).join(' '));
+  });
+  const saveTemplateBtn = document.createElement('button');
+  saveTemplateBtn.className = 'btn-green';
+  saveTemplateBtn.textContent = 'Save as Template';
+  saveTemplateBtn.addEventListener('click', async () => {
+    let name = null;
+    if (window.Swal) {
+      const result = await Swal.fire({ title: 'Template name', input: 'text', inputValue: assignment.title, showCancelButton: true, confirmButtonColor: '#007aff' });
+      name = result.isConfirmed ? result.value : null;
+    } else {
+      name = window.prompt('Template name', assignment.title);
     }
-  };
-  if (window.pdfjsLib) {
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.worker.min.js';
-    loadDocument();
+    if (!name) return;
+    const resp = await fetchAuth('/api/rubric-templates', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, rubric: { criteria } }),
+    });
+    const data = await resp.json();
+    if (resp.ok) {
+      templates.push(data);
+      fillTemplates();
+      alert('Template saved.');
+    } else {
+      alert(data.error || 'Failed to save template');
+    }
+  });
+  actions.appendChild(saveBtn);
+  actions.appendChild(saveTemplateBtn);
+  container.appendChild(actions);
+}
+
+/**
+ * Toolbar on the grading page for offline grading: download every
+ * submission as a ZIP with a manifest, and import annotated PDFs and a
+ * grades CSV back after previewing the changes.
+ *
+ * @param {Object} assignment
+ */
+function buildBulkGradingBar(assignment) {
+  const bar = document.createElement('div');
+  bar.className = 'bulk-grading-bar';
+  const downloadBtn = document.createElement('button');
+  downloadBtn.className = 'btn-blue';
+  downloadBtn.textContent = 'Download All (ZIP)';
+  downloadBtn.addEventListener('click', async () => {
+    const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/archive`);
+    if (!resp.ok) {
+      const err = await resp.json().catch(() => ({}));
+      alert(err.error || 'Failed to download submissions');
+      return;
+    }
+    const blob = await resp.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${assignment.title}-submissions.zip`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  });
+  const importBtn = document.createElement('button');
+  importBtn.className = 'btn-grey';
+  importBtn.textContent = 'Import Grades & Feedback';
+  importBtn.addEventListener('click', () => openBulkImportDialog(assignment));
+  bar.appendChild(downloadBtn);
+  bar.appendChild(importBtn);
+  return bar;
+}
+
+function bulkImportForm(files, dryRun) {
+  const formData = new FormData();
+  if (files.archive) formData.append('archive', files.archive);
+  if (files.grades) formData.append('grades', files.grades);
+  formData.append('dryRun', dryRun ? 'true' : 'false');
+  return formData;
+}
+
+/**
+ * HTML preview of a bulk import (the server's dry-run summary).
+ */
+function renderBulkImportPreview(summary) {
+  const esc = (text) => String(text == null ? '' : text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  let html = '<div class="bulk-import-preview">';
+  if (summary.problems.length) {
+    html += `<h4>Problems (${summary.problems.length})</h4><ul class="bulk-import-problems">` +
+      summary.problems.map((p) => `<li>${esc(p)}</li>`).join('') + '</ul>';
   }
-  // Grade form container
-  const form = document.createElement('div');
-  form.className = 'grade-form';
-  form.style.marginTop = '1rem';
-  const gradeLabel = document.createElement('label'); gradeLabel.textContent = 'Grade (score):';
-  const gradeInput = document.createElement('input'); gradeInput.type = 'number'; gradeInput.min = '0'; gradeInput.max = '100'; gradeInput.value = submission.grade || '';
-  const commentLabel = document.createElement('label'); commentLabel.textContent = 'Comments:';
-  const commentInput = document.createElement('textarea'); commentInput.value = submission.comments || '';
-  const clearBtn = document.createElement('button'); clearBtn.textContent = 'Clear Annotations'; clearBtn.type = 'button'; clearBtn.className = 'btn-red';
-  clearBtn.onclick = () => {
-    const ctx = annotCanvas.getContext('2d');
-    ctx.clearRect(0, 0, annotCanvas.width, annotCanvas.height);
-  };
-  const submitBtn = document.createElement('button'); submitBtn.textContent = 'Submit Grade'; submitBtn.className = 'btn-blue';
-  submitBtn.onclick = async () => {
-    const gradeValue = gradeInput.value;
-    const comments = commentInput.value;
-    annotCanvas.toBlob(async (blob) => {
-      const formData = new FormData();
-      formData.append('grade', gradeValue);
-      formData.append('comments', comments);
-      if (blob && blob.size > 0) {
-        formData.append('annotation', blob, 'annotation.png');
-      }
-      const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${submission.id}/grade`, { method: 'POST', body: formData });
-      if (resp.ok) {
-        Swal && Swal.fire({ text: 'Grade submitted', icon: 'success', confirmButtonColor: '#007aff' });
-        openAssignmentGradesPage(assignment);
-      } else {
-        const msg = await resp.json();
-        Swal && Swal.fire({ text: msg.error || 'Failed to submit grade', icon: 'error', confirmButtonColor: '#ff3b30' });
-      }
+  summary.warnings.forEach((w) => { html += `<p class="meta">${esc(w)}</p>`; });
+  if (summary.changes.length) {
+    html += `<h4>Changes (${summary.changes.length})</h4><table><tr><th>Student</th><th>Grade</th><th>Comments</th><th>Feedback</th></tr>`;
+    summary.changes.forEach((c) => {
+      const grade = c.grade ? `${c.grade.from == null ? '—' : esc(c.grade.from)} → ${esc(c.grade.to)}` : '';
+      const comments = c.comments ? esc(c.comments.to) || '<em>cleared</em>' : '';
+      html += `<tr><td>${esc(c.studentId)} ${esc(c.studentName)}</td><td>${grade}</td><td>${comments}</td><td>${esc(c.feedback || '')}</td></tr>`;
     });
-  };
-  form.appendChild(gradeLabel);
-  form.appendChild(gradeInput);
-  form.appendChild(commentLabel);
-  form.appendChild(commentInput);
-  form.appendChild(clearBtn);
-  form.appendChild(submitBtn);
-  container.appendChild(form);
+    html += '</table>';
+  } else {
+    html += '<p>Nothing would change.</p>';
+  }
+  if (summary.unchanged) html += `<p class="meta">${summary.unchanged} matched submission(s) are unchanged.</p>`;
+  return html + '</div>';
 }
 
-// Expose the grading functions globally so that dynamically created event
-// handlers can access them. Without this, some event listeners may not
-// resolve the function name in the correct scope.
-window.openGradeSubmissionPage = openGradeSubmissionPage;
+/**
+ * Ask for the files to import, show the dry-run preview and apply the import
+ * once confirmed.
+ */
+async function openBulkImportDialog(assignment) {
+  const chosen = await Swal.fire({
+    title: 'Import Grades & Feedback',
+    html: `
+      <div class="late-policy-fields" style="text-align:left">
+        <label>ZIP of annotated PDFs named ${assignment.anonymousGrading ? 'Submission-&lt;number&gt;.pdf' : '&lt;studentID&gt;_&lt;name&gt;.pdf'} (optional)<input type="file" id="bulkArchive" accept=".zip,application/zip" /></label>
+        <label>Grades CSV with ${assignment.anonymousGrading ? 'submission' : 'studentId'}, grade and comments columns (optional if inside the ZIP)<input type="file" id="bulkGrades" accept=".csv,text/csv" /></label>
+      </div>`,
+    showCancelButton: true,
+    confirmButtonText: 'Preview',
+    confirmButtonColor: '#007aff',
+    showLoaderOnConfirm: true,
+    preConfirm: async () => {
+      const files = {
+        archive: document.getElementById('bulkArchive').files[0] || null,
+        grades: document.getElementById('bulkGrades').files[0] || null,
+      };
+      if (!files.archive && !files.grades) {
+        Swal.showValidationMessage('Choose a ZIP and/or a CSV file');
+        return false;
+      }
+      const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/import`, {
+        method: 'POST',
+        body: bulkImportForm(files, true),
+      });
+      const summary = await resp.json();
+      if (!resp.ok) {
+        Swal.showValidationMessage(summary.error || 'Failed to read the import');
+        return false;
+      }
+      return { files, summary };
+    },
+  });
+  if (!chosen.isConfirmed) return;
+  const { files, summary } = chosen.value;
+  const canApply = !summary.problems.length && summary.changes.length > 0;
+  const review = await Swal.fire({
+    title: 'Import Preview',
+    html: renderBulkImportPreview(summary),
+    width: 800,
+    showCancelButton: canApply,
+    showConfirmButton: true,
+    confirmButtonText: canApply ? `Apply ${summary.changes.length} Change(s)` : 'Close',
+    confirmButtonColor: canApply ? '#34c759' : '#8e8e93',
+  });
+  if (!review.isConfirmed || !canApply) return;
+  const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/import`, {
+    method: 'POST',
+    body: bulkImportForm(files, false),
+  });
+  const result = await resp.json();
+  if (resp.ok) {
+    alert(`Imported ${result.changes.length} change(s).`);
+    openAssignmentGradesPage(assignment);
+  } else {
+    alert(result.error || 'Import failed');
+  }
+}
 
 /**
  * Show a dedicated page for viewing and grading submissions for a single assignment.
@@ -3720,12 +10406,25 @@ async function openAssignmentGradesPage(assignment) {
   if (titleEl) {
     titleEl.textContent = `Grade Submissions – ${assignment.title}`;
   }
+  const toolbarEl = document.getElementById('gradesToolbar');
+  if (toolbarEl) {
+    toolbarEl.innerHTML = '';
+    toolbarEl.appendChild(buildGradeReleaseBar(assignment));
+    toolbarEl.appendChild(buildAnonymityBar(assignment, () => openAssignmentGradesPage(assignment)));
+    toolbarEl.appendChild(buildBulkGradingBar(assignment));
+    if (assignment.questions) toolbarEl.appendChild(buildQuestionGradingBar(assignment));
+  }
   const listEl = document.getElementById('gradesList');
   if (!listEl) return;
   listEl.innerHTML = '';
   try {
-    const res = await fetch(`/api/assignments/${assignment.id}/submissions`);
+    const res = await fetchAuth(`/api/assignments/${assignment.id}/submissions`);
     const subs = await res.json();
+    const groupsById = {};
+    if (assignment.groupSize && !assignment.anonymousGrading) {
+      const groupRes = await fetchAuth(`/api/assignments/${assignment.id}/groups`);
+      (await groupRes.json()).forEach((g) => { groupsById[g.id] = g; });
+    }
     if (!subs.length) {
       const p = document.createElement('p');
       p.textContent = 'No submissions yet.';
@@ -3733,8 +10432,8 @@ async function openAssignmentGradesPage(assignment) {
       return;
     }
     // Split into ungraded and graded lists
-    const ungradedSubs = subs.filter((s) => !s.graded);
-    const gradedSubs = subs.filter((s) => s.graded);
+    const ungradedSubs = subs.filter((s) => !s.graded || s.needsRegrading);
+    const gradedSubs = subs.filter((s) => s.graded && !s.needsRegrading);
     ungradedSubs.sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
     gradedSubs.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
     // Render helper
@@ -3746,28 +10445,67 @@ async function openAssignmentGradesPage(assignment) {
       div.style.borderRadius = '8px';
       div.style.marginBottom = '0.75rem';
       const info = document.createElement('div');
-      let extra = '';
-      if (sub.studentID) extra += ` (ID: ${sub.studentID})`;
-      if (sub.studentNameZh) extra += ` ${sub.studentNameZh}`;
-      info.innerHTML = `<strong>${sub.studentName}${extra}</strong> &lt;${sub.studentEmail}&gt;`;
+      info.innerHTML = submitterHtml(sub);
+      const group = sub.groupId ? groupsById[sub.groupId] : null;
+      if (group) {
+        info.innerHTML = '<strong></strong><div class="group-members"></div>';
+        info.querySelector('strong').textContent = group.name;
+        info.querySelector('.group-members').textContent = `${groupMemberNames(group)} – submitted by ${sub.studentName}`;
+      }
       div.appendChild(info);
       const meta = document.createElement('div');
       meta.style.fontSize = '0.8rem';
       meta.style.color = '#6e6e73';
-      meta.textContent = `Submitted: ${new Date(sub.uploadedAt).toLocaleString()}`;
+      meta.textContent = `Submitted: ${new Date(sub.uploadedAt).toLocaleString()} `;
+      meta.appendChild(lateLabel(sub));
+      if (assignment.questions && !sub.graded) {
+        const done = assignment.questions.filter((q) => (sub.questionScores || {})[q.id]).length;
+        meta.appendChild(document.createTextNode(` · ${done} / ${assignment.questions.length} problems scored`));
+      }
       div.appendChild(meta);
+      if (sub.versions && sub.versions.length > 1) {
+        const versions = document.createElement('details');
+        versions.className = 'version-details';
+        const summary = document.createElement('summary');
+        summary.textContent = `${sub.versions.length} versions uploaded – grading version ${sub.version}`;
+        versions.appendChild(summary);
+        versions.appendChild(renderVersionTimeline(sub, async (version) => {
+          if (sub.graded || (sub.annotations && Object.keys(sub.annotations.pages || {}).length)) {
+            const ok = await sweetConfirm(`Grade version ${version} instead? Existing annotations were made on version ${sub.version}.`);
+            if (!ok) return;
+          }
+          const resp = await fetchAuth(`/api/assignments/${assignment.id}/submissions/${sub.id}/version`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ version }),
+          });
+          if (resp.ok) {
+            openAssignmentGradesPage(assignment);
+          } else {
+            const msg = await resp.json();
+            alert(msg.error || 'Failed to select version');
+          }
+        }));
+        div.appendChild(versions);
+      }
       if (sub.graded) {
         const gradeContainer = document.createElement('div');
         gradeContainer.style.marginTop = '0.5rem';
         gradeContainer.style.display = 'flex';
         gradeContainer.style.flexDirection = 'column';
         gradeContainer.style.gap = '0.25rem';
-        const gauge = renderGauge(Number(sub.grade));
+        const gauge = renderGauge(finalGradeClient(sub));
         gradeContainer.appendChild(gauge);
         const cDiv = document.createElement('div');
         cDiv.style.fontSize = '0.85rem';
         cDiv.innerHTML = `<strong>Comments:</strong> ${sub.comments || '—'}`;
         gradeContainer.appendChild(cDiv);
+        if (assignment.questions && sub.questionScores) {
+          gradeContainer.appendChild(renderQuestionBreakdown(assignment.questions, sub));
+        }
+        if (group) gradeContainer.appendChild(renderMemberGrades(assignment, sub, group));
+        const history = renderGradeHistory(sub);
+        if (history) gradeContainer.appendChild(history);
         const btnRow = document.createElement('div');
         btnRow.style.display = 'flex';
         btnRow.style.gap = '0.5rem';
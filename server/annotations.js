@@ -0,0 +1,174 @@
+const { PDFDocument, StandardFonts, LineCapStyle, rgb } = require('pdf-lib');
+
+/**
+ * Vector annotations made by graders on submission PDFs.
+ *
+ * Annotations are stored on the submission as
+ *
+ *   { version: 1, pages: { "1": [shape, ...], "2": [...] } }
+ *
+ * Coordinates are in PDF points of the unrotated page with the origin at the
+ * top-left corner, which is what pdf.js renders at scale 1. Supported shapes:
+ *
+ *   { type: 'pen' | 'highlighter', color, width, points: [[x, y], ...] }
+ *   { type: 'text', x, y, size, color, text }      (x, y = top-left of text)
+ *   { type: 'check' | 'cross', x, y, size }       (x, y = centre of stamp)
+ *
+ * The stamp geometry must match drawShape() in client/main.js.
+ */
+
+const SHAPE_TYPES = ['pen', 'highlighter', 'text', 'check', 'cross'];
+const STAMP_COLORS = { check: '#34c759', cross: '#ff3b30' };
+const HIGHLIGHTER_OPACITY = 0.35;
+const MAX_SHAPES_PER_PAGE = 2000;
+const MAX_POINTS_PER_STROKE = 5000;
+const MAX_TEXT_LENGTH = 500;
+// Largest annotation upload accepted: a page filled with strokes up to the
+// limits above, points being sent with 0.1pt precision ("[1234.5,1234.5],")
+const MAX_ANNOTATION_BYTES = MAX_SHAPES_PER_PAGE * (MAX_POINTS_PER_STROKE * 16 + 100);
+
+function finite(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeColor(value, fallback) {
+  return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value) ? value.toLowerCase() : fallback;
+}
+
+function normalizeShape(shape) {
+  if (!shape || !SHAPE_TYPES.includes(shape.type)) return null;
+  if (shape.type === 'pen' || shape.type === 'highlighter') {
+    if (!Array.isArray(shape.points)) return null;
+    const points = shape.points
+      .slice(0, MAX_POINTS_PER_STROKE)
+      .filter((p) => Array.isArray(p) && Number.isFinite(Number(p[0])) && Number.isFinite(Number(p[1])))
+      .map((p) => [Number(p[0]), Number(p[1])]);
+    if (!points.length) return null;
+    const highlighter = shape.type === 'highlighter';
+    return {
+      type: shape.type,
+      color: normalizeColor(shape.color, highlighter ? '#ffcc00' : '#ff3b30'),
+      width: Math.min(Math.max(finite(shape.width, highlighter ? 12 : 2), 0.5), 60),
+      points,
+    };
+  }
+  if (shape.type === 'text') {
+    const text = String(shape.text || '').slice(0, MAX_TEXT_LENGTH);
+    if (!text.trim()) return null;
+    return {
+      type: 'text',
+      x: finite(shape.x, 0),
+      y: finite(shape.y, 0),
+      size: Math.min(Math.max(finite(shape.size, 14), 6), 72),
+      color: normalizeColor(shape.color, '#ff3b30'),
+      text,
+    };
+  }
+  return {
+    type: shape.type,
+    x: finite(shape.x, 0),
+    y: finite(shape.y, 0),
+    size: Math.min(Math.max(finite(shape.size, 24), 6), 120),
+  };
+}
+
+/**
+ * Validate annotation data received from a client. Accepts the object or its
+ * JSON string and returns a cleaned copy; unknown shapes are dropped.
+ * Throws if the input cannot be parsed.
+ */
+function normalizeAnnotations(raw) {
+  const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  const pages = {};
+  if (data && data.pages && typeof data.pages === 'object') {
+    Object.keys(data.pages).forEach((key) => {
+      const pageNum = parseInt(key, 10);
+      if (!(pageNum >= 1) || !Array.isArray(data.pages[key])) return;
+      const shapes = data.pages[key]
+        .slice(0, MAX_SHAPES_PER_PAGE)
+        .map(normalizeShape)
+        .filter(Boolean);
+      if (shapes.length) pages[String(pageNum)] = shapes;
+    });
+  }
+  return { version: 1, pages };
+}
+
+function hasAnnotations(annotations) {
+  return !!(annotations && annotations.pages && Object.keys(annotations.pages).length);
+}
+
+function toRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
+}
+
+// Standard PDF fonts only cover WinAnsi; anything else is replaced so that
+// drawText does not throw on e.g. Chinese comments.
+function encodableText(text) {
+  return text.replace(/[^\x20-\x7e\u00a0-\u00ff\n]/g, '?');
+}
+
+// SVG path through the given top-left based points. drawSvgPath() flips the
+// y axis itself when the path is anchored at the top-left page corner.
+function polylinePath(points) {
+  return points.map((p, i) => `${i ? 'L' : 'M'} ${p[0]} ${p[1]}`).join(' ');
+}
+
+function drawShape(page, shape, font) {
+  const { height } = page.getSize();
+  const anchor = { x: 0, y: height, borderLineCap: LineCapStyle.Round };
+  if (shape.type === 'pen' || shape.type === 'highlighter') {
+    const points = shape.points.length === 1 ? [shape.points[0], shape.points[0]] : shape.points;
+    page.drawSvgPath(polylinePath(points), Object.assign({
+      borderColor: toRgb(shape.color),
+      borderWidth: shape.width,
+      borderOpacity: shape.type === 'highlighter' ? HIGHLIGHTER_OPACITY : 1,
+    }, anchor));
+  } else if (shape.type === 'text') {
+    const lines = encodableText(shape.text).split('\n');
+    lines.forEach((line, i) => {
+      page.drawText(line, {
+        x: shape.x,
+        // Client positions the top of the text; PDF positions the baseline
+        y: height - shape.y - shape.size * (0.8 + i * 1.2),
+        size: shape.size,
+        font,
+        color: toRgb(shape.color),
+      });
+    });
+  } else {
+    const s = shape.size;
+    const at = (dx, dy) => [shape.x + dx * s, shape.y + dy * s];
+    const path = shape.type === 'check'
+      ? polylinePath([at(-0.45, 0), at(-0.15, 0.35), at(0.45, -0.4)])
+      : polylinePath([at(-0.4, -0.4), at(0.4, 0.4)]) + ' ' + polylinePath([at(-0.4, 0.4), at(0.4, -0.4)]);
+    page.drawSvgPath(path, Object.assign({
+      borderColor: toRgb(STAMP_COLORS[shape.type]),
+      borderWidth: Math.max(s / 8, 1.5),
+    }, anchor));
+  }
+}
+
+/**
+ * Draw annotations onto a copy of the given PDF. Each page's shapes are drawn
+ * on the matching page; pages beyond the end of the document are ignored.
+ *
+ * @param {Buffer} pdfBytes Original submission PDF
+ * @param {object} annotations Normalized annotation data
+ * @returns {Promise<Uint8Array>} Bytes of the annotated PDF
+ */
+async function flattenAnnotations(pdfBytes, annotations) {
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const pages = pdfDoc.getPages();
+  Object.keys(annotations.pages).forEach((key) => {
+    const page = pages[parseInt(key, 10) - 1];
+    if (!page) return;
+    annotations.pages[key].forEach((shape) => drawShape(page, shape, font));
+  });
+  return pdfDoc.save();
+}
+
+module.exports = { MAX_ANNOTATION_BYTES, normalizeAnnotations, hasAnnotations, flattenAnnotations, encodableText };
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+/**
+ * Anonymous grading.
+ *
+ * While an assignment has `anonymousGrading` set, graders see its
+ * submissions under a pseudonym ("Submission #17") instead of the student's
+ * name, student ID and email. Each submission gets a random number that is
+ * unique within its assignment (`submission.anonymousNumber`) when it is
+ * created, so the pseudonym stays the same while grading and does not give
+ * away the order in which students submitted.
+ */
+
+/**
+ * Give a submission its anonymous number unless it already has one.
+ *
+ * @param {object} sub Submission
+ * @param {object[]} siblings Other submissions of the same assignment
+ */
+function assignPseudonym(sub, siblings) {
+  if (sub.anonymousNumber) return;
+  const taken = new Set(siblings.map((s) => s.anonymousNumber).filter(Boolean));
+  const range = Math.max(99, (taken.size + 1) * 10);
+  let number;
+  do {
+    number = crypto.randomInt(1, range + 1);
+  } while (taken.has(number));
+  sub.anonymousNumber = number;
+}
+
+function pseudonym(sub) {
+  return `Submission #${sub.anonymousNumber}`;
+}
+
+/**
+ * What a grader sees of a submission while its assignment is graded
+ * anonymously: the pseudonym in place of every identifying field.
+ */
+function anonymizeSubmission(sub) {
+  return Object.assign({}, sub, {
+    anonymous: true,
+    studentName: pseudonym(sub),
+    studentNameZh: '',
+    studentID: '',
+    studentEmail: '',
+    groupId: undefined,
+    memberGrades: undefined,
+    gradeHistory: sub.gradeHistory && sub.gradeHistory.map((h) => Object.assign({}, h, { memberEmail: undefined })),
+    versions: (sub.versions || []).map((v) => Object.assign({}, v, { submittedBy: undefined })),
+  });
+}
+
+module.exports = { assignPseudonym, pseudonym, anonymizeSubmission };
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const JSZip = require('jszip');
+
+/**
+ * Offline grading: export every submission of an assignment as a ZIP and
+ * import annotated PDFs and grades back.
+ *
+ * The export contains one PDF per submission (the version being graded),
+ * named `<studentID>_<name>.pdf`, and `manifest.csv` with one row per
+ * submission. The manifest doubles as the grades sheet for the import: fill
+ * in the `grade` and `comments` columns and send it back, either separately
+ * or inside the ZIP. Imported PDFs are matched to submissions by the file
+ * name they were exported under (whatever folder they are in), CSV rows by
+ * their `studentId` column.
+ *
+ * While the assignment is graded anonymously (see anonymity.js) the archive
+ * carries no identities: files are named `Submission-<number>.pdf` and the
+ * manifest has a `submission` column (`Submission-<number>`) instead of the
+ * student columns, which is also what the import matches CSV rows on.
+ */
+
+const MANIFEST_COLUMNS = ['studentId', 'studentName', 'studentNameZh', 'studentEmail', 'file', 'version', 'uploadedAt', 'late', 'latePenalty', 'sha256', 'grade', 'comments'];
+const ANONYMOUS_MANIFEST_COLUMNS = ['submission', 'file', 'version', 'uploadedAt', 'late', 'latePenalty', 'sha256', 'grade', 'comments'];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, any line ending, optional BOM) into an
+ * array of rows. Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\ufeff/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some((c) => c !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some((c) => c !== '')) rows.push(row);
+  return rows;
+}
+
+function baseName(name) {
+  return name.split('/').pop();
+}
+
+function safeFilePart(text) {
+  return String(text || '').replace(/[\\/:*?"<>|\s]+/g, '-').replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+/**
+ * What imported files and rows are matched on: the student ID, or the
+ * pseudonym when grading anonymously.
+ */
+function importKey(sub, anonymous) {
+  return anonymous ? `Submission-${sub.anonymousNumber}` : String(sub.studentID);
+}
+
+function exportFileName(sub, anonymous) {
+  if (anonymous) return `${importKey(sub, true)}.pdf`;
+  return `${safeFilePart(sub.studentID)}_${safeFilePart(sub.studentName)}.pdf`;
+}
+
+function unknownKey(key, anonymous) {
+  return anonymous ? `no submission ${key || '(empty)'}` : `no submission from a student with ID ${key || '(empty)'}`;
+}
+
+/**
+ * Build the export archive. File contents are streamed from disk when the
+ * archive is generated.
+ *
+ * @param {object[]} subs Submissions of one assignment
+ * @param {boolean} [anonymous] Leave identities out
+ * @returns {JSZip}
+ */
+function buildExportZip(subs, anonymous) {
+  const zip = new JSZip();
+  const rows = [anonymous ? ANONYMOUS_MANIFEST_COLUMNS : MANIFEST_COLUMNS];
+  subs.forEach((sub) => {
+    let file = '';
+    if (sub.filePath && fs.existsSync(sub.filePath)) {
+      file = `submissions/${exportFileName(sub, anonymous)}`;
+      zip.file(file, fs.createReadStream(sub.filePath));
+    }
+    const version = (sub.versions || []).find((v) => v.version === sub.version) || {};
+    const identity = anonymous
+      ? [importKey(sub, true)]
+      : [sub.studentID || '', sub.studentName || '', sub.studentNameZh || '', sub.studentEmail || ''];
+    rows.push([
+      ...identity,
+      file,
+      sub.version || '',
+      sub.uploadedAt || '',
+      sub.late ? 'yes' : 'no',
+      sub.latePenalty || 0,
+      version.sha256 || '',
+      sub.graded ? sub.grade : '',
+      sub.comments || '',
+    ]);
+  });
+  zip.file('manifest.csv', toCsv(rows));
+  return zip;
+}
+
+/**
+ * Work out what an import would change without changing anything.
+ *
+ * @param {object[]} subs Submissions of the assignment
+ * @param {Buffer|null} archive Uploaded ZIP of annotated PDFs (may contain the grades CSV)
+ * @param {string|null} csvText Uploaded grades CSV
+ * @param {boolean} [anonymous] Match on pseudonyms instead of student IDs
+ * @returns {Promise<{ changes: object[], problems: string[], unchanged: number }>}
+ *   Each change is { submission, grade?: { from, to }, comments?: { from, to },
+ *   feedback?: { name, bytes } }.
+ */
+async function planImport(subs, archive, csvText, anonymous) {
+  const problems = [];
+  const keyColumn = anonymous ? 'submission' : 'studentId';
+  const byKey = new Map(subs.filter((s) => (anonymous ? s.anonymousNumber : s.studentID)).map((s) => [importKey(s, anonymous), s]));
+  // File names are compared ignoring case, as some archivers change it
+  const byFileName = new Map(Array.from(byKey.values()).map((s) => [exportFileName(s, anonymous).toLowerCase(), s]));
+  const changes = new Map();
+  const changeFor = (sub) => {
+    if (!changes.has(sub.id)) changes.set(sub.id, { submission: sub });
+    return changes.get(sub.id);
+  };
+
+  let csv = csvText;
+  if (archive) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(archive);
+    } catch (err) {
+      return { changes: [], problems: ['The archive is not a valid ZIP file'], unchanged: 0 };
+    }
+    const entries = Object.values(zip.files).filter((f) => !f.dir && !baseName(f.name).startsWith('.') && !f.name.startsWith('__MACOSX/'));
+    for (const entry of entries) {
+      const name = baseName(entry.name);
+      if (/\.csv$/i.test(name)) {
+        if (csv === null) {
+          try {
+            csv = await entry.async('string');
+          } catch (err) {
+            problems.push(`${entry.name}: the file is damaged and cannot be read`);
+          }
+        }
+        continue;
+      }
+      if (!/\.pdf$/i.test(name)) {
+        problems.push(`${entry.name}: only PDF files can be imported as feedback`);
+        continue;
+      }
+      const sub = byFileName.get(name.toLowerCase());
+      if (!sub) {
+        problems.push(`${entry.name}: no submission was exported under this file name`);
+        continue;
+      }
+      const key = importKey(sub, anonymous);
+      let bytes;
+      try {
+        bytes = await entry.async('nodebuffer');
+      } catch (err) {
+        problems.push(`${entry.name}: the file is damaged and cannot be read`);
+        continue;
+      }
+      if (bytes.slice(0, 5).toString('latin1') !== '%PDF-') {
+        problems.push(`${entry.name}: not a PDF file`);
+        continue;
+      }
+      const change = changeFor(sub);
+      if (change.feedback) {
+        problems.push(`${entry.name}: more than one feedback file for ${anonymous ? key : `student ${key}`}`);
+        continue;
+      }
+      change.feedback = { name: entry.name, bytes };
+    }
+  }
+
+  if (csv !== null && csv !== undefined) {
+    const rows = parseCsv(csv);
+    const header = (rows.shift() || []).map((h) => h.trim());
+    const idCol = header.indexOf(keyColumn);
+    const gradeCol = header.indexOf('grade');
+    const commentsCol = header.indexOf('comments');
+    if (idCol === -1) {
+      problems.push(`The grades CSV needs a ${keyColumn} column`);
+    } else if (gradeCol === -1 && commentsCol === -1) {
+      problems.push('The grades CSV needs a grade or comments column');
+    } else {
+      const seen = new Set();
+      rows.forEach((row, i) => {
+        const line = i + 2;
+        const key = (row[idCol] || '').trim();
+        const sub = byKey.get(key);
+        if (!sub) {
+          problems.push(`CSV line ${line}: ${unknownKey(key, anonymous)}`);
+          return;
+        }
+        if (seen.has(key)) {
+          problems.push(`CSV line ${line}: ${anonymous ? key : `student ${key}`} appears more than once`);
+          return;
+        }
+        seen.add(key);
+        const change = changeFor(sub);
+        const gradeText = gradeCol === -1 ? '' : (row[gradeCol] || '').trim();
+        if (gradeText !== '') {
+          const grade = Number(gradeText);
+          if (!Number.isFinite(grade) || grade < 0) {
+            problems.push(`CSV line ${line}: invalid grade "${gradeText}"`);
+          } else if (!sub.graded || Number(sub.grade) !== grade) {
+            change.grade = { from: sub.graded ? sub.grade : null, to: grade };
+          }
+        }
+        if (commentsCol !== -1) {
+          const comments = row[commentsCol] || '';
+          if (comments !== (sub.comments || '')) {
+            change.comments = { from: sub.comments || '', to: comments };
+          }
+        }
+      });
+    }
+  }
+
+  const result = [];
+  let unchanged = 0;
+  changes.forEach((change) => {
+    if (!change.grade && !change.comments && !change.feedback) {
+      unchanged++;
+      return;
+    }
+    if (!change.submission.graded && !change.grade) {
+      const who = anonymous ? importKey(change.submission, true) : `Student ${change.submission.studentID}`;
+      problems.push(`${who}: the submission is not graded yet, so a grade is required`);
+      return;
+    }
+    result.push(change);
+  });
+  return { changes: result, problems, unchanged };
+}
+
+module.exports = { buildExportZip, planImport };
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+/**
+ * iCalendar (RFC 5545) output for the course calendar: a personal feed each
+ * user subscribes to by URL, and single-event downloads.
+ *
+ * Events are built by the routes from assignments, exams, quizzes and course
+ * events as plain objects:
+ *
+ *   { uid, title, start, end, description, location, url, updatedAt, weeks }
+ *
+ * `end` may equal `start` for deadlines; `weeks` repeats the event weekly
+ * that many times (office hours). UIDs are stable so that calendar apps
+ * replace an event when its date changes instead of adding a second one.
+ *
+ * Course events (office hours and other dated events) are kept in their own
+ * collection:
+ *
+ *   { id, title, kind: 'officeHours' | 'event', start, end, location,
+ *     description, weeks, createdBy, createdAt, updatedAt }
+ */
+
+const EVENT_KINDS = ['officeHours', 'event'];
+const MAX_WEEKS = 52;
+const UID_DOMAIN = 'cortal';
+
+/**
+ * A new secret for a user's feed URL. Whoever has the URL can read the feed,
+ * so it is long and can be replaced.
+ */
+function feedToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Validate a course event received from a client. Throws an Error with a
+ * user-facing message if a field is invalid.
+ *
+ * @param {object} input Request body
+ * @returns {object} title, kind, start, end, location, description, weeks
+ */
+function normalizeCourseEvent(input) {
+  const title = String(input.title || '').trim();
+  if (!title) throw new Error('The event needs a title');
+  const kind = EVENT_KINDS.includes(input.kind) ? input.kind : 'event';
+  const start = new Date(input.start);
+  if (isNaN(start)) throw new Error('The event needs a valid start time');
+  const end = input.end ? new Date(input.end) : start;
+  if (isNaN(end) || end < start) throw new Error('The event must end after it starts');
+  const weeks = input.weeks === '' || input.weeks === undefined || input.weeks === null ? 1 : Number(input.weeks);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) throw new Error(`Repeat weekly between 1 and ${MAX_WEEKS} times`);
+  return {
+    title,
+    kind,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    location: String(input.location || '').trim(),
+    description: String(input.description || '').trim(),
+    weeks,
+  };
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines are folded at 75 octets, never inside a UTF-8 sequence.
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length ? 74 : 75;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end || event.start)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+  ];
+  if (event.weeks > 1) lines.push(`RRULE:FREQ=WEEKLY;COUNT=${event.weeks}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Render events as an iCalendar document.
+ *
+ * @param {string} name Calendar name shown by calendar apps
+ * @param {object[]} events
+ * @returns {string}
+ */
+function buildCalendar(name, events) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Cortal//Course Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  events
+    .filter((event) => event.start && !isNaN(new Date(event.start)))
+    .forEach((event) => lines.push(...eventLines(event, stamp)));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  EVENT_KINDS,
+  feedToken,
+  normalizeCourseEvent,
+  buildCalendar,
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { encodableText } = require('./annotations');
+
+/**
+ * Exam logistics: rooms, seats and exam slips.
+ *
+ * An exam may list its rooms and run for a set time:
+ *
+ *   exam.rooms = [ { id, name, capacity, extraTime } ]
+ *   exam.durationMinutes
+ *
+ * Students with an accommodation have `extraTimePercent` on their roster
+ * record. Their exam ends that much later, and when the exam has rooms marked
+ * `extraTime` they are seated there as a separate session.
+ *
+ * Seats are handed out in one go and kept on the exam:
+ *
+ *   exam.seating = { method: 'studentId' | 'random', assignedAt, assignedBy,
+ *                    seats: [ { studentEmail, roomId, seat } ] }
+ *
+ * Rooms fill up in order: by student ID, each room takes the next block of
+ * IDs; at random, students are shuffled first.
+ */
+
+const SEATING_METHODS = ['studentId', 'random'];
+
+function newId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Validate the rooms of an exam received from a client. Ids are kept when
+ * present. Throws an Error with a user-facing message if the list is
+ * invalid. Returns an empty list when there are no rooms.
+ *
+ * @param {object[]|string} raw Rooms or their JSON string
+ * @returns {object[]}
+ */
+function normalizeRooms(raw) {
+  const input = typeof raw === 'string' ? JSON.parse(raw || '[]') : raw;
+  if (!Array.isArray(input)) return [];
+  const ids = new Set();
+  const names = new Set();
+  return input.map((r, i) => {
+    const name = String((r && r.name) || '').trim();
+    if (!name) throw new Error(`Room ${i + 1} needs a name`);
+    if (names.has(name)) throw new Error(`There are two rooms called "${name}"`);
+    names.add(name);
+    const capacity = Number(r.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) throw new Error(`Room "${name}" needs a capacity of at least one seat`);
+    let id = r.id ? String(r.id) : newId();
+    if (ids.has(id)) id = newId();
+    ids.add(id);
+    return { id, name, capacity, extraTime: !!r.extraTime };
+  });
+}
+
+/**
+ * Read durationMinutes from a request body. Empty means no set end time.
+ * Throws an Error with a user-facing message when invalid.
+ */
+function parseDuration(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes <= 0) throw new Error('The duration must be a positive number of minutes');
+  return minutes;
+}
+
+/**
+ * Read extraTimePercent from a request body. Empty means no extra time.
+ * Throws an Error with a user-facing message when invalid.
+ */
+function parseExtraTime(value) {
+  if (value === '' || value === null || value === undefined) return 0;
+  const percent = Number(value);
+  if (!Number.isFinite(percent) || percent < 0) throw new Error('Extra time must be a non-negative percentage');
+  return percent;
+}
+
+function shuffle(list) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function fillRooms(rooms, list, label) {
+  const capacity = rooms.reduce((sum, r) => sum + r.capacity, 0);
+  if (list.length > capacity) {
+    throw new Error(`The ${label} have ${capacity} seat${capacity === 1 ? '' : 's'} for ${list.length} students`);
+  }
+  const seats = [];
+  let roomIndex = 0;
+  let seat = 0;
+  list.forEach((student) => {
+    if (seat === rooms[roomIndex].capacity) {
+      roomIndex++;
+      seat = 0;
+    }
+    seat++;
+    seats.push({ studentEmail: student.email, roomId: rooms[roomIndex].id, seat });
+  });
+  return seats;
+}
+
+/**
+ * Seat every student of the roster. Throws an Error with a user-facing
+ * message when the rooms are too small.
+ *
+ * @param {object} exam Exam with its rooms
+ * @param {object[]} roster Approved students ({ email, studentId, extraTimePercent })
+ * @param {string} method 'studentId' or 'random'
+ * @returns {object[]} seats
+ */
+function assignSeats(exam, roster, method) {
+  if (!SEATING_METHODS.includes(method)) throw new Error('Choose how seats are assigned');
+  const rooms = exam.rooms || [];
+  if (!rooms.length) throw new Error('Add the exam\'s rooms first');
+  const ordered = method === 'random'
+    ? shuffle(roster)
+    : roster.slice().sort((a, b) => String(a.studentId || '').localeCompare(String(b.studentId || ''), undefined, { numeric: true }));
+  const extraRooms = rooms.filter((r) => r.extraTime);
+  const mainRooms = rooms.filter((r) => !r.extraTime);
+  if (!extraRooms.length) return fillRooms(rooms, ordered, 'rooms');
+  const extra = ordered.filter((s) => s.extraTimePercent > 0);
+  const others = ordered.filter((s) => !(s.extraTimePercent > 0));
+  if (others.length && !mainRooms.length) throw new Error('Every room is for extra time: add a room for the other students');
+  return fillRooms(mainRooms, others, 'regular rooms').concat(fillRooms(extraRooms, extra, 'extra-time rooms'));
+}
+
+/**
+ * When a student's exam ends, given their extra time, or null when the exam
+ * has no duration.
+ */
+function examEnd(exam, extraTimePercent) {
+  if (!exam.durationMinutes || !exam.date) return null;
+  const minutes = exam.durationMinutes * (1 + (extraTimePercent || 0) / 100);
+  return new Date(new Date(exam.date).getTime() + Math.round(minutes * 60 * 1000));
+}
+
+function formatTime(date) {
+  return date ? new Date(date).toLocaleString() : '';
+}
+
+const A4 = [595.28, 841.89];
+const MARGIN = 48;
+
+/**
+ * Seating chart: per room, every seat with its student, for posting at the
+ * door or for proctors.
+ *
+ * @param {object} exam
+ * @param {object[]} rows { roomId, seat, studentId, name, extraTimePercent }
+ * @returns {Promise<Uint8Array>}
+ */
+async function seatingChartPdf(exam, rows) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const grey = rgb(0.43, 0.43, 0.45);
+  const columns = [MARGIN, MARGIN + 50, MARGIN + 160, A4[0] - MARGIN - 70];
+  let page;
+  let y;
+  const line = (cells, options = {}) => {
+    const size = options.size || 10;
+    if (y - size < MARGIN) newPage(options.room);
+    cells.forEach((text, i) => {
+      page.drawText(encodableText(String(text)), { x: columns[i], y: y - size, size, font: options.font || font, color: options.color || rgb(0, 0, 0) });
+    });
+    y -= size * 1.6;
+  };
+  const heading = (room) => {
+    line([`${room.name}${room.extraTime ? ' (extra time)' : ''}`], { size: 14, font: bold });
+    line(['Seat', 'Student ID', 'Name', 'Extra time'], { font: bold, color: grey });
+  };
+  const newPage = (room) => {
+    page = pdfDoc.addPage(A4);
+    y = A4[1] - MARGIN;
+    line([`Seating chart - ${exam.title}`], { size: 16, font: bold });
+    line([formatTime(exam.date)], { color: grey });
+    y -= 6;
+    if (room) heading(room);
+  };
+  (exam.rooms || []).forEach((room) => {
+    newPage(null);
+    heading(room);
+    rows.filter((r) => r.roomId === room.id).sort((a, b) => a.seat - b.seat).forEach((r) => {
+      line([r.seat, r.studentId || '', r.name, r.extraTimePercent ? `+${r.extraTimePercent}%` : ''], { room });
+    });
+  });
+  if (!pdfDoc.getPageCount()) newPage(null);
+  return pdfDoc.save();
+}
+
+/**
+ * Exam slips, four to a page: each student's room, seat and times.
+ *
+ * @param {object} exam
+ * @param {object[]} rows { roomName, seat, studentId, name, extraTimePercent, endsAt }
+ * @returns {Promise<Uint8Array>}
+ */
+async function examSlipsPdf(exam, rows) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const grey = rgb(0.43, 0.43, 0.45);
+  const slipHeight = (A4[1] - 2 * MARGIN) / 4;
+  let page;
+  rows.forEach((row, i) => {
+    if (i % 4 === 0) page = pdfDoc.addPage(A4);
+    const top = A4[1] - MARGIN - (i % 4) * slipHeight;
+    let y = top - 20;
+    const write = (text, options = {}) => {
+      const size = options.size || 11;
+      page.drawText(encodableText(String(text)), { x: options.x || MARGIN + 12, y, size, font: options.font || font, color: options.color || rgb(0, 0, 0) });
+      y -= size * 1.6;
+    };
+    page.drawRectangle({
+      x: MARGIN,
+      y: top - slipHeight + 8,
+      width: A4[0] - 2 * MARGIN,
+      height: slipHeight - 16,
+      borderColor: grey,
+      borderWidth: 0.75,
+      borderDashArray: [4, 3],
+    });
+    write(`Exam slip - ${exam.title}`, { size: 14, font: bold });
+    write(`${row.name}${row.studentId ? ` (${row.studentId})` : ''}`, { size: 12 });
+    y -= 4;
+    write(`Room: ${row.roomName}`, { size: 16, font: bold });
+    write(`Seat: ${row.seat}`, { size: 16, font: bold });
+    write(`Starts: ${formatTime(exam.date)}`);
+    if (row.endsAt) write(`Ends: ${formatTime(row.endsAt)}${row.extraTimePercent ? ` (extra time +${row.extraTimePercent}%)` : ''}`);
+    write('Bring this slip and your student ID card.', { size: 9, color: grey });
+  });
+  if (!rows.length) pdfDoc.addPage(A4);
+  return pdfDoc.save();
+}
+
+module.exports = {
+  SEATING_METHODS,
+  normalizeRooms,
+  parseDuration,
+  parseExtraTime,
+  assignSeats,
+  examEnd,
+  seatingChartPdf,
+  examSlipsPdf,
+};
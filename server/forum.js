@@ -0,0 +1,292 @@
+/**
+ * Discussion forum threads.
+ *
+ * A thread is an open discussion or a question (Q&A):
+ *
+ *   { id, title, content, type: 'discussion' | 'question', categoryId,
+ *     visibility: 'everyone' | 'staff', authorName, authorEmail, authorRole,
+ *     anonymous, date, archived, pinned, locked, attachmentPath, resolved,
+ *     acceptedCommentId, madePublicAt, madePublicBy, revisions,
+ *     comments: [ { id, authorName, authorEmail, authorRole, anonymous,
+ *                   content, date, attachmentPath, replyTo,
+ *                   upvotes: [email], revisions } ] }
+ *
+ * TAs sort threads into categories, each optionally about one assignment:
+ *
+ *   { id, name, assignmentId, createdAt }
+ *
+ * Pinned threads are listed first. Nobody can comment on or vote in a locked
+ * thread, but unlike an archived one it stays in the list.
+ *
+ * A private thread (visibility 'staff') is for questions that give away part
+ * of a solution: only its author and TAs can find, read or answer it. A TA may
+ * redact it and make it public. Threads posted before private threads existed
+ * have no visibility and are public. Making a thread public drops the edit
+ * history of the thread and its comments, which may hold what was redacted.
+ *
+ * Authors can edit a thread or comment for EDIT_WINDOW_MINUTES after posting
+ * it, TAs at any time. Each edit keeps the version it replaces in
+ * `revisions`, oldest first, with who replaced it and when:
+ *
+ *   { title, content, editedAt, editorName, editorEmail, editorRole }
+ *
+ * (`title` only for threads).
+ *
+ * When the course allows it, students may post threads and comments
+ * anonymously. The real author is stored and shown to TAs only; classmates
+ * never receive the name. Nobody but TAs receives authors' emails.
+ *
+ * On questions, comments are answers: anyone may upvote them, and the asker
+ * or a TA accepts one, which resolves the question and lists that answer
+ * first. A question can also be marked resolved without accepting an answer.
+ * Threads posted before Q&A existed have no type and are discussions.
+ */
+
+const THREAD_TYPES = ['discussion', 'question'];
+// Filters of the thread list (GET /api/forum?filter=)
+const THREAD_FILTERS = ['questions', 'unanswered'];
+const VISIBILITIES = ['everyone', 'staff'];
+const EDIT_WINDOW_MINUTES = 30;
+
+/**
+ * Validate a category received from a client. Throws an Error with a
+ * user-facing message if the name is missing.
+ *
+ * @param {object} input Request body
+ * @returns {object} name, assignmentId
+ */
+function normalizeCategory(input) {
+  const name = String(input.name || '').trim();
+  if (!name) throw new Error('The category needs a name');
+  if (name.length > 60) throw new Error('Category names can be at most 60 characters long');
+  return { name, assignmentId: input.assignmentId ? String(input.assignmentId) : null };
+}
+
+function threadType(thread) {
+  return thread.type === 'question' ? 'question' : 'discussion';
+}
+
+function isQuestion(thread) {
+  return threadType(thread) === 'question';
+}
+
+/**
+ * Questions still waiting for an answer, for TAs to triage.
+ */
+function isUnanswered(thread) {
+  return isQuestion(thread) && !thread.resolved;
+}
+
+function matchesFilter(thread, filter) {
+  if (filter === 'questions') return isQuestion(thread);
+  if (filter === 'unanswered') return isUnanswered(thread);
+  return true;
+}
+
+/**
+ * Pinned threads first; otherwise the list keeps its order (newest first).
+ */
+function compareThreads(a, b) {
+  return (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0);
+}
+
+function isStaff(viewer) {
+  return !!viewer && viewer.role === 'admin';
+}
+
+function isPrivate(thread) {
+  return thread.visibility === 'staff';
+}
+
+/**
+ * Whether a viewer ({ email, role } or null) may see a thread at all.
+ */
+function canView(thread, viewer) {
+  return !isPrivate(thread) || isStaff(viewer) || (!!viewer && thread.authorEmail === viewer.email);
+}
+
+/**
+ * The author fields of a thread or comment a viewer may see. `mine` tells
+ * authors their own posts apart, since anonymous ones carry no name.
+ */
+function authorFields(post, viewer) {
+  const staff = isStaff(viewer);
+  return {
+    authorName: post.anonymous && !staff ? undefined : post.authorName,
+    authorEmail: staff ? post.authorEmail : undefined,
+    anonymous: !!post.anonymous,
+    mine: !!viewer && post.authorEmail === viewer.email,
+  };
+}
+
+/**
+ * The thread as listed in GET /api/forum to a viewer ({ email, role } or
+ * null).
+ */
+function threadSummary(thread, viewer) {
+  return Object.assign({
+    id: thread.id,
+    title: thread.title,
+    date: thread.date,
+    authorRole: thread.authorRole,
+    commentCount: thread.comments.length,
+    archived: thread.archived,
+    categoryId: thread.categoryId || null,
+    visibility: isPrivate(thread) ? 'staff' : 'everyone',
+    pinned: !!thread.pinned,
+    locked: !!thread.locked,
+    type: threadType(thread),
+    resolved: isQuestion(thread) ? !!thread.resolved : undefined,
+    answered: isQuestion(thread) ? !!thread.acceptedCommentId : undefined,
+  }, authorFields(thread, viewer));
+}
+
+/**
+ * Whether a user ({ email, role }) may edit a thread or comment now.
+ */
+function canEdit(post, user, now = new Date()) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return post.authorEmail === user.email && now - new Date(post.date) <= EDIT_WINDOW_MINUTES * 60 * 1000;
+}
+
+/**
+ * Change a thread or comment, keeping the version it replaces. `changes`
+ * holds the new `content` and, for threads, `title`. Returns whether anything
+ * changed; an edit that changes nothing is not recorded.
+ *
+ * @param {object} post Thread or comment
+ * @param {object} changes
+ * @param {object} editor User record of whoever edits
+ */
+function editPost(post, changes, editor) {
+  const fields = Object.keys(changes).filter((key) => changes[key] !== post[key]);
+  if (!fields.length) return false;
+  const revision = { content: post.content };
+  if (post.title !== undefined) revision.title = post.title;
+  post.revisions = (post.revisions || []).concat(Object.assign(revision, {
+    editedAt: new Date().toISOString(),
+    editorName: editor.name,
+    editorEmail: editor.email,
+    editorRole: editor.role,
+  }));
+  fields.forEach((key) => { post[key] = changes[key]; });
+  return true;
+}
+
+/**
+ * The revisions of a post a viewer may see. An anonymous author's own edits
+ * do not give away their name to classmates.
+ */
+function revisionsView(post, viewer) {
+  const staff = isStaff(viewer);
+  return (post.revisions || []).map((r) => {
+    const byAuthor = r.editorEmail === post.authorEmail;
+    return {
+      title: r.title,
+      content: r.content,
+      editedAt: r.editedAt,
+      editorName: byAuthor && post.anonymous && !staff ? undefined : r.editorName,
+      editorRole: r.editorRole,
+      byAuthor,
+    };
+  });
+}
+
+// Authors cannot edit in a locked thread
+function editFields(thread, post, viewer) {
+  const revisions = revisionsView(post, viewer);
+  return {
+    revisions,
+    edited: revisions.length > 0,
+    editedAt: revisions.length ? revisions[revisions.length - 1].editedAt : null,
+    editable: canEdit(post, viewer) && (!thread.locked || isStaff(viewer)),
+  };
+}
+
+// Accepted answer first, then by votes; ties keep the order they were posted.
+function rankAnswers(thread, comments) {
+  const score = (c) => (c.id === thread.acceptedCommentId ? Infinity : c.upvoteCount);
+  return comments
+    .map((c, i) => ({ c, i }))
+    .sort((a, b) => score(b.c) - score(a.c) || a.i - b.i)
+    .map(({ c }) => c);
+}
+
+/**
+ * The thread as returned by GET /api/forum/:id to a viewer ({ email, role }
+ * or null). Votes are returned as counts, with whether the viewer cast one;
+ * `isAuthor` and `mine` flag the viewer's own thread and comments, and
+ * `editable` those the viewer may edit now. The answers of a question are
+ * ranked.
+ */
+function threadView(thread, viewer) {
+  const email = viewer ? viewer.email : null;
+  const comments = thread.comments.map((c) => Object.assign({}, c, authorFields(c, viewer), editFields(thread, c, viewer), {
+    upvotes: undefined,
+    upvoteCount: (c.upvotes || []).length,
+    upvoted: !!email && (c.upvotes || []).includes(email),
+    accepted: isQuestion(thread) && c.id === thread.acceptedCommentId,
+  }));
+  return Object.assign({}, thread, authorFields(thread, viewer), editFields(thread, thread, viewer), {
+    categoryId: thread.categoryId || null,
+    visibility: isPrivate(thread) ? 'staff' : 'everyone',
+    pinned: !!thread.pinned,
+    locked: !!thread.locked,
+    type: threadType(thread),
+    resolved: isQuestion(thread) ? !!thread.resolved : undefined,
+    acceptedCommentId: isQuestion(thread) ? thread.acceptedCommentId || null : undefined,
+    isAuthor: !!email && thread.authorEmail === email,
+    comments: isQuestion(thread) ? rankAnswers(thread, comments) : comments,
+  });
+}
+
+/**
+ * The name to show classmates for the author of a post, for notifications.
+ */
+function publicAuthorName(post) {
+  return post.anonymous ? 'An anonymous classmate' : post.authorName;
+}
+
+/**
+ * Whether a user ({ email, role }) may accept an answer or change whether a
+ * question is resolved: the asker and TAs.
+ */
+function canModerateQuestion(thread, user) {
+  return !!user && (user.role === 'admin' || thread.authorEmail === user.email);
+}
+
+/**
+ * Add or take back the user's vote on a comment. Returns whether the user
+ * now upvotes it.
+ */
+function toggleUpvote(comment, email) {
+  comment.upvotes = comment.upvotes || [];
+  const idx = comment.upvotes.indexOf(email);
+  if (idx === -1) {
+    comment.upvotes.push(email);
+    return true;
+  }
+  comment.upvotes.splice(idx, 1);
+  return false;
+}
+
+module.exports = {
+  THREAD_TYPES,
+  THREAD_FILTERS,
+  VISIBILITIES,
+  EDIT_WINDOW_MINUTES,
+  normalizeCategory,
+  isQuestion,
+  matchesFilter,
+  isPrivate,
+  canView,
+  compareThreads,
+  threadSummary,
+  threadView,
+  publicAuthorName,
+  canEdit,
+  editPost,
+  canModerateQuestion,
+  toggleUpvote,
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { finalGrade } = require('./latePolicy');
+
+/**
+ * Weighted gradebook.
+ *
+ * Course-wide settings (stored as `gradebookSettings`):
+ *
+ *   { categories: [ { id, name, weight, dropLowest } ],
+ *     letterScale: [ { label, min, color } ] }      (sorted by min, descending)
+ *
+ * Assignments point at a category through `assignment.categoryId`. A
+ * student's score on an assignment is the grade after the late penalty, or a
+ * TA override from the gradeOverrides collection:
+ *
+ *   { id, studentEmail, assignmentId, grade, note, updatedBy, updatedAt }
+ *
+ * where assignmentId null overrides the final course grade.
+ *
+ * Category averages ignore assignments without a score and drop the lowest
+ * `dropLowest` scores (always keeping at least one). The final grade is the
+ * weighted mean of the categories that have scores, so weights are
+ * renormalized while parts of the course are still ungraded. Without any
+ * categories every assignment counts equally; once categories exist,
+ * uncategorized assignments are shown but do not count.
+ */
+
+// Default scale; matches the thresholds the course has always used
+const DEFAULT_LETTER_SCALE = [
+  { label: 'A+', min: 95, color: '#34C759' },
+  { label: 'A', min: 90, color: '#30B158' },
+  { label: 'A-', min: 85, color: '#28A745' },
+  { label: 'B', min: 80, color: '#5AC8FA' },
+  { label: 'C', min: 70, color: '#FFCC00' },
+  { label: 'D', min: 60, color: '#FF9F0A' },
+  { label: 'Failed', min: 0, color: '#FF3B30' },
+];
+
+function defaultSettings() {
+  return { categories: [], letterScale: DEFAULT_LETTER_SCALE.map((l) => Object.assign({}, l)) };
+}
+
+/**
+ * Validate gradebook settings from a request. Throws an Error with a
+ * user-facing message when invalid.
+ */
+function normalizeSettings(input) {
+  const data = input || {};
+  const categories = (Array.isArray(data.categories) ? data.categories : []).map((c, i) => {
+    const name = String((c && c.name) || '').trim();
+    if (!name) throw new Error(`Category ${i + 1} needs a name`);
+    const weight = Number(c.weight);
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`Category "${name}" needs a non-negative weight`);
+    const dropLowest = Number(c.dropLowest || 0);
+    if (!Number.isInteger(dropLowest) || dropLowest < 0) throw new Error(`Drop count of "${name}" must be a whole number`);
+    return { id: c.id ? String(c.id) : crypto.randomBytes(6).toString('hex'), name, weight, dropLowest };
+  });
+  const scaleInput = Array.isArray(data.letterScale) && data.letterScale.length ? data.letterScale : DEFAULT_LETTER_SCALE;
+  const letterScale = scaleInput.map((l, i) => {
+    const label = String((l && l.label) || '').trim();
+    if (!label) throw new Error(`Letter grade ${i + 1} needs a label`);
+    const min = Number(l.min);
+    if (!Number.isFinite(min)) throw new Error(`Letter grade "${label}" needs a minimum score`);
+    const color = typeof l.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(l.color) ? l.color : '#8e8e93';
+    return { label, min, color };
+  });
+  letterScale.sort((a, b) => b.min - a.min);
+  return { categories, letterScale };
+}
+
+/**
+ * Letter grade and colour of a score on the given scale. Scores below every
+ * threshold get the lowest entry.
+ */
+function letterFor(score, letterScale) {
+  const s = Number(score);
+  const entry = letterScale.find((l) => s >= l.min) || letterScale[letterScale.length - 1];
+  return { label: entry.label, color: entry.color };
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Compute one student's row of the gradebook.
+ *
+ * @param {string} email Student email
+ * @param {object} ctx { assignments, submissions, overrides, settings }
+ * @returns {object} { cells, categories, final }
+ */
+function computeStudent(email, ctx) {
+  const { assignments, submissions, overrides, settings } = ctx;
+  const cells = {};
+  assignments.forEach((a) => {
+    const sub = submissions.find((s) => s.assignmentId === a.id && s.studentEmail === email);
+    const override = overrides.find((o) => o.studentEmail === email && o.assignmentId === a.id);
+    const cell = {
+      submitted: !!sub,
+      graded: !!(sub && sub.graded),
+      grade: sub && sub.graded ? Number(sub.grade) : null,
+      latePenalty: sub ? sub.latePenalty || 0 : 0,
+      score: sub ? finalGrade(sub) : null,
+      overridden: false,
+    };
+    if (override) {
+      cell.score = Number(override.grade);
+      cell.overridden = true;
+      cell.note = override.note || '';
+    }
+    cells[a.id] = cell;
+  });
+
+  const groups = settings.categories.length
+    ? settings.categories.map((c) => ({ category: c, assignments: assignments.filter((a) => a.categoryId === c.id) }))
+    : [{ category: { id: null, name: 'All assignments', weight: 1, dropLowest: 0 }, assignments }];
+
+  const categories = {};
+  let weighted = 0;
+  let weightUsed = 0;
+  groups.forEach(({ category, assignments: members }) => {
+    const scored = members
+      .filter((a) => cells[a.id].score !== null)
+      .map((a) => ({ id: a.id, score: cells[a.id].score }))
+      .sort((x, y) => x.score - y.score);
+    const dropCount = Math.min(category.dropLowest || 0, Math.max(scored.length - 1, 0));
+    const dropped = scored.slice(0, dropCount).map((x) => x.id);
+    const kept = scored.slice(dropCount);
+    const average = kept.length ? round2(kept.reduce((sum, x) => sum + x.score, 0) / kept.length) : null;
+    dropped.forEach((id) => { cells[id].dropped = true; });
+    if (category.id) categories[category.id] = { average, dropped, count: kept.length };
+    if (average !== null && category.weight > 0) {
+      weighted += average * category.weight;
+      weightUsed += category.weight;
+    }
+  });
+
+  let score = weightUsed ? round2(weighted / weightUsed) : null;
+  let overridden = false;
+  let note = '';
+  const finalOverride = overrides.find((o) => o.studentEmail === email && !o.assignmentId);
+  if (finalOverride) {
+    score = Number(finalOverride.grade);
+    overridden = true;
+    note = finalOverride.note || '';
+  }
+  const count = Object.keys(cells).filter((id) => cells[id].score !== null).length;
+  const final = { score, overridden, note, count, letter: null, color: null };
+  if (score !== null) {
+    const letter = letterFor(score, settings.letterScale);
+    final.letter = letter.label;
+    final.color = letter.color;
+  }
+  return { cells, categories, final };
+}
+
+module.exports = { defaultSettings, normalizeSettings, letterFor, computeStudent };
@@ -0,0 +1,254 @@
+/**
+ * Grading workload: who grades what, and how grading is going.
+ *
+ * An assignment's grading plan (`assignment.gradingPlan`) distributes its
+ * submissions among TAs:
+ *
+ *   { mode: 'round-robin' | 'section' | 'question',
+ *     graders: [email],                   (round-robin)
+ *     sections: { sectionName: email },   (section: by the student's roster section)
+ *     questions: { questionId: email } } (question: by problem)
+ *
+ * In round-robin and section mode every submission has one grader
+ * (`submission.graderEmail`). In question mode each TA scores their problems
+ * on every submission. The questions are the assignment's problems (see
+ * questions.js), whose scores are kept in `submission.questionScores`, or
+ * else its rubric criteria, whose partial scores are kept in
+ * `submission.rubricDraft` until every criterion has one. A graded submission
+ * whose rubric gained a criterion is back in the queue, marked
+ * `needsRegrading`, with its earlier selections as the draft.
+ *
+ * Time spent on the grading page is logged per save in
+ * `submission.gradingTime` as { graderEmail, seconds, at }, and the grader who
+ * last graded a submission in `submission.gradedBy`.
+ */
+
+const GRADING_MODES = ['round-robin', 'section', 'question'];
+
+// A grader whose average score differs from the assignment's average by more
+// than this many points is flagged on the progress dashboard
+const GRADER_DEVIATION_WARNING = 10;
+
+// Longer stretches on the grading page are capped: the grader was away
+const MAX_SESSION_SECONDS = 2 * 60 * 60;
+
+/**
+ * Validate a grading plan from a request. Throws an Error with a user-facing
+ * message when invalid.
+ *
+ * @param {object} input Plan sent by the client
+ * @param {object} ctx { adminEmails: string[], questions: object[]|null, rubric: object|null }
+ * @returns {object}
+ */
+function normalizeGradingPlan(input, ctx) {
+  const data = input || {};
+  if (!GRADING_MODES.includes(data.mode)) throw new Error('Choose how submissions are distributed');
+  const checkGrader = (email) => {
+    if (!ctx.adminEmails.includes(email)) throw new Error(`${email} is not a TA`);
+    return email;
+  };
+  const plan = { mode: data.mode, graders: [], sections: {}, questions: {} };
+  if (data.mode === 'round-robin') {
+    plan.graders = [...new Set((Array.isArray(data.graders) ? data.graders : []).map(checkGrader))];
+    if (!plan.graders.length) throw new Error('Pick at least one grader');
+  } else if (data.mode === 'section') {
+    Object.entries(data.sections || {}).forEach(([section, email]) => {
+      if (email) plan.sections[section] = checkGrader(email);
+    });
+    if (!Object.keys(plan.sections).length) throw new Error('Give at least one section a grader');
+  } else {
+    const parts = ctx.questions || (ctx.rubric && ctx.rubric.criteria);
+    if (!parts) throw new Error('Grading by question needs the assignment\'s problems or a rubric');
+    const questionIds = parts.map((q) => q.id);
+    Object.entries(data.questions || {}).forEach(([questionId, email]) => {
+      if (!questionIds.includes(questionId)) throw new Error(ctx.questions ? 'Unknown problem' : 'Unknown rubric criterion');
+      if (email) plan.questions[questionId] = checkGrader(email);
+    });
+    if (!Object.keys(plan.questions).length) throw new Error('Give at least one question a grader');
+  }
+  return plan;
+}
+
+/**
+ * Grader of a new or redistributed submission, or null if nobody is due to
+ * grade it. Round-robin picks the grader with the fewest submissions of the
+ * assignment so far (in plan order on ties).
+ *
+ * @param {object} plan Grading plan
+ * @param {object} sub Submission
+ * @param {object[]} siblings Other submissions of the assignment
+ * @param {object|null} student Roster record of the submitting student
+ */
+function pickGrader(plan, sub, siblings, student) {
+  if (plan.mode === 'round-robin') {
+    const load = (email) => siblings.filter((s) => s !== sub && s.graderEmail === email).length;
+    return plan.graders.reduce((best, email) => (load(email) < load(best) ? email : best), plan.graders[0]);
+  }
+  if (plan.mode === 'section') {
+    const section = student && student.section;
+    return (section && plan.sections[section]) || null;
+  }
+  return null;
+}
+
+/**
+ * Apply a (new) plan to an assignment's submissions. Graded submissions keep
+ * their grader; ungraded ones are handed out again, oldest first.
+ */
+function distribute(plan, subs, studentByEmail) {
+  const ungraded = subs.filter((s) => !s.graded).sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+  ungraded.forEach((s) => { delete s.graderEmail; });
+  if (plan.mode === 'question') {
+    subs.forEach((s) => { delete s.graderEmail; });
+    return;
+  }
+  ungraded.forEach((s) => {
+    const grader = pickGrader(plan, s, subs, studentByEmail(s.studentEmail));
+    if (grader) s.graderEmail = grader;
+  });
+}
+
+/**
+ * Problems or rubric criteria a grader scores in question mode.
+ */
+function questionsOf(plan, email) {
+  return Object.keys(plan.questions || {}).filter((id) => plan.questions[id] === email);
+}
+
+/**
+ * Score given for a question: the problem's score, or the level chosen for a
+ * rubric criterion (final or, while the submission is still being scored
+ * question by question, the draft).
+ */
+function scoredPart(sub, questionId) {
+  return (sub.questionScores || {})[questionId] || (sub.rubricScores || {})[questionId] || (sub.rubricDraft || {})[questionId];
+}
+
+/**
+ * Whether a grader has a submission in their queue and whether their part of
+ * it is done. Returns null when the submission is not theirs.
+ */
+function queueStatus(plan, sub, email) {
+  if (!plan) return null;
+  if (plan.mode === 'question') {
+    const mine = questionsOf(plan, email);
+    if (!mine.length) return null;
+    return { questions: mine, done: (sub.graded && !sub.needsRegrading) || mine.every((id) => scoredPart(sub, id)) };
+  }
+  if (sub.graderEmail !== email) return null;
+  return { questions: null, done: !!sub.graded && !sub.needsRegrading };
+}
+
+/**
+ * Record time spent on the grading page.
+ */
+function logGradingTime(sub, email, seconds) {
+  const value = Math.round(Number(seconds));
+  if (!Number.isFinite(value) || value <= 0) return;
+  if (!Array.isArray(sub.gradingTime)) sub.gradingTime = [];
+  sub.gradingTime.push({ graderEmail: email, seconds: Math.min(value, MAX_SESSION_SECONDS), at: new Date().toISOString() });
+}
+
+function mean(values) {
+  return values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100 : null;
+}
+
+/**
+ * Percentage a submission got on some questions.
+ */
+function questionsPercent(assignment, sub, questionIds) {
+  let points = 0;
+  let max = 0;
+  for (const id of questionIds) {
+    if (assignment.questions) {
+      const question = assignment.questions.find((q) => q.id === id);
+      if (!question) continue;
+      const entry = scoredPart(sub, id);
+      if (!entry) return null;
+      points += entry.score;
+      max += question.points;
+      continue;
+    }
+    const criterion = assignment.rubric.criteria.find((c) => c.id === id);
+    if (!criterion) continue;
+    const level = criterion.levels.find((l) => l.id === scoredPart(sub, id));
+    if (!level) return null;
+    points += level.points;
+    max += Math.max(...criterion.levels.map((l) => l.points));
+  }
+  return max > 0 ? (points / max) * 100 : null;
+}
+
+/**
+ * Per-grader progress on an assignment: how much of their share is graded,
+ * the time they logged and the average score they give, compared with the
+ * assignment's average. In question mode scores are percentages on the
+ * grader's own questions; as nobody else grades those, they are not compared.
+ *
+ * @param {object} assignment
+ * @param {object[]} subs Submissions of the assignment
+ * @param {function} nameOf Display name of a TA's email
+ * @returns {object} { mode, average, unassigned, graders: [...] }
+ */
+function progressReport(assignment, subs, nameOf) {
+  const plan = assignment.gradingPlan || null;
+  const questionMode = !!plan && plan.mode === 'question' && !!(assignment.questions || assignment.rubric);
+  const emails = new Set();
+  if (plan) {
+    plan.graders.forEach((e) => emails.add(e));
+    Object.values(plan.sections).forEach((e) => emails.add(e));
+    Object.values(plan.questions).forEach((e) => emails.add(e));
+  }
+  subs.forEach((s) => {
+    if (s.gradedBy) emails.add(s.gradedBy);
+    (s.gradingTime || []).forEach((t) => emails.add(t.graderEmail));
+  });
+
+  const scoreOf = (sub, email) => {
+    if (questionMode) return questionsPercent(assignment, sub, questionsOf(plan, email));
+    return sub.graded && sub.gradedBy === email ? Number(sub.grade) : null;
+  };
+  const graders = [...emails].map((email) => {
+    const status = subs.map((s) => queueStatus(plan, s, email)).filter(Boolean);
+    const sessions = subs.map((s) => (s.gradingTime || []).filter((t) => t.graderEmail === email)).filter((list) => list.length);
+    const seconds = sessions.reduce((sum, list) => sum + list.reduce((a, t) => a + t.seconds, 0), 0);
+    const scores = subs.map((s) => scoreOf(s, email)).filter((x) => x !== null);
+    return {
+      email,
+      name: nameOf(email),
+      assigned: status.length,
+      graded: status.filter((x) => x.done).length,
+      seconds,
+      secondsPerSubmission: sessions.length ? Math.round(seconds / sessions.length) : null,
+      scored: scores.length,
+      averageScore: mean(scores),
+    };
+  });
+  const allScores = questionMode
+    ? subs.map((s) => questionsPercent(assignment, s, Object.keys(plan.questions))).filter((x) => x !== null)
+    : subs.filter((s) => s.graded).map((s) => Number(s.grade));
+  const average = mean(allScores);
+  graders.forEach((g) => {
+    g.deviation = !questionMode && g.averageScore !== null && average !== null ? Math.round((g.averageScore - average) * 100) / 100 : null;
+    g.flagged = g.deviation !== null && Math.abs(g.deviation) > GRADER_DEVIATION_WARNING;
+  });
+  return {
+    mode: plan ? plan.mode : null,
+    average,
+    threshold: GRADER_DEVIATION_WARNING,
+    submissions: subs.length,
+    graded: subs.filter((s) => s.graded).length,
+    unassigned: plan && !questionMode ? subs.filter((s) => !s.graderEmail && !s.graded).length : 0,
+    graders,
+  };
+}
+
+module.exports = {
+  normalizeGradingPlan,
+  pickGrader,
+  distribute,
+  questionsOf,
+  queueStatus,
+  logGradingTime,
+  progressReport,
+};
@@ -0,0 +1,73 @@
+/**
+ * Group assignments.
+ *
+ * An assignment is done in groups when it has `groupSize` (the maximum
+ * number of members, at least 2). With `selfFormedGroups` students create and
+ * join groups themselves; otherwise only TAs define them. Groups live in the
+ * groups collection:
+ *
+ *   { id, assignmentId, name, members: [email, ...], createdBy, createdAt }
+ *
+ * A group has at most one submission, marked with `submission.groupId`. Its
+ * studentEmail/studentName are those of the member who first submitted. The
+ * grade applies to every member unless `submission.memberGrades` holds an
+ * individual grade ({ email: grade }) for that member.
+ */
+
+/**
+ * Read groupSize from a request body. Empty means the assignment is
+ * individual. Throws an Error with a user-facing message when invalid.
+ */
+function parseGroupSize(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 2) throw new Error('Group size must be a whole number of at least 2');
+  return size;
+}
+
+function isGroupAssignment(assignment) {
+  return !!assignment && Number(assignment.groupSize) >= 2;
+}
+
+/**
+ * Grade of one member of a (possibly group) submission.
+ */
+function memberGrade(sub, email) {
+  const own = sub.memberGrades && sub.memberGrades[email];
+  return own !== undefined && own !== null ? own : sub.grade;
+}
+
+/**
+ * Expand group submissions into one record per member so that per-student
+ * reports (gradebook, CSV export, statistics) treat each member as having
+ * submitted, with their own grade. Individual submissions are returned as is.
+ *
+ * @param {object[]} subs Submissions
+ * @param {object[]} groups All groups
+ * @param {Function} studentByEmail Returns the student record for an email, if any
+ * @returns {object[]}
+ */
+function memberSubmissions(subs, groups, studentByEmail) {
+  const result = [];
+  subs.forEach((sub) => {
+    const group = sub.groupId && groups.find((g) => g.id === sub.groupId);
+    if (!group) {
+      result.push(sub);
+      return;
+    }
+    group.members.forEach((email) => {
+      const student = studentByEmail(email) || {};
+      result.push(Object.assign({}, sub, {
+        studentEmail: email,
+        studentName: student.name || email,
+        studentID: student.studentId || '',
+        studentNameZh: student.studentNameZh || '',
+        grade: memberGrade(sub, email),
+        groupName: group.name,
+      }));
+    });
+  });
+  return result;
+}
+
+module.exports = { parseGroupSize, isGroupAssignment, memberGrade, memberSubmissions };
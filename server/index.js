@@ -3,10 +3,34 @@ const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const { PDFDocument, rgb } = require('pdf-lib');
 const nodemailer = require('nodemailer');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { createStore } = require('./storage');
+const { MAX_ANNOTATION_BYTES, normalizeAnnotations, hasAnnotations, flattenAnnotations } = require('./annotations');
+const { normalizeRubric, scoreRubric } = require('./rubrics');
+const { normalizeLatePolicy, assessLateness, finalGrade } = require('./latePolicy');
+const { defaultSettings, normalizeSettings, letterFor, computeStudent } = require('./gradebook');
+const { fileReceipt, currentVersion, ensureVersions } = require('./versions');
+const { buildExportZip, planImport } = require('./bulkGrading');
+const { parseGroupSize, isGroupAssignment, memberGrade, memberSubmissions } = require('./groups');
+const { assignPseudonym, pseudonym, anonymizeSubmission } = require('./anonymity');
+const { normalizeGradingPlan, pickGrader, distribute, queueStatus, logGradingTime, progressReport } = require('./gradingWork');
+const { normalizeQuestions, normalizePageMap, countPages, normalizeQuestionScores, scoreQuestions, addScoreSheet } = require('./questions');
+const {
+  normalizeBankQuestion, normalizeQuiz, drawQuestions, attemptDeadline, acceptsAnswers, normalizeAnswers,
+  updateScore, submitAttempt, pendingQuestions, studentAttemptView, gradebookRecord,
+} = require('./quizzes');
+const { normalizeRooms, parseDuration, parseExtraTime, assignSeats, examEnd, seatingChartPdf, examSlipsPdf } = require('./examSeating');
+const { feedToken, normalizeCourseEvent, buildCalendar } = require('./calendar');
+const { parseTags, normalizeResourceFields, isPublished, compareResources, searchResources } = require('./resources');
+const { markdownText, createSearchIndex } = require('./search');
+const {
+  THREAD_TYPES, THREAD_FILTERS, VISIBILITIES, EDIT_WINDOW_MINUTES, normalizeCategory, isQuestion, matchesFilter,
+  isPrivate, canView, compareThreads, threadSummary, threadView, publicAuthorName, canEdit, editPost,
+  canModerateQuestion, toggleUpvote,
+} = require('./forum');
+const { extractPdfText } = require('./pdfText');
 
 // Secret for JWT signing. In production this should be stored in an env var.
 const JWT_SECRET = process.env.JWT_SECRET || 'temporary-dev-secret';
@@ -26,6 +50,12 @@ const exams = [];
 // Course information (editable via API). Initially provide a default description.
 let courseInfo = `This course introduces the foundations of modern algebra, including group theory, ring theory, and linear algebra. Throughout the semester we will explore algebraic structures and their applications.`;
 
+// Gradebook categories, weights, drop rules and letter scale (see gradebook.js)
+let gradebookSettings = defaultSettings();
+
+// Forum options: whether students may post anonymously to classmates
+let forumSettings = { anonymousPosting: false };
+
 // TA invitation code. In lieu of a persistent database we store it in this
 // variable. Administrators can update it via the /api/taCode endpoint.
 global.taInvitationCode = 'TA2025';
@@ -63,6 +93,41 @@ function findStudentById(studentId) {
 }
 // Messages store for private messaging. Each message has {id, fromName, fromEmail, toName, toEmail, subject, content, date, read}
 const messages = [];
+// Reusable grading rubrics: { id, name, rubric: { criteria }, createdBy, createdAt }
+const rubricTemplates = [];
+// Per-student deadline extensions: { id, assignmentId, studentEmail, dueDate, reason, grantedBy, grantedAt }
+const extensions = [];
+// Manual gradebook overrides: { id, studentEmail, assignmentId (null = final grade), grade, note, updatedBy, updatedAt }
+const gradeOverrides = [];
+// Regrade requests on graded submissions:
+// { id, assignmentId, submissionId, studentEmail, studentName, reason, page, criterionId,
+//   status ('open' | 'accepted' | 'rejected'), createdAt, resolvedBy, resolvedAt, response,
+//   previousGrade, newGrade }
+const regradeRequests = [];
+// Groups for group assignments (see groups.js):
+// { id, assignmentId, name, members: [email], createdBy, createdAt }
+const groups = [];
+// Audit trail of sensitive grading actions, such as revealing the identities
+// behind an anonymously graded assignment:
+// { id, action, assignmentId, actorEmail, at, ...details }
+const auditLog = [];
+// Online quizzes (see quizzes.js): the question bank, the quizzes drawing
+// from it and the students' attempts
+const quizQuestions = [];
+const quizzes = [];
+const quizAttempts = [];
+// Office hours and other dated course events shown in the calendar (see
+// calendar.js)
+const courseEvents = [];
+// Full-text search over the collections above (see search.js). The index is
+// brought up to date on the first search after a change, and the text of
+// uploaded PDFs is extracted once per file.
+const searchIndex = createSearchIndex();
+let searchIndexStale = true;
+const pdfTexts = new Map();
+// Days after a student is told their grade during which they may request a
+// regrade, unless the assignment sets its own regradeWindowDays
+const REGRADE_WINDOW_DAYS = 7;
 
 // -----------------------------------------------------------------------------
 // Password reset workflow
@@ -81,40 +146,26 @@ const messages = [];
 
 // NOTE: The password reset routes are registered after the Express app is created.
 
-// Data persistence: path to save/load application state. This enables the server
-// to retain announcements, assignments, submissions and other entities across
-// restarts. In production you would use a proper database, but for this
-// demonstration we serialize to a JSON file within the server directory.
-const DATA_FILE = path.join(__dirname, 'data.json');
+// Data persistence. Application state is kept in the in-memory arrays above
+// and written through a pluggable storage backend (see ./storage): by default
+// a JSON document (data.json) maintained with a write-ahead journal and
+// atomic renames, or an SQLite database when STORAGE_DRIVER=sqlite. An
+// existing data.json can be moved into SQLite with `npm run migrate`.
+const store = createStore();
 
 /**
- * Load persistent data from the data file into the in-memory arrays. This
- * function mutates the existing arrays rather than reassigning them so that
- * references remain valid. If no file exists, it creates one with initial
- * empty data. Any errors are silently ignored.
+ * Load persistent data from the configured store into the in-memory arrays.
+ * This function mutates the existing arrays rather than reassigning them so
+ * that references remain valid. If the store is empty, it is initialised
+ * with the current (empty) state. Any errors are logged and ignored.
  */
 function loadData() {
   try {
-    if (!fs.existsSync(DATA_FILE)) {
-      fs.writeFileSync(DATA_FILE, JSON.stringify({
-        announcements: [],
-        assignments: [],
-        submissions: [],
-        resources: [],
-        exams: [],
-        notifications: [],
-        users: [],
-        pendingStudents: [],
-        students: [],
-        forumThreads: [],
-        messages: [],
-        courseInfo: courseInfo,
-        taInvitationCode: global.taInvitationCode,
-        resetTokens: []
-      }, null, 2));
+    const data = store.load();
+    if (!data) {
+      saveData();
+      return;
     }
-    const raw = fs.readFileSync(DATA_FILE, 'utf8');
-    const data = JSON.parse(raw);
     // Repopulate arrays
     announcements.splice(0, announcements.length, ...(data.announcements || []));
     assignments.splice(0, assignments.length, ...(data.assignments || []));
@@ -126,7 +177,18 @@ function loadData() {
     pendingStudents.splice(0, pendingStudents.length, ...(data.pendingStudents || []));
     students.splice(0, students.length, ...(data.students || []));
     forumThreads.splice(0, forumThreads.length, ...(data.forumThreads || []));
+    forumCategories.splice(0, forumCategories.length, ...(data.forumCategories || []));
     messages.splice(0, messages.length, ...(data.messages || []));
+    rubricTemplates.splice(0, rubricTemplates.length, ...(data.rubricTemplates || []));
+    extensions.splice(0, extensions.length, ...(data.extensions || []));
+    gradeOverrides.splice(0, gradeOverrides.length, ...(data.gradeOverrides || []));
+    regradeRequests.splice(0, regradeRequests.length, ...(data.regradeRequests || []));
+    groups.splice(0, groups.length, ...(data.groups || []));
+    auditLog.splice(0, auditLog.length, ...(data.auditLog || []));
+    quizQuestions.splice(0, quizQuestions.length, ...(data.quizQuestions || []));
+    quizzes.splice(0, quizzes.length, ...(data.quizzes || []));
+    quizAttempts.splice(0, quizAttempts.length, ...(data.quizAttempts || []));
+    courseEvents.splice(0, courseEvents.length, ...(data.courseEvents || []));
     // For backwards compatibility, ignore loading legacy resetRequests from data file
     if (Array.isArray(data.resetTokens)) {
       resetTokens.splice(0, resetTokens.length, ...data.resetTokens);
@@ -134,23 +196,36 @@ function loadData() {
     if (data.courseInfo) {
       courseInfo = data.courseInfo;
     }
+    if (data.gradebookSettings) {
+      gradebookSettings = data.gradebookSettings;
+    }
+    if (data.forumSettings) {
+      forumSettings = data.forumSettings;
+    }
     if (data.taInvitationCode) {
       global.taInvitationCode = data.taInvitationCode;
     }
+    // Submissions stored before version history get their file as version 1
+    if (submissions.filter(ensureVersions).length) {
+      saveData();
+    }
   } catch (err) {
     console.error('Failed to load data:', err);
   }
 }
 
 /**
- * Persist the current in-memory data to the data file. This is called
- * whenever a mutating operation occurs (e.g. creating assignments,
- * approving students, posting messages). Errors are logged but do not
- * interrupt request handling.
+ * Persist the current in-memory data. This is called whenever a mutating
+ * operation occurs (e.g. creating assignments, approving students, posting
+ * messages). The store coalesces calls made in the same tick and writes
+ * asynchronously, so request handlers are not blocked; errors are logged by
+ * the store and do not interrupt request handling. Every change may affect
+ * search results, so the search index is marked out of date as well.
  */
 function saveData() {
+  searchIndexStale = true;
   try {
-    const data = {
+    store.save({
       announcements,
       assignments,
       submissions,
@@ -161,17 +236,41 @@ function saveData() {
       pendingStudents,
       students,
       forumThreads,
+      forumCategories,
       messages,
+      rubricTemplates,
+      extensions,
+      gradeOverrides,
+      regradeRequests,
+      groups,
+      auditLog,
+      quizQuestions,
+      quizzes,
+      quizAttempts,
+      courseEvents,
       courseInfo,
+      gradebookSettings,
+      forumSettings,
       taInvitationCode: global.taInvitationCode,
       resetTokens
-    };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+    });
   } catch (err) {
     console.error('Failed to save data:', err);
   }
 }
 
+// Write anything still queued before the process goes away.
+process.on('exit', () => {
+  try {
+    store.close();
+  } catch (err) {
+    console.error('Failed to flush data on exit:', err);
+  }
+});
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => process.exit(0));
+});
+
 /**
  * Create a new notification record for the specified user. This helper is used
  * by email notifications to also provide a bell notification in the UI.
@@ -192,14 +291,17 @@ function saveData() {
  * @param {object} [extra] Optional additional properties to include
  */
 function createNotification(email, message, extra = {}) {
-  const id = Date.now().toString();
+  // Random, not time-based: a batch (publishing grades, an announcement)
+  // creates many notifications within the same millisecond
+  const id = require('crypto').randomUUID();
   const note = Object.assign({ id, email, message, read: false, date: new Date().toISOString() }, extra);
   notifications.push(note);
 }
 
-// Discussion forum threads (in-memory). Each thread has fields:
-// { id, title, content, authorName, authorEmail, date, archived, comments: [ { id, authorName, authorEmail, content, date } ] }
+// Discussion forum threads and questions, and the categories TAs sort them
+// into (in-memory, see forum.js)
 const forumThreads = [];
+const forumCategories = [];
 
 /**
  * Generate a JWT token for the given user. Only includes email and role for
@@ -243,22 +345,302 @@ function adminRequired(req, res, next) {
 }
 
 /**
- * Compute grade band and colour for a numeric score according to course policy.
- * Categories: A+ (95+), A (90–94), A- (85–89), B (80–84), C (70–79),
- * D (60–69), Failed (0–59). Colours approximate iOS accent colours.
+ * Middleware to restrict a route to approved students. Admins/TAs and pending
+ * registrations are rejected. Must run after authRequired.
+ */
+function studentRequired(req, res, next) {
+  if (!req.user || req.user.role !== 'student') {
+    return res.status(403).json({ error: 'Student access only' });
+  }
+  if (!findStudentByEmail(req.user.email)) {
+    return res.status(403).json({ error: 'Your account has not been approved yet. Please wait for admin approval.' });
+  }
+  next();
+}
+
+/**
+ * Return the stored user record for the authenticated request. The JWT only
+ * carries email and role, so names and student IDs must come from here rather
+ * than from anything the client sends.
+ *
+ * @param {object} req Express request processed by authRequired
+ * @returns {object|null}
+ */
+function requestUser(req) {
+  return users.find((u) => u.email === req.user.email) || null;
+}
+
+/**
+ * Decode the bearer token of a public route, if there is a valid one, so the
+ * route can add what only that user may see. Returns null for visitors.
+ */
+function optionalUser(req) {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  try {
+    return jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Whether students may see the grades of an assignment. Assignments created
+ * before grade release existed have no flag and count as released.
+ */
+function gradesReleased(assignment) {
+  return !!assignment && assignment.gradesReleased !== false;
+}
+
+/**
+ * What a student sees of their own (or their group's) submission. Until the
+ * assignment's grades are released the submission looks ungraded; draft
+ * annotations stay private to graders until the grade is in. Group members
+ * see their own grade, not the other members' individual grades.
+ */
+function studentSubmissionView(sub, email) {
+  const assignment = assignments.find((a) => a.id === sub.assignmentId);
+  if (!gradesReleased(assignment)) {
+    return Object.assign({}, sub, {
+      memberGrades: undefined,
+      graded: false,
+      grade: null,
+      comments: '',
+      feedbackPath: null,
+      annotations: undefined,
+      rubricScores: undefined,
+      rubricPoints: undefined,
+      questionScores: undefined,
+      questionPoints: undefined,
+      gradeHistory: undefined,
+    });
+  }
+  if (!sub.graded) return Object.assign({}, sub, { annotations: undefined, memberGrades: undefined, questionScores: undefined });
+  const deadline = regradeDeadline(assignment, sub);
+  return Object.assign({}, sub, {
+    grade: memberGrade(sub, email),
+    memberGrades: undefined,
+    rubricDraft: undefined,
+    // Other members' individual grades stay private
+    gradeHistory: sub.gradeHistory && sub.gradeHistory.filter((h) => !h.memberEmail || h.memberEmail === email),
+    regradeDeadline: deadline ? deadline.toISOString() : null,
+  });
+}
+
+function findExtension(assignmentId, email) {
+  return extensions.find((e) => e.assignmentId === assignmentId && e.studentEmail === email) || null;
+}
+
+function findGroup(assignmentId, email) {
+  return groups.find((g) => g.assignmentId === assignmentId && g.members.includes(email)) || null;
+}
+
+/**
+ * Emails of the students a submission belongs to: the group's members for a
+ * group submission, otherwise the submitting student.
+ */
+function submissionEmails(sub) {
+  const group = sub.groupId && groups.find((g) => g.id === sub.groupId);
+  return group ? group.members : [sub.studentEmail];
+}
+
+/**
+ * The submission a student works on for an assignment: their group's for
+ * group assignments, otherwise their own.
+ */
+function submissionFor(assignmentId, email) {
+  const assignment = assignments.find((a) => a.id === assignmentId);
+  if (isGroupAssignment(assignment)) {
+    const group = findGroup(assignmentId, email);
+    return group ? submissions.find((s) => s.groupId === group.id) || null : null;
+  }
+  return submissions.find((s) => s.assignmentId === assignmentId && s.studentEmail === email && !s.groupId) || null;
+}
+
+/**
+ * Extension that applies to a set of students: the one with the latest due
+ * date, so a group gets the most generous extension of its members.
+ */
+function bestExtension(assignmentId, emails) {
+  return emails
+    .map((email) => findExtension(assignmentId, email))
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.dueDate) - new Date(a.dueDate))[0] || null;
+}
+
+/**
+ * What graders see of a submission: everything, unless its assignment is
+ * graded anonymously (see anonymity.js).
+ */
+function graderSubmissionView(sub) {
+  const assignment = assignments.find((a) => a.id === sub.assignmentId);
+  return assignment && assignment.anonymousGrading ? anonymizeSubmission(sub) : sub;
+}
+
+function recordAudit(req, action, details) {
+  auditLog.push(Object.assign({
+    id: Date.now().toString() + Math.round(Math.random() * 1e6),
+    action,
+    actorEmail: req.user.email,
+    at: new Date().toISOString(),
+  }, details));
+}
+
+/**
+ * Submissions with group submissions expanded to one record per member.
+ */
+function perStudentSubmissions(list) {
+  return memberSubmissions(list, groups, findStudentByEmail);
+}
+
+/**
+ * Record on every version of a submission whether it was late and the
+ * resulting penalty, based on its upload time, the assignment's late policy
+ * and any extension, then point the submission at the version to grade (see
+ * versions.js). Called on upload, when a TA picks a version and whenever the
+ * policy, due date or extension changes.
+ */
+function stampLateness(sub) {
+  const assignment = assignments.find((a) => a.id === sub.assignmentId);
+  if (!assignment) return;
+  const extension = bestExtension(sub.assignmentId, submissionEmails(sub));
+  sub.versions.forEach((v) => {
+    const result = assessLateness(assignment, extension, v.uploadedAt);
+    v.late = result.late;
+    v.lateDays = result.lateDays;
+    v.latePenalty = result.penalty;
+  });
+  const current = currentVersion(sub);
+  sub.version = current.version;
+  sub.filePath = current.filePath;
+  sub.uploadedAt = current.uploadedAt;
+  sub.late = current.late;
+  sub.lateDays = current.lateDays;
+  sub.latePenalty = current.latePenalty;
+  sub.pageMap = current.pageMap;
+}
+
+/**
+ * Keep the current grade of a submission in its gradeHistory before it is
+ * changed. Does nothing for ungraded submissions. With `memberEmail`, keeps
+ * that group member's individual grade instead.
+ *
+ * @param {object} sub Submission about to be regraded
+ * @param {string} changedBy Email of the grader making the change
+ * @param {string} reason Why the grade changes
+ * @param {string} [memberEmail] Group member whose individual grade changes
+ */
+function recordGradeHistory(sub, changedBy, reason, memberEmail) {
+  if (!sub.graded) return;
+  if (!Array.isArray(sub.gradeHistory)) sub.gradeHistory = [];
+  if (memberEmail) {
+    sub.gradeHistory.push({
+      grade: sub.memberGrades[memberEmail],
+      memberEmail,
+      replacedAt: new Date().toISOString(),
+      replacedBy: changedBy,
+      reason,
+    });
+    return;
+  }
+  sub.gradeHistory.push({
+    grade: sub.grade,
+    comments: sub.comments,
+    rubricScores: sub.rubricScores ? Object.assign({}, sub.rubricScores) : undefined,
+    rubricPoints: sub.rubricPoints,
+    questionScores: sub.questionScores ? JSON.parse(JSON.stringify(sub.questionScores)) : undefined,
+    replacedAt: new Date().toISOString(),
+    replacedBy: changedBy,
+    reason,
+  });
+}
+
+/**
+ * Last moment a student may request a regrade of a submission: the window
+ * starts when the student was told the grade (for submissions graded before
+ * release tracking, when the assignment's grades were released). Returns
+ * null when there is no limit.
+ */
+function regradeDeadline(assignment, sub) {
+  const start = sub.gradeNotifiedAt || assignment.gradesReleasedAt;
+  if (!start) return null;
+  const days = assignment.regradeWindowDays !== undefined && assignment.regradeWindowDays !== null
+    ? assignment.regradeWindowDays
+    : REGRADE_WINDOW_DAYS;
+  return new Date(new Date(start).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Read regradeWindowDays from a request body. Empty means the course
+ * default. Throws an Error with a user-facing message when invalid.
+ */
+function parseRegradeWindow(value) {
+  if (value === '' || value === null) return null;
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) throw new Error('The regrade window must be a non-negative number of days');
+  return days;
+}
+
+/**
+ * Compute grade band and colour for a numeric score using the course's
+ * letter-grade scale (configurable in the gradebook settings).
  *
  * @param {number} score Value from 0 to 100.
  * @returns {object} { label: string, color: string }
  */
 function gradeBand(score) {
-  const s = Number(score);
-  if (s >= 95) return { label: 'A+', color: '#34C759' };
-  if (s >= 90) return { label: 'A', color: '#30B158' };
-  if (s >= 85) return { label: 'A-', color: '#28A745' };
-  if (s >= 80) return { label: 'B', color: '#5AC8FA' };
-  if (s >= 70) return { label: 'C', color: '#FFCC00' };
-  if (s >= 60) return { label: 'D', color: '#FF9F0A' };
-  return { label: 'Failed', color: '#FF3B30' };
+  return letterFor(score, gradebookSettings.letterScale);
+}
+
+/**
+ * Submit every quiz attempt left open past its deadline with the answers
+ * saved so far (see quizzes.js). Called before attempts are read, so an
+ * expired attempt never shows as still in progress.
+ */
+function closeExpiredAttempts() {
+  const now = new Date();
+  const expired = quizAttempts.filter((a) => !a.submittedAt && !acceptsAnswers(a, now));
+  expired.forEach((a) => {
+    submitAttempt(a, a.deadline);
+    a.autoSubmitted = true;
+  });
+  if (expired.length) saveData();
+}
+
+/**
+ * Gradebook row of one student: per-assignment cells, category averages and
+ * the final grade. See gradebook.js for the rules. Quizzes count as
+ * assignments scored by the student's attempt. With releasedOnly,
+ * assignments and quizzes whose grades are not released yet are left out, as
+ * the student would see it.
+ */
+function studentGradebook(email, releasedOnly) {
+  return gradebookRow(email, (releasedOnly ? assignments.filter(gradesReleased) : assignments)
+    .concat(releasedOnly ? quizzes.filter((q) => q.scoresReleased) : quizzes));
+}
+
+/**
+ * Gradebook row of one student as graders see it. Assignments graded
+ * anonymously are left out of the averages and their cells carry no score
+ * until identities are revealed; a grade next to a name would give the
+ * pseudonym away.
+ */
+function graderGradebook(email) {
+  const row = gradebookRow(email, assignments.filter((a) => !a.anonymousGrading).concat(quizzes));
+  assignments.filter((a) => a.anonymousGrading).forEach((a) => {
+    row.cells[a.id] = { anonymous: true, submitted: false, graded: false, grade: null, latePenalty: 0, score: null, overridden: false };
+  });
+  return row;
+}
+
+function gradebookRow(email, items) {
+  closeExpiredAttempts();
+  return computeStudent(email, {
+    assignments: items,
+    submissions: perStudentSubmissions(submissions).concat(quizAttempts.map(gradebookRecord)),
+    overrides: gradeOverrides,
+    settings: gradebookSettings,
+  });
 }
 
 // Create uploads directory if it does not exist
@@ -279,8 +661,6 @@ const storage = multer.diskStorage({
       dest = path.join(dest, 'assignments');
     } else if (url.includes('/resources')) {
       dest = path.join(dest, 'resources');
-    } else if (url.includes('/grade')) {
-      dest = path.join(dest, 'annotations');
     } else if (url.includes('/forum')) {
       dest = path.join(dest, 'forum');
     }
@@ -294,6 +674,11 @@ const storage = multer.diskStorage({
   },
 });
 const upload = multer({ storage });
+// Bulk grading imports are inspected in memory before anything is written
+const memoryUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 200 * 1024 * 1024 } });
+// Grades are sent as a form whose annotations field can be far larger than
+// the 1 MB multer allows by default
+const gradeForm = multer({ limits: { fieldSize: MAX_ANNOTATION_BYTES } });
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -302,6 +687,9 @@ const PORT = process.env.PORT || 3000;
 loadData();
 
 app.use(cors());
+// Annotation drafts outgrow the default 100 kB JSON limit; the general parser
+// below skips bodies that were already parsed
+app.use('/api/assignments/:assignmentId/submissions/:submissionId/annotations', express.json({ limit: MAX_ANNOTATION_BYTES }));
 app.use(express.json());
 
 // Serve static files from client directory
@@ -462,14 +850,15 @@ const transporter = nodemailer.createTransport({
  * @param {string} subject Email subject
  * @param {string} text Email text
  */
-async function sendEmail(to, subject, text) {
+async function sendEmail(to, subject, text, extra = {}) {
   const info = await transporter.sendMail({ from: 'no-reply@algebra.example', to, subject, text });
-  console.log('Email output:\n' + info.message);
+  // The stream transport hands back the rendered email
+  if (info.message) console.log('Email output:\n' + info.message);
   // Also create an in-app notification for this recipient so they can see
   // recent events without checking email. Use the first line of the text for brevity.
   try {
     const firstLine = text.split('\n')[0];
-    createNotification(to, `${subject} – ${firstLine}`);
+    createNotification(to, `${subject} – ${firstLine}`, extra);
   } catch (e) {
     console.error('Failed to create notification', e);
   }
@@ -504,12 +893,40 @@ app.get('/api/assignments', (req, res) => {
 app.post('/api/assignments', authRequired, adminRequired, upload.single('file'), (req, res) => {
   const { title, description, dueDate } = req.body;
   const file = req.file;
+  let latePolicy = null;
+  try {
+    latePolicy = normalizeLatePolicy(req.body.latePolicy);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const categoryId = req.body.categoryId || null;
+  if (categoryId && !gradebookSettings.categories.some(c => c.id === categoryId)) {
+    return res.status(400).json({ error: 'Unknown grade category' });
+  }
+  let regradeWindowDays = null;
+  try {
+    regradeWindowDays = parseRegradeWindow(req.body.regradeWindowDays === undefined ? null : req.body.regradeWindowDays);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  let groupSize = null;
+  try {
+    groupSize = parseGroupSize(req.body.groupSize);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   const id = Date.now().toString();
   const assignment = {
     id,
     title,
     description,
     dueDate,
+    latePolicy,
+    categoryId,
+    regradeWindowDays,
+    groupSize,
+    selfFormedGroups: groupSize !== null && (req.body.selfFormedGroups === true || req.body.selfFormedGroups === 'true'),
+    gradesReleased: false,
     createdAt: new Date().toISOString(),
     pdfPath: file ? file.path : null,
   };
@@ -520,38 +937,65 @@ app.post('/api/assignments', authRequired, adminRequired, upload.single('file'),
   saveData();
 });
 
-// Student submits assignment PDF
-app.post('/api/assignments/:id/submit', upload.single('file'), (req, res) => {
+// Student submits assignment PDF. The submitting student is always the
+// authenticated user; name and IDs come from the approved student record.
+// For assignments with problems, `pageMap` ({ questionId: [page, ...] }, as
+// JSON) tags the pages that answer each problem.
+app.post('/api/assignments/:id/submit', authRequired, studentRequired, upload.single('file'), async (req, res) => {
   const assignmentId = req.params.id;
-  const { studentName, studentEmail, studentID, studentNameZh } = req.body;
   const file = req.file;
   if (!file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
-  // Check if student is approved and not muted
-  const studentRec = students.find((s) => s.email === studentEmail);
-  if (!studentRec) {
-    return res.status(403).json({ error: 'Your account has not been approved yet. Please wait for admin approval.' });
+  // The upload is already on disk; remove it when it is refused
+  const reject = (status, error) => {
+    fs.unlink(file.path, () => {});
+    return res.status(status).json({ error });
+  };
+  if (!assignments.some((a) => a.id === assignmentId)) {
+    return reject(404, 'Assignment not found');
   }
+  const studentRec = findStudentByEmail(req.user.email);
+  const studentEmail = studentRec.email;
+  const studentName = studentRec.name;
+  const studentID = studentRec.studentId;
+  const studentNameZh = studentRec.studentNameZh;
+  // Muted students cannot submit
   if (studentRec.muted) {
-    return res.status(403).json({ error: 'Your account is muted. You cannot submit assignments.' });
+    return reject(403, 'Your account is muted. You cannot submit assignments.');
+  }
+  const assignment = assignments.find((a) => a.id === assignmentId);
+  // In group mode one member submits for the whole group
+  const group = isGroupAssignment(assignment) ? findGroup(assignmentId, studentEmail) : null;
+  if (isGroupAssignment(assignment) && !group) {
+    return reject(403, 'This is a group assignment. Join a group before submitting.');
+  }
+  if (assessLateness(assignment, bestExtension(assignmentId, group ? group.members : [studentEmail]), new Date()).closed) {
+    return reject(403, 'Submissions for this assignment are closed');
   }
   // Find existing submission
-  let sub = submissions.find(s => s.assignmentId === assignmentId && s.studentEmail === studentEmail);
+  let sub = submissionFor(assignmentId, studentEmail);
   if (sub && sub.graded) {
-    return res.status(400).json({ error: 'Submission has already been graded and cannot be replaced' });
+    const error = gradesReleased(assignment)
+      ? 'Submission has already been graded and cannot be replaced'
+      : 'Submission is being graded and cannot be replaced';
+    return reject(400, error);
   }
-  if (sub) {
-    // Replace existing file
+  let pageMap = null;
+  if (assignment.questions) {
     try {
-      fs.unlinkSync(sub.filePath);
+      pageMap = normalizePageMap(req.body.pageMap, assignment.questions, await countPages(fs.readFileSync(file.path)));
     } catch (err) {
-      console.error(err);
+      return reject(400, err instanceof SyntaxError ? 'Invalid page tags' : err.message);
+    }
+  }
+  if (sub) {
+    // Earlier uploads are kept as older versions. A group submission keeps
+    // the identity of the member who first submitted.
+    if (!sub.groupId) {
+      sub.studentID = studentID;
+      sub.studentNameZh = studentNameZh;
     }
-    sub.filePath = file.path;
-    sub.uploadedAt = new Date().toISOString();
-    sub.studentID = studentID;
-    sub.studentNameZh = studentNameZh;
   } else {
     const id = Date.now().toString();
     sub = {
@@ -561,142 +1005,2109 @@ app.post('/api/assignments/:id/submit', upload.single('file'), (req, res) => {
       studentEmail,
       studentID,
       studentNameZh,
-      filePath: file.path,
-      uploadedAt: new Date().toISOString(),
       graded: false,
       grade: null,
       comments: '',
       feedbackPath: null,
+      versions: [],
     };
+    if (group) sub.groupId = group.id;
+    const siblings = submissions.filter(s => s.assignmentId === assignmentId);
+    assignPseudonym(sub, siblings);
+    if (assignment.gradingPlan) {
+      const grader = pickGrader(assignment.gradingPlan, sub, siblings, studentRec);
+      if (grader) sub.graderEmail = grader;
+    }
     submissions.push(sub);
   }
-  // Send confirmation email
-  sendEmail(studentEmail, 'Assignment submission received', `Dear ${studentName},\n\nYour submission for assignment ${assignmentId} has been received.`);
-  res.status(200).json({ message: 'Submission received', submissionId: sub.id });
-  // Persist changes
+  const version = Object.assign({
+    version: sub.versions.length + 1,
+    filePath: file.path,
+    uploadedAt: new Date().toISOString(),
+    submittedBy: studentEmail,
+  }, fileReceipt(file.path));
+  if (pageMap) version.pageMap = pageMap;
+  sub.versions.push(version);
+  stampLateness(sub);
+  // Send confirmation email with the upload's receipt to everyone it
+  // belongs to
+  const receipt = `Version: ${version.version}\nReceived: ${version.uploadedAt}\nSize: ${version.size} bytes\nSHA-256: ${version.sha256}\n\n` +
+    'Keep this receipt: the hash identifies exactly the file that was uploaded.';
+  submissionEmails(sub).forEach((email) => {
+    const member = findStudentByEmail(email) || { name: email };
+    const what = group ? `Your group's submission (${group.name}, uploaded by ${studentName})` : 'Your submission';
+    sendEmail(email, 'Assignment submission received', `Dear ${member.name},\n\n${what} for assignment ${assignmentId} has been received.\n\n` + receipt);
+  });
+  res.status(200).json({
+    message: 'Submission received',
+    submissionId: sub.id,
+    version: version.version,
+    sha256: version.sha256,
+    size: version.size,
+    late: version.late,
+    latePenalty: version.latePenalty,
+  });
+  // Persist changes
+  saveData();
+});
+
+// Get submissions for an assignment. Admins see every submission (under
+// pseudonyms while grading is anonymous); students only ever see their own.
+app.get('/api/assignments/:id/submissions', authRequired, (req, res) => {
+  const assignmentId = req.params.id;
+  let result = submissions.filter(s => s.assignmentId === assignmentId);
+  if (req.user.role !== 'admin') {
+    result = result
+      .filter(s => submissionEmails(s).includes(req.user.email))
+      .map(s => studentSubmissionView(s, req.user.email));
+  } else {
+    result = result.map(graderSubmissionView);
+  }
+  res.json(result);
+});
+
+// Change the page tags of the graded version of a submission. Students may
+// fix their own tags until the submission is graded; TAs at any time.
+app.put('/api/assignments/:assignmentId/submissions/:submissionId/page-map', authRequired, async (req, res) => {
+  const { assignmentId, submissionId } = req.params;
+  const assignment = assignments.find(a => a.id === assignmentId);
+  const submission = submissions.find(s => s.id === submissionId && s.assignmentId === assignmentId);
+  const isAdmin = req.user.role === 'admin';
+  if (!assignment || !submission || (!isAdmin && !submissionEmails(submission).includes(req.user.email))) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+  if (!assignment.questions) return res.status(400).json({ error: 'This assignment has no problems to tag' });
+  if (!isAdmin && submission.graded) {
+    return res.status(400).json({ error: 'Page tags cannot be changed once the submission is graded' });
+  }
+  const version = currentVersion(submission);
+  let pageMap;
+  try {
+    const pageCount = fs.existsSync(version.filePath) ? await countPages(fs.readFileSync(version.filePath)) : null;
+    pageMap = normalizePageMap(req.body.pageMap, assignment.questions, pageCount);
+  } catch (err) {
+    return res.status(400).json({ error: err instanceof SyntaxError ? 'Invalid page tags' : err.message });
+  }
+  version.pageMap = pageMap;
+  stampLateness(submission);
+  saveData();
+  res.json(isAdmin ? graderSubmissionView(submission) : studentSubmissionView(submission, req.user.email));
+});
+
+// Download every submission of an assignment as a ZIP for offline grading,
+// with a manifest CSV that doubles as the grades sheet for the import below.
+app.get('/api/assignments/:id/submissions/archive', authRequired, adminRequired, (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  const zip = buildExportZip(submissions.filter(s => s.assignmentId === assn.id), !!assn.anonymousGrading);
+  const fileName = `${assn.title.replace(/[^A-Za-z0-9_-]+/g, '-') || 'assignment'}-submissions.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+    .on('error', (err) => {
+      console.error('Failed to build submissions archive', err);
+      res.destroy(err);
+    })
+    .pipe(res);
+});
+
+// Import grades, comments and annotated feedback PDFs for many submissions
+// at once: a ZIP of PDFs (`archive`) and/or a grades CSV (`grades`; may also
+// be inside the ZIP). With dryRun=true nothing changes and the planned
+// changes are returned for review. Otherwise the import is applied as a
+// whole, and only if it has no problems.
+app.post('/api/assignments/:id/submissions/import', authRequired, adminRequired, memoryUpload.fields([{ name: 'archive', maxCount: 1 }, { name: 'grades', maxCount: 1 }]), async (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  const files = req.files || {};
+  const archive = files.archive ? files.archive[0].buffer : null;
+  const csvText = files.grades ? files.grades[0].buffer.toString('utf8') : null;
+  if (!archive && csvText === null) {
+    return res.status(400).json({ error: 'Upload a ZIP of feedback PDFs and/or a grades CSV' });
+  }
+  let plan;
+  try {
+    plan = await planImport(submissions.filter(s => s.assignmentId === assn.id), archive, csvText, !!assn.anonymousGrading);
+  } catch (err) {
+    console.error('Failed to read grading import', err);
+    return res.status(400).json({ error: 'The uploaded files could not be read' });
+  }
+  const summary = {
+    changes: plan.changes.map(c => ({
+      submissionId: c.submission.id,
+      studentId: assn.anonymousGrading ? '' : c.submission.studentID,
+      studentName: assn.anonymousGrading ? pseudonym(c.submission) : c.submission.studentName,
+      grade: c.grade || null,
+      comments: c.comments || null,
+      feedback: c.feedback ? c.feedback.name : null,
+    })),
+    problems: plan.problems,
+    unchanged: plan.unchanged,
+    warnings: (assn.rubric || assn.questions) && plan.changes.some(c => c.grade)
+      ? [assn.questions ? 'Imported grades replace per-problem scores for those submissions' : 'Imported grades replace rubric scoring for those submissions']
+      : [],
+  };
+  if (req.body.dryRun === 'true') {
+    return res.json(Object.assign({ dryRun: true }, summary));
+  }
+  if (plan.problems.length) {
+    return res.status(400).json(Object.assign({ error: 'Fix the problems listed before importing' }, summary));
+  }
+  const feedbackDir = path.join(__dirname, 'uploads', 'feedback');
+  fs.mkdirSync(feedbackDir, { recursive: true });
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  for (const change of plan.changes) {
+    const sub = change.submission;
+    recordGradeHistory(sub, req.user.email, 'bulk import');
+    if (change.feedback) {
+      const previous = sub.feedbackPath;
+      sub.feedbackPath = path.join(feedbackDir, `${Date.now()}-${sub.id}-feedback.pdf`);
+      fs.writeFileSync(sub.feedbackPath, change.feedback.bytes);
+      if (previous && fs.existsSync(previous)) fs.unlinkSync(previous);
+    }
+    if (change.grade) {
+      sub.graded = true;
+      sub.grade = change.grade.to;
+      sub.gradedBy = req.user.email;
+      delete sub.rubricScores;
+      delete sub.rubricPoints;
+      if (sub.questionScores) {
+        delete sub.questionScores;
+        delete sub.questionPoints;
+        // Drop the score sheet that no longer matches the grade
+        if (!change.feedback) {
+          try {
+            await renderFeedbackPdf(sub);
+          } catch (error) {
+            console.error('Error rendering feedback:', error);
+          }
+        }
+      }
+    }
+    if (change.comments) sub.comments = change.comments.to;
+    // planImport() requires a grade for ungraded submissions; never announce
+    // a grade that is not there
+    if (!sub.graded) continue;
+    if (gradesReleased(assn)) {
+      sendGradeNotice(sub, baseUrl);
+    } else {
+      sub.gradeNotifiedAt = null;
+    }
+  }
+  saveData();
+  res.json(Object.assign({ dryRun: false }, summary));
+});
+
+// Choose which version of a submission is graded. An empty version goes back
+// to the default (the latest on-time upload).
+app.put('/api/assignments/:assignmentId/submissions/:submissionId/version', authRequired, adminRequired, (req, res) => {
+  const { assignmentId, submissionId } = req.params;
+  const submission = submissions.find(s => s.id === submissionId && s.assignmentId === assignmentId);
+  if (!submission) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+  const { version } = req.body;
+  if (version === null || version === undefined || version === '') {
+    delete submission.selectedVersion;
+  } else if (submission.versions.some(v => v.version === Number(version))) {
+    submission.selectedVersion = Number(version);
+  } else {
+    return res.status(400).json({ error: 'Unknown version' });
+  }
+  stampLateness(submission);
+  saveData();
+  res.json(graderSubmissionView(submission));
+});
+
+/**
+ * Regenerate the feedback PDF of a submission from its original file and its
+ * stored vector annotations, preceded by a score sheet when it was scored
+ * problem by problem. The previous feedback file is removed; without either
+ * the submission ends up with no feedback file.
+ */
+async function renderFeedbackPdf(submission) {
+  const assignment = assignments.find(a => a.id === submission.assignmentId);
+  const scored = !!(assignment && assignment.questions && submission.questionScores);
+  const previous = submission.feedbackPath;
+  let feedbackPath = null;
+  if (hasAnnotations(submission.annotations) || scored) {
+    let annotatedBytes = fs.readFileSync(submission.filePath);
+    if (hasAnnotations(submission.annotations)) {
+      annotatedBytes = await flattenAnnotations(annotatedBytes, submission.annotations);
+    }
+    if (scored) annotatedBytes = await addScoreSheet(annotatedBytes, assignment, submission);
+    const feedbackDir = path.join(__dirname, 'uploads', 'feedback');
+    fs.mkdirSync(feedbackDir, { recursive: true });
+    feedbackPath = path.join(feedbackDir, `${Date.now()}-${submission.id}-feedback.pdf`);
+    fs.writeFileSync(feedbackPath, annotatedBytes);
+  }
+  submission.feedbackPath = feedbackPath;
+  if (previous && previous !== feedbackPath && fs.existsSync(previous)) {
+    fs.unlinkSync(previous);
+  }
+}
+
+// Save a draft of the annotations without grading, so graders can come back
+// to a partially marked submission.
+app.put('/api/assignments/:assignmentId/submissions/:submissionId/annotations', authRequired, adminRequired, (req, res) => {
+  const { assignmentId, submissionId } = req.params;
+  const submission = submissions.find(s => s.id === submissionId && s.assignmentId === assignmentId);
+  if (!submission) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+  try {
+    submission.annotations = normalizeAnnotations(req.body.annotations);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid annotations' });
+  }
+  saveData();
+  res.json({ message: 'Annotations saved', annotations: submission.annotations });
+});
+
+/**
+ * Email and notify the students a submission belongs to about their grade
+ * (every member of a group, each with their own grade).
+ *
+ * @param {object} submission Graded submission
+ * @param {string} baseUrl Origin used for the feedback download link
+ */
+function sendGradeNotice(submission, baseUrl) {
+  const { assignmentId } = submission;
+  const subject = `Assignment ${assignmentId} graded`;
+  perStudentSubmissions([submission]).forEach((sub) => {
+    let body = `Dear ${sub.studentName},\n\nYour assignment has been graded.\nGrade: ${sub.grade}\nComments: ${sub.comments}\n`;
+    if (sub.latePenalty) {
+      body += `Late penalty: -${sub.latePenalty} (final grade ${finalGrade(sub)})\n`;
+    }
+    if (sub.feedbackPath) {
+      const feedbackUrl = `${baseUrl}/` + path.relative(path.join(__dirname, '..'), sub.feedbackPath).replace(/\\/g, '/');
+      body += `\nYou can download your feedback file here: ${feedbackUrl}`;
+    }
+    // Grade notifications carry their assignment so that the feed can hide
+    // them again if the grades are withdrawn.
+    sendEmail(sub.studentEmail, subject, body, { assignmentId, type: 'grade' });
+    // The client uses assignmentId to navigate to the assignment detail page
+    // when the notification is clicked.
+    createNotification(sub.studentEmail, subject, { assignmentId, type: 'grade' });
+  });
+  submission.gradeNotifiedAt = new Date().toISOString();
+}
+
+// Grade a submission. If annotations are sent they replace the stored ones
+// and the feedback PDF is regenerated with every page's annotations. For
+// assignments with a rubric, sending rubricScores ({ criterionId: levelId })
+// computes the grade from the selected levels instead of taking `grade`; for
+// assignments with problems, questionScores ({ questionId: { score, comment } })
+// scores every problem and computes the grade from the points.
+// The student is only told about the grade once the assignment's grades are
+// released; until then grading is silent.
+app.post('/api/assignments/:assignmentId/submissions/:submissionId/grade', authRequired, adminRequired, gradeForm.none(), async (req, res) => {
+  const { assignmentId, submissionId } = req.params;
+  const { comments } = req.body;
+  let { grade } = req.body;
+  const submission = submissions.find(s => s.id === submissionId && s.assignmentId === assignmentId);
+  if (!submission) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+  const assignment = assignments.find(a => a.id === assignmentId);
+  let rubricResult = null;
+  let rubricScores = null;
+  if (assignment && assignment.rubric && req.body.rubricScores !== undefined) {
+    try {
+      rubricScores = JSON.parse(req.body.rubricScores) || {};
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid rubric scores' });
+    }
+    rubricResult = scoreRubric(assignment.rubric, rubricScores);
+    if (rubricResult.missing.length) {
+      return res.status(400).json({ error: 'Select a level for every rubric criterion' });
+    }
+    grade = rubricResult.grade;
+  }
+  let questionResult = null;
+  let questionScores = null;
+  if (assignment && assignment.questions && req.body.questionScores !== undefined) {
+    try {
+      questionScores = normalizeQuestionScores(req.body.questionScores, assignment.questions);
+    } catch (err) {
+      return res.status(400).json({ error: err instanceof SyntaxError ? 'Invalid problem scores' : err.message });
+    }
+    questionResult = scoreQuestions(assignment.questions, questionScores);
+    if (questionResult.missing.length) {
+      return res.status(400).json({ error: 'Score every problem' });
+    }
+    grade = questionResult.grade;
+  }
+  if (req.body.annotations !== undefined) {
+    try {
+      submission.annotations = normalizeAnnotations(req.body.annotations);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid annotations' });
+    }
+  }
+  recordGradeHistory(submission, req.user.email, 'regraded');
+  logGradingTime(submission, req.user.email, req.body.gradingSeconds);
+  submission.graded = true;
+  submission.grade = grade;
+  submission.comments = comments;
+  submission.gradedBy = req.user.email;
+  delete submission.rubricDraft;
+  delete submission.needsRegrading;
+  if (rubricResult) {
+    submission.rubricScores = rubricScores;
+    submission.rubricPoints = rubricResult.points;
+  } else {
+    // A free-form grade replaces any earlier rubric scoring
+    delete submission.rubricScores;
+    delete submission.rubricPoints;
+  }
+  const hadQuestionScores = !!submission.questionScores;
+  if (questionResult) {
+    const gradedAt = new Date().toISOString();
+    Object.keys(questionScores).forEach((questionId) => {
+      const previous = (submission.questionScores || {})[questionId];
+      const entry = questionScores[questionId];
+      questionScores[questionId] = previous && previous.score === entry.score && previous.comment === entry.comment
+        ? previous
+        : Object.assign(entry, { gradedBy: req.user.email, gradedAt });
+    });
+    submission.questionScores = questionScores;
+    submission.questionPoints = questionResult.points;
+  } else {
+    delete submission.questionScores;
+    delete submission.questionPoints;
+  }
+  if (req.body.annotations !== undefined || questionResult || hadQuestionScores) {
+    try {
+      await renderFeedbackPdf(submission);
+    } catch (error) {
+      console.error('Error merging annotations:', error);
+    }
+  }
+  if (gradesReleased(assignment)) {
+    sendGradeNotice(submission, `${req.protocol}://${req.get('host')}`);
+  } else {
+    submission.gradeNotifiedAt = null;
+  }
+  // Persist data after grading
+  saveData();
+  res.json({ message: 'Grading complete', feedbackPath: submission.feedbackPath });
+});
+
+// Give one member of a group submission an individual grade, or send an
+// empty grade to go back to the group's grade. The member is told right away
+// if the grades are released, otherwise when they are published.
+app.put('/api/assignments/:assignmentId/submissions/:submissionId/member-grades', authRequired, adminRequired, (req, res) => {
+  const { assignmentId, submissionId } = req.params;
+  const submission = submissions.find(s => s.id === submissionId && s.assignmentId === assignmentId);
+  if (!submission) return res.status(404).json({ error: 'Submission not found' });
+  if (!submission.groupId) return res.status(400).json({ error: 'This is not a group submission' });
+  if (!submission.graded) return res.status(400).json({ error: 'Grade the group submission first' });
+  const { email } = req.body;
+  if (!submissionEmails(submission).includes(email)) {
+    return res.status(400).json({ error: 'Not a member of this group' });
+  }
+  const memberGrades = Object.assign({}, submission.memberGrades);
+  if (req.body.grade === '' || req.body.grade === null || req.body.grade === undefined) {
+    delete memberGrades[email];
+  } else {
+    const grade = Number(req.body.grade);
+    if (!Number.isFinite(grade) || grade < 0) return res.status(400).json({ error: 'Invalid grade' });
+    memberGrades[email] = grade;
+  }
+  submission.memberGrades = memberGrades;
+  const assignment = assignments.find(a => a.id === assignmentId);
+  if (gradesReleased(assignment)) {
+    const subject = `Assignment ${assignmentId} graded`;
+    const body = `Your grade for this group assignment has been updated.\nGrade: ${memberGrade(submission, email)}\n`;
+    sendEmail(email, subject, body, { assignmentId, type: 'grade' });
+    createNotification(email, subject, { assignmentId, type: 'grade' });
+  } else {
+    submission.gradeNotifiedAt = null;
+  }
+  saveData();
+  res.json(graderSubmissionView(submission));
+});
+
+// Turn anonymous grading on or off. Turning it off reveals the students
+// behind the pseudonyms to every grader, so both directions are recorded in
+// the audit trail.
+app.put('/api/assignments/:id/anonymous', authRequired, adminRequired, (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  const anonymous = req.body.anonymous === true || req.body.anonymous === 'true';
+  if (anonymous === !!assn.anonymousGrading) {
+    return res.status(400).json({ error: anonymous ? 'Grading is already anonymous' : 'Grading is not anonymous' });
+  }
+  const subs = submissions.filter(s => s.assignmentId === assn.id);
+  if (anonymous) {
+    subs.forEach(s => assignPseudonym(s, subs));
+    assn.anonymousGrading = true;
+    recordAudit(req, 'anonymous-grading-enabled', { assignmentId: assn.id });
+  } else {
+    assn.anonymousGrading = false;
+    assn.identitiesRevealedAt = new Date().toISOString();
+    assn.identitiesRevealedBy = req.user.email;
+    recordAudit(req, 'identities-revealed', {
+      assignmentId: assn.id,
+      submissions: subs.length,
+      graded: subs.filter(s => s.graded).length,
+    });
+  }
+  saveData();
+  res.json({ assignment: assn });
+});
+
+// Audit trail, newest first, optionally for one assignment
+app.get('/api/audit-log', authRequired, adminRequired, (req, res) => {
+  let result = auditLog;
+  if (req.query.assignmentId) result = result.filter(e => e.assignmentId === req.query.assignmentId);
+  res.json(result.slice().reverse());
+});
+
+// Publish or withdraw an assignment's grades. Publishing emails and notifies,
+// in one batch, every student whose current grade they have not been told
+// about yet. Withdrawing hides the grades (and their notifications) from
+// students again.
+app.put('/api/assignments/:id/release', authRequired, adminRequired, (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  const released = req.body.released === true || req.body.released === 'true';
+  assn.gradesReleased = released;
+  let notified = 0;
+  if (released) {
+    assn.gradesReleasedAt = new Date().toISOString();
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    submissions
+      .filter(s => s.assignmentId === assn.id && s.graded && s.gradeNotifiedAt === null)
+      .forEach((s) => {
+        sendGradeNotice(s, baseUrl);
+        notified++;
+      });
+  }
+  saveData();
+  res.json({ assignment: assn, notified });
+});
+
+/**
+ * Routes for grading rubrics
+ */
+// Set or replace an assignment's rubric. Submissions already graded with the
+// rubric are re-scored so their grades follow the new point values; students
+// whose grade changes are notified. A submission with no level for a new
+// criterion keeps its grade; its selections become a rubric draft and it is
+// marked as needing regrading until a grader completes it.
+app.put('/api/assignments/:id/rubric', authRequired, adminRequired, (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  let rubric;
+  try {
+    rubric = normalizeRubric(req.body.rubric);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (rubric && assn.questions) {
+    return res.status(400).json({ error: 'This assignment is graded by problem. Remove its problems to use a rubric.' });
+  }
+  assn.rubric = rubric;
+  if (assn.gradingPlan && assn.gradingPlan.mode === 'question' && !assn.questions) {
+    // Questions are rubric criteria; drop graders of removed ones
+    Object.keys(assn.gradingPlan.questions).forEach((criterionId) => {
+      if (!rubric || !rubric.criteria.some(c => c.id === criterionId)) delete assn.gradingPlan.questions[criterionId];
+    });
+  }
+  let regraded = 0;
+  let needsRegrading = 0;
+  if (rubric) {
+    submissions
+      .filter(s => s.assignmentId === assn.id && s.graded && s.rubricScores)
+      .forEach((s) => {
+        // Forget selections of criteria that no longer exist
+        const selected = s.rubricDraft || s.rubricScores;
+        const kept = {};
+        Object.keys(selected).forEach((criterionId) => {
+          if (rubric.criteria.some(c => c.id === criterionId)) kept[criterionId] = selected[criterionId];
+        });
+        const result = scoreRubric(rubric, kept);
+        if (result.missing.length) {
+          s.rubricDraft = kept;
+          s.needsRegrading = true;
+          needsRegrading++;
+          return;
+        }
+        delete s.rubricDraft;
+        delete s.needsRegrading;
+        const changed = Number(s.grade) !== result.grade;
+        if (changed) recordGradeHistory(s, req.user.email, 'rubric changed');
+        s.rubricScores = kept;
+        s.rubricPoints = result.points;
+        if (changed) {
+          s.grade = result.grade;
+          regraded++;
+          if (gradesReleased(assn)) {
+            perStudentSubmissions([s]).forEach((m) => {
+              createNotification(m.studentEmail, `Your grade for ${assn.title} was updated to ${m.grade} after a rubric change`, { assignmentId: assn.id, type: 'grade' });
+            });
+          } else {
+            s.gradeNotifiedAt = null;
+          }
+        }
+      });
+  } else {
+    submissions
+      .filter(s => s.assignmentId === assn.id && s.needsRegrading)
+      .forEach((s) => {
+        delete s.rubricDraft;
+        delete s.needsRegrading;
+      });
+  }
+  saveData();
+  res.json({ assignment: assn, regraded, needsRegrading });
+});
+
+/**
+ * Routes for multi-problem assignments (see questions.js)
+ */
+// Set or replace an assignment's problems, or send an empty list to remove
+// them. Page tags and scores of removed problems are dropped and submissions
+// already graded by problem are re-scored; students whose grade changes are
+// notified.
+app.put('/api/assignments/:id/questions', authRequired, adminRequired, async (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  let questions;
+  try {
+    questions = normalizeQuestions(req.body.questions);
+  } catch (err) {
+    return res.status(400).json({ error: err instanceof SyntaxError ? 'Invalid problems' : err.message });
+  }
+  if (questions && assn.rubric) {
+    return res.status(400).json({ error: 'This assignment is graded with a rubric. Remove the rubric to grade by problem.' });
+  }
+  const kept = (map) => {
+    const result = {};
+    Object.keys(map).forEach((questionId) => {
+      if (questions && questions.some(q => q.id === questionId)) result[questionId] = map[questionId];
+    });
+    return result;
+  };
+  assn.questions = questions;
+  if (assn.gradingPlan && assn.gradingPlan.mode === 'question') {
+    assn.gradingPlan.questions = kept(assn.gradingPlan.questions);
+  }
+  let regraded = 0;
+  for (const s of submissions.filter(x => x.assignmentId === assn.id)) {
+    s.versions.forEach((v) => {
+      if (!v.pageMap) return;
+      v.pageMap = kept(v.pageMap);
+      if (!Object.keys(v.pageMap).length) delete v.pageMap;
+    });
+    stampLateness(s);
+    if (!s.questionScores) continue;
+    if (!questions) {
+      // The grade stays; it is no longer broken down by problem
+      delete s.questionScores;
+      delete s.questionPoints;
+    } else if (!s.graded) {
+      s.questionScores = kept(s.questionScores);
+      continue;
+    } else {
+      const scores = kept(s.questionScores);
+      const result = scoreQuestions(questions, scores);
+      const changed = Number(s.grade) !== result.grade;
+      if (changed) recordGradeHistory(s, req.user.email, 'problems changed');
+      s.questionScores = scores;
+      s.questionPoints = result.points;
+      if (changed) {
+        s.grade = result.grade;
+        regraded++;
+        if (gradesReleased(assn)) {
+          perStudentSubmissions([s]).forEach((m) => {
+            createNotification(m.studentEmail, `Your grade for ${assn.title} was updated to ${m.grade} after a change to its problems`, { assignmentId: assn.id, type: 'grade' });
+          });
+        } else {
+          s.gradeNotifiedAt = null;
+        }
+      }
+    }
+    if (s.graded) {
+      try {
+        await renderFeedbackPdf(s);
+      } catch (error) {
+        console.error('Error rendering feedback:', error);
+      }
+    }
+  }
+  saveData();
+  res.json({ assignment: assn, regraded });
+});
+
+app.get('/api/rubric-templates', authRequired, adminRequired, (req, res) => {
+  res.json(rubricTemplates);
+});
+
+app.post('/api/rubric-templates', authRequired, adminRequired, (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Template name is required' });
+  let rubric;
+  try {
+    rubric = normalizeRubric(req.body.rubric);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!rubric) return res.status(400).json({ error: 'A template needs at least one criterion' });
+  const template = {
+    id: Date.now().toString(),
+    name,
+    rubric,
+    createdBy: req.user.email,
+    createdAt: new Date().toISOString(),
+  };
+  rubricTemplates.push(template);
+  saveData();
+  res.status(201).json(template);
+});
+
+app.delete('/api/rubric-templates/:id', authRequired, adminRequired, (req, res) => {
+  const idx = rubricTemplates.findIndex(t => t.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Template not found' });
+  rubricTemplates.splice(idx, 1);
+  saveData();
+  res.json({ message: 'Template deleted' });
+});
+
+/**
+ * Routes for deadline extensions
+ */
+// Admins see every extension (optionally filtered by assignment); students
+// only see their own.
+app.get('/api/extensions', authRequired, (req, res) => {
+  let result = extensions;
+  if (req.user.role !== 'admin') {
+    result = result.filter(e => e.studentEmail === req.user.email);
+  } else if (req.query.assignmentId) {
+    result = result.filter(e => e.assignmentId === req.query.assignmentId);
+  }
+  res.json(result);
+});
+
+// Grant or change a student's extension for an assignment
+app.post('/api/extensions', authRequired, adminRequired, (req, res) => {
+  const { assignmentId, studentEmail, reason } = req.body;
+  const assn = assignments.find(a => a.id === assignmentId);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  const student = findStudentByEmail(studentEmail);
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  const dueDate = new Date(req.body.dueDate);
+  if (isNaN(dueDate)) return res.status(400).json({ error: 'A valid due date is required' });
+  let extension = findExtension(assignmentId, studentEmail);
+  if (!extension) {
+    extension = { id: Date.now().toString(), assignmentId, studentEmail };
+    extensions.push(extension);
+  }
+  extension.dueDate = dueDate.toISOString();
+  extension.reason = reason || '';
+  extension.grantedBy = req.user.email;
+  extension.grantedAt = new Date().toISOString();
+  const affected = submissionFor(assignmentId, studentEmail);
+  if (affected) stampLateness(affected);
+  createNotification(studentEmail, `You have been granted an extension for ${assn.title} until ${dueDate.toLocaleString()}`, { assignmentId });
+  saveData();
+  res.json(extension);
+});
+
+app.delete('/api/extensions/:id', authRequired, adminRequired, (req, res) => {
+  const idx = extensions.findIndex(e => e.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Extension not found' });
+  const [extension] = extensions.splice(idx, 1);
+  const affected = submissionFor(extension.assignmentId, extension.studentEmail);
+  if (affected) stampLateness(affected);
+  saveData();
+  res.json({ message: 'Extension removed' });
+});
+
+/**
+ * Grading workload routes (see gradingWork.js)
+ */
+// Set how an assignment's submissions are distributed among TAs, or send a
+// null plan to stop distributing. Ungraded submissions are handed out again.
+app.put('/api/assignments/:id/grading-plan', authRequired, adminRequired, (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  const subs = submissions.filter(s => s.assignmentId === assn.id);
+  if (req.body.plan === null) {
+    delete assn.gradingPlan;
+    subs.filter(s => !s.graded).forEach((s) => { delete s.graderEmail; });
+  } else {
+    try {
+      assn.gradingPlan = normalizeGradingPlan(req.body.plan, {
+        adminEmails: users.filter(u => u.role === 'admin').map(u => u.email),
+        questions: assn.questions || null,
+        rubric: assn.rubric || null,
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    distribute(assn.gradingPlan, subs, findStudentByEmail);
+  }
+  saveData();
+  const unassigned = assn.gradingPlan && assn.gradingPlan.mode !== 'question'
+    ? subs.filter(s => !s.graded && !s.graderEmail).length
+    : 0;
+  res.json({ assignment: assn, unassigned });
+});
+
+// The signed-in TA's grading queue across all assignments: every submission
+// (or, in question mode, every submission's questions) they are due to grade,
+// with their part marked done once graded.
+app.get('/api/grading-queue', authRequired, adminRequired, (req, res) => {
+  const items = [];
+  assignments.forEach((assn) => {
+    if (!assn.gradingPlan) return;
+    submissions
+      .filter(s => s.assignmentId === assn.id)
+      .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt))
+      .forEach((s) => {
+        const status = queueStatus(assn.gradingPlan, s, req.user.email);
+        if (!status) return;
+        items.push({
+          assignmentId: assn.id,
+          assignmentTitle: assn.title,
+          submission: graderSubmissionView(s),
+          questions: status.questions,
+          done: status.done,
+        });
+      });
+  });
+  res.json(items);
+});
+
+// Per-TA progress, grading time and average score for one assignment
+app.get('/api/assignments/:id/grading-progress', authRequired, adminRequired, (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  const nameOf = (email) => (users.find(u => u.email === email) || {}).name || email;
+  res.json(progressReport(assn, submissions.filter(s => s.assignmentId === assn.id), nameOf));
+});
+
+// Question-by-question grading: save the scores a TA gave some problems
+// ({ questionId: { score, comment } }) or, for assignments graded with a
+// rubric, the levels they chose for some criteria ({ criterionId: levelId }).
+// Once every question is scored the submission is graded, as if everything
+// had been submitted at once; later changes regrade it.
+app.put('/api/assignments/:assignmentId/submissions/:submissionId/question-scores', authRequired, adminRequired, async (req, res) => {
+  const { assignmentId, submissionId } = req.params;
+  const submission = submissions.find(s => s.id === submissionId && s.assignmentId === assignmentId);
+  if (!submission) return res.status(404).json({ error: 'Submission not found' });
+  const assignment = assignments.find(a => a.id === assignmentId);
+  if (assignment && assignment.questions) return saveProblemScores(req, res, assignment, submission);
+  if (!assignment || !assignment.rubric) return res.status(400).json({ error: 'This assignment has no problems or rubric' });
+  const scores = req.body.scores || {};
+  const valid = Object.keys(scores).every((criterionId) => {
+    const criterion = assignment.rubric.criteria.find(c => c.id === criterionId);
+    return criterion && criterion.levels.some(l => l.id === scores[criterionId]);
+  });
+  if (!valid || !Object.keys(scores).length) return res.status(400).json({ error: 'Select a rubric level for your questions' });
+  logGradingTime(submission, req.user.email, req.body.gradingSeconds);
+  const merged = Object.assign({}, submission.rubricDraft || (submission.graded ? submission.rubricScores : null), scores);
+  const result = scoreRubric(assignment.rubric, merged);
+  if (result.missing.length) {
+    submission.rubricDraft = merged;
+  } else {
+    recordGradeHistory(submission, req.user.email, 'regraded');
+    submission.graded = true;
+    submission.grade = result.grade;
+    submission.rubricScores = merged;
+    submission.rubricPoints = result.points;
+    submission.gradedBy = req.user.email;
+    if (submission.comments === undefined) submission.comments = '';
+    delete submission.rubricDraft;
+    delete submission.needsRegrading;
+    if (gradesReleased(assignment)) {
+      sendGradeNotice(submission, `${req.protocol}://${req.get('host')}`);
+    } else {
+      submission.gradeNotifiedAt = null;
+    }
+  }
+  saveData();
+  res.json(graderSubmissionView(submission));
+});
+
+/**
+ * Problem part of the question-scores route: merge the scores into the
+ * submission's and grade it once every problem has one.
+ */
+async function saveProblemScores(req, res, assignment, submission) {
+  let scores;
+  try {
+    scores = normalizeQuestionScores(req.body.scores, assignment.questions);
+  } catch (err) {
+    return res.status(400).json({ error: err instanceof SyntaxError ? 'Invalid problem scores' : err.message });
+  }
+  if (!Object.keys(scores).length) return res.status(400).json({ error: 'Score your problems' });
+  logGradingTime(submission, req.user.email, req.body.gradingSeconds);
+  const gradedAt = new Date().toISOString();
+  const merged = Object.assign({}, submission.questionScores);
+  Object.keys(scores).forEach((questionId) => {
+    merged[questionId] = Object.assign(scores[questionId], { gradedBy: req.user.email, gradedAt });
+  });
+  const result = scoreQuestions(assignment.questions, merged);
+  if (result.missing.length) {
+    submission.questionScores = merged;
+  } else {
+    recordGradeHistory(submission, req.user.email, 'regraded');
+    submission.graded = true;
+    submission.grade = result.grade;
+    submission.questionScores = merged;
+    submission.questionPoints = result.points;
+    submission.gradedBy = req.user.email;
+    if (submission.comments === undefined) submission.comments = '';
+    try {
+      await renderFeedbackPdf(submission);
+    } catch (error) {
+      console.error('Error rendering feedback:', error);
+    }
+    if (gradesReleased(assignment)) {
+      sendGradeNotice(submission, `${req.protocol}://${req.get('host')}`);
+    } else {
+      submission.gradeNotifiedAt = null;
+    }
+  }
+  saveData();
+  res.json(graderSubmissionView(submission));
+}
+
+/**
+ * Group routes
+ */
+/**
+ * A group as shown to a user. Admins and the group's own members see the
+ * members' emails and student IDs; other students only see names.
+ */
+function groupView(group, req) {
+  const full = req.user.role === 'admin' || group.members.includes(req.user.email);
+  return {
+    id: group.id,
+    assignmentId: group.assignmentId,
+    name: group.name,
+    members: group.members.map((email) => {
+      const student = findStudentByEmail(email) || {};
+      return full
+        ? { email, name: student.name || email, studentId: student.studentId || '' }
+        : { name: student.name || 'Student' };
+    }),
+    mine: group.members.includes(req.user.email),
+    submitted: submissions.some(s => s.groupId === group.id),
+  };
+}
+
+/**
+ * Resolve and check the members a TA assigns to a group. Members may be
+ * given by email or student ID. Returns { emails } or { error }.
+ */
+function resolveGroupMembers(assn, input, groupId) {
+  if (!Array.isArray(input) || !input.length) return { error: 'A group needs at least one member' };
+  const emails = [];
+  for (const value of input) {
+    const key = String(value || '').trim();
+    const student = findStudentByEmail(key) || findStudentById(key);
+    if (!student) return { error: `No approved student ${key}` };
+    if (emails.includes(student.email)) continue;
+    const other = findGroup(assn.id, student.email);
+    if (other && other.id !== groupId) return { error: `${student.name} is already in ${other.name}` };
+    emails.push(student.email);
+  }
+  if (emails.length > assn.groupSize) return { error: `Groups have at most ${assn.groupSize} members` };
+  return { emails };
+}
+
+// List the groups of an assignment. Students see every group when groups are
+// self-formed (so they can pick one to join), otherwise only their own.
+app.get('/api/assignments/:id/groups', authRequired, (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  let list = groups.filter(g => g.assignmentId === assn.id);
+  if (req.user.role !== 'admin' && !assn.selfFormedGroups) {
+    list = list.filter(g => g.members.includes(req.user.email));
+  }
+  res.json(list.map(g => groupView(g, req)));
+});
+
+// Create a group. TAs name the group and pick its members; on assignments
+// with self-formed groups a student creates a group with just themself.
+app.post('/api/assignments/:id/groups', authRequired, (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  if (!isGroupAssignment(assn)) return res.status(400).json({ error: 'This is not a group assignment' });
+  const existing = groups.filter(g => g.assignmentId === assn.id);
+  let members;
+  if (req.user.role === 'admin') {
+    const result = resolveGroupMembers(assn, req.body.members, null);
+    if (result.error) return res.status(400).json({ error: result.error });
+    members = result.emails;
+  } else {
+    if (!findStudentByEmail(req.user.email)) {
+      return res.status(403).json({ error: 'Your account has not been approved yet. Please wait for admin approval.' });
+    }
+    if (!assn.selfFormedGroups) return res.status(403).json({ error: 'Groups for this assignment are set by the TAs' });
+    if (findGroup(assn.id, req.user.email)) return res.status(400).json({ error: 'You are already in a group' });
+    members = [req.user.email];
+  }
+  const name = String(req.body.name || '').trim() || `Group ${existing.length + 1}`;
+  if (existing.some(g => g.name === name)) return res.status(400).json({ error: 'A group with that name already exists' });
+  const group = {
+    id: Date.now().toString(),
+    assignmentId: assn.id,
+    name,
+    members,
+    createdBy: req.user.email,
+    createdAt: new Date().toISOString(),
+  };
+  groups.push(group);
+  saveData();
+  res.status(201).json(groupView(group, req));
+});
+
+// Rename a group or change its members
+app.put('/api/groups/:id', authRequired, adminRequired, (req, res) => {
+  const group = groups.find(g => g.id === req.params.id);
+  if (!group) return res.status(404).json({ error: 'Group not found' });
+  const assn = assignments.find(a => a.id === group.assignmentId);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  if (req.body.name !== undefined) {
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'A group needs a name' });
+    if (groups.some(g => g.assignmentId === assn.id && g.id !== group.id && g.name === name)) {
+      return res.status(400).json({ error: 'A group with that name already exists' });
+    }
+    group.name = name;
+  }
+  if (req.body.members !== undefined) {
+    const result = resolveGroupMembers(assn, req.body.members, group.id);
+    if (result.error) return res.status(400).json({ error: result.error });
+    group.members = result.emails;
+    const sub = submissions.find(s => s.groupId === group.id);
+    if (sub) stampLateness(sub);
+  }
+  saveData();
+  res.json(groupView(group, req));
+});
+
+// Delete a group that has not submitted
+app.delete('/api/groups/:id', authRequired, adminRequired, (req, res) => {
+  const idx = groups.findIndex(g => g.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Group not found' });
+  if (submissions.some(s => s.groupId === groups[idx].id)) {
+    return res.status(400).json({ error: 'This group has a submission and cannot be deleted' });
+  }
+  groups.splice(idx, 1);
+  saveData();
+  res.json({ message: 'Group deleted' });
+});
+
+// Join a self-formed group that has room and has not submitted yet
+app.post('/api/groups/:id/join', authRequired, studentRequired, (req, res) => {
+  const group = groups.find(g => g.id === req.params.id);
+  if (!group) return res.status(404).json({ error: 'Group not found' });
+  const assn = assignments.find(a => a.id === group.assignmentId);
+  if (!assn || !assn.selfFormedGroups) return res.status(403).json({ error: 'Groups for this assignment are set by the TAs' });
+  if (findGroup(assn.id, req.user.email)) return res.status(400).json({ error: 'You are already in a group' });
+  if (submissions.some(s => s.groupId === group.id)) {
+    return res.status(400).json({ error: 'This group has already submitted' });
+  }
+  if (group.members.length >= assn.groupSize) return res.status(400).json({ error: 'This group is full' });
+  group.members.push(req.user.email);
+  saveData();
+  res.json(groupView(group, req));
+});
+
+// Leave a self-formed group before it submits. Empty groups are removed.
+app.post('/api/groups/:id/leave', authRequired, studentRequired, (req, res) => {
+  const idx = groups.findIndex(g => g.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Group not found' });
+  const group = groups[idx];
+  const assn = assignments.find(a => a.id === group.assignmentId);
+  if (!assn || !assn.selfFormedGroups) return res.status(403).json({ error: 'Groups for this assignment are set by the TAs' });
+  if (!group.members.includes(req.user.email)) return res.status(400).json({ error: 'You are not in this group' });
+  if (submissions.some(s => s.groupId === group.id)) {
+    return res.status(400).json({ error: 'Your group has already submitted' });
+  }
+  group.members = group.members.filter(email => email !== req.user.email);
+  if (!group.members.length) groups.splice(idx, 1);
+  saveData();
+  res.json({ message: 'You left the group' });
+});
+
+/**
+ * Regrade request routes
+ */
+// List regrade requests. Admins see every request (optionally filtered by
+// status or assignment); students see their own.
+app.get('/api/regrade-requests', authRequired, (req, res) => {
+  let result = regradeRequests;
+  if (req.user.role !== 'admin') {
+    result = result.filter(r => r.studentEmail === req.user.email);
+  } else {
+    if (req.query.status) result = result.filter(r => r.status === req.query.status);
+    if (req.query.assignmentId) result = result.filter(r => r.assignmentId === req.query.assignmentId);
+    // Requests on anonymously graded assignments carry the pseudonym
+    result = result.map((r) => {
+      const assn = assignments.find(a => a.id === r.assignmentId);
+      const sub = submissions.find(s => s.id === r.submissionId);
+      if (!assn || !assn.anonymousGrading || !sub) return r;
+      return Object.assign({}, r, { anonymous: true, studentName: pseudonym(sub), studentEmail: '' });
+    });
+  }
+  res.json(result);
+});
+
+// A student disputes the grade of their own graded submission, optionally
+// pointing at a page of the submission, a rubric criterion or a problem.
+app.post('/api/assignments/:assignmentId/submissions/:submissionId/regrade-requests', authRequired, studentRequired, (req, res) => {
+  const { assignmentId, submissionId } = req.params;
+  const assn = assignments.find(a => a.id === assignmentId);
+  const sub = submissions.find(s => s.id === submissionId && s.assignmentId === assignmentId);
+  if (!assn || !sub || !submissionEmails(sub).includes(req.user.email)) {
+    return res.status(404).json({ error: 'Submission not found' });
+  }
+  if (!sub.graded || !gradesReleased(assn)) {
+    return res.status(400).json({ error: 'Only graded submissions can be regraded' });
+  }
+  const deadline = regradeDeadline(assn, sub);
+  if (deadline && Date.now() > deadline.getTime()) {
+    return res.status(403).json({ error: 'The regrade window for this assignment has closed' });
+  }
+  if (regradeRequests.some(r => r.submissionId === sub.id && r.status === 'open')) {
+    return res.status(400).json({ error: 'You already have an open regrade request for this submission' });
+  }
+  const reason = String(req.body.reason || '').trim();
+  if (!reason) return res.status(400).json({ error: 'Please explain why the submission should be regraded' });
+  let page = null;
+  if (req.body.page !== undefined && req.body.page !== null && req.body.page !== '') {
+    page = Number(req.body.page);
+    if (!Number.isInteger(page) || page < 1) return res.status(400).json({ error: 'Invalid page number' });
+  }
+  const criterionId = req.body.criterionId || null;
+  if (criterionId && !(assn.rubric && assn.rubric.criteria.some(c => c.id === criterionId))) {
+    return res.status(400).json({ error: 'Unknown rubric criterion' });
+  }
+  const questionId = req.body.questionId || null;
+  if (questionId && !(assn.questions && assn.questions.some(q => q.id === questionId))) {
+    return res.status(400).json({ error: 'Unknown problem' });
+  }
+  const request = {
+    id: Date.now().toString(),
+    assignmentId,
+    submissionId: sub.id,
+    studentEmail: req.user.email,
+    studentName: findStudentByEmail(req.user.email).name,
+    reason,
+    page,
+    criterionId,
+    questionId,
+    status: 'open',
+    createdAt: new Date().toISOString(),
+    resolvedBy: null,
+    resolvedAt: null,
+    response: '',
+    previousGrade: memberGrade(sub, req.user.email),
+    newGrade: null,
+  };
+  regradeRequests.push(request);
+  const requester = assn.anonymousGrading ? pseudonym(sub) : request.studentName;
+  users
+    .filter(u => u.role === 'admin')
+    .forEach(u => createNotification(u.email, `Regrade request from ${requester} for ${assn.title}`, { assignmentId }));
+  saveData();
+  res.status(201).json(request);
+});
+
+// Accept or reject an open regrade request. Accepting sets the new grade
+// (from `grade`, from `rubricScores` for rubric-graded assignments or from
+// `questionScores` for the problems whose score changes); the previous grade
+// is kept in the submission's gradeHistory. A new group grade is announced
+// to every member whose grade it is, not only to the one who asked.
+app.put('/api/regrade-requests/:id', authRequired, adminRequired, async (req, res) => {
+  const request = regradeRequests.find(r => r.id === req.params.id);
+  if (!request) return res.status(404).json({ error: 'Regrade request not found' });
+  if (request.status !== 'open') return res.status(400).json({ error: 'This regrade request has already been resolved' });
+  const { status } = req.body;
+  if (status !== 'accepted' && status !== 'rejected') {
+    return res.status(400).json({ error: 'Status must be accepted or rejected' });
+  }
+  const sub = submissions.find(s => s.id === request.submissionId);
+  const assn = assignments.find(a => a.id === request.assignmentId);
+  if (!sub || !assn) return res.status(404).json({ error: 'Submission not found' });
+  const response = String(req.body.response || '').trim();
+  let sharedGradeChanged = false;
+  if (status === 'accepted') {
+    let grade;
+    let rubricResult = null;
+    let rubricScores = null;
+    let questionResult = null;
+    let questionScores = null;
+    if (assn.rubric && req.body.rubricScores) {
+      try {
+        rubricScores = typeof req.body.rubricScores === 'string' ? JSON.parse(req.body.rubricScores) : req.body.rubricScores;
+      } catch (err) {
+        return res.status(400).json({ error: 'Invalid rubric scores' });
+      }
+      rubricResult = scoreRubric(assn.rubric, rubricScores);
+      if (rubricResult.missing.length) {
+        return res.status(400).json({ error: 'Select a level for every rubric criterion' });
+      }
+      grade = rubricResult.grade;
+    } else if (assn.questions && sub.questionScores && req.body.questionScores) {
+      let changedScores;
+      try {
+        changedScores = normalizeQuestionScores(req.body.questionScores, assn.questions);
+      } catch (err) {
+        return res.status(400).json({ error: err instanceof SyntaxError ? 'Invalid problem scores' : err.message });
+      }
+      const resolvedAt = new Date().toISOString();
+      questionScores = Object.assign({}, sub.questionScores);
+      Object.keys(changedScores).forEach((questionId) => {
+        questionScores[questionId] = Object.assign(changedScores[questionId], { gradedBy: req.user.email, gradedAt: resolvedAt });
+      });
+      questionResult = scoreQuestions(assn.questions, questionScores);
+      if (questionResult.missing.length) {
+        return res.status(400).json({ error: 'Score every problem' });
+      }
+      grade = questionResult.grade;
+    } else {
+      grade = Number(req.body.grade);
+      if (req.body.grade === undefined || req.body.grade === '' || !Number.isFinite(grade) || grade < 0) {
+        return res.status(400).json({ error: 'A valid new grade is required' });
+      }
+    }
+    if (!rubricResult && !questionResult && sub.memberGrades && sub.memberGrades[request.studentEmail] !== undefined) {
+      // The student has an individual grade within their group
+      recordGradeHistory(sub, req.user.email, 'regrade request', request.studentEmail);
+      sub.memberGrades[request.studentEmail] = grade;
+    } else {
+      recordGradeHistory(sub, req.user.email, 'regrade request');
+      sub.grade = grade;
+      sharedGradeChanged = true;
+      if (rubricResult) {
+        sub.rubricScores = rubricScores;
+        sub.rubricPoints = rubricResult.points;
+      } else {
+        delete sub.rubricScores;
+        delete sub.rubricPoints;
+      }
+      if (questionResult || sub.questionScores) {
+        if (questionResult) {
+          sub.questionScores = questionScores;
+          sub.questionPoints = questionResult.points;
+        } else {
+          delete sub.questionScores;
+          delete sub.questionPoints;
+        }
+        try {
+          await renderFeedbackPdf(sub);
+        } catch (error) {
+          console.error('Error rendering feedback:', error);
+        }
+      }
+    }
+    request.newGrade = grade;
+  }
+  request.status = status;
+  request.response = response;
+  request.resolvedBy = req.user.email;
+  request.resolvedAt = new Date().toISOString();
+  const outcome = status === 'accepted'
+    ? `accepted. Your new grade is ${request.newGrade}`
+    : 'rejected';
+  createNotification(request.studentEmail, `Your regrade request for ${assn.title} was ${outcome}` + (response ? ` – ${response}` : ''), { assignmentId: assn.id, type: 'grade' });
+  if (sharedGradeChanged) {
+    perStudentSubmissions([sub])
+      .filter(m => m.studentEmail !== request.studentEmail && !(sub.memberGrades && sub.memberGrades[m.studentEmail] !== undefined))
+      .forEach((m) => {
+        createNotification(m.studentEmail, `Your grade for ${assn.title} was updated to ${m.grade} after a regrade request`, { assignmentId: assn.id, type: 'grade' });
+      });
+  }
+  saveData();
+  res.json(request);
+});
+
+/**
+ * Gradebook routes
+ */
+// Categories and the letter scale are public so every page can show letter
+// grades consistently.
+app.get('/api/gradebook/settings', (req, res) => {
+  res.json(gradebookSettings);
+});
+
+app.put('/api/gradebook/settings', authRequired, adminRequired, (req, res) => {
+  let settings;
+  try {
+    settings = normalizeSettings(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  gradebookSettings = settings;
+  // Assignments and quizzes in a deleted category become uncategorized
+  assignments.concat(quizzes).forEach((a) => {
+    if (a.categoryId && !settings.categories.some(c => c.id === a.categoryId)) a.categoryId = null;
+  });
+  saveData();
+  res.json(gradebookSettings);
+});
+
+// Full grid: every approved student by every assignment and quiz, with
+// category averages and the final grade. Anonymously graded assignments are
+// listed but masked (see graderGradebook).
+app.get('/api/gradebook', authRequired, adminRequired, (req, res) => {
+  const rows = students.map((st) => Object.assign({
+    student: { name: st.name, email: st.email, studentId: st.studentId, studentNameZh: st.studentNameZh },
+  }, graderGradebook(st.email)));
+  res.json({
+    settings: gradebookSettings,
+    assignments: assignments.map(a => ({ id: a.id, title: a.title, dueDate: a.dueDate, categoryId: a.categoryId || null, anonymous: !!a.anonymousGrading }))
+      .concat(quizzes.map(q => ({ id: q.id, title: q.title, dueDate: q.closesAt, categoryId: q.categoryId || null, quiz: true }))),
+    rows,
+  });
+});
+
+// Set or clear a manual override. assignmentId null/empty targets the final
+// grade; grade null/empty removes the override.
+app.put('/api/gradebook/overrides', authRequired, adminRequired, (req, res) => {
+  const { studentEmail, note } = req.body;
+  const assignmentId = req.body.assignmentId || null;
+  if (!findStudentByEmail(studentEmail)) return res.status(404).json({ error: 'Student not found' });
+  if (assignmentId && !assignments.some(a => a.id === assignmentId) && !quizzes.some(q => q.id === assignmentId)) {
+    return res.status(404).json({ error: 'Assignment not found' });
+  }
+  if (assignments.some(a => a.id === assignmentId && a.anonymousGrading)) {
+    return res.status(400).json({ error: 'Reveal the students of this anonymously graded assignment before overriding grades' });
+  }
+  const idx = gradeOverrides.findIndex(o => o.studentEmail === studentEmail && (o.assignmentId || null) === assignmentId);
+  if (req.body.grade === null || req.body.grade === undefined || req.body.grade === '') {
+    if (idx !== -1) gradeOverrides.splice(idx, 1);
+  } else {
+    const grade = Number(req.body.grade);
+    if (!Number.isFinite(grade) || grade < 0) return res.status(400).json({ error: 'Grade must be a non-negative number' });
+    const override = idx !== -1 ? gradeOverrides[idx] : { id: Date.now().toString(), studentEmail, assignmentId };
+    override.grade = grade;
+    override.note = note || '';
+    override.updatedBy = req.user.email;
+    override.updatedAt = new Date().toISOString();
+    if (idx === -1) gradeOverrides.push(override);
+  }
+  saveData();
+  res.json(graderGradebook(studentEmail));
+});
+
+/**
+ * Routes for resource downloads
+ */
+// Resources with a publish date in the future are listed for TAs only. Their
+// files are not hidden: upload names cannot be guessed, but a link shared
+// early still works.
+function visibleResources(req) {
+  const viewer = optionalUser(req);
+  if (viewer && viewer.role === 'admin') {
+    return resources.map(r => Object.assign({}, r, { published: isPublished(r) }));
+  }
+  return resources.filter(r => isPublished(r));
+}
+
+function nextResourcePosition(folder) {
+  return resources.filter(r => (r.folder || '') === folder).reduce((max, r) => Math.max(max, (r.position || 0) + 1), 0);
+}
+
+app.get('/api/resources', (req, res) => {
+  res.json(visibleResources(req).sort(compareResources));
+});
+
+// Search and filter the library: ?q= words to find, ?tags= comma-separated
+// tags that must all be present, ?folder= a folder with its subfolders.
+// Returns the matches with tag and folder counts for narrowing down.
+app.get('/api/resources/search', (req, res) => {
+  let tags;
+  try {
+    tags = parseTags(req.query.tags || '');
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json(searchResources(visibleResources(req), { q: req.query.q, tags, folder: req.query.folder }));
+});
+
+app.post('/api/resources', authRequired, adminRequired, upload.single('file'), (req, res) => {
+  const file = req.file;
+  if (!file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  let fields;
+  try {
+    fields = normalizeResourceFields(Object.assign({ title: '' }, req.body));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const id = Date.now().toString();
+  const folder = fields.folder || '';
+  const position = nextResourcePosition(folder);
+  const now = new Date().toISOString();
+  resources.push(Object.assign(
+    { id, description: '', tags: [], folder, publishAt: null, position },
+    fields,
+    { filePath: file.path, uploadedAt: now, updatedAt: now }
+  ));
+  res.status(201).json({ id });
+  // Persist changes
+  saveData();
+});
+
+// Reorder the resources of a folder: ids lists them in their new order.
+app.put('/api/resources/order', authRequired, adminRequired, (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String) : [];
+  const listed = ids.map(id => resources.find(r => r.id === id));
+  if (!ids.length || listed.some(r => !r)) return res.status(400).json({ error: 'Unknown resource in the new order' });
+  if (new Set(listed.map(r => r.folder || '')).size > 1) return res.status(400).json({ error: 'Only resources of one folder can be reordered together' });
+  listed.forEach((r, i) => { r.position = i; });
+  saveData();
+  res.json({ message: 'Order saved' });
+});
+
+/**
+ * Routes for exams
+ */
+// Everyone sees the exam schedule; the seating plan is for TAs, and a
+// student only sees their own room and seat.
+app.get('/api/exams', (req, res) => {
+  const viewer = optionalUser(req);
+  if (viewer && viewer.role === 'admin') return res.json(exams);
+  const stu = viewer ? findStudentByEmail(viewer.email) : null;
+  res.json(exams.map((ex) => {
+    const view = Object.assign({}, ex, { seating: undefined, seated: !!(ex.seating && ex.seating.seats.length) });
+    const mine = stu && ex.seating && ex.seating.seats.find((s) => s.studentEmail === stu.email);
+    if (mine) view.mySeat = examSlipRow(ex, mine);
+    return view;
+  }));
+});
+
+app.post('/api/exams', authRequired, adminRequired, (req, res) => {
+  const { title, date, description } = req.body;
+  let rooms;
+  let durationMinutes;
+  try {
+    rooms = normalizeRooms(req.body.rooms);
+    durationMinutes = parseDuration(req.body.durationMinutes);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const id = Date.now().toString();
+  exams.push({ id, title, date, description, rooms, durationMinutes, seating: null });
+  res.status(201).json({ id });
+  // Persist changes
+  saveData();
+});
+
+/**
+ * One seat of an exam as it appears on the chart and the slips.
+ */
+function examSlipRow(exam, seat) {
+  const user = users.find((u) => u.email === seat.studentEmail) || {};
+  const stu = findStudentByEmail(seat.studentEmail) || {};
+  const room = (exam.rooms || []).find((r) => r.id === seat.roomId) || {};
+  const extraTimePercent = stu.extraTimePercent || 0;
+  const endsAt = examEnd(exam, extraTimePercent);
+  return {
+    studentEmail: seat.studentEmail,
+    name: user.name || seat.studentEmail,
+    studentId: user.studentId || stu.studentId || '',
+    roomId: seat.roomId,
+    roomName: room.name || '',
+    extraTimeRoom: !!room.extraTime,
+    seat: seat.seat,
+    extraTimePercent,
+    endsAt: endsAt ? endsAt.toISOString() : null,
+  };
+}
+
+function sendPdf(res, bytes, fileName) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(Buffer.from(bytes));
+}
+
+function examFileName(exam, suffix) {
+  return `${String(exam.title || '').replace(/[^A-Za-z0-9_-]+/g, '-') || 'exam'}-${suffix}.pdf`;
+}
+
+// Assign every approved student a room and seat, by student ID or at random.
+// Assigning again replaces the previous plan.
+app.post('/api/exams/:id/seating', authRequired, adminRequired, (req, res) => {
+  const ex = exams.find((e) => e.id == req.params.id);
+  if (!ex) return res.status(404).json({ error: 'Exam not found' });
+  const method = req.body.method || 'studentId';
+  let seats;
+  try {
+    seats = assignSeats(ex, students, method);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  ex.seating = { method, assignedAt: new Date().toISOString(), assignedBy: req.user.email, seats };
+  seats.forEach((seat) => {
+    const row = examSlipRow(ex, seat);
+    createNotification(seat.studentEmail, `Your seat for "${ex.title}": ${row.roomName}, seat ${row.seat}`, { examId: ex.id });
+  });
+  saveData();
+  res.json(ex);
+});
+
+app.delete('/api/exams/:id/seating', authRequired, adminRequired, (req, res) => {
+  const ex = exams.find((e) => e.id == req.params.id);
+  if (!ex) return res.status(404).json({ error: 'Exam not found' });
+  ex.seating = null;
+  saveData();
+  res.json(ex);
+});
+
+function seatedRows(ex) {
+  return ex.seating ? ex.seating.seats.map((seat) => examSlipRow(ex, seat)) : [];
+}
+
+// Seating chart for the proctors, one table per room.
+app.get('/api/exams/:id/seating-chart', authRequired, adminRequired, async (req, res) => {
+  const ex = exams.find((e) => e.id == req.params.id);
+  if (!ex) return res.status(404).json({ error: 'Exam not found' });
+  if (!ex.seating) return res.status(400).json({ error: 'Seats have not been assigned yet' });
+  try {
+    sendPdf(res, await seatingChartPdf(ex, seatedRows(ex)), examFileName(ex, 'seating'));
+  } catch (err) {
+    console.error('Failed to build seating chart', err);
+    res.status(500).json({ error: 'Failed to build the seating chart' });
+  }
+});
+
+// Every student's exam slip, in room and seat order, for printing.
+app.get('/api/exams/:id/slips', authRequired, adminRequired, async (req, res) => {
+  const ex = exams.find((e) => e.id == req.params.id);
+  if (!ex) return res.status(404).json({ error: 'Exam not found' });
+  if (!ex.seating) return res.status(400).json({ error: 'Seats have not been assigned yet' });
+  const roomOrder = (ex.rooms || []).map((r) => r.id);
+  const rows = seatedRows(ex).sort((a, b) => roomOrder.indexOf(a.roomId) - roomOrder.indexOf(b.roomId) || a.seat - b.seat);
+  try {
+    sendPdf(res, await examSlipsPdf(ex, rows), examFileName(ex, 'slips'));
+  } catch (err) {
+    console.error('Failed to build exam slips', err);
+    res.status(500).json({ error: 'Failed to build the exam slips' });
+  }
+});
+
+// A student's own exam slip.
+app.get('/api/exams/:id/slip', authRequired, studentRequired, async (req, res) => {
+  const ex = exams.find((e) => e.id == req.params.id);
+  if (!ex) return res.status(404).json({ error: 'Exam not found' });
+  const seat = ex.seating && ex.seating.seats.find((s) => s.studentEmail === req.user.email);
+  if (!seat) return res.status(404).json({ error: 'You do not have a seat for this exam yet' });
+  try {
+    sendPdf(res, await examSlipsPdf(ex, [examSlipRow(ex, seat)]), examFileName(ex, 'slip'));
+  } catch (err) {
+    console.error('Failed to build exam slip', err);
+    res.status(500).json({ error: 'Failed to build the exam slip' });
+  }
+});
+
+/**
+ * Routes for course events and the calendar (see calendar.js)
+ */
+app.get('/api/events', (req, res) => {
+  res.json(courseEvents);
+});
+
+app.post('/api/events', authRequired, adminRequired, (req, res) => {
+  let fields;
+  try {
+    fields = normalizeCourseEvent(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const now = new Date().toISOString();
+  const event = Object.assign({ id: Date.now().toString() }, fields, { createdBy: req.user.email, createdAt: now, updatedAt: now });
+  courseEvents.push(event);
+  saveData();
+  res.status(201).json(event);
+});
+
+app.put('/api/events/:id', authRequired, adminRequired, (req, res) => {
+  const event = courseEvents.find(e => e.id === req.params.id);
+  if (!event) return res.status(404).json({ error: 'Event not found' });
+  let fields;
+  try {
+    fields = normalizeCourseEvent(Object.assign({}, event, req.body));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  Object.assign(event, fields, { updatedAt: new Date().toISOString() });
+  saveData();
+  res.json(event);
+});
+
+app.delete('/api/events/:id', authRequired, adminRequired, (req, res) => {
+  const idx = courseEvents.findIndex(e => e.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Event not found' });
+  courseEvents.splice(idx, 1);
+  saveData();
+  res.json({ message: 'Event deleted' });
+});
+
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Calendar entries of an assignment: its deadline, or the student's own
+ * deadline when they have an extension. In a group every member gets the
+ * most generous extension of the group, as for lateness.
+ */
+function assignmentCalendarEvent(assn, email, baseUrl) {
+  const group = email && isGroupAssignment(assn) ? findGroup(assn.id, email) : null;
+  const extension = email ? bestExtension(assn.id, group ? group.members : [email]) : null;
+  const due = extension ? extension.dueDate : assn.dueDate;
+  return {
+    uid: `assignment-${assn.id}`,
+    type: 'assignment',
+    id: assn.id,
+    title: `Due: ${assn.title}`,
+    start: due,
+    end: due,
+    description: extension
+      ? `Extended deadline (originally ${new Date(assn.dueDate).toLocaleString()}).`
+      : '',
+    url: baseUrl,
+    updatedAt: [assn.updatedAt, extension && extension.grantedAt].filter(Boolean).sort().pop(),
+  };
+}
+
+/**
+ * Calendar entry of an exam, running for its duration plus the student's
+ * extra time, in the student's room when seats are assigned.
+ */
+function examCalendarEvent(ex, email, baseUrl) {
+  const seat = email && ex.seating ? ex.seating.seats.find(s => s.studentEmail === email) : null;
+  const row = seat ? examSlipRow(ex, seat) : null;
+  const stu = email ? findStudentByEmail(email) : null;
+  const end = examEnd(ex, stu ? stu.extraTimePercent : 0);
+  return {
+    uid: `exam-${ex.id}`,
+    type: 'exam',
+    id: ex.id,
+    title: `Exam: ${ex.title}`,
+    start: ex.date,
+    end: end ? end.toISOString() : ex.date,
+    description: ex.description || '',
+    location: row ? `${row.roomName}, seat ${row.seat}` : (ex.rooms || []).map(r => r.name).join(', '),
+    url: baseUrl,
+    updatedAt: ex.updatedAt,
+  };
+}
+
+function quizCalendarEvent(quiz, baseUrl) {
+  return {
+    uid: `quiz-${quiz.id}`,
+    type: 'quiz',
+    id: quiz.id,
+    title: `Quiz: ${quiz.title}`,
+    start: quiz.opensAt || quiz.closesAt,
+    end: quiz.closesAt || quiz.opensAt,
+    description: quiz.timeLimitMinutes ? `Time limit: ${quiz.timeLimitMinutes} minutes.` : '',
+    url: baseUrl,
+    updatedAt: quiz.updatedAt,
+  };
+}
+
+function courseCalendarEvent(event, baseUrl) {
+  return {
+    uid: `event-${event.id}`,
+    type: event.kind,
+    id: event.id,
+    title: event.kind === 'officeHours' ? `Office hours: ${event.title}` : event.title,
+    start: event.start,
+    end: event.end,
+    weeks: event.weeks,
+    description: event.description,
+    location: event.location,
+    url: baseUrl,
+    updatedAt: event.updatedAt,
+  };
+}
+
+/**
+ * Everything dated in the course as calendar events, personalized for a
+ * student (extensions, exam seats and extra time).
+ */
+function calendarEventsFor(user, baseUrl) {
+  const email = user.role === 'student' ? user.email : null;
+  return [].concat(
+    assignments.map(a => assignmentCalendarEvent(a, email, baseUrl)),
+    exams.map(ex => examCalendarEvent(ex, email, baseUrl)),
+    quizzes.filter(q => q.opensAt || q.closesAt).map(q => quizCalendarEvent(q, baseUrl)),
+    courseEvents.map(e => courseCalendarEvent(e, baseUrl))
+  );
+}
+
+function sendCalendar(res, text, fileName) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(text);
+}
+
+function calendarFileName(title) {
+  return `${String(title || '').replace(/[^A-Za-z0-9_-]+/g, '-') || 'event'}.ics`;
+}
+
+function feedUrl(req, user) {
+  return `${publicBaseUrl(req)}/api/calendar/${user.calendarToken}.ics`;
+}
+
+// The caller's personal feed URL, created on first use.
+app.get('/api/calendar/feed', authRequired, (req, res) => {
+  const user = requestUser(req);
+  if (!user) return res.status(401).json({ error: 'Unknown user' });
+  if (!user.calendarToken) {
+    user.calendarToken = feedToken();
+    saveData();
+  }
+  res.json({ url: feedUrl(req, user) });
+});
+
+// Replace the feed URL, e.g. after it was shared by mistake. The old URL
+// stops working.
+app.post('/api/calendar/feed/reset', authRequired, (req, res) => {
+  const user = requestUser(req);
+  if (!user) return res.status(401).json({ error: 'Unknown user' });
+  user.calendarToken = feedToken();
+  saveData();
+  res.json({ url: feedUrl(req, user) });
+});
+
+// The same events as JSON for the calendar page, with announcements. Guests
+// get the public schedule without quizzes.
+app.get('/api/calendar/events', (req, res) => {
+  const viewer = optionalUser(req);
+  const baseUrl = publicBaseUrl(req);
+  const events = viewer
+    ? calendarEventsFor(viewer, baseUrl)
+    : calendarEventsFor({ role: 'guest' }, baseUrl).filter(e => e.type !== 'quiz');
+  const dated = announcements.map(a => ({ type: 'announcement', id: a.id, title: a.title, start: a.date, end: a.date }));
+  res.json(events.concat(dated).filter(e => e.start && !isNaN(new Date(e.start))).map(e => ({
+    type: e.type,
+    id: e.id,
+    title: e.title,
+    start: new Date(e.start).toISOString(),
+    end: new Date(e.end || e.start).toISOString(),
+    location: e.location || '',
+    weeks: e.weeks || 1,
+  })));
+});
+
+// The feed itself. Calendar apps cannot send an Authorization header, so the
+// token in the URL identifies the user. It is built on every request, so
+// changed dates show up at the next refresh.
+app.get('/api/calendar/:token.ics', (req, res) => {
+  const user = users.find(u => u.calendarToken && u.calendarToken === req.params.token);
+  if (!user) return res.status(404).json({ error: 'Calendar not found' });
+  sendCalendar(res, buildCalendar('Foundations of Algebra', calendarEventsFor(user, publicBaseUrl(req))), 'course.ics');
+});
+
+// Single-event downloads. Signed-in students get their own deadline, seat
+// and end time.
+app.get('/api/assignments/:id/ics', (req, res) => {
+  const assn = assignments.find(a => a.id === req.params.id);
+  if (!assn) return res.status(404).json({ error: 'Assignment not found' });
+  const viewer = optionalUser(req);
+  const email = viewer && viewer.role === 'student' ? viewer.email : null;
+  sendCalendar(res, buildCalendar(assn.title, [assignmentCalendarEvent(assn, email, publicBaseUrl(req))]), calendarFileName(assn.title));
+});
+
+app.get('/api/exams/:id/ics', (req, res) => {
+  const ex = exams.find(e => e.id == req.params.id);
+  if (!ex) return res.status(404).json({ error: 'Exam not found' });
+  const viewer = optionalUser(req);
+  const email = viewer && viewer.role === 'student' ? viewer.email : null;
+  sendCalendar(res, buildCalendar(ex.title, [examCalendarEvent(ex, email, publicBaseUrl(req))]), calendarFileName(ex.title));
+});
+
+app.get('/api/events/:id/ics', (req, res) => {
+  const event = courseEvents.find(e => e.id === req.params.id);
+  if (!event) return res.status(404).json({ error: 'Event not found' });
+  sendCalendar(res, buildCalendar(event.title, [courseCalendarEvent(event, publicBaseUrl(req))]), calendarFileName(event.title));
+});
+
+/**
+ * Routes for quizzes (see quizzes.js)
+ */
+// The question bank, with every question's answer key, is for TAs only.
+app.get('/api/quiz-questions', authRequired, adminRequired, (req, res) => {
+  res.json(quizQuestions);
+});
+
+app.post('/api/quiz-questions', authRequired, adminRequired, (req, res) => {
+  let fields;
+  try {
+    fields = normalizeBankQuestion(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const now = new Date().toISOString();
+  const question = Object.assign({ id: Date.now().toString() }, fields, { createdBy: req.user.email, createdAt: now, updatedAt: now });
+  quizQuestions.push(question);
+  saveData();
+  res.status(201).json(question);
+});
+
+// Editing a question changes the quizzes started from now on; attempts keep
+// the copy they were given.
+app.put('/api/quiz-questions/:id', authRequired, adminRequired, (req, res) => {
+  const question = quizQuestions.find(q => q.id === req.params.id);
+  if (!question) return res.status(404).json({ error: 'Question not found' });
+  let fields;
+  try {
+    fields = normalizeBankQuestion(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  ['choices', 'correct', 'answer', 'tolerance', 'sampleAnswer'].forEach((key) => { delete question[key]; });
+  Object.assign(question, fields, { updatedAt: new Date().toISOString() });
+  saveData();
+  res.json(question);
+});
+
+app.delete('/api/quiz-questions/:id', authRequired, adminRequired, (req, res) => {
+  const idx = quizQuestions.findIndex(q => q.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Question not found' });
+  quizQuestions.splice(idx, 1);
+  saveData();
+  res.json({ message: 'Question deleted' });
+});
+
+/**
+ * A quiz as listed for a student: its schedule and their own attempt, but not
+ * which questions it draws from.
+ */
+function studentQuizSummary(quiz, email) {
+  const attempt = quizAttempts.find(a => a.quizId === quiz.id && a.studentEmail === email);
+  const summary = {
+    id: quiz.id,
+    title: quiz.title,
+    description: quiz.description,
+    opensAt: quiz.opensAt,
+    closesAt: quiz.closesAt,
+    timeLimitMinutes: quiz.timeLimitMinutes,
+    questionCount: quizQuestionCount(quiz),
+    scoresReleased: !!quiz.scoresReleased,
+    attempt: null,
+  };
+  if (attempt) {
+    summary.attempt = { startedAt: attempt.startedAt, deadline: attempt.deadline, submittedAt: attempt.submittedAt || null };
+    if (quiz.scoresReleased) summary.attempt.score = attempt.score;
+  }
+  return summary;
+}
+
+/**
+ * Number of questions each student gets.
+ */
+function quizQuestionCount(quiz) {
+  const seen = new Set();
+  return quiz.pools.reduce((sum, pool) => {
+    const available = quizQuestions.filter(q => q.tags.includes(pool.tag) && !seen.has(q.id));
+    const taken = pool.pick === null ? available : available.slice(0, pool.pick);
+    taken.forEach(q => seen.add(q.id));
+    return sum + taken.length;
+  }, 0);
+}
+
+// TAs get every quiz with attempt counts; students their own view of each.
+app.get('/api/quizzes', authRequired, (req, res) => {
+  closeExpiredAttempts();
+  if (req.user.role === 'admin') {
+    return res.json(quizzes.map((quiz) => {
+      const attempts = quizAttempts.filter(a => a.quizId === quiz.id);
+      return Object.assign({}, quiz, {
+        questionCount: quizQuestionCount(quiz),
+        attempts: attempts.length,
+        submitted: attempts.filter(a => a.submittedAt).length,
+        pending: attempts.reduce((sum, a) => sum + pendingQuestions(a).length, 0),
+      });
+    }));
+  }
+  res.json(quizzes.map(q => studentQuizSummary(q, req.user.email)));
+});
+
+app.post('/api/quizzes', authRequired, adminRequired, (req, res) => {
+  let fields;
+  try {
+    fields = normalizeQuiz(req.body, { bank: quizQuestions, categories: gradebookSettings.categories });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const quiz = Object.assign({ id: Date.now().toString() }, fields, {
+    scoresReleased: false,
+    createdBy: req.user.email,
+    createdAt: new Date().toISOString(),
+  });
+  quizzes.push(quiz);
+  saveData();
+  res.status(201).json(quiz);
+});
+
+// Changes apply to attempts started afterwards, except that moving the
+// closing time also moves the deadline of attempts in progress.
+app.put('/api/quizzes/:id', authRequired, adminRequired, (req, res) => {
+  const quiz = quizzes.find(q => q.id === req.params.id);
+  if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+  let fields;
+  try {
+    fields = normalizeQuiz(req.body, { bank: quizQuestions, categories: gradebookSettings.categories });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  closeExpiredAttempts();
+  Object.assign(quiz, fields, { updatedAt: new Date().toISOString() });
+  quizAttempts
+    .filter(a => a.quizId === quiz.id && !a.submittedAt)
+    .forEach((a) => { a.deadline = attemptDeadline(quiz, a.startedAt); });
+  saveData();
+  res.json(quiz);
+});
+
+// Move a quiz to another gradebook category (from the gradebook settings).
+app.put('/api/quizzes/:id/category', authRequired, adminRequired, (req, res) => {
+  const quiz = quizzes.find(q => q.id === req.params.id);
+  if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+  const categoryId = req.body.categoryId || null;
+  if (categoryId && !gradebookSettings.categories.some(c => c.id === categoryId)) {
+    return res.status(400).json({ error: 'Unknown gradebook category' });
+  }
+  quiz.categoryId = categoryId;
   saveData();
+  res.json(quiz);
 });
 
-// Get submissions for an assignment (for admin)
-app.get('/api/assignments/:id/submissions', (req, res) => {
-  const assignmentId = req.params.id;
-  const result = submissions.filter(s => s.assignmentId === assignmentId);
-  res.json(result);
+// Like assignments, deleting a quiz leaves its attempts in storage.
+app.delete('/api/quizzes/:id', authRequired, adminRequired, (req, res) => {
+  const idx = quizzes.findIndex(q => q.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Quiz not found' });
+  quizzes.splice(idx, 1);
+  saveData();
+  res.json({ message: 'Quiz deleted' });
 });
 
-// Grade a submission and optionally merge annotations
-app.post('/api/assignments/:assignmentId/submissions/:submissionId/grade', upload.single('annotation'), async (req, res) => {
-  const { assignmentId, submissionId } = req.params;
-  const { grade, comments } = req.body;
-  const annotFile = req.file;
-  const submission = submissions.find(s => s.id === submissionId && s.assignmentId === assignmentId);
-  if (!submission) {
-    return res.status(404).json({ error: 'Submission not found' });
-  }
-  // If annotation image provided, merge with PDF
-  let feedbackPath = null;
-  if (annotFile) {
-    try {
-      const pdfBytes = fs.readFileSync(submission.filePath);
-      const annotationBytes = fs.readFileSync(annotFile.path);
-      const pdfDoc = await PDFDocument.load(pdfBytes);
-      const pngImage = await pdfDoc.embedPng(annotationBytes);
-      const pages = pdfDoc.getPages();
-      const firstPage = pages[0];
-      const { width, height } = firstPage.getSize();
-      // Draw annotation image covering entire page
-      firstPage.drawImage(pngImage, {
-        x: 0,
-        y: 0,
-        width,
-        height,
+// Publish or withdraw a quiz's scores. Publishing notifies every student whose
+// attempt is fully graded and who has not been told their score yet.
+app.put('/api/quizzes/:id/release', authRequired, adminRequired, (req, res) => {
+  const quiz = quizzes.find(q => q.id === req.params.id);
+  if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+  closeExpiredAttempts();
+  const released = req.body.released === true || req.body.released === 'true';
+  let notified = 0;
+  if (released) {
+    quizAttempts
+      .filter(a => a.quizId === quiz.id && a.score !== null && a.score !== undefined && !a.scoreNotifiedAt)
+      .forEach((a) => {
+        createNotification(a.studentEmail, `Your score for ${quiz.title} is available: ${a.score}`, { quizId: quiz.id, type: 'quiz' });
+        a.scoreNotifiedAt = new Date().toISOString();
+        notified++;
       });
-      // Write merged PDF
-      const mergedPdfBytes = await pdfDoc.save();
-      const feedbackDir = path.join(__dirname, 'uploads', 'feedback');
-      fs.mkdirSync(feedbackDir, { recursive: true });
-      const feedbackFilename = `${Date.now()}-feedback.pdf`;
-      feedbackPath = path.join(feedbackDir, feedbackFilename);
-      fs.writeFileSync(feedbackPath, mergedPdfBytes);
-      // Cleanup annotation file
-      fs.unlinkSync(annotFile.path);
-    } catch (error) {
-      console.error('Error merging annotation:', error);
-    }
   }
-  submission.graded = true;
-  submission.grade = grade;
-  submission.comments = comments;
-  if (feedbackPath) {
-    submission.feedbackPath = feedbackPath;
-  }
-  // Notify student
-  const subject = `Assignment ${assignmentId} graded`;
-  let body = `Dear ${submission.studentName},\n\nYour assignment has been graded.\nGrade: ${grade}\nComments: ${comments}\n`;
-  if (feedbackPath) {
-    const feedbackUrl = `${req.protocol}://${req.get('host')}/` + path.relative(path.join(__dirname, '..'), feedbackPath).replace(/\\/g, '/');
-    body += `\nYou can download your feedback file here: ${feedbackUrl}`;
-  }
-  sendEmail(submission.studentEmail, subject, body);
-  // Create a notification that links to this assignment. The client uses
-  // assignmentId to navigate to the assignment detail page when clicked.
-  createNotification(submission.studentEmail, subject, { assignmentId });
-  // Persist data after grading
+  quiz.scoresReleased = released;
   saveData();
-  res.json({ message: 'Grading complete', feedbackPath: submission.feedbackPath });
+  res.json({ quiz, notified });
+});
+
+// Every attempt of a quiz, with answers and results, for TAs.
+app.get('/api/quizzes/:id/attempts', authRequired, adminRequired, (req, res) => {
+  const quiz = quizzes.find(q => q.id === req.params.id);
+  if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+  closeExpiredAttempts();
+  res.json(quizAttempts.filter(a => a.quizId === quiz.id));
+});
+
+// Start the authenticated student's attempt: draw their questions and start
+// the clock. Starting again returns the attempt already under way.
+app.post('/api/quizzes/:id/start', authRequired, studentRequired, (req, res) => {
+  const quiz = quizzes.find(q => q.id === req.params.id);
+  if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+  closeExpiredAttempts();
+  const existing = quizAttempts.find(a => a.quizId === quiz.id && a.studentEmail === req.user.email);
+  if (existing) return res.json(studentAttemptView(existing, quiz));
+  const now = new Date();
+  if (quiz.opensAt && now < new Date(quiz.opensAt)) return res.status(403).json({ error: 'This quiz has not opened yet' });
+  if (quiz.closesAt && now >= new Date(quiz.closesAt)) return res.status(403).json({ error: 'This quiz is closed' });
+  const questions = drawQuestions(quiz, quizQuestions);
+  if (!questions.length) return res.status(409).json({ error: 'This quiz has no questions yet' });
+  const user = requestUser(req);
+  const startedAt = now.toISOString();
+  const attempt = {
+    id: Date.now().toString() + Math.round(Math.random() * 1e6),
+    quizId: quiz.id,
+    studentEmail: req.user.email,
+    studentName: user ? user.name : req.user.email,
+    startedAt,
+    deadline: attemptDeadline(quiz, startedAt),
+    submittedAt: null,
+    questions,
+    answers: {},
+    results: {},
+  };
+  quizAttempts.push(attempt);
+  saveData();
+  res.status(201).json(studentAttemptView(attempt, quiz));
+});
+
+app.get('/api/quizzes/:id/attempt', authRequired, studentRequired, (req, res) => {
+  const quiz = quizzes.find(q => q.id === req.params.id);
+  if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+  closeExpiredAttempts();
+  const attempt = quizAttempts.find(a => a.quizId === quiz.id && a.studentEmail === req.user.email);
+  if (!attempt) return res.status(404).json({ error: 'You have not started this quiz' });
+  res.json(studentAttemptView(attempt, quiz));
 });
 
 /**
- * Routes for resource downloads
+ * The authenticated student's attempt at a quiz if it still takes answers;
+ * otherwise sends the error response and returns null.
  */
-app.get('/api/resources', (req, res) => {
-  res.json(resources);
+function openAttempt(req, res) {
+  const quiz = quizzes.find(q => q.id === req.params.id);
+  if (!quiz) {
+    res.status(404).json({ error: 'Quiz not found' });
+    return null;
+  }
+  const attempt = quizAttempts.find(a => a.quizId === quiz.id && a.studentEmail === req.user.email);
+  if (!attempt) {
+    res.status(404).json({ error: 'You have not started this quiz' });
+    return null;
+  }
+  if (!acceptsAnswers(attempt, new Date())) {
+    closeExpiredAttempts();
+    res.status(403).json({ error: attempt.autoSubmitted ? 'Time is up: your saved answers were submitted' : 'This attempt has been submitted' });
+    return null;
+  }
+  return { quiz, attempt };
+}
+
+// Save some answers ({ answers: { questionId: answer } }) of the attempt in
+// progress. The client saves as the student works.
+app.put('/api/quizzes/:id/attempt/answers', authRequired, studentRequired, (req, res) => {
+  const open = openAttempt(req, res);
+  if (!open) return;
+  let answers;
+  try {
+    answers = normalizeAnswers(req.body.answers, open.attempt);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  Object.assign(open.attempt.answers, answers);
+  open.attempt.savedAt = new Date().toISOString();
+  saveData();
+  res.json({ savedAt: open.attempt.savedAt, deadline: open.attempt.deadline });
 });
 
-app.post('/api/resources', authRequired, adminRequired, upload.single('file'), (req, res) => {
-  const { title } = req.body;
-  const file = req.file;
-  if (!file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// Hand in the attempt, optionally with last answers. Objective questions are
+// graded right away.
+app.post('/api/quizzes/:id/attempt/submit', authRequired, studentRequired, (req, res) => {
+  const open = openAttempt(req, res);
+  if (!open) return;
+  let answers;
+  try {
+    answers = normalizeAnswers(req.body.answers, open.attempt);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-  const id = Date.now().toString();
-  resources.push({ id, title, filePath: file.path, uploadedAt: new Date().toISOString() });
-  res.status(201).json({ id });
-  // Persist changes
+  Object.assign(open.attempt.answers, answers);
+  submitAttempt(open.attempt, new Date().toISOString());
   saveData();
+  res.json(studentAttemptView(open.attempt, open.quiz));
 });
 
-/**
- * Routes for exams
- */
-app.get('/api/exams', (req, res) => {
-  res.json(exams);
+// Free-response answers waiting for a grader, question by question so a TA
+// can grade one question across students. Optionally limited to ?quizId=.
+app.get('/api/quiz-grading-queue', authRequired, adminRequired, (req, res) => {
+  closeExpiredAttempts();
+  const items = [];
+  quizzes
+    .filter(q => !req.query.quizId || q.id === req.query.quizId)
+    .forEach((quiz) => {
+      quizAttempts
+        .filter(a => a.quizId === quiz.id)
+        .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt))
+        .forEach((attempt) => {
+          pendingQuestions(attempt).forEach((question) => {
+            items.push({
+              quizId: quiz.id,
+              quizTitle: quiz.title,
+              attemptId: attempt.id,
+              studentName: attempt.studentName,
+              studentEmail: attempt.studentEmail,
+              question,
+              answer: attempt.answers[question.id],
+            });
+          });
+        });
+    });
+  const order = (item) => quizQuestions.findIndex(q => q.id === item.question.id);
+  items.sort((a, b) => (a.quizId === b.quizId ? order(a) - order(b) : 0));
+  res.json(items);
 });
 
-app.post('/api/exams', authRequired, adminRequired, (req, res) => {
-  const { title, date, description } = req.body;
-  const id = Date.now().toString();
-  exams.push({ id, title, date, description });
-  res.status(201).json({ id });
-  // Persist changes
+// Grade (or regrade) one answer of a submitted attempt: { points, comment }.
+// The student hears about their score once it is complete and released.
+app.put('/api/quiz-attempts/:id/results/:questionId', authRequired, adminRequired, (req, res) => {
+  const attempt = quizAttempts.find(a => a.id === req.params.id);
+  if (!attempt) return res.status(404).json({ error: 'Attempt not found' });
+  if (!attempt.submittedAt) return res.status(409).json({ error: 'This attempt is still in progress' });
+  const question = attempt.questions.find(q => q.id === req.params.questionId);
+  if (!question) return res.status(404).json({ error: 'Question not found' });
+  const points = Number(req.body.points);
+  if (req.body.points === '' || req.body.points === null || req.body.points === undefined
+    || !Number.isFinite(points) || points < 0 || points > question.points) {
+    return res.status(400).json({ error: `Points must be between 0 and ${question.points}` });
+  }
+  const wasComplete = attempt.score !== null && attempt.score !== undefined;
+  attempt.results[question.id] = {
+    points,
+    auto: false,
+    comment: String(req.body.comment || '').trim(),
+    gradedBy: req.user.email,
+    gradedAt: new Date().toISOString(),
+  };
+  updateScore(attempt);
+  const quiz = quizzes.find(q => q.id === attempt.quizId);
+  if (quiz && quiz.scoresReleased && attempt.score !== null) {
+    const message = wasComplete
+      ? `Your score for ${quiz.title} was updated: ${attempt.score}`
+      : `Your score for ${quiz.title} is available: ${attempt.score}`;
+    createNotification(attempt.studentEmail, message, { quizId: quiz.id, type: 'quiz' });
+    attempt.scoreNotifiedAt = new Date().toISOString();
+  }
   saveData();
+  res.json(attempt);
 });
 
 /**
- * Get the authenticated user's overall grade statistics. Calculates the
- * average of all graded submissions for the user and maps it to a grade band.
- * Returns { avg: number | null, band: string | null, count: number }.
+ * Get the authenticated user's overall grade: the weighted gradebook final
+ * grade (category weights, drop rules, late penalties and overrides applied)
+ * mapped to the letter scale.
+ * Returns { avg: number | null, band: string | null, color, count, categories }.
  */
 app.get('/api/grades/overall', authRequired, (req, res) => {
-  const email = req.user.email;
-  const mySubs = submissions.filter(s => s.studentEmail === email && s.graded);
-  if (!mySubs.length) {
-    return res.json({ avg: null, band: null, count: 0 });
+  const row = studentGradebook(req.user.email, true);
+  if (row.final.score === null) {
+    return res.json({ avg: null, band: null, count: 0, categories: [] });
   }
-  const total = mySubs.reduce((acc, s) => acc + Number(s.grade || 0), 0);
-  const avg = total / mySubs.length;
-  const bandInfo = gradeBand(avg);
-  res.json({ avg, band: bandInfo.label, color: bandInfo.color, count: mySubs.length });
+  const categories = gradebookSettings.categories.map(c => ({
+    name: c.name,
+    weight: c.weight,
+    average: row.categories[c.id] ? row.categories[c.id].average : null,
+  }));
+  res.json({ avg: row.final.score, band: row.final.letter, color: row.final.color, count: row.final.count, categories });
 });
 
 /**
@@ -706,8 +3117,11 @@ app.get('/api/grades/overall', authRequired, (req, res) => {
  */
 app.get('/api/assignments/:id/stats', authRequired, (req, res) => {
   const assignmentId = req.params.id;
-  const subsForAssignment = submissions.filter(s => s.assignmentId === assignmentId);
-  const gradedSubs = subsForAssignment.filter(s => s.graded);
+  const subsForAssignment = perStudentSubmissions(submissions.filter(s => s.assignmentId === assignmentId));
+  // Students get no grade statistics before the grades are released
+  const assn = assignments.find(a => a.id === assignmentId);
+  const visible = req.user.role === 'admin' || gradesReleased(assn);
+  const gradedSubs = visible ? subsForAssignment.filter(s => s.graded) : [];
   const totalUsers = users.filter(u => u.role !== 'admin').length || 1;
   const submitted = subsForAssignment.length;
   let avg = null;
@@ -715,7 +3129,8 @@ app.get('/api/assignments/:id/stats', authRequired, (req, res) => {
     const sum = gradedSubs.reduce((acc, s) => acc + Number(s.grade || 0), 0);
     avg = sum / gradedSubs.length;
   }
-  const bands = { 'A+': 0, 'A': 0, 'A-': 0, 'B': 0, 'C': 0, 'D': 0, 'Failed': 0 };
+  const bands = {};
+  gradebookSettings.letterScale.forEach(l => { bands[l.label] = 0; });
   gradedSubs.forEach(s => {
     const info = gradeBand(s.grade);
     if (bands.hasOwnProperty(info.label)) {
@@ -749,33 +3164,149 @@ app.get('/api/taCode', authRequired, adminRequired, (req, res) => {
 /**
  * Routes for discussion forum
  */
-// List threads; if query parameter includeArchived=true, include archived threads
+app.get('/api/forum-settings', (req, res) => {
+  res.json(forumSettings);
+});
+
+// Turning anonymous posting off keeps earlier anonymous posts anonymous
+app.put('/api/forum-settings', authRequired, adminRequired, (req, res) => {
+  forumSettings = { anonymousPosting: req.body.anonymousPosting === true || req.body.anonymousPosting === 'true' };
+  res.json(forumSettings);
+  // Persist changes
+  saveData();
+});
+
+// Whether a new thread or comment is to be anonymous. Answers 400 and returns
+// null when the request asks for it but may not.
+function anonymousRequest(req, res) {
+  const wanted = req.body.anonymous === true || req.body.anonymous === 'true';
+  if (!wanted) return false;
+  if (req.user.role !== 'student') {
+    res.status(400).json({ error: 'Only students can post anonymously' });
+    return null;
+  }
+  if (!forumSettings.anonymousPosting) {
+    res.status(400).json({ error: 'Anonymous posting is turned off for this course' });
+    return null;
+  }
+  return true;
+}
+
+// Categories, in the order they were created
+app.get('/api/forum-categories', (req, res) => {
+  res.json(forumCategories);
+});
+
+// Read and check the category fields of a request body, answering 400 and
+// returning null when they are invalid.
+function categoryFields(req, res) {
+  let fields;
+  try {
+    fields = normalizeCategory(req.body);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+  if (fields.assignmentId && !assignments.some(a => a.id === fields.assignmentId)) {
+    res.status(400).json({ error: 'Unknown assignment' });
+    return null;
+  }
+  return fields;
+}
+
+app.post('/api/forum-categories', authRequired, adminRequired, (req, res) => {
+  const fields = categoryFields(req, res);
+  if (!fields) return;
+  const category = Object.assign({ id: Date.now().toString() }, fields, { createdAt: new Date().toISOString() });
+  forumCategories.push(category);
+  res.status(201).json(category);
+  // Persist changes
+  saveData();
+});
+
+app.put('/api/forum-categories/:id', authRequired, adminRequired, (req, res) => {
+  const category = forumCategories.find(c => c.id === req.params.id);
+  if (!category) return res.status(404).json({ error: 'Category not found' });
+  const fields = categoryFields(req, res);
+  if (!fields) return;
+  Object.assign(category, fields);
+  res.json(category);
+  // Persist changes
+  saveData();
+});
+
+// Deleting a category keeps its threads, without a category
+app.delete('/api/forum-categories/:id', authRequired, adminRequired, (req, res) => {
+  const idx = forumCategories.findIndex(c => c.id === req.params.id);
+  if (idx === -1) return res.status(404).json({ error: 'Category not found' });
+  forumCategories.splice(idx, 1);
+  forumThreads.forEach((t) => {
+    if (t.categoryId === req.params.id) t.categoryId = null;
+  });
+  res.json({ message: 'Category deleted' });
+  // Persist changes
+  saveData();
+});
+
+// List threads, pinned ones first; if query parameter includeArchived=true,
+// include archived threads. ?filter=questions lists questions only,
+// ?filter=unanswered the questions not resolved yet. ?category= lists the
+// threads of one category, or with "none" those without a category.
+// Private threads are listed for their author and TAs only.
 app.get('/api/forum', (req, res) => {
   const includeArchived = req.query.includeArchived === 'true';
-  const threads = includeArchived ? forumThreads : forumThreads.filter(t => !t.archived);
+  const filter = req.query.filter || null;
+  if (filter && !THREAD_FILTERS.includes(filter)) {
+    return res.status(400).json({ error: 'Unknown filter' });
+  }
+  const category = req.query.category || null;
+  if (category && category !== 'none' && !forumCategories.some(c => c.id === category)) {
+    return res.status(400).json({ error: 'Unknown category' });
+  }
+  const viewer = optionalUser(req);
+  const threads = (includeArchived ? forumThreads : forumThreads.filter(t => !t.archived))
+    .filter(t => canView(t, viewer))
+    .filter(t => matchesFilter(t, filter))
+    .filter(t => !category || (t.categoryId || 'none') === category)
+    .sort(compareThreads);
   // Include authorRole in summary so the client can display TA/admin labels
-  const summaries = threads.map((t) => ({
-    id: t.id,
-    title: t.title,
-    date: t.date,
-    authorName: t.authorName,
-    authorRole: t.authorRole,
-    commentCount: t.comments.length,
-    archived: t.archived,
-  }));
-  res.json(summaries);
+  res.json(threads.map(t => threadSummary(t, viewer)));
 });
 
-// Create a new thread (optionally with an attachment file)
+// Create a new thread (optionally with an attachment file). A private thread
+// ({ visibility: 'staff' }) is emailed to every TA.
 app.post('/api/forum', authRequired, upload.single('file'), (req, res) => {
-  const { title, content, authorName, authorEmail } = req.body;
-  if (!title || !content || !authorName || !authorEmail) {
+  const { title, content } = req.body;
+  if (!title || !content) {
     return res.status(400).json({ error: 'Missing fields' });
   }
-  // If author is a student, check if muted
-  if (req.body.authorRole === 'student') {
-    const stu = students.find((s) => s.email === authorEmail);
-    if (stu && stu.muted) {
+  const type = req.body.type || 'discussion';
+  if (!THREAD_TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Unknown thread type' });
+  }
+  const categoryId = req.body.categoryId || null;
+  if (categoryId && !forumCategories.some(c => c.id === categoryId)) {
+    return res.status(400).json({ error: 'Unknown category' });
+  }
+  const visibility = req.body.visibility || 'everyone';
+  if (!VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ error: 'Unknown visibility' });
+  }
+  const anonymous = anonymousRequest(req, res);
+  if (anonymous === null) return;
+  const author = requestUser(req);
+  if (!author) {
+    return res.status(401).json({ error: 'Unknown user' });
+  }
+  const authorName = author.name;
+  const authorEmail = author.email;
+  // If author is a student, check approval and mute status
+  if (req.user.role === 'student') {
+    const stu = findStudentByEmail(authorEmail);
+    if (!stu) {
+      return res.status(403).json({ error: 'Your account has not been approved yet.' });
+    }
+    if (stu.muted) {
       return res.status(403).json({ error: 'Your account is muted. You cannot post threads.' });
     }
   }
@@ -786,38 +3317,67 @@ app.post('/api/forum', authRequired, upload.single('file'), (req, res) => {
     content,
     authorName,
     authorEmail,
-    authorRole: req.body.authorRole || 'student',
+    authorRole: req.user.role,
+    anonymous,
+    type,
+    categoryId,
+    visibility,
     date: new Date().toISOString(),
     archived: false,
+    pinned: false,
+    locked: false,
+    resolved: false,
+    acceptedCommentId: null,
     comments: [],
     // If file uploaded, save relative path to serve later
     attachmentPath: req.file ? req.file.path : null,
   };
   forumThreads.unshift(thread);
+  if (isPrivate(thread)) {
+    users
+      .filter(u => u.role === 'admin' && u.email !== authorEmail)
+      .forEach(u => sendEmail(u.email, 'New private question', `${authorName} posted a thread visible to TAs only: "${title}"\n\n${content}`, { threadId: id }));
+  }
   res.status(201).json({ id });
   // Persist changes
   saveData();
 });
 
-// Get a single thread with comments
+// Get a single thread with comments. Private threads are not found by
+// anyone but their author and TAs.
 app.get('/api/forum/:id', (req, res) => {
-  const thread = forumThreads.find(t => t.id === req.params.id);
+  const viewer = optionalUser(req);
+  const thread = forumThreads.find(t => t.id === req.params.id && canView(t, viewer));
   if (!thread) return res.status(404).json({ error: 'Thread not found' });
-  res.json(thread);
+  res.json(threadView(thread, viewer));
 });
 
 // Add a comment to a thread (optionally with an attachment)
 app.post('/api/forum/:id/comments', authRequired, upload.single('file'), (req, res) => {
-  const thread = forumThreads.find((t) => t.id === req.params.id);
+  const thread = forumThreads.find((t) => t.id === req.params.id && canView(t, req.user));
   if (!thread) return res.status(404).json({ error: 'Thread not found' });
-  const { content, authorName, authorEmail, replyTo } = req.body;
-  if (!content || !authorName || !authorEmail) {
+  if (thread.locked) {
+    return res.status(403).json({ error: 'This thread is locked' });
+  }
+  const { content, replyTo } = req.body;
+  if (!content) {
     return res.status(400).json({ error: 'Missing fields' });
   }
-  // If author is a student, verify not muted
-  if (req.body.authorRole === 'student') {
-    const stu = students.find((s) => s.email === authorEmail);
-    if (stu && stu.muted) {
+  const anonymous = anonymousRequest(req, res);
+  if (anonymous === null) return;
+  const author = requestUser(req);
+  if (!author) {
+    return res.status(401).json({ error: 'Unknown user' });
+  }
+  const authorName = author.name;
+  const authorEmail = author.email;
+  // If author is a student, verify approval and mute status
+  if (req.user.role === 'student') {
+    const stu = findStudentByEmail(authorEmail);
+    if (!stu) {
+      return res.status(403).json({ error: 'Your account has not been approved yet.' });
+    }
+    if (stu.muted) {
       return res.status(403).json({ error: 'Your account is muted. You cannot post comments.' });
     }
   }
@@ -825,11 +3385,13 @@ app.post('/api/forum/:id/comments', authRequired, upload.single('file'), (req, r
     id: Date.now().toString(),
     authorName,
     authorEmail,
-    authorRole: req.body.authorRole || 'student',
+    authorRole: req.user.role,
+    anonymous,
     content,
     date: new Date().toISOString(),
     attachmentPath: req.file ? req.file.path : null,
     replyTo: replyTo || null,
+    upvotes: [],
   };
   thread.comments.push(comment);
   // Notify the target author
@@ -856,8 +3418,10 @@ app.post('/api/forum/:id/comments', authRequired, upload.single('file'), (req, r
     }
     if (targetEmail && targetEmail !== authorEmail) {
       const subj = 'New reply in discussion';
-      const text = `${authorName} replied to your post/comment:\n${content}`;
-      sendEmail(targetEmail, subj, text);
+      // Anonymous authors stay anonymous; the reply still reaches an
+      // anonymous target, whose email is stored with the post
+      const text = `${publicAuthorName(comment)} replied to your post/comment:\n${content}`;
+      sendEmail(targetEmail, subj, text, { threadId: thread.id });
     }
   } catch (e) {
     console.error('Failed to send reply notification', e);
@@ -867,6 +3431,68 @@ app.post('/api/forum/:id/comments', authRequired, upload.single('file'), (req, r
   saveData();
 });
 
+// Whether the user may edit a post now. Answers 403 with the reason when not.
+function checkPostEdit(req, res, thread, post) {
+  if (req.user.role !== 'admin') {
+    if (post.authorEmail !== req.user.email) {
+      res.status(403).json({ error: 'You can only edit your own posts' });
+      return false;
+    }
+    if (thread.locked) {
+      res.status(403).json({ error: 'This thread is locked' });
+      return false;
+    }
+    const stu = findStudentByEmail(req.user.email);
+    if (req.user.role === 'student' && (!stu || stu.muted)) {
+      res.status(403).json({ error: 'Your account cannot post right now.' });
+      return false;
+    }
+  }
+  if (!canEdit(post, req.user)) {
+    res.status(403).json({ error: `Posts can only be edited for ${EDIT_WINDOW_MINUTES} minutes after posting` });
+    return false;
+  }
+  return true;
+}
+
+// Edit a thread's title and content ({ title, content }). Authors may edit
+// for a while after posting, TAs at any time; the previous version is kept.
+app.put('/api/forum/:id', authRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.id && canView(t, req.user));
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  if (!checkPostEdit(req, res, thread, thread)) return;
+  const title = String(req.body.title === undefined ? thread.title : req.body.title).trim();
+  const content = String(req.body.content === undefined ? thread.content : req.body.content).trim();
+  if (!title || !content) {
+    return res.status(400).json({ error: 'Missing fields' });
+  }
+  const editor = requestUser(req);
+  if (!editor) return res.status(401).json({ error: 'Unknown user' });
+  const edited = editPost(thread, { title, content }, editor);
+  res.json(threadView(thread, req.user));
+  // Persist changes
+  if (edited) saveData();
+});
+
+// Edit a comment ({ content }), with the same rules as editing a thread
+app.put('/api/forum/:threadId/comments/:commentId', authRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.threadId && canView(t, req.user));
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  const comment = thread.comments.find(c => c.id === req.params.commentId);
+  if (!comment) return res.status(404).json({ error: 'Comment not found' });
+  if (!checkPostEdit(req, res, thread, comment)) return;
+  const content = String(req.body.content || '').trim();
+  if (!content) {
+    return res.status(400).json({ error: 'Missing fields' });
+  }
+  const editor = requestUser(req);
+  if (!editor) return res.status(401).json({ error: 'Unknown user' });
+  const edited = editPost(comment, { content }, editor);
+  res.json(threadView(thread, req.user).comments.find(c => c.id === comment.id));
+  // Persist changes
+  if (edited) saveData();
+});
+
 // Delete a thread (admin only)
 app.delete('/api/forum/:id', authRequired, adminRequired, (req, res) => {
   const idx = forumThreads.findIndex(t => t.id === req.params.id);
@@ -887,6 +3513,82 @@ app.post('/api/forum/:id/archive', authRequired, adminRequired, (req, res) => {
   saveData();
 });
 
+// Toggle pinning a thread to the top of the list (admin only)
+app.post('/api/forum/:id/pin', authRequired, adminRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.id);
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  thread.pinned = !thread.pinned;
+  res.json({ pinned: thread.pinned });
+  // Persist changes
+  saveData();
+});
+
+// Toggle locking a thread, making it read-only (admin only)
+app.post('/api/forum/:id/lock', authRequired, adminRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.id);
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  thread.locked = !thread.locked;
+  res.json({ locked: thread.locked });
+  // Persist changes
+  saveData();
+});
+
+// Move a thread to another category ({ categoryId }, null for none)
+app.put('/api/forum/:id/category', authRequired, adminRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.id);
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  const categoryId = req.body.categoryId || null;
+  if (categoryId && !forumCategories.some(c => c.id === categoryId)) {
+    return res.status(400).json({ error: 'Unknown category' });
+  }
+  thread.categoryId = categoryId;
+  res.json({ categoryId });
+  // Persist changes
+  saveData();
+});
+
+// Make a thread public or private ({ visibility }, admin only). Making a
+// private thread public may redact it at the same time: `title`, `content`
+// and `comments` ([{ id, content }]) replace what was posted.
+app.put('/api/forum/:id/visibility', authRequired, adminRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.id);
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  const { visibility, title, content } = req.body;
+  if (!VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ error: 'Unknown visibility' });
+  }
+  const redactions = Array.isArray(req.body.comments) ? req.body.comments : [];
+  if (visibility === 'staff' && (title !== undefined || content !== undefined || redactions.length)) {
+    return res.status(400).json({ error: 'Threads are redacted when they are made public' });
+  }
+  if ((title !== undefined && !String(title).trim()) || (content !== undefined && !String(content).trim())) {
+    return res.status(400).json({ error: 'The thread needs a title and content' });
+  }
+  const comments = redactions.map(r => ({ comment: thread.comments.find(c => c.id === r.id), content: r.content }));
+  if (comments.some(r => !r.comment)) return res.status(404).json({ error: 'Comment not found' });
+  if (comments.some(r => !String(r.content || '').trim())) {
+    return res.status(400).json({ error: 'Delete a comment instead of leaving it empty' });
+  }
+  const wasPrivate = isPrivate(thread);
+  if (title !== undefined) thread.title = String(title).trim();
+  if (content !== undefined) thread.content = String(content);
+  comments.forEach(r => { r.comment.content = String(r.content); });
+  thread.visibility = visibility;
+  if (wasPrivate && visibility === 'everyone') {
+    thread.madePublicAt = new Date().toISOString();
+    thread.madePublicBy = req.user.email;
+    // Earlier versions may hold what was redacted
+    thread.revisions = [];
+    thread.comments.forEach(c => { c.revisions = []; });
+    if (thread.authorEmail !== req.user.email) {
+      createNotification(thread.authorEmail, `Your private thread "${thread.title}" was made public by a TA`, { threadId: thread.id });
+    }
+  }
+  res.json(threadView(thread, req.user));
+  // Persist changes
+  saveData();
+});
+
 // Delete a comment (admin only)
 app.delete('/api/forum/:threadId/comments/:commentId', authRequired, adminRequired, (req, res) => {
   const thread = forumThreads.find(t => t.id === req.params.threadId);
@@ -894,11 +3596,178 @@ app.delete('/api/forum/:threadId/comments/:commentId', authRequired, adminRequir
   const idx = thread.comments.findIndex(c => c.id === req.params.commentId);
   if (idx === -1) return res.status(404).json({ error: 'Comment not found' });
   thread.comments.splice(idx, 1);
+  if (thread.acceptedCommentId === req.params.commentId) {
+    thread.acceptedCommentId = null;
+  }
   res.json({ message: 'Comment deleted' });
   // Persist changes
   saveData();
 });
 
+// Upvote an answer to a question, or take the vote back. Approved students
+// and TAs may vote, but not on their own answers.
+app.post('/api/forum/:threadId/comments/:commentId/upvote', authRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.threadId && canView(t, req.user));
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  const comment = thread.comments.find(c => c.id === req.params.commentId);
+  if (!comment) return res.status(404).json({ error: 'Comment not found' });
+  if (!isQuestion(thread)) {
+    return res.status(400).json({ error: 'Only answers to questions can be upvoted' });
+  }
+  if (thread.locked) {
+    return res.status(403).json({ error: 'This thread is locked' });
+  }
+  if (req.user.role === 'student' && !findStudentByEmail(req.user.email)) {
+    return res.status(403).json({ error: 'Your account has not been approved yet.' });
+  }
+  if (comment.authorEmail === req.user.email) {
+    return res.status(400).json({ error: 'You cannot upvote your own answer' });
+  }
+  const upvoted = toggleUpvote(comment, req.user.email);
+  res.json({ upvoted, upvoteCount: comment.upvotes.length });
+  // Persist changes
+  saveData();
+});
+
+// Accept an answer to a question ({ commentId }), or accept none
+// ({ commentId: null }). Accepting resolves the question. Only the asker and
+// TAs may do this.
+app.put('/api/forum/:id/accepted', authRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.id && canView(t, req.user));
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  if (!isQuestion(thread)) {
+    return res.status(400).json({ error: 'Only questions have accepted answers' });
+  }
+  if (!canModerateQuestion(thread, req.user)) {
+    return res.status(403).json({ error: 'Only the author of the question or a TA can accept an answer' });
+  }
+  const commentId = req.body.commentId || null;
+  const comment = commentId ? thread.comments.find(c => c.id === commentId) : null;
+  if (commentId && !comment) return res.status(404).json({ error: 'Comment not found' });
+  const previous = thread.acceptedCommentId;
+  thread.acceptedCommentId = commentId;
+  if (commentId) thread.resolved = true;
+  if (comment && commentId !== previous && comment.authorEmail !== req.user.email) {
+    createNotification(comment.authorEmail, `Your answer to "${thread.title}" was accepted`, { threadId: thread.id });
+  }
+  res.json({ acceptedCommentId: thread.acceptedCommentId, resolved: thread.resolved });
+  // Persist changes
+  saveData();
+});
+
+// Mark a question resolved or unresolved ({ resolved }). Only the asker and
+// TAs may do this; the accepted answer, if any, stays.
+app.put('/api/forum/:id/resolved', authRequired, (req, res) => {
+  const thread = forumThreads.find(t => t.id === req.params.id && canView(t, req.user));
+  if (!thread) return res.status(404).json({ error: 'Thread not found' });
+  if (!isQuestion(thread)) {
+    return res.status(400).json({ error: 'Only questions can be resolved' });
+  }
+  if (!canModerateQuestion(thread, req.user)) {
+    return res.status(403).json({ error: 'Only the author of the question or a TA can change its status' });
+  }
+  thread.resolved = req.body.resolved === true || req.body.resolved === 'true';
+  res.json({ resolved: thread.resolved });
+  // Persist changes
+  saveData();
+});
+
+/**
+ * Routes for search (see search.js)
+ */
+// Result groups in the order the client lists them
+const SEARCH_TYPES = ['announcement', 'assignment', 'resource', 'forum'];
+const pdfQueue = [];
+// Settles when the queue is empty; null while nothing is being read
+let pdfQueueRun = null;
+
+// Text of an uploaded PDF, or '' until it has been extracted. Files are read
+// one at a time in the background; each one finished makes the index stale
+// so the next search picks its text up.
+function uploadedPdfText(filePath) {
+  if (!filePath || path.extname(filePath).toLowerCase() !== '.pdf') return '';
+  if (pdfTexts.has(filePath)) return pdfTexts.get(filePath);
+  if (!pdfQueue.includes(filePath)) pdfQueue.push(filePath);
+  if (!pdfQueueRun) pdfQueueRun = runPdfQueue();
+  return '';
+}
+
+async function runPdfQueue() {
+  while (pdfQueue.length) {
+    const filePath = pdfQueue.shift();
+    pdfTexts.set(filePath, await extractPdfText(filePath));
+    searchIndexStale = true;
+  }
+  pdfQueueRun = null;
+}
+
+// Everything that can be found, as search.js documents. Submissions are
+// never indexed: only their authors and TAs may read them.
+function searchDocuments() {
+  const docs = [];
+  announcements.forEach((a) => docs.push({
+    key: `announcement:${a.id}`, type: 'announcement', id: a.id, title: a.title || '', text: markdownText(a.content),
+    audience: 'all', link: { announcementId: a.id },
+  }));
+  assignments.forEach((a) => docs.push({
+    key: `assignment:${a.id}`, type: 'assignment', id: a.id, title: a.title || '',
+    text: [markdownText(a.description), uploadedPdfText(a.pdfPath)].filter(Boolean).join('\n\n'),
+    audience: 'all', link: { assignmentId: a.id },
+  }));
+  resources.forEach((r) => docs.push({
+    key: `resource:${r.id}`, type: 'resource', id: r.id, title: r.title || '',
+    text: [markdownText(r.description), (r.tags || []).join(', '), r.folder || '', uploadedPdfText(r.filePath)].filter(Boolean).join('\n\n'),
+    audience: 'all', publishAt: r.publishAt || null,
+    link: { resourceId: r.id, filePath: r.filePath || null },
+  }));
+  forumThreads.forEach((t) => {
+    // Private threads are found by their author (and TAs) only
+    const audience = isPrivate(t) ? [t.authorEmail] : 'all';
+    docs.push({
+      key: `thread:${t.id}`, type: 'forum', id: t.id, title: t.title || '', text: markdownText(t.content),
+      audience, link: { threadId: t.id, archived: !!t.archived },
+    });
+    (t.comments || []).forEach((c) => docs.push({
+      key: `comment:${t.id}:${c.id}`, type: 'forum', id: c.id, title: `Re: ${t.title || ''}`, text: markdownText(c.content),
+      audience, link: { threadId: t.id, commentId: c.id, archived: !!t.archived },
+    }));
+  });
+  return docs;
+}
+
+function refreshSearchIndex() {
+  if (!searchIndexStale) return;
+  searchIndexStale = false;
+  const docs = searchDocuments();
+  // Forget the text of files that are no longer uploaded
+  const inUse = new Set(assignments.map((a) => a.pdfPath).concat(resources.map((r) => r.filePath)));
+  Array.from(pdfTexts.keys()).forEach((filePath) => {
+    if (!inUse.has(filePath)) pdfTexts.delete(filePath);
+  });
+  searchIndex.sync(docs);
+}
+
+// Start reading the uploaded PDFs now so that the first searches find them
+refreshSearchIndex();
+
+// Search everything the user may see: ?q= the words to find. Results are
+// grouped by type, best first, each with a snippet and the ranges of the
+// snippet to highlight. PDFs uploaded since the last search are read first.
+app.get('/api/search', async (req, res) => {
+  const q = String(req.query.q || '').trim().slice(0, 200);
+  if (!q) return res.json({ query: '', total: 0, groups: [] });
+  refreshSearchIndex();
+  if (pdfQueueRun) {
+    await pdfQueueRun;
+    refreshSearchIndex();
+  }
+  const results = searchIndex.search(q, optionalUser(req));
+  const groups = SEARCH_TYPES
+    .map((type) => ({ type, results: results.filter((r) => r.type === type) }))
+    .filter((g) => g.results.length);
+  res.json({ query: q, total: results.length, groups });
+});
+
 /**
  * Routes for course information
  */
@@ -907,7 +3776,7 @@ app.get('/api/courseInfo', (req, res) => {
   res.json({ info: courseInfo });
 });
 // Update course information (admin). Accepts { info: string }
-app.put('/api/courseInfo', (req, res) => {
+app.put('/api/courseInfo', authRequired, adminRequired, (req, res) => {
   const { info } = req.body;
   if (typeof info !== 'string') {
     return res.status(400).json({ error: 'Invalid info' });
@@ -921,17 +3790,18 @@ app.put('/api/courseInfo', (req, res) => {
 /**
  * Routes for notifications
  */
-// Get notifications for a specific user by email. If no email param provided, return empty array.
-app.get('/api/notifications', (req, res) => {
-  const email = req.query.email;
-  if (!email) return res.json([]);
-  const userNotifications = notifications.filter(n => n.email === email);
+// Get notifications for the authenticated user
+app.get('/api/notifications', authRequired, (req, res) => {
+  // Grade notifications of withdrawn grades are hidden, not deleted, so that
+  // they come back when the grades are published again.
+  const userNotifications = notifications.filter(n => n.email === req.user.email &&
+    !(n.type === 'grade' && !gradesReleased(assignments.find(a => a.id === n.assignmentId))));
   res.json(userNotifications);
 });
-// Mark a notification as read
-app.put('/api/notifications/:id/read', (req, res) => {
+// Mark one of the authenticated user's notifications as read
+app.put('/api/notifications/:id/read', authRequired, (req, res) => {
   const id = req.params.id;
-  const note = notifications.find(n => n.id === id);
+  const note = notifications.find(n => n.id === id && n.email === req.user.email);
   if (!note) return res.status(404).json({ error: 'Notification not found' });
   note.read = true;
   res.json({ success: true });
@@ -942,10 +3812,19 @@ app.put('/api/notifications/:id/read', (req, res) => {
 /**
  * Student registration and moderation endpoints
  */
-// Register a new student. The request body must contain name, email, studentId, studentNameZh.
-app.post('/api/registerStudent', (req, res) => {
-  const { name, email, studentId, studentNameZh } = req.body;
-  if (!name || !email || !studentId || !studentNameZh) {
+// Register the logged-in student for approval. The email always comes from the
+// token; name, studentId and studentNameZh default to the account's own.
+app.post('/api/registerStudent', authRequired, (req, res) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ error: 'Student access only' });
+  }
+  const user = requestUser(req);
+  if (!user) return res.status(401).json({ error: 'Invalid token' });
+  const email = user.email;
+  const name = req.body.name || user.name;
+  const studentId = req.body.studentId || user.studentId;
+  const studentNameZh = req.body.studentNameZh || user.studentNameZh;
+  if (!name || !studentId || !studentNameZh) {
     return res.status(400).json({ error: 'Missing fields' });
   }
   // Check if already pending or approved
@@ -963,10 +3842,10 @@ app.post('/api/registerStudent', (req, res) => {
   saveData();
 });
 
-// Check student registration status by email. Returns status: approved, pending, or notfound.
-app.get('/api/checkStudent', (req, res) => {
-  const email = req.query.email;
-  if (!email) return res.status(400).json({ error: 'Email required' });
+// Check student registration status. Students can only check themselves;
+// admins may pass ?email= to check anyone. Returns status: approved, pending, or notfound.
+app.get('/api/checkStudent', authRequired, (req, res) => {
+  const email = req.user.role === 'admin' ? (req.query.email || req.user.email) : req.user.email;
   const stu = students.find((s) => s.email === email);
   if (stu) {
     return res.json({ status: 'approved', student: stu });
@@ -1058,7 +3937,31 @@ app.post('/api/students/:studentId/unmute', authRequired, adminRequired, (req, r
 });
 
 // Get list of muted students (admin only)
-app.get('/api/students/muted', (req, res) => {
+// Put a student in a roster section (used to distribute grading by section).
+// An empty section removes the student from their section.
+app.put('/api/students/:studentId/section', authRequired, adminRequired, (req, res) => {
+  const stu = students.find((s) => s.studentId === req.params.studentId);
+  if (!stu) return res.status(404).json({ error: 'Student not found' });
+  stu.section = String(req.body.section || '').trim();
+  saveData();
+  res.json({ message: 'Section updated', section: stu.section });
+});
+
+// Record a student's exam accommodation as a percentage of extra time. Zero
+// or empty removes it.
+app.put('/api/students/:studentId/accommodation', authRequired, adminRequired, (req, res) => {
+  const stu = students.find((s) => s.studentId === req.params.studentId);
+  if (!stu) return res.status(404).json({ error: 'Student not found' });
+  try {
+    stu.extraTimePercent = parseExtraTime(req.body.extraTimePercent);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  saveData();
+  res.json({ message: 'Accommodation updated', extraTimePercent: stu.extraTimePercent });
+});
+
+app.get('/api/students/muted', authRequired, adminRequired, (req, res) => {
   const muted = students.filter((s) => s.muted);
   res.json(muted);
 });
@@ -1067,9 +3970,11 @@ app.get('/api/students/muted', (req, res) => {
  * Grade statistics endpoints
  */
 // Return grade statistics for each assignment (admin or student). Computes average grade among graded submissions.
-app.get('/api/stats', (req, res) => {
-  const stats = assignments.map((assn) => {
-    const subs = submissions.filter((s) => s.assignmentId === assn.id && s.graded);
+// Students only get assignments whose grades are released.
+app.get('/api/stats', authRequired, (req, res) => {
+  const visible = req.user.role === 'admin' ? assignments : assignments.filter(gradesReleased);
+  const stats = visible.map((assn) => {
+    const subs = perStudentSubmissions(submissions.filter((s) => s.assignmentId === assn.id && s.graded));
     const count = subs.length;
     let avg = null;
     if (count > 0) {
@@ -1107,6 +4012,8 @@ app.get('/api/users', authRequired, adminRequired, (req, res) => {
       role: u.role,
       studentId: u.studentId,
       studentNameZh: u.studentNameZh,
+      section: stuRec ? stuRec.section || '' : '',
+      extraTimePercent: stuRec ? stuRec.extraTimePercent || 0 : 0,
       approved: isApproved,
       muted: !!isMuted,
     };
@@ -1117,24 +4024,28 @@ app.get('/api/users', authRequired, adminRequired, (req, res) => {
 /**
  * Private messaging endpoints
  */
-// Send a private message. Requires fromName, fromEmail, toEmail, subject, content.
-app.post('/api/messages', (req, res) => {
-  const { fromName, fromEmail, toEmail, subject, content } = req.body;
-  if (!fromName || !fromEmail || !toEmail || !subject || !content) {
+// Send a private message from the authenticated user. Requires toEmail, subject, content.
+app.post('/api/messages', authRequired, (req, res) => {
+  const { toEmail, subject, content } = req.body;
+  if (!toEmail || !subject || !content) {
     return res.status(400).json({ error: 'Missing fields' });
   }
-  // Restrict messaging: if neither sender nor recipient is an admin, disallow
-  const sender = users.find((u) => u.email === fromEmail);
+  const sender = requestUser(req);
+  if (!sender) {
+    return res.status(401).json({ error: 'Unknown user' });
+  }
+  const fromName = sender.name;
+  const fromEmail = sender.email;
   const receiver = users.find((u) => u.email === toEmail);
-  if (sender && receiver) {
-    if (sender.role !== 'admin' && receiver.role !== 'admin') {
-      return res.status(403).json({ error: 'Private messages can only be sent to or from administrators' });
-    }
+  if (!receiver) {
+    return res.status(404).json({ error: 'Recipient not found' });
+  }
+  // Restrict messaging: if neither sender nor recipient is an admin, disallow
+  if (sender.role !== 'admin' && receiver.role !== 'admin') {
+    return res.status(403).json({ error: 'Private messages can only be sent to or from administrators' });
   }
   const id = Date.now().toString();
-  // Determine recipient name (if available)
-  let toName = toEmail;
-  if (receiver) toName = receiver.name;
+  const toName = receiver.name;
   const msg = { id, fromName, fromEmail, toName, toEmail, subject, content, date: new Date().toISOString(), read: false };
   messages.unshift(msg);
   // Notify recipient
@@ -1145,18 +4056,16 @@ app.post('/api/messages', (req, res) => {
   res.status(201).json({ message: 'Message sent', id });
 });
 
-// Get messages addressed to the provided email
-app.get('/api/messages', (req, res) => {
-  const email = req.query.email;
-  if (!email) return res.status(400).json({ error: 'Email required' });
-  const inbox = messages.filter((m) => m.toEmail === email);
+// Get messages addressed to the authenticated user
+app.get('/api/messages', authRequired, (req, res) => {
+  const inbox = messages.filter((m) => m.toEmail === req.user.email);
   res.json(inbox);
 });
 
-// Mark a message as read
-app.put('/api/messages/:id/read', (req, res) => {
+// Mark a message addressed to the authenticated user as read
+app.put('/api/messages/:id/read', authRequired, (req, res) => {
   const id = req.params.id;
-  const msg = messages.find((m) => m.id === id);
+  const msg = messages.find((m) => m.id === id && m.toEmail === req.user.email);
   if (!msg) return res.status(404).json({ error: 'Message not found' });
   msg.read = true;
   res.json({ success: true });
@@ -1192,12 +4101,56 @@ app.put('/api/announcements/:id', authRequired, adminRequired, (req, res) => {
 });
 
 // Update assignment by ID. Accept optional new PDF file; update title,
-// description and dueDate if provided.
+// description, dueDate and latePolicy if provided. Changing the deadline or
+// the policy re-stamps existing submissions as late or on time.
 app.put('/api/assignments/:id', authRequired, adminRequired, upload.single('file'), (req, res) => {
   const { id } = req.params;
   const assn = assignments.find(a => a.id == id);
   if (!assn) return res.status(404).json({ error: 'Assignment not found' });
   const { title, description, dueDate } = req.body;
+  if (req.body.latePolicy !== undefined) {
+    try {
+      assn.latePolicy = normalizeLatePolicy(req.body.latePolicy);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  if (req.body.categoryId !== undefined) {
+    const categoryId = req.body.categoryId || null;
+    if (categoryId && !gradebookSettings.categories.some(c => c.id === categoryId)) {
+      return res.status(400).json({ error: 'Unknown grade category' });
+    }
+    assn.categoryId = categoryId;
+  }
+  if (req.body.regradeWindowDays !== undefined) {
+    try {
+      assn.regradeWindowDays = parseRegradeWindow(req.body.regradeWindowDays);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  if (req.body.groupSize !== undefined) {
+    let groupSize;
+    try {
+      groupSize = parseGroupSize(req.body.groupSize);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const assnGroups = groups.filter(g => g.assignmentId === assn.id);
+    if (groupSize === null && (assnGroups.length || submissions.some(s => s.groupId && s.assignmentId === assn.id))) {
+      return res.status(400).json({ error: 'Delete the groups before making the assignment individual' });
+    }
+    if (groupSize !== null && !isGroupAssignment(assn) && submissions.some(s => s.assignmentId === assn.id)) {
+      return res.status(400).json({ error: 'Students have already submitted individually' });
+    }
+    if (groupSize !== null && assnGroups.some(g => g.members.length > groupSize)) {
+      return res.status(400).json({ error: 'Some groups have more members than that' });
+    }
+    assn.groupSize = groupSize;
+  }
+  if (req.body.selfFormedGroups !== undefined) {
+    assn.selfFormedGroups = isGroupAssignment(assn) && (req.body.selfFormedGroups === true || req.body.selfFormedGroups === 'true');
+  }
   if (title) assn.title = title;
   if (description) assn.description = description;
   if (dueDate) {
@@ -1207,17 +4160,29 @@ app.put('/api/assignments/:id', authRequired, adminRequired, upload.single('file
   if (req.file) {
     assn.pdfPath = req.file.path;
   }
+  assn.updatedAt = new Date().toISOString();
+  submissions.filter(s => s.assignmentId === assn.id).forEach(stampLateness);
   saveData();
   res.json(assn);
 });
 
-// Update resource by ID. Accept optional new file and updated title.
+// Update resource by ID. Accept an optional new file and any of title,
+// description, tags, folder and publishAt. A resource moved to another folder
+// goes to the end of it.
 app.put('/api/resources/:id', authRequired, adminRequired, upload.single('file'), (req, res) => {
   const { id } = req.params;
   const resrc = resources.find(r => r.id == id);
   if (!resrc) return res.status(404).json({ error: 'Resource not found' });
-  const { title } = req.body;
-  if (title) resrc.title = title;
+  let fields;
+  try {
+    fields = normalizeResourceFields(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (fields.folder !== undefined && fields.folder !== (resrc.folder || '')) {
+    fields.position = nextResourcePosition(fields.folder);
+  }
+  Object.assign(resrc, fields, { updatedAt: new Date().toISOString() });
   if (req.file) {
     resrc.filePath = req.file.path;
   }
@@ -1225,18 +4190,33 @@ app.put('/api/resources/:id', authRequired, adminRequired, upload.single('file')
   res.json(resrc);
 });
 
-// Update exam by ID. Update title, description and date.
+// Update exam by ID. Update title, description, date, duration and rooms.
+// Changing the rooms throws away the seating plan, which has to be assigned
+// again.
 app.put('/api/exams/:id', authRequired, adminRequired, (req, res) => {
   const { id } = req.params;
   const ex = exams.find(e => e.id == id);
   if (!ex) return res.status(404).json({ error: 'Exam not found' });
   const { title, description, date } = req.body;
+  let rooms;
+  try {
+    if (req.body.rooms !== undefined) rooms = normalizeRooms(req.body.rooms);
+    if (req.body.durationMinutes !== undefined) ex.durationMinutes = parseDuration(req.body.durationMinutes);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   if (title) ex.title = title;
   if (description) ex.description = description;
   if (date) {
     const parsed = new Date(date);
     if (!isNaN(parsed)) ex.date = parsed.toISOString();
   }
+  if (rooms) {
+    const roomsChanged = JSON.stringify(rooms) !== JSON.stringify(ex.rooms || []);
+    ex.rooms = rooms;
+    if (roomsChanged) ex.seating = null;
+  }
+  ex.updatedAt = new Date().toISOString();
   saveData();
   res.json(ex);
 });
@@ -1266,6 +4246,9 @@ app.delete('/api/assignments/:id', authRequired, adminRequired, (req, res) => {
   assignments.splice(idx, 1);
   // Note: existing submissions for this assignment are not removed but will no
   // longer be reachable via assignment listings.
+  forumCategories.forEach((c) => {
+    if (c.assignmentId === id) c.assignmentId = null;
+  });
   saveData();
   res.json({ message: 'Assignment deleted' });
 });
@@ -1293,15 +4276,21 @@ app.delete('/api/exams/:id', authRequired, adminRequired, (req, res) => {
 /**
  * Export grades as a CSV. Requires authentication and admin privileges. The CSV
  * includes assignment ID, assignment title, student name, Chinese name,
- * student ID, student email, upload date, graded flag, grade, comments and
- * a feedback URL if available.
+ * student ID, student email, upload date, graded flag, grade, comments,
+ * a feedback URL if available, the late flag, the late penalty and the
+ * final grade after the penalty. Submissions of anonymously graded
+ * assignments are listed once under their pseudonym, without name, ID, email
+ * or group, until identities are revealed.
  */
 app.get('/api/export/grades', authRequired, adminRequired, (req, res) => {
   res.setHeader('Content-Type', 'text/csv; charset=utf-8');
   res.setHeader('Content-Disposition', 'attachment; filename="grades.csv"');
-  const header = ['assignmentId','assignmentTitle','studentName','studentNameZh','studentId','studentEmail','uploadedAt','graded','grade','comments','feedbackUrl'];
+  const header = ['assignmentId','assignmentTitle','studentName','studentNameZh','studentId','studentEmail','uploadedAt','version','sha256','graded','grade','comments','feedbackUrl','late','latePenalty','finalGrade','group'];
   res.write(header.join(',') + '\n');
-  submissions.forEach(sub => {
+  const anonymous = (s) => assignments.some(a => a.id === s.assignmentId && a.anonymousGrading);
+  const rows = perStudentSubmissions(submissions.filter(s => !anonymous(s)))
+    .concat(submissions.filter(anonymous).map(anonymizeSubmission));
+  rows.forEach(sub => {
     const assign = assignments.find(a => a.id === sub.assignmentId) || {};
     const row = [
       sub.assignmentId,
@@ -1311,10 +4300,16 @@ app.get('/api/export/grades', authRequired, adminRequired, (req, res) => {
       sub.studentID || '',
       sub.studentEmail || '',
       sub.uploadedAt || '',
+      sub.version || '',
+      (currentVersion(sub) || {}).sha256 || '',
       sub.graded ? 'yes' : 'no',
       sub.grade != null ? sub.grade : '',
       (sub.comments || '').replace(/\r?\n/g, ' ').replace(/,/g, ' '),
-      sub.feedbackPath ? (req.protocol + '://' + req.get('host') + '/' + path.relative(path.join(__dirname, '..'), sub.feedbackPath).replace(/\\/g, '/')) : ''
+      sub.feedbackPath ? (req.protocol + '://' + req.get('host') + '/' + path.relative(path.join(__dirname, '..'), sub.feedbackPath).replace(/\\/g, '/')) : '',
+      sub.late ? 'yes' : 'no',
+      sub.latePenalty || 0,
+      finalGrade(sub) != null ? finalGrade(sub) : '',
+      (sub.groupName || '').replace(/,/g, ' ')
     ];
     res.write(row.join(',') + '\n');
   });
@@ -1326,6 +4321,11 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'client', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+// Only listen when started directly; the tests mount the app themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * Late submission policies.
+ *
+ * An assignment may carry `latePolicy`:
+ *
+ *   { graceMinutes, hardClose, penaltyPerDay, maxLateDays }
+ *
+ * - graceMinutes: submissions up to this long after the deadline count as on
+ *   time.
+ * - hardClose: no submissions are accepted once the grace period is over.
+ * - penaltyPerDay: grade points (out of 100) deducted for every started day
+ *   after the grace period.
+ * - maxLateDays: late submissions are accepted for this many days after the
+ *   grace period, then submissions close. null means no limit.
+ *
+ * Assignments without a policy accept submissions at any time without a
+ * penalty; late ones are still stamped as late. A per-student extension
+ * replaces the assignment's due date for that student, and the policy then
+ * applies relative to the extended deadline.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function nonNegative(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new Error('Late policy values must be non-negative numbers');
+  return n;
+}
+
+/**
+ * Validate a late policy from a request body. Returns null when the policy
+ * neither closes submissions nor deducts points nor grants a grace period.
+ */
+function normalizeLatePolicy(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data) return null;
+  const policy = {
+    graceMinutes: nonNegative(data.graceMinutes, 0),
+    hardClose: data.hardClose === true || data.hardClose === 'true',
+    penaltyPerDay: Math.min(nonNegative(data.penaltyPerDay, 0), 100),
+    maxLateDays: nonNegative(data.maxLateDays, null),
+  };
+  if (!policy.graceMinutes && !policy.hardClose && !policy.penaltyPerDay && policy.maxLateDays === null) {
+    return null;
+  }
+  return policy;
+}
+
+/**
+ * Deadlines that apply to one student.
+ *
+ * @param {object} assignment
+ * @param {object|null} extension Extension granted to the student, if any
+ * @returns {{ dueAt: Date|null, lateAfter: Date|null, closesAt: Date|null }}
+ */
+function deadlineFor(assignment, extension) {
+  const due = new Date((extension && extension.dueDate) || assignment.dueDate);
+  if (isNaN(due)) return { dueAt: null, lateAfter: null, closesAt: null };
+  const policy = assignment.latePolicy || {};
+  const lateAfter = new Date(due.getTime() + (policy.graceMinutes || 0) * MINUTE);
+  let closesAt = null;
+  if (policy.hardClose) {
+    closesAt = lateAfter;
+  } else if (policy.maxLateDays !== null && policy.maxLateDays !== undefined) {
+    closesAt = new Date(lateAfter.getTime() + policy.maxLateDays * DAY);
+  }
+  return { dueAt: due, lateAfter, closesAt };
+}
+
+/**
+ * Assess a submission made at `submittedAt`.
+ *
+ * @returns {{ late: boolean, lateDays: number, penalty: number, closed: boolean }}
+ */
+function assessLateness(assignment, extension, submittedAt) {
+  const { lateAfter, closesAt } = deadlineFor(assignment, extension);
+  const at = new Date(submittedAt).getTime();
+  if (!lateAfter || at <= lateAfter.getTime()) {
+    return { late: false, lateDays: 0, penalty: 0, closed: false };
+  }
+  const lateDays = Math.ceil((at - lateAfter.getTime()) / DAY);
+  const policy = assignment.latePolicy || {};
+  const penalty = Math.min(100, lateDays * (policy.penaltyPerDay || 0));
+  return { late: true, lateDays, penalty, closed: !!closesAt && at > closesAt.getTime() };
+}
+
+/**
+ * Grade after deducting the late penalty, or null for ungraded submissions.
+ */
+function finalGrade(submission) {
+  if (!submission.graded || submission.grade === null || submission.grade === undefined || submission.grade === '') {
+    return null;
+  }
+  return Math.max(0, Number(submission.grade) - (submission.latePenalty || 0));
+}
+
+module.exports = { normalizeLatePolicy, deadlineFor, assessLateness, finalGrade };
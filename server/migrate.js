@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * One-shot migration of an existing data.json into another storage backend.
+ *
+ * Usage:
+ *   node server/migrate.js [--from server/data.json] [--to sqlite] [--dest server/data.db] [--force]
+ *
+ * The source is read through the JSON store, so a pending write-ahead journal
+ * next to data.json is replayed first. The destination must be empty unless
+ * --force is given. The source file is left untouched; point the server at
+ * the new store with STORAGE_DRIVER (and SQLITE_FILE if --dest was used).
+ */
+const fs = require('fs');
+const path = require('path');
+const { createStore, DEFAULT_JSON_FILE } = require('./storage');
+
+function parseArgs(argv) {
+  const args = { from: DEFAULT_JSON_FILE, to: 'sqlite', dest: null, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') args.from = path.resolve(argv[++i]);
+    else if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--dest') args.dest = path.resolve(argv[++i]);
+    else if (arg === '--force') args.force = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Until the first compaction everything may still be in the journal
+  if (!fs.existsSync(args.from) && !fs.existsSync(args.from + '.journal')) {
+    throw new Error(`Source file not found: ${args.from}`);
+  }
+  if (args.to === 'json' && args.dest && path.resolve(args.dest) === path.resolve(args.from)) {
+    throw new Error('Source and destination are the same file');
+  }
+  const source = createStore({ driver: 'json', file: args.from });
+  const data = source.load();
+  if (!data) {
+    throw new Error(`Nothing to migrate in ${args.from}`);
+  }
+  const target = createStore({ driver: args.to, file: args.dest || undefined });
+  if (target.load() && !args.force) {
+    target.close();
+    throw new Error('Destination store already contains data; use --force to overwrite');
+  }
+  target.save(data);
+  target.close();
+  Object.keys(data).forEach((key) => {
+    const value = data[key];
+    console.log(`  ${key}: ${Array.isArray(value) ? value.length + ' records' : 'setting'}`);
+  });
+  console.log(`Migrated ${args.from} to the ${args.to} store.`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFStream, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+
+/**
+ * Plain text of a PDF, for the search index.
+ *
+ * pdf-lib can read a PDF's objects but does not extract text, so this walks
+ * each page's content stream and collects the strings shown by the text
+ * operators (Tj, TJ, ' and "), decoding them through the font's ToUnicode
+ * map when it has one and as Latin-1 otherwise. Form XObjects are followed.
+ * Layout is approximate: good enough to find words, not to reproduce the
+ * page. Fonts without a ToUnicode map that use two-byte codes yield nothing.
+ */
+
+const MAX_TEXT_LENGTH = 500000;
+const MAX_FORM_DEPTH = 5;
+
+// Glyph names of /Differences encodings that are not a single character
+const GLYPH_NAMES = {
+  space: ' ', period: '.', comma: ',', colon: ':', semicolon: ';', hyphen: '-', endash: '–', emdash: '—',
+  quoteright: '’', quoteleft: '‘', quotedblleft: '“', quotedblright: '”', quotesingle: "'", quotedbl: '"',
+  parenleft: '(', parenright: ')', bracketleft: '[', bracketright: ']', exclam: '!', question: '?',
+  slash: '/', equal: '=', plus: '+', minus: '−', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+};
+
+function glyphToText(name) {
+  if (name.length === 1) return name;
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  const uni = /^uni([0-9A-F]{4})$/i.exec(name);
+  return uni ? String.fromCharCode(parseInt(uni[1], 16)) : '';
+}
+
+// Resolve a reference, or undefined unless the object has the expected type
+// (pdf-lib's lookupMaybe throws on a mismatch, e.g. a named /Encoding).
+function lookup(context, obj, type) {
+  if (!obj) return undefined;
+  const found = context.lookup(obj);
+  return found instanceof type ? found : undefined;
+}
+
+function streamBytes(stream) {
+  if (stream instanceof PDFRawStream) {
+    try {
+      return decodePDFRawStream(stream).decode();
+    } catch (err) {
+      return null;
+    }
+  }
+  return stream.getContents ? stream.getContents() : null;
+}
+
+function latin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+  return text;
+}
+
+function hexBytes(hex) {
+  const clean = hex.replace(/[^0-9A-Fa-f]/g, '');
+  const padded = clean.length % 2 ? `${clean}0` : clean;
+  const bytes = [];
+  for (let i = 0; i < padded.length; i += 2) bytes.push(parseInt(padded.slice(i, i + 2), 16));
+  return bytes;
+}
+
+function utf16(bytes) {
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  return text;
+}
+
+function bytesToCode(bytes) {
+  return bytes.reduce((code, b) => code * 256 + b, 0);
+}
+
+/**
+ * Read the bfchar and bfrange sections of a ToUnicode CMap.
+ *
+ * @param {string} text The CMap program
+ * @returns {{ map: Map<string, string>, lengths: number[] }} codes are keyed
+ *   as `${byteLength}:${code}`
+ */
+function parseToUnicode(text) {
+  const map = new Map();
+  const lengths = new Set();
+  const hex = /<([0-9A-Fa-f\s]*)>/g;
+  const sections = (name) => {
+    const re = new RegExp(`begin${name}([\\s\\S]*?)end${name}`, 'g');
+    const found = [];
+    let m;
+    while ((m = re.exec(text))) found.push(m[1]);
+    return found;
+  };
+  sections('codespacerange').forEach((body) => {
+    (body.match(hex) || []).forEach((h) => lengths.add(hexBytes(h.slice(1, -1)).length));
+  });
+  sections('bfchar').forEach((body) => {
+    const parts = body.match(hex) || [];
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+      const src = hexBytes(parts[i].slice(1, -1));
+      map.set(`${src.length}:${bytesToCode(src)}`, utf16(hexBytes(parts[i + 1].slice(1, -1))));
+      lengths.add(src.length);
+    }
+  });
+  sections('bfrange').forEach((body) => {
+    const re = /<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(<[0-9A-Fa-f]*>|\[[^\]]*\])/g;
+    let m;
+    while ((m = re.exec(body))) {
+      const lo = hexBytes(m[1]);
+      const first = bytesToCode(lo);
+      const last = bytesToCode(hexBytes(m[2]));
+      lengths.add(lo.length);
+      if (last - first > 65535) continue;
+      if (m[3].startsWith('[')) {
+        (m[3].match(hex) || []).forEach((dst, i) => {
+          if (first + i <= last) map.set(`${lo.length}:${first + i}`, utf16(hexBytes(dst.slice(1, -1))));
+        });
+      } else {
+        const dst = hexBytes(m[3].slice(1, -1));
+        for (let code = first; code <= last; code++) {
+          const out = dst.slice();
+          out[out.length - 1] += code - first;
+          map.set(`${lo.length}:${code}`, utf16(out));
+        }
+      }
+    }
+  });
+  return { map, lengths: Array.from(lengths).sort((a, b) => b - a) };
+}
+
+/**
+ * A function turning the bytes of a shown string into text for one font.
+ */
+function fontDecoder(font, context) {
+  if (!(font instanceof PDFDict)) return latin1;
+  const toUnicode = lookup(context, font.get(PDFName.of('ToUnicode')), PDFStream);
+  if (toUnicode) {
+    const bytes = streamBytes(toUnicode);
+    if (bytes) {
+      const { map, lengths } = parseToUnicode(latin1(bytes));
+      const sizes = lengths.length ? lengths : [1];
+      return (codes) => {
+        let text = '';
+        let i = 0;
+        while (i < codes.length) {
+          const size = sizes.find((n) => i + n <= codes.length && map.has(`${n}:${bytesToCode(codes.slice(i, i + n))}`));
+          if (size) {
+            text += map.get(`${size}:${bytesToCode(codes.slice(i, i + size))}`);
+            i += size;
+          } else {
+            i += sizes[sizes.length - 1];
+          }
+        }
+        return text;
+      };
+    }
+  }
+  const subtype = font.get(PDFName.of('Subtype'));
+  if (subtype && subtype.toString() === '/Type0') return () => '';
+  const differences = new Map();
+  const encoding = lookup(context, font.get(PDFName.of('Encoding')), PDFDict);
+  const diffArray = encoding && lookup(context, encoding.get(PDFName.of('Differences')), PDFArray);
+  if (diffArray) {
+    let code = 0;
+    for (let i = 0; i < diffArray.size(); i++) {
+      const item = diffArray.get(i);
+      if (item instanceof PDFName) {
+        differences.set(code, glyphToText(item.decodeText()));
+        code++;
+      } else if (item && typeof item.asNumber === 'function') {
+        code = item.asNumber();
+      }
+    }
+  }
+  return (codes) => codes.map((c) => (differences.has(c) ? differences.get(c) : String.fromCharCode(c))).join('');
+}
+
+/**
+ * Split a content stream into operands and operators. Strings come back as
+ * byte arrays, so the font decides what they mean.
+ */
+function* tokens(bytes) {
+  const n = bytes.length;
+  let i = 0;
+  const isSpace = (c) => c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09 || c === 0x0c || c === 0x00;
+  const isDelim = (c) => c === 0x28 || c === 0x29 || c === 0x3c || c === 0x3e || c === 0x5b || c === 0x5d
+    || c === 0x7b || c === 0x7d || c === 0x2f || c === 0x25;
+  while (i < n) {
+    const c = bytes[i];
+    if (isSpace(c)) {
+      i++;
+    } else if (c === 0x25) {
+      while (i < n && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+    } else if (c === 0x28) {
+      const out = [];
+      let depth = 1;
+      i++;
+      while (i < n && depth) {
+        let b = bytes[i++];
+        if (b === 0x5c) {
+          b = bytes[i++];
+          const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+          if (escapes[b] !== undefined) {
+            out.push(escapes[b]);
+          } else if (b >= 0x30 && b <= 0x37) {
+            let octal = b - 0x30;
+            for (let k = 0; k < 2 && bytes[i] >= 0x30 && bytes[i] <= 0x37; k++) octal = octal * 8 + (bytes[i++] - 0x30);
+            out.push(octal & 0xff);
+          } else if (b === 0x0d || b === 0x0a) {
+            if (b === 0x0d && bytes[i] === 0x0a) i++;
+          } else {
+            out.push(b);
+          }
+          continue;
+        }
+        if (b === 0x28) depth++;
+        if (b === 0x29 && --depth === 0) break;
+        out.push(b);
+      }
+      yield { type: 'string', value: out };
+    } else if (c === 0x3c && bytes[i + 1] === 0x3c) {
+      yield { type: 'dictStart' };
+      i += 2;
+    } else if (c === 0x3e && bytes[i + 1] === 0x3e) {
+      yield { type: 'dictEnd' };
+      i += 2;
+    } else if (c === 0x3c) {
+      let j = i + 1;
+      while (j < n && bytes[j] !== 0x3e) j++;
+      yield { type: 'string', value: hexBytes(latin1(bytes.subarray(i + 1, j))) };
+      i = j + 1;
+    } else if (c === 0x5b) {
+      yield { type: 'arrayStart' };
+      i++;
+    } else if (c === 0x5d) {
+      yield { type: 'arrayEnd' };
+      i++;
+    } else if (c === 0x2f) {
+      let j = i + 1;
+      while (j < n && !isSpace(bytes[j]) && !isDelim(bytes[j])) j++;
+      yield { type: 'name', value: latin1(bytes.subarray(i + 1, j)) };
+      i = j;
+    } else {
+      let j = i;
+      while (j < n && !isSpace(bytes[j]) && !isDelim(bytes[j])) j++;
+      if (j === i) j++;
+      const word = latin1(bytes.subarray(i, j));
+      i = j;
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        yield { type: 'number', value: Number(word) };
+      } else if (word === 'ID') {
+        // Inline image data: skip to the EI that ends it
+        while (i < n && !(isSpace(bytes[i]) && bytes[i + 1] === 0x45 && bytes[i + 2] === 0x49
+          && (i + 3 >= n || isSpace(bytes[i + 3])))) i++;
+        i += 3;
+      } else {
+        yield { type: 'op', value: word };
+      }
+    }
+  }
+}
+
+function contentText(bytes, resources, context, depth, out) {
+  const fonts = resources && lookup(context, resources.get(PDFName.of('Font')), PDFDict);
+  const xObjects = resources && lookup(context, resources.get(PDFName.of('XObject')), PDFDict);
+  const decoders = new Map();
+  let decode = latin1;
+  let operands = [];
+  const arrays = [];
+  const show = (codes) => out.push(decode(codes));
+  for (const token of tokens(bytes)) {
+    if (token.type === 'arrayStart') {
+      arrays.push([]);
+      continue;
+    }
+    if (token.type === 'arrayEnd') {
+      const array = arrays.pop() || [];
+      (arrays.length ? arrays[arrays.length - 1] : operands).push({ type: 'array', value: array });
+      continue;
+    }
+    if (token.type !== 'op') {
+      (arrays.length ? arrays[arrays.length - 1] : operands).push(token);
+      continue;
+    }
+    const op = token.value;
+    const last = operands[operands.length - 1];
+    if (op === 'Tf') {
+      const name = operands.find((o) => o.type === 'name');
+      if (name) {
+        if (!decoders.has(name.value)) {
+          const font = fonts ? lookup(context, fonts.get(PDFName.of(name.value)), PDFDict) : null;
+          decoders.set(name.value, fontDecoder(font, context));
+        }
+        decode = decoders.get(name.value);
+      }
+    } else if (op === 'Tj' && last && last.type === 'string') {
+      show(last.value);
+    } else if ((op === "'" || op === '"') && last && last.type === 'string') {
+      out.push('\n');
+      show(last.value);
+    } else if (op === 'TJ' && last && last.type === 'array') {
+      last.value.forEach((item) => {
+        if (item.type === 'string') show(item.value);
+        else if (item.type === 'number' && item.value < -250) out.push(' ');
+      });
+    } else if (op === 'Td' || op === 'TD') {
+      const ty = operands[1];
+      out.push(ty && ty.type === 'number' && ty.value !== 0 ? '\n' : ' ');
+    } else if (op === 'T*' || op === 'ET' || op === 'Tm') {
+      out.push(op === 'T*' ? '\n' : ' ');
+    } else if (op === 'Do' && xObjects && depth < MAX_FORM_DEPTH) {
+      const name = operands.find((o) => o.type === 'name');
+      const form = name ? lookup(context, xObjects.get(PDFName.of(name.value)), PDFStream) : null;
+      const subtype = form && form.dict.get(PDFName.of('Subtype'));
+      if (subtype && subtype.toString() === '/Form') {
+        const formBytes = streamBytes(form);
+        const formResources = lookup(context, form.dict.get(PDFName.of('Resources')), PDFDict) || resources;
+        if (formBytes) contentText(formBytes, formResources, context, depth + 1, out);
+      }
+    }
+    operands = [];
+  }
+}
+
+/**
+ * Extract the text of a PDF file. Resolves to '' when the file is missing or
+ * cannot be parsed.
+ *
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function extractPdfText(filePath) {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(await fs.promises.readFile(filePath), { ignoreEncryption: true, updateMetadata: false });
+  } catch (err) {
+    return '';
+  }
+  const parts = [];
+  let length = 0;
+  for (const page of pdfDoc.getPages()) {
+    const out = [];
+    try {
+      const contents = page.node.Contents();
+      const streams = contents instanceof PDFArray
+        ? contents.asArray().map((ref) => lookup(pdfDoc.context, ref, PDFStream)).filter(Boolean)
+        : [contents].filter(Boolean);
+      const pageBytes = streams.map(streamBytes).filter(Boolean);
+      const joined = new Uint8Array(pageBytes.reduce((sum, b) => sum + b.length + 1, 0));
+      let offset = 0;
+      pageBytes.forEach((b) => {
+        joined.set(b, offset);
+        joined[offset + b.length] = 0x0a;
+        offset += b.length + 1;
+      });
+      contentText(joined, page.node.Resources(), pdfDoc.context, 0, out);
+    } catch (err) {
+      // A page that cannot be read leaves the rest of the document searchable
+    }
+    const text = out.join('').replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+    parts.push(text);
+    length += text.length;
+    if (length > MAX_TEXT_LENGTH) break;
+  }
+  return parts.join('\n\n').slice(0, MAX_TEXT_LENGTH);
+}
+
+module.exports = { extractPdfText, parseToUnicode };
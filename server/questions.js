@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { encodableText } = require('./annotations');
+
+/**
+ * Multi-problem assignments.
+ *
+ * An assignment may list its problems with their point values:
+ *
+ *   assignment.questions = [ { id, title, points } ]
+ *
+ * When submitting, students tag the pages of their PDF that answer each
+ * problem. The tags are kept on every version as `pageMap`
+ * ({ questionId: [page, ...] }) and mirrored on the submission for the version
+ * that is graded, so graders can be shown only the pages of one problem.
+ *
+ * Graders score problem by problem in `submission.questionScores`
+ * ({ questionId: { score, comment, gradedBy, gradedAt } }). Once every
+ * problem has a score the submission is graded: its grade is the percentage
+ * of the total points (`submission.questionPoints` holds the points), on the
+ * same 0–100 scale as free-form and rubric grades. The feedback PDF then
+ * starts with a score sheet listing every problem's score.
+ *
+ * Problems and a rubric are two ways of structuring a grade; an assignment
+ * uses one or the other.
+ */
+
+function newId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Validate the problems of an assignment received from a client. Ids are
+ * kept when present so that page tags and scores keep pointing at the same
+ * problems after an edit. Throws an Error with a user-facing message if the
+ * list is invalid. Returns null for an empty list.
+ *
+ * @param {object[]|string} raw Problems or their JSON string
+ * @returns {object[]|null}
+ */
+function normalizeQuestions(raw) {
+  const input = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!Array.isArray(input) || !input.length) return null;
+  const ids = new Set();
+  return input.map((q, i) => {
+    const title = String((q && q.title) || '').trim() || `Problem ${i + 1}`;
+    const points = Number(q && q.points);
+    if (!Number.isFinite(points) || points <= 0) throw new Error(`"${title}" needs a positive point value`);
+    let id = q.id ? String(q.id) : newId();
+    if (ids.has(id)) id = newId();
+    ids.add(id);
+    return { id, title, points };
+  });
+}
+
+/**
+ * Validate the page tags sent with a submission. Problems may be left
+ * untagged (e.g. not attempted), but at least one page must be tagged. Throws
+ * an Error with a user-facing message if the tags are invalid.
+ *
+ * @param {object|string} raw { questionId: [page, ...] } or its JSON string
+ * @param {object[]} questions Problems of the assignment
+ * @param {number|null} pageCount Pages of the uploaded PDF, if known
+ * @returns {object}
+ */
+function normalizePageMap(raw, questions, pageCount) {
+  const input = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+  const pageMap = {};
+  Object.keys(input).forEach((questionId) => {
+    const question = questions.find((q) => q.id === questionId);
+    if (!question) throw new Error('Unknown problem');
+    const pages = Array.isArray(input[questionId]) ? input[questionId] : [];
+    pages.forEach((page) => {
+      if (!Number.isInteger(page) || page < 1) throw new Error(`Invalid page number for "${question.title}"`);
+      if (pageCount && page > pageCount) {
+        throw new Error(`"${question.title}" is tagged with page ${page}, but the PDF has ${pageCount} page${pageCount === 1 ? '' : 's'}`);
+      }
+    });
+    if (pages.length) pageMap[questionId] = [...new Set(pages)].sort((a, b) => a - b);
+  });
+  if (!Object.keys(pageMap).length) throw new Error('Tag the pages that answer each problem');
+  return pageMap;
+}
+
+/**
+ * Number of pages of a PDF, or null if it cannot be read.
+ */
+async function countPages(pdfBytes) {
+  try {
+    const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    return pdfDoc.getPageCount();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Validate scores sent for some problems. A score is a number of points
+ * between 0 and the problem's value, optionally with a comment. Throws an
+ * Error with a user-facing message if a score is invalid.
+ *
+ * @param {object|string} raw { questionId: { score, comment } | score }
+ * @param {object[]} questions Problems of the assignment
+ * @returns {object} { questionId: { score, comment } }
+ */
+function normalizeQuestionScores(raw, questions) {
+  const input = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+  const scores = {};
+  Object.keys(input).forEach((questionId) => {
+    const question = questions.find((q) => q.id === questionId);
+    if (!question) throw new Error('Unknown problem');
+    const entry = input[questionId] !== null && typeof input[questionId] === 'object' ? input[questionId] : { score: input[questionId] };
+    const score = Number(entry.score);
+    if (entry.score === '' || entry.score === null || entry.score === undefined || !Number.isFinite(score) || score < 0 || score > question.points) {
+      throw new Error(`The score of "${question.title}" must be between 0 and ${question.points}`);
+    }
+    scores[questionId] = { score, comment: String(entry.comment || '').trim() };
+  });
+  return scores;
+}
+
+/**
+ * Total the scores of a submission's problems. Problems without a score count
+ * as zero points and are listed in `missing`.
+ *
+ * @param {object[]} questions
+ * @param {object} questionScores { questionId: { score } }
+ * @returns {{ points: number, max: number, grade: number, missing: string[] }}
+ */
+function scoreQuestions(questions, questionScores) {
+  const scores = questionScores || {};
+  let points = 0;
+  const missing = [];
+  questions.forEach((q) => {
+    if (scores[q.id]) {
+      points += scores[q.id].score;
+    } else {
+      missing.push(q.id);
+    }
+  });
+  const max = questions.reduce((sum, q) => sum + q.points, 0);
+  const grade = max > 0 ? Math.round((points / max) * 10000) / 100 : 0;
+  return { points, max, grade, missing };
+}
+
+/**
+ * "1-2, 4" for a sorted list of pages.
+ */
+function pageRanges(pages) {
+  const ranges = [];
+  (pages || []).forEach((page) => {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) {
+      last[1] = page;
+    } else {
+      ranges.push([page, page]);
+    }
+  });
+  return ranges.map(([from, to]) => (from === to ? String(from) : `${from}-${to}`)).join(', ');
+}
+
+// Split text into lines that fit the given width
+function wrapText(text, font, size, width) {
+  const lines = [];
+  encodableText(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(' ').forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, size) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * Put a score sheet in front of a feedback PDF: every problem with the pages
+ * tagged for it, its score and the grader's comment, and the total.
+ *
+ * @param {Buffer|Uint8Array} pdfBytes Submission or annotated feedback PDF
+ * @param {object} assignment Assignment with its problems
+ * @param {object} submission Submission with its questionScores
+ * @returns {Promise<Uint8Array>}
+ */
+async function addScoreSheet(pdfBytes, assignment, submission) {
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const [pageWidth, pageHeight] = [595.28, 841.89];
+  const margin = 56;
+  const grey = rgb(0.43, 0.43, 0.45);
+  let sheetPages = 0;
+  let page;
+  let y;
+  const newPage = () => {
+    page = pdfDoc.insertPage(sheetPages++, [pageWidth, pageHeight]);
+    y = pageHeight - margin;
+  };
+  const write = (text, options) => {
+    const size = options.size || 11;
+    if (y - size < margin) newPage();
+    page.drawText(text, { x: options.x || margin, y: y - size, size, font: options.font || font, color: options.color || rgb(0, 0, 0) });
+    if (!options.sameLine) y -= size * 1.4;
+  };
+
+  newPage();
+  write(encodableText(`Score sheet - ${assignment.title || 'Assignment'}`), { size: 16, font: bold });
+  y -= 8;
+  const scores = submission.questionScores || {};
+  const pageMap = submission.pageMap || {};
+  assignment.questions.forEach((q, i) => {
+    const entry = scores[q.id];
+    const score = entry ? `${entry.score} / ${q.points}` : `- / ${q.points}`;
+    write(encodableText(`${i + 1}. ${q.title}`), { font: bold, sameLine: true });
+    write(score, { font: bold, x: pageWidth - margin - bold.widthOfTextAtSize(score, 11) });
+    const pages = pageMap[q.id];
+    write(pages ? `Pages ${pageRanges(pages)}` : 'No pages tagged', { size: 9, color: grey });
+    if (entry && entry.comment) {
+      wrapText(entry.comment, font, 10, pageWidth - 2 * margin - 12).forEach((line) => write(line, { size: 10, x: margin + 12 }));
+    }
+    y -= 6;
+  });
+  const result = scoreQuestions(assignment.questions, scores);
+  y -= 4;
+  write(`Total: ${result.points} / ${result.max} (${result.grade}%)`, { size: 12, font: bold });
+  return pdfDoc.save();
+}
+
+module.exports = {
+  normalizeQuestions,
+  normalizePageMap,
+  countPages,
+  normalizeQuestionScores,
+  scoreQuestions,
+  pageRanges,
+  addScoreSheet,
+};
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+
+/**
+ * Online quizzes.
+ *
+ * Questions live in a course-wide bank (the quizQuestions collection):
+ *
+ *   { id, type, prompt, points, tags: [tag],
+ *     choices: [ { id, text } ], correct: [choiceId],   (single, multiple)
+ *     answer, tolerance,                                 (numeric)
+ *     sampleAnswer,                                      (short)
+ *     createdBy, createdAt, updatedAt }
+ *
+ * `type` is 'single' (multiple choice), 'multiple' (multiple select: every
+ * correct choice and nothing else), 'numeric' (within `tolerance` of
+ * `answer`) or 'short' (free response, graded by hand). Prompts, choices and
+ * sample answers are Markdown with LaTeX.
+ *
+ * A quiz draws its questions from the bank through pools of tagged questions:
+ *
+ *   { id, title, description, opensAt, closesAt, timeLimitMinutes,
+ *     categoryId, pools: [ { tag, pick } ], shuffleQuestions, shuffleChoices,
+ *     scoresReleased, createdBy, createdAt }
+ *
+ * Every student gets `pick` random questions of each pool (all of them when
+ * pick is null). Their attempt (quizAttempts collection) keeps a copy of the
+ * questions drawn, so later edits to the bank leave it untouched:
+ *
+ *   { id, quizId, studentEmail, studentName, startedAt, deadline,
+ *     submittedAt, questions: [question], answers: { questionId: answer },
+ *     results: { questionId: { points, auto, comment, gradedBy, gradedAt } },
+ *     points, maxPoints, score }
+ *
+ * The deadline is the start plus the time limit, capped by the quiz's closing
+ * time; answers arriving later are refused and an attempt left open past its
+ * deadline is submitted with the answers saved so far. Objective questions
+ * are graded on submission, short answers wait in the grading queue. Once
+ * every question has points the attempt's score is the percentage of the
+ * points available, which counts in the gradebook like an assignment of the
+ * quiz's category.
+ */
+
+const QUESTION_TYPES = ['single', 'multiple', 'numeric', 'short'];
+
+// Saves this late are still accepted: the request left the browser in time
+const DEADLINE_GRACE_SECONDS = 30;
+
+const MAX_SHORT_ANSWER_LENGTH = 10000;
+
+function newId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function shuffle(list) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function parseTags(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  return [...new Set(list.map((t) => String(t).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate a bank question received from a client. Choice ids are kept when
+ * present. Throws an Error with a user-facing message if the question is
+ * invalid.
+ *
+ * @param {object} input Question sent by the client; choices as
+ *   [ { id, text, correct } ]
+ * @returns {object} Question fields (without id and bookkeeping)
+ */
+function normalizeBankQuestion(input) {
+  const data = input || {};
+  if (!QUESTION_TYPES.includes(data.type)) throw new Error('Choose a question type');
+  const prompt = String(data.prompt || '').trim();
+  if (!prompt) throw new Error('The question needs a prompt');
+  const points = data.points === undefined || data.points === '' ? 1 : Number(data.points);
+  if (!Number.isFinite(points) || points <= 0) throw new Error('The question needs a positive point value');
+  const question = { type: data.type, prompt, points, tags: parseTags(data.tags) };
+  if (data.type === 'single' || data.type === 'multiple') {
+    const ids = new Set();
+    const choices = (Array.isArray(data.choices) ? data.choices : [])
+      .map((c) => ({ id: c && c.id ? String(c.id) : null, text: String((c && c.text) || '').trim(), correct: !!(c && c.correct) }))
+      .filter((c) => c.text);
+    if (choices.length < 2) throw new Error('Give at least two choices');
+    choices.forEach((c) => {
+      if (!c.id || ids.has(c.id)) c.id = newId();
+      ids.add(c.id);
+    });
+    const correct = choices.filter((c) => c.correct).map((c) => c.id);
+    if (data.type === 'single' && correct.length !== 1) throw new Error('Mark exactly one choice as correct');
+    if (data.type === 'multiple' && !correct.length) throw new Error('Mark at least one choice as correct');
+    question.choices = choices.map((c) => ({ id: c.id, text: c.text }));
+    question.correct = correct;
+  } else if (data.type === 'numeric') {
+    const answer = Number(data.answer);
+    if (data.answer === '' || data.answer === null || data.answer === undefined || !Number.isFinite(answer)) {
+      throw new Error('Give the correct numeric answer');
+    }
+    const tolerance = data.tolerance === undefined || data.tolerance === '' ? 0 : Number(data.tolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0) throw new Error('The tolerance must be a non-negative number');
+    question.answer = answer;
+    question.tolerance = tolerance;
+  } else {
+    question.sampleAnswer = String(data.sampleAnswer || '').trim();
+  }
+  return question;
+}
+
+function parseTime(value, label) {
+  if (value === '' || value === null || value === undefined) return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`Invalid ${label}`);
+  return date.toISOString();
+}
+
+/**
+ * Validate a quiz received from a client. Throws an Error with a user-facing
+ * message if the quiz is invalid.
+ *
+ * @param {object} input Quiz sent by the client
+ * @param {object} ctx { bank: object[], categories: object[] }
+ * @returns {object} Quiz fields (without id and bookkeeping)
+ */
+function normalizeQuiz(input, ctx) {
+  const data = input || {};
+  const title = String(data.title || '').trim();
+  if (!title) throw new Error('The quiz needs a title');
+  const opensAt = parseTime(data.opensAt, 'opening time');
+  const closesAt = parseTime(data.closesAt, 'closing time');
+  if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) throw new Error('The quiz must close after it opens');
+  let timeLimitMinutes = null;
+  if (data.timeLimitMinutes !== '' && data.timeLimitMinutes !== null && data.timeLimitMinutes !== undefined) {
+    timeLimitMinutes = Number(data.timeLimitMinutes);
+    if (!Number.isFinite(timeLimitMinutes) || timeLimitMinutes <= 0) throw new Error('The time limit must be a positive number of minutes');
+  }
+  const categoryId = data.categoryId || null;
+  if (categoryId && !ctx.categories.some((c) => c.id === categoryId)) throw new Error('Unknown gradebook category');
+  const pools = (Array.isArray(data.pools) ? data.pools : []).map((p) => {
+    const tag = String((p && p.tag) || '').trim();
+    const available = ctx.bank.filter((q) => q.tags.includes(tag)).length;
+    if (!available) throw new Error(`No question in the bank is tagged "${tag}"`);
+    let pick = null;
+    if (p.pick !== '' && p.pick !== null && p.pick !== undefined) {
+      pick = Number(p.pick);
+      if (!Number.isInteger(pick) || pick < 1) throw new Error(`The number of questions from "${tag}" must be a positive whole number`);
+      if (pick > available) throw new Error(`Only ${available} question${available === 1 ? ' is' : 's are'} tagged "${tag}"`);
+    }
+    return { tag, pick };
+  });
+  if (!pools.length) throw new Error('Add at least one pool of questions');
+  return {
+    title,
+    description: String(data.description || ''),
+    opensAt,
+    closesAt,
+    timeLimitMinutes,
+    categoryId,
+    pools,
+    shuffleQuestions: !!data.shuffleQuestions,
+    shuffleChoices: !!data.shuffleChoices,
+  };
+}
+
+/**
+ * Draw one student's questions for a quiz: random questions from each pool,
+ * never the same question twice, optionally in random order and with the
+ * choices shuffled. Returns copies of the bank questions.
+ */
+function drawQuestions(quiz, bank) {
+  const drawn = [];
+  quiz.pools.forEach((pool) => {
+    const candidates = bank.filter((q) => q.tags.includes(pool.tag) && !drawn.some((d) => d.id === q.id));
+    const picked = pool.pick === null ? candidates : shuffle(candidates).slice(0, pool.pick);
+    if (!quiz.shuffleQuestions) picked.sort((a, b) => bank.indexOf(a) - bank.indexOf(b));
+    drawn.push(...picked);
+  });
+  const ordered = quiz.shuffleQuestions ? shuffle(drawn) : drawn;
+  return ordered.map((q) => {
+    const copy = JSON.parse(JSON.stringify(q));
+    delete copy.tags;
+    delete copy.createdBy;
+    delete copy.createdAt;
+    delete copy.updatedAt;
+    if (copy.choices && quiz.shuffleChoices) copy.choices = shuffle(copy.choices);
+    return copy;
+  });
+}
+
+/**
+ * Deadline of an attempt started at `startedAt`, as an ISO string, or null
+ * when the attempt may stay open indefinitely.
+ */
+function attemptDeadline(quiz, startedAt) {
+  const limits = [];
+  if (quiz.timeLimitMinutes) limits.push(new Date(startedAt).getTime() + quiz.timeLimitMinutes * 60 * 1000);
+  if (quiz.closesAt) limits.push(new Date(quiz.closesAt).getTime());
+  return limits.length ? new Date(Math.min(...limits)).toISOString() : null;
+}
+
+/**
+ * Whether answers to an attempt are still accepted at `now`.
+ */
+function acceptsAnswers(attempt, now) {
+  if (attempt.submittedAt) return false;
+  if (!attempt.deadline) return true;
+  return now.getTime() <= new Date(attempt.deadline).getTime() + DEADLINE_GRACE_SECONDS * 1000;
+}
+
+/**
+ * Validate answers sent for some questions of an attempt. Throws an Error with
+ * a user-facing message if an answer is malformed.
+ *
+ * @param {object} raw { questionId: answer }: a choice id (single), choice
+ *   ids (multiple), a number (numeric) or text (short); null clears
+ * @param {object} attempt
+ * @returns {object}
+ */
+function normalizeAnswers(raw, attempt) {
+  const input = raw || {};
+  const answers = {};
+  Object.keys(input).forEach((questionId) => {
+    const question = attempt.questions.find((q) => q.id === questionId);
+    if (!question) throw new Error('Unknown question');
+    const value = input[questionId];
+    if (value === null || value === undefined || value === '') {
+      answers[questionId] = null;
+    } else if (question.type === 'single') {
+      if (!question.choices.some((c) => c.id === value)) throw new Error('Unknown choice');
+      answers[questionId] = value;
+    } else if (question.type === 'multiple') {
+      const list = Array.isArray(value) ? value : [value];
+      if (list.some((id) => !question.choices.some((c) => c.id === id))) throw new Error('Unknown choice');
+      answers[questionId] = [...new Set(list)];
+    } else if (question.type === 'numeric') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new Error('Numeric answers must be numbers');
+      answers[questionId] = number;
+    } else {
+      const text = String(value);
+      if (text.length > MAX_SHORT_ANSWER_LENGTH) throw new Error('That answer is too long');
+      answers[questionId] = text;
+    }
+  });
+  return answers;
+}
+
+/**
+ * Points an answer earns, or null when it has to be graded by hand. Blank
+ * answers earn nothing without waiting for a grader.
+ */
+function autoGrade(question, answer) {
+  const blank = answer === null || answer === undefined || (Array.isArray(answer) && !answer.length)
+    || (typeof answer === 'string' && !answer.trim());
+  if (blank) return 0;
+  if (question.type === 'single') return answer === question.correct[0] ? question.points : 0;
+  if (question.type === 'multiple') {
+    const right = answer.length === question.correct.length && answer.every((id) => question.correct.includes(id));
+    return right ? question.points : 0;
+  }
+  if (question.type === 'numeric') {
+    return Math.abs(answer - question.answer) <= question.tolerance + 1e-9 ? question.points : 0;
+  }
+  return null;
+}
+
+/**
+ * Total an attempt's points. The score stays null while some answer still
+ * waits for a grader.
+ */
+function updateScore(attempt) {
+  const results = attempt.results || {};
+  attempt.points = attempt.questions.reduce((sum, q) => sum + (results[q.id] ? results[q.id].points : 0), 0);
+  attempt.maxPoints = attempt.questions.reduce((sum, q) => sum + q.points, 0);
+  const complete = attempt.questions.every((q) => results[q.id]);
+  attempt.score = complete && attempt.maxPoints > 0 ? Math.round((attempt.points / attempt.maxPoints) * 10000) / 100 : null;
+}
+
+/**
+ * Submit an attempt: grade its objective questions and total it.
+ */
+function submitAttempt(attempt, submittedAt) {
+  attempt.submittedAt = submittedAt;
+  attempt.results = attempt.results || {};
+  attempt.questions.forEach((q) => {
+    const points = autoGrade(q, attempt.answers[q.id]);
+    if (points !== null) attempt.results[q.id] = { points, auto: true };
+  });
+  updateScore(attempt);
+}
+
+/**
+ * Questions of a submitted attempt still waiting for a grader.
+ */
+function pendingQuestions(attempt) {
+  if (!attempt.submittedAt) return [];
+  return attempt.questions.filter((q) => !(attempt.results || {})[q.id]);
+}
+
+/**
+ * A question as a student sees it while taking the quiz: no answer key.
+ */
+function questionForStudent(question) {
+  const copy = Object.assign({}, question);
+  delete copy.correct;
+  delete copy.answer;
+  delete copy.tolerance;
+  delete copy.sampleAnswer;
+  return copy;
+}
+
+/**
+ * What a student sees of their attempt. Until the quiz's scores are released
+ * it looks ungraded and the answer key stays hidden.
+ */
+function studentAttemptView(attempt, quiz) {
+  if (quiz.scoresReleased && attempt.submittedAt) return attempt;
+  const view = Object.assign({}, attempt, { questions: attempt.questions.map(questionForStudent) });
+  delete view.results;
+  delete view.points;
+  delete view.score;
+  return view;
+}
+
+/**
+ * The attempt as a gradebook record: a graded "submission" of the quiz once
+ * every answer has points.
+ */
+function gradebookRecord(attempt) {
+  return {
+    assignmentId: attempt.quizId,
+    studentEmail: attempt.studentEmail,
+    graded: attempt.score !== null && attempt.score !== undefined,
+    grade: attempt.score,
+    latePenalty: 0,
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  normalizeBankQuestion,
+  normalizeQuiz,
+  drawQuestions,
+  attemptDeadline,
+  acceptsAnswers,
+  normalizeAnswers,
+  updateScore,
+  submitAttempt,
+  pendingQuestions,
+  studentAttemptView,
+  gradebookRecord,
+};
@@ -0,0 +1,179 @@
+const path = require('path');
+
+/**
+ * The resource library.
+ *
+ * Besides its file, a resource has a description, tags, a folder and an
+ * optional publish date:
+ *
+ *   { id, title, description, tags: [string], folder, publishAt, position,
+ *     filePath, uploadedAt, updatedAt }
+ *
+ * Folders are paths such as "Week 3/Slides"; "" is the top level. Within a
+ * folder, resources are listed by `position`, which TAs change by dragging.
+ * Until `publishAt`, a resource is only listed for TAs.
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Tags from a comma-separated string or an array (as sent by forms), trimmed
+ * and without duplicates, whatever their case. Throws an Error with a
+ * user-facing message when there are too many or one is too long.
+ */
+function parseTags(raw) {
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = raw.trim().startsWith('[') ? JSON.parse(raw) : raw.split(',');
+    } catch (err) {
+      list = raw.split(',');
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const tags = [];
+  list.forEach((item) => {
+    const tag = String(item).trim().replace(/\s+/g, ' ');
+    if (!tag || seen.has(tag.toLowerCase())) return;
+    if (tag.length > MAX_TAG_LENGTH) throw new Error(`Tags can be at most ${MAX_TAG_LENGTH} characters long`);
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  });
+  if (tags.length > MAX_TAGS) throw new Error(`A resource can have at most ${MAX_TAGS} tags`);
+  return tags;
+}
+
+/**
+ * A folder path with its segments trimmed and empty segments dropped.
+ */
+function normalizeFolder(raw) {
+  return String(raw || '')
+    .split('/')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Validate the fields of a resource received from the upload or edit form.
+ * Only fields present in the input are returned, so an edit can change one
+ * field at a time. Throws an Error with a user-facing message when a field is
+ * invalid.
+ *
+ * @param {object} input Request body
+ * @returns {object}
+ */
+function normalizeResourceFields(input) {
+  const fields = {};
+  if (input.title !== undefined) {
+    fields.title = String(input.title).trim();
+    if (!fields.title) throw new Error('The resource needs a title');
+  }
+  if (input.description !== undefined) fields.description = String(input.description).trim();
+  if (input.tags !== undefined) fields.tags = parseTags(input.tags);
+  if (input.folder !== undefined) fields.folder = normalizeFolder(input.folder);
+  if (input.publishAt !== undefined) {
+    if (input.publishAt === '' || input.publishAt === null) {
+      fields.publishAt = null;
+    } else {
+      const date = new Date(input.publishAt);
+      if (isNaN(date)) throw new Error('The publish date is not a valid date');
+      fields.publishAt = date.toISOString();
+    }
+  }
+  return fields;
+}
+
+function isPublished(resource, now = new Date()) {
+  return !resource.publishAt || new Date(resource.publishAt) <= now;
+}
+
+function inFolder(resource, folder) {
+  const own = resource.folder || '';
+  return !folder || own === folder || own.startsWith(`${folder}/`);
+}
+
+function hasTags(resource, tags) {
+  const own = (resource.tags || []).map((t) => t.toLowerCase());
+  return tags.every((tag) => own.includes(tag.toLowerCase()));
+}
+
+// Every word of the query must appear in the title, description, tags,
+// folder or file name.
+function matchesQuery(resource, query) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return true;
+  const text = [
+    resource.title,
+    resource.description,
+    (resource.tags || []).join(' '),
+    resource.folder,
+    resource.filePath ? path.basename(resource.filePath) : '',
+  ].join(' ').toLowerCase();
+  return words.every((word) => text.includes(word));
+}
+
+/**
+ * Folders first (alphabetically, the top level first), then position within
+ * the folder, then upload order.
+ */
+function compareResources(a, b) {
+  return (a.folder || '').localeCompare(b.folder || '')
+    || (a.position || 0) - (b.position || 0)
+    || String(a.uploadedAt || '').localeCompare(String(b.uploadedAt || ''));
+}
+
+function countBy(list, keysOf) {
+  const counts = new Map();
+  list.forEach((item) => {
+    keysOf(item).forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  return counts;
+}
+
+// Each folder counts the resources in it and in its subfolders.
+function folderKeys(resource) {
+  const parts = (resource.folder || '').split('/').filter(Boolean);
+  return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Search the library. Returns the matching resources in library order and
+ * the facets to narrow them further: the tags of the matches and the folders
+ * of everything matching the query and tags, each with a count.
+ *
+ * @param {object[]} list Resources the user may see
+ * @param {{ q?: string, tags?: string[], folder?: string }} filters
+ */
+function searchResources(list, filters) {
+  const tags = filters.tags || [];
+  const folder = normalizeFolder(filters.folder);
+  const byQueryAndTags = list.filter((r) => matchesQuery(r, filters.q) && hasTags(r, tags));
+  const results = byQueryAndTags.filter((r) => inFolder(r, folder)).sort(compareResources);
+  const tagCounts = new Map();
+  const tagNames = new Map();
+  results.forEach((r) => (r.tags || []).forEach((tag) => {
+    const key = tag.toLowerCase();
+    tagCounts.set(key, (tagCounts.get(key) || 0) + 1);
+    if (!tagNames.has(key)) tagNames.set(key, tag);
+  }));
+  const folderCounts = countBy(byQueryAndTags, folderKeys);
+  return {
+    resources: results,
+    tags: Array.from(tagCounts, ([key, count]) => ({ tag: tagNames.get(key), count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+    folders: Array.from(folderCounts, ([name, count]) => ({ folder: name, count }))
+      .sort((a, b) => a.folder.localeCompare(b.folder)),
+  };
+}
+
+module.exports = {
+  parseTags,
+  normalizeFolder,
+  normalizeResourceFields,
+  isPublished,
+  compareResources,
+  searchResources,
+};
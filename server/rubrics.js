@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+/**
+ * Grading rubrics.
+ *
+ * A rubric is a list of criteria, each with a set of levels worth a number of
+ * points:
+ *
+ *   { criteria: [ { id, title, description,
+ *                   levels: [ { id, label, points, description } ] } ] }
+ *
+ * Assignments carry their rubric in `assignment.rubric`; reusable copies live
+ * in the rubricTemplates collection. A graded submission stores the chosen
+ * level per criterion in `submission.rubricScores` ({ criterionId: levelId })
+ * and its grade is the percentage of the rubric's maximum points, so grades
+ * stay on the same 0–100 scale as free-form grades.
+ */
+
+function newId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Validate a rubric received from a client. Ids are kept when present so
+ * that existing scores keep pointing at the same criteria and levels after an
+ * edit; new criteria and levels get fresh ids. Throws an Error with a
+ * user-facing message if the rubric is invalid. Returns null for a rubric
+ * without criteria.
+ *
+ * @param {object|string} raw Rubric object or its JSON string
+ * @returns {object|null}
+ */
+function normalizeRubric(raw) {
+  const data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  const input = data && Array.isArray(data.criteria) ? data.criteria : [];
+  if (!input.length) return null;
+  const criterionIds = new Set();
+  const criteria = input.map((c, ci) => {
+    const title = String((c && c.title) || '').trim();
+    if (!title) throw new Error(`Criterion ${ci + 1} needs a title`);
+    const levelsInput = Array.isArray(c.levels) ? c.levels : [];
+    if (!levelsInput.length) throw new Error(`Criterion "${title}" needs at least one level`);
+    const levelIds = new Set();
+    const levels = levelsInput.map((l, li) => {
+      const points = Number(l && l.points);
+      if (!Number.isFinite(points) || points < 0) {
+        throw new Error(`Level ${li + 1} of "${title}" needs a non-negative point value`);
+      }
+      let id = l.id ? String(l.id) : newId();
+      if (levelIds.has(id)) id = newId();
+      levelIds.add(id);
+      return {
+        id,
+        label: String(l.label || '').trim() || `${points} pts`,
+        points,
+        description: String(l.description || ''),
+      };
+    });
+    let id = c.id ? String(c.id) : newId();
+    if (criterionIds.has(id)) id = newId();
+    criterionIds.add(id);
+    return { id, title, description: String(c.description || ''), levels };
+  });
+  return { criteria };
+}
+
+function maxPoints(rubric) {
+  return rubric.criteria.reduce((sum, c) => sum + Math.max(...c.levels.map((l) => l.points)), 0);
+}
+
+/**
+ * Total the selected levels. Criteria without a (still existing) selected
+ * level count as zero points and are listed in `missing`.
+ *
+ * @param {object} rubric
+ * @param {object} rubricScores { criterionId: levelId }
+ * @returns {{ points: number, max: number, grade: number, missing: string[] }}
+ */
+function scoreRubric(rubric, rubricScores) {
+  const scores = rubricScores || {};
+  let points = 0;
+  const missing = [];
+  rubric.criteria.forEach((c) => {
+    const level = c.levels.find((l) => l.id === scores[c.id]);
+    if (level) {
+      points += level.points;
+    } else {
+      missing.push(c.id);
+    }
+  });
+  const max = maxPoints(rubric);
+  const grade = max > 0 ? Math.round((points / max) * 10000) / 100 : 0;
+  return { points, max, grade, missing };
+}
+
+module.exports = { normalizeRubric, scoreRubric };
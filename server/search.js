@@ -0,0 +1,215 @@
+/**
+ * Full-text search over course content.
+ *
+ * The index holds documents built by the server from announcements,
+ * assignments, forum posts and resources:
+ *
+ *   { key, type, id, title, text, audience, publishAt, link }
+ *
+ * `audience` says who may find the document: 'all', 'admin', or a list of
+ * emails (who can see it in addition to TAs). A document with a future
+ * `publishAt` is found by TAs only until then. `link` is whatever the client
+ * needs to open the result.
+ *
+ * Words are lowercased letters and digits; Chinese, Japanese and Korean text
+ * is indexed character by character. A query matches documents containing
+ * every word, the last one also as a prefix so results appear while typing.
+ */
+
+const SNIPPET_RADIUS = 80;
+const TITLE_WEIGHT = 5;
+const MAX_RESULTS = 50;
+
+const CJK = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * The words of a text, in order, with where each starts and ends.
+ *
+ * @param {string} text
+ * @returns {{ word: string, start: number, end: number }[]}
+ */
+function tokenize(text) {
+  const result = [];
+  const source = String(text || '');
+  let m;
+  WORD.lastIndex = 0;
+  while ((m = WORD.exec(source))) {
+    const start = m.index;
+    const raw = m[0];
+    if (CJK.test(raw)) {
+      // Split mixed runs such as "第3章" into single CJK characters and words
+      let offset = 0;
+      for (const part of raw.match(/[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]|[^぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]+/g)) {
+        result.push({ word: part.toLowerCase(), start: start + offset, end: start + offset + part.length });
+        offset += part.length;
+      }
+    } else {
+      result.push({ word: raw.toLowerCase(), start, end: start + raw.length });
+    }
+  }
+  return result;
+}
+
+/**
+ * Markdown as the reader sees it, without the markup, for indexing and
+ * snippets. LaTeX is kept as written.
+ */
+function markdownText(markdown) {
+  return String(markdown || '')
+    .replace(/```[^\n]*\n?/g, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Whether a viewer ({ email, role } from the token, or null for guests) may
+ * find a document.
+ */
+function canSee(doc, viewer, now = new Date()) {
+  if (viewer && viewer.role === 'admin') return true;
+  if (doc.publishAt && new Date(doc.publishAt) > now) return false;
+  if (doc.audience === 'all') return true;
+  if (Array.isArray(doc.audience)) return !!viewer && doc.audience.includes(viewer.email);
+  return false;
+}
+
+/**
+ * Text around the first match, with the matched words marked as
+ * [start, end] ranges within the snippet.
+ */
+function snippet(text, terms) {
+  const matches = (word) => terms.some((t) => (t.prefix ? word.startsWith(t.word) : word === t.word));
+  // Documents can hold a whole PDF, so look for the first match in chunks
+  // rather than splitting the entire text into words
+  let center = 0;
+  for (let offset = 0; offset < text.length; offset += SNIPPET_RADIUS * 50) {
+    const chunkStart = offset === 0 ? 0 : offset - 100;
+    const first = tokenize(text.slice(chunkStart, offset + SNIPPET_RADIUS * 50)).find((w) => matches(w.word));
+    if (first) {
+      center = chunkStart + first.start;
+      break;
+    }
+  }
+  let from = Math.max(0, center - SNIPPET_RADIUS);
+  let to = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+  // Do not cut words in half
+  while (from > 0 && /\S/.test(text[from - 1])) from--;
+  while (to < text.length && /\S/.test(text[to])) to++;
+  const raw = text.slice(from, to);
+  const body = raw.trim();
+  const prefix = from > 0 ? '…' : '';
+  const highlights = tokenize(body)
+    .filter((w) => matches(w.word))
+    .map((w) => [w.start + prefix.length, w.end + prefix.length]);
+  return {
+    text: `${prefix}${body.replace(/\s/g, ' ')}${to < text.length ? '…' : ''}`,
+    highlights,
+  };
+}
+
+/**
+ * Create an empty index. `sync` brings it in line with the current
+ * documents, re-reading only those whose title or text changed.
+ */
+function createSearchIndex() {
+  const docs = new Map();
+  // word -> Map(key -> weighted count)
+  const postings = new Map();
+
+  function remove(key) {
+    const doc = docs.get(key);
+    if (!doc) return;
+    doc.words.forEach((word) => {
+      const list = postings.get(word);
+      if (!list) return;
+      list.delete(key);
+      if (!list.size) postings.delete(word);
+    });
+    docs.delete(key);
+  }
+
+  function add(doc) {
+    const counts = new Map();
+    tokenize(doc.title).forEach(({ word }) => counts.set(word, (counts.get(word) || 0) + TITLE_WEIGHT));
+    tokenize(doc.text).forEach(({ word }) => counts.set(word, (counts.get(word) || 0) + 1));
+    counts.forEach((count, word) => {
+      if (!postings.has(word)) postings.set(word, new Map());
+      postings.get(word).set(doc.key, count);
+    });
+    docs.set(doc.key, Object.assign({}, doc, { words: Array.from(counts.keys()) }));
+  }
+
+  /**
+   * @param {object[]} current Every document that should be searchable
+   */
+  function sync(current) {
+    const seen = new Set();
+    current.forEach((doc) => {
+      seen.add(doc.key);
+      const old = docs.get(doc.key);
+      if (old && old.title === doc.title && old.text === doc.text) {
+        // Same words; visibility and links may still have changed
+        Object.assign(old, doc, { words: old.words });
+        return;
+      }
+      remove(doc.key);
+      add(doc);
+    });
+    Array.from(docs.keys()).forEach((key) => {
+      if (!seen.has(key)) remove(key);
+    });
+  }
+
+  /**
+   * Find documents the viewer may see, best first.
+   *
+   * @param {string} query
+   * @param {object|null} viewer
+   * @param {{ types?: string[], limit?: number }} [options]
+   * @returns {object[]} { type, id, title, link, snippet, score }
+   */
+  function search(query, viewer, options = {}) {
+    const words = tokenize(query).map((t) => t.word);
+    if (!words.length) return [];
+    const terms = words.map((word, i) => ({ word, prefix: i === words.length - 1 }));
+    let scores = null;
+    for (const term of terms) {
+      const found = new Map();
+      const lists = term.prefix
+        ? Array.from(postings.keys()).filter((w) => w.startsWith(term.word)).map((w) => postings.get(w))
+        : [postings.get(term.word)].filter(Boolean);
+      lists.forEach((list) => list.forEach((count, key) => found.set(key, (found.get(key) || 0) + count)));
+      if (scores === null) {
+        scores = found;
+      } else {
+        const next = new Map();
+        scores.forEach((score, key) => {
+          if (found.has(key)) next.set(key, score + found.get(key));
+        });
+        scores = next;
+      }
+      if (!scores.size) return [];
+    }
+    const now = new Date();
+    return Array.from(scores)
+      .map(([key, score]) => ({ doc: docs.get(key), score }))
+      .filter(({ doc }) => canSee(doc, viewer, now) && (!options.types || options.types.includes(doc.type)))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || MAX_RESULTS)
+      .map(({ doc, score }) => ({
+        type: doc.type,
+        id: doc.id,
+        title: doc.title,
+        link: doc.link,
+        snippet: snippet(doc.text || doc.title, terms),
+        score,
+      }));
+  }
+
+  return { sync, search };
+}
+
+module.exports = { tokenize, markdownText, canSee, createSearchIndex };
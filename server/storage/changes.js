@@ -0,0 +1,88 @@
+/**
+ * Change tracking shared by the storage backends.
+ *
+ * Each backend remembers the serialized form of what it last wrote: for an
+ * array (a collection such as submissions) one JSON string per record, for
+ * anything else (a setting such as courseInfo) a single JSON string. A save
+ * compares the snapshot with that and writes only what differs, so adding a
+ * notification writes one record instead of every notification.
+ *
+ * A change is either
+ *
+ *   { rows: { <position>: <record JSON> }, length }   for a collection
+ *   { value: <JSON> }                                   for a setting
+ *
+ * where `rows` holds the records that are new or different and `length` is
+ * the collection's new length (records past it were removed).
+ */
+
+function serializeRow(item) {
+  const text = JSON.stringify(item);
+  // JSON has no undefined; arrays store it as null
+  return text === undefined ? 'null' : text;
+}
+
+/**
+ * Serialized form of one snapshot value, as kept by the backends.
+ *
+ * @param {*} value
+ * @returns {string[]|string|undefined}
+ */
+function serialize(value) {
+  return Array.isArray(value) ? value.map(serializeRow) : JSON.stringify(value);
+}
+
+/**
+ * Changes of a snapshot against the serialized state last written.
+ *
+ * @param {object} snapshot Top-level keys to persist
+ * @param {object} persisted Serialized state, see serialize()
+ * @returns {object} key -> change; keys without changes are left out
+ */
+function diffSnapshot(snapshot, persisted) {
+  const changes = {};
+  Object.keys(snapshot).forEach((key) => {
+    const value = snapshot[key];
+    const before = persisted[key];
+    if (!Array.isArray(value)) {
+      const text = JSON.stringify(value);
+      if (text !== undefined && text !== before) changes[key] = { value: text };
+      return;
+    }
+    const previous = Array.isArray(before) ? before : [];
+    const rows = {};
+    let changed = !Array.isArray(before) || previous.length !== value.length;
+    value.forEach((item, position) => {
+      const text = serializeRow(item);
+      if (text !== previous[position]) {
+        rows[position] = text;
+        changed = true;
+      }
+    });
+    if (changed) changes[key] = { rows, length: value.length };
+  });
+  return changes;
+}
+
+/**
+ * Record written changes in the serialized state.
+ *
+ * @param {object} persisted Serialized state, updated in place
+ * @param {object} changes As returned by diffSnapshot()
+ */
+function applyChanges(persisted, changes) {
+  Object.keys(changes).forEach((key) => {
+    const change = changes[key];
+    if (change.rows === undefined) {
+      persisted[key] = change.value;
+      return;
+    }
+    const rows = Array.isArray(persisted[key]) ? persisted[key].slice(0, change.length) : [];
+    Object.keys(change.rows).forEach((position) => {
+      rows[position] = change.rows[position];
+    });
+    persisted[key] = rows;
+  });
+}
+
+module.exports = { serialize, diffSnapshot, applyChanges };
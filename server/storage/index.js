@@ -0,0 +1,40 @@
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+/**
+ * Storage backends for the course state. Every backend exposes the same
+ * interface so the server does not care where data lives:
+ *
+ *   load()      -> object with all persisted keys, or null for an empty store
+ *   save(data)  -> queue a snapshot for (asynchronous) persistence
+ *   flushSync() -> synchronously write anything still queued
+ *   close()     -> flush and release the backend
+ *
+ * The driver is chosen with the STORAGE_DRIVER environment variable
+ * ('json', the default, or 'sqlite'). File locations default to the server
+ * directory and can be overridden with DATA_FILE and SQLITE_FILE.
+ */
+const DEFAULT_JSON_FILE = path.join(__dirname, '..', 'data.json');
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '..', 'data.db');
+
+/**
+ * Create a store for the given driver.
+ *
+ * @param {object} [options]
+ * @param {string} [options.driver] 'json' or 'sqlite'
+ * @param {string} [options.file] Path of the backing file
+ * @returns {object} Store instance
+ */
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+  if (driver === 'json') {
+    return createJsonStore({ file: options.file || process.env.DATA_FILE || DEFAULT_JSON_FILE });
+  }
+  if (driver === 'sqlite') {
+    return createSqliteStore({ file: options.file || process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE });
+  }
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = { createStore, DEFAULT_JSON_FILE, DEFAULT_SQLITE_FILE };
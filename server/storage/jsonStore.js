@@ -0,0 +1,275 @@
+const fs = require('fs');
+const { serialize, diffSnapshot, applyChanges } = require('./changes');
+
+/**
+ * JSON file storage backend.
+ *
+ * The whole course state lives in a single JSON document (data.json) so that
+ * it can be inspected and backed up by hand. To avoid rewriting that document
+ * on every mutation, saves are appended to a write-ahead journal
+ * (data.json.journal) instead. Each journal line records only what changed
+ * since the previous save (see changes.js): the new value of changed
+ * settings, and for collections the new length and the records that are new
+ * or different, by position, e.g.
+ *
+ *   {"seq":12,"date":"...","changes":{"courseInfo":{...}},
+ *    "rows":{"notifications":{"length":41,"set":{"40":{...}}}}}
+ *
+ * (on one line). Journals from before row-level entries only have `changes`,
+ * holding whole collections; they replay the same way.
+ *
+ * After a number of journal entries the journal is folded back into the main
+ * file ("compaction"). The main file is always replaced atomically: the new
+ * content is written to data.json.tmp, fsynced and then renamed over the old
+ * file, so a crash leaves either the old or the new document but never a
+ * truncated one. On startup the main file is read and any journal entries are
+ * replayed on top of it; a torn final journal line from a crash mid-append is
+ * ignored.
+ *
+ * All disk writes are asynchronous and serialized through a single promise
+ * chain, so request handlers never block on I/O. flushSync() exists for
+ * process shutdown only.
+ *
+ * @param {object} options
+ * @param {string} options.file Path of the JSON document
+ * @param {number} [options.compactEvery] Journal entries before compaction
+ */
+function createJsonStore({ file, compactEvery = 50 }) {
+  const journalFile = file + '.journal';
+  const tmpFile = file + '.tmp';
+  // Serialized state as last written to disk (see changes.js)
+  let persisted = {};
+  // Latest snapshot handed to save() that has not been flushed yet
+  let pending = null;
+  // Changes currently being appended by an asynchronous flush
+  let inFlight = null;
+  let scheduled = false;
+  let seq = 0;
+  let journalEntries = 0;
+  // Promise chain that orders all asynchronous disk operations
+  let queue = Promise.resolve();
+
+  /**
+   * Read journal entries from disk. Lines that fail to parse (a torn write at
+   * the end of the file) terminate the replay.
+   */
+  function readJournal() {
+    if (!fs.existsSync(journalFile)) return [];
+    const entries = [];
+    const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        console.error('Ignoring incomplete journal entry in', journalFile);
+        break;
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Load the stored document, replaying the journal on top of the main file.
+   * Returns null if nothing has been stored yet.
+   */
+  function load() {
+    let data = null;
+    if (fs.existsSync(file)) {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    const entries = readJournal();
+    if (entries.length) {
+      data = data || {};
+      entries.forEach((entry) => replay(data, entry));
+      seq = entries[entries.length - 1].seq || entries.length;
+    }
+    if (!data) {
+      if (fs.existsSync(journalFile)) fs.writeFileSync(journalFile, '');
+      return null;
+    }
+    persisted = {};
+    Object.keys(data).forEach((key) => {
+      persisted[key] = serialize(data[key]);
+    });
+    if (fs.existsSync(journalFile) && fs.statSync(journalFile).size > 0) {
+      // Fold the replayed journal into the main file straight away so the
+      // next start does not replay it again, and so new entries are never
+      // appended after a torn line.
+      writeFileAtomicSync(JSON.stringify(data, null, 2));
+      fs.writeFileSync(journalFile, '');
+    }
+    return data;
+  }
+
+  /**
+   * Apply one journal entry to the loaded document.
+   */
+  function replay(data, entry) {
+    Object.assign(data, entry.changes);
+    Object.keys(entry.rows || {}).forEach((key) => {
+      const { length, set } = entry.rows[key];
+      const rows = Array.isArray(data[key]) ? data[key].slice(0, length) : [];
+      Object.keys(set).forEach((position) => {
+        rows[position] = set[position];
+      });
+      data[key] = rows;
+    });
+  }
+
+  /**
+   * Build a journal line from serialized changes without re-serializing the
+   * (potentially large) values.
+   */
+  function journalLine(changes) {
+    seq += 1;
+    const settings = [];
+    const collections = [];
+    Object.keys(changes).forEach((key) => {
+      const change = changes[key];
+      if (change.rows === undefined) {
+        settings.push(JSON.stringify(key) + ':' + change.value);
+        return;
+      }
+      const set = Object.keys(change.rows)
+        .map((position) => JSON.stringify(position) + ':' + change.rows[position])
+        .join(',');
+      collections.push(`${JSON.stringify(key)}:{"length":${change.length},"set":{${set}}}`);
+    });
+    return `{"seq":${seq},"date":${JSON.stringify(new Date().toISOString())},"changes":{${settings.join(',')}},"rows":{${collections.join(',')}}}\n`;
+  }
+
+  function documentText() {
+    const doc = {};
+    Object.keys(persisted).forEach((key) => {
+      const value = persisted[key];
+      doc[key] = Array.isArray(value) ? value.map((row) => JSON.parse(row)) : JSON.parse(value);
+    });
+    return JSON.stringify(doc, null, 2);
+  }
+
+  function writeFileAtomicSync(text) {
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, file);
+  }
+
+  async function writeFileAtomic(text) {
+    const handle = await fs.promises.open(tmpFile, 'w');
+    try {
+      await handle.writeFile(text);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  async function appendJournal(line) {
+    const handle = await fs.promises.open(journalFile, 'a');
+    try {
+      await handle.appendFile(line);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Rewrite the main file from the persisted state and empty the journal.
+   * The document is built from what has been journaled (not from the live
+   * arrays) so that replaying a journal left behind by a crash between the
+   * rename and the truncate yields exactly the same state.
+   */
+  async function compact() {
+    await writeFileAtomic(documentText());
+    await fs.promises.writeFile(journalFile, '');
+    journalEntries = 0;
+  }
+
+  async function flush() {
+    scheduled = false;
+    const snapshot = pending;
+    pending = null;
+    if (!snapshot) return;
+    const changes = diffSnapshot(snapshot, persisted);
+    if (!Object.keys(changes).length) return;
+    inFlight = changes;
+    await appendJournal(journalLine(changes));
+    inFlight = null;
+    applyChanges(persisted, changes);
+    journalEntries += 1;
+    if (journalEntries >= compactEvery) {
+      await compact();
+    }
+  }
+
+  /**
+   * Queue the snapshot for persistence. Multiple saves within the same tick
+   * are coalesced into a single journal entry. The snapshot may reference the
+   * live in-memory arrays; it is serialized when the flush runs.
+   *
+   * @param {object} snapshot Top-level keys to persist
+   * @returns {Promise} Resolves once the snapshot is on disk
+   */
+  function save(snapshot) {
+    pending = snapshot;
+    if (!scheduled) {
+      scheduled = true;
+      queue = queue
+        .then(() => new Promise((resolve) => setImmediate(resolve)))
+        .then(flush)
+        .catch((err) => {
+          console.error('Failed to save data:', err);
+        });
+    }
+    return queue;
+  }
+
+  /**
+   * Synchronously persist any pending snapshot. Intended for process exit,
+   * when queued asynchronous writes will never get a chance to run.
+   */
+  function flushSync() {
+    // An interrupted asynchronous append may or may not have reached the
+    // disk, so its changes are written again; replaying them twice is
+    // harmless because entries set records by position.
+    if (inFlight) {
+      appendJournalSync(journalLine(inFlight));
+      applyChanges(persisted, inFlight);
+      inFlight = null;
+    }
+    const snapshot = pending;
+    pending = null;
+    if (!snapshot) return;
+    const changes = diffSnapshot(snapshot, persisted);
+    if (!Object.keys(changes).length) return;
+    appendJournalSync(journalLine(changes));
+    applyChanges(persisted, changes);
+  }
+
+  function appendJournalSync(line) {
+    const fd = fs.openSync(journalFile, 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  return {
+    driver: 'json',
+    load,
+    save,
+    flushSync,
+    close: flushSync,
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,178 @@
+const { serialize, diffSnapshot, applyChanges } = require('./changes');
+
+/**
+ * SQLite storage backend built on better-sqlite3.
+ *
+ * Every array in the saved snapshot (users, submissions, forumThreads, ...)
+ * gets its own table with one row per record: the array index in
+ * `position` and the full record as JSON in `doc`. Scalar values such as
+ * courseInfo and taInvitationCode live in the `settings` table. The server
+ * keeps everything in memory, so the database is only read at startup and
+ * needs no other columns or indexes.
+ *
+ * Like the JSON backend, saves are coalesced per tick and only the records
+ * and settings that changed are written (see changes.js), each flush in a
+ * single transaction. The database runs in WAL mode so a crash never leaves
+ * a half-written collection behind.
+ */
+
+const SETTINGS_TABLE = 'settings';
+const IDENTIFIER = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function quote(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid collection name: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.file Path of the SQLite database file
+ */
+function createSqliteStore({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('The sqlite storage driver requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS ${SETTINGS_TABLE} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+
+  // Serialized state as last written (see changes.js)
+  let persisted = {};
+  let pending = null;
+  const ensured = new Set();
+
+  function ensureTable(name) {
+    if (ensured.has(name)) return;
+    db.exec(`CREATE TABLE IF NOT EXISTS ${quote(name)} (position INTEGER PRIMARY KEY, doc TEXT NOT NULL)`);
+    ensured.add(name);
+  }
+
+  /**
+   * Databases written by earlier versions copied some record fields into
+   * indexed columns that nothing ever queried. Drop them along with their
+   * indexes.
+   */
+  function dropMirroredColumns(name) {
+    const table = quote(name);
+    const extra = db.prepare(`PRAGMA table_info(${table})`).all()
+      .map((column) => column.name)
+      .filter((column) => column !== 'position' && column !== 'doc');
+    if (!extra.length) return;
+    db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL")
+      .all(name)
+      .forEach((index) => db.exec(`DROP INDEX ${quote(index.name)}`));
+    extra.forEach((column) => db.exec(`ALTER TABLE ${table} DROP COLUMN ${quote(column)}`));
+  }
+
+  function collectionTables() {
+    return db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name <> ? AND name NOT LIKE 'sqlite_%'")
+      .all(SETTINGS_TABLE)
+      .map((row) => row.name);
+  }
+
+  /**
+   * Load every collection and setting. Returns null if the database is empty.
+   */
+  function load() {
+    const data = {};
+    collectionTables().forEach((name) => {
+      dropMirroredColumns(name);
+      ensured.add(name);
+      data[name] = db
+        .prepare(`SELECT doc FROM ${quote(name)} ORDER BY position`)
+        .all()
+        .map((row) => JSON.parse(row.doc));
+    });
+    db.prepare(`SELECT key, value FROM ${SETTINGS_TABLE}`).all().forEach((row) => {
+      data[row.key] = JSON.parse(row.value);
+    });
+    if (!Object.keys(data).length) return null;
+    persisted = {};
+    Object.keys(data).forEach((key) => {
+      persisted[key] = serialize(data[key]);
+    });
+    return data;
+  }
+
+  /**
+   * Upsert the changed records of a collection and delete those past its
+   * new length.
+   */
+  function writeCollection(name, change) {
+    ensureTable(name);
+    const table = quote(name);
+    const upsert = db.prepare(
+      `INSERT INTO ${table} (position, doc) VALUES (?, ?) ON CONFLICT(position) DO UPDATE SET doc = excluded.doc`
+    );
+    Object.keys(change.rows).forEach((position) => {
+      upsert.run(Number(position), change.rows[position]);
+    });
+    db.prepare(`DELETE FROM ${table} WHERE position >= ?`).run(change.length);
+  }
+
+  const writeChanges = db.transaction((changes) => {
+    const upsertSetting = db.prepare(
+      `INSERT INTO ${SETTINGS_TABLE} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`
+    );
+    Object.keys(changes).forEach((key) => {
+      const change = changes[key];
+      if (change.rows !== undefined) {
+        writeCollection(key, change);
+      } else {
+        upsertSetting.run(key, change.value);
+      }
+    });
+  });
+
+  function flushSync() {
+    const snapshot = pending;
+    pending = null;
+    if (!snapshot) return;
+    const changes = diffSnapshot(snapshot, persisted);
+    if (!Object.keys(changes).length) return;
+    writeChanges(changes);
+    applyChanges(persisted, changes);
+  }
+
+  /**
+   * Queue the snapshot for persistence; saves within one tick are coalesced.
+   *
+   * @param {object} snapshot Top-level keys to persist
+   * @returns {Promise} Resolves once the snapshot is committed
+   */
+  function save(snapshot) {
+    pending = snapshot;
+    return new Promise((resolve) => {
+      setImmediate(() => {
+        try {
+          flushSync();
+        } catch (err) {
+          console.error('Failed to save data:', err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  function close() {
+    flushSync();
+    db.close();
+  }
+
+  return {
+    driver: 'sqlite',
+    load,
+    save,
+    flushSync,
+    close,
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Submission versions.
+ *
+ * Every upload of a submission is kept as a version:
+ *
+ *   { version, filePath, uploadedAt, size, sha256, late, lateDays, latePenalty }
+ *
+ * in `submission.versions` (version numbers start at 1). The submission's own
+ * filePath, uploadedAt and lateness fields mirror the version that is graded:
+ * the one a TA picked (`submission.selectedVersion`) or, by default, the
+ * latest version uploaded on time, falling back to the latest version when
+ * every upload was late.
+ */
+
+/**
+ * Size and SHA-256 hash of an uploaded file, which serve as the student's
+ * receipt. Returns null fields if the file cannot be read.
+ *
+ * @param {string} filePath
+ * @returns {{ size: number|null, sha256: string|null }}
+ */
+function fileReceipt(filePath) {
+  try {
+    const bytes = fs.readFileSync(filePath);
+    return { size: bytes.length, sha256: crypto.createHash('sha256').update(bytes).digest('hex') };
+  } catch (err) {
+    return { size: null, sha256: null };
+  }
+}
+
+/**
+ * Version that is graded by default: the latest on-time one, else the latest.
+ */
+function defaultVersion(versions) {
+  const onTime = versions.filter((v) => !v.late);
+  const pool = onTime.length ? onTime : versions;
+  return pool[pool.length - 1];
+}
+
+/**
+ * Version of the submission that is (to be) graded.
+ */
+function currentVersion(sub) {
+  const versions = sub.versions || [];
+  if (!versions.length) return null;
+  return versions.find((v) => v.version === sub.selectedVersion) || defaultVersion(versions);
+}
+
+/**
+ * Give a submission stored before versions existed a single version made from
+ * its current file. Returns true if the submission was changed.
+ */
+function ensureVersions(sub) {
+  if (Array.isArray(sub.versions) && sub.versions.length) return false;
+  sub.versions = [Object.assign({
+    version: 1,
+    filePath: sub.filePath,
+    uploadedAt: sub.uploadedAt,
+    late: !!sub.late,
+    lateDays: sub.lateDays || 0,
+    latePenalty: sub.latePenalty || 0,
+  }, fileReceipt(sub.filePath))];
+  return true;
+}
+
+module.exports = { fileReceipt, currentVersion, ensureVersions };
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, call, expectStatus, register, approve, submit } = require('./helpers/server');
+
+/**
+ * Anonymous grading: the gradebook and the grades export must not tie a
+ * grade to a student until the TA reveals identities.
+ */
+
+let admin;
+let student;
+let assignmentId;
+let submissionId;
+
+before(async () => {
+  await start();
+  admin = await register('Tina TA', 'ta@example.com', 'admin', { inviteCode: 'TA2025' });
+  student = await register('Sam Student', 'sam@example.com', 'student', { studentId: 'S001', studentNameZh: '山姆' });
+  await approve('sam@example.com', admin);
+  const res = await call('POST', '/api/assignments', admin, { title: 'Blind Essay', dueDate: '2099-01-01' });
+  expectStatus(res, 201, 'create assignment');
+  assignmentId = res.data.id;
+  expectStatus(await call('PUT', `/api/assignments/${assignmentId}/anonymous`, admin, { anonymous: true }), 200, 'anonymous');
+  submissionId = await submit(assignmentId, student);
+  const form = new FormData();
+  form.append('grade', '87');
+  form.append('comments', 'Well argued');
+  expectStatus(await call('POST', `/api/assignments/${assignmentId}/submissions/${submissionId}/grade`, admin, form), 200, 'grade');
+});
+
+after(stop);
+
+function samRow(gradebook) {
+  return gradebook.rows.find((r) => r.student.email === 'sam@example.com');
+}
+
+test('gradebook masks anonymously graded assignments', async () => {
+  const res = await call('GET', '/api/gradebook', admin);
+  expectStatus(res, 200, 'gradebook');
+  assert.strictEqual(res.data.assignments.find((a) => a.id === assignmentId).anonymous, true);
+  const row = samRow(res.data);
+  assert.strictEqual(row.cells[assignmentId].anonymous, true);
+  assert.strictEqual(row.cells[assignmentId].score, null);
+  assert.strictEqual(row.cells[assignmentId].grade, null);
+  assert.strictEqual(row.final.score, null, 'the final grade would give the score away');
+});
+
+test('grades cannot be overridden while anonymous', async () => {
+  const res = await call('PUT', '/api/gradebook/overrides', admin, { studentEmail: 'sam@example.com', assignmentId, grade: 90 });
+  expectStatus(res, 400, 'override');
+});
+
+test('grades export lists the pseudonym only', async () => {
+  const res = await call('GET', '/api/export/grades', admin);
+  expectStatus(res, 200, 'export');
+  const line = res.data.split('\n').find((l) => l.startsWith(`${assignmentId},`));
+  assert.match(line, /Submission #\d+/);
+  assert.match(line, /,87,/);
+  for (const identity of ['Sam Student', '山姆', 'S001', 'sam@example.com']) {
+    assert.ok(!line.includes(identity), `export contains ${identity}`);
+  }
+});
+
+test('revealing identities shows the grades', async () => {
+  expectStatus(await call('PUT', `/api/assignments/${assignmentId}/anonymous`, admin, { anonymous: false }), 200, 'reveal');
+  const gradebook = await call('GET', '/api/gradebook', admin);
+  const row = samRow(gradebook.data);
+  assert.strictEqual(row.cells[assignmentId].score, 87);
+  assert.strictEqual(row.final.score, 87);
+  const csv = await call('GET', '/api/export/grades', admin);
+  const line = csv.data.split('\n').find((l) => l.startsWith(`${assignmentId},`));
+  assert.ok(line.includes('sam@example.com'));
+  assert.ok(line.includes('S001'));
+});
@@ -0,0 +1,327 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { app, start, stop, call, expectStatus, register, approve, submit } = require('./helpers/server');
+
+/**
+ * Authorization tests: who may call which route, and that students only ever
+ * get their own data back.
+ */
+
+const tokens = { guest: null };
+const ROLES = ['guest', 'pending', 'student', 'other', 'admin'];
+
+before(async () => {
+  await start();
+  tokens.admin = await register('Tina TA', 'ta@example.com', 'admin', { inviteCode: 'TA2025' });
+  tokens.student = await register('Sam Student', 'sam@example.com', 'student', { studentId: 'S001', studentNameZh: '山姆' });
+  tokens.other = await register('Olive Other', 'olive@example.com', 'student', { studentId: 'S002', studentNameZh: '奥利' });
+  tokens.pending = await register('Pat Pending', 'pat@example.com', 'student', { studentId: 'S003', studentNameZh: '帕特' });
+  await approve('sam@example.com', tokens.admin);
+  await approve('olive@example.com', tokens.admin);
+});
+
+after(stop);
+
+describe('students only see their own data', () => {
+  let assignmentId;
+  let submissionId;
+
+  before(async () => {
+    const res = await call('POST', '/api/assignments', tokens.admin, { title: 'Homework 1', dueDate: '2099-01-01' });
+    expectStatus(res, 201, 'create assignment');
+    assignmentId = res.data.id;
+    submissionId = await submit(assignmentId, tokens.student);
+    await submit(assignmentId, tokens.other);
+  });
+
+  test('submissions', async () => {
+    const res = await call('GET', `/api/assignments/${assignmentId}/submissions`, tokens.student);
+    expectStatus(res, 200, 'list');
+    assert.deepStrictEqual(res.data.map((s) => s.id), [submissionId]);
+    const all = await call('GET', `/api/assignments/${assignmentId}/submissions`, tokens.admin);
+    assert.strictEqual(all.data.length, 2);
+  });
+
+  test('page tags of another student\'s submission', async () => {
+    const url = `/api/assignments/${assignmentId}/submissions/${submissionId}/page-map`;
+    expectStatus(await call('PUT', url, tokens.other, { pageMap: {} }), 404, 'other student');
+  });
+
+  test('regrade requests', async () => {
+    const grade = await call('POST', `/api/assignments/${assignmentId}/submissions/${submissionId}/grade`, tokens.admin, { grade: 7 });
+    expectStatus(grade, 200, 'grade');
+    expectStatus(await call('PUT', `/api/assignments/${assignmentId}/release`, tokens.admin, { released: true }), 200, 'release');
+    const url = `/api/assignments/${assignmentId}/submissions/${submissionId}/regrade-requests`;
+    expectStatus(await call('POST', url, tokens.other, { reason: 'Mine is better' }), 404, 'other student');
+    expectStatus(await call('POST', url, tokens.student, { reason: 'Problem 2 was right' }), 201, 'owner');
+    const own = await call('GET', '/api/regrade-requests', tokens.student);
+    assert.deepStrictEqual(own.data.map((r) => r.studentEmail), ['sam@example.com']);
+    const others = await call('GET', '/api/regrade-requests', tokens.other);
+    assert.deepStrictEqual(others.data, []);
+  });
+
+  test('extensions', async () => {
+    const res = await call('POST', '/api/extensions', tokens.admin, { assignmentId, studentEmail: 'sam@example.com', dueDate: '2099-02-01' });
+    expectStatus(res, 200, 'grant extension');
+    const own = await call('GET', '/api/extensions', tokens.student);
+    assert.deepStrictEqual(own.data.map((e) => e.studentEmail), ['sam@example.com']);
+    assert.deepStrictEqual((await call('GET', '/api/extensions', tokens.other)).data, []);
+  });
+});
+
+test('notifications', async () => {
+  const res = await call('POST', '/api/messages', tokens.admin, { toEmail: 'sam@example.com', subject: 'Reminder', content: 'Homework is due' });
+  expectStatus(res, 201, 'send');
+  const notes = await call('GET', '/api/notifications', tokens.student);
+  const note = notes.data.find((n) => n.message.includes('New message'));
+  assert.ok(note, 'the student is notified of the message');
+  assert.ok(notes.data.every((n) => n.email === 'sam@example.com'));
+  const otherNotes = await call('GET', '/api/notifications', tokens.other);
+  assert.ok(otherNotes.data.every((n) => n.email === 'olive@example.com'));
+  expectStatus(await call('PUT', `/api/notifications/${note.id}/read`, tokens.other), 404, 'other student');
+  expectStatus(await call('PUT', `/api/notifications/${note.id}/read`, tokens.student), 200, 'owner');
+});
+
+test('private messages', async () => {
+  const res = await call('POST', '/api/messages', tokens.admin, { toEmail: 'sam@example.com', subject: 'Hi', content: 'About your homework' });
+  expectStatus(res, 201, 'send');
+  const inbox = await call('GET', '/api/messages', tokens.student);
+  assert.ok(inbox.data.some((m) => m.id === res.data.id));
+  assert.ok(inbox.data.every((m) => m.toEmail === 'sam@example.com'));
+  assert.deepStrictEqual((await call('GET', '/api/messages', tokens.other)).data, []);
+  expectStatus(await call('PUT', `/api/messages/${res.data.id}/read`, tokens.other), 404, 'other student');
+  expectStatus(await call('PUT', `/api/messages/${res.data.id}/read`, tokens.student), 200, 'recipient');
+});
+
+test('registration status', async () => {
+  const res = await call('GET', '/api/checkStudent?email=sam@example.com', tokens.other);
+  expectStatus(res, 200, 'check');
+  assert.strictEqual(res.data.student.email, 'olive@example.com');
+  const pending = await call('GET', '/api/checkStudent?email=sam@example.com', tokens.pending);
+  assert.deepStrictEqual(pending.data, { status: 'pending' });
+});
+
+test('registerStudent takes the email from the login', async () => {
+  const body = { name: 'Victim', email: 'victim@example.com', studentId: 'S999', studentNameZh: '受害' };
+  expectStatus(await call('POST', '/api/registerStudent', tokens.pending, body), 400, 'already pending');
+  expectStatus(await call('POST', '/api/registerStudent', tokens.admin, body), 403, 'admin');
+  const pending = await call('GET', '/api/students/pending', tokens.admin);
+  assert.ok(!pending.data.some((p) => p.email === 'victim@example.com'));
+});
+
+test('private forum threads', async () => {
+  const res = await call('POST', '/api/forum', tokens.student, { title: 'My grade', content: 'Why did I lose points?', visibility: 'staff' });
+  expectStatus(res, 201, 'post');
+  const id = res.data.id;
+  expectStatus(await call('GET', `/api/forum/${id}`, tokens.student), 200, 'author');
+  expectStatus(await call('GET', `/api/forum/${id}`, tokens.admin), 200, 'staff');
+  expectStatus(await call('GET', `/api/forum/${id}`, tokens.other), 404, 'other student');
+  expectStatus(await call('GET', `/api/forum/${id}`, null), 404, 'guest');
+  expectStatus(await call('POST', `/api/forum/${id}/comments`, tokens.other, { content: 'Me too' }), 404, 'other student comment');
+  const list = await call('GET', '/api/forum', tokens.other);
+  assert.ok(!list.data.some((t) => t.id === id));
+});
+
+test('exam slips', async () => {
+  const res = await call('POST', '/api/exams', tokens.admin, { title: 'Midterm', date: '2099-03-01T09:00', rooms: [{ name: 'Hall', capacity: 10 }] });
+  expectStatus(res, 201, 'create exam');
+  const examId = res.data.id;
+  expectStatus(await call('POST', `/api/exams/${examId}/seating`, tokens.admin, {}), 200, 'assign seats');
+  // Approved after the seats were handed out, so without a seat
+  tokens.late = await register('Lee Late', 'lee@example.com', 'student', { studentId: 'S004', studentNameZh: '李' });
+  await approve('lee@example.com', tokens.admin);
+  expectStatus(await call('GET', `/api/exams/${examId}/slip`, tokens.student), 200, 'seated student');
+  expectStatus(await call('GET', `/api/exams/${examId}/slip`, tokens.late), 404, 'student without a seat');
+});
+
+test('quiz attempts', async () => {
+  expectStatus(await call('POST', '/api/quiz-questions', tokens.admin, { type: 'numeric', prompt: '1 + 1', answer: 2, tags: 'warmup' }), 201, 'question');
+  const quiz = await call('POST', '/api/quizzes', tokens.admin, { title: 'Warm-up', pools: [{ tag: 'warmup' }] });
+  expectStatus(quiz, 201, 'quiz');
+  expectStatus(await call('POST', `/api/quizzes/${quiz.data.id}/start`, tokens.student), 201, 'start');
+  expectStatus(await call('GET', `/api/quizzes/${quiz.data.id}/attempt`, tokens.student), 200, 'owner');
+  expectStatus(await call('GET', `/api/quizzes/${quiz.data.id}/attempt`, tokens.other), 404, 'other student');
+  expectStatus(await call('PUT', `/api/quizzes/${quiz.data.id}/attempt/answers`, tokens.other, { answers: {} }), 404, 'other student answers');
+});
+
+// Expected status per role; a role that is left out must get past the
+// authorization checks (anything but 401 and 403). Route parameters are
+// filled with ids that do not exist, so admin calls that pass the checks
+// change nothing and destructive routes answer 404.
+const PUBLIC = {};
+const USER = { guest: 401 };
+const STUDENT = { guest: 401, pending: 403, admin: 403 };
+const ADMIN = { guest: 401, pending: 403, student: 403, other: 403 };
+const ADMIN_BY_ID = Object.assign({}, ADMIN, { admin: 404 });
+
+const ROUTES = [
+  ['POST', '/api/auth/register', PUBLIC],
+  ['POST', '/api/auth/login', PUBLIC],
+  ['POST', '/api/auth/requestReset', PUBLIC],
+  ['POST', '/api/auth/reset', PUBLIC],
+  ['GET', '/api/announcements', PUBLIC],
+  ['POST', '/api/announcements', ADMIN],
+  ['PUT', '/api/announcements/:id', ADMIN_BY_ID],
+  ['DELETE', '/api/announcements/:id', ADMIN_BY_ID],
+  ['GET', '/api/assignments', PUBLIC],
+  ['POST', '/api/assignments', ADMIN],
+  ['PUT', '/api/assignments/:id', ADMIN_BY_ID],
+  ['DELETE', '/api/assignments/:id', ADMIN_BY_ID],
+  ['POST', '/api/assignments/:id/submit', STUDENT],
+  ['GET', '/api/assignments/:id/submissions', USER],
+  ['PUT', '/api/assignments/:assignmentId/submissions/:submissionId/page-map', USER],
+  ['GET', '/api/assignments/:id/submissions/archive', ADMIN_BY_ID],
+  ['POST', '/api/assignments/:id/submissions/import', ADMIN_BY_ID],
+  ['PUT', '/api/assignments/:assignmentId/submissions/:submissionId/version', ADMIN_BY_ID],
+  ['PUT', '/api/assignments/:assignmentId/submissions/:submissionId/annotations', ADMIN_BY_ID],
+  ['POST', '/api/assignments/:assignmentId/submissions/:submissionId/grade', ADMIN_BY_ID],
+  ['PUT', '/api/assignments/:assignmentId/submissions/:submissionId/member-grades', ADMIN_BY_ID],
+  ['PUT', '/api/assignments/:assignmentId/submissions/:submissionId/question-scores', ADMIN_BY_ID],
+  ['POST', '/api/assignments/:assignmentId/submissions/:submissionId/regrade-requests', STUDENT],
+  ['PUT', '/api/assignments/:id/anonymous', ADMIN_BY_ID],
+  ['PUT', '/api/assignments/:id/release', ADMIN_BY_ID],
+  ['PUT', '/api/assignments/:id/rubric', ADMIN_BY_ID],
+  ['PUT', '/api/assignments/:id/questions', ADMIN_BY_ID],
+  ['PUT', '/api/assignments/:id/grading-plan', ADMIN_BY_ID],
+  ['GET', '/api/assignments/:id/grading-progress', ADMIN_BY_ID],
+  ['GET', '/api/assignments/:id/groups', USER],
+  ['POST', '/api/assignments/:id/groups', USER],
+  ['GET', '/api/assignments/:id/stats', USER],
+  ['GET', '/api/assignments/:id/ics', PUBLIC],
+  ['GET', '/api/audit-log', ADMIN],
+  ['GET', '/api/rubric-templates', ADMIN],
+  ['POST', '/api/rubric-templates', ADMIN],
+  ['DELETE', '/api/rubric-templates/:id', ADMIN_BY_ID],
+  ['GET', '/api/extensions', USER],
+  ['POST', '/api/extensions', ADMIN],
+  ['DELETE', '/api/extensions/:id', ADMIN_BY_ID],
+  ['GET', '/api/grading-queue', ADMIN],
+  ['PUT', '/api/groups/:id', ADMIN_BY_ID],
+  ['DELETE', '/api/groups/:id', ADMIN_BY_ID],
+  ['POST', '/api/groups/:id/join', STUDENT],
+  ['POST', '/api/groups/:id/leave', STUDENT],
+  ['GET', '/api/regrade-requests', USER],
+  ['PUT', '/api/regrade-requests/:id', ADMIN_BY_ID],
+  ['GET', '/api/gradebook/settings', PUBLIC],
+  ['PUT', '/api/gradebook/settings', ADMIN],
+  ['GET', '/api/gradebook', ADMIN],
+  ['PUT', '/api/gradebook/overrides', ADMIN],
+  ['GET', '/api/grades/overall', USER],
+  ['GET', '/api/export/grades', ADMIN],
+  ['GET', '/api/resources', PUBLIC],
+  ['GET', '/api/resources/search', PUBLIC],
+  ['POST', '/api/resources', ADMIN],
+  ['PUT', '/api/resources/order', ADMIN],
+  ['PUT', '/api/resources/:id', ADMIN_BY_ID],
+  ['DELETE', '/api/resources/:id', ADMIN_BY_ID],
+  ['GET', '/api/exams', PUBLIC],
+  ['POST', '/api/exams', ADMIN],
+  ['PUT', '/api/exams/:id', ADMIN_BY_ID],
+  ['DELETE', '/api/exams/:id', ADMIN_BY_ID],
+  ['POST', '/api/exams/:id/seating', ADMIN_BY_ID],
+  ['DELETE', '/api/exams/:id/seating', ADMIN_BY_ID],
+  ['GET', '/api/exams/:id/seating-chart', ADMIN_BY_ID],
+  ['GET', '/api/exams/:id/slips', ADMIN_BY_ID],
+  ['GET', '/api/exams/:id/slip', STUDENT],
+  ['GET', '/api/exams/:id/ics', PUBLIC],
+  ['GET', '/api/events', PUBLIC],
+  ['POST', '/api/events', ADMIN],
+  ['PUT', '/api/events/:id', ADMIN_BY_ID],
+  ['DELETE', '/api/events/:id', ADMIN_BY_ID],
+  ['GET', '/api/events/:id/ics', PUBLIC],
+  ['GET', '/api/calendar/feed', USER],
+  ['POST', '/api/calendar/feed/reset', USER],
+  ['GET', '/api/calendar/events', PUBLIC],
+  ['GET', '/api/calendar/:token.ics', PUBLIC],
+  ['GET', '/api/quiz-questions', ADMIN],
+  ['POST', '/api/quiz-questions', ADMIN],
+  ['PUT', '/api/quiz-questions/:id', ADMIN_BY_ID],
+  ['DELETE', '/api/quiz-questions/:id', ADMIN_BY_ID],
+  ['GET', '/api/quizzes', USER],
+  ['POST', '/api/quizzes', ADMIN],
+  ['PUT', '/api/quizzes/:id', ADMIN_BY_ID],
+  ['PUT', '/api/quizzes/:id/category', ADMIN_BY_ID],
+  ['DELETE', '/api/quizzes/:id', ADMIN_BY_ID],
+  ['PUT', '/api/quizzes/:id/release', ADMIN_BY_ID],
+  ['GET', '/api/quizzes/:id/attempts', ADMIN_BY_ID],
+  ['POST', '/api/quizzes/:id/start', STUDENT],
+  ['GET', '/api/quizzes/:id/attempt', STUDENT],
+  ['PUT', '/api/quizzes/:id/attempt/answers', STUDENT],
+  ['POST', '/api/quizzes/:id/attempt/submit', STUDENT],
+  ['GET', '/api/quiz-grading-queue', ADMIN],
+  ['PUT', '/api/quiz-attempts/:id/results/:questionId', ADMIN_BY_ID],
+  ['GET', '/api/taCode', ADMIN],
+  ['PUT', '/api/taCode', ADMIN],
+  ['GET', '/api/forum-settings', PUBLIC],
+  ['PUT', '/api/forum-settings', ADMIN],
+  ['GET', '/api/forum-categories', PUBLIC],
+  ['POST', '/api/forum-categories', ADMIN],
+  ['PUT', '/api/forum-categories/:id', ADMIN_BY_ID],
+  ['DELETE', '/api/forum-categories/:id', ADMIN_BY_ID],
+  ['GET', '/api/forum', PUBLIC],
+  ['POST', '/api/forum', USER],
+  ['GET', '/api/forum/:id', PUBLIC],
+  ['PUT', '/api/forum/:id', USER],
+  ['DELETE', '/api/forum/:id', ADMIN_BY_ID],
+  ['POST', '/api/forum/:id/comments', USER],
+  ['PUT', '/api/forum/:threadId/comments/:commentId', USER],
+  ['DELETE', '/api/forum/:threadId/comments/:commentId', ADMIN_BY_ID],
+  ['POST', '/api/forum/:threadId/comments/:commentId/upvote', USER],
+  ['POST', '/api/forum/:id/archive', ADMIN_BY_ID],
+  ['POST', '/api/forum/:id/pin', ADMIN_BY_ID],
+  ['POST', '/api/forum/:id/lock', ADMIN_BY_ID],
+  ['PUT', '/api/forum/:id/category', ADMIN_BY_ID],
+  ['PUT', '/api/forum/:id/visibility', ADMIN_BY_ID],
+  ['PUT', '/api/forum/:id/accepted', USER],
+  ['PUT', '/api/forum/:id/resolved', USER],
+  ['GET', '/api/search', PUBLIC],
+  ['GET', '/api/courseInfo', PUBLIC],
+  ['PUT', '/api/courseInfo', ADMIN],
+  ['GET', '/api/notifications', USER],
+  ['PUT', '/api/notifications/:id/read', USER],
+  ['POST', '/api/registerStudent', { guest: 401, admin: 403 }],
+  ['GET', '/api/checkStudent', USER],
+  ['GET', '/api/students/pending', ADMIN],
+  ['GET', '/api/students/muted', ADMIN],
+  ['POST', '/api/students/:id/approve', ADMIN_BY_ID],
+  ['POST', '/api/students/:id/reject', ADMIN_BY_ID],
+  ['POST', '/api/students/:studentId/mute', ADMIN_BY_ID],
+  ['POST', '/api/students/:studentId/unmute', ADMIN_BY_ID],
+  ['PUT', '/api/students/:studentId/section', ADMIN_BY_ID],
+  ['PUT', '/api/students/:studentId/accommodation', ADMIN_BY_ID],
+  ['GET', '/api/stats', USER],
+  ['GET', '/api/users', ADMIN],
+  ['GET', '/api/admins', USER],
+  ['POST', '/api/messages', USER],
+  ['GET', '/api/messages', USER],
+  ['PUT', '/api/messages/:id/read', USER],
+  ['GET', '*', PUBLIC],
+];
+
+describe('route authorization', () => {
+  for (const [method, route, expected] of ROUTES) {
+    test(`${method} ${route}`, async () => {
+      const url = route === '*' ? '/some/page' : route.replace(/:(\w+)/g, 'missing');
+      for (const role of ROLES) {
+        const res = await call(method, url, tokens[role]);
+        if (expected[role] !== undefined) {
+          expectStatus(res, expected[role], role);
+        } else {
+          assert.ok(res.status !== 401 && res.status !== 403, `${role}: expected access, got ${res.status} ${JSON.stringify(res.data)}`);
+        }
+      }
+    });
+  }
+
+  test('every route is listed', () => {
+    const listed = new Set(ROUTES.map(([method, route]) => `${method} ${route}`));
+    const unlisted = [];
+    app._router.stack.filter((layer) => layer.route).forEach((layer) => {
+      Object.keys(layer.route.methods).forEach((method) => {
+        const key = `${method.toUpperCase()} ${layer.route.path}`;
+        if (!listed.has(key)) unlisted.push(key);
+      });
+    });
+    assert.deepStrictEqual(unlisted, []);
+  });
+});
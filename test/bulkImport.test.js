@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, call, expectStatus, register, approve, submit } = require('./helpers/server');
+
+/**
+ * Importing grades and comments for many submissions at once from a CSV.
+ */
+
+let admin;
+const students = {};
+let assignmentId;
+
+before(async () => {
+  await start();
+  admin = await register('Tina TA', 'ta@example.com', 'admin', { inviteCode: 'TA2025' });
+  students.sam = await register('Sam Student', 'sam@example.com', 'student', { studentId: 'S001', studentNameZh: '山姆' });
+  students.olive = await register('Olive Other', 'olive@example.com', 'student', { studentId: 'S002', studentNameZh: '奥利' });
+  await approve('sam@example.com', admin);
+  await approve('olive@example.com', admin);
+  const res = await call('POST', '/api/assignments', admin, { title: 'Homework 1', dueDate: '2099-01-01' });
+  expectStatus(res, 201, 'create assignment');
+  assignmentId = res.data.id;
+  await submit(assignmentId, students.sam);
+  await submit(assignmentId, students.olive);
+  expectStatus(await call('PUT', `/api/assignments/${assignmentId}/release`, admin, { released: true }), 200, 'release');
+});
+
+after(stop);
+
+async function importCsv(csv, status = 200) {
+  const form = new FormData();
+  form.append('grades', new Blob([csv], { type: 'text/csv' }), 'grades.csv');
+  const res = await call('POST', `/api/assignments/${assignmentId}/submissions/import`, admin, form);
+  expectStatus(res, status, 'import');
+  return res.data;
+}
+
+async function gradeNotices(token) {
+  const res = await call('GET', '/api/notifications', token);
+  expectStatus(res, 200, 'notifications');
+  return res.data.filter((n) => n.type === 'grade');
+}
+
+test('comments alone are refused for an ungraded submission', async () => {
+  const result = await importCsv('studentId,grade,comments\nS001,,Nice start\n', 400);
+  assert.match(result.problems[0], /not graded yet/);
+  assert.deepStrictEqual(await gradeNotices(students.sam), []);
+});
+
+test('every imported grade gets its own notification', async () => {
+  const result = await importCsv('studentId,grade,comments\nS001,90,Good\nS002,80,Fine\n');
+  assert.strictEqual(result.changes.length, 2);
+  const samNotices = await gradeNotices(students.sam);
+  const oliveNotices = await gradeNotices(students.olive);
+  assert.ok(samNotices.length && oliveNotices.length);
+  const ids = samNotices.concat(oliveNotices).map((n) => n.id);
+  assert.strictEqual(new Set(ids).size, ids.length, 'notification ids are unique');
+
+  expectStatus(await call('PUT', `/api/notifications/${samNotices[0].id}/read`, students.sam), 200, 'read');
+  assert.ok((await gradeNotices(students.sam)).slice(1).every((n) => !n.read));
+});
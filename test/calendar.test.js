@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, call, expectStatus, register, approve } = require('./helpers/server');
+
+/**
+ * Calendar downloads show each student their own deadline.
+ */
+
+let admin;
+const students = {};
+let assignmentId;
+
+before(async () => {
+  await start();
+  admin = await register('Tina TA', 'ta@example.com', 'admin', { inviteCode: 'TA2025' });
+  students.sam = await register('Sam Student', 'sam@example.com', 'student', { studentId: 'S001', studentNameZh: '山姆' });
+  students.olive = await register('Olive Other', 'olive@example.com', 'student', { studentId: 'S002', studentNameZh: '奥利' });
+  await approve('sam@example.com', admin);
+  await approve('olive@example.com', admin);
+  const res = await call('POST', '/api/assignments', admin, { title: 'Group Project', dueDate: '2099-01-01T12:00:00Z', groupSize: 2 });
+  expectStatus(res, 201, 'create assignment');
+  assignmentId = res.data.id;
+  expectStatus(await call('POST', `/api/assignments/${assignmentId}/groups`, admin, { name: 'Team A', members: ['sam@example.com', 'olive@example.com'] }), 201, 'group');
+  const extension = { assignmentId, studentEmail: 'olive@example.com', dueDate: '2099-02-03T12:00:00Z', reason: 'Illness' };
+  expectStatus(await call('POST', '/api/extensions', admin, extension), 200, 'extension');
+});
+
+after(stop);
+
+async function deadline(token) {
+  const res = await call('GET', `/api/assignments/${assignmentId}/ics`, token);
+  expectStatus(res, 200, 'ics');
+  return res.data.match(/^DTSTART[^:]*:(\S+)/m)[1];
+}
+
+test('an extension of one group member moves the deadline of the whole group', async () => {
+  assert.strictEqual(await deadline(students.olive), '20990203T120000Z');
+  assert.strictEqual(await deadline(students.sam), '20990203T120000Z');
+});
+
+test('guests see the original deadline', async () => {
+  assert.strictEqual(await deadline(null), '20990101T120000Z');
+});
@@ -0,0 +1,177 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { defaultSettings, normalizeSettings, letterFor, computeStudent } = require('../server/gradebook');
+
+const EMAIL = 'sam@example.com';
+
+const settings = normalizeSettings({
+  categories: [
+    { id: 'hw', name: 'Homework', weight: 40, dropLowest: 1 },
+    { id: 'mid', name: 'Midterm', weight: 20 },
+    { id: 'fin', name: 'Final', weight: 40 },
+  ],
+});
+
+function assignment(id, categoryId) {
+  return { id, title: id, categoryId };
+}
+
+function graded(assignmentId, grade, extra) {
+  return Object.assign({ assignmentId, studentEmail: EMAIL, graded: true, grade }, extra);
+}
+
+function row(ctx) {
+  return computeStudent(EMAIL, Object.assign({ assignments: [], submissions: [], overrides: [], settings }, ctx));
+}
+
+describe('weighting', () => {
+  const assignments = [assignment('hw1', 'hw'), assignment('mid', 'mid'), assignment('fin', 'fin')];
+
+  test('the final grade is the weighted mean of the categories', () => {
+    const result = row({ assignments, submissions: [graded('hw1', 90), graded('mid', 70), graded('fin', 80)] });
+    assert.strictEqual(result.categories.hw.average, 90);
+    // (90 * 40 + 70 * 20 + 80 * 40) / 100
+    assert.strictEqual(result.final.score, 82);
+    assert.strictEqual(result.final.letter, 'B');
+  });
+
+  test('weights are renormalized over the categories with scores', () => {
+    const result = row({ assignments, submissions: [graded('hw1', 90), graded('mid', 60)] });
+    assert.strictEqual(result.categories.fin.average, null);
+    // (90 * 40 + 60 * 20) / 60
+    assert.strictEqual(result.final.score, 80);
+  });
+
+  test('categories with weight zero are shown but do not count', () => {
+    const zero = normalizeSettings({ categories: [{ id: 'hw', name: 'Homework', weight: 1 }, { id: 'bonus', name: 'Bonus', weight: 0 }] });
+    const result = row({
+      settings: zero,
+      assignments: [assignment('hw1', 'hw'), assignment('b1', 'bonus')],
+      submissions: [graded('hw1', 70), graded('b1', 100)],
+    });
+    assert.strictEqual(result.categories.bonus.average, 100);
+    assert.strictEqual(result.final.score, 70);
+  });
+
+  test('uncategorized assignments do not count once categories exist', () => {
+    const result = row({ assignments: [assignment('hw1', 'hw'), assignment('extra', null)], submissions: [graded('hw1', 75), graded('extra', 10)] });
+    assert.strictEqual(result.cells.extra.score, 10);
+    assert.strictEqual(result.final.score, 75);
+  });
+
+  test('without categories every assignment counts equally', () => {
+    const result = row({
+      settings: defaultSettings(),
+      assignments: [assignment('a1'), assignment('a2'), assignment('a3')],
+      submissions: [graded('a1', 60), graded('a2', 90), graded('a3', 100)],
+    });
+    assert.deepStrictEqual(result.categories, {});
+    assert.strictEqual(result.final.score, 83.33);
+  });
+
+  test('scores are after the late penalty', () => {
+    const result = row({ assignments, submissions: [graded('hw1', 90, { latePenalty: 15 })] });
+    assert.deepStrictEqual(
+      [result.cells.hw1.grade, result.cells.hw1.latePenalty, result.cells.hw1.score],
+      [90, 15, 75]
+    );
+    assert.strictEqual(result.final.score, 75);
+  });
+});
+
+describe('drop lowest', () => {
+  const assignments = ['hw1', 'hw2', 'hw3'].map((id) => assignment(id, 'hw'));
+
+  test('drops the lowest scores of the category', () => {
+    const result = row({ assignments, submissions: [graded('hw1', 50), graded('hw2', 80), graded('hw3', 100)] });
+    assert.deepStrictEqual(result.categories.hw, { average: 90, dropped: ['hw1'], count: 2 });
+    assert.strictEqual(result.cells.hw1.dropped, true);
+    assert.strictEqual(result.cells.hw2.dropped, undefined);
+  });
+
+  test('always keeps at least one score', () => {
+    const dropMany = normalizeSettings({ categories: [{ id: 'hw', name: 'Homework', weight: 1, dropLowest: 5 }] });
+    const result = row({ settings: dropMany, assignments, submissions: [graded('hw1', 50), graded('hw2', 80)] });
+    assert.deepStrictEqual(result.categories.hw, { average: 80, dropped: ['hw1'], count: 1 });
+  });
+
+  test('only scored assignments can be dropped', () => {
+    const result = row({ assignments, submissions: [graded('hw2', 80)] });
+    assert.deepStrictEqual(result.categories.hw, { average: 80, dropped: [], count: 1 });
+  });
+
+  test('drop counts must be whole numbers', () => {
+    assert.throws(() => normalizeSettings({ categories: [{ name: 'Homework', weight: 1, dropLowest: 1.5 }] }), /whole number/);
+  });
+});
+
+describe('missing and excused scores', () => {
+  const assignments = [assignment('hw1', 'hw'), assignment('hw2', 'hw'), assignment('mid', 'mid')];
+
+  test('assignments without a submission are left out, not counted as zero', () => {
+    const result = row({ assignments, submissions: [graded('mid', 70)] });
+    assert.deepStrictEqual(result.cells.hw1, { submitted: false, graded: false, grade: null, latePenalty: 0, score: null, overridden: false });
+    assert.strictEqual(result.categories.hw.average, null);
+    assert.strictEqual(result.final.score, 70);
+    assert.strictEqual(result.final.count, 1);
+  });
+
+  test('ungraded submissions are left out', () => {
+    const result = row({ assignments, submissions: [{ assignmentId: 'hw1', studentEmail: EMAIL, graded: false }, graded('hw2', 60)] });
+    assert.strictEqual(result.cells.hw1.submitted, true);
+    assert.strictEqual(result.cells.hw1.score, null);
+    assert.strictEqual(result.categories.hw.average, 60);
+  });
+
+  test('a student with no scores has no final grade', () => {
+    const result = row({ assignments });
+    assert.deepStrictEqual(result.final, { score: null, overridden: false, note: '', count: 0, letter: null, color: null });
+  });
+
+  test('other students\' submissions are ignored', () => {
+    const result = row({ assignments, submissions: [Object.assign(graded('mid', 100), { studentEmail: 'olive@example.com' })] });
+    assert.strictEqual(result.cells.mid.submitted, false);
+  });
+});
+
+describe('overrides', () => {
+  const assignments = [assignment('hw1', 'hw'), assignment('mid', 'mid')];
+
+  test('an assignment override replaces the score, even of a missing submission', () => {
+    const overrides = [{ studentEmail: EMAIL, assignmentId: 'hw1', grade: 95, note: 'Excused, given full credit' }];
+    const result = row({ assignments, submissions: [graded('mid', 65)], overrides });
+    assert.strictEqual(result.cells.hw1.score, 95);
+    assert.strictEqual(result.cells.hw1.overridden, true);
+    assert.strictEqual(result.cells.hw1.note, 'Excused, given full credit');
+    // (95 * 40 + 65 * 20) / 60
+    assert.strictEqual(result.final.score, 85);
+  });
+
+  test('a final override replaces the computed grade and its letter', () => {
+    const overrides = [{ studentEmail: EMAIL, assignmentId: null, grade: 91, note: 'Incomplete resolved' }];
+    const result = row({ assignments, submissions: [graded('mid', 65)], overrides });
+    assert.strictEqual(result.final.score, 91);
+    assert.strictEqual(result.final.overridden, true);
+    assert.strictEqual(result.final.letter, 'A');
+  });
+});
+
+describe('letter scale', () => {
+  test('scores map to the highest threshold they reach', () => {
+    const { letterScale } = defaultSettings();
+    assert.strictEqual(letterFor(95, letterScale).label, 'A+');
+    assert.strictEqual(letterFor(94.99, letterScale).label, 'A');
+    assert.strictEqual(letterFor(0, letterScale).label, 'Failed');
+  });
+
+  test('scores below every threshold get the lowest letter', () => {
+    const { letterScale } = normalizeSettings({ letterScale: [{ label: 'Pass', min: 50 }, { label: 'Fail', min: 20 }] });
+    assert.strictEqual(letterFor(10, letterScale).label, 'Fail');
+  });
+
+  test('the scale is sorted from the highest threshold down', () => {
+    const { letterScale } = normalizeSettings({ letterScale: [{ label: 'C', min: 70 }, { label: 'A', min: 90, color: 'red' }] });
+    assert.deepStrictEqual(letterScale.map((l) => l.label), ['A', 'C']);
+    assert.strictEqual(letterScale[0].color, '#8e8e93', 'invalid colours fall back to grey');
+  });
+});
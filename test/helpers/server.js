@@ -0,0 +1,110 @@
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Runs the server in-process for route tests. Requiring this module points
+ * the server at a temporary data file, so the course data in server/data.json
+ * is never touched; start() listens on a random port and stop() removes the
+ * data and any uploads the tests made.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'course-portal-test-'));
+process.env.DATA_FILE = path.join(dataDir, 'data.json');
+process.env.STORAGE_DRIVER = 'json';
+
+// Swallow outgoing mail: the server would print every email it sends
+const nodemailer = require('nodemailer');
+nodemailer.createTransport = () => ({ sendMail: async () => ({}) });
+
+// Uploads are written next to the server; remember what was there so only
+// the files made by the tests are removed afterwards.
+const uploadsDir = path.join(__dirname, '..', '..', 'server', 'uploads');
+const hadUploads = fs.existsSync(uploadsDir);
+const uploadsBefore = new Set(hadUploads ? fs.readdirSync(uploadsDir, { recursive: true }) : []);
+
+const app = require('../../server/index');
+
+let server;
+let baseUrl;
+
+async function start() {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+function stop() {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  if (!hadUploads) {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+    return;
+  }
+  fs.readdirSync(uploadsDir, { recursive: true })
+    .filter((name) => !uploadsBefore.has(name))
+    .map((name) => path.join(uploadsDir, name))
+    .filter((file) => fs.statSync(file).isFile())
+    .forEach((file) => fs.unlinkSync(file));
+}
+
+/**
+ * Call the API. Plain objects are sent as JSON, FormData as multipart. The
+ * response body is parsed as JSON when possible.
+ */
+async function call(method, url, token, body) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let payload;
+  if (body instanceof FormData) {
+    payload = body;
+  } else if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+  const res = await fetch(baseUrl + url, { method, headers, body: payload });
+  const text = await res.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    // not JSON (PDFs, calendars, the client page)
+  }
+  return { status: res.status, data };
+}
+
+function expectStatus(res, status, label) {
+  assert.strictEqual(res.status, status, `${label}: expected ${status}, got ${res.status} ${JSON.stringify(res.data)}`);
+}
+
+async function register(name, email, role, extra = {}) {
+  const res = await call('POST', '/api/auth/register', null, Object.assign({ name, email, password: 'secret', role }, extra));
+  expectStatus(res, 201, `register ${email}`);
+  return res.data.token;
+}
+
+// Approve a pending student's registration as the given TA
+async function approve(email, adminToken) {
+  const pending = await call('GET', '/api/students/pending', adminToken);
+  const entry = pending.data.find((p) => p.email === email);
+  expectStatus(await call('POST', `/api/students/${entry.id}/approve`, adminToken), 200, `approve ${email}`);
+}
+
+async function samplePdf() {
+  const doc = await PDFDocument.create();
+  doc.addPage();
+  return doc.save();
+}
+
+async function submit(assignmentId, token) {
+  const form = new FormData();
+  form.append('file', new Blob([await samplePdf()], { type: 'application/pdf' }), 'homework.pdf');
+  const res = await call('POST', `/api/assignments/${assignmentId}/submit`, token, form);
+  expectStatus(res, 200, 'submit');
+  return res.data.submissionId;
+}
+
+module.exports = { app, start, stop, call, expectStatus, register, approve, samplePdf, submit };
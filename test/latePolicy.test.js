@@ -0,0 +1,117 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeLatePolicy, deadlineFor, assessLateness, finalGrade } = require('../server/latePolicy');
+
+const DUE = '2025-03-10T12:00:00.000Z';
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function after(ms) {
+  return new Date(new Date(DUE).getTime() + ms);
+}
+
+function assignment(latePolicy) {
+  return { id: 'a1', dueDate: DUE, latePolicy: normalizeLatePolicy(latePolicy) };
+}
+
+describe('normalizeLatePolicy', () => {
+  test('a policy that changes nothing is null', () => {
+    assert.strictEqual(normalizeLatePolicy(null), null);
+    assert.strictEqual(normalizeLatePolicy({ graceMinutes: 0, penaltyPerDay: '' }), null);
+  });
+
+  test('accepts JSON and form strings', () => {
+    assert.deepStrictEqual(normalizeLatePolicy('{"graceMinutes":"15","hardClose":"true"}'), {
+      graceMinutes: 15, hardClose: true, penaltyPerDay: 0, maxLateDays: null,
+    });
+  });
+
+  test('rejects negative values', () => {
+    assert.throws(() => normalizeLatePolicy({ penaltyPerDay: -5 }), /non-negative/);
+    assert.throws(() => normalizeLatePolicy({ graceMinutes: 'soon' }), /non-negative/);
+  });
+
+  test('caps the daily penalty at the whole grade', () => {
+    assert.strictEqual(normalizeLatePolicy({ penaltyPerDay: 250 }).penaltyPerDay, 100);
+  });
+});
+
+describe('grace period', () => {
+  const assn = assignment({ graceMinutes: 30, penaltyPerDay: 10 });
+
+  test('submissions within the grace period are on time', () => {
+    assert.deepStrictEqual(assessLateness(assn, null, after(30 * MINUTE)), { late: false, lateDays: 0, penalty: 0, closed: false });
+  });
+
+  test('lateness counts from the end of the grace period', () => {
+    assert.deepStrictEqual(assessLateness(assn, null, after(31 * MINUTE)), { late: true, lateDays: 1, penalty: 10, closed: false });
+    assert.strictEqual(assessLateness(assn, null, after(30 * MINUTE + DAY)).lateDays, 1);
+    assert.strictEqual(assessLateness(assn, null, after(30 * MINUTE + DAY + 1)).lateDays, 2);
+  });
+
+  test('a hard close shuts submissions when the grace period ends', () => {
+    const closing = assignment({ graceMinutes: 30, hardClose: true });
+    assert.strictEqual(assessLateness(closing, null, after(30 * MINUTE)).closed, false);
+    assert.strictEqual(assessLateness(closing, null, after(31 * MINUTE)).closed, true);
+  });
+});
+
+describe('penalty cap', () => {
+  test('the penalty never exceeds 100 points', () => {
+    const assn = assignment({ penaltyPerDay: 40 });
+    assert.strictEqual(assessLateness(assn, null, after(2 * DAY)).penalty, 80);
+    assert.strictEqual(assessLateness(assn, null, after(5 * DAY)).penalty, 100);
+  });
+
+  test('the final grade never drops below zero', () => {
+    assert.strictEqual(finalGrade({ graded: true, grade: 90, latePenalty: 20 }), 70);
+    assert.strictEqual(finalGrade({ graded: true, grade: 30, latePenalty: 50 }), 0);
+    assert.strictEqual(finalGrade({ graded: true, grade: '88', latePenalty: 0 }), 88);
+  });
+
+  test('ungraded submissions have no final grade', () => {
+    assert.strictEqual(finalGrade({ graded: false, grade: 90 }), null);
+    assert.strictEqual(finalGrade({ graded: true, grade: '' }), null);
+  });
+
+  test('late submissions close after the last accepted day', () => {
+    const assn = assignment({ penaltyPerDay: 10, maxLateDays: 2 });
+    assert.strictEqual(assessLateness(assn, null, after(2 * DAY)).closed, false);
+    assert.strictEqual(assessLateness(assn, null, after(2 * DAY + 1)).closed, true);
+  });
+
+  test('without a policy late work is stamped but not penalized', () => {
+    assert.deepStrictEqual(assessLateness({ dueDate: DUE }, null, after(3 * DAY)), { late: true, lateDays: 3, penalty: 0, closed: false });
+  });
+});
+
+describe('extensions', () => {
+  const extension = { assignmentId: 'a1', studentEmail: 'sam@example.com', dueDate: after(2 * DAY).toISOString() };
+
+  test('replace the due date for the student', () => {
+    const assn = assignment({ penaltyPerDay: 10 });
+    assert.strictEqual(deadlineFor(assn, extension).dueAt.toISOString(), extension.dueDate);
+    assert.strictEqual(assessLateness(assn, extension, after(2 * DAY)).late, false);
+    assert.strictEqual(assessLateness(assn, null, after(2 * DAY)).penalty, 20);
+  });
+
+  test('keep the grace period and penalty relative to the extended deadline', () => {
+    const assn = assignment({ graceMinutes: 60, penaltyPerDay: 10, maxLateDays: 1 });
+    const { lateAfter, closesAt } = deadlineFor(assn, extension);
+    assert.strictEqual(lateAfter.getTime(), after(2 * DAY + 60 * MINUTE).getTime());
+    assert.strictEqual(closesAt.getTime(), after(3 * DAY + 60 * MINUTE).getTime());
+    assert.deepStrictEqual(assessLateness(assn, extension, after(2 * DAY + 90 * MINUTE)), { late: true, lateDays: 1, penalty: 10, closed: false });
+    assert.strictEqual(assessLateness(assn, extension, after(4 * DAY)).closed, true);
+  });
+
+  test('reopen a hard-closed assignment until the new deadline', () => {
+    const assn = assignment({ hardClose: true });
+    assert.strictEqual(assessLateness(assn, null, after(DAY)).closed, true);
+    assert.strictEqual(assessLateness(assn, extension, after(DAY)).closed, false);
+  });
+});
+
+test('an assignment without a due date is never late', () => {
+  assert.deepStrictEqual(deadlineFor({ dueDate: '' }, null), { dueAt: null, lateAfter: null, closesAt: null });
+  assert.strictEqual(assessLateness({ dueDate: '' }, null, new Date()).late, false);
+});
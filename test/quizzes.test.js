@@ -0,0 +1,184 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeBankQuestion, normalizeQuiz, drawQuestions, attemptDeadline, acceptsAnswers, normalizeAnswers,
+  updateScore, submitAttempt, pendingQuestions, studentAttemptView,
+} = require('../server/quizzes');
+
+function bankQuestion(id, fields) {
+  return Object.assign({ id, createdBy: 'ta@example.com', createdAt: '2025-01-01T00:00:00.000Z' }, normalizeBankQuestion(fields));
+}
+
+function attemptWith(questions, answers) {
+  return { id: 'at1', quizId: 'q1', studentEmail: 'sam@example.com', questions, answers };
+}
+
+const numeric = bankQuestion('num', { type: 'numeric', prompt: 'What is $\\pi$?', points: 2, answer: 3.14, tolerance: 0.01, tags: 'circle' });
+const multiple = bankQuestion('mult', {
+  type: 'multiple',
+  prompt: 'Which are prime?',
+  points: 3,
+  tags: 'primes',
+  choices: [{ id: 'a', text: '2', correct: true }, { id: 'b', text: '3', correct: true }, { id: 'c', text: '4' }],
+});
+const short = bankQuestion('short', { type: 'short', prompt: 'Prove it.', points: 5, sampleAnswer: 'By induction.' });
+
+describe('numeric tolerance', () => {
+  function score(answer) {
+    const attempt = attemptWith([numeric], normalizeAnswers({ num: answer }, attemptWith([numeric], {})));
+    submitAttempt(attempt, '2025-03-01T10:00:00.000Z');
+    return attempt.results.num.points;
+  }
+
+  test('answers within the tolerance earn the points', () => {
+    assert.strictEqual(score(3.14), 2);
+    assert.strictEqual(score('3.15'), 2);
+    assert.strictEqual(score(3.13), 2);
+  });
+
+  test('answers outside the tolerance earn nothing', () => {
+    assert.strictEqual(score(3.16), 0);
+    assert.strictEqual(score(3), 0);
+  });
+
+  test('non-numbers are refused', () => {
+    assert.throws(() => normalizeAnswers({ num: 'pi' }, attemptWith([numeric], {})), /must be numbers/);
+  });
+
+  test('a negative tolerance is refused', () => {
+    assert.throws(() => normalizeBankQuestion({ type: 'numeric', prompt: 'x', answer: 1, tolerance: -1 }), /tolerance/);
+  });
+});
+
+describe('multiple select', () => {
+  function score(answer) {
+    const attempt = attemptWith([multiple], { mult: answer });
+    submitAttempt(attempt, '2025-03-01T10:00:00.000Z');
+    return attempt.results.mult.points;
+  }
+
+  test('every correct choice and nothing else earns the points', () => {
+    assert.strictEqual(score(['b', 'a']), 3);
+  });
+
+  test('partial selections earn no credit', () => {
+    assert.strictEqual(score(['a']), 0);
+    assert.strictEqual(score(['a', 'b', 'c']), 0);
+    assert.strictEqual(score(['c']), 0);
+  });
+
+  test('a blank answer earns nothing without waiting for a grader', () => {
+    assert.strictEqual(score([]), 0);
+  });
+
+  test('duplicate choices count once', () => {
+    assert.deepStrictEqual(normalizeAnswers({ mult: ['a', 'a', 'b'] }, attemptWith([multiple], {})), { mult: ['a', 'b'] });
+  });
+});
+
+describe('scores', () => {
+  test('short answers wait for a grader before the attempt has a score', () => {
+    const attempt = attemptWith([numeric, short], { num: 3.14, short: 'Because.' });
+    submitAttempt(attempt, '2025-03-01T10:00:00.000Z');
+    assert.strictEqual(attempt.score, null);
+    assert.deepStrictEqual(pendingQuestions(attempt).map((q) => q.id), ['short']);
+    attempt.results.short = { points: 4, auto: false };
+    updateScore(attempt);
+    assert.strictEqual(attempt.points, 6);
+    assert.strictEqual(attempt.maxPoints, 7);
+    assert.strictEqual(attempt.score, 85.71);
+  });
+
+  test('students see no answer key before scores are released', () => {
+    const attempt = attemptWith([numeric, multiple], {});
+    submitAttempt(attempt, '2025-03-01T10:00:00.000Z');
+    const view = studentAttemptView(attempt, { scoresReleased: false });
+    assert.strictEqual(view.score, undefined);
+    assert.ok(view.questions.every((q) => q.answer === undefined && q.correct === undefined && q.tolerance === undefined));
+    assert.strictEqual(studentAttemptView(attempt, { scoresReleased: true }), attempt);
+  });
+});
+
+describe('per-student randomized selection', () => {
+  const bank = [];
+  for (let i = 0; i < 10; i++) {
+    bank.push(bankQuestion(`alg${i}`, { type: 'numeric', prompt: `Solve ${i}`, answer: i, tags: i < 2 ? 'algebra,geometry' : 'algebra' }));
+  }
+  for (let i = 0; i < 3; i++) {
+    bank.push(bankQuestion(`geo${i}`, { type: 'numeric', prompt: `Angle ${i}`, answer: i, tags: 'geometry' }));
+  }
+  bank.push(multiple);
+  const quiz = normalizeQuiz({
+    title: 'Quiz 1',
+    pools: [{ tag: 'algebra', pick: 3 }, { tag: 'geometry', pick: 2 }, { tag: 'primes', pick: '' }],
+  }, { bank, categories: [] });
+
+  test('draws the requested number from each pool, never twice', () => {
+    for (let i = 0; i < 20; i++) {
+      const drawn = drawQuestions(quiz, bank);
+      const ids = drawn.map((q) => q.id);
+      assert.strictEqual(ids.length, 6);
+      assert.strictEqual(new Set(ids).size, 6);
+      assert.strictEqual(ids.slice(0, 3).filter((id) => id.startsWith('alg')).length, 3);
+      assert.strictEqual(ids[5], 'mult');
+    }
+  });
+
+  test('different students get different questions', () => {
+    const draws = new Set();
+    for (let i = 0; i < 20; i++) draws.add(drawQuestions(quiz, bank).map((q) => q.id).sort().join(','));
+    assert.ok(draws.size > 1);
+  });
+
+  test('keeps bank order unless questions are shuffled', () => {
+    const ids = drawQuestions(quiz, bank).slice(0, 3).map((q) => Number(q.id.slice(3)));
+    assert.deepStrictEqual(ids, ids.slice().sort((a, b) => a - b));
+  });
+
+  test('shuffled choices keep the same choices and key', () => {
+    const shuffled = Object.assign({}, quiz, { shuffleChoices: true });
+    const copy = drawQuestions(shuffled, bank).find((q) => q.id === 'mult');
+    assert.deepStrictEqual(copy.choices.map((c) => c.id).sort(), ['a', 'b', 'c']);
+    assert.deepStrictEqual(copy.correct, ['a', 'b']);
+  });
+
+  test('drawn questions are copies without bank bookkeeping', () => {
+    const copy = drawQuestions(quiz, bank).find((q) => q.id === 'mult');
+    assert.strictEqual(copy.tags, undefined);
+    assert.strictEqual(copy.createdBy, undefined);
+    copy.choices[0].text = 'changed';
+    assert.strictEqual(multiple.choices[0].text, '2');
+  });
+
+  test('a pool cannot ask for more questions than it has', () => {
+    assert.throws(() => normalizeQuiz({ title: 'Quiz 2', pools: [{ tag: 'geometry', pick: 6 }] }, { bank, categories: [] }), /Only 5 questions/);
+  });
+});
+
+describe('deadline enforcement', () => {
+  const startedAt = '2025-03-01T10:00:00.000Z';
+
+  test('the time limit runs from the start', () => {
+    assert.strictEqual(attemptDeadline({ timeLimitMinutes: 30 }, startedAt), '2025-03-01T10:30:00.000Z');
+  });
+
+  test('the closing time caps the time limit', () => {
+    assert.strictEqual(attemptDeadline({ timeLimitMinutes: 30, closesAt: '2025-03-01T10:20:00.000Z' }, startedAt), '2025-03-01T10:20:00.000Z');
+  });
+
+  test('without a limit or closing time the attempt stays open', () => {
+    assert.strictEqual(attemptDeadline({}, startedAt), null);
+    assert.strictEqual(acceptsAnswers({ deadline: null }, new Date('2030-01-01')), true);
+  });
+
+  test('answers are accepted until shortly after the deadline', () => {
+    const attempt = { deadline: '2025-03-01T10:30:00.000Z' };
+    assert.strictEqual(acceptsAnswers(attempt, new Date('2025-03-01T10:30:00.000Z')), true);
+    assert.strictEqual(acceptsAnswers(attempt, new Date('2025-03-01T10:30:30.000Z')), true);
+    assert.strictEqual(acceptsAnswers(attempt, new Date('2025-03-01T10:30:31.000Z')), false);
+  });
+
+  test('a submitted attempt accepts no more answers', () => {
+    assert.strictEqual(acceptsAnswers({ deadline: null, submittedAt: startedAt }, new Date(startedAt)), false);
+  });
+});
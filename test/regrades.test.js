@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, call, expectStatus, register, approve, submit } = require('./helpers/server');
+
+/**
+ * Resolving regrade requests: group grades and assignments graded by problem.
+ */
+
+let admin;
+const students = {};
+
+before(async () => {
+  await start();
+  admin = await register('Tina TA', 'ta@example.com', 'admin', { inviteCode: 'TA2025' });
+  students.sam = await register('Sam Student', 'sam@example.com', 'student', { studentId: 'S001', studentNameZh: '山姆' });
+  students.olive = await register('Olive Other', 'olive@example.com', 'student', { studentId: 'S002', studentNameZh: '奥利' });
+  await approve('sam@example.com', admin);
+  await approve('olive@example.com', admin);
+});
+
+after(stop);
+
+async function createAssignment(fields) {
+  const res = await call('POST', '/api/assignments', admin, Object.assign({ dueDate: '2099-01-01' }, fields));
+  expectStatus(res, 201, 'create assignment');
+  return res.data.id;
+}
+
+async function grade(assignmentId, submissionId, fields) {
+  const form = new FormData();
+  Object.keys(fields).forEach((key) => form.append(key, fields[key]));
+  expectStatus(await call('POST', `/api/assignments/${assignmentId}/submissions/${submissionId}/grade`, admin, form), 200, 'grade');
+}
+
+async function release(assignmentId) {
+  expectStatus(await call('PUT', `/api/assignments/${assignmentId}/release`, admin, { released: true }), 200, 'release');
+}
+
+async function requestRegrade(assignmentId, submissionId, token) {
+  const res = await call('POST', `/api/assignments/${assignmentId}/submissions/${submissionId}/regrade-requests`, token, { reason: 'Please look at part b again' });
+  expectStatus(res, 201, 'request regrade');
+  return res.data.id;
+}
+
+async function messages(token, assignmentId) {
+  const res = await call('GET', '/api/notifications', token);
+  expectStatus(res, 200, 'notifications');
+  return res.data.filter((n) => n.assignmentId === assignmentId).map((n) => n.message);
+}
+
+test('an accepted group regrade is announced to every member', async () => {
+  const assignmentId = await createAssignment({ title: 'Group Project', groupSize: 2 });
+  expectStatus(await call('POST', `/api/assignments/${assignmentId}/groups`, admin, { name: 'Team A', members: ['sam@example.com', 'olive@example.com'] }), 201, 'group');
+  const submissionId = await submit(assignmentId, students.sam);
+  await grade(assignmentId, submissionId, { grade: '70', comments: 'Solid' });
+  await release(assignmentId);
+
+  const requestId = await requestRegrade(assignmentId, submissionId, students.sam);
+  expectStatus(await call('PUT', `/api/regrade-requests/${requestId}`, admin, { status: 'accepted', grade: 85 }), 200, 'accept');
+
+  assert.ok((await messages(students.sam, assignmentId)).some((m) => m.includes('regrade request for Group Project was accepted')));
+  const olive = await messages(students.olive, assignmentId);
+  assert.ok(olive.includes('Your grade for Group Project was updated to 85 after a regrade request'), JSON.stringify(olive));
+});
+
+test('a regrade by problem must score every problem', async () => {
+  const assignmentId = await createAssignment({ title: 'Problem Set' });
+  const submissionId = await submit(assignmentId, students.sam);
+  const q1 = { id: 'q1', title: 'Problem 1', points: 10 };
+  const q2 = { id: 'q2', title: 'Problem 2', points: 10 };
+  expectStatus(await call('PUT', `/api/assignments/${assignmentId}/questions`, admin, { questions: [q1] }), 200, 'problems');
+  await grade(assignmentId, submissionId, { questionScores: JSON.stringify({ q1: { score: 6 } }), comments: '' });
+  await release(assignmentId);
+  // A problem added after grading has no score yet
+  expectStatus(await call('PUT', `/api/assignments/${assignmentId}/questions`, admin, { questions: [q1, q2] }), 200, 'add problem');
+
+  const requestId = await requestRegrade(assignmentId, submissionId, students.sam);
+  const url = `/api/regrade-requests/${requestId}`;
+  const incomplete = await call('PUT', url, admin, { status: 'accepted', questionScores: { q1: { score: 8 } } });
+  expectStatus(incomplete, 400, 'accept without every problem');
+  assert.strictEqual(incomplete.data.error, 'Score every problem');
+
+  const res = await call('PUT', url, admin, { status: 'accepted', questionScores: { q1: { score: 8 }, q2: { score: 7 } } });
+  expectStatus(res, 200, 'accept');
+  assert.strictEqual(res.data.newGrade, 75);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, call, expectStatus, register, approve, submit } = require('./helpers/server');
+
+/**
+ * Rubric changes after grading: existing grades follow the new point values,
+ * and a new criterion leaves the grade alone until someone scores it.
+ */
+
+let admin;
+let student;
+
+const rubric = {
+  criteria: [
+    { id: 'proof', title: 'Proof', levels: [{ id: 'full', points: 4 }, { id: 'half', points: 2 }] },
+  ],
+};
+
+const withClarity = {
+  criteria: rubric.criteria.concat([
+    { id: 'clarity', title: 'Clarity', levels: [{ id: 'clear', points: 1 }, { id: 'unclear', points: 0 }] },
+  ]),
+};
+
+async function gradedSubmission(title) {
+  const res = await call('POST', '/api/assignments', admin, { title, dueDate: '2099-01-01' });
+  expectStatus(res, 201, 'create assignment');
+  const assignmentId = res.data.id;
+  expectStatus(await call('PUT', `/api/assignments/${assignmentId}/rubric`, admin, { rubric }), 200, 'set rubric');
+  const submissionId = await submit(assignmentId, student);
+  const form = new FormData();
+  form.append('rubricScores', JSON.stringify({ proof: 'half' }));
+  form.append('comments', 'Half the proof');
+  expectStatus(await call('POST', `/api/assignments/${assignmentId}/submissions/${submissionId}/grade`, admin, form), 200, 'grade');
+  expectStatus(await call('PUT', `/api/assignments/${assignmentId}/release`, admin, { released: true }), 200, 'release');
+  return { assignmentId, submissionId };
+}
+
+async function findSubmission(assignmentId, submissionId) {
+  const res = await call('GET', `/api/assignments/${assignmentId}/submissions`, admin);
+  expectStatus(res, 200, 'list submissions');
+  return res.data.find((s) => s.id === submissionId);
+}
+
+async function gradeNotices() {
+  const res = await call('GET', '/api/notifications', student);
+  expectStatus(res, 200, 'notifications');
+  return res.data.filter((n) => n.type === 'grade').length;
+}
+
+before(async () => {
+  await start();
+  admin = await register('Tina TA', 'ta@example.com', 'admin', { inviteCode: 'TA2025' });
+  student = await register('Sam Student', 'sam@example.com', 'student', { studentId: 'S001', studentNameZh: '山姆' });
+  await approve('sam@example.com', admin);
+});
+
+after(stop);
+
+test('changing point values re-scores graded submissions', async () => {
+  const { assignmentId, submissionId } = await gradedSubmission('Homework 1');
+  assert.strictEqual((await findSubmission(assignmentId, submissionId)).grade, 50);
+  const cheaper = { criteria: [{ id: 'proof', title: 'Proof', levels: [{ id: 'full', points: 4 }, { id: 'half', points: 3 }] }] };
+  const res = await call('PUT', `/api/assignments/${assignmentId}/rubric`, admin, { rubric: cheaper });
+  expectStatus(res, 200, 'change rubric');
+  assert.strictEqual(res.data.regraded, 1);
+  assert.strictEqual(res.data.needsRegrading, 0);
+  assert.strictEqual((await findSubmission(assignmentId, submissionId)).grade, 75);
+});
+
+test('adding a criterion after grading keeps the grade and asks for regrading', async () => {
+  const { assignmentId, submissionId } = await gradedSubmission('Homework 2');
+  const noticesBefore = await gradeNotices();
+
+  const res = await call('PUT', `/api/assignments/${assignmentId}/rubric`, admin, { rubric: withClarity });
+  expectStatus(res, 200, 'add criterion');
+  assert.strictEqual(res.data.regraded, 0);
+  assert.strictEqual(res.data.needsRegrading, 1);
+
+  const flagged = await findSubmission(assignmentId, submissionId);
+  assert.strictEqual(flagged.graded, true);
+  assert.strictEqual(flagged.grade, 50);
+  assert.strictEqual(flagged.needsRegrading, true);
+  assert.deepStrictEqual(flagged.rubricDraft, { proof: 'half' });
+  assert.strictEqual(await gradeNotices(), noticesBefore, 'no grade notice for an unchanged grade');
+
+  const mine = await call('GET', `/api/assignments/${assignmentId}/submissions`, student);
+  assert.strictEqual(mine.data[0].grade, 50);
+  assert.strictEqual(mine.data[0].rubricDraft, undefined);
+
+  const form = new FormData();
+  form.append('rubricScores', JSON.stringify({ proof: 'half', clarity: 'clear' }));
+  form.append('comments', 'Half the proof, clearly written');
+  expectStatus(await call('POST', `/api/assignments/${assignmentId}/submissions/${submissionId}/grade`, admin, form), 200, 'regrade');
+  const regraded = await findSubmission(assignmentId, submissionId);
+  assert.strictEqual(regraded.grade, 60);
+  assert.strictEqual(regraded.needsRegrading, undefined);
+  assert.strictEqual(regraded.rubricDraft, undefined);
+});
@@ -0,0 +1,270 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { createJsonStore } = require('../server/storage/jsonStore');
+const { createSqliteStore } = require('../server/storage/sqliteStore');
+
+/**
+ * Storage backends: the JSON document with its write-ahead journal, the
+ * SQLite database and the migration script between them.
+ */
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch (err) {
+  hasSqlite = false;
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'course-portal-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function journalLines(file) {
+  return fs.readFileSync(file + '.journal', 'utf8').split('\n').filter(Boolean);
+}
+
+function sampleData() {
+  return {
+    notifications: [{ id: '1', email: 'sam@example.com', message: 'Hello' }, { id: '2', email: 'olive@example.com', message: 'Hi' }],
+    users: [{ email: 'ta@example.com', role: 'admin' }],
+    courseInfo: { title: 'Foundations of Algebra' },
+  };
+}
+
+describe('JSON store', () => {
+  test('an empty store loads as null', () => {
+    assert.strictEqual(createJsonStore({ file: path.join(dir, 'data.json') }).load(), null);
+  });
+
+  test('the journal is replayed on the next load', async () => {
+    const file = path.join(dir, 'data.json');
+    const store = createJsonStore({ file });
+    store.load();
+    const data = sampleData();
+    await store.save(data);
+    data.notifications[1].read = true;
+    data.notifications.push({ id: '3', email: 'sam@example.com', message: 'Graded' });
+    data.courseInfo.title = 'Algebra I';
+    await store.save(data);
+    assert.ok(!fs.existsSync(file), 'nothing is compacted yet');
+    assert.strictEqual(journalLines(file).length, 2);
+
+    assert.deepStrictEqual(createJsonStore({ file }).load(), data);
+    assert.strictEqual(fs.readFileSync(file + '.journal', 'utf8'), '', 'the replayed journal is folded into the file');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), data);
+  });
+
+  test('a save journals only the records that changed', async () => {
+    const file = path.join(dir, 'data.json');
+    const store = createJsonStore({ file });
+    store.load();
+    const data = sampleData();
+    await store.save(data);
+    data.notifications[0].read = true;
+    await store.save(data);
+    const entry = JSON.parse(journalLines(file)[1]);
+    assert.deepStrictEqual(entry.changes, {});
+    assert.deepStrictEqual(entry.rows, {
+      notifications: { length: 2, set: { 0: data.notifications[0] } },
+    });
+
+    data.notifications.splice(1, 1);
+    await store.save(data);
+    const removal = JSON.parse(journalLines(file)[2]);
+    assert.deepStrictEqual(removal.rows, { notifications: { length: 1, set: {} } });
+    assert.deepStrictEqual(createJsonStore({ file }).load(), data);
+  });
+
+  test('unchanged saves write nothing', async () => {
+    const file = path.join(dir, 'data.json');
+    const store = createJsonStore({ file });
+    store.load();
+    const data = sampleData();
+    await store.save(data);
+    await store.save(data);
+    assert.strictEqual(journalLines(file).length, 1);
+  });
+
+  test('a torn last journal line is ignored', async () => {
+    const file = path.join(dir, 'data.json');
+    const store = createJsonStore({ file });
+    store.load();
+    const data = sampleData();
+    await store.save(data);
+    fs.appendFileSync(file + '.journal', '{"seq":2,"date":"2025-01-01T00:00:00.000Z","rows":{"notifi');
+    const originalError = console.error;
+    console.error = () => {};
+    let loaded;
+    try {
+      loaded = createJsonStore({ file }).load();
+    } finally {
+      console.error = originalError;
+    }
+    assert.deepStrictEqual(loaded, data);
+    assert.strictEqual(fs.readFileSync(file + '.journal', 'utf8'), '', 'new entries never follow the torn line');
+  });
+
+  test('journals with whole collections still replay', () => {
+    const file = path.join(dir, 'data.json');
+    fs.writeFileSync(file, JSON.stringify({ users: [], courseInfo: { title: 'Old' } }));
+    fs.writeFileSync(file + '.journal', `${JSON.stringify({ seq: 1, date: '2025-01-01T00:00:00.000Z', changes: { users: [{ email: 'ta@example.com' }] } })}\n`);
+    assert.deepStrictEqual(createJsonStore({ file }).load(), { users: [{ email: 'ta@example.com' }], courseInfo: { title: 'Old' } });
+  });
+
+  test('the journal is compacted into the file', async () => {
+    const file = path.join(dir, 'data.json');
+    const store = createJsonStore({ file, compactEvery: 3 });
+    store.load();
+    const data = sampleData();
+    for (let i = 0; i < 3; i++) {
+      data.notifications.push({ id: `n${i}`, email: 'sam@example.com', message: `Update ${i}` });
+      await store.save(data);
+    }
+    assert.strictEqual(fs.readFileSync(file + '.journal', 'utf8'), '');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), data);
+    assert.ok(!fs.existsSync(file + '.tmp'));
+
+    data.users[0].name = 'Tina';
+    await store.save(data);
+    assert.strictEqual(journalLines(file).length, 1);
+    assert.deepStrictEqual(createJsonStore({ file }).load(), data);
+  });
+
+  test('close writes a save that has not been flushed', () => {
+    const file = path.join(dir, 'data.json');
+    const store = createJsonStore({ file });
+    store.load();
+    const data = sampleData();
+    store.save(data);
+    store.close();
+    assert.deepStrictEqual(createJsonStore({ file }).load(), data);
+  });
+});
+
+describe('SQLite store', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, () => {
+  test('round trip with changed, added and removed records', () => {
+    const file = path.join(dir, 'data.db');
+    const store = createSqliteStore({ file });
+    assert.strictEqual(store.load(), null);
+    const data = sampleData();
+    store.save(data);
+    store.flushSync();
+    data.notifications[0].read = true;
+    data.users.push({ email: 'tom@example.com', role: 'admin' });
+    store.save(data);
+    store.flushSync();
+    data.notifications.pop();
+    store.save(data);
+    store.close();
+    const reopened = createSqliteStore({ file });
+    assert.deepStrictEqual(reopened.load(), data);
+    reopened.close();
+  });
+
+  test('only changed records are written', () => {
+    const file = path.join(dir, 'data.db');
+    const store = createSqliteStore({ file });
+    store.load();
+    const data = sampleData();
+    store.save(data);
+    store.flushSync();
+
+    const Database = require('better-sqlite3');
+    const db = new Database(file);
+    db.exec('CREATE TABLE write_log (op TEXT, position INTEGER)');
+    ['INSERT', 'UPDATE', 'DELETE'].forEach((op) => {
+      const row = op === 'DELETE' ? 'OLD' : 'NEW';
+      db.exec(`CREATE TRIGGER log_${op} AFTER ${op} ON "notifications" BEGIN INSERT INTO write_log VALUES ('${op}', ${row}.position); END`);
+    });
+    data.notifications[1].read = true;
+    store.save(data);
+    store.flushSync();
+    assert.deepStrictEqual(db.prepare('SELECT op, position FROM write_log').all(), [{ op: 'UPDATE', position: 1 }]);
+    store.close();
+    assert.deepStrictEqual(db.prepare('PRAGMA table_info("notifications")').all().map((c) => c.name), ['position', 'doc']);
+    db.close();
+  });
+
+  test('databases with mirrored lookup columns are upgraded', () => {
+    const file = path.join(dir, 'data.db');
+    const Database = require('better-sqlite3');
+    const db = new Database(file);
+    db.exec('CREATE TABLE "users" (position INTEGER PRIMARY KEY, "id" TEXT, "email" TEXT, doc TEXT NOT NULL)');
+    db.exec('CREATE INDEX "users_email" ON "users" ("email")');
+    db.prepare('INSERT INTO "users" (position, "id", "email", doc) VALUES (0, NULL, ?, ?)')
+      .run('ta@example.com', JSON.stringify({ email: 'ta@example.com', role: 'admin' }));
+    db.close();
+
+    const store = createSqliteStore({ file });
+    const data = store.load();
+    assert.deepStrictEqual(data.users, [{ email: 'ta@example.com', role: 'admin' }]);
+    data.users.push({ email: 'sam@example.com', role: 'student' });
+    store.save(data);
+    store.close();
+
+    const check = new Database(file);
+    assert.deepStrictEqual(check.prepare('PRAGMA table_info("users")').all().map((c) => c.name), ['position', 'doc']);
+    assert.strictEqual(check.prepare("SELECT COUNT(*) AS n FROM sqlite_master WHERE type = 'index' AND tbl_name = 'users' AND sql IS NOT NULL").get().n, 0);
+    assert.strictEqual(check.prepare('SELECT COUNT(*) AS n FROM "users"').get().n, 2);
+    check.close();
+  });
+});
+
+describe('migrate.js', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, () => {
+  const script = path.join(__dirname, '..', 'server', 'migrate.js');
+
+  function migrate(...args) {
+    return spawnSync(process.execPath, [script, ...args], { encoding: 'utf8' });
+  }
+
+  test('copies data.json, replaying its journal, into SQLite', async () => {
+    const from = path.join(dir, 'data.json');
+    const dest = path.join(dir, 'data.db');
+    const source = createJsonStore({ file: from });
+    source.load();
+    const data = sampleData();
+    await source.save(data);
+    assert.ok(!fs.existsSync(from), 'the data is only in the journal');
+
+    const output = execFileSync(process.execPath, [script, '--from', from, '--to', 'sqlite', '--dest', dest], { encoding: 'utf8' });
+    assert.match(output, /notifications: 2 records/);
+    const target = createSqliteStore({ file: dest });
+    assert.deepStrictEqual(target.load(), data);
+    target.close();
+  });
+
+  test('refuses a destination with data unless forced', async () => {
+    const from = path.join(dir, 'data.json');
+    const dest = path.join(dir, 'data.db');
+    fs.writeFileSync(from, JSON.stringify(sampleData()));
+    assert.strictEqual(migrate('--from', from, '--dest', dest).status, 0);
+
+    const changed = sampleData();
+    changed.courseInfo.title = 'Algebra II';
+    fs.writeFileSync(from, JSON.stringify(changed));
+    const refused = migrate('--from', from, '--dest', dest);
+    assert.strictEqual(refused.status, 1);
+    assert.match(refused.stderr, /already contains data/);
+
+    assert.strictEqual(migrate('--from', from, '--dest', dest, '--force').status, 0);
+    const target = createSqliteStore({ file: dest });
+    assert.deepStrictEqual(target.load(), changed);
+    target.close();
+  });
+
+  test('fails without a source file', () => {
+    const result = migrate('--from', path.join(dir, 'missing.json'), '--dest', path.join(dir, 'data.db'));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Source file not found/);
+  });
+});